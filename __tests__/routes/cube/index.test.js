@@ -0,0 +1,67 @@
+const request = require('supertest');
+const express = require('express');
+
+// The draft is started without a session, so there's no CSRF token to send.
+jest.mock('csurf', () => () => (req, res, next) => {
+  req.csrfToken = () => '';
+  next();
+});
+
+const router = require('../../../routes/cube/index');
+const Cube = require('../../../models/cube');
+const carddb = require('../../../serverjs/cards');
+const cubefixture = require('../../../fixtures/examplecube');
+const dbSetup = require('../../helpers/dbTestSetup');
+
+const fixturesPath = 'fixtures';
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use((req, res, next) => {
+  req.flash = jest.fn();
+  req.logger = { error: jest.fn() };
+  next();
+});
+app.use('/', router);
+
+const exampleCube = new Cube({
+  ...cubefixture.exampleCube,
+  savedFilters: [{ name: 'cheap', filter: 'cmc<=2' }],
+  draft_formats: [
+    {
+      title: 'Cheap Packs',
+      multiples: false,
+      packs: [{ slots: ['filter:cheap', 'filter:cheap', '*'], steps: null }],
+    },
+  ],
+});
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await dbSetup.connect();
+  await carddb.initializeCardDb(fixturesPath, true);
+  await exampleCube.save();
+});
+
+afterAll(async () => {
+  await dbSetup.close(mongoServer);
+  carddb.unloadCardDb();
+});
+
+test('startdraft uses the saved filters in custom format slots', () => {
+  return request(app)
+    .post(`/startdraft/${exampleCube.shortID}`)
+    .type('form')
+    .send({ id: 0, seats: 2, botsOnly: true })
+    .expect(200)
+    .expect((res) => {
+      expect(res.body.success).toEqual('true');
+      const { draft } = res.body;
+      const firstPack = draft.initial_state[0][0].cards.map((index) => draft.cards[index]);
+      expect(firstPack).toHaveLength(3);
+      for (const card of firstPack.slice(0, 2)) {
+        expect(card.details.cmc).toBeLessThanOrEqual(2);
+      }
+    });
+});
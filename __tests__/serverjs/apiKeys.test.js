@@ -0,0 +1,15 @@
+const { generateApiKey, hashApiKey } = require('../../serverjs/apiKeys');
+
+describe('generateApiKey', () => {
+  it('returns a key with its hash and prefix', () => {
+    const { key, hash, prefix } = generateApiKey();
+    expect(key.startsWith('cc_')).toBe(true);
+    expect(key.startsWith(prefix)).toBe(true);
+    expect(hash).toBe(hashApiKey(key));
+    expect(hash).not.toContain(key);
+  });
+
+  it('makes a different key each time', () => {
+    expect(generateApiKey().key).not.toBe(generateApiKey().key);
+  });
+});
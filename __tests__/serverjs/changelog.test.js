@@ -0,0 +1,76 @@
+const changelog = require('../../serverjs/changelog');
+
+const names = {
+  a: 'Ancestral Recall',
+  b: 'Black Lotus',
+  c: 'Counterspell',
+  c2: 'Counterspell',
+  d: 'Dark Ritual',
+};
+const fakeCarddb = {
+  cardFromId: (id) => ({ _id: id, name: names[id] }),
+};
+
+const card = (cardID, fields = {}) => ({ cardID, status: 'Owned', tags: [], ...fields });
+
+test('applyChanges applies each change in order', () => {
+  const cards = [card('a'), card('b')];
+  changelog.applyChanges(cards, [
+    changelog.addCard(1, card('c')),
+    changelog.removeCard(0, cards[0]),
+    changelog.replaceCard(1, cards[1], card('d')),
+  ]);
+  expect(cards.map((c) => c.cardID)).toEqual(['c', 'd']);
+});
+
+test('applyChanges throws when the list does not match the change', () => {
+  const cards = [card('a')];
+  expect(() => changelog.applyChanges(cards, [changelog.removeCard(0, card('b'))])).toThrow(
+    'Cube history is out of sync at index 0.',
+  );
+  expect(() => changelog.applyChanges(cards, [changelog.addCard(3, card('b'))])).toThrow();
+});
+
+test('revertChanges undoes applyChanges', () => {
+  const original = [card('a'), card('b'), card('c')];
+  const cards = original.map((c) => ({ ...c }));
+  const changes = [
+    changelog.removeCard(1, cards[1]),
+    changelog.editCard(0, cards[0], card('a', { status: 'Proxied' })),
+    changelog.addCard(2, card('d')),
+    changelog.replaceCard(1, cards[2], card('b')),
+  ];
+  changelog.applyChanges(cards, changes);
+  expect(cards.map((c) => c.cardID)).toEqual(['a', 'b', 'd']);
+  changelog.revertChanges(cards, changes);
+  expect(cards).toEqual(original);
+});
+
+test('replaceCardList keeps matching cards in place and records the differences', () => {
+  const oldCards = [card('a'), card('b'), card('c'), card('d')];
+  const newCards = [card('d'), card('c2'), card('a', { status: 'Proxied' })];
+  const changes = changelog.replaceCardList(oldCards, newCards, fakeCarddb);
+
+  expect(changelog.summarizeChanges(changes)).toEqual({ add: 0, remove: 1, replace: 0, edit: 2 });
+  const cards = changelog.applyChanges(oldCards.slice(), changes);
+  expect(cards.map((c) => c.cardID)).toEqual(['a', 'c2', 'd']);
+  expect(cards[0].status).toBe('Proxied');
+});
+
+test('replaceCardList appends cards that were not in the old list', () => {
+  const oldCards = [card('a'), card('b')];
+  const newCards = [card('b'), card('c'), card('d')];
+  const changes = changelog.replaceCardList(oldCards, newCards, fakeCarddb);
+
+  expect(changelog.summarizeChanges(changes)).toEqual({ add: 2, remove: 1, replace: 0, edit: 0 });
+  expect(changelog.applyChanges(oldCards.slice(), changes).map((c) => c.cardID)).toEqual(['b', 'c', 'd']);
+});
+
+test('diffCardLists counts duplicate cards', () => {
+  const { added, removed } = changelog.diffCardLists(
+    [card('a'), card('a'), card('b')],
+    [card('a'), card('b'), card('c'), card('c')],
+  );
+  expect(added.map((c) => c.cardID)).toEqual(['c', 'c']);
+  expect(removed.map((c) => c.cardID)).toEqual(['a']);
+});
@@ -0,0 +1,99 @@
+const carddb = require('../../serverjs/cards');
+const { allocateCollection, deriveStatus, parseCollection } = require('../../serverjs/collection');
+const { exportCollectionCsv } = require('../../serverjs/exporters');
+const { exampleCube } = require('../../fixtures/examplecube');
+
+const fixturesPath = 'fixtures';
+
+beforeAll(async () => {
+  await carddb.initializeCardDb(fixturesPath, true);
+});
+
+afterAll(() => {
+  carddb.unloadCardDb();
+});
+
+const sortEntries = (entries) => [...entries].sort((a, b) => a.cardID.localeCompare(b.cardID));
+
+test('parseCollection reads back the collection export', () => {
+  const entries = exampleCube.cards.slice(0, 10).map(({ cardID }, index) => ({
+    cardID,
+    finish: index % 3 === 0 ? 'Foil' : 'Non-foil',
+    condition: index % 2 === 0 ? 'Near Mint' : 'Lightly Played',
+    quantity: index + 1,
+  }));
+  const { entries: parsed, missing } = parseCollection(exportCollectionCsv(entries, carddb), carddb);
+  expect(missing).toEqual([]);
+  expect(sortEntries(parsed)).toEqual(sortEntries(entries));
+});
+
+test('parseCollection counts copies in plaintext lists together', () => {
+  const { name } = carddb.cardFromId(exampleCube.cards[0].cardID);
+  const { entries, missing } = parseCollection(`2 ${name}\n${name} *F*\n1x ${name}\nNot A Real Card`, carddb);
+  expect(missing).toEqual(['Not A Real Card']);
+  expect(entries.map(({ finish, quantity }) => [finish, quantity])).toEqual([
+    ['Non-foil', 3],
+    ['Foil', 1],
+  ]);
+});
+
+test('parseCollection reports CSV rows with an invalid quantity as missing', () => {
+  const { name } = carddb.cardFromId(exampleCube.cards[0].cardID);
+  const { entries, missing } = parseCollection(`Name,Quantity\n"${name}",many\n"${name}",2`, carddb);
+  expect(missing).toEqual([name]);
+  expect(entries.map(({ quantity }) => quantity)).toEqual([2]);
+});
+
+describe('allocateCollection', () => {
+  const cards = {
+    cardFromId: (id) => ({ name: id.split('-')[0], name_lower: id.split('-')[0].toLowerCase() }),
+  };
+  const entries = [
+    { _id: 'a', cardID: 'Bolt-m10', finish: 'Non-foil', quantity: 1 },
+    { _id: 'b', cardID: 'Bolt-lea', finish: 'Foil', quantity: 1 },
+  ];
+
+  test('prefers the same printing and finish', () => {
+    const { assignments } = allocateCollection(
+      entries,
+      [{ _id: 'cube', cards: [{ cardID: 'Bolt-m10' }, { cardID: 'Bolt-lea', finish: 'Foil' }] }],
+      cards,
+    );
+    expect(assignments.cube.map((entry) => entry._id)).toEqual(['a', 'b']);
+  });
+
+  test('reports cards used by more cubes than there are copies for', () => {
+    const { assignments, report } = allocateCollection(
+      entries,
+      [
+        { _id: 'first', cards: [{ cardID: 'Bolt-lea' }, { cardID: 'Opt-xln' }] },
+        { _id: 'second', cards: [{ cardID: 'Bolt-m10' }, { cardID: 'Bolt-m10' }] },
+      ],
+      cards,
+    );
+    expect(assignments.first.map((entry) => entry && entry._id)).toEqual(['b', null]);
+    expect(assignments.second.map((entry) => entry && entry._id)).toEqual(['a', null]);
+    expect(report).toEqual([
+      {
+        name: 'Bolt',
+        owned: 2,
+        used: 3,
+        copies: [
+          { entry: entries[0], cubes: { second: 1 } },
+          { entry: entries[1], cubes: { first: 1 } },
+        ],
+        missing: { second: 1 },
+      },
+    ]);
+  });
+});
+
+test('deriveStatus keeps statuses that still apply', () => {
+  const copy = { cardID: 'id' };
+  expect(deriveStatus('Not Owned', copy)).toBe('Owned');
+  expect(deriveStatus('Premium Owned', copy)).toBe('Premium Owned');
+  expect(deriveStatus('Proxied', copy)).toBe('Owned');
+  expect(deriveStatus('Owned', null)).toBe('Not Owned');
+  expect(deriveStatus('Ordered', null)).toBe('Ordered');
+  expect(deriveStatus('Proxied', null)).toBe('Proxied');
+});
@@ -49,6 +49,19 @@ test('buildIdQuery returns a shortID query when passed a non-alphanumeric string
   expect(result.shortID).toBe(testId);
 });
 
+test('viewableCubeQuery matches private cubes only for admins, owners and collaborators', () => {
+  const user = { _id: 'u1', roles: [] };
+  expect(cubefn.viewableCubeQuery(null)).toEqual({ $or: [{ isPrivate: { $ne: true } }] });
+  expect(cubefn.viewableCubeQuery({ _id: 'u2', roles: ['Admin'] })).toEqual({});
+  const { $or: conditions } = cubefn.viewableCubeQuery(user);
+  expect(conditions).toContainEqual({ owner: 'u1' });
+  expect(conditions).toContainEqual({
+    collaborators: {
+      $elemMatch: { user: 'u1', accepted: true, role: { $in: ['editor', 'blogger', 'formats', 'viewer'] } },
+    },
+  });
+});
+
 test('cardsAreEquivalent returns true for two equivalent cards', () => {
   const testCard1 = {
     cardID: 'abcdef',
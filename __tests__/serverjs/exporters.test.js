@@ -0,0 +1,84 @@
+const carddb = require('../../serverjs/cards');
+const { exportCsv, exportList } = require('../../serverjs/exporters');
+const { listToCards } = require('../../serverjs/importers');
+const { exampleCube } = require('../../fixtures/examplecube');
+
+const fixturesPath = 'fixtures';
+
+const main = exampleCube.cards.slice(0, 40).map((card, index) => ({
+  ...card,
+  finish: index % 5 === 0 ? 'Foil' : 'Non-foil',
+}));
+const side = exampleCube.cards.slice(40, 50);
+
+const cardIds = (cards) => cards.map(({ cardID }) => cardID).sort();
+const cardNames = (cards) => cards.map(({ cardID }) => carddb.cardFromId(cardID).name).sort();
+
+beforeAll(async () => {
+  await carddb.initializeCardDb(fixturesPath, true);
+});
+
+afterAll(() => {
+  carddb.unloadCardDb();
+});
+
+test.each(['arena', 'forge', 'xmage'])('%s export keeps printings and the sideboard', (format) => {
+  const text = exportList(format, { name: 'Round Trip', main, side }, carddb);
+  const { newCards, newMaybe, missing } = listToCards(text, carddb);
+  expect(missing).toEqual([]);
+  expect(cardIds(newCards)).toEqual(cardIds(main));
+  expect(cardIds(newMaybe)).toEqual(cardIds(side));
+});
+
+test.each(['mtgo', 'cockatrice'])('%s export keeps names and the sideboard', (format) => {
+  const text = exportList(format, { name: 'Round Trip', main, side }, carddb);
+  const { newCards, newMaybe, missing } = listToCards(text, carddb);
+  expect(missing).toEqual([]);
+  expect(cardNames(newCards)).toEqual(cardNames(main));
+  expect(cardNames(newMaybe)).toEqual(cardNames(side));
+});
+
+test('cube exports that list every card on its own line read back the same cards', () => {
+  for (const format of ['forge', 'xmage']) {
+    const text = exportList(format, { name: 'Round Trip', main, grouped: false }, carddb);
+    expect(cardIds(listToCards(text, carddb).newCards)).toEqual(cardIds(main));
+  }
+});
+
+test('cubecobra export keeps printings', () => {
+  const { newCards, missing } = listToCards(exportList('cubecobra', { main }, carddb), carddb);
+  expect(missing).toEqual([]);
+  expect(cardIds(newCards)).toEqual(cardIds(main));
+});
+
+test('plaintext export keeps names', () => {
+  const { newCards, newMaybe, missing } = listToCards(exportList('plaintext', { main }, carddb), carddb);
+  expect(missing).toEqual([]);
+  expect(newMaybe).toEqual([]);
+  expect(cardNames(newCards)).toEqual(cardNames(main));
+});
+
+test('csv export keeps printings, finishes, statuses, tags and the maybeboard', () => {
+  const { newCards, newMaybe, missing } = listToCards(exportCsv(main, side, carddb), carddb);
+  expect(missing).toEqual([]);
+  const fields = ({ cardID, finish, status, tags }) => ({ cardID, finish, status, tags });
+  expect(newCards.map(fields)).toEqual(main.map(fields));
+  expect(newMaybe.map(fields)).toEqual(side.map(fields));
+});
+
+test('json export keeps the cards and the maybeboard', () => {
+  const { newCards, newMaybe, missing } = listToCards(JSON.stringify({ ...exampleCube, maybe: side }), carddb);
+  expect(missing).toEqual([]);
+  expect(newCards).toEqual(exampleCube.cards);
+  expect(newMaybe).toEqual(side);
+});
+
+test('foil markers set the finish', () => {
+  const details = carddb.cardFromId(main[0].cardID);
+  const { newCards } = listToCards(
+    `1 ${details.name} (${details.set.toUpperCase()}) ${details.collector_number} *F*`,
+    carddb,
+  );
+  expect(newCards[0].cardID).toBe(details._id);
+  expect(newCards[0].finish).toBe('Foil');
+});
@@ -0,0 +1,59 @@
+const { makeFilter } = require('../../serverjs/filterCubes');
+
+test('makeFilter reads keywords the way cubes store them', async () => {
+  const { query, keywords, warnings } = await makeFilter('"Innistrad Cube" legacy', null);
+  expect(keywords).toEqual(['innistrad', 'cube', 'legacy']);
+  expect(query).toEqual({ $and: [{ keywords: 'innistrad' }, { keywords: 'cube' }, { keywords: 'legacy' }] });
+  expect(warnings).toEqual([]);
+});
+
+test('makeFilter reads two character operators', async () => {
+  const { query } = await makeFilter('size>=360 decks!=0', null);
+  expect(query).toEqual({ $and: [{ card_count: { $gte: 360 } }, { numDecks: { $ne: 0 } }] });
+});
+
+test('makeFilter searches the color mix', async () => {
+  expect((await makeFilter('color:WU', null)).query).toEqual({ $and: [{ colors: { $all: ['W', 'U'] } }] });
+  expect((await makeFilter('color=wu', null)).query).toEqual({ $and: [{ colors: { $all: ['W', 'U'], $size: 2 } }] });
+  expect((await makeFilter('color=c', null)).query).toEqual({ $and: [{ colors: { $size: 0 } }] });
+  expect((await makeFilter('color<=rg', null)).query).toEqual({
+    $and: [{ colors: { $not: { $elemMatch: { $nin: ['R', 'G'] } } } }],
+  });
+});
+
+test('makeFilter turns ages into dates', async () => {
+  const before = Date.now();
+  const { query } = await makeFilter('updated<30d', null);
+  const date = query.$and[0].date_updated.$gt;
+  expect(before - date.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+  expect(before - date.getTime()).toBeLessThan(31 * 24 * 60 * 60 * 1000);
+});
+
+test('makeFilter compares the number of followers', async () => {
+  const { query } = await makeFilter('followers>10', null);
+  expect(query).toEqual({ $and: [{ $expr: { $gt: [{ $size: { $ifNull: ['$users_following', []] } }, 10] } }] });
+});
+
+test('makeFilter matches draft format names', async () => {
+  const { query } = await makeFilter('format:"grid (2)"', null);
+  expect(query).toEqual({ $and: [{ 'draft_formats.title': { $regex: 'grid \\(2\\)', $options: 'i' } }] });
+});
+
+test('makeFilter warns about terms it ignores', async () => {
+  const { query, warnings } = await makeFilter('foo:bar tag<x updated:3d color:xyz has:nothing', null);
+  expect(query).toEqual({});
+  expect(warnings).toHaveLength(5);
+  expect(warnings[0]).toContain('Valid specifiers are owner, tag');
+  expect(warnings[1]).toContain('Please use : =');
+  expect(warnings[2]).toContain('Please use < <= > >=');
+  expect(warnings[3]).toContain('WUBRG');
+  expect(warnings[4]).toContain('use blog');
+});
+
+test('makeFilter only allows one owner', async () => {
+  expect((await makeFilter('owner:a owner:b', null)).error).toBeTruthy();
+});
+
+test('makeFilter finds cubes with blog posts by their flag', async () => {
+  expect((await makeFilter('has:blog', null)).query).toEqual({ $and: [{ hasBlog: true }] });
+});
@@ -0,0 +1,49 @@
+const carddb = require('../../serverjs/cards');
+const { countDivergence, pendingUpstreamChanges } = require('../../serverjs/forks');
+const { exampleCube } = require('../../fixtures/examplecube');
+
+const fixturesPath = 'fixtures';
+
+const cards = exampleCube.cards.slice(0, 20);
+const names = (changes) => changes.map(({ card }) => carddb.cardFromId(card.cardID).name).sort();
+const namesOf = (list) => list.map(({ cardID }) => carddb.cardFromId(cardID).name).sort();
+
+beforeAll(async () => {
+  await carddb.initializeCardDb(fixturesPath, true);
+});
+
+afterAll(() => {
+  carddb.unloadCardDb();
+});
+
+test('countDivergence counts the cards only one of the cubes has', () => {
+  const fork = [...cards.slice(2), exampleCube.cards[30]];
+  expect(countDivergence(cards, fork, carddb)).toEqual({ added: 1, removed: 2 });
+  expect(countDivergence(cards, cards, carddb)).toEqual({ added: 0, removed: 0 });
+});
+
+test('pendingUpstreamChanges lists what the upstream changed that the fork has not', () => {
+  const base = cards;
+  const upstream = [...cards.slice(3), ...exampleCube.cards.slice(30, 33)];
+  // The fork already took one of the adds and one of the removes, and removed a card of its own.
+  const fork = [...cards.slice(1, 10), ...cards.slice(11), exampleCube.cards[30]];
+
+  const { added, removed } = pendingUpstreamChanges(base, upstream, fork, [], carddb);
+  expect(names(added)).toEqual(namesOf(exampleCube.cards.slice(31, 33)));
+  expect(names(removed)).toEqual(namesOf(cards.slice(1, 3)));
+  for (const { index, card } of removed) {
+    expect(fork[index]).toBe(card);
+  }
+  for (const { index, card } of added) {
+    expect(upstream[index]).toBe(card);
+  }
+});
+
+test('pendingUpstreamChanges leaves out ignored changes', () => {
+  const upstream = [...cards.slice(1), exampleCube.cards[30]];
+  const ignored = [
+    { action: 'add', cardID: exampleCube.cards[30].cardID },
+    { action: 'remove', cardID: cards[0].cardID },
+  ];
+  expect(pendingUpstreamChanges(cards, upstream, cards, ignored, carddb)).toEqual({ added: [], removed: [] });
+});
@@ -0,0 +1,35 @@
+const { parseList } = require('../../serverjs/importers');
+
+test('parseList reads Arena exports with a sideboard section', () => {
+  expect(parseList('Deck\r\n2 Lightning Bolt (M10) 146\r\n\r\nSideboard\r\n1 Opt (XLN) 65\r\n')).toEqual([
+    { name: 'Lightning Bolt', set: 'M10', collectorNumber: '146', count: 2, maybe: false },
+    { name: 'Opt', set: 'XLN', collectorNumber: '65', count: 1, maybe: true },
+  ]);
+});
+
+test('parseList reads XMage and Forge exports', () => {
+  expect(parseList('NAME:Deck\r\n1 [M10:146] Lightning Bolt\r\nSB: 1 [XLN:65] Opt\r\n')).toEqual([
+    { name: 'Lightning Bolt', set: 'M10', collectorNumber: '146', count: 1, maybe: false },
+    { name: 'Opt', set: 'XLN', collectorNumber: '65', count: 1, maybe: true },
+  ]);
+  expect(parseList('[metadata]\r\nName=Deck\r\n[Main]\r\n1 Lightning Bolt|M10\r\n[Side]\r\n1 Opt|XLN\r\n')).toEqual([
+    { name: 'Lightning Bolt', set: 'M10', count: 1, maybe: false },
+    { name: 'Opt', set: 'XLN', count: 1, maybe: true },
+  ]);
+});
+
+test('parseList only treats blank lines as a sideboard break in counted lists', () => {
+  expect(parseList('1 Lightning Bolt\r\n\r\n\r\n1 Opt\r\n').map(({ maybe }) => maybe)).toEqual([false, true]);
+  expect(parseList('Lightning Bolt\r\n\r\nOpt\r\n').map(({ maybe }) => maybe)).toEqual([false, false]);
+});
+
+test('parseList reads MTGO .dek files', () => {
+  const dek =
+    '<?xml version="1.0" encoding="utf-8"?>\r\n<Deck>\r\n' +
+    '  <Cards CatID="1" Quantity="2" Sideboard="false" Name="Fire/Ice" />\r\n' +
+    '  <Cards CatID="2" Quantity="1" Sideboard="true" Name="Opt" />\r\n</Deck>';
+  expect(parseList(dek)).toEqual([
+    { name: 'Fire/Ice', count: 2, maybe: false },
+    { name: 'Opt', count: 1, maybe: true },
+  ]);
+});
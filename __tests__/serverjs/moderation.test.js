@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { isSuspended, isMuted, needsApproval, isCommentVisible } = require('../../serverjs/moderation');
+
+const MS_PER_DAY = 1000 * 3600 * 24;
+
+const now = new Date();
+const later = new Date(now.getTime() + MS_PER_DAY);
+const earlier = new Date(now.getTime() - MS_PER_DAY);
+
+const userCreated = (date) => ({ _id: mongoose.Types.ObjectId.createFromTime(date.getTime() / 1000) });
+
+test('isSuspended and isMuted are only true until their dates pass', () => {
+  expect(isSuspended({ moderation: { suspendedUntil: later } }, now)).toBe(true);
+  expect(isSuspended({ moderation: { suspendedUntil: earlier } }, now)).toBe(false);
+  expect(isSuspended({ moderation: { suspendedUntil: null } }, now)).toBe(false);
+  expect(isMuted({ moderation: { mutedUntil: later } }, now)).toBe(true);
+  expect(isMuted({ moderation: { mutedUntil: earlier } }, now)).toBe(false);
+  expect(isMuted({}, now)).toBe(false);
+  expect(isMuted(null, now)).toBe(false);
+});
+
+test('needsApproval only holds back profane comments from new accounts', () => {
+  const newUser = userCreated(earlier);
+  const oldUser = userCreated(new Date(now.getTime() - 30 * MS_PER_DAY));
+  expect(needsApproval(newUser, 'what the fuck', now)).toBe(true);
+  expect(needsApproval(newUser, 'nice cube', now)).toBe(false);
+  expect(needsApproval(oldUser, 'what the fuck', now)).toBe(false);
+});
+
+test('isCommentVisible shows pending and hidden comments to their poster and moderators only', () => {
+  const poster = userCreated(earlier);
+  const other = userCreated(now);
+  for (const status of ['pending', 'hidden']) {
+    const comment = { owner: poster._id, status };
+    expect(isCommentVisible(comment, poster, false)).toBe(true);
+    expect(isCommentVisible(comment, other, true)).toBe(true);
+    expect(isCommentVisible(comment, other, false)).toBe(false);
+    expect(isCommentVisible(comment, null, false)).toBe(false);
+  }
+  expect(isCommentVisible({ owner: poster._id, status: 'published' }, null, false)).toBe(true);
+  expect(isCommentVisible({ owner: poster._id }, null, false)).toBe(true);
+});
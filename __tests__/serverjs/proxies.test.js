@@ -0,0 +1,37 @@
+const { CARD_HEIGHT, CARD_WIDTH, PAGE_SIZES, proxyFaces, sheetLayout } = require('../../serverjs/proxies');
+
+test.each(Object.keys(PAGE_SIZES))('sheetLayout fits a 3x3 grid of real size cards on %s paper', (pageSize) => {
+  const { width, height, slots, cutMarks } = sheetLayout(pageSize);
+  expect(slots).toHaveLength(9);
+  expect(CARD_WIDTH).toBe(180);
+  expect(CARD_HEIGHT).toBe(252);
+  for (const { x, y } of slots) {
+    expect(x).toBeGreaterThanOrEqual(0);
+    expect(y).toBeGreaterThanOrEqual(0);
+    expect(x + CARD_WIDTH).toBeLessThanOrEqual(width);
+    expect(y + CARD_HEIGHT).toBeLessThanOrEqual(height);
+  }
+  // Cut marks stay on the page.
+  for (const mark of cutMarks) {
+    expect(Math.min(...mark)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(mark[0], mark[2])).toBeLessThanOrEqual(width);
+    expect(Math.max(mark[1], mark[3])).toBeLessThanOrEqual(height);
+  }
+});
+
+test('proxyFaces prints back faces and prefers custom images', () => {
+  const cards = [
+    { details: { name: 'Opt', image_normal: 'opt.png' } },
+    {
+      imgUrl: 'custom.png',
+      details: { name: 'Delver of Secrets', image_normal: 'delver.png', image_flip: 'back.png' },
+    },
+    { imgUrl: '', details: { name: 'Ponder', image_normal: 'ponder.png' } },
+  ];
+  expect(proxyFaces(cards)).toEqual([
+    { name: 'Opt', url: 'opt.png' },
+    { name: 'Delver of Secrets', url: 'custom.png' },
+    { name: 'Delver of Secrets (back)', url: 'back.png' },
+    { name: 'Ponder', url: 'ponder.png' },
+  ]);
+});
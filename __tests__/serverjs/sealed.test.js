@@ -0,0 +1,99 @@
+const carddb = require('../../serverjs/cards');
+const { createSealedPools, sealedDeckProblem, sortPool } = require('../../serverjs/sealed');
+const { exampleCube } = require('../../fixtures/examplecube');
+
+const fixturesPath = 'fixtures';
+
+const withDetails = (cards) => cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+
+beforeAll(async () => {
+  await carddb.initializeCardDb(fixturesPath, true);
+});
+
+afterAll(() => {
+  carddb.unloadCardDb();
+});
+
+test('createSealedPools deals separate pools of random cards', () => {
+  const cube = { cards: withDetails(exampleCube.cards) };
+  const { cards, pools } = createSealedPools(cube, { numPools: 4, formatId: -1, packs: 3, cards: 5, seed: 'test' });
+  expect(pools).toHaveLength(4);
+  expect(pools.every((pool) => pool.length === 15)).toBe(true);
+  expect(cards).toHaveLength(60);
+  expect(new Set(pools.flat()).size).toBe(60);
+  expect(cards.every((card) => card.details === undefined)).toBe(true);
+});
+
+test('createSealedPools deals the same pools from the same seed', () => {
+  const cube = { cards: withDetails(exampleCube.cards) };
+  const options = { numPools: 2, formatId: -1, packs: 2, cards: 10 };
+  const pools = (seed) => {
+    const dealt = createSealedPools(cube, { ...options, seed });
+    return dealt.pools.map((pool) => pool.map((index) => dealt.cards[index].cardID));
+  };
+  expect(pools('same')).toEqual(pools('same'));
+  expect(pools('same')).not.toEqual(pools('different'));
+});
+
+test('createSealedPools fills pools from the slots of a draft format', () => {
+  const cube = {
+    cards: withDetails(exampleCube.cards),
+    draft_formats: [{ packs: [{ slots: ['t:creature', 't:creature', 't:land'], steps: null }], multiples: false }],
+    savedFilters: [],
+  };
+  const { cards, pools } = createSealedPools(cube, { numPools: 3, formatId: 0, seed: 'format' });
+  for (const pool of pools) {
+    const types = pool.map((index) => carddb.cardFromId(cards[index].cardID).type.toLowerCase());
+    expect(types.filter((type) => type.includes('creature'))).toHaveLength(2);
+    expect(types.filter((type) => type.includes('land'))).toHaveLength(1);
+  }
+});
+
+test('sortPool puts creatures first and lands in the last column', () => {
+  const cards = exampleCube.cards.slice(0, 30);
+  const pool = sortPool(
+    cards,
+    cards.map((card, index) => index),
+    carddb,
+  );
+  expect(pool.flat(2).sort((a, b) => a - b)).toEqual(cards.map((card, index) => index));
+  for (const index of pool[0].flat()) {
+    expect(cards[index].type_line.toLowerCase()).toContain('creature');
+  }
+  for (const index of pool[0][7].concat(pool[1][7])) {
+    expect(cards[index].type_line.toLowerCase()).toContain('land');
+  }
+});
+
+describe('sealedDeckProblem', () => {
+  const event = {
+    pools: [
+      { cards: [0, 1, 2, 3], seats: [0, 1] },
+      { cards: [4, 5, 6, 7], seats: [2, 3] },
+    ],
+    registered: [0],
+  };
+  const deck = {
+    basics: [8],
+    cards: exampleCube.cards.slice(0, 9),
+    seats: [{ deck: [[[0, 1], []], [[8]]] }, { deck: [] }, { deck: [] }, { deck: [] }],
+  };
+
+  it('accepts cards from the pool and basics', () => {
+    expect(sealedDeckProblem(event, deck, 1, [2, 8, 8], [3], carddb)).toBeNull();
+  });
+
+  it('rejects cards from other pools', () => {
+    expect(sealedDeckProblem(event, deck, 1, [2, 4], [], carddb)).toContain('your pool');
+  });
+
+  it("rejects cards in a registered teammate's mainboard", () => {
+    const problem = sealedDeckProblem(event, deck, 1, [1, 2], [], carddb);
+    expect(problem).toContain(carddb.cardFromId(deck.cards[1].cardID).name);
+    expect(sealedDeckProblem(event, deck, 1, [2], [0, 1], carddb)).toBeNull();
+  });
+
+  it('ignores teammates that have not registered', () => {
+    expect(sealedDeckProblem(event, deck, 0, [0, 1, 2, 3], [], carddb)).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+const tournament = require('../../serverjs/tournament');
+
+const match = (players, wins, draws = 0) => ({ players, wins, draws, reported: true });
+
+test('roundRobinRounds pairs every player with every other player once', () => {
+  for (const numPlayers of [2, 5, 8]) {
+    const rounds = tournament.roundRobinRounds(numPlayers);
+    const pairs = rounds.flat().filter(([, b]) => b !== null);
+    expect(pairs.length).toBe((numPlayers * (numPlayers - 1)) / 2);
+    expect(new Set(pairs.map((pair) => [...pair].sort().join())).size).toBe(pairs.length);
+    for (const round of rounds) {
+      expect(
+        round
+          .flat()
+          .filter((player) => player !== null)
+          .sort(),
+      ).toEqual([...Array(numPlayers).keys()]);
+    }
+  }
+});
+
+test('standings rank by match points and then by tiebreakers', () => {
+  const matches = [match([0, 1], [2, 0]), match([2, 3], [2, 1]), match([0, 2], [2, 1]), match([1, 3], [1, 1], 1)];
+  const ranked = tournament.standings(4, matches);
+  expect(ranked.map(({ player }) => player)).toEqual([0, 2, 1, 3]);
+  expect(ranked[0]).toMatchObject({ matchPoints: 6, wins: 2, losses: 0, draws: 0 });
+  expect(ranked[2]).toMatchObject({ matchPoints: 1, wins: 0, losses: 1, draws: 1 });
+  expect(ranked[1].opponentMatchWinPercentage).toBeCloseTo((1 / 3 + 1) / 2);
+});
+
+test('unreported matches do not count', () => {
+  const ranked = tournament.standings(2, [{ ...match([0, 1], [2, 0]), reported: false }]);
+  expect(ranked.every(({ matchesPlayed }) => matchesPlayed === 0)).toBe(true);
+});
+
+test('swissPairings avoids rematches and gives one bye per player', () => {
+  const matches = [];
+  for (let round = 0; round < 5; round++) {
+    const pairs = tournament.swissPairings(5, matches);
+    expect(
+      pairs
+        .flat()
+        .filter((player) => player !== null)
+        .sort(),
+    ).toEqual([0, 1, 2, 3, 4]);
+    matches.push(...pairs.map((players) => match(players, [2, 1])));
+  }
+  const byes = matches.filter(({ players }) => players[1] === null).map(({ players }) => players[0]);
+  expect(byes.sort()).toEqual([0, 1, 2, 3, 4]);
+  const pairs = matches.filter(({ players }) => players[1] !== null).map(({ players }) => [...players].sort().join());
+  expect(new Set(pairs).size).toBe(pairs.length);
+});
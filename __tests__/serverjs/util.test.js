@@ -168,3 +168,21 @@ test('hasProfanity returns false for strings not containing profanity', () => {
   const result = util.hasProfanity(testString);
   expect(result).toBe(false);
 });
+
+test('isNotificationMuted respects mutes everywhere and for single cubes', () => {
+  const user = {
+    notificationSettings: {
+      muted: [
+        { type: 'follow', cube: null },
+        { type: 'deck', cube: '5f0000000000000000000001' },
+      ],
+    },
+  };
+  expect(util.isNotificationMuted(user, 'follow')).toBe(true);
+  expect(util.isNotificationMuted(user, 'follow', '5f0000000000000000000002')).toBe(true);
+  expect(util.isNotificationMuted(user, 'deck', '5f0000000000000000000001')).toBe(true);
+  expect(util.isNotificationMuted(user, 'deck', '5f0000000000000000000002')).toBe(false);
+  expect(util.isNotificationMuted(user, 'deck')).toBe(false);
+  expect(util.isNotificationMuted(user, 'comment')).toBe(false);
+  expect(util.isNotificationMuted({}, 'follow')).toBe(false);
+});
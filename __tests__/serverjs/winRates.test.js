@@ -0,0 +1,76 @@
+const winRates = require('../../serverjs/winRates');
+
+const details = {
+  bolt: { name: 'Lightning Bolt', name_lower: 'lightning bolt', type: 'Instant', colors: ['R'] },
+  counterspell: { name: 'Counterspell', name_lower: 'counterspell', type: 'Instant', colors: ['U'] },
+  island: { name: 'Island', name_lower: 'island', type: 'Basic Land — Island', colors: [] },
+};
+const carddb = { cardFromId: (id) => details[id] };
+
+const seat = (deck, record) => ({ deck: [[deck]], sideboard: [], record });
+
+test('setSeatRecord mirrors matchups onto the opponent and totals them', () => {
+  const seats = [{ matchups: [] }, { matchups: [] }, { record: { wins: 1, losses: 0, draws: 0 }, matchups: [] }];
+  winRates.setSeatRecord(seats, 0, { wins: 9, losses: 9, draws: 9 }, [
+    { opponent: 1, wins: 2, losses: 0, draws: 0 },
+    { opponent: 2, wins: 0, losses: 1, draws: 1 },
+  ]);
+  expect(seats[0].record).toEqual({ wins: 2, losses: 1, draws: 1 });
+  expect(seats[1].matchups).toEqual([{ opponent: 0, wins: 0, losses: 2, draws: 0 }]);
+  expect(seats[1].record).toEqual({ wins: 0, losses: 2, draws: 0 });
+  expect(seats[2].record).toEqual({ wins: 1, losses: 0, draws: 1 });
+
+  // Clearing the matchups takes them back off the opponents.
+  winRates.setSeatRecord(seats, 0, { wins: 3, losses: 0, draws: 0 });
+  expect(seats[0].record).toEqual({ wins: 3, losses: 0, draws: 0 });
+  expect(seats[1].matchups).toEqual([]);
+  expect(seats[1].record).toEqual({ wins: 0, losses: 0, draws: 0 });
+});
+
+test('seatRecords prefers event results over recorded ones', () => {
+  const deck = { seats: [seat([], { wins: 5, losses: 0 }), seat([], null), seat([], { wins: 1, losses: 1 })] };
+  const event = {
+    players: [{ seat: 0 }, { seat: 1 }],
+    matches: [{ players: [0, 1], wins: [0, 2], draws: 0, reported: true }],
+  };
+  expect(winRates.seatRecords(deck, event)).toEqual([
+    { wins: 0, losses: 1, draws: 0 },
+    { wins: 1, losses: 0, draws: 0 },
+    { wins: 1, losses: 1, draws: 0 },
+  ]);
+});
+
+test('wilsonInterval contains the win rate and narrows with more matches', () => {
+  const [low, high] = winRates.wilsonInterval({ wins: 6, losses: 4, draws: 0 });
+  expect(low).toBeLessThan(0.6);
+  expect(high).toBeGreaterThan(0.6);
+  const [bigLow, bigHigh] = winRates.wilsonInterval({ wins: 600, losses: 400, draws: 0 });
+  expect(bigHigh - bigLow).toBeLessThan(high - low);
+  expect(winRates.wilsonInterval({ wins: 0, losses: 0, draws: 0 })).toEqual([0, 1]);
+});
+
+test('cubeWinRates groups results by card, colors and archetype', () => {
+  const cards = [
+    { cardID: 'bolt', tags: ['Burn'] },
+    { cardID: 'counterspell', tags: ['Control'] },
+    { cardID: 'island', tags: [] },
+  ];
+  const decks = [
+    {
+      _id: 'a',
+      cards,
+      seats: [seat([0, 0, 0, 2], { wins: 3, losses: 0, draws: 0 }), seat([1, 1, 1, 2], { wins: 0, losses: 3 })],
+    },
+    { _id: 'b', cards, seats: [seat([0, 1], { wins: 1, losses: 1, draws: 0 }), seat([1], null)] },
+  ];
+  const result = winRates.cubeWinRates(decks, [], carddb, { 'lightning bolt': 1400, counterspell: 1600 });
+  expect(result.decks).toBe(3);
+
+  const byName = (list) => Object.fromEntries(list.map((entry) => [entry.name, entry]));
+  expect(byName(result.cards)['lightning bolt']).toMatchObject({ decks: 2, wins: 4, losses: 1, winRate: 0.8 });
+  expect(byName(result.cards).counterspell).toMatchObject({ decks: 2, wins: 1, losses: 4, winRate: 0.2 });
+  expect(byName(result.colors)).toMatchObject({ R: { decks: 1 }, U: { decks: 1 }, UR: { decks: 1 } });
+  expect(byName(result.archetypes)).toMatchObject({ Burn: { wins: 3 }, Control: { losses: 3 } });
+  expect(result.overperformers.map(({ name }) => name)).toEqual(['lightning bolt']);
+  expect(result.underperformers.map(({ name }) => name)).toEqual(['counterspell']);
+});
@@ -0,0 +1,91 @@
+import { createDraft, getDraftFormat } from 'drafting/createdraft';
+import { allBotsDraft, getDraftTimeline } from 'drafting/draftutil';
+
+const fixturesPath = 'fixtures';
+const cubefixture = require('../../../fixtures/examplecube');
+
+const carddb = require('../../../serverjs/cards');
+
+describe('getDraftTimeline', () => {
+  let draft;
+  beforeAll(async () => {
+    await carddb.initializeCardDb(fixturesPath, true);
+    const cards = cubefixture.exampleCube.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+    const format = getDraftFormat({ id: -1, packs: 2, cards: 3 }, cubefixture.exampleCube);
+    draft = createDraft(format, cards, 2, { username: 'user', _id: 0 }, true, 'seed');
+    draft.cards = draft.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+    draft.basics = [];
+    draft = allBotsDraft(draft);
+  });
+
+  afterAll(() => {
+    carddb.unloadCardDb();
+  });
+
+  it('has every seat take a card from the pack in front of it at each pick', () => {
+    const timeline = getDraftTimeline(draft);
+    expect(timeline.map(({ packNum, pickNum }) => [packNum, pickNum])).toEqual([
+      [0, 0],
+      [0, 1],
+      [0, 2],
+      [1, 0],
+      [1, 1],
+      [1, 2],
+    ]);
+    for (const [seatIndex, seat] of draft.seats.entries()) {
+      expect(timeline.map(({ seats }) => seats[seatIndex].card)).toEqual(seat.pickorder);
+    }
+    for (const { packNum, seats } of timeline) {
+      for (const { card, action, drafterState } of seats) {
+        expect(action).toEqual('pick');
+        expect(drafterState.cardsInPack).toContain(card);
+        expect(drafterState.packNum).toEqual(packNum);
+      }
+    }
+    expect(timeline[3].seats[0].drafterState.cardsInPack).toEqual(draft.initial_state[0][1].cards);
+  });
+
+  it('stops at the last pick every seat has made', () => {
+    const unfinished = {
+      ...draft,
+      seats: draft.seats.map((seat, seatIndex) => ({ ...seat, pickorder: seat.pickorder.slice(0, 4 - seatIndex) })),
+    };
+    expect(getDraftTimeline(unfinished)).toHaveLength(3);
+  });
+
+  it('shows the cards trashed by trash steps', () => {
+    const cube = {
+      ...cubefixture.exampleCube,
+      draft_formats: [
+        {
+          multiples: false,
+          packs: [
+            {
+              slots: ['*', '*', '*', '*'],
+              steps: [
+                { action: 'pick', amount: 1 },
+                { action: 'pass', amount: 1 },
+                { action: 'trash', amount: 1 },
+                { action: 'pass', amount: 1 },
+                { action: 'pick', amount: 1 },
+                { action: 'pass', amount: 1 },
+                { action: 'trash', amount: 1 },
+              ],
+            },
+          ],
+        },
+      ],
+    };
+    const cards = cube.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+    let trashDraft = createDraft(getDraftFormat({ id: 0 }, cube), cards, 2, { username: 'user', _id: 0 }, true, 'seed');
+    trashDraft.cards = trashDraft.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+    trashDraft.basics = [];
+    trashDraft = allBotsDraft(trashDraft);
+
+    const timeline = getDraftTimeline(trashDraft);
+    expect(timeline.map(({ seats }) => seats[0].action)).toEqual(['pick', 'trash', 'pick', 'trash']);
+    expect(timeline.filter(({ seats }) => seats[1].action === 'trash').map(({ seats }) => seats[1].card)).toEqual(
+      trashDraft.seats[1].trashorder,
+    );
+  });
+});
@@ -0,0 +1,33 @@
+import { BOT_PROFILES, DEFAULT_BOT_PROFILE, getProfileOracles } from 'drafting/draftbots';
+
+const drafterState = { packNum: 1, numPacks: 3, pickNum: 4, packSize: 15 };
+
+const weightsByTitle = (profile) =>
+  Object.fromEntries(
+    getProfileOracles(profile).map(({ title, computeWeight }) => [title, computeWeight(drafterState)]),
+  );
+
+describe('getProfileOracles', () => {
+  it('uses the default profile for missing or unknown profiles', () => {
+    expect(getProfileOracles(undefined)).toBe(getProfileOracles(DEFAULT_BOT_PROFILE));
+    expect(getProfileOracles('constructor')).toBe(getProfileOracles(DEFAULT_BOT_PROFILE));
+  });
+
+  it('scales the standard oracles by the weights of the profile', () => {
+    const balanced = weightsByTitle(DEFAULT_BOT_PROFILE);
+    const synergy = weightsByTitle('synergy');
+    expect(synergy.Rating).toBeCloseTo(balanced.Rating * 0.5);
+    expect(synergy['Pick Synergy']).toBeCloseTo(balanced['Pick Synergy'] * 2);
+    expect(weightsByTitle('elo').Openness).toBe(0);
+  });
+
+  it('only adds the extra oracles a profile asks for', () => {
+    for (const [id, { oracles }] of Object.entries(BOT_PROFILES)) {
+      const titles = getProfileOracles(id).map(({ title }) => title);
+      expect(titles.filter((title) => ['Rarity', 'Curve', 'Forced Color'].includes(title)).sort()).toEqual(
+        Object.keys(oracles).sort(),
+      );
+    }
+    expect(weightsByTitle('rares').Rarity).toBe(8);
+  });
+});
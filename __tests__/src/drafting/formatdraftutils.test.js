@@ -0,0 +1,144 @@
+import { applyFormatMove, replayFormatDraft, runFormatBots } from 'drafting/formatdraftutils';
+
+const fixturesPath = 'fixtures';
+const cubefixture = require('../../../fixtures/examplecube');
+
+const carddb = require('../../../serverjs/cards');
+
+const makeDraft = (format, initialState, numSeats = 2, bots = false) => ({
+  format,
+  cards: cubefixture.exampleCube.cards.slice(0, initialState.flat().length),
+  basics: [],
+  initial_state: initialState,
+  seats: Array.from({ length: numSeats }, (_, seat) => ({
+    bot: bots,
+    name: `Seat ${seat}`,
+    drafted: [new Array(8).fill([]), new Array(8).fill([])],
+    pickorder: [],
+  })),
+  moves: [],
+});
+
+const range = (start, end) => Array.from({ length: end - start }, (_, index) => start + index);
+
+const play = (draft, moves) =>
+  moves.reduce((current, move) => applyFormatMove(current.draft, current.state, move), {
+    draft,
+    state: replayFormatDraft(draft),
+  });
+
+describe('rochester', () => {
+  it('picks from each pack in snake order, the other way around the table each round', () => {
+    const draft = makeDraft(
+      'rochester',
+      [range(0, 4), range(4, 8), range(8, 12), range(12, 16), range(16, 20), range(20, 24)],
+      3,
+    );
+    const actors = [];
+    let current = { draft, state: replayFormatDraft(draft) };
+    while (current.state.actor !== null) {
+      const { actor, pack } = current.state;
+      actors.push(actor);
+      current = applyFormatMove(current.draft, current.state, { seat: actor, action: 'pick', cards: [pack[0]] });
+    }
+    expect(actors.slice(0, 8)).toEqual([0, 1, 2, 2, 1, 2, 0, 0]);
+    expect(actors.slice(12, 16)).toEqual([0, 2, 1, 1]);
+    expect(current.draft.seats.map(({ pickorder }) => pickorder.length)).toEqual([8, 8, 8]);
+    expect(replayFormatDraft(current.draft)).toEqual(current.state);
+  });
+
+  it('only allows picks from the open pack by the seat whose turn it is', () => {
+    const { draft, state } = play(makeDraft('rochester', [range(0, 4), range(4, 8)]), []);
+    expect(() => applyFormatMove(draft, state, { seat: 1, action: 'pick', cards: [0] })).toThrow("isn't your turn");
+    expect(() => applyFormatMove(draft, state, { seat: 0, action: 'pick', cards: [4] })).toThrow();
+  });
+});
+
+describe('winston', () => {
+  it('refills taken piles and grows passed ones', () => {
+    const { draft, state } = play(makeDraft('winston', [range(0, 10)]), [
+      { seat: 0, action: 'pass' },
+      { seat: 0, action: 'take' },
+    ]);
+    expect(draft.seats[0].pickorder).toEqual([1]);
+    expect(state.piles).toEqual([[0, 3], [4], [2]]);
+    expect(state.actor).toBe(1);
+  });
+
+  it('takes the top card of the deck after passing on every pile', () => {
+    const { draft, state } = play(makeDraft('winston', [range(0, 10)]), [
+      { seat: 0, action: 'pass' },
+      { seat: 0, action: 'pass' },
+      { seat: 0, action: 'pass' },
+    ]);
+    expect(draft.seats[0].pickorder).toEqual([6]);
+    expect(state.piles).toEqual([
+      [0, 3],
+      [1, 4],
+      [2, 5],
+    ]);
+    expect(state.seen[0]).toContain(6);
+    expect(state.seen[1]).toEqual([0, 3]);
+  });
+
+  it('has to take the last pile when there is nothing to pass for', () => {
+    const { draft, state } = play(makeDraft('winston', [range(0, 3)]), [
+      { seat: 0, action: 'take' },
+      { seat: 1, action: 'take' },
+    ]);
+    expect(state.pile).toBe(2);
+    expect(() => applyFormatMove(draft, state, { seat: 0, action: 'pass' })).toThrow();
+    expect(applyFormatMove(draft, state, { seat: 0, action: 'take' }).state.actor).toBeNull();
+  });
+});
+
+describe('winchester', () => {
+  it('adds a card to every pile after one is taken', () => {
+    const { draft, state } = play(makeDraft('winchester', [range(0, 10)]), [{ seat: 0, action: 'take', pile: 2 }]);
+    expect(draft.seats[0].pickorder).toEqual([2]);
+    expect(state.piles).toEqual([[0, 4], [1, 5], [6], [3, 7]]);
+    expect(state.actor).toBe(1);
+    expect(() => applyFormatMove(draft, state, { seat: 1, action: 'take', pile: 4 })).toThrow();
+  });
+});
+
+describe('solomon', () => {
+  it('gives the chosen pile to the chooser and the other to the splitter', () => {
+    const { draft, state } = play(makeDraft('solomon', [range(0, 12)]), [
+      { seat: 0, action: 'split', cards: [0, 1, 2] },
+      { seat: 1, action: 'choose', pile: 1 },
+    ]);
+    expect(draft.seats[0].pickorder).toEqual([0, 1, 2]);
+    expect(draft.seats[1].pickorder).toEqual([3, 4, 5, 6, 7]);
+    expect(state.group).toEqual(range(8, 12));
+    expect(state.actor).toBe(1);
+  });
+
+  it('only splits the revealed cards', () => {
+    const { draft, state } = play(makeDraft('solomon', [range(0, 12)]), []);
+    expect(() => applyFormatMove(draft, state, { seat: 0, action: 'split', cards: [8] })).toThrow();
+  });
+});
+
+describe('runFormatBots', () => {
+  beforeAll(async () => {
+    await carddb.initializeCardDb(fixturesPath, true);
+  });
+
+  afterAll(() => {
+    carddb.unloadCardDb();
+  });
+
+  it.each([
+    ['rochester', [range(0, 5), range(5, 10)]],
+    ['winston', [range(0, 16)]],
+    ['winchester', [range(0, 16)]],
+    ['solomon', [range(0, 16)]],
+  ])('drafts every card in a %s draft between bots', (format, initialState) => {
+    const draft = makeDraft(format, initialState, 2, true);
+    draft.cards = draft.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+    const { draft: finished, state } = runFormatBots(draft, replayFormatDraft(draft));
+    expect(state.actor).toBeNull();
+    expect(finished.seats.flatMap(({ pickorder }) => pickorder).sort((a, b) => a - b)).toEqual(initialState.flat());
+  });
+});
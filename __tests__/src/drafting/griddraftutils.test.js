@@ -0,0 +1,70 @@
+import { applyGridPicks, getGridDrafterState, getGridPicks } from 'drafting/griddraftutils';
+
+const makeGridDraft = () => ({
+  cards: Array.from({ length: 18 }, (_, index) => ({ cardID: `${index}`, cmc: index % 4, type_line: 'Creature' })),
+  basics: [],
+  initial_state: [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    [9, 10, 11, 12, 13, 14, 15, 16, 17],
+  ],
+  seats: [0, 1].map(() => ({
+    drafted: [new Array(8).fill([]), new Array(8).fill([])],
+    pickorder: [],
+    pickedIndices: [],
+  })),
+});
+
+const pick = (gridDraft, seatIndex, positions) => {
+  const drafterState = getGridDrafterState({ gridDraft, seatNumber: seatIndex });
+  return applyGridPicks(gridDraft, seatIndex, getGridPicks(drafterState, positions));
+};
+
+describe('getGridPicks', () => {
+  const drafterState = { cardsInPack: [0, 1, 2, 3, null, 5, 6, null, 8] };
+
+  it('picks the cards left in a row or column', () => {
+    expect(getGridPicks(drafterState, [0, 1, 2])).toEqual([
+      [0, 0],
+      [1, 1],
+      [2, 2],
+    ]);
+    expect(getGridPicks(drafterState, [1, 4, 7])).toEqual([[1, 1]]);
+  });
+
+  it('rejects positions that are not a row or column', () => {
+    expect(getGridPicks(drafterState, [0, 4, 8])).toBeNull();
+    expect(getGridPicks(drafterState, [0, 1])).toBeNull();
+  });
+
+  it('rejects a line with no cards left', () => {
+    expect(getGridPicks({ cardsInPack: [0, 1, 2, null, null, null, 6, 7, 8] }, [3, 4, 5])).toBeNull();
+  });
+});
+
+describe('applyGridPicks', () => {
+  it('passes the turn between the seats', () => {
+    let gridDraft = makeGridDraft();
+    expect(getGridDrafterState({ gridDraft, seatNumber: 0 }).turn).toBe(true);
+    expect(getGridDrafterState({ gridDraft, seatNumber: 1 }).turn).toBe(false);
+
+    gridDraft = pick(gridDraft, 0, [0, 1, 2]);
+    expect(gridDraft.seats[0].pickorder).toEqual([0, 1, 2]);
+    expect(getGridDrafterState({ gridDraft, seatNumber: 0 }).turn).toBe(false);
+    const secondState = getGridDrafterState({ gridDraft, seatNumber: 1 });
+    expect(secondState.turn).toBe(true);
+    expect(secondState.cardsInPack).toEqual([null, null, null, 3, 4, 5, 6, 7, 8]);
+
+    // Seat two takes what is left of a column, then picks first from the next pack.
+    gridDraft = pick(gridDraft, 1, [0, 3, 6]);
+    expect(gridDraft.seats[1].pickorder).toEqual([3, 6]);
+    expect(getGridDrafterState({ gridDraft, seatNumber: 1 }).turn).toBe(true);
+    expect(getGridDrafterState({ gridDraft, seatNumber: 1 }).packNum).toBe(1);
+  });
+
+  it('does not change the draft it was given', () => {
+    const gridDraft = makeGridDraft();
+    pick(gridDraft, 0, [0, 3, 6]);
+    expect(gridDraft.seats[0].pickorder).toEqual([]);
+    expect(gridDraft.seats[0].drafted.flat(3)).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import seedrandom from 'seedrandom';
+
+import { createDraft, getDraftFormat } from 'drafting/createdraft';
+import { allBotsDraft } from 'drafting/draftutil';
+import { chooseQuizPick, getQuizPicks, pickRate } from 'drafting/pickQuiz';
+
+const fixturesPath = 'fixtures';
+const cubefixture = require('../../../fixtures/examplecube');
+
+const carddb = require('../../../serverjs/cards');
+
+describe('pickQuiz', () => {
+  let draft;
+  beforeAll(async () => {
+    await carddb.initializeCardDb(fixturesPath, true);
+    const cards = cubefixture.exampleCube.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+    const format = getDraftFormat({ id: -1, packs: 2, cards: 3 }, cubefixture.exampleCube);
+    draft = createDraft(format, cards, 2, { username: 'user', _id: 0 }, true, 'seed');
+    draft.cards = draft.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+    draft.basics = [];
+    draft = allBotsDraft(draft);
+    // The first seat is drafted by a person.
+    draft.seats = draft.seats.map((seat, seatIndex) => ({ ...seat, bot: seatIndex !== 0 }));
+  });
+
+  afterAll(() => {
+    carddb.unloadCardDb();
+  });
+
+  it('asks about every pick with more than one card to choose from', () => {
+    const quizPicks = getQuizPicks(draft, 0);
+    expect(quizPicks.map(({ pickNumber }) => pickNumber)).toEqual([0, 1, 3, 4]);
+    expect(quizPicks.map(({ packNum, pickNum }) => [packNum, pickNum])).toEqual([
+      [0, 0],
+      [0, 1],
+      [1, 0],
+      [1, 1],
+    ]);
+    for (const { card, pickNumber, drafterState } of quizPicks) {
+      expect(card).toEqual(draft.seats[0].pickorder[pickNumber]);
+      expect(drafterState.cardsInPack).toContain(card);
+      expect(drafterState.picked).toEqual(draft.seats[0].pickorder.slice(0, pickNumber));
+    }
+  });
+
+  it('only chooses picks made by people', () => {
+    const rng = seedrandom('quiz');
+    for (let i = 0; i < 10; i++) {
+      expect(chooseQuizPick(draft, rng).seatNumber).toEqual(0);
+    }
+    const botDraft = { ...draft, seats: draft.seats.map((seat) => ({ ...seat, bot: true })) };
+    expect(chooseQuizPick(botDraft, rng)).toBeNull();
+  });
+
+  it('chooses the same pick for the same seed', () => {
+    const first = chooseQuizPick(draft, seedrandom('daily'));
+    const second = chooseQuizPick(draft, seedrandom('daily'));
+    expect(second.pickNumber).toEqual(first.pickNumber);
+    expect(second.card).toEqual(first.card);
+  });
+
+  it('gives the pick rate of cards that have been seen', () => {
+    expect(pickRate({ picks: 3, passes: 1 })).toEqual(0.75);
+    expect(pickRate({ picks: 0, passes: 0 })).toBeNull();
+    expect(pickRate(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import { getDraftFormat } from 'drafting/createdraft';
+import simulateDrafts from 'drafting/simulateDrafts';
+
+const fixturesPath = 'fixtures';
+const cubefixture = require('../../../fixtures/examplecube');
+
+const carddb = require('../../../serverjs/cards');
+
+describe('simulateDrafts', () => {
+  let cards;
+  beforeAll(async () => {
+    await carddb.initializeCardDb(fixturesPath, true);
+    cards = cubefixture.exampleCube.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+  });
+
+  afterAll(() => {
+    carddb.unloadCardDb();
+  });
+
+  it('drafts and builds a deck for every seat', async () => {
+    const format = getDraftFormat({ id: -1, packs: 2, cards: 5 }, {});
+    const progress = [];
+    const report = await simulateDrafts(format, cards, [], {
+      seats: 4,
+      iterations: 2,
+      seed: 'seed',
+      onProgress: (finished) => progress.push(finished),
+    });
+    expect(progress).toEqual([1, 2]);
+    expect(report.builtDrafts).toBe(2);
+    expect(report.decks).toBe(8);
+    expect(report.colors.reduce((acc, { count }) => acc + count, 0)).toBeCloseTo(1);
+
+    const pickedCards = report.cards.filter(({ picked }) => picked > 0);
+    expect(pickedCards.reduce((acc, { picked }) => acc + picked, 0)).toBe(2 * 4 * 2 * 5);
+    for (const { averagePick } of pickedCards) {
+      expect(averagePick).toBeGreaterThanOrEqual(1);
+      expect(averagePick).toBeLessThanOrEqual(5);
+    }
+    expect(report.neverPicked).toEqual(report.cards.filter(({ opened }) => opened === 0).map(({ name }) => name));
+  });
+
+  it('gives the same report for the same seed', async () => {
+    const format = getDraftFormat({ id: -1, packs: 1, cards: 5 }, {});
+    const first = await simulateDrafts(format, cards, [], { seats: 2, iterations: 1, seed: 'seed' });
+    const second = await simulateDrafts(format, cards, [], { seats: 2, iterations: 1, seed: 'seed' });
+    expect(second).toEqual(first);
+  });
+
+  it('counts the drafts the format could not build', async () => {
+    const format = getDraftFormat({ id: -1, packs: 1, cards: 15 }, {});
+    const report = await simulateDrafts(format, cards.slice(0, 20), [], { seats: 2, iterations: 1 });
+    expect(report.builtDrafts).toBe(0);
+    expect(report.errors).toHaveLength(1);
+  });
+});
@@ -0,0 +1,66 @@
+import { parseDraftFormat } from 'drafting/createdraft';
+import simulateFormat from 'drafting/simulateFormat';
+
+const fixturesPath = 'fixtures';
+const cubefixture = require('../../../fixtures/examplecube');
+
+const carddb = require('../../../serverjs/cards');
+
+const makeFormat = (packs, multiples = false) => {
+  const format = parseDraftFormat(packs.map((slots) => ({ slots, steps: null })));
+  format.multiples = multiples;
+  return format;
+};
+
+describe('simulateFormat', () => {
+  let cards;
+  beforeAll(async () => {
+    await carddb.initializeCardDb(fixturesPath, true);
+    cards = cubefixture.exampleCube.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+  });
+
+  it('gives the same results for the same seed', () => {
+    const format = makeFormat([['*', 'c:w', 't:creature']]);
+    const first = simulateFormat(format, cards, { seats: 4, iterations: 20, seed: 'seed' });
+    const second = simulateFormat(format, cards, { seats: 4, iterations: 20, seed: 'seed' });
+    expect(second).toEqual(first);
+  });
+
+  it('reports the slots that run out of cards', () => {
+    // 19 white cards can't fill 3 white slots for 8 players.
+    const format = makeFormat([['c:w', 'c:w', 'c:w', '*']]);
+    const simulation = simulateFormat(format, cards, { seats: 8, iterations: 50, seed: 'seed' });
+    expect(simulation.builtDrafts).toBe(0);
+    expect(simulation.slots.slice(0, 3).reduce((total, slot) => total + slot.ranOutFirst, 0)).toBe(50);
+    expect(simulation.slots.slice(0, 3).reduce((total, slot) => total + slot.failed, 0)).toBe(50);
+    expect(simulation.slots[3].ranOut).toBe(0);
+    expect(simulation.samplePacks).toEqual([]);
+  });
+
+  it('drops filters that run out in favor of the other options in the slot', () => {
+    const format = makeFormat([['c:w, t:land', 'c:w, t:land', 'c:w, t:land']]);
+    const simulation = simulateFormat(format, cards, { seats: 8, iterations: 50, seed: 'seed' });
+    expect(simulation.builtDrafts).toBe(50);
+    expect(simulation.slots.every((slot) => slot.failed === 0)).toBe(true);
+  });
+
+  it('counts the expected colors, types and tags in each pack', () => {
+    const format = makeFormat([['t:creature', 't:creature'], ['tag:new']]);
+    const simulation = simulateFormat(format, cards, { seats: 2, iterations: 20, seed: 'seed' });
+    const count = (counts, name) => counts.find((entry) => entry.name === name)?.count ?? 0;
+    expect(count(simulation.packs[0].types, 'Creature')).toBe(2);
+    expect(count(simulation.packs[1].tags, 'New')).toBe(1);
+    expect(simulation.samplePacks.map((pack) => pack.length)).toEqual([2, 1]);
+  });
+
+  it('only finds duplicates when multiples are allowed', () => {
+    const packs = [['name:"Castle Ardenvale"', '*']];
+    const options = { seats: 2, iterations: 20, seed: 'seed' };
+    expect(simulateFormat(makeFormat(packs, true), cards, options).draftsWithDuplicates).toBe(1);
+    // The example cube has two copies of one card.
+    const singleton = cards.filter((card, index) => cards.findIndex(({ cardID }) => cardID === card.cardID) === index);
+    const simulation = simulateFormat(makeFormat([['*', '*', '*']]), singleton, options);
+    expect(simulation.packsWithDuplicates).toBe(0);
+    expect(simulation.draftsWithDuplicates).toBe(0);
+  });
+});
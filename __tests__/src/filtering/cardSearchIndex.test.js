@@ -0,0 +1,116 @@
+import { buildCardSearchIndex, filterCardIndex, hasSortOrder } from 'filtering/CardSearchIndex';
+import { filterCardsDetails, makeFilter } from 'filtering/FilterCards';
+import { cardPrice } from 'utils/Card';
+import { ORDERED_SORTS, SortFunctionsOnDetails } from 'utils/Sort';
+
+const carddb = require('../../../serverjs/cards');
+
+const fixturesPath = 'fixtures';
+
+const FILTERS = [
+  'castle',
+  'CASTLE',
+  'stle vant',
+  '"castle vantress"',
+  '"kenrith\'s"',
+  '"\'s trans"',
+  'n:serpent',
+  'name=glass casket',
+  'n:/^castle/',
+  'o:draw',
+  'o:"enters the battlefield"',
+  'o:"ters the batt"',
+  'o:+1/+1',
+  'o:"/+1 "',
+  'o:~',
+  'o:"~ deals"',
+  'oracle:"this spell"',
+  'o:/damage/',
+  't:knight',
+  't:"creature — human"',
+  'type=land',
+  't!=land',
+  't:legendary t:creature',
+  'cmc=2',
+  'mv>=4',
+  'cmc<1',
+  'elo>1200',
+  'elo=1200',
+  'pop=0',
+  'pop>5',
+  'price>1',
+  'usd<=0.5',
+  'cubes>0',
+  'picks<10',
+  'castle or serpent',
+  't:land or cmc>5',
+  '(t:creature or t:artifact) cmc<=2',
+  '-t:creature',
+  'not o:draw',
+  '-(castle or t:creature) cmc=0',
+  'c:g t:creature',
+  'r:mythic or o:flying',
+  'is:dfc or n:knight',
+  '-castle -knight',
+  'zzzzzzz',
+  'o:"zzz zzz"',
+];
+
+const ids = (cards) => cards.map((card) => card._id);
+
+describe('CardSearchIndex', () => {
+  let index;
+  beforeAll(async () => {
+    await carddb.initializeCardDb(fixturesPath, true);
+    index = buildCardSearchIndex(carddb.printedCardList);
+  });
+
+  it('is built when the card database loads', () => {
+    expect(carddb.printedCardIndex.cards).toHaveLength(carddb.printedCardList.length);
+  });
+
+  it('returns every card without a filter', () => {
+    expect(ids(filterCardIndex(index, null))).toEqual(ids(carddb.printedCardList));
+  });
+
+  it.each(FILTERS)('matches filterCardsDetails for %s', (filterText) => {
+    const { err, filter } = makeFilter(filterText);
+    expect(err).toBeFalsy();
+    expect(ids(filterCardIndex(index, filter))).toEqual(ids(filterCardsDetails(carddb.printedCardList, filter)));
+  });
+
+  it('keeps an order for every sort card search offers', () => {
+    for (const sort of ORDERED_SORTS) {
+      expect(hasSortOrder(index, sort)).toBe(true);
+    }
+  });
+
+  it.each(['Mana Value', 'Elo', 'Release Date', 'Alphabetical', 'Cube Count', 'Pick Count'])(
+    'matches a stable sort by %s',
+    (sort) => {
+      for (const filterText of ['t:creature', 'castle or cmc>3', '-o:draw']) {
+        const { filter } = makeFilter(filterText);
+        const expected = filterCardsDetails(carddb.printedCardList, filter).sort(SortFunctionsOnDetails(sort));
+        expect(ids(filterCardIndex(index, filter, sort))).toEqual(ids(expected));
+      }
+    },
+  );
+
+  it('sorts by price with the cards without one first', () => {
+    const prices = filterCardIndex(index, null, 'Price').map((details) => cardPrice({ details }) ?? -1);
+    expect(prices).toEqual([...prices].sort((a, b) => a - b));
+    expect(prices.some((price) => price > 0)).toBe(true);
+  });
+
+  it('only runs the filter on candidate cards', () => {
+    const { filter } = makeFilter('castle t:land');
+    let checked = 0;
+    const counting = (card) => {
+      checked += 1;
+      return filter(card);
+    };
+    Object.assign(counting, filter);
+    expect(filterCardIndex(index, counting)).toHaveLength(5);
+    expect(checked).toBeLessThan(10);
+  });
+});
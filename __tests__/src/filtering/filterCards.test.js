@@ -1,4 +1,6 @@
-import { makeFilter } from 'filtering/FilterCards';
+import { expandSavedFilters, makeFilter } from 'filtering/FilterCards';
+import { CARD_CATEGORY_DETECTORS } from 'utils/Card';
+import { MAX_REGEX_LENGTH } from 'filtering/FuncOperations';
 import { expectOperator } from '../../helpers/helpers';
 
 const fixturesPath = 'fixtures';
@@ -866,6 +868,143 @@ describe('filter', () => {
       });
     });
 
+    describe('grouping and negation', () => {
+      const names = (filterText) => {
+        const { filter, err } = makeFilter(filterText);
+        expect(err).toBeFalsy();
+        return exampleCube.cards.filter(filter).map((card) => card.details.name);
+      };
+      const matching = (predicate) => exampleCube.cards.filter(predicate).map((card) => card.details.name);
+      const isCreature = (card) => card.details.type.includes('Creature');
+      const isLand = (card) => card.details.type.includes('Land');
+      const isWhite = (card) => card.details.colors.includes('W');
+
+      it('applies and before or', () => {
+        expect(names('t:creature c:w or t:land')).toEqual(
+          matching((card) => (isCreature(card) && isWhite(card)) || isLand(card)),
+        );
+        expect(names('t:creature (c:w or t:land)')).toEqual(
+          matching((card) => isCreature(card) && (isWhite(card) || isLand(card))),
+        );
+      });
+
+      it('allows spaces inside parentheses', () => {
+        expect(names('( t:creature or t:land ) -c:w')).toEqual(
+          matching((card) => (isCreature(card) || isLand(card)) && !isWhite(card)),
+        );
+      });
+
+      it('negates any clause with - or not', () => {
+        const expected = matching((card) => !(isCreature(card) || isLand(card)));
+        expect(names('-(t:creature or t:land)')).toEqual(expected);
+        expect(names('not (t:creature or t:land)')).toEqual(expected);
+        expect(names('NOT t:creature and not t:land')).toEqual(expected);
+      });
+    });
+
+    describe('regex filtering', () => {
+      it('matches names, oracle text, types and tags', () => {
+        const names = (filterText) => exampleCube.cards.filter(makeFilter(filterText).filter);
+        expect(names('/^castle/')).toEqual(exampleCube.cards.filter((card) => /^castle/i.test(card.details.name)));
+        expect(names('o:/flying|vigilance/')).toEqual(
+          exampleCube.cards.filter((card) => /flying|vigilance/i.test(card.details.oracle_text)),
+        );
+        expect(names('t:/^legendary.*creature/')).toEqual(
+          exampleCube.cards.filter((card) => /^legendary.*creature/i.test(card.details.type)),
+        );
+        expect(names('name!=/e/')).toEqual(exampleCube.cards.filter((card) => !/e/i.test(card.details.name)));
+        expect(names('tag:/^ne/')).toEqual(exampleCube.cards.filter((card) => card.tags.includes('New')));
+      });
+
+      it('rejects invalid regular expressions', () => {
+        expect(makeFilter('o:/[/').err).toBeTruthy();
+      });
+
+      it('rejects regular expressions that could take too long to run', () => {
+        expect(makeFilter('o:/(a+)+$/').err).toBeTruthy();
+        expect(makeFilter('o:/(?:\\w*x?)*y/').err).toBeTruthy();
+        expect(makeFilter(`o:/${'a'.repeat(MAX_REGEX_LENGTH + 1)}/`).err).toBeTruthy();
+        expect(makeFilter('o:/(.|.)*z/').err).toBeTruthy();
+        expect(makeFilter('o:/(a|aa)+$/').err).toBeTruthy();
+        expect(makeFilter('o:/.*a.*z/').err).toBeTruthy();
+        expect(makeFilter('o:/(first|second) strike/').err).toBeFalsy();
+        expect(makeFilter('o:/draws? (a|two) cards?/').err).toBeFalsy();
+        expect(makeFilter('o:/{t}[a-z+*]*: add/').err).toBeFalsy();
+      });
+    });
+
+    describe('is: filtering', () => {
+      it('accepts every card category', () => {
+        for (const category of Object.keys(CARD_CATEGORY_DETECTORS)) {
+          expect(makeFilter(`is:${category}`).err).toBeFalsy();
+          expect(makeFilter(`not:${category}`).err).toBeFalsy();
+        }
+        expect(makeFilter('is:notacategory').err).toBeTruthy();
+      });
+
+      it('filters by category', () => {
+        const { filter } = makeFilter('is:permanent');
+        expect(exampleCube.cards.filter(filter)).toEqual(
+          exampleCube.cards.filter(({ details }) => CARD_CATEGORY_DETECTORS.permanent(details)),
+        );
+      });
+    });
+
+    describe('parse errors', () => {
+      it('reports the column of the mistake', () => {
+        const { err } = makeFilter('t:creature c:w)');
+        expect(err.column).toBe(15);
+        expect(err.message).toContain('column 15');
+      });
+
+      it('reports incomplete filters at the end', () => {
+        const { err } = makeFilter('t:creature or');
+        expect(err.column).toBe(14);
+      });
+    });
+
+    describe('saved filters', () => {
+      const savedFilters = [
+        { name: 'fixing', filter: 't:land or o:"add one mana of any color"' },
+        { name: 'white-creatures', filter: 't:creature c:w' },
+        { name: 'cheap', filter: 'mv<=2 -filter:fixing' },
+        { name: 'loop', filter: 'c:w filter:loop' },
+        { name: 'broken', filter: 't:creature filter:missing' },
+      ];
+      const names = (filterText) => {
+        const { filter, err } = makeFilter(filterText, savedFilters);
+        expect(err).toBeFalsy();
+        return exampleCube.cards.filter(filter);
+      };
+      const same = (filterText) => exampleCube.cards.filter(makeFilter(filterText).filter);
+
+      it('expands filter:name into the saved filter', () => {
+        expect(names('filter:fixing')).toEqual(same('t:land or o:"add one mana of any color"'));
+        expect(names('FILTER:White-Creatures or t:land')).toEqual(same('(t:creature c:w) or t:land'));
+        expect(names('filter:cheap t:creature')).toEqual(
+          same('mv<=2 -(t:land or o:"add one mana of any color") t:creature'),
+        );
+      });
+
+      it('leaves quoted text and regexes alone', () => {
+        expect(expandSavedFilters('o:"filter:fixing" o:/ filter:fixing/', savedFilters).text).toBe(
+          'o:"filter:fixing" o:/ filter:fixing/',
+        );
+      });
+
+      it('reports unknown and recursive saved filters', () => {
+        expect(makeFilter('t:creature filter:removal', savedFilters).err.column).toBe(12);
+        expect(makeFilter('filter:loop', savedFilters).err.message).toContain('refers to itself');
+        expect(makeFilter('c:r filter:broken', savedFilters).err.message).toContain('"missing"');
+        expect(makeFilter('filter:fixing').err).toBeTruthy();
+      });
+
+      it('reports parse errors at the reference', () => {
+        const { err } = makeFilter('filter:fixing c:w)', savedFilters);
+        expect(err.column).toBe(18);
+      });
+    });
+
     describe('rarity filtering', () => {
       const expectations = [
         {
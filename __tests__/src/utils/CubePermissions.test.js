@@ -0,0 +1,41 @@
+import { hasCubePermission } from 'utils/CubePermissions';
+
+const OWNER = '5f0000000000000000000001';
+const EDITOR = '5f0000000000000000000002';
+const BLOGGER = '5f0000000000000000000003';
+const INVITED = '5f0000000000000000000004';
+
+const cube = {
+  owner: OWNER,
+  collaborators: [
+    { user: EDITOR, role: 'editor', accepted: true },
+    { user: BLOGGER, role: 'blogger', accepted: true },
+    { user: INVITED, role: 'editor', accepted: false },
+  ],
+};
+
+describe('hasCubePermission', () => {
+  it('gives the owner every permission', () => {
+    for (const permission of ['view', 'edit', 'formats', 'blog']) {
+      expect(hasCubePermission(cube, OWNER, permission)).toBe(true);
+    }
+  });
+
+  it('gives collaborators the permissions of their role', () => {
+    expect(hasCubePermission(cube, EDITOR, 'edit')).toBe(true);
+    expect(hasCubePermission(cube, EDITOR, 'formats')).toBe(true);
+    expect(hasCubePermission(cube, BLOGGER, 'blog')).toBe(true);
+    expect(hasCubePermission(cube, BLOGGER, 'view')).toBe(true);
+    expect(hasCubePermission(cube, BLOGGER, 'edit')).toBe(false);
+  });
+
+  it('ignores invitations that have not been accepted', () => {
+    expect(hasCubePermission(cube, INVITED, 'view')).toBe(false);
+  });
+
+  it('denies everyone else', () => {
+    expect(hasCubePermission(cube, '5f0000000000000000000005', 'view')).toBe(false);
+    expect(hasCubePermission(cube, null, 'view')).toBe(false);
+    expect(hasCubePermission({ owner: OWNER }, EDITOR, 'view')).toBe(false);
+  });
+});
@@ -21,6 +21,9 @@ const carddb = require('./serverjs/cards.js');
 const CardRating = require('./models/cardrating');
 const CardHistory = require('./models/cardHistory');
 const { render } = require('./serverjs/render');
+const liveDraft = require('./serverjs/liveDraft');
+const liveGridDraft = require('./serverjs/liveGridDraft');
+const { rejectSuspended } = require('./routes/middleware');
 
 // Connect db
 mongoose.connect(process.env.MONGODB_URL, {
@@ -132,6 +135,9 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use('/js', express.static(path.join(__dirname, 'dist')));
 app.use('/jquery-ui', express.static(`${__dirname}/node_modules/jquery-ui-dist/`));
 
+// The public API authenticates with API keys rather than sessions, so it's mounted before the session middleware.
+app.use('/api/v1', require('./routes/api/v1'));
+
 const sessionOptions = {
   secret: process.env.SESSION,
   store,
@@ -143,7 +149,8 @@ const sessionOptions = {
 };
 
 // Express session middleware
-app.use(session(sessionOptions));
+const sessionMiddleware = session(sessionOptions);
+app.use(sessionMiddleware);
 
 // Express messages middleware
 app.use(require('connect-flash')());
@@ -159,6 +166,7 @@ require('./config/passport')(passport);
 
 app.use(passport.initialize());
 app.use(passport.session());
+app.use(rejectSuspended);
 
 // set CORS header for cube json requests (needs to be here to be included in rate limiter response)
 app.use('/cube/api/cubeJSON', (req, res, next) => {
@@ -174,6 +182,21 @@ const apiLimiter = rateLimit({
 });
 app.use('/cube/api/cubeJSON', apiLimiter);
 
+const simulationLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  message: { success: 'false', message: 'Too many simulations, please try again in a minute.' },
+});
+app.use('/cube/api/simulateformat', simulationLimiter);
+
+// Proxy sheets fetch an image for every card they print.
+const proxyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 5,
+  message: '429: Too Many Requests',
+});
+app.use(['/cube/download/proxies', '/cube/download/packproxies', '/cube/deck/download/proxies'], proxyLimiter);
+
 // check for downtime
 
 if (process.env.DOWNTIME_ACTIVE === 'true') {
@@ -194,6 +217,7 @@ app.use('/comment', require('./routes/comment_routes'));
 app.use('/admin', require('./routes/admin_routes'));
 app.use('/content', require('./routes/content_routes'));
 app.use('/packages', require('./routes/packages'));
+app.use('/collection', require('./routes/collection_routes'));
 
 app.use('', require('./routes/root'));
 
@@ -232,7 +256,11 @@ schedule.scheduleJob('0 10 * * *', async () => {
 
 // Start server after carddb is initialized.
 carddb.initializeCardDb().then(() => {
-  http.createServer(app).listen(process.env.PORT || 5000, '127.0.0.1', () => {
+  const server = http.createServer(app);
+  const socketMiddleware = [sessionMiddleware, passport.initialize(), passport.session()];
+  const io = liveDraft.attach(server, socketMiddleware);
+  liveGridDraft.attach(io, socketMiddleware);
+  server.listen(process.env.PORT || 5000, '127.0.0.1', () => {
     winston.info(`Server started on port ${process.env.PORT || 5000}...`);
   });
 });
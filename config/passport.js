@@ -1,6 +1,7 @@
 const LocalStrategy = require('passport-local').Strategy;
 const User = require('../models/user');
 const bcrypt = require('bcryptjs');
+const { isSuspended } = require('../serverjs/moderation');
 
 module.exports = function (passport) {
   //Local Strategy
@@ -22,6 +23,11 @@ module.exports = function (passport) {
         bcrypt.compare(password, user.password, function (err, isMatch) {
           if (err) throw err;
           if (isMatch) {
+            if (isSuspended(user)) {
+              return done(null, false, {
+                message: `This account is suspended until ${user.moderation.suspendedUntil.toLocaleString('en-US')}`,
+              });
+            }
             return done(null, user);
           } else {
             return done(null, false, {
@@ -12,6 +12,7 @@ const Blog = require('../models/blog');
 const { cardsNeedsCleaning, cleanCards } = require('../models/migrations/cleanCards');
 const carddb = require('../serverjs/cards');
 const util = require('../serverjs/util');
+const { removeCard, saveCubeChanges } = require('../serverjs/changelog');
 
 const DEFAULT_BASICS = [
   '1d7dba1c-a702-43c0-8fca-e47bbad4a00f',
@@ -52,6 +53,21 @@ const missingCardMarkdown = (card) => {
   return md;
 };
 
+// The changes that take the cleaned out cards out of the cube, for its history. Empty entries were never cards, so the
+// history doesn't have them.
+const removalChanges = (cards, removed) => {
+  const changes = [];
+  let index = 0;
+  for (const card of cards.filter((c) => c)) {
+    if (removed.includes(card)) {
+      changes.push(removeCard(index, card));
+    } else {
+      index += 1;
+    }
+  }
+  return changes;
+};
+
 const processCube = async (leanCube, admin) => {
   if (needsCleaning(leanCube)) {
     const cube = await Cube.findById(leanCube._id);
@@ -67,8 +83,11 @@ const processCube = async (leanCube, admin) => {
       cube.basics = DEFAULT_BASICS;
     }
     let removedCards = [];
+    let changes = [];
     if (cardsNeedsCleaning(cube.cards)) {
+      const cards = [...cube.cards];
       [cube.cards, removedCards] = cleanCards(cube.cards);
+      changes = removalChanges(cards, removedCards);
     }
     let removedMaybe = [];
     if (cardsNeedsCleaning(cube.maybe)) {
@@ -77,8 +96,10 @@ const processCube = async (leanCube, admin) => {
     if (cube.tags.some((tag) => !tag || tag.toLowerCase() !== tag)) {
       cube.tags = cube.tags.filter((tag) => tag && tag.length > 0).map((tag) => tag.toLowerCase());
     }
-    await cube.save();
-    if (removedMaybe.length === 0 && removedCards.length === 0) return;
+    if (removedMaybe.length === 0 && removedCards.length === 0) {
+      await cube.save();
+      return;
+    }
 
     const owner = await User.findById(cube.owner);
     let blogText = '';
@@ -101,6 +122,7 @@ const processCube = async (leanCube, admin) => {
     blogpost.date_formatted = blogpost.date.toLocaleString('en-US');
     blogpost.username = owner.username;
     blogpost.cubename = cube.name;
+    await saveCubeChanges(cube, admin || owner, changes, blogpost);
     await blogpost.save();
 
     if (removedCards.length > 0)
@@ -111,6 +133,8 @@ const processCube = async (leanCube, admin) => {
         `${removedCards.length} invalid card${
           removedCards.length === 1 ? ' was' : 's were'
         } automatically removed from your cube ${cube.name}`,
+        'other',
+        cube._id,
       );
     if (removedMaybe.length > 0)
       await util.addNotification(
@@ -120,6 +144,8 @@ const processCube = async (leanCube, admin) => {
         `${removedMaybe.length} invalid card${
           removedMaybe.length === 1 ? ' was' : 's were'
         } automatically removed from your cube ${cube.name}`,
+        'other',
+        cube._id,
       );
   }
 };
@@ -2,3 +2,5 @@
 npm run cards
 node jobs/update_cards.js
 node jobs/rotate_featured.js
+node jobs/populate_winrates.js
+node jobs/send_notification_digests.js daily
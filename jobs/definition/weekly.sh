@@ -3,3 +3,4 @@ node jobs/populate_embeddings.js
 node jobs/clean_cubes.js
 node jobs/download_cubes.js
 node --max-old-space-size=8192 jobs/populate_analytics.js
+node jobs/send_notification_digests.js weekly
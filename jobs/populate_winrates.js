@@ -0,0 +1,66 @@
+/* eslint-disable no-await-in-loop */
+// Load Environment Variables
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+const { winston } = require('../serverjs/cloudwatch');
+const carddb = require('../serverjs/cards.js');
+const { cubeWinRates } = require('../serverjs/winRates.js');
+const CubeAnalytic = require('../models/cubeAnalytic');
+const CubeWinRate = require('../models/cubeWinRate');
+const Deck = require('../models/deck');
+const Event = require('../models/event');
+
+const processCube = async (cubeId) => {
+  const events = await Event.find({ cube: cubeId }, 'deck players matches').lean();
+  const decks = await Deck.find(
+    {
+      cube: cubeId,
+      $or: [{ 'seats.record': { $exists: true } }, { _id: { $in: events.map(({ deck }) => deck) } }],
+    },
+    'seats cards',
+  ).lean();
+  const analytic = await CubeAnalytic.findOne({ cube: cubeId }, 'cards.cardName cards.elo').lean();
+  const eloByName = Object.fromEntries(
+    ((analytic && analytic.cards) || []).map(({ cardName, elo }) => [cardName, elo]),
+  );
+
+  const winRates = cubeWinRates(decks, events, carddb, eloByName);
+  await CubeWinRate.updateOne({ cube: cubeId }, { cube: cubeId, date: new Date(), ...winRates }, { upsert: true });
+};
+
+const run = async () => {
+  winston.info('Starting card db');
+  await carddb.initializeCardDb();
+  winston.info('finished loading cards');
+
+  const cubeIds = new Map();
+  for (const cubeId of [
+    ...(await Deck.distinct('cube', { 'seats.record': { $exists: true } })),
+    ...(await Event.distinct('cube')),
+  ]) {
+    cubeIds.set(`${cubeId}`, cubeId);
+  }
+
+  let i = 0;
+  for (const cubeId of cubeIds.values()) {
+    await processCube(cubeId);
+    i += 1;
+    if (i % 100 === 0) {
+      winston.info(`Finished: ${i} of ${cubeIds.size} cubes.`);
+    }
+  }
+  winston.info('Done');
+
+  // this is needed for log group to stream
+  await new Promise((resolve) => {
+    setTimeout(resolve, 10000);
+  });
+};
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URL);
+  await run();
+  process.exit();
+})();
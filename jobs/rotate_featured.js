@@ -35,12 +35,18 @@ const MS_PER_DAY = 1000 * 3600 * 24;
         const notifications = [];
         for (const old of olds) {
           notifications.push(
-            util.addNotification(old, admin, '/user/account?nav=patreon', 'Your cube is no longer featured.'),
+            util.addNotification(
+              old,
+              admin,
+              '/user/account?nav=patreon',
+              'Your cube is no longer featured.',
+              'featured',
+            ),
           );
         }
         for (const newO of news) {
           notifications.push(
-            util.addNotification(newO, admin, '/user/account?nav=patreon', 'Your cube has been featured!'),
+            util.addNotification(newO, admin, '/user/account?nav=patreon', 'Your cube has been featured!', 'featured'),
           );
         }
         await Promise.all(notifications);
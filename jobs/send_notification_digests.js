@@ -0,0 +1,107 @@
+/* eslint-disable no-await-in-loop */
+// run with: node jobs/send_notification_digests.js daily|weekly
+
+// Load Environment Variables
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const mailer = require('nodemailer');
+const Email = require('email-templates');
+const path = require('path');
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const util = require('../serverjs/util');
+
+const MAX_NOTIFICATIONS = 50;
+
+const frequency = process.argv[2];
+
+// Each digest has the unread notifications that haven't been in one yet, so nothing is emailed twice.
+const sendDigest = async (user, email) => {
+  const notifications = (
+    await Notification.find({ user: user._id, read: false, emailed: false }).sort({ date: -1 }).lean()
+  ).filter((notification) => !util.isNotificationMuted(user, notification.type, notification.cube));
+
+  if (notifications.length > 0) {
+    await email.send({
+      message: {
+        to: user.email,
+        subject: `Your ${frequency} Cube Cobra notifications`,
+      },
+      template: 'notification_digest',
+      locals: {
+        username: user.username,
+        frequency,
+        count: notifications.length,
+        more: Math.max(notifications.length - MAX_NOTIFICATIONS, 0),
+        notifications: notifications.slice(0, MAX_NOTIFICATIONS).map((notification) => ({
+          text: notification.text,
+          url: `https://cubecobra.com/user/notification/${notification._id}`,
+          date: notification.date.toLocaleDateString('en-US'),
+        })),
+      },
+    });
+  }
+
+  await Promise.all([
+    Notification.updateMany({ _id: { $in: notifications.map(({ _id }) => _id) } }, { emailed: true }),
+    User.updateOne({ _id: user._id }, { 'notificationSettings.lastDigest': new Date() }),
+  ]);
+};
+
+try {
+  (async () => {
+    if (!['daily', 'weekly'].includes(frequency)) {
+      console.error('Usage: node jobs/send_notification_digests.js daily|weekly');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URL);
+
+    const smtpTransport = mailer.createTransport({
+      name: 'CubeCobra.com',
+      secure: true,
+      service: 'Gmail',
+      auth: {
+        user: process.env.EMAIL_CONFIG_USERNAME,
+        pass: process.env.EMAIL_CONFIG_PASSWORD,
+      },
+    });
+
+    const email = new Email({
+      message: {
+        from: 'Cube Cobra Team <support@cubecobra.com>',
+      },
+      send: true,
+      juiceResources: {
+        webResources: {
+          relativeTo: path.join(__dirname, '..', 'public'),
+          images: true,
+        },
+      },
+      transport: smtpTransport,
+    });
+
+    console.log(`Sending ${frequency} notification digests`);
+    const cursor = User.find({ 'notificationSettings.digest': frequency }, '_id username email notificationSettings')
+      .lean()
+      .cursor();
+
+    let sent = 0;
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+      try {
+        await sendDigest(user, email);
+        sent += 1;
+      } catch (err) {
+        console.error(`Could not send the digest to ${user.username}`, err);
+      }
+    }
+
+    console.log(`Finished: ${sent} digests processed`);
+    await mongoose.disconnect();
+    process.exit();
+  })();
+} catch (err) {
+  console.error(err);
+  process.exit();
+}
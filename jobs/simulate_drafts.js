@@ -0,0 +1,138 @@
+// Runs bot only drafts of a cube and writes a report of how the drafts and the decks the bots build come out.
+// run with: node jobs/simulate_drafts.js <cube export> [--format <index>] [--packs 3] [--cards 15] [--seats 8]
+//   [--drafts 1000] [--seed <seed>] [--out <report.json>]
+// The cube export can be the JSON from /cube/api/cubeJSON/<id>, which has the cube's custom formats and basics, or any
+// of the cube downloads. --format picks one of the cube's custom formats, the standard format is used without it.
+const fs = require('fs');
+
+const carddb = require('../serverjs/cards.js');
+const { listToCards } = require('../serverjs/importers.js');
+const { getDraftFormat } = require('../dist/drafting/createdraft.js');
+const simulateDrafts = require('../dist/drafting/simulateDrafts.js').default;
+
+const DEFAULT_BASICS = [
+  '1d7dba1c-a702-43c0-8fca-e47bbad4a00f',
+  '42232ea6-e31d-46a6-9f94-b2ad2416d79b',
+  '19e71532-3f79-4fec-974f-b0e85c7fe701',
+  '8365ab45-6d78-47ad-a6ed-282069b0fabc',
+  '0c4eaecf-dd4c-45ab-9b50-2abe987d35d4',
+];
+
+const DEFAULT_OPTIONS = { format: '-1', packs: '3', cards: '15', seats: '8', drafts: '1000' };
+const LIST_LENGTH = 20;
+
+const parseArgs = (args) => {
+  const options = { ...DEFAULT_OPTIONS };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i += 1;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { file: positional[0], options };
+};
+
+// Reads the cube from an export, as the parts of a cube getDraftFormat needs along with its cards and basics.
+const readCube = (text) => {
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    json = null;
+  }
+  if (json && Array.isArray(json.cards)) {
+    return {
+      cards: json.cards.filter((card) => carddb.cardFromId(card.cardID).name !== 'Invalid Card'),
+      basics: json.basics ?? DEFAULT_BASICS,
+      draft_formats: json.draft_formats ?? [],
+      savedFilters: json.savedFilters ?? [],
+    };
+  }
+  const { newCards, missing } = listToCards(text, carddb);
+  if (missing.length > 0) {
+    console.warn(`Could not find ${missing.length} cards: ${missing.join(', ')}`);
+  }
+  return { cards: newCards, basics: DEFAULT_BASICS, draft_formats: [], savedFilters: [] };
+};
+
+const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+const printList = (title, names) => {
+  console.log(`${title} (${names.length}):`);
+  for (const name of names.slice(0, LIST_LENGTH)) {
+    console.log(`  ${name}`);
+  }
+  if (names.length > LIST_LENGTH) {
+    console.log(`  and ${names.length - LIST_LENGTH} more`);
+  }
+};
+
+const printReport = (report) => {
+  console.log(`Built ${report.builtDrafts} of ${report.iterations} drafts for ${report.seats} seats.`);
+  for (const error of report.errors) {
+    console.log(`Draft failed: ${error}`);
+  }
+  console.log('Deck colors:');
+  for (const { name, count } of report.colors) {
+    console.log(`  ${name}: ${percent(count)}`);
+  }
+  console.log(
+    `Lands per deck: ${report.lands.average.toFixed(2)} on average, ${report.lands.basics.toFixed(2)} of them basics.`,
+  );
+  for (const { name, count } of report.lands.counts) {
+    console.log(`  ${name} lands: ${percent(count)}`);
+  }
+  console.log('Earliest picks:');
+  for (const { name, averagePick } of report.cards.filter(({ picked }) => picked > 0).slice(0, LIST_LENGTH)) {
+    console.log(`  ${averagePick.toFixed(2)} ${name}`);
+  }
+  printList('Never picked', report.neverPicked);
+  printList('Never mainboarded', report.neverMainboarded);
+};
+
+const run = async () => {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.log('Usage: node jobs/simulate_drafts.js <cube export> [--format <index>] [--drafts 1000] [--out <file>]');
+    return;
+  }
+
+  await carddb.initializeCardDb();
+  const cube = readCube(fs.readFileSync(file, 'utf8'));
+  const format = getDraftFormat(
+    { id: parseInt(options.format, 10), packs: parseInt(options.packs, 10), cards: parseInt(options.cards, 10) },
+    cube,
+  );
+  const iterations = parseInt(options.drafts, 10);
+  const report = await simulateDrafts(
+    format,
+    cube.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) })),
+    cube.basics.map((cardID) => carddb.cardFromId(cardID)),
+    {
+      seats: parseInt(options.seats, 10),
+      iterations,
+      seed: options.seed,
+      onProgress: (finished) => {
+        if (finished % 100 === 0 || finished === iterations) {
+          console.log(`Finished: ${finished} of ${iterations} drafts`);
+        }
+      },
+    },
+  );
+
+  printReport(report);
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+    console.log(`Wrote the full report to ${options.out}`);
+  }
+};
+
+run()
+  .then(() => process.exit())
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A key for the public API. Only a hash of the key is stored, the key itself is shown to the user once when it's made.
+const apiKeySchema = mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+  // The start of the key, so the user can tell their keys apart.
+  prefix: String,
+  date: Date,
+  lastUsed: Date,
+  // Requests allowed per minute.
+  rateLimit: {
+    type: Number,
+    default: 120,
+  },
+});
+
+apiKeySchema.index({
+  hash: 1,
+});
+
+apiKeySchema.index({
+  owner: 1,
+  date: -1,
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const Cube = require('./cube');
+
 const blogSchema = mongoose.Schema({
   title: String,
   body: String,
@@ -48,4 +50,19 @@ blogSchema.index({
   date: -1,
 });
 
-module.exports = mongoose.model('Blog', blogSchema);
+blogSchema.post('save', async (blog) => {
+  if (blog.cube) {
+    await Cube.updateOne({ _id: blog.cube, hasBlog: { $ne: true } }, { hasBlog: true });
+  }
+});
+
+const Blog = mongoose.model('Blog', blogSchema);
+
+// Call after removing posts from a cube, to clear its flag if none are left.
+Blog.updateCubeHasBlog = async (cubeId) => {
+  if (cubeId) {
+    await Cube.updateOne({ _id: cubeId }, { hasBlog: !!(await Blog.exists({ cube: cubeId })) });
+  }
+};
+
+module.exports = Blog;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const CONDITIONS = ['Near Mint', 'Lightly Played', 'Moderately Played', 'Heavily Played', 'Damaged'];
+
+// Copies of one printing of a card in a user's collection. The collection is shared by all of the user's cubes, see
+// serverjs/collection.js.
+const collectionCardSchema = mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  cardID: {
+    type: String,
+    required: true,
+  },
+  finish: {
+    type: String,
+    enum: ['Foil', 'Non-foil', 'Etched'],
+    default: 'Non-foil',
+  },
+  condition: {
+    type: String,
+    enum: CONDITIONS,
+    default: 'Near Mint',
+  },
+  quantity: {
+    type: Number,
+    min: 1,
+    default: 1,
+  },
+  date: Date,
+});
+
+collectionCardSchema.index({
+  owner: 1,
+  cardID: 1,
+});
+
+const CollectionCard = mongoose.model('CollectionCard', collectionCardSchema);
+CollectionCard.CONDITIONS = CONDITIONS;
+
+module.exports = CollectionCard;
@@ -20,6 +20,20 @@ const commentSchema = mongoose.Schema({
     default: 'Allan Pollack',
   },
   date: Date,
+  // Pending comments are waiting for a moderator's approval, and hidden comments were hidden by one. Only the poster
+  // and the comment's moderators can see either.
+  status: {
+    type: String,
+    enum: ['published', 'pending', 'hidden'],
+    default: 'published',
+  },
+  // The status a hidden comment goes back to when it's unhidden, and whether it was hidden along with every other
+  // comment by its poster, which unhides it again when they're all unhidden.
+  hiddenFrom: {
+    type: String,
+    enum: ['published', 'pending'],
+  },
+  hiddenInBulk: Boolean,
 });
 
 commentSchema.index({
@@ -31,4 +45,13 @@ commentSchema.index({
   timePosted: -1,
 });
 
+commentSchema.index({
+  owner: 1,
+});
+
+commentSchema.index({
+  status: 1,
+  timePosted: -1,
+});
+
 module.exports = mongoose.model('Comment', commentSchema);
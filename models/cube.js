@@ -60,6 +60,16 @@ const cubeSchema = mongoose.Schema({
       color: String,
     },
   ],
+  // Named filters the cube's pages and draft formats can use as filter:name.
+  savedFilters: {
+    type: [
+      {
+        name: String,
+        filter: String,
+      },
+    ],
+    default: [],
+  },
   defaultDraftFormat: {
     type: Number,
     default: -1,
@@ -78,6 +88,11 @@ const cubeSchema = mongoose.Schema({
   default_sorts: [String],
   default_show_unsorted: Boolean,
   card_count: Number,
+  // Kept in sync by the blog model, so searches for cubes with blog posts don't have to look through every post.
+  hasBlog: {
+    type: Boolean,
+    default: false,
+  },
   type: String,
   draft_formats: {
     type: [
@@ -98,6 +113,25 @@ const cubeSchema = mongoose.Schema({
     type: [mongoose.Schema.Types.ObjectId],
     default: [],
   },
+  // Other users who can work on the cube, see COLLABORATOR_ROLES in src/utils/CubePermissions.js. Invitations are
+  // entries that haven't been accepted yet.
+  collaborators: {
+    type: [
+      {
+        user: mongoose.Schema.Types.ObjectId,
+        username: String,
+        role: {
+          type: String,
+          enum: ['editor', 'blogger', 'formats', 'viewer'],
+        },
+        accepted: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    default: [],
+  },
   defaultStatus: {
     type: String,
     default: 'Owned',
@@ -111,6 +145,38 @@ const cubeSchema = mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // When set, card statuses follow the owner's collection instead of being set by hand.
+  statusFromCollection: {
+    type: Boolean,
+    default: false,
+  },
+  // Set on cubes cloned from another cube: the cube it was cloned from, the version of it this cube is up to date with
+  // and the changes made to it since then that this cube chose not to take. See serverjs/forks.js.
+  upstream: {
+    cube: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    version: {
+      type: Number,
+      default: 0,
+    },
+    ignored: {
+      type: [
+        {
+          action: {
+            type: String,
+            enum: ['add', 'remove'],
+          },
+          cardID: String,
+        },
+      ],
+      default: [],
+    },
+  },
+  // The version of the cube's changelog its cards are at. Only serverjs/changelog.js writes it, along with the cards,
+  // and only when it's still the version the cube was loaded at.
+  changelogVersion: Number,
   schemaVersion: {
     type: Number,
     default() {
@@ -151,12 +217,21 @@ const cubeSchema = mongoose.Schema({
     type: [String],
     default: [],
   },
+  // The colors that make up a good part of the cube, for color: searches.
+  colors: {
+    type: [String],
+    default: [],
+  },
 });
 
 cubeSchema.index({
   shortID: 1,
 });
 
+cubeSchema.index({
+  'upstream.cube': 1,
+});
+
 cubeSchema.index({
   isListed: 1,
   date_updated: -1,
@@ -242,7 +317,7 @@ cubeSchema.pre('save', function saveCubeHook(next) {
 const Cube = mongoose.model('Cube', cubeSchema);
 Cube.CURRENT_SCHEMA_VERSION = CURRENT_SCHEMA_VERSION;
 Cube.LAYOUT_FIELDS =
-  '_id owner name type card_count overrideCategory categoryOverride categoryPrefixes image_uri shortID';
+  '_id owner name type card_count overrideCategory categoryOverride categoryPrefixes image_uri shortID collaborators';
 Cube.PREVIEW_FIELDS =
   '_id shortID name card_count type overrideCategory categoryOverride categoryPrefixes image_name image_artist image_uri owner owner_name image_uri';
 
@@ -14,6 +14,10 @@ const cubeAnalyticSchema = mongoose.Schema({
         elo: Number,
         mainboards: Number,
         sideboards: Number,
+        // Results of event matches played by decks with this card in the mainboard.
+        matchWins: { type: Number, default: 0 },
+        matchLosses: { type: Number, default: 0 },
+        matchDraws: { type: Number, default: 0 },
       },
     ],
     default: [],
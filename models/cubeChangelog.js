@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const cardSchema = require('./shared/cardSchema');
+
+const CardSnapshot = mongoose.Schema(cardSchema);
+
+// A single operation on the cube's card list. Operations are applied in order, and every
+// index refers to the list as it was when the operation was applied.
+const Change = {
+  action: {
+    type: String,
+    enum: ['add', 'remove', 'replace', 'edit'],
+    required: true,
+  },
+  index: {
+    type: Number,
+    min: 0,
+    required: true,
+  },
+  oldCard: CardSnapshot,
+  newCard: CardSnapshot,
+};
+
+const cubeChangelogSchema = mongoose.Schema({
+  cube: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // The cube version this entry produces. Version 0 is the cube before any recorded change.
+  version: {
+    type: Number,
+    required: true,
+  },
+  date: Date,
+  owner: mongoose.Schema.Types.ObjectId,
+  username: {
+    type: String,
+    default: 'User',
+  },
+  blog: mongoose.Schema.Types.ObjectId,
+  // Set when this entry was created by reverting the cube to an earlier version.
+  revertedTo: {
+    type: Number,
+    default: null,
+  },
+  changes: {
+    type: [Change],
+    default: [],
+  },
+});
+
+cubeChangelogSchema.index(
+  {
+    cube: 1,
+    version: -1,
+  },
+  { unique: true },
+);
+
+module.exports = mongoose.model('CubeChangelog', cubeChangelogSchema);
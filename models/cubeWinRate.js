@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Win rate of a card, color combination or archetype. low and high bound its 95% confidence interval.
+const WinRate = {
+  name: String,
+  decks: Number,
+  wins: Number,
+  losses: Number,
+  draws: Number,
+  winRate: Number,
+  low: Number,
+  high: Number,
+};
+
+// Cached win rates for a cube, rebuilt by jobs/populate_winrates.js.
+const cubeWinRateSchema = mongoose.Schema({
+  cube: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  date: Date,
+  decks: {
+    type: Number,
+    default: 0,
+  },
+  cards: [WinRate],
+  colors: [WinRate],
+  archetypes: [WinRate],
+  // Cards winning much more or less often than their pick Elo suggests.
+  overperformers: [{ ...WinRate, elo: Number, difference: Number }],
+  underperformers: [{ ...WinRate, elo: Number, difference: Number }],
+});
+
+cubeWinRateSchema.index({
+  cube: 1,
+});
+
+module.exports = mongoose.model('CubeWinRate', cubeWinRateSchema);
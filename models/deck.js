@@ -16,6 +16,20 @@ const SeatDeck = {
   deck: [[[Number]]], // nesting is rows->columns->index in column
   sideboard: [[[Number]]], // same as deck.
   pickorder: [Number],
+  // Match results entered for the seat. When they're against specific seats, record is the total of the matchups.
+  record: {
+    wins: Number,
+    losses: Number,
+    draws: Number,
+  },
+  matchups: [
+    {
+      opponent: Number,
+      wins: Number,
+      losses: Number,
+      draws: Number,
+    },
+  ],
 };
 
 // Deck schema
@@ -40,6 +40,7 @@ const Seat = {
   sideboard: [[[Number]]], // organized draft picks
   pickorder: [Number], // cards this player picked in order of when they were picked
   trashorder: [Number], // cards this player trashed in order of when they were trashed
+  botProfile: String, // the key in BOT_PROFILES from src/drafting/draftbots.js the bot drafts with
 };
 
 const draftSchema = mongoose.Schema(
@@ -62,6 +63,16 @@ const draftSchema = mongoose.Schema(
     },
     seats: [Seat],
     seed: String,
+    // Only set for drafts played live by several people, see serverjs/liveDraft.js.
+    live: {
+      host: mongoose.Schema.Types.ObjectId,
+      status: {
+        type: String,
+        enum: ['lobby', 'drafting', 'finished'],
+      },
+      timer: Number, // seconds each player has to make a pick, 0 for no limit
+      deck: mongoose.Schema.Types.ObjectId,
+    },
   },
   { timestamps: true },
 );
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A player in an event, playing the deck from one seat of the event's deck.
+const Player = {
+  seat: {
+    type: Number,
+    min: 0,
+    required: true,
+  },
+  userid: mongoose.Schema.Types.ObjectId,
+  name: String,
+};
+
+// Players are indices into the event's players. A null second player is a bye.
+const Match = {
+  round: {
+    type: Number,
+    min: 0,
+    required: true,
+  },
+  players: [Number],
+  wins: {
+    type: [Number],
+    default: [0, 0],
+  },
+  draws: {
+    type: Number,
+    default: 0,
+  },
+  reported: {
+    type: Boolean,
+    default: false,
+  },
+  reportedBy: mongoose.Schema.Types.ObjectId,
+};
+
+const eventSchema = mongoose.Schema({
+  cube: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  deck: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  owner: mongoose.Schema.Types.ObjectId,
+  name: String,
+  date: Date,
+  format: {
+    type: String,
+    enum: ['swiss', 'roundrobin'],
+    default: 'swiss',
+  },
+  numRounds: {
+    type: Number,
+    min: 1,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'finished'],
+    default: 'active',
+  },
+  players: {
+    type: [Player],
+    default: [],
+  },
+  matches: {
+    type: [Match],
+    default: [],
+  },
+});
+
+eventSchema.index({
+  deck: 1,
+});
+
+eventSchema.index({
+  cube: 1,
+  date: -1,
+});
+
+module.exports = mongoose.model('Event', eventSchema);
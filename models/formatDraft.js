@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const cardSchema = require('./shared/cardSchema');
+const CURRENT_SCHEMA_VERSION = require('./migrations/deckMigrations').slice(-1)[0].version;
+
+// data for each seat, human or bot
+const Seat = {
+  bot: Boolean,
+  name: String,
+  userid: mongoose.Schema.Types.ObjectId,
+  drafted: [[[Number]]], // organized draft picks
+  sideboard: [[[Number]]], // organized draft picks
+  pickorder: [Number],
+};
+
+// A move made by a seat, see src/drafting/formatdraftutils.js. Which of cards and pile are used depends on the format
+// and action, e.g. the card picked in a Rochester draft or the pile taken in a Winchester draft.
+const moveSchema = mongoose.Schema(
+  {
+    seat: Number,
+    action: String,
+    cards: [Number],
+    pile: Number,
+  },
+  { _id: false },
+);
+
+const formatDraftSchema = mongoose.Schema({
+  basics: {
+    default: [],
+    type: [Number],
+  },
+  cards: [cardSchema],
+  cube: mongoose.Schema.Types.ObjectId,
+  date: Date,
+  format: {
+    type: String,
+    enum: ['rochester', 'winston', 'winchester', 'solomon'],
+  },
+  draftType: {
+    type: String,
+    enum: ['bot', '2playerlocal'],
+  },
+  // Rochester drafts have a pack for every seat each round, the other formats a single deck to draft from.
+  initial_state: [[Number]],
+  seats: [Seat],
+  moves: {
+    type: [moveSchema],
+    default: [],
+  },
+  deck: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  schemaVersion: {
+    type: Number,
+    default() {
+      if (this.isNew) {
+        return CURRENT_SCHEMA_VERSION;
+      }
+      return void 0; // eslint-disable-line
+    },
+  },
+});
+
+formatDraftSchema.index({
+  schemaVersion: 1,
+});
+
+const FormatDraft = mongoose.model('FormatDraft', formatDraftSchema);
+FormatDraft.CURRENT_SCHEMA_VERSION = CURRENT_SCHEMA_VERSION;
+
+module.exports = FormatDraft;
@@ -23,7 +23,12 @@ const gridDraftSchema = mongoose.Schema({
   cube: mongoose.Schema.Types.ObjectId,
   draftType: {
     type: String,
-    enum: ['bot', '2playerlocal'],
+    enum: ['bot', '2playerlocal', '2playeronline'],
+  },
+  // The deck both players of an online grid draft are sent to once it is finished.
+  deck: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
   },
   initial_state: [[Number]],
   seats: [Seat],
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// An entry in the audit log of everything admins, and cube owners moderating comments, have done.
+const moderationActionSchema = mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  actorName: String,
+  role: {
+    type: String,
+    enum: ['admin', 'owner'],
+    default: 'admin',
+  },
+  action: String, // e.g. suspend, hideComment or publishArticle
+  description: String,
+  reason: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  userName: String,
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  cube: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  until: {
+    type: Date,
+    default: null,
+  },
+  date: Date,
+});
+
+moderationActionSchema.index({
+  date: -1,
+});
+
+moderationActionSchema.index({
+  user: 1,
+  date: -1,
+});
+
+moderationActionSchema.index({
+  actor: 1,
+  date: -1,
+});
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
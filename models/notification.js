@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// The kinds of notification a user can mute, everywhere or for one cube.
+const TYPES = [
+  'follow',
+  'comment',
+  'mention',
+  'deck',
+  'clone',
+  'content',
+  'featured',
+  'collaboration',
+  'draft',
+  'other',
+];
+
+const notificationSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    default: 'other',
+  },
+  cube: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  user_from: mongoose.Schema.Types.ObjectId,
+  user_from_name: String,
+  url: String,
+  text: String,
+  date: Date,
+  read: {
+    type: Boolean,
+    default: false,
+  },
+  // Whether the notification has been sent in an email digest.
+  emailed: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+notificationSchema.index({
+  user: 1,
+  date: -1,
+});
+
+notificationSchema.index({
+  user: 1,
+  read: 1,
+  date: -1,
+});
+
+notificationSchema.index({
+  emailed: 1,
+  date: -1,
+});
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.TYPES = TYPES;
+
+module.exports = Notification;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A user's answer to a pick quiz question, which is a pick a person made in a real draft of the cube. Cards are saved
+// by name so the history still reads right if the draft is deleted.
+const pickQuizAnswerSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  cube: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  draft: mongoose.Schema.Types.ObjectId,
+  seat: Number,
+  pickNumber: Number,
+  packNum: Number,
+  pickNum: Number,
+  pick: String, // the card the user picked
+  humanPick: String, // the card the drafter picked
+  botPick: String, // the card the draftbot would have picked
+  matchedHuman: Boolean,
+  matchedBot: Boolean,
+  date: Date,
+});
+
+pickQuizAnswerSchema.index({
+  user: 1,
+  cube: 1,
+  date: -1,
+});
+
+pickQuizAnswerSchema.index({
+  user: 1,
+  draft: 1,
+  seat: 1,
+  pickNumber: 1,
+});
+
+module.exports = mongoose.model('PickQuizAnswer', pickQuizAnswerSchema);
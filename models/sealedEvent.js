@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// The cards of a pool are indices into the cards of the event's deck. Every player who opens the pool's link gets one
+// of its seats in the deck, and the players of a team share the pool.
+const Pool = {
+  token: {
+    type: String,
+    required: true,
+  },
+  cards: [Number],
+  seats: [Number],
+};
+
+const sealedEventSchema = mongoose.Schema({
+  cube: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  deck: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  owner: mongoose.Schema.Types.ObjectId,
+  name: String,
+  date: Date,
+  seed: String,
+  // The index of the cube's draft format the pools were made from, or -1 for packs of random cards.
+  format: {
+    type: Number,
+    default: -1,
+  },
+  packs: Number,
+  cards: Number,
+  teamSize: {
+    type: Number,
+    min: 1,
+    max: 3,
+    default: 1,
+  },
+  pools: {
+    type: [Pool],
+    default: [],
+  },
+  // Seats of the deck whose player has saved a deck.
+  registered: {
+    type: [Number],
+    default: [],
+  },
+});
+
+sealedEventSchema.index({
+  deck: 1,
+});
+
+sealedEventSchema.index({
+  cube: 1,
+  date: -1,
+});
+
+module.exports = mongoose.model('SealedEvent', sealedEventSchema);
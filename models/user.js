@@ -42,29 +42,29 @@ const UserSchema = mongoose.Schema({
     type: [mongoose.Schema.Types.ObjectId],
     default: [],
   },
-  notifications: {
-    type: [
-      {
-        user_from: mongoose.Schema.Types.ObjectId,
-        user_from_name: String,
-        url: String,
-        date: Date,
-        text: String,
-      },
-    ],
-    default: [],
-  },
-  old_notifications: {
-    type: [
-      {
-        user_from: mongoose.Schema.Types.ObjectId,
-        user_from_name: String,
-        url: String,
-        date: Date,
-        text: String,
-      },
-    ],
-    default: [],
+  notificationSettings: {
+    // A null cube mutes the type everywhere.
+    muted: {
+      type: [
+        {
+          type: { type: String },
+          cube: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+          },
+        },
+      ],
+      default: [],
+    },
+    digest: {
+      type: String,
+      enum: ['none', 'daily', 'weekly'],
+      default: 'none',
+    },
+    lastDigest: {
+      type: Date,
+      default: null,
+    },
   },
   image_name: {
     type: String,
@@ -100,6 +100,18 @@ const UserSchema = mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     default: null,
   },
+  // Suspended users can't log in and muted users can't comment until the dates pass.
+  moderation: {
+    suspendedUntil: {
+      type: Date,
+      default: null,
+    },
+    mutedUntil: {
+      type: Date,
+      default: null,
+    },
+    reason: String,
+  },
 });
 
 UserSchema.index({
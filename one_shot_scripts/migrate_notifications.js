@@ -0,0 +1,75 @@
+/* eslint-disable no-await-in-loop */
+// Moves the notifications embedded in users into the notifications collection.
+
+// Load Environment Variables
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Notification = require('../models/notification');
+const User = require('../models/user');
+
+const batchSize = 100;
+
+// Every notification was pushed to both lists, and the ones still in notifications haven't been read.
+const notificationKey = ({ date, url, text }) => `${new Date(date).getTime()}:${url}:${text}`;
+
+const migrateUser = async (user) => {
+  const unread = new Set((user.notifications ?? []).map(notificationKey));
+  const old = user.old_notifications ?? [];
+  // Unread notifications that fell off the end of old_notifications are kept too.
+  const oldKeys = new Set(old.map(notificationKey));
+  const all = [
+    ...old,
+    ...(user.notifications ?? []).filter((notification) => !oldKeys.has(notificationKey(notification))),
+  ];
+
+  const notifications = all.map((notification) => ({
+    user: user._id,
+    type: 'other',
+    cube: null,
+    user_from: notification.user_from,
+    user_from_name: notification.user_from_name,
+    url: notification.url,
+    text: notification.text,
+    date: notification.date,
+    read: !unread.has(notificationKey(notification)),
+    emailed: true,
+  }));
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications, { ordered: false });
+  }
+  await User.collection.updateOne({ _id: user._id }, { $unset: { notifications: '', old_notifications: '' } });
+};
+
+try {
+  (async () => {
+    await mongoose.connect(process.env.MONGODB_URL);
+
+    console.log('Started');
+
+    // The fields aren't on the schema anymore, so users are read straight from the collection.
+    const query = { $or: [{ notifications: { $exists: true } }, { old_notifications: { $exists: true } }] };
+    const count = await User.collection.countDocuments(query);
+    const cursor = User.collection.find(query, { projection: { _id: 1, notifications: 1, old_notifications: 1 } });
+
+    for (let i = 0; i < count; i += batchSize) {
+      const users = [];
+      for (let j = 0; j < batchSize && i + j < count; j++) {
+        const user = await cursor.next();
+        if (user) {
+          users.push(user);
+        }
+      }
+      await Promise.all(users.map(migrateUser));
+      console.log(`Finished: ${Math.min(count, i + batchSize)} of ${count} users`);
+    }
+
+    await mongoose.disconnect();
+    console.log('done');
+    process.exit();
+  })();
+} catch (err) {
+  console.error(err);
+  process.exit();
+}
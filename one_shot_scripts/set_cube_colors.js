@@ -0,0 +1,48 @@
+/* eslint-disable no-await-in-loop */
+// Sets the colors color: searches use on cubes last saved before they were stored. Only the colors are written, so
+// it's safe to run while the site is up.
+
+// Load Environment Variables
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { cubeColorMix } = require('../serverjs/cubefn.js');
+const carddb = require('../serverjs/cards');
+
+const Cube = require('../models/cube');
+
+const batchSize = 100;
+
+const setColors = (cube) =>
+  Cube.updateOne({ _id: cube._id }, { $set: { colors: cubeColorMix({ cards: cube.cards ?? [] }, carddb) } });
+
+try {
+  (async () => {
+    await carddb.initializeCardDb();
+    await mongoose.connect(process.env.MONGODB_URL);
+
+    console.log('Started');
+
+    const count = await Cube.countDocuments();
+    const cursor = Cube.find({}, '_id cards.cardID cards.colors').lean().cursor();
+
+    for (let i = 0; i < count; i += batchSize) {
+      const cubes = [];
+      for (let j = 0; j < batchSize && i + j < count; j++) {
+        const cube = await cursor.next();
+        if (cube) {
+          cubes.push(cube);
+        }
+      }
+      await Promise.all(cubes.map(setColors));
+      console.log(`Finished: ${Math.min(count, i + batchSize)} of ${count} cubes`);
+    }
+
+    await mongoose.disconnect();
+    console.log('done');
+    process.exit();
+  })();
+} catch (err) {
+  console.error(err);
+  process.exit();
+}
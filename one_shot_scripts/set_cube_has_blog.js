@@ -0,0 +1,34 @@
+// Load Environment Variables
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Blog = require('../models/blog');
+const Cube = require('../models/cube');
+
+const batchSize = 100;
+
+(async () => {
+  mongoose.connect(process.env.MONGODB_URL).then(async () => {
+    await Cube.updateMany({ hasBlog: true }, { hasBlog: false });
+    const cursor = Blog.aggregate([{ $match: { cube: { $ne: null } } }, { $group: { _id: '$cube' } }]).cursor({
+      batchSize,
+    });
+
+    let cubeIds = [];
+    let finished = 0;
+    for (let group = await cursor.next(); group; group = await cursor.next()) {
+      cubeIds.push(group._id);
+      if (cubeIds.length === batchSize) {
+        await Cube.updateMany({ _id: { $in: cubeIds } }, { hasBlog: true });
+        finished += cubeIds.length;
+        console.log(`Finished: ${finished} cubes with blog posts`);
+        cubeIds = [];
+      }
+    }
+    await Cube.updateMany({ _id: { $in: cubeIds } }, { hasBlog: true });
+    console.log(`Finished: ${finished + cubeIds.length} cubes with blog posts`);
+    mongoose.disconnect();
+    console.log('done');
+    process.exit();
+  });
+})();
@@ -18,13 +18,20 @@ const Video = require('../models/video');
 const Podcast = require('../models/podcast');
 const FeaturedCubes = require('../models/featuredCubes');
 const Cube = require('../models/cube');
+const ModerationAction = require('../models/moderationAction');
 const { render } = require('../serverjs/render');
 const { buildIdQuery } = require('../serverjs/cubefn.js');
 const util = require('../serverjs/util.js');
 const fq = require('../serverjs/featuredQueue');
+const { logModeration } = require('../serverjs/moderation');
 
 const ensureAdmin = ensureRole('Admin');
 
+// The statuses a comment can be hidden from.
+const HIDEABLE_STATUSES = ['published', 'pending'];
+
+const sumModified = (results) => results.reduce((sum, { nModified }) => sum + nModified, 0);
+
 const router = express.Router();
 
 router.use(csrfProtection);
@@ -35,6 +42,7 @@ router.get('/dashboard', ensureAdmin, async (req, res) => {
   const articlesInReview = await Article.countDocuments({ status: 'inReview' });
   const videosInReview = await Video.countDocuments({ status: 'inReview' });
   const podcastsInReview = await Podcast.countDocuments({ status: 'inReview' });
+  const pendingCommentCount = await Comment.countDocuments({ status: 'pending' });
 
   return render(req, res, 'AdminDashboardPage', {
     commentReportCount,
@@ -42,6 +50,7 @@ router.get('/dashboard', ensureAdmin, async (req, res) => {
     articlesInReview,
     videosInReview,
     podcastsInReview,
+    pendingCommentCount,
   });
 });
 
@@ -62,6 +71,158 @@ router.get('/comments/:page', ensureAdmin, async (req, res) => {
   return render(req, res, 'AdminCommentsPage', { comments, count, page: Math.max(req.params.page, 0) });
 });
 
+router.get('/pendingcomments', async (req, res) => {
+  return res.redirect('/admin/pendingcomments/0');
+});
+
+router.get('/pendingcomments/:page', ensureAdmin, async (req, res) => {
+  const count = await Comment.countDocuments({ status: 'pending' });
+  const comments = await Comment.find({ status: 'pending' })
+    .sort({ timePosted: -1 })
+    .skip(Math.max(req.params.page, 0) * PAGE_SIZE)
+    .limit(PAGE_SIZE)
+    .lean();
+
+  return render(req, res, 'AdminCommentsPage', {
+    comments,
+    count,
+    page: Math.max(req.params.page, 0),
+    pending: true,
+  });
+});
+
+router.get('/auditlog', async (req, res) => {
+  return res.redirect('/admin/auditlog/0');
+});
+
+router.get('/auditlog/:page', ensureAdmin, async (req, res) => {
+  try {
+    const query = req.query.user ? { user: req.query.user } : {};
+    const count = await ModerationAction.countDocuments(query);
+    const actions = await ModerationAction.find(query)
+      .sort({ date: -1 })
+      .skip(Math.max(req.params.page, 0) * PAGE_SIZE)
+      .limit(PAGE_SIZE)
+      .lean();
+
+    return render(
+      req,
+      res,
+      'AdminAuditLogPage',
+      { actions, count, page: Math.max(req.params.page, 0), userFilter: req.query.user || null },
+      { title: 'Audit Log' },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/admin/dashboard');
+  }
+});
+
+router.get('/moderation/user', ensureAdmin, async (req, res) => {
+  const user = await User.findOne({ username_lower: `${req.query.username ?? ''}`.toLowerCase() }, '_id').lean();
+  if (!user) {
+    req.flash('danger', 'User not found');
+    return res.redirect('/admin/dashboard');
+  }
+  return res.redirect(`/admin/moderation/user/${user._id}`);
+});
+
+router.get('/moderation/user/:id', ensureAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id, '_id username moderation').lean();
+    if (!user) {
+      req.flash('danger', 'User not found');
+      return res.redirect('/admin/dashboard');
+    }
+
+    const [commentCount, hiddenCommentCount, actions] = await Promise.all([
+      Comment.countDocuments({ owner: user._id }),
+      Comment.countDocuments({ owner: user._id, status: 'hidden' }),
+      ModerationAction.find({ user: user._id }).sort({ date: -1 }).limit(PAGE_SIZE).lean(),
+    ]);
+
+    return render(
+      req,
+      res,
+      'AdminUserModerationPage',
+      { moderatedUser: user, commentCount, hiddenCommentCount, actions },
+      { title: `Moderate ${user.username}` },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/admin/dashboard');
+  }
+});
+
+// Suspends or mutes the user for a number of days, lifts either, or hides or unhides all their comments.
+router.post('/moderation/user/:id', ensureAdmin, async (req, res) => {
+  const redirect = `/admin/moderation/user/${encodeURIComponent(req.params.id)}`;
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      req.flash('danger', 'User not found');
+      return res.redirect('/admin/dashboard');
+    }
+
+    const { action } = req.body;
+    const reason = `${req.body.reason ?? ''}`.substring(0, 500);
+    const days = Number.parseInt(req.body.days, 10);
+    let until = null;
+    if (['suspend', 'mute'].includes(action)) {
+      if (!Number.isInteger(days) || days <= 0) {
+        req.flash('danger', 'The number of days must be a positive whole number.');
+        return res.redirect(redirect);
+      }
+      until = new Date(Date.now() + days * 1000 * 3600 * 24);
+    }
+
+    let description;
+    if (action === 'suspend') {
+      user.moderation.suspendedUntil = until;
+      user.moderation.reason = reason;
+      description = `Suspended ${user.username} for ${days} days`;
+    } else if (action === 'unsuspend') {
+      user.moderation.suspendedUntil = null;
+      description = `Lifted the suspension of ${user.username}`;
+    } else if (action === 'mute') {
+      user.moderation.mutedUntil = until;
+      user.moderation.reason = reason;
+      description = `Muted ${user.username} for ${days} days`;
+    } else if (action === 'unmute') {
+      user.moderation.mutedUntil = null;
+      description = `Unmuted ${user.username}`;
+    } else if (action === 'hideComments') {
+      const results = await Promise.all(
+        HIDEABLE_STATUSES.map((status) =>
+          Comment.updateMany({ owner: user._id, status }, { status: 'hidden', hiddenFrom: status, hiddenInBulk: true }),
+        ),
+      );
+      description = `Hid all ${sumModified(results)} comments by ${user.username}`;
+    } else if (action === 'unhideComments') {
+      // Only the comments hidden here are unhidden, back to the status they had, so comments hidden or rejected one at
+      // a time stay hidden and pending ones still need approval.
+      const results = await Promise.all(
+        HIDEABLE_STATUSES.map((status) =>
+          Comment.updateMany(
+            { owner: user._id, status: 'hidden', hiddenInBulk: true, hiddenFrom: status },
+            { status, $unset: { hiddenFrom: 1, hiddenInBulk: 1 } },
+          ),
+        ),
+      );
+      description = `Unhid ${sumModified(results)} comments by ${user.username}`;
+    } else {
+      req.flash('danger', 'Invalid moderation action.');
+      return res.redirect(redirect);
+    }
+
+    await user.save();
+    await logModeration(req.user, 'admin', action, description, { target: user, reason, until });
+
+    req.flash('success', `${description}.`);
+    return res.redirect(redirect);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, redirect);
+  }
+});
+
 router.get('/reviewarticles', async (req, res) => {
   res.redirect('/admin/reviewarticles/0');
 });
@@ -118,6 +279,15 @@ router.get('/commentreports/:page', ensureAdmin, async (req, res) => {
     .skip(Math.max(req.params.page, 0) * PAGE_SIZE)
     .limit(PAGE_SIZE)
     .lean();
+  const comments = await Comment.find(
+    { _id: { $in: reports.map((report) => report.commentid) } },
+    '_id owner ownerName',
+  ).lean();
+  const commentsById = Object.fromEntries(comments.map((comment) => [comment._id, comment]));
+  for (const report of reports) {
+    const comment = commentsById[report.commentid];
+    report.commentOwner = comment && comment.owner ? { _id: comment.owner, username: comment.ownerName } : null;
+  }
 
   return render(req, res, 'CommentReportsPage', { reports, count, page: Math.max(req.params.page, 0) });
 });
@@ -158,6 +328,7 @@ router.get('/publisharticle/:id', ensureAdmin, async (req, res) => {
       req.user,
       `/content/article/${article._id}`,
       `${req.user.username} has approved and published your article: ${article.title}`,
+      'content',
     );
 
     const mentions = parser.findUserLinks(article.body).map((x) => x.toLowerCase());
@@ -168,6 +339,7 @@ router.get('/publisharticle/:id', ensureAdmin, async (req, res) => {
         owner,
         `/content/article/${article._id}`,
         `${owner.username} mentioned you in their article`,
+        'mention',
       );
     }
   }
@@ -203,6 +375,10 @@ router.get('/publisharticle/:id', ensureAdmin, async (req, res) => {
     locals: { title: article.title, url: `https://cubecobra.com/content/article/${article._id}`, type: 'article' },
   });
 
+  await logModeration(req.user, 'admin', 'publishArticle', `Published the article ${article.title}`, {
+    target: owner,
+  });
+
   req.flash('success', `Article published: ${article.title}`);
 
   return res.redirect('/admin/reviewarticles/0');
@@ -229,6 +405,7 @@ router.get('/publishvideo/:id', ensureAdmin, async (req, res) => {
       req.user,
       `/content/video/${video._id}`,
       `${req.user.username} has approved and published your video: ${video.title}`,
+      'content',
     );
 
     const mentions = parser.findUserLinks(video.body).map((x) => x.toLowerCase());
@@ -239,6 +416,7 @@ router.get('/publishvideo/:id', ensureAdmin, async (req, res) => {
         owner,
         `/content/video/${video._id}`,
         `${owner.username} mentioned you in their video`,
+        'mention',
       );
     }
   }
@@ -274,6 +452,10 @@ router.get('/publishvideo/:id', ensureAdmin, async (req, res) => {
     locals: { title: video.title, url: `https://cubecobra.com/content/video/${video._id}`, type: 'video' },
   });
 
+  await logModeration(req.user, 'admin', 'publishVideo', `Published the video ${video.title}`, {
+    target: owner,
+  });
+
   req.flash('success', `Video published: ${video.title}`);
 
   return res.redirect('/admin/reviewvideos/0');
@@ -300,6 +482,7 @@ router.get('/publishpodcast/:id', ensureAdmin, async (req, res) => {
       req.user,
       `/content/podcast/${podcast._id}`,
       `${req.user.username} has approved your podcast: ${podcast.title}`,
+      'content',
     );
   }
 
@@ -334,6 +517,10 @@ router.get('/publishpodcast/:id', ensureAdmin, async (req, res) => {
     locals: { title: podcast.title, url: `https://cubecobra.com/content/podcast/${podcast._id}`, type: 'podcast' },
   });
 
+  await logModeration(req.user, 'admin', 'publishPodcast', `Published the podcast ${podcast.title}`, {
+    target: owner,
+  });
+
   req.flash('success', `Podcast published: ${podcast.title}`);
 
   return res.redirect('/admin/reviewpodcasts/0');
@@ -360,6 +547,7 @@ router.get('/removearticlereview/:id', ensureAdmin, async (req, res) => {
       req.user,
       `/content/article/${article._id}`,
       `${req.user.username} has declined to publish your article: ${article.title}`,
+      'content',
     );
   }
 
@@ -394,6 +582,10 @@ router.get('/removearticlereview/:id', ensureAdmin, async (req, res) => {
     locals: { title: article.title, url: `https://cubecobra.com/content/article/${article._id}`, type: 'article' },
   });
 
+  await logModeration(req.user, 'admin', 'declineArticle', `Declined the article ${article.title}`, {
+    target: owner,
+  });
+
   req.flash('success', `Article declined: ${article.title}`);
 
   return res.redirect('/admin/reviewarticles/0');
@@ -420,6 +612,7 @@ router.get('/removevideoreview/:id', ensureAdmin, async (req, res) => {
       req.user,
       `/content/video/${video._id}`,
       `${req.user.username} has declined to publish your video: ${video.title}`,
+      'content',
     );
   }
 
@@ -454,6 +647,10 @@ router.get('/removevideoreview/:id', ensureAdmin, async (req, res) => {
     locals: { title: video.title, url: `https://cubecobra.com/content/video/${video._id}`, type: 'video' },
   });
 
+  await logModeration(req.user, 'admin', 'declineVideo', `Declined the video ${video.title}`, {
+    target: owner,
+  });
+
   req.flash('success', `Video declined: ${video.title}`);
 
   return res.redirect('/admin/reviewvideos/0');
@@ -480,6 +677,7 @@ router.get('/removepodcastreview/:id', ensureAdmin, async (req, res) => {
       req.user,
       `/content/podcast/${podcast._id}`,
       `${req.user.username} has declined your podcast: ${podcast.title}`,
+      'content',
     );
   }
 
@@ -514,6 +712,10 @@ router.get('/removepodcastreview/:id', ensureAdmin, async (req, res) => {
     locals: { title: podcast.title, url: `https://cubecobra.com/content/podcast/${podcast._id}`, type: 'podcast' },
   });
 
+  await logModeration(req.user, 'admin', 'declinePodcast', `Declined the podcast ${podcast.title}`, {
+    target: owner,
+  });
+
   req.flash('success', `Podcast declined: ${podcast.title}`);
 
   return res.redirect('/admin/reviewpodcasts/0');
@@ -524,6 +726,11 @@ router.get('/ignorereport/:id', ensureAdmin, async (req, res) => {
 
   await Report.deleteMany({ commentid: report.commentid });
 
+  await logModeration(req.user, 'admin', 'ignoreReport', 'Ignored the reports on a comment', {
+    comment: report.commentid,
+    reason: report.reason,
+  });
+
   req.flash('success', 'All reports for this comment have been deleted.');
   return res.redirect('/admin/commentreports/0');
 });
@@ -531,6 +738,7 @@ router.get('/ignorereport/:id', ensureAdmin, async (req, res) => {
 router.get('/removecomment/:id', ensureAdmin, async (req, res) => {
   const report = await Report.findById(req.params.id);
   const comment = await Comment.findById(report.commentid);
+  const owner = comment.owner ? await User.findById(comment.owner) : null;
 
   comment.owner = null;
   comment.ownerName = null;
@@ -543,9 +751,16 @@ router.get('/removecomment/:id', ensureAdmin, async (req, res) => {
   comment.timePosted = Date.now() - 1000;
 
   await comment.save();
+  await Report.deleteMany({ commentid: report.commentid });
+
+  await logModeration(req.user, 'admin', 'removeComment', 'Removed a reported comment', {
+    target: owner,
+    comment: comment._id,
+    reason: report.reason,
+  });
 
   req.flash('success', 'This comment has been deleted.');
-  return res.redirect(`/admin/ignorereport/${report._id}`);
+  return res.redirect('/admin/commentreports/0');
 });
 
 router.get('/application/approve/:id', ensureAdmin, async (req, res) => {
@@ -593,6 +808,16 @@ router.get('/application/approve/:id', ensureAdmin, async (req, res) => {
     locals: {},
   });
 
+  await logModeration(
+    req.user,
+    'admin',
+    'approveApplication',
+    `Approved the content creator application of ${user.username}`,
+    {
+      target: user,
+    },
+  );
+
   req.flash('success', `Application for ${user.username} approved.`);
   return res.redirect(`/admin/applications/0`);
 });
@@ -635,6 +860,16 @@ router.get('/application/decline/:id', ensureAdmin, async (req, res) => {
     locals: {},
   });
 
+  await logModeration(
+    req.user,
+    'admin',
+    'declineApplication',
+    `Declined the content creator application of ${user.username}`,
+    {
+      target: user,
+    },
+  );
+
   req.flash('danger', `Application declined.`);
   return res.redirect(`/admin/applications/0`);
 });
@@ -676,15 +911,16 @@ router.post('/featuredcubes/rotate', ensureAdmin, async (req, res) => {
   const notifications = [];
   for (const old of olds) {
     notifications.push(
-      util.addNotification(old, req.user, '/user/account?nav=patreon', 'Your cube is no longer featured.'),
+      util.addNotification(old, req.user, '/user/account?nav=patreon', 'Your cube is no longer featured.', 'featured'),
     );
   }
   for (const newO of news) {
     notifications.push(
-      util.addNotification(newO, req.user, '/user/account?nav=patreon', 'Your cube has been featured!'),
+      util.addNotification(newO, req.user, '/user/account?nav=patreon', 'Your cube has been featured!', 'featured'),
     );
   }
   await Promise.all(notifications);
+  await logModeration(req.user, 'admin', 'rotateFeatured', 'Rotated the featured cubes');
   return res.redirect('/admin/featuredcubes');
 });
 
@@ -703,6 +939,7 @@ router.post(
     await fq.updateFeatured(async (featured) => {
       featured.daysBetweenRotations = days;
     });
+    await logModeration(req.user, 'admin', 'setFeaturedPeriod', `Set the featured cubes to rotate every ${days} days`);
     return res.send({ success: 'true', period: days });
   }),
 );
@@ -742,7 +979,13 @@ router.post('/featuredcubes/queue', ensureAdmin, async (req, res) => {
     req.user,
     '/user/account?nav=patreon',
     'An admin added your cube to the featured cubes queue.',
+    'featured',
+    cube._id,
   );
+  await logModeration(req.user, 'admin', 'queueFeatured', `Added ${cube.name} to the featured cubes queue`, {
+    target: user,
+    cube: cube._id,
+  });
   return res.redirect('/admin/featuredcubes');
 });
 
@@ -774,7 +1017,13 @@ router.post('/featuredcubes/unqueue', ensureAdmin, async (req, res) => {
     req.user,
     '/user/account?nav=patreon',
     'An admin removed your cube from the featured cubes queue.',
+    'featured',
+    removed.cubeID,
   );
+  await logModeration(req.user, 'admin', 'unqueueFeatured', 'Removed a cube from the featured cubes queue', {
+    target: user,
+    cube: removed.cubeID,
+  });
   return res.redirect('/admin/featuredcubes');
 });
 
@@ -800,8 +1049,18 @@ router.post(
       featured.queue.splice(to, 0, spliced);
     });
 
-    if (!update.ok) req.flash('danger', update.message);
-    else req.flash('success', 'Successfully moved cube');
+    if (!update.ok) {
+      req.flash('danger', update.message);
+    } else {
+      req.flash('success', 'Successfully moved cube');
+      await logModeration(
+        req.user,
+        'admin',
+        'moveFeatured',
+        `Moved a cube in the featured cubes queue from ${from + 1} to ${to + 1}`,
+        { cube: req.body.cubeId },
+      );
+    }
 
     return res.redirect('/admin/featuredcubes');
   },
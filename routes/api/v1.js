@@ -0,0 +1,358 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+
+const carddb = require('../../serverjs/cards.js');
+const { buildIdQuery, isCubeViewable, viewableCubeQuery } = require('../../serverjs/cubefn.js');
+const { hashApiKey } = require('../../serverjs/apiKeys');
+const { isSuspended } = require('../../serverjs/moderation');
+const { makeFilter } = require('../../dist/filtering/FilterCards.js');
+
+const ApiKey = require('../../models/apiKey');
+const Blog = require('../../models/blog');
+const Cube = require('../../models/cube');
+const CubeAnalytic = require('../../models/cubeAnalytic');
+const Deck = require('../../models/deck');
+const Draft = require('../../models/draft');
+const User = require('../../models/user');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const ANONYMOUS_RATE_LIMIT = 30;
+// Only write lastUsed once in a while rather than on every request.
+const LAST_USED_INTERVAL = 60 * 1000;
+
+const CUBE_FIELDS =
+  '_id shortID name owner owner_name isListed isPrivate description image_uri image_artist image_name date_updated card_count type categoryOverride categoryPrefixes tags numDecks draft_formats defaultDraftFormat savedFilters users_following collaborators';
+const USER_FIELDS = '_id username about image_name image artist users_following';
+
+const router = express.Router();
+
+const sendError = (res, status, message) => res.status(status).send({ success: 'false', message });
+
+// Catches errors from async handlers so every failure gets the same JSON shape.
+const apiRoute = (route) => async (req, res, next) => {
+  try {
+    return await route(req, res, next);
+  } catch (err) {
+    req.logger.error(err);
+    return sendError(res, 500, 'Internal server error');
+  }
+};
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id) && /^[0-9a-fA-F]{24}$/.test(id);
+
+const getPagination = (req) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 0, 0);
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize };
+};
+
+const sendPage = (res, data, { page, pageSize }, total) =>
+  res.status(200).send({
+    success: 'true',
+    data,
+    pagination: { page, pageSize, total, pages: Math.ceil(total / pageSize) },
+  });
+
+const paginate = (items, pagination) =>
+  items.slice(pagination.page * pagination.pageSize, (pagination.page + 1) * pagination.pageSize);
+
+const withDetails = (card) => {
+  // eslint-disable-next-line no-unused-vars
+  const { embedding, ...details } = carddb.cardFromId(card.cardID);
+  return { ...card, details };
+};
+
+// Pending invitations aren't shown.
+const formatCube = ({ users_following: following, collaborators, ...cube }) => ({
+  ...cube,
+  followers: (following ?? []).length,
+  collaborators: (collaborators ?? [])
+    .filter((collaborator) => collaborator.accepted)
+    .map(({ user, username, role }) => ({ user, username, role })),
+});
+
+const formatUser = ({ users_following: following, ...user }) => ({ ...user, followers: (following ?? []).length });
+
+const findCube = async (req, fields = CUBE_FIELDS) => {
+  const cube = await Cube.findOne(buildIdQuery(req.params.id), fields).lean();
+  return isCubeViewable(cube, req.apiUser) ? cube : null;
+};
+
+// Viewable cubes among the given ids, for checking decks, drafts and blog posts.
+const viewableCubeIds = async (ids, user) => {
+  const cubes = await Cube.find({ _id: { $in: ids } }, '_id owner isPrivate collaborators').lean();
+  return new Set(cubes.filter((cube) => isCubeViewable(cube, user)).map((cube) => cube._id.toString()));
+};
+
+router.use((req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Authorization');
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+  return next();
+});
+
+// The API is mounted before the site's maintenance page, so it goes down along with the site here.
+router.use((req, res, next) => {
+  if (process.env.DOWNTIME_ACTIVE === 'true') {
+    return sendError(res, 503, 'CubeCobra is down for maintenance.');
+  }
+  return next();
+});
+
+// Keys are optional, requests without one are treated as a logged out user with a lower rate limit.
+router.use(
+  apiRoute(async (req, res, next) => {
+    const header = req.get('Authorization');
+    if (!header) {
+      return next();
+    }
+    const match = header.match(/^Bearer\s+(\S+)$/);
+    const apiKey = match && (await ApiKey.findOne({ hash: hashApiKey(match[1]) }));
+    if (!apiKey) {
+      return sendError(res, 401, 'Invalid API key.');
+    }
+    const user = await User.findById(apiKey.owner, '_id username roles moderation').lean();
+    if (!user) {
+      return sendError(res, 401, 'Invalid API key.');
+    }
+    // Suspended users can't use their keys either, the same way they're logged out of the site.
+    if (isSuspended(user)) {
+      return sendError(
+        res,
+        403,
+        `This account is suspended until ${user.moderation.suspendedUntil.toLocaleString('en-US')}.`,
+      );
+    }
+    req.apiKey = apiKey;
+    req.apiUser = user;
+    if (!apiKey.lastUsed || Date.now() - apiKey.lastUsed.getTime() > LAST_USED_INTERVAL) {
+      apiKey.lastUsed = new Date();
+      await apiKey.save();
+    }
+    return next();
+  }),
+);
+
+router.use(
+  rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => (req.apiKey ? req.apiKey.rateLimit : ANONYMOUS_RATE_LIMIT),
+    keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey._id}` : `ip:${req.ip}`),
+    handler: (req, res) => sendError(res, 429, 'Too many requests, please slow down.'),
+  }),
+);
+
+router.get(
+  '/cubes',
+  apiRoute(async (req, res) => {
+    const pagination = getPagination(req);
+    const query = { isListed: true, ...viewableCubeQuery(req.apiUser) };
+    if (req.query.owner) {
+      if (!isObjectId(req.query.owner)) {
+        return sendPage(res, [], pagination, 0);
+      }
+      query.owner = req.query.owner;
+      // Owners can see their own unlisted cubes, like on their profile.
+      if (req.apiUser && req.apiUser._id.equals(req.query.owner)) {
+        delete query.isListed;
+      }
+    }
+    if (req.query.name) {
+      query.name = { $regex: req.query.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [cubes, total] = await Promise.all([
+      Cube.find(query, CUBE_FIELDS)
+        .sort({ date_updated: -1 })
+        .skip(pagination.page * pagination.pageSize)
+        .limit(pagination.pageSize)
+        .lean(),
+      Cube.countDocuments(query),
+    ]);
+    return sendPage(res, cubes.map(formatCube), pagination, total);
+  }),
+);
+
+router.get(
+  '/cubes/:id',
+  apiRoute(async (req, res) => {
+    const cube = await findCube(req);
+    if (!cube) {
+      return sendError(res, 404, 'Cube not found.');
+    }
+    return res.status(200).send({ success: 'true', data: formatCube(cube) });
+  }),
+);
+
+router.get(
+  '/cubes/:id/cards',
+  apiRoute(async (req, res) => {
+    const board = req.query.board || 'mainboard';
+    if (!['mainboard', 'maybeboard'].includes(board)) {
+      return sendError(res, 400, 'board must be mainboard or maybeboard.');
+    }
+    const cube = await findCube(
+      req,
+      `_id owner isPrivate collaborators savedFilters ${board === 'mainboard' ? 'cards' : 'maybe'}`,
+    );
+    if (!cube) {
+      return sendError(res, 404, 'Cube not found.');
+    }
+
+    let cards = (board === 'mainboard' ? cube.cards : cube.maybe).map(withDetails);
+    if (req.query.filter) {
+      const { err, filter } = makeFilter(req.query.filter, cube.savedFilters);
+      if (err) {
+        return sendError(res, 400, err.message);
+      }
+      if (filter) {
+        cards = cards.filter(filter);
+      }
+    }
+
+    const pagination = getPagination(req);
+    return sendPage(res, paginate(cards, pagination), pagination, cards.length);
+  }),
+);
+
+router.get(
+  '/cubes/:id/decks',
+  apiRoute(async (req, res) => {
+    const cube = await findCube(req, '_id owner isPrivate collaborators');
+    if (!cube) {
+      return sendError(res, 404, 'Cube not found.');
+    }
+    const pagination = getPagination(req);
+    const query = { cube: cube._id };
+    const [decks, total] = await Promise.all([
+      Deck.find(query, '_id cube owner date draft cubename seats.username seats.name seats.bot seats.record')
+        .sort({ date: -1 })
+        .skip(pagination.page * pagination.pageSize)
+        .limit(pagination.pageSize)
+        .lean(),
+      Deck.countDocuments(query),
+    ]);
+    return sendPage(res, decks, pagination, total);
+  }),
+);
+
+router.get(
+  '/cubes/:id/blog',
+  apiRoute(async (req, res) => {
+    const cube = await findCube(req, '_id owner isPrivate collaborators');
+    if (!cube) {
+      return sendError(res, 404, 'Cube not found.');
+    }
+    const pagination = getPagination(req);
+    const query = { cube: cube._id };
+    const [posts, total] = await Promise.all([
+      Blog.find(query)
+        .sort({ date: -1 })
+        .skip(pagination.page * pagination.pageSize)
+        .limit(pagination.pageSize)
+        .lean(),
+      Blog.countDocuments(query),
+    ]);
+    return sendPage(res, posts, pagination, total);
+  }),
+);
+
+router.get(
+  '/cubes/:id/analytics',
+  apiRoute(async (req, res) => {
+    const cube = await findCube(req, '_id owner isPrivate collaborators');
+    if (!cube) {
+      return sendError(res, 404, 'Cube not found.');
+    }
+    const analytic = await CubeAnalytic.findOne({ cube: cube._id }).lean();
+    const cards = (analytic ? analytic.cards : []).sort((a, b) => b.elo - a.elo);
+    const pagination = getPagination(req);
+    return sendPage(res, paginate(cards, pagination), pagination, cards.length);
+  }),
+);
+
+router.get(
+  '/decks/:id',
+  apiRoute(async (req, res) => {
+    const deck = isObjectId(req.params.id) ? await Deck.findById(req.params.id).lean() : null;
+    if (!deck || !(await viewableCubeIds([deck.cube], req.apiUser)).has(`${deck.cube}`)) {
+      return sendError(res, 404, 'Deck not found.');
+    }
+    deck.cards = deck.cards.map(withDetails);
+    return res.status(200).send({ success: 'true', data: deck });
+  }),
+);
+
+router.get(
+  '/drafts/:id',
+  apiRoute(async (req, res) => {
+    const draft = isObjectId(req.params.id) ? await Draft.findById(req.params.id).lean() : null;
+    if (!draft || !(await viewableCubeIds([draft.cube], req.apiUser)).has(`${draft.cube}`)) {
+      return sendError(res, 404, 'Draft not found.');
+    }
+    draft.cards = draft.cards.map(withDetails);
+    return res.status(200).send({ success: 'true', data: draft });
+  }),
+);
+
+router.get(
+  '/blog/:id',
+  apiRoute(async (req, res) => {
+    const post = isObjectId(req.params.id) ? await Blog.findById(req.params.id).lean() : null;
+    // Posts without a cube are site posts.
+    if (!post || (post.cube && !(await viewableCubeIds([post.cube], req.apiUser)).has(`${post.cube}`))) {
+      return sendError(res, 404, 'Blog post not found.');
+    }
+    return res.status(200).send({ success: 'true', data: post });
+  }),
+);
+
+const findUser = async (id) => {
+  if (isObjectId(id)) {
+    return User.findById(id, USER_FIELDS).lean();
+  }
+  return User.findOne({ username_lower: id.toLowerCase() }, USER_FIELDS).lean();
+};
+
+router.get(
+  '/users/:id',
+  apiRoute(async (req, res) => {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return sendError(res, 404, 'User not found.');
+    }
+    return res.status(200).send({ success: 'true', data: formatUser(user) });
+  }),
+);
+
+router.get(
+  '/users/:id/cubes',
+  apiRoute(async (req, res) => {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return sendError(res, 404, 'User not found.');
+    }
+    const query = { owner: user._id, ...viewableCubeQuery(req.apiUser) };
+    if (!req.apiUser || !req.apiUser._id.equals(user._id)) {
+      query.isListed = true;
+    }
+    const pagination = getPagination(req);
+    const [cubes, total] = await Promise.all([
+      Cube.find(query, CUBE_FIELDS)
+        .sort({ date_updated: -1 })
+        .skip(pagination.page * pagination.pageSize)
+        .limit(pagination.pageSize)
+        .lean(),
+      Cube.countDocuments(query),
+    ]);
+    return sendPage(res, cubes.map(formatCube), pagination, total);
+  }),
+);
+
+router.use((req, res) => sendError(res, 404, 'Unknown endpoint. See /api for the documentation.'));
+
+module.exports = router;
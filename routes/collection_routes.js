@@ -0,0 +1,177 @@
+const express = require('express');
+const { body } = require('express-validator');
+
+const util = require('../serverjs/util.js');
+const carddb = require('../serverjs/cards.js');
+const { render } = require('../serverjs/render');
+const { parseCollection, allocateCollection, applyCollectionStatuses } = require('../serverjs/collection');
+const { saveCubeChanges } = require('../serverjs/changelog');
+const { exportCollectionCsv } = require('../serverjs/exporters');
+const { ensureAuth, csrfProtection, jsonValidationErrors } = require('./middleware');
+
+const CollectionCard = require('../models/collectionCard');
+const Cube = require('../models/cube');
+
+const router = express.Router();
+
+router.use(csrfProtection);
+
+// Only this many of the names that couldn't be imported are shown after an import.
+const MAX_MISSING_SHOWN = 10;
+
+// Updates the statuses of the user's cubes that take them from their collection, recording the edits in each cube's
+// history. A cube someone saves in the meantime keeps its statuses until its next update.
+async function updateCollectionCubes(user) {
+  const cubes = await Cube.find({ owner: user._id, statusFromCollection: true });
+  await Promise.all(
+    cubes.map(async (cube) => {
+      const changes = await applyCollectionStatuses(cube);
+      if (changes.length > 0) {
+        await saveCubeChanges(cube, user, changes).catch((err) => {
+          if (!err.conflict) {
+            throw err;
+          }
+        });
+      }
+    }),
+  );
+}
+
+router.get('/', ensureAuth, async (req, res) => {
+  try {
+    const entries = await CollectionCard.find({ owner: req.user._id }).sort({ date: -1 }).lean();
+    const cubes = await Cube.find(
+      { owner: req.user._id },
+      '_id shortID name statusFromCollection cards.cardID cards.finish',
+    )
+      .sort({ date_updated: -1 })
+      .lean();
+
+    const { report } = allocateCollection(entries, cubes, carddb);
+
+    return render(
+      req,
+      res,
+      'CollectionPage',
+      {
+        entries: entries.map(({ _id, cardID, finish, condition, quantity }) => ({
+          _id,
+          cardID,
+          finish,
+          condition,
+          quantity,
+          details: carddb.cardFromId(cardID, 'name set collector_number image_normal image_flip'),
+        })),
+        cubes: cubes.map(({ _id, shortID, name, statusFromCollection }) => ({
+          _id,
+          shortID,
+          name,
+          statusFromCollection,
+        })),
+        usage: report.map(({ name, owned, used, copies, missing }) => ({
+          name,
+          owned,
+          used,
+          copies: copies.map(({ entry, cubes: copyCubes }) => ({ entry: entry._id, cubes: copyCubes })),
+          missing,
+        })),
+        conditions: CollectionCard.CONDITIONS,
+      },
+      {
+        title: 'My Collection',
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/404');
+  }
+});
+
+router.post('/import', ensureAuth, async (req, res) => {
+  try {
+    const text = req.files && req.files.document ? req.files.document.data.toString('utf8') : req.body.body || '';
+    if (text.trim().length === 0) {
+      req.flash('danger', 'Please paste a list of cards or attach a file');
+      return res.redirect('/collection');
+    }
+
+    const { entries, missing } = parseCollection(text, carddb);
+    const replace = req.body.replace === 'true';
+    // A replacing import is written before the old entries are removed, so a failed import leaves the collection as it
+    // was instead of empty.
+    if (entries.length > 0) {
+      await CollectionCard.bulkWrite(
+        entries.map(({ cardID, finish, condition, quantity }) => ({
+          updateOne: {
+            filter: { owner: req.user._id, cardID, finish, condition },
+            update: { [replace ? '$set' : '$inc']: { quantity }, $setOnInsert: { date: new Date() } },
+            upsert: true,
+          },
+        })),
+      );
+    }
+    if (replace) {
+      const imported = entries.map(({ cardID, finish, condition }) => ({ cardID, finish, condition }));
+      await CollectionCard.deleteMany({ owner: req.user._id, ...(imported.length > 0 ? { $nor: imported } : {}) });
+    }
+    await updateCollectionCubes(req.user);
+
+    const count = entries.reduce((sum, { quantity }) => sum + quantity, 0);
+    req.flash('success', `Added ${count} cards to your collection.`);
+    if (missing.length > 0) {
+      const shown = missing.slice(0, MAX_MISSING_SHOWN).join(', ');
+      const more = missing.length > MAX_MISSING_SHOWN ? ` and ${missing.length - MAX_MISSING_SHOWN} more` : '';
+      req.flash('danger', `These cards couldn't be found or had an invalid quantity: ${shown}${more}.`);
+    }
+    return res.redirect('/collection');
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/collection');
+  }
+});
+
+router.post(
+  '/update/:id',
+  ensureAuth,
+  body('quantity', 'Quantity must be a number.').isInt({ min: 0 }).toInt(),
+  body('finish', 'Finish must be valid.').isIn(['Foil', 'Non-foil', 'Etched']),
+  body('condition', 'Condition must be valid.').isIn(CollectionCard.CONDITIONS),
+  jsonValidationErrors,
+  util.wrapAsyncApi(async (req, res) => {
+    const entry = await CollectionCard.findById(req.params.id);
+    if (!entry || !entry.owner.equals(req.user._id)) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Card not found in your collection.',
+      });
+    }
+
+    // Setting the quantity to zero removes the card.
+    if (req.body.quantity === 0) {
+      await CollectionCard.deleteOne({ _id: entry._id });
+    } else {
+      entry.quantity = req.body.quantity;
+      entry.finish = req.body.finish;
+      entry.condition = req.body.condition;
+      await entry.save();
+    }
+    await updateCollectionCubes(req.user);
+
+    return res.status(200).send({
+      success: 'true',
+    });
+  }),
+);
+
+router.get('/export', ensureAuth, async (req, res) => {
+  try {
+    const entries = await CollectionCard.find({ owner: req.user._id }).sort({ date: -1 }).lean();
+    res.setHeader('Content-disposition', 'attachment; filename=collection.csv');
+    res.setHeader('Content-type', 'text/plain');
+    res.charset = 'UTF-8';
+    res.write(exportCollectionCsv(entries, carddb));
+    return res.end();
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/collection');
+  }
+});
+
+module.exports = router;
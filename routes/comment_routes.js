@@ -4,7 +4,15 @@ require('dotenv').config();
 const express = require('express');
 const { ensureAuth, csrfProtection } = require('./middleware');
 
+const parser = require('../dist/markdown/parser');
 const util = require('../serverjs/util.js');
+const {
+  isMuted,
+  needsApproval,
+  isCommentVisible,
+  getModerationRole,
+  logModeration,
+} = require('../serverjs/moderation');
 const Comment = require('../models/comment');
 const User = require('../models/user');
 const Report = require('../models/report');
@@ -24,13 +32,15 @@ router.use(csrfProtection);
 router.get(
   '/:type/:parent',
   util.wrapAsyncApi(async (req, res) => {
+    const { role } = await getModerationRole(req.user, req.params.type, req.params.parent);
     const comments = await Comment.find({
       $and: [{ parent: req.params.parent }, { parentType: req.params.type }],
     }).lean();
 
     return res.status(200).send({
       success: 'true',
-      comments,
+      comments: comments.filter((comment) => isCommentVisible(comment, req.user, !!role)),
+      canModerate: !!role,
     });
   }),
 );
@@ -71,12 +81,134 @@ const getReplyContext = {
   default: async () => null, // nobody gets a notification for this
 };
 
+// Tells the owner of what was commented on, and the users mentioned in it, about a published comment.
+const notifyCommentPublished = async (comment, poster, mentions) => {
+  const getContext = getReplyContext[comment.parentType] ?? getReplyContext.default;
+  const [ownerid, type] = (await getContext(comment.parent)) ?? [];
+
+  const owner = await User.findById(ownerid);
+
+  if (owner) {
+    await util.addNotification(
+      owner,
+      poster,
+      `/comment/${comment._id}`,
+      `${poster.username} left a comment in response to your ${type}.`,
+      'comment',
+    );
+  }
+
+  if (mentions.length > 0) {
+    const users = User.find({ username_lower: mentions });
+    await util.addMultipleNotifications(
+      users,
+      poster,
+      `/comment/${comment._id}`,
+      `${poster.username} mentioned you in their comment`,
+      'mention',
+    );
+  }
+};
+
+// Hides, unhides, approves or rejects a comment. Admins can moderate any comment, cube owners the comments on their
+// cube's blog posts and decks. Every action goes in the audit log.
+router.post(
+  '/moderate/:id',
+  ensureAuth,
+  util.wrapAsyncApi(async (req, res) => {
+    const { action, reason } = req.body;
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Comment not found.',
+      });
+    }
+
+    const { role, cube } = await getModerationRole(req.user, comment.parentType, comment.parent);
+    if (!role) {
+      return res.status(403).send({
+        success: 'false',
+        message: 'Only admins and the owner of the cube may moderate this comment.',
+      });
+    }
+
+    const descriptions = {
+      hide: 'Hid a comment',
+      unhide: 'Unhid a comment',
+      approve: 'Approved a comment',
+      reject: 'Rejected a comment',
+    };
+    if (
+      !descriptions[action] ||
+      (['approve', 'reject'].includes(action) && comment.status !== 'pending') ||
+      (action === 'hide' && comment.status === 'hidden') ||
+      (action === 'unhide' && comment.status !== 'hidden')
+    ) {
+      return res.status(400).send({
+        success: 'false',
+        message: 'Invalid moderation action.',
+      });
+    }
+
+    const owner = comment.owner ? await User.findById(comment.owner) : null;
+    if (action === 'hide') {
+      comment.hiddenFrom = comment.status;
+      comment.hiddenInBulk = false;
+      comment.status = 'hidden';
+    } else if (action === 'unhide') {
+      // A comment that was waiting for approval when it was hidden still needs it.
+      comment.status = comment.hiddenFrom ?? 'published';
+      comment.hiddenFrom = undefined;
+      comment.hiddenInBulk = undefined;
+    } else if (action === 'approve') {
+      comment.status = 'published';
+    } else {
+      comment.status = 'hidden';
+      comment.content = '[removed by moderator]';
+      comment.updated = true;
+    }
+    await comment.save();
+
+    if (action === 'approve' && owner) {
+      const mentions = parser.findUserLinks(comment.content).map((x) => x.toLowerCase());
+      await notifyCommentPublished(comment, owner, mentions);
+    }
+
+    await logModeration(
+      req.user,
+      role,
+      `${action}Comment`,
+      `${descriptions[action]} by ${comment.ownerName ?? 'a deleted user'}`,
+      {
+        target: owner,
+        comment: comment._id,
+        cube: cube ? cube._id : null,
+        reason: `${reason ?? ''}`.substring(0, 500),
+      },
+    );
+
+    return res.status(200).send({
+      success: 'true',
+      comment,
+    });
+  }),
+);
+
 router.post(
   '/:type/:parent',
   ensureAuth,
   util.wrapAsyncApi(async (req, res) => {
     const poster = await User.findById(req.user._id);
 
+    if (isMuted(poster)) {
+      return res.status(403).send({
+        success: 'false',
+        message: `You can't comment until ${poster.moderation.mutedUntil.toLocaleString('en-US')}.`,
+      });
+    }
+
     if (
       !['comment', 'blog', 'deck', 'card', 'article', 'podcast', 'video', 'episode', 'package'].includes(
         req.params.type,
@@ -101,31 +233,14 @@ router.post(
     // the -1000 is to prevent weird time display error
     comment.timePosted = Date.now() - 1000;
     comment.date = Date.now() - 1000;
+    // Nobody is told about comments waiting for approval until they're approved.
+    comment.status = needsApproval(poster, comment.content) ? 'pending' : 'published';
 
     await comment.save();
 
-    const [ownerid, type] = await getReplyContext[req.params.type](req.params.parent);
-
-    const owner = await User.findById(ownerid);
-
-    if (owner) {
-      await util.addNotification(
-        owner,
-        poster,
-        `/comment/${comment._id}`,
-        `${poster.username} left a comment in response to your ${type}.`,
-      );
-    }
-
-    if (req.body.mentions) {
-      const mentions = req.body.mentions.split(';');
-      const users = User.find({ username_lower: mentions });
-      await util.addMultipleNotifications(
-        users,
-        poster,
-        `/comment/${comment._id}`,
-        `${poster.username} mentioned you in their comment`,
-      );
+    if (comment.status === 'published') {
+      const mentions = req.body.mentions ? req.body.mentions.split(';') : [];
+      await notifyCommentPublished(comment, poster, mentions);
     }
 
     return res.status(200).send({
@@ -160,6 +275,15 @@ router.post(
       });
     }
 
+    // Muted users can still delete their comments, which clears the owner, but not change what they say.
+    const poster = await User.findById(req.user._id);
+    if (newComment.owner && isMuted(poster)) {
+      return res.status(403).send({
+        success: 'false',
+        message: `You can't edit comments until ${poster.moderation.mutedUntil.toLocaleString('en-US')}.`,
+      });
+    }
+
     comment.owner = newComment.owner;
     comment.ownerName = newComment.ownerName;
     comment.image = newComment.owner
@@ -170,6 +294,11 @@ router.post(
     comment.content = newComment.content.substring(0, 5000);
     // the -1000 is to prevent weird time display error
     comment.timePosted = Date.now() - 1000;
+    // Edits go through the same check as new comments, so a published comment can't be edited into one that needs
+    // approval.
+    if (newComment.owner && needsApproval(poster, comment.content)) {
+      comment.status = 'pending';
+    }
 
     await comment.save();
 
@@ -206,6 +335,14 @@ router.get(
   util.wrapAsyncApi(async (req, res) => {
     const comment = await Comment.findById(req.params.id).lean();
 
+    if (comment && ['pending', 'hidden'].includes(comment.status)) {
+      const { role } = await getModerationRole(req.user, comment.parentType, comment.parent);
+      if (!isCommentVisible(comment, req.user, !!role)) {
+        req.flash('danger', 'Comment not found');
+        return res.redirect('/404');
+      }
+    }
+
     return render(
       req,
       res,
@@ -8,6 +8,9 @@ const { Canvas, Image } = require('canvas');
 Canvas.Image = Image;
 
 const cardutil = require('../../dist/utils/Card.js');
+const { makeFilter } = require('../../dist/filtering/FilterCards.js');
+const { parseDraftFormat } = require('../../dist/drafting/createdraft.js');
+const simulateFormat = require('../../dist/drafting/simulateFormat.js').default;
 const carddb = require('../../serverjs/cards.js');
 const { ensureAuth, jsonValidationErrors } = require('../middleware');
 const util = require('../../serverjs/util.js');
@@ -24,8 +27,18 @@ const {
   saveDraftAnalytics,
   addCardHtml,
   isCubeViewable,
+  hasCubePermission,
 } = require('../../serverjs/cubefn.js');
 const { isInFeaturedQueue } = require('../../serverjs/featuredQueue');
+const { applyCollectionStatuses } = require('../../serverjs/collection');
+const {
+  addCard,
+  editCard,
+  updateCard,
+  cardsDiffer,
+  applyChanges,
+  saveCubeChanges,
+} = require('../../serverjs/changelog.js');
 
 const { rotateArrayLeft, createPool } = require('./helper');
 
@@ -39,6 +52,19 @@ const Blog = require('../../models/blog');
 
 const router = express.Router();
 
+// Saves the cube with saveCubeChanges. Returns the error when someone else saved the cube first, and null otherwise.
+const saveCubeEdit = async (cube, user, changes, blogpost = null) => {
+  try {
+    await saveCubeChanges(cube, user, changes, blogpost);
+    return null;
+  } catch (err) {
+    if (!err.conflict) {
+      throw err;
+    }
+    return err;
+  }
+};
+
 // API routes
 router.get('/cardnames', (_, res) => {
   return res.status(200).send({
@@ -85,7 +111,7 @@ router.post(
       });
     }
 
-    if (!user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, user._id, 'edit')) {
       return res.status(403).send({
         success: 'false',
         message: 'Unauthorized',
@@ -176,6 +202,7 @@ router.post(
   ensureAuth,
   body('privatePrices').toBoolean(),
   body('disableNotifications').toBoolean(),
+  body('statusFromCollection').toBoolean(),
   body('defaultStatus', 'Status must be valid.').isIn(['Owned', 'Not Owned']),
   body('defaultPrinting', 'Printing must be valid.').isIn(['recent', 'first']),
   body('visibility', 'Visibility must be valid').isIn(['public', 'unlisted', 'private']),
@@ -197,7 +224,14 @@ router.post(
     }
 
     const update = req.body;
-    for (const field of ['privatePrices', 'defaultStatus', 'defaultPrinting', 'disableNotifications', 'useCubeElo']) {
+    for (const field of [
+      'privatePrices',
+      'defaultStatus',
+      'defaultPrinting',
+      'disableNotifications',
+      'useCubeElo',
+      'statusFromCollection',
+    ]) {
       if (update[field] !== undefined) {
         cube[field] = update[field];
       }
@@ -225,7 +259,14 @@ router.post(
         break; // can't occur due to the validation above
     }
 
-    await cube.save();
+    const changes = await applyCollectionStatuses(cube);
+    const conflict = await saveCubeEdit(cube, req.user, changes);
+    if (conflict) {
+      return res.status(409).send({
+        success: 'false',
+        message: conflict.message,
+      });
+    }
     return res.status(200).send({
       success: 'true',
     });
@@ -342,7 +383,7 @@ router.post(
       });
     }
 
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       return res.status(401).send({
         success: 'false',
       });
@@ -542,10 +583,10 @@ router.post(
       });
     }
 
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       return res.status(403).send({
         success: 'false',
-        message: 'Cube can only be updated by cube owner.',
+        message: 'Cube can only be updated by the cube owner and its editors.',
       });
     }
 
@@ -690,7 +731,7 @@ router.post(
       });
     }
 
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       return res.status(401).send({
         success: 'false',
         message: 'Insufficient permissions',
@@ -704,6 +745,7 @@ router.post(
     }
 
     const card = cube.cards[src.index];
+    const oldCard = card.toObject();
     if (!card.type_line) {
       card.type_line = carddb.cardFromId(card.cardID).type;
     }
@@ -725,11 +767,19 @@ router.post(
         delete updated[key];
       }
     }
-    cube.cards[src.index] = updated;
+    const changes = [updateCard(src.index, oldCard, updated, carddb)];
+    applyChanges(cube.cards, changes);
+    changes.push(...(await applyCollectionStatuses(cube)));
 
     setCubeType(cube, carddb);
 
-    await cube.save();
+    const conflict = await saveCubeEdit(cube, req.user, changes);
+    if (conflict) {
+      return res.status(409).send({
+        success: 'false',
+        message: conflict.message,
+      });
+    }
     return res.status(200).send({
       success: 'true',
     });
@@ -763,52 +813,59 @@ router.post(
         message: 'Cube not found',
       });
     }
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       return res.status(403).send({
         success: 'false',
         message: 'Unauthorized',
       });
     }
 
-    const allUpdates = {
-      $set: {},
-    };
-    for (const index of selected) {
-      if (updated.status) {
-        allUpdates.$set[`cards.${index}.status`] = updated.status;
-      }
-      if (updated.cmc) {
-        allUpdates.$set[`cards.${index}.cmc`] = updated.cmc;
-      }
-      if (updated.type_line) {
-        allUpdates.$set[`cards.${index}.type_line`] = updated.type_line;
-      }
-      if (updated.colors) {
-        allUpdates.$set[`cards.${index}.colors`] = updated.colors.filter((color) => [...'WUBRG'].includes(color));
-      }
-      if (updated.colorC) {
-        allUpdates.$set[`cards.${index}.colors`] = [];
-      }
-      if (updated.finish) {
-        allUpdates.$set[`cards.${index}.finish`] = updated.finish;
-      }
-      if (updated.tags) {
-        if (updated.addTags) {
-          if (!allUpdates.$addToSet) {
-            allUpdates.$addToSet = {};
-          }
-          allUpdates.$addToSet[`cards.${index}.tags`] = updated.tags;
+    const changes = [];
+    for (const index of new Set(selected)) {
+      if (index < cube.cards.length) {
+        const oldCard = cube.cards[index].toObject();
+        const card = { ...oldCard };
+        if (updated.status) {
+          card.status = updated.status;
+        }
+        if (updated.cmc) {
+          card.cmc = updated.cmc;
+        }
+        if (updated.type_line) {
+          card.type_line = updated.type_line;
         }
-        if (updated.deleteTags) {
-          if (!allUpdates.$pullAll) {
-            allUpdates.$pullAll = {};
+        if (updated.colors) {
+          card.colors = updated.colors.filter((color) => [...'WUBRG'].includes(color));
+        }
+        if (updated.colorC) {
+          card.colors = [];
+        }
+        if (updated.finish) {
+          card.finish = updated.finish;
+        }
+        if (updated.tags) {
+          if (updated.addTags) {
+            card.tags = [...new Set([...(card.tags || []), ...updated.tags])];
+          }
+          if (updated.deleteTags) {
+            card.tags = (card.tags || []).filter((tag) => !updated.tags.includes(tag));
           }
-          allUpdates.$pullAll[`cards.${index}.tags`] = updated.tags;
+        }
+        if (cardsDiffer(oldCard, card)) {
+          changes.push(editCard(index, oldCard, card));
         }
       }
     }
+    applyChanges(cube.cards, changes);
+    changes.push(...(await applyCollectionStatuses(cube)));
 
-    await cube.updateOne(allUpdates);
+    const conflict = await saveCubeEdit(cube, req.user, changes);
+    if (conflict) {
+      return res.status(409).send({
+        success: 'false',
+        message: conflict.message,
+      });
+    }
     return res.status(200).send({
       success: 'true',
     });
@@ -904,10 +961,10 @@ router.post(
       });
     }
 
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       return res.status(403).send({
         success: 'false',
-        message: 'Cube can only be updated by cube owner.',
+        message: 'Cube can only be updated by the cube owner and its editors.',
       });
     }
 
@@ -919,38 +976,45 @@ router.post(
       }
     }
 
-    if (tag) {
-      cube.cards.push(
-        ...req.body.cards.map((id) => {
-          const c = util.newCard(carddb.cardFromId(id));
-          c.tags = [tag];
-          c.notes = `Added from package "${tag}": ${process.env.HOST}/packages/${req.body.packid}`;
-          return c;
-        }),
-      );
-    } else {
-      cube.cards.push(...req.body.cards.map((id) => util.newCard(carddb.cardFromId(id))));
-    }
+    const changes = req.body.cards.map((id, index) => {
+      const card = util.newCard(carddb.cardFromId(id));
+      if (tag) {
+        card.tags = [tag];
+        card.notes = `Added from package "${tag}": ${process.env.HOST}/packages/${req.body.packid}`;
+      }
+      return addCard(cube.cards.length + index, card);
+    });
+    applyChanges(cube.cards, changes);
+    changes.push(...(await applyCollectionStatuses(cube)));
 
     cube = setCubeType(cube, carddb);
-    await cube.save();
 
+    let blogpost = null;
     if (tag) {
-      const blogpost = new Blog();
+      blogpost = new Blog();
       blogpost.title = `Added Package "${tag}"`;
       blogpost.changelist = req.body.cards.reduce(
-        (changes, card) => changes + addCardHtml(carddb.cardFromId(card)),
+        (changelist, card) => changelist + addCardHtml(carddb.cardFromId(card)),
         '',
       );
       blogpost.markdown = `Add from the package [${tag}](/packages/${req.body.packid})`;
-      blogpost.owner = cube.owner;
+      blogpost.owner = req.user._id;
       blogpost.date = Date.now();
       blogpost.cube = cube._id;
       blogpost.dev = 'false';
       blogpost.date_formatted = blogpost.date.toLocaleString('en-US');
-      blogpost.username = cube.owner_name;
+      blogpost.username = req.user.username;
       blogpost.cubename = cube.name;
+    }
 
+    const conflict = await saveCubeEdit(cube, req.user, changes, blogpost);
+    if (conflict) {
+      return res.status(409).send({
+        success: 'false',
+        message: conflict.message,
+      });
+    }
+    if (blogpost) {
       await blogpost.save();
     }
 
@@ -973,10 +1037,10 @@ router.post(
       });
     }
 
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       return res.status(403).send({
         success: 'false',
-        message: 'Maybeboard can only be updated by owner.',
+        message: 'Maybeboard can only be updated by the cube owner and its editors.',
       });
     }
 
@@ -1015,10 +1079,10 @@ router.post(
         message: 'Cube not found',
       });
     }
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       return res.status(403).send({
         success: 'false',
-        message: 'Maybeboard can only be updated by cube owner.',
+        message: 'Maybeboard can only be updated by the cube owner and its editors.',
       });
     }
 
@@ -1069,7 +1133,7 @@ router.post(
         message: 'Cube not found',
       });
     }
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       return res.status(403).send({
         success: 'false',
         message: 'Unauthorized',
@@ -1085,6 +1149,129 @@ router.post(
   }),
 );
 
+router.post(
+  '/savedfilters/:id',
+  ensureAuth,
+  body('filters', 'A cube can have at most 100 saved filters.').isArray({ max: 100 }),
+  body('filters.*.name', 'Filter names must contain only letters, numbers, dashes, and underscores.').matches(
+    /^[A-Za-z0-9_-]{1,50}$/,
+  ),
+  body('filters.*.filter', 'Saved filters must be between 1 and 1000 characters long.').isString().isLength({
+    min: 1,
+    max: 1000,
+  }),
+  jsonValidationErrors,
+  util.wrapAsyncApi(async (req, res) => {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id));
+    if (!isCubeViewable(cube, req.user)) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Cube not found',
+      });
+    }
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
+      return res.status(403).send({
+        success: 'false',
+        message: 'Unauthorized',
+      });
+    }
+
+    const filters = req.body.filters.map(({ name, filter }) => ({ name, filter: filter.trim() }));
+    const names = new Set();
+    for (const { name, filter } of filters) {
+      if (names.has(name.toLowerCase())) {
+        return res.status(400).send({
+          success: 'false',
+          message: `There is more than one saved filter named "${name}".`,
+        });
+      }
+      names.add(name.toLowerCase());
+
+      const { err } = makeFilter(filter, filters);
+      if (err) {
+        return res.status(400).send({
+          success: 'false',
+          message: `Saved filter "${name}" is invalid: ${err.message}`,
+        });
+      }
+    }
+
+    cube.savedFilters = filters;
+    await cube.save();
+    return res.status(200).send({
+      success: 'true',
+      savedFilters: filters,
+    });
+  }),
+);
+
+// Simulations run on the server, so how many cards one can deal across all its drafts is capped.
+const MAX_SIMULATED_CARDS = 500000;
+
+router.post(
+  '/simulateformat/:id',
+  ensureAuth,
+  body('format.packs', 'Format must have between 1 and 16 packs.').isArray({ min: 1, max: 16 }),
+  body('format.packs.*.slots', 'Every pack must have between 1 and 30 card slots.').isArray({ min: 1, max: 30 }),
+  body('seats', 'Seat count must be between 2 and 16.').isInt({ min: 2, max: 16 }).toInt(),
+  body('iterations', 'The format can be simulated between 1 and 1000 times.').isInt({ min: 1, max: 1000 }).toInt(),
+  body('seed').optional().isString(),
+  jsonValidationErrors,
+  util.wrapAsyncApi(async (req, res) => {
+    const cube = await Cube.findOne(
+      buildIdQuery(req.params.id),
+      'cards savedFilters isPrivate owner collaborators',
+    ).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Cube not found',
+      });
+    }
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
+      return res.status(403).send({
+        success: 'false',
+        message: 'Unauthorized',
+      });
+    }
+
+    const { packs } = req.body.format;
+    const cardsPerSeat = packs.reduce((sum, { slots }) => sum + slots.length, 0);
+    if (cardsPerSeat * req.body.seats * req.body.iterations > MAX_SIMULATED_CARDS) {
+      return res.status(400).send({
+        success: 'false',
+        message: 'This format deals too many cards to simulate that many times, try fewer drafts.',
+      });
+    }
+
+    let format;
+    try {
+      format = parseDraftFormat(
+        packs.map(({ slots }) => ({ slots: slots.map((slot) => `${slot}`) })),
+        ',',
+        cube.savedFilters,
+      );
+    } catch (err) {
+      return res.status(400).send({
+        success: 'false',
+        message: err.message,
+      });
+    }
+    format.multiples = !!req.body.format.multiples;
+
+    const cards = cube.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+    const simulation = simulateFormat(format, cards, {
+      seats: req.body.seats,
+      iterations: req.body.iterations,
+      seed: req.body.seed || Date.now().toString(),
+    });
+    return res.status(200).send({
+      success: 'true',
+      simulation,
+    });
+  }),
+);
+
 router.post('/submitdraft/:id', async (req, res) => {
   const draft = await Draft.findOne({
     _id: req.body._id,
@@ -1100,6 +1287,14 @@ router.post('/submitdraft/:id', async (req, res) => {
 });
 
 router.post('/submitgriddraft/:id', async (req, res) => {
+  // Online grid drafts are only changed by the picks the server checks, see serverjs/liveGridDraft.js.
+  const existing = await GridDraft.findById(req.body._id, 'draftType').lean();
+  if (existing && existing.draftType === '2playeronline') {
+    return res.status(400).send({
+      success: 'false',
+      message: 'Online grid drafts are saved as they are drafted.',
+    });
+  }
   await GridDraft.updateOne(
     {
       _id: req.body._id,
@@ -1127,6 +1322,8 @@ router.get(
     return res.status(200).send({
       seed: result.seed,
       pack: result.pack.map((card) => card.name),
+      // A pick from a real draft of the cube to go along with the pack, the same one for the same seed.
+      quiz: `https://cubecobra.com/cube/quiz/${encodeURIComponent(req.params.id)}/${encodeURIComponent(result.seed)}`,
     });
   }),
 );
@@ -1146,6 +1343,9 @@ router.get(
     return res.status(200).send({
       seed: req.params.seed,
       pack: result.pack.map((card) => card.name),
+      quiz: `https://cubecobra.com/cube/quiz/${encodeURIComponent(req.params.id)}/${encodeURIComponent(
+        req.params.seed,
+      )}`,
     });
   }),
 );
@@ -1154,7 +1354,7 @@ router.get(
   '/date_updated/:id',
   util.wrapAsyncApi(async (req, res) => {
     const { id } = req.params;
-    const result = await Cube.findOne(buildIdQuery(id), 'date_updated isPrivate owner').lean();
+    const result = await Cube.findOne(buildIdQuery(id), 'date_updated isPrivate owner collaborators').lean();
     if (!isCubeViewable(result, req.user)) {
       return res.status(404).send({
         success: 'false',
@@ -7,7 +7,13 @@ const { render } = require('../../serverjs/render');
 const generateMeta = require('../../serverjs/meta.js');
 const miscutil = require('../../dist/utils/Util.js');
 
-const { setCubeType, buildIdQuery, abbreviate, isCubeViewable } = require('../../serverjs/cubefn.js');
+const {
+  setCubeType,
+  buildIdQuery,
+  abbreviate,
+  isCubeViewable,
+  hasCubePermission,
+} = require('../../serverjs/cubefn.js');
 
 const Cube = require('../../models/cube');
 const Blog = require('../../models/blog');
@@ -50,7 +56,7 @@ router.post('/post/:id', ensureAuth, async (req, res) => {
     }
 
     // post new blog
-    if (!user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, user._id, 'blog')) {
       req.flash('danger', 'Unable to post this blog post: Unauthorized.');
       return res.redirect(`/cube/blog/${encodeURIComponent(req.params.id)}`);
     }
@@ -85,6 +91,8 @@ router.post('/post/:id', ensureAuth, async (req, res) => {
         owner,
         `/cube/blog/blogpost/${blogpost._id}`,
         `${user.username} mentioned you in their blog post`,
+        'mention',
+        cube._id,
       );
     }
 
@@ -119,12 +127,15 @@ router.delete('/remove/:id', ensureAuth, async (req, res) => {
     };
 
     const blog = await Blog.findById(req.params.id);
+    // Cube owners can also remove posts their collaborators made.
+    const cube = blog.cube ? await Cube.findById(blog.cube, 'owner').lean() : null;
 
-    if (!req.user._id.equals(blog.owner)) {
+    if (!req.user._id.equals(blog.owner) && !(cube && req.user._id.equals(cube.owner))) {
       req.flash('danger', 'Unauthorized');
       return res.redirect('/404');
     }
     await Blog.deleteOne(query);
+    await Blog.updateCubeHasBlog(blog.cube);
 
     req.flash('success', 'Post Removed');
     return res.send('Success');
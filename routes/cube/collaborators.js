@@ -0,0 +1,208 @@
+const express = require('express');
+const { body } = require('express-validator');
+
+const { ensureAuth, jsonValidationErrors } = require('../middleware');
+const util = require('../../serverjs/util.js');
+const { buildIdQuery, isCubeViewable, getCubeId } = require('../../serverjs/cubefn.js');
+const { COLLABORATOR_ROLES } = require('../../dist/utils/CubePermissions');
+
+const Cube = require('../../models/cube');
+const User = require('../../models/user');
+
+const MAX_COLLABORATORS = 50;
+
+const router = express.Router();
+
+const roleValid = body('role', 'Role must be valid.').isIn(Object.keys(COLLABORATOR_ROLES));
+
+// Only the owner manages collaborators. Sends the error response and returns null if the user can't.
+const findOwnedCube = async (req, res) => {
+  const cube = await Cube.findOne(buildIdQuery(req.params.id));
+  if (!isCubeViewable(cube, req.user)) {
+    res.status(404).send({
+      success: 'false',
+      message: 'Cube not found',
+    });
+    return null;
+  }
+  if (!req.user._id.equals(cube.owner)) {
+    res.status(403).send({
+      success: 'false',
+      message: 'Only the cube owner can manage collaborators.',
+    });
+    return null;
+  }
+  return cube;
+};
+
+const findInvitation = (cube, user) =>
+  cube.collaborators.find((collaborator) => !collaborator.accepted && user._id.equals(collaborator.user));
+
+router.post(
+  '/invite/:id',
+  ensureAuth,
+  body('username', 'Username is required.').isString().trim().notEmpty(),
+  roleValid,
+  jsonValidationErrors,
+  util.wrapAsyncApi(async (req, res) => {
+    const cube = await findOwnedCube(req, res);
+    if (!cube) {
+      return null;
+    }
+
+    const invitee = await User.findOne({ username_lower: req.body.username.toLowerCase() });
+    if (!invitee) {
+      return res.status(400).send({
+        success: 'false',
+        message: `There is no user named ${req.body.username}.`,
+      });
+    }
+    if (invitee._id.equals(cube.owner)) {
+      return res.status(400).send({
+        success: 'false',
+        message: "You can't invite yourself to your own cube.",
+      });
+    }
+    if (cube.collaborators.some((collaborator) => invitee._id.equals(collaborator.user))) {
+      return res.status(400).send({
+        success: 'false',
+        message: `${invitee.username} is already a collaborator or has already been invited.`,
+      });
+    }
+    if (cube.collaborators.length >= MAX_COLLABORATORS) {
+      return res.status(400).send({
+        success: 'false',
+        message: `A cube can have at most ${MAX_COLLABORATORS} collaborators.`,
+      });
+    }
+
+    cube.collaborators.push({ user: invitee._id, username: invitee.username, role: req.body.role, accepted: false });
+    await cube.save();
+
+    await util.addNotification(
+      invitee,
+      req.user,
+      `/cube/overview/${encodeURIComponent(getCubeId(cube))}`,
+      `${req.user.username} invited you to collaborate on ${cube.name} as ${COLLABORATOR_ROLES[req.body.role].name}`,
+      'collaboration',
+      cube._id,
+    );
+
+    return res.status(200).send({
+      success: 'true',
+      collaborators: cube.collaborators,
+    });
+  }),
+);
+
+router.post(
+  '/role/:id',
+  ensureAuth,
+  body('user', 'User is required.').isMongoId(),
+  roleValid,
+  jsonValidationErrors,
+  util.wrapAsyncApi(async (req, res) => {
+    const cube = await findOwnedCube(req, res);
+    if (!cube) {
+      return null;
+    }
+
+    const collaborator = cube.collaborators.find(({ user }) => user.equals(req.body.user));
+    if (!collaborator) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Collaborator not found',
+      });
+    }
+
+    collaborator.role = req.body.role;
+    await cube.save();
+    return res.status(200).send({
+      success: 'true',
+      collaborators: cube.collaborators,
+    });
+  }),
+);
+
+// Owners can remove anyone and cancel invitations, and collaborators can remove themselves.
+router.post(
+  '/remove/:id',
+  ensureAuth,
+  body('user', 'User is required.').isMongoId(),
+  jsonValidationErrors,
+  util.wrapAsyncApi(async (req, res) => {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id));
+    const index = cube ? cube.collaborators.findIndex(({ user }) => user.equals(req.body.user)) : -1;
+    if (index === -1) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Collaborator not found',
+      });
+    }
+    if (!req.user._id.equals(cube.owner) && !req.user._id.equals(req.body.user)) {
+      return res.status(403).send({
+        success: 'false',
+        message: 'Only the cube owner can manage collaborators.',
+      });
+    }
+
+    cube.collaborators.splice(index, 1);
+    await cube.save();
+    return res.status(200).send({
+      success: 'true',
+      collaborators: cube.collaborators,
+    });
+  }),
+);
+
+router.post('/accept/:id', ensureAuth, async (req, res) => {
+  const redirect = `/cube/overview/${encodeURIComponent(req.params.id)}`;
+  try {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id));
+    const invitation = cube && findInvitation(cube, req.user);
+    if (!invitation) {
+      req.flash('danger', 'Invitation not found');
+      return res.redirect(redirect);
+    }
+
+    invitation.accepted = true;
+    invitation.username = req.user.username;
+    await cube.save();
+
+    const owner = await User.findById(cube.owner);
+    await util.addNotification(
+      owner,
+      req.user,
+      redirect,
+      `${req.user.username} accepted your invitation to collaborate on ${cube.name}`,
+      'collaboration',
+      cube._id,
+    );
+
+    req.flash('success', `You are now collaborating on ${cube.name} as ${COLLABORATOR_ROLES[invitation.role].name}.`);
+    return res.redirect(redirect);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, redirect);
+  }
+});
+
+router.post('/decline/:id', ensureAuth, async (req, res) => {
+  try {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id));
+    const invitation = cube && findInvitation(cube, req.user);
+    if (!invitation) {
+      req.flash('danger', 'Invitation not found');
+      return res.redirect('/404');
+    }
+
+    cube.collaborators.pull(invitation._id);
+    await cube.save();
+
+    req.flash('success', 'Invitation declined.');
+    return res.redirect(cube.isPrivate ? '/' : `/cube/overview/${encodeURIComponent(req.params.id)}`);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/');
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@ Canvas.Image = Image;
 const miscutil = require('../../dist/utils/Util.js');
 const carddb = require('../../serverjs/cards.js');
 const { buildDeck } = require('../../dist/drafting/deckutil.js');
+const { getGridDrafterState } = require('../../dist/drafting/griddraftutils.js');
 const { render } = require('../../serverjs/render');
 const util = require('../../serverjs/util.js');
 const generateMeta = require('../../serverjs/meta.js');
@@ -20,9 +21,15 @@ const {
   addDeckCardAnalytics,
   removeDeckCardAnalytics,
   isCubeViewable,
+  hasCubePermission,
 } = require('../../serverjs/cubefn.js');
 
-const { exportToMtgo, createPool, rotateArrayLeft } = require('./helper.js');
+const { exportList } = require('../../serverjs/exporters.js');
+const { generateProxyPdf, proxyFaces, sendProxyPdf } = require('../../serverjs/proxies.js');
+const { listToCards } = require('../../serverjs/importers.js');
+const { setSeatRecord } = require('../../serverjs/winRates.js');
+const { sealedDeckProblem } = require('../../serverjs/sealed.js');
+const { createPool, rotateArrayLeft, sendExport } = require('./helper.js');
 
 // Bring in models
 const Cube = require('../../models/cube');
@@ -31,269 +38,58 @@ const User = require('../../models/user');
 const CubeAnalytic = require('../../models/cubeAnalytic');
 const Draft = require('../../models/draft');
 const GridDraft = require('../../models/gridDraft');
+const Event = require('../../models/event');
+const SealedEvent = require('../../models/sealedEvent');
 
 const router = express.Router();
 
-router.get('/download/xmage/:id/:seat', async (req, res) => {
+// Each deck download as its exporters.js format and file extension.
+const DECK_DOWNLOADS = {
+  txt: ['plaintext', 'txt'],
+  forge: ['forge', 'dck'],
+  xmage: ['xmage', 'dck'],
+  mtgo: ['mtgo', 'txt'],
+  arena: ['arena', 'txt'],
+  cockatrice: ['cockatrice', 'txt'],
+};
+
+// Prints the seat's main deck.
+router.get('/download/proxies/:id/:seat', ensureAuth, async (req, res) => {
   try {
     const deck = await Deck.findById(req.params.id).lean();
-
-    if (!deck) {
-      req.flash('danger', `Deck ID ${req.params.id} not found/`);
-      return res.redirect('/404');
-    }
-
-    const seat = deck.seats[req.params.seat];
-
-    res.setHeader('Content-disposition', `attachment; filename=${seat.name.replace(/\W/g, '')}.dck`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    res.write(`NAME:${seat.name}\r\n`);
-    const main = {};
-    for (const row of seat.deck) {
-      for (const col of row) {
-        for (const cardIndex of col) {
-          const details = carddb.cardFromId(deck.cards[cardIndex].cardID);
-          const name = `[${details.set.toUpperCase()}:${details.collector_number}] ${details.name}`;
-          if (main[name]) {
-            main[name] += 1;
-          } else {
-            main[name] = 1;
-          }
-        }
-      }
-    }
-    for (const [key, value] of Object.entries(main)) {
-      res.write(`${value} ${key}\r\n`);
-    }
-
-    const side = {};
-    for (const row of seat.sideboard) {
-      for (const col of row) {
-        for (const cardIndex of col) {
-          const details = carddb.cardFromId(deck.cards[cardIndex].cardID);
-          const name = `[${details.set.toUpperCase()}:${details.collector_number}] ${details.name}`;
-          if (side[name]) {
-            side[name] += 1;
-          } else {
-            side[name] = 1;
-          }
-        }
-      }
-    }
-    for (const [key, value] of Object.entries(side)) {
-      res.write(`SB: ${value} ${key}\r\n`);
-    }
-    return res.end();
-  } catch (err) {
-    return util.handleRouteError(req, res, err, '/404');
-  }
-});
-
-router.get('/download/forge/:id/:seat', async (req, res) => {
-  try {
-    const deck = await Deck.findById(req.params.id).lean();
-    if (!deck) {
-      req.flash('danger', `Deck ID ${req.params.id} not found/`);
-      return res.redirect('/404');
-    }
-    const seat = deck.seats[req.params.seat];
-
-    res.setHeader('Content-disposition', `attachment; filename=${seat.name.replace(/\W/g, '')}.dck`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    res.write('[metadata]\r\n');
-    res.write(`Name=${seat.name}\r\n`);
-    res.write('[Main]\r\n');
-    const main = {};
-    for (const row of seat.deck) {
-      for (const col of row) {
-        for (const cardIndex of col) {
-          const details = carddb.cardFromId(deck.cards[cardIndex].cardID);
-          const name = `${details.name}|${details.set.toUpperCase()}`;
-          if (main[name]) {
-            main[name] += 1;
-          } else {
-            main[name] = 1;
-          }
-        }
-      }
-    }
-    for (const [key, value] of Object.entries(main)) {
-      res.write(`${value} ${key}\r\n`);
-    }
-
-    res.write('[Side]\r\n');
-    const side = {};
-    for (const row of seat.sideboard) {
-      for (const col of row) {
-        for (const cardIndex of col) {
-          const details = carddb.cardFromId(deck.cards[cardIndex].cardID);
-          const name = `${details.name}|${details.set.toUpperCase()}`;
-          if (side[name]) {
-            side[name] += 1;
-          } else {
-            side[name] = 1;
-          }
-        }
-      }
-    }
-    for (const [key, value] of Object.entries(side)) {
-      res.write(`${value} ${key}\r\n`);
-    }
-
-    return res.end();
-  } catch (err) {
-    return util.handleRouteError(req, res, err, '/404');
-  }
-});
-
-router.get('/download/txt/:id/:seat', async (req, res) => {
-  try {
-    const deck = await Deck.findById(req.params.id).lean();
-    if (!deck) {
+    const seat = deck && deck.seats[req.params.seat];
+    if (!seat) {
       req.flash('danger', `Deck ID ${req.params.id} not found/`);
       return res.redirect('/404');
     }
-    const seat = deck.seats[req.params.seat];
-
-    res.setHeader('Content-disposition', `attachment; filename=${seat.name.replace(/\W/g, '')}.txt`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    for (const row of seat.deck) {
-      for (const col of row) {
-        for (const cardIndex of col) {
-          const { name } = carddb.cardFromId(deck.cards[cardIndex].cardID);
-          res.write(`${name}\r\n`);
-        }
-      }
-    }
-    return res.end();
-  } catch (err) {
-    return util.handleRouteError(req, res, err, '/404');
-  }
-});
 
-router.get('/download/mtgo/:id/:seat', async (req, res) => {
-  try {
-    const deck = await Deck.findById(req.params.id).lean();
-    if (!deck) {
-      req.flash('danger', `Deck ID ${req.params.id} not found/`);
-      return res.redirect('/404');
-    }
-    const seat = deck.seats[req.params.seat];
-    return exportToMtgo(res, seat.name, seat.deck.flat(), seat.sideboard.flat(), deck.cards);
+    const cards = (seat.deck || [])
+      .flat(2)
+      .map((cardIndex) => ({ ...deck.cards[cardIndex], details: carddb.cardFromId(deck.cards[cardIndex].cardID) }));
+    const pdf = await generateProxyPdf(proxyFaces(cards), { pageSize: req.query.pagesize });
+    return sendProxyPdf(res, seat.name, pdf);
   } catch (err) {
-    return util.handleRouteError(req, res, err, '/404');
+    return util.handleRouteError(req, res, err, `/cube/deck/${encodeURIComponent(req.params.id)}`);
   }
 });
 
-router.get('/download/arena/:id/:seat', async (req, res) => {
+router.get('/download/:format/:id/:seat', async (req, res) => {
   try {
     const deck = await Deck.findById(req.params.id).lean();
-    if (!deck) {
+    const seat = deck && deck.seats[req.params.seat];
+    if (!seat || !DECK_DOWNLOADS[req.params.format]) {
       req.flash('danger', `Deck ID ${req.params.id} not found/`);
       return res.redirect('/404');
     }
-    const seat = deck.seats[req.params.seat];
-
-    res.setHeader('Content-disposition', `attachment; filename=${seat.name.replace(/\W/g, '')}.txt`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    res.write('Deck\r\n');
-    const main = {};
-    for (const row of seat.deck) {
-      for (const col of row) {
-        for (const cardIndex of col) {
-          const details = carddb.cardFromId(deck.cards[cardIndex].cardID);
-          const name = `${details.name} (${details.set.toUpperCase()}) ${details.collector_number}`;
-          if (main[name]) {
-            main[name] += 1;
-          } else {
-            main[name] = 1;
-          }
-        }
-      }
-    }
-    for (const [key, value] of Object.entries(main)) {
-      res.write(`${value} ${key}\r\n`);
-    }
 
-    res.write('\r\nSideboard\r\n');
-    const side = {};
-    for (const row of seat.sideboard) {
-      for (const col of row) {
-        for (const cardIndex of col) {
-          const details = carddb.cardFromId(deck.cards[cardIndex].cardID);
-          const name = `${details.name} (${details.set.toUpperCase()}) ${details.collector_number}`;
-          if (side[name]) {
-            side[name] += 1;
-          } else {
-            side[name] = 1;
-          }
-        }
-      }
-    }
-    for (const [key, value] of Object.entries(side)) {
-      res.write(`${value} ${key}\r\n`);
-    }
-
-    return res.end();
-  } catch (err) {
-    return util.handleRouteError(req, res, err, '/404');
-  }
-});
-
-router.get('/download/cockatrice/:id/:seat', async (req, res) => {
-  try {
-    const deck = await Deck.findById(req.params.id).lean();
-    if (!deck) {
-      req.flash('danger', `Deck ID ${req.params.id} not found/`);
-      return res.redirect('/404');
-    }
-    const seat = deck.seats[req.params.seat];
-
-    res.setHeader('Content-disposition', `attachment; filename=${seat.name.replace(/\W/g, '')}.txt`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    const main = {};
-    for (const row of seat.deck) {
-      for (const col of row) {
-        for (const cardIndex of col) {
-          const details = carddb.cardFromId(deck.cards[cardIndex].cardID);
-          const name = `${details.name}`;
-          if (main[name]) {
-            main[name] += 1;
-          } else {
-            main[name] = 1;
-          }
-        }
-      }
-    }
-    for (const [key, value] of Object.entries(main)) {
-      res.write(`${value}x ${key}\r\n`);
-    }
-
-    res.write('Sideboard\r\n');
-    const side = {};
-    for (const row of seat.sideboard) {
-      for (const col of row) {
-        for (const cardIndex of col) {
-          const details = carddb.cardFromId(deck.cards[cardIndex].cardID);
-          const name = `${details.name}`;
-          if (side[name]) {
-            side[name] += 1;
-          } else {
-            side[name] = 1;
-          }
-        }
-      }
-    }
-    for (const [key, value] of Object.entries(side)) {
-      res.write(`${value}x ${key}\r\n`);
-    }
-
-    return res.end();
+    const [format, extension] = DECK_DOWNLOADS[req.params.format];
+    const seatCards = (pool) => (pool || []).flat(2).map((cardIndex) => deck.cards[cardIndex]);
+    const text = exportList(
+      format,
+      { name: seat.name, main: seatCards(seat.deck), side: seatCards(seat.sideboard) },
+      carddb,
+    );
+    return sendExport(res, seat.name, extension, text);
   } catch (err) {
     return util.handleRouteError(req, res, err, '/404');
   }
@@ -333,8 +129,9 @@ router.get('/deckbuilder/:id', async (req, res) => {
       return res.redirect('/404');
     }
 
-    const deckOwner = await User.findById(deck.seats[0].userid).lean();
-    if (!req.user || !deckOwner._id.equals(req.user._id)) {
+    const seatIndex = parseInt(req.query.seat || 0, 10);
+    const seat = deck.seats[seatIndex];
+    if (!req.user || !seat || !seat.userid || !req.user._id.equals(seat.userid)) {
       req.flash('danger', 'Only logged in deck owners can build decks.');
       return res.redirect(`/cube/deck/${req.params.id}`);
     }
@@ -368,6 +165,7 @@ router.get('/deckbuilder/:id', async (req, res) => {
       {
         cube,
         initialDeck: deck,
+        seat: seatIndex,
       },
       {
         title: `${abbreviate(cube.name)} - Deckbuilder`,
@@ -414,6 +212,11 @@ router.get('/decks/:cubeid/:page', async (req, res) => {
     }).exec();
 
     const [numDecks, decks] = await Promise.all([numDecksq, decksq]);
+    const deckIds = decks.map((deck) => deck._id);
+    const [events, sealedEvents] = await Promise.all([
+      Event.find({ deck: { $in: deckIds } }, '_id deck').lean(),
+      SealedEvent.find({ deck: { $in: deckIds } }, '_id deck name').lean(),
+    ]);
 
     return render(
       req,
@@ -422,6 +225,8 @@ router.get('/decks/:cubeid/:page', async (req, res) => {
       {
         cube,
         decks,
+        events,
+        sealedEvents,
         pages: Math.ceil(numDecks / pagesize),
         activePage: Math.max(req.params.page, 0),
       },
@@ -522,6 +327,8 @@ router.get('/rebuild/:id/:index', ensureAuth, async (req, res) => {
         user,
         `/cube/deck/${deck._id}`,
         `${user.username} rebuilt a deck from your cube: ${cube.name}`,
+        'deck',
+        cube._id,
       );
     }
     if (baseUser && !baseUser._id.equals(user._id)) {
@@ -530,6 +337,8 @@ router.get('/rebuild/:id/:index', ensureAuth, async (req, res) => {
         user,
         `/cube/deck/${deck._id}`,
         `${user.username} rebuilt your deck from cube: ${cube.name}`,
+        'deck',
+        cube._id,
       );
     }
 
@@ -544,21 +353,43 @@ router.get('/rebuild/:id/:index', ensureAuth, async (req, res) => {
 router.post('/editdeck/:id', ensureAuth, async (req, res) => {
   try {
     const deck = await Deck.findById(req.params.id);
-    const deckOwner = await User.findById(deck.seats[0].userid);
+    const seatIndex = parseInt(req.body.seat || 0, 10);
+    const seat = deck && deck.seats[seatIndex];
+    const deckOwner = seat && (await User.findById(seat.userid));
 
     if (!deckOwner || !deckOwner._id.equals(req.user._id)) {
       req.flash('danger', 'Unauthorized');
       return res.redirect('/404');
     }
 
-    const cube = await Cube.findOne({ _id: deck.cube });
-
-    await removeDeckCardAnalytics(cube, deck, carddb);
-
     const newdeck = JSON.parse(req.body.draftraw);
     const name = JSON.parse(req.body.name);
     const description = JSON.parse(req.body.description);
 
+    // Sealed event decks are checked against the player's pool and their team before they are saved.
+    const sealedEvent = await SealedEvent.findOne({ deck: deck._id });
+    if (sealedEvent) {
+      const problem = sealedDeckProblem(
+        sealedEvent,
+        deck,
+        seatIndex,
+        newdeck.playerdeck.flat(2),
+        newdeck.playersideboard.flat(2),
+        carddb,
+      );
+      if (problem) {
+        req.flash('danger', problem);
+        return res.redirect(`/cube/deck/deckbuilder/${deck._id}?seat=${seatIndex}`);
+      }
+    }
+
+    const cube = await Cube.findOne({ _id: deck.cube });
+
+    // Sealed event pools are only counted in the analytics once their deck is registered.
+    if (!sealedEvent || sealedEvent.registered.includes(seatIndex)) {
+      await removeDeckCardAnalytics(cube, deck, carddb, seatIndex);
+    }
+
     let eloOverrideDict = {};
     if (cube.useCubeElo) {
       const analytic = await CubeAnalytic.findOne({ cube: cube._id });
@@ -574,29 +405,96 @@ router.post('/editdeck/:id', ensureAuth, async (req, res) => {
       }
       cardsArray.push(newCard);
     }
-    const { colors } = await buildDeck(cardsArray, deck.toObject().seats[0].deck.flat(3), []);
+    const { colors } = await buildDeck(cardsArray, deck.toObject().seats[seatIndex].deck.flat(3), []);
     const colorString =
       colors.length === 0
         ? 'C'
         : cardutil.COLOR_COMBINATIONS.find((comb) => frontutil.arraysAreEqualSets(comb, colors)).join('');
 
-    deck.seats[0].deck = newdeck.playerdeck;
-    deck.seats[0].sideboard = newdeck.playersideboard;
-    deck.seats[0].name = name;
-    deck.seats[0].description = description;
-    deck.seats[0].username = `${deckOwner.username}: ${colorString}`;
+    seat.deck = newdeck.playerdeck;
+    seat.sideboard = newdeck.playersideboard;
+    seat.name = name;
+    seat.description = description;
+    seat.username = `${deckOwner.username}: ${colorString}`;
 
     await deck.save();
-    await addDeckCardAnalytics(cube, deck, carddb);
+    await addDeckCardAnalytics(cube, deck, carddb, seatIndex);
     await cube.save();
 
+    if (sealedEvent && !sealedEvent.registered.includes(seatIndex)) {
+      sealedEvent.registered.push(seatIndex);
+      await sealedEvent.save();
+    }
+
     req.flash('success', 'Deck saved successfully');
-    return res.redirect(`/cube/deck/${deck._id}`);
+    return res.redirect(seatIndex === 0 ? `/cube/deck/${deck._id}` : `/cube/deck/${deck._id}?seat=${seatIndex}`);
   } catch (err) {
     return util.handleRouteError(req, res, err, '/404');
   }
 });
 
+const MAX_RECORDED_MATCHES = 100;
+
+const parseRecord = ({ wins, losses, draws } = {}) => {
+  const record = { wins: parseInt(wins || 0, 10), losses: parseInt(losses || 0, 10), draws: parseInt(draws || 0, 10) };
+  const valid = Object.values(record).every(
+    (count) => Number.isInteger(count) && count >= 0 && count <= MAX_RECORDED_MATCHES,
+  );
+  return valid ? record : null;
+};
+
+router.post('/record/:id/:seat', ensureAuth, async (req, res) => {
+  const redirect = `/cube/deck/${encodeURIComponent(req.params.id)}?seat=${encodeURIComponent(req.params.seat)}`;
+  try {
+    const deck = await Deck.findById(req.params.id);
+    if (!deck) {
+      req.flash('danger', 'Deck not found');
+      return res.redirect('/404');
+    }
+    const seatIndex = parseInt(req.params.seat, 10);
+    const seat = deck.seats[seatIndex];
+    if (!seat) {
+      req.flash('danger', 'Seat not found');
+      return res.redirect(redirect);
+    }
+    const canRecord = [deck.owner, deck.cubeOwner, seat.userid].some((id) => id && req.user._id.equals(id));
+    if (!canRecord) {
+      req.flash('danger', 'Only the players of this deck or the cube owner can record its results.');
+      return res.redirect(redirect);
+    }
+
+    const record = parseRecord(req.body);
+    const matchups = Object.entries(req.body.matchups || {}).map(([opponent, result]) => ({
+      opponent: parseInt(opponent, 10),
+      ...parseRecord(result),
+    }));
+    if (!record || matchups.some((matchup) => !deck.seats[matchup.opponent] || matchup.wins === undefined)) {
+      req.flash('danger', `Results must be whole numbers between 0 and ${MAX_RECORDED_MATCHES}.`);
+      return res.redirect(redirect);
+    }
+
+    const seats = setSeatRecord(
+      deck.toObject().seats.map(({ record: seatRecord, matchups: seatMatchups }) => ({
+        record: seatRecord,
+        matchups: seatMatchups || [],
+      })),
+      seatIndex,
+      record,
+      matchups,
+    );
+    seats.forEach((updated, index) => {
+      deck.seats[index].record = updated.record;
+      deck.seats[index].matchups = updated.matchups;
+    });
+    await deck.save();
+
+    req.flash('success', 'Results saved. Win rates on the analysis page are updated once a day.');
+    return res.redirect(redirect);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, redirect);
+  }
+});
+
 router.post('/submitdeck/:id', body('skipDeckbuilder').toBoolean(), async (req, res) => {
   try {
     // req.body contains a draft
@@ -680,6 +578,8 @@ router.post('/submitdeck/:id', body('skipDeckbuilder').toBoolean(), async (req,
         user,
         `/cube/deck/${deck._id}`,
         `${user.username} drafted your cube: ${cube.name}`,
+        'deck',
+        cube._id,
       );
     } else if (!cube.disableNotifications) {
       await util.addNotification(
@@ -687,6 +587,8 @@ router.post('/submitdeck/:id', body('skipDeckbuilder').toBoolean(), async (req,
         {},
         `/cube/deck/${deck._id}`,
         `An anonymous user drafted your cube: ${cube.name}`,
+        'deck',
+        cube._id,
       );
     }
 
@@ -719,6 +621,32 @@ router.post('/submitgriddeck/:id', body('skipDeckbuilder').toBoolean(), async (r
     }
 
     const deck = new Deck();
+    let seatIndex = 0;
+
+    // Both players of an online grid draft submit it when it finishes, and share the deck whoever is first makes.
+    if (draft.draftType === '2playeronline') {
+      seatIndex = draft.seats.findIndex(({ userid }) => req.user && userid && req.user._id.equals(userid));
+      if (seatIndex < 0) {
+        req.flash('danger', 'Only the players of this grid draft can save it.');
+        return res.redirect(`/cube/griddraft/${draft._id}`);
+      }
+      const { packNum, numPacks } = getGridDrafterState({ gridDraft: draft, seatNumber: seatIndex });
+      if (packNum < numPacks) {
+        req.flash('danger', 'This grid draft is not finished yet.');
+        return res.redirect(`/cube/griddraft/${draft._id}`);
+      }
+      const claimed = await GridDraft.updateOne({ _id: draft._id, deck: null }, { deck: deck._id });
+      if (claimed.nModified === 0) {
+        const { deck: existing } = await GridDraft.findById(draft._id, 'deck').lean();
+        if (req.body.skipDeckbuilder) {
+          return res.redirect(`/cube/deck/${existing}?seat=${seatIndex}`);
+        }
+        return res.redirect(`/cube/deck/deckbuilder/${existing}?seat=${seatIndex}`);
+      }
+      deck.owner = draft.seats[0].userid;
+      deck.cubeOwner = cube.owner;
+    }
+
     deck.cube = draft.cube;
     deck.date = Date.now();
     deck.draft = draft._id;
@@ -783,6 +711,8 @@ router.post('/submitgriddeck/:id', body('skipDeckbuilder').toBoolean(), async (r
         user,
         `/cube/deck/${deck._id}`,
         `${user.username} drafted your cube: ${cube.name}`,
+        'deck',
+        cube._id,
       );
     }
 
@@ -793,10 +723,11 @@ router.post('/submitgriddeck/:id', body('skipDeckbuilder').toBoolean(), async (r
     await addDeckCardAnalytics(cube, deck, carddb);
 
     await Promise.all([cube.save(), deck.save(), cubeOwner.save()]);
+    const seatQuery = seatIndex > 0 ? `?seat=${seatIndex}` : '';
     if (req.body.skipDeckbuilder) {
-      return res.redirect(`/cube/deck/${deck._id}`);
+      return res.redirect(`/cube/deck/${deck._id}${seatQuery}`);
     }
-    return res.redirect(`/cube/deck/deckbuilder/${deck._id}`);
+    return res.redirect(`/cube/deck/deckbuilder/${deck._id}${seatQuery}`);
   } catch (err) {
     return util.handleRouteError(req, res, err, `/cube/playtest/${encodeURIComponent(req.params.id)}`);
   }
@@ -860,71 +791,37 @@ router.post('/uploaddecklist/:id', ensureAuth, async (req, res) => {
       return res.redirect('/404');
     }
 
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       req.flash('danger', 'Not Authorized');
       return res.redirect(`/cube/playtest/${encodeURIComponent(req.params.id)}`);
     }
 
-    const cards = req.body.body.match(/[^\r\n]+/g);
-    if (!cards) {
+    const { newCards, newMaybe, missing } = listToCards(req.body.body || '', carddb, {
+      defaultPrinting: cube.defaultPrinting,
+      preferred: cube.cards,
+    });
+    if (newCards.length === 0 && newMaybe.length === 0) {
       req.flash('danger', 'No cards detected');
       return res.redirect(`/cube/playtest/${encodeURIComponent(req.params.id)}`);
     }
-
-    const cardList = [];
-
-    const added = [];
-    for (let i = 0; i < 16; i += 1) {
-      added.push([]);
+    if (missing.length > 0) {
+      req.flash('warning', `These cards could not be found: ${missing.join(', ')}`);
     }
 
-    for (let i = 0; i < cards.length; i += 1) {
-      const item = cards[i].toLowerCase().trim();
-      const numericMatch = item.match(/([0-9]+)x? (.*)/);
-      if (numericMatch) {
-        let count = parseInt(numericMatch[1], 10);
-        if (!Number.isInteger(count)) {
-          count = 1;
-        }
-        for (let j = 0; j < count; j += 1) {
-          cards.push(numericMatch[2]);
-        }
-      } else {
-        let selected = null;
-        // does not have set info
-        const normalizedName = cardutil.normalizeName(item);
-        const potentialIds = carddb.getIdsFromName(normalizedName);
-        if (potentialIds && potentialIds.length > 0) {
-          const inCube = cube.cards.find((card) => carddb.cardFromId(card.cardID).name_lower === normalizedName);
-          if (inCube) {
-            selected = {
-              finish: inCube.finish,
-              imgBackUrl: inCube.imgBackUrl,
-              imgUrl: inCube.imgUrl,
-              cardID: inCube.cardID,
-              details: carddb.cardFromId(inCube.cardID),
-            };
-          } else {
-            const reasonableCard = carddb.getMostReasonable(normalizedName, cube.defaultPrinting);
-            const reasonableId = reasonableCard ? reasonableCard._id : null;
-            const selectedId = reasonableId || potentialIds[0];
-            selected = {
-              cardID: selectedId,
-              details: carddb.cardFromId(selectedId),
-            };
-          }
-        }
-        if (selected) {
-          // push into correct column.
-          let column = Math.min(7, selected.cmc !== undefined ? selected.cmc : selected.details.cmc);
-          if (!selected.details.type.toLowerCase().includes('creature')) {
-            column += 8;
-          }
-          added[column].push(cardList.length);
-          cardList.push(selected);
-        }
+    const cardList = [];
+    // Creatures go in the first row, everything else in the second, in columns by cmc.
+    const placeCards = (cards) => {
+      const pool = createPool();
+      for (const card of cards) {
+        const details = carddb.cardFromId(card.cardID);
+        const row = details.type.toLowerCase().includes('creature') ? 0 : 1;
+        pool[row][Math.min(7, Math.floor(details.cmc))].push(cardList.length);
+        cardList.push({ ...card, details });
       }
-    }
+      return pool;
+    };
+    const main = placeCards(newCards);
+    const sideboard = placeCards(newMaybe);
 
     const deck = new Deck();
     deck.cards = cardList;
@@ -938,8 +835,8 @@ router.post('/uploaddecklist/:id', ensureAuth, async (req, res) => {
         userid: req.user._id,
         username: req.user.username,
         name: `${req.user.username}'s decklist upload on ${deck.date.toLocaleString('en-US')}`,
-        deck: [added.slice(0, 8), added.slice(8, 16)],
-        sideboard: createPool(),
+        deck: main,
+        sideboard,
       },
     ];
     deck.draft = null;
@@ -1007,6 +904,8 @@ router.get('/:id', async (req, res) => {
     let drafter = 'Anonymous';
 
     const deckUser = await User.findById(deck.owner);
+    const event = await Event.findOne({ deck: deck._id }, '_id').lean();
+    const sealedEvent = await SealedEvent.findOne({ deck: deck._id }, '_id').lean();
 
     if (deckUser) {
       drafter = deckUser.username;
@@ -1020,6 +919,8 @@ router.get('/:id', async (req, res) => {
         cube,
         deck,
         draft,
+        eventId: event ? event._id : null,
+        sealedEventId: sealedEvent ? sealedEvent._id : null,
       },
       {
         title: `${abbreviate(cube.name)} - ${drafter}'s deck`,
@@ -9,17 +9,20 @@ const filterutil = require('../../dist/filtering/FilterCards.js');
 const carddb = require('../../serverjs/cards.js');
 const util = require('../../serverjs/util.js');
 
-const { buildIdQuery, isCubeViewable } = require('../../serverjs/cubefn.js');
-const { writeCard, CSV_HEADER, exportToMtgo } = require('./helper.js');
+const { buildIdQuery, generatePack, isCubeViewable, maybeCards } = require('../../serverjs/cubefn.js');
+const { exportCsv, exportList } = require('../../serverjs/exporters.js');
+const { generateProxyPdf, proxyFaces, sendProxyPdf } = require('../../serverjs/proxies.js');
+const { sendExport } = require('./helper.js');
+const { ensureAuth } = require('../middleware');
 
 // Bring in models
 const Cube = require('../../models/cube');
 
 const router = express.Router();
 
-const sortCardsByQuery = (req, cards) => {
+const sortCardsByQuery = (req, cards, savedFilters) => {
   if (req.query.filter) {
-    const { filter, err } = filterutil.makeFilter(req.query.filter);
+    const { filter, err } = filterutil.makeFilter(req.query.filter, savedFilters);
     if (err) {
       throw err;
     }
@@ -51,15 +54,9 @@ router.get('/cubecobra/:id', async (req, res) => {
       card.details = details;
     }
 
-    cube.cards = sortCardsByQuery(req, cube.cards);
+    cube.cards = sortCardsByQuery(req, cube.cards, cube.savedFilters);
 
-    res.setHeader('Content-disposition', `attachment; filename=${cube.name.replace(/\W/g, '')}.txt`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    for (const card of cube.cards) {
-      res.write(`${card.details.full_name}\r\n`);
-    }
-    return res.end();
+    return sendExport(res, cube.name, 'txt', exportList('cubecobra', { main: cube.cards }, carddb));
   } catch (err) {
     return util.handleRouteError(req, res, err, '/404');
   }
@@ -79,22 +76,9 @@ router.get('/csv/:id', async (req, res) => {
       card.details = details;
     }
 
-    cube.cards = sortCardsByQuery(req, cube.cards);
-
-    res.setHeader('Content-disposition', `attachment; filename=${cube.name.replace(/\W/g, '')}.csv`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    res.write(`${CSV_HEADER}\r\n`);
+    cube.cards = sortCardsByQuery(req, cube.cards, cube.savedFilters);
 
-    for (const card of cube.cards) {
-      writeCard(res, card, false);
-    }
-    if (Array.isArray(cube.maybe)) {
-      for (const card of cube.maybe) {
-        writeCard(res, card, true);
-      }
-    }
-    return res.end();
+    return sendExport(res, cube.name, 'csv', exportCsv(cube.cards, cube.maybe, carddb));
   } catch (err) {
     return util.handleRouteError(req, res, err, '/404');
   }
@@ -114,18 +98,14 @@ router.get('/forge/:id', async (req, res) => {
       card.details = details;
     }
 
-    cube.cards = sortCardsByQuery(req, cube.cards);
+    cube.cards = sortCardsByQuery(req, cube.cards, cube.savedFilters);
 
-    res.setHeader('Content-disposition', `attachment; filename=${cube.name.replace(/\W/g, '')}.dck`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    res.write('[metadata]\r\n');
-    res.write(`Name=${cube.name}\r\n`);
-    res.write('[Main]\r\n');
-    for (const card of cube.cards) {
-      res.write(`1 ${card.details.name}|${card.details.set.toUpperCase()}\r\n`);
-    }
-    return res.end();
+    return sendExport(
+      res,
+      cube.name,
+      'dck',
+      exportList('forge', { name: cube.name, main: cube.cards, grouped: false }, carddb),
+    );
   } catch (err) {
     return util.handleRouteError(req, res, err, '/404');
   }
@@ -144,9 +124,9 @@ router.get('/mtgo/:id', async (req, res) => {
       card.details = details;
     }
 
-    cube.cards = sortCardsByQuery(req, cube.cards);
+    cube.cards = sortCardsByQuery(req, cube.cards, cube.savedFilters);
 
-    return exportToMtgo(res, cube.name, cube.cards, cube.maybe);
+    return sendExport(res, cube.name, 'txt', exportList('mtgo', { main: cube.cards, side: cube.maybe }, carddb));
   } catch (err) {
     return util.handleRouteError(req, res, err, '/404');
   }
@@ -165,15 +145,9 @@ router.get('/xmage/:id', async (req, res) => {
       card.details = details;
     }
 
-    cube.cards = sortCardsByQuery(req, cube.cards);
+    cube.cards = sortCardsByQuery(req, cube.cards, cube.savedFilters);
 
-    res.setHeader('Content-disposition', `attachment; filename=${cube.name.replace(/\W/g, '')}.dck`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    for (const card of cube.cards) {
-      res.write(`1 [${card.details.set.toUpperCase()}:${card.details.collector_number}] ${card.details.name}\r\n`);
-    }
-    return res.end();
+    return sendExport(res, cube.name, 'dck', exportList('xmage', { main: cube.cards, grouped: false }, carddb));
   } catch (err) {
     return util.handleRouteError(req, res, err, '/404');
   }
@@ -192,18 +166,55 @@ router.get('/plaintext/:id', async (req, res) => {
       card.details = details;
     }
 
-    cube.cards = sortCardsByQuery(req, cube.cards);
+    cube.cards = sortCardsByQuery(req, cube.cards, cube.savedFilters);
 
-    res.setHeader('Content-disposition', `attachment; filename=${cube.name.replace(/\W/g, '')}.txt`);
-    res.setHeader('Content-type', 'text/plain');
-    res.charset = 'UTF-8';
-    for (const card of cube.cards) {
-      res.write(`${card.details.name}\r\n`);
-    }
-    return res.end();
+    return sendExport(res, cube.name, 'txt', exportList('plaintext', { main: cube.cards }, carddb));
   } catch (err) {
     return util.handleRouteError(req, res, err, '/404');
   }
 });
 
+// Prints the cube, or its maybeboard with board=maybe. proxied=true only prints the cards with the Proxied status.
+router.get('/proxies/:id', ensureAuth, async (req, res) => {
+  const redirect = `/cube/list/${encodeURIComponent(req.params.id)}`;
+  try {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id)).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', `Cube ID ${req.params.id} not found`);
+      return res.redirect('/404');
+    }
+
+    let cards =
+      req.query.board === 'maybe'
+        ? maybeCards(cube, carddb)
+        : cube.cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+    if (req.query.proxied === 'true') {
+      cards = cards.filter((card) => card.status === 'Proxied');
+    }
+    cards = sortCardsByQuery(req, cards, cube.savedFilters);
+
+    const pdf = await generateProxyPdf(proxyFaces(cards), { pageSize: req.query.pagesize });
+    return sendProxyPdf(res, cube.name, pdf);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, redirect);
+  }
+});
+
+router.get('/packproxies/:id/:seed', ensureAuth, async (req, res) => {
+  const redirect = `/cube/samplepack/${encodeURIComponent(req.params.id)}/${encodeURIComponent(req.params.seed)}`;
+  try {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id)).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', `Cube ID ${req.params.id} not found`);
+      return res.redirect('/404');
+    }
+
+    const { pack } = await generatePack(cube, carddb, req.params.seed);
+    const pdf = await generateProxyPdf(proxyFaces(pack), { pageSize: req.query.pagesize });
+    return sendProxyPdf(res, `${cube.name} pack`, pdf);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, redirect);
+  }
+});
+
 module.exports = router;
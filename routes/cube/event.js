@@ -0,0 +1,224 @@
+const express = require('express');
+const { body } = require('express-validator');
+
+const { ensureAuth } = require('../middleware');
+const carddb = require('../../serverjs/cards.js');
+const util = require('../../serverjs/util.js');
+const { render } = require('../../serverjs/render');
+const generateMeta = require('../../serverjs/meta.js');
+const miscutil = require('../../dist/utils/Util.js');
+
+const { abbreviate, isCubeViewable, updateMatchAnalytics } = require('../../serverjs/cubefn.js');
+const {
+  roundRobinRounds,
+  matchOutcome,
+  standings,
+  swissPairings,
+  defaultSwissRounds,
+} = require('../../serverjs/tournament.js');
+
+const Cube = require('../../models/cube');
+const Deck = require('../../models/deck');
+const Event = require('../../models/event');
+
+const router = express.Router();
+
+const MAX_GAME_WINS = 3;
+
+const isOrganizer = (event, user) => !!user && user._id.equals(event.owner);
+
+const currentRound = (event) => Math.max(-1, ...event.matches.map(({ round }) => round));
+
+const newMatch = (round, players) => ({
+  round,
+  players,
+  wins: [0, 0],
+  draws: 0,
+  // Byes don't need a result.
+  reported: players[1] === null,
+});
+
+// The seats of the deck and what happened to each of them in the match, for the card analytics.
+const matchResults = (event, match) =>
+  match.players[1] === null
+    ? []
+    : match.players.map((player, side) => ({ seat: event.players[player].seat, outcome: matchOutcome(match, side) }));
+
+// Pairs the next swiss round once every match so far has a result, and finishes the event after the last round.
+// Round robin events are paired in full when they are created.
+const advanceEvent = (event) => {
+  if (event.matches.some((match) => !match.reported)) {
+    return;
+  }
+  const round = currentRound(event);
+  if (event.format === 'swiss' && round + 1 < event.numRounds) {
+    const pairs = swissPairings(event.players.length, event.matches);
+    event.matches.push(...pairs.map((players) => newMatch(round + 1, players)));
+  } else {
+    event.status = 'finished';
+  }
+};
+
+router.post(
+  '/create/:deckid',
+  ensureAuth,
+  body('format').isIn(['swiss', 'roundrobin']),
+  body('rounds').toInt(),
+  async (req, res) => {
+    try {
+      const deck = await Deck.findById(req.params.deckid).lean();
+      if (!deck) {
+        req.flash('danger', 'Deck not found');
+        return res.redirect('/404');
+      }
+      const cube = await Cube.findById(deck.cube, 'name owner isPrivate collaborators').lean();
+      if (!isCubeViewable(cube, req.user)) {
+        req.flash('danger', 'Cube not found');
+        return res.redirect('/404');
+      }
+      if (!req.user._id.equals(deck.owner) && !req.user._id.equals(cube.owner)) {
+        req.flash('danger', 'Only the owner of this deck or cube can start an event for it.');
+        return res.redirect(`/cube/deck/${req.params.deckid}`);
+      }
+      const existing = await Event.findOne({ deck: deck._id }, '_id').lean();
+      if (existing) {
+        return res.redirect(`/cube/event/${existing._id}`);
+      }
+
+      const seats = [].concat(req.body.seats || []).map((seat) => parseInt(seat, 10));
+      const validSeats = [...new Set(seats)]
+        .filter((seat) => Number.isInteger(seat) && deck.seats[seat])
+        .sort((a, b) => a - b);
+      if (validSeats.length < 2) {
+        req.flash('danger', 'An event needs at least two players.');
+        return res.redirect(`/cube/deck/${req.params.deckid}`);
+      }
+
+      const event = new Event();
+      event.cube = cube._id;
+      event.deck = deck._id;
+      event.owner = req.user._id;
+      event.name = `${cube.name} Event`;
+      event.date = Date.now();
+      event.format = req.body.format === 'roundrobin' ? 'roundrobin' : 'swiss';
+      event.players = validSeats.map((seat) => ({
+        seat,
+        userid: deck.seats[seat].userid,
+        name: deck.seats[seat].username || deck.seats[seat].name,
+      }));
+
+      if (event.format === 'roundrobin') {
+        const rounds = roundRobinRounds(validSeats.length);
+        event.numRounds = rounds.length;
+        rounds.forEach((pairs, round) => event.matches.push(...pairs.map((players) => newMatch(round, players))));
+      } else {
+        const rounds = req.body.rounds > 0 ? req.body.rounds : defaultSwissRounds(validSeats.length);
+        event.numRounds = Math.min(rounds, validSeats.length - 1 + (validSeats.length % 2));
+        event.matches.push(...swissPairings(validSeats.length, []).map((players) => newMatch(0, players)));
+      }
+
+      await event.save();
+      return res.redirect(`/cube/event/${event._id}`);
+    } catch (err) {
+      return util.handleRouteError(req, res, err, `/cube/deck/${req.params.deckid}`);
+    }
+  },
+);
+
+router.post(
+  '/report/:id/:match',
+  ensureAuth,
+  body('wins0').toInt(),
+  body('wins1').toInt(),
+  body('draws').toInt(),
+  async (req, res) => {
+    const redirect = `/cube/event/${encodeURIComponent(req.params.id)}`;
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        req.flash('danger', 'Event not found');
+        return res.redirect('/404');
+      }
+      const match = event.matches.id(req.params.match);
+      if (!match || match.players[1] === null) {
+        req.flash('danger', 'Match not found');
+        return res.redirect(redirect);
+      }
+      const inMatch = match.players.some((player) => {
+        const { userid } = event.players[player];
+        return userid && req.user._id.equals(userid);
+      });
+      if (!inMatch && !isOrganizer(event, req.user)) {
+        req.flash('danger', 'Only the players in a match or the organizer can report its result.');
+        return res.redirect(redirect);
+      }
+
+      const [wins0, wins1, draws] = [req.body.wins0, req.body.wins1, req.body.draws];
+      if (![wins0, wins1, draws].every((count) => Number.isInteger(count) && count >= 0 && count <= MAX_GAME_WINS)) {
+        req.flash('danger', `Game counts must be between 0 and ${MAX_GAME_WINS}.`);
+        return res.redirect(redirect);
+      }
+      if (wins0 + wins1 + draws === 0) {
+        req.flash('danger', 'Please enter the result of at least one game.');
+        return res.redirect(redirect);
+      }
+
+      const deck = await Deck.findById(event.deck, 'seats cards').lean();
+      if (match.reported) {
+        await updateMatchAnalytics(event.cube, deck, matchResults(event, match), carddb, -1);
+      }
+      match.wins = [wins0, wins1];
+      match.draws = draws;
+      match.reported = true;
+      match.reportedBy = req.user._id;
+      await updateMatchAnalytics(event.cube, deck, matchResults(event, match), carddb);
+
+      advanceEvent(event);
+      await event.save();
+
+      req.flash('success', 'Result saved.');
+      return res.redirect(redirect);
+    } catch (err) {
+      return util.handleRouteError(req, res, err, redirect);
+    }
+  },
+);
+
+router.get('/:id', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).lean();
+    if (!event) {
+      req.flash('danger', 'Event not found');
+      return res.redirect('/404');
+    }
+    const cube = await Cube.findById(event.cube, `${Cube.LAYOUT_FIELDS} isPrivate owner`).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+
+    return render(
+      req,
+      res,
+      'CubeEventPage',
+      {
+        cube,
+        event,
+        standings: standings(event.players.length, event.matches),
+      },
+      {
+        title: `${abbreviate(cube.name)} - ${event.name}`,
+        metadata: generateMeta(
+          `Cube Cobra Event: ${cube.name}`,
+          miscutil.getCubeDescription(cube),
+          cube.image_uri,
+          `https://cubecobra.com/cube/event/${req.params.id}`,
+        ),
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/404');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,363 @@
+const express = require('express');
+const { body } = require('express-validator');
+
+const carddb = require('../../serverjs/cards.js');
+const util = require('../../serverjs/util.js');
+const { render } = require('../../serverjs/render');
+const generateMeta = require('../../serverjs/meta.js');
+const miscutil = require('../../dist/utils/Util.js');
+const cardutil = require('../../dist/utils/Card.js');
+const { buildDeck } = require('../../dist/drafting/deckutil.js');
+const {
+  DRAFT_FORMATS,
+  applyFormatMove,
+  replayFormatDraft,
+  runFormatBots,
+} = require('../../dist/drafting/formatdraftutils.js');
+
+const { abbreviate, addDeckCardAnalytics, buildIdQuery, isCubeViewable } = require('../../serverjs/cubefn.js');
+const { addBasics, createPool, shuffle } = require('./helper.js');
+
+const Cube = require('../../models/cube');
+const CubeAnalytic = require('../../models/cubeAnalytic');
+const Deck = require('../../models/deck');
+const User = require('../../models/user');
+const FormatDraft = require('../../models/formatDraft');
+
+const router = express.Router();
+
+// The limits on the cards drafted from a single deck, for the formats that aren't Rochester.
+const MIN_DECK_SIZE = 16;
+const MAX_DECK_SIZE = 180;
+
+// Drafts started by someone who was logged in can only be played by them, for every seat that isn't a bot.
+const canMove = (draft, user) => !draft.seats[0].userid || (!!user && user._id.equals(draft.seats[0].userid));
+
+const withDetails = async (cube, cards) => {
+  let eloOverrideDict = {};
+  if (cube.useCubeElo) {
+    const analytic = await CubeAnalytic.findOne({ cube: cube._id });
+    if (analytic) {
+      eloOverrideDict = miscutil.fromEntries(analytic.cards.map((c) => [c.cardName, c.elo]));
+    }
+  }
+  return cards.map((card) => {
+    const newCard = { ...card, details: carddb.cardFromId(card.cardID) };
+    if (eloOverrideDict[newCard.details.name_lower]) {
+      newCard.details.elo = eloOverrideDict[newCard.details.name_lower];
+    }
+    return newCard;
+  });
+};
+
+router.post(
+  '/start/:id',
+  body('format').isIn(Object.keys(DRAFT_FORMATS)),
+  body('type').isIn(['bot', '2playerlocal']),
+  body('seats').toInt(),
+  body('packs').toInt(),
+  body('cards').toInt(),
+  async (req, res) => {
+    const redirect = `/cube/playtest/${encodeURIComponent(req.params.id)}`;
+    try {
+      const { format, packs } = req.body;
+      const draftFormat = DRAFT_FORMATS[format];
+      if (!draftFormat) {
+        req.flash('danger', 'Draft format not found.');
+        return res.redirect(redirect);
+      }
+      const numSeats = draftFormat.maxSeats > 2 ? req.body.seats : 2;
+      const type = numSeats === 2 ? req.body.type : 'bot';
+      if (!Number.isInteger(numSeats) || numSeats < draftFormat.minSeats || numSeats > draftFormat.maxSeats) {
+        req.flash(
+          'danger',
+          `${draftFormat.name} drafts need between ${draftFormat.minSeats} and ${draftFormat.maxSeats} seats.`,
+        );
+        return res.redirect(redirect);
+      }
+
+      // Rochester drafts open a pack for every seat each round, the other formats draft from one deck.
+      let packSizes;
+      if (format === 'rochester') {
+        if (!(packs >= 1 && packs <= 5 && req.body.cards >= 5 && req.body.cards <= 20)) {
+          req.flash('danger', 'Rochester drafts need between 1 and 5 rounds of packs of between 5 and 20 cards.');
+          return res.redirect(redirect);
+        }
+        packSizes = new Array(numSeats * packs).fill(req.body.cards);
+      } else {
+        if (!(req.body.cards >= MIN_DECK_SIZE && req.body.cards <= MAX_DECK_SIZE)) {
+          req.flash('danger', `${draftFormat.name} drafts need between ${MIN_DECK_SIZE} and ${MAX_DECK_SIZE} cards.`);
+          return res.redirect(redirect);
+        }
+        packSizes = [req.body.cards];
+      }
+      const numCards = packSizes.reduce((acc, size) => acc + size, 0);
+
+      const cube = await Cube.findOne(
+        buildIdQuery(req.params.id),
+        '_id name cards owner basics isPrivate collaborators useCubeElo',
+      ).lean();
+      if (!isCubeViewable(cube, req.user)) {
+        req.flash('danger', 'Cube not found');
+        return res.redirect('/404');
+      }
+      if (cube.cards.length < numCards) {
+        req.flash('danger', `Not enough cards, need ${numCards} cards for this ${draftFormat.name} draft.`);
+        return res.redirect(redirect);
+      }
+
+      const cards = shuffle(cube.cards)
+        .slice(0, numCards)
+        .map((card, index) => {
+          card.index = index;
+          return card;
+        });
+
+      const draft = new FormatDraft();
+      draft.format = format;
+      draft.draftType = type;
+      draft.cube = cube._id;
+      draft.date = Date.now();
+      let dealt = 0;
+      draft.initial_state = packSizes.map((size) => {
+        dealt += size;
+        return cards.slice(dealt - size, dealt).map(({ index }) => index);
+      });
+      addBasics(cards, cube.basics, draft);
+      draft.cards = cards;
+
+      const pool = createPool();
+      draft.seats = [];
+      for (let seat = 0; seat < numSeats; seat++) {
+        const bot = seat > 0 && type === 'bot';
+        let name = `Bot ${seat}`;
+        if (seat === 0) {
+          name = req.user ? req.user.username : 'Anonymous';
+        } else if (!bot) {
+          name = 'Player Two';
+        }
+        draft.seats.push({
+          bot,
+          name,
+          userid: seat === 0 && req.user ? req.user._id : null,
+          drafted: pool,
+          sideboard: pool,
+          pickorder: [],
+        });
+      }
+
+      await draft.save();
+
+      return res.redirect(`/cube/formatdraft/${draft._id}`);
+    } catch (err) {
+      return util.handleRouteError(req, res, err, redirect);
+    }
+  },
+);
+
+router.post('/move/:id', async (req, res) => {
+  try {
+    const stored = await FormatDraft.findById(req.params.id).lean();
+    if (!stored) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Draft not found',
+      });
+    }
+    const cube = await Cube.findById(stored.cube, '_id owner isPrivate collaborators useCubeElo').lean();
+    if (!isCubeViewable(cube, req.user)) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Cube not found',
+      });
+    }
+    if (!canMove(stored, req.user)) {
+      return res.status(403).send({
+        success: 'false',
+        message: 'Only the person who started this draft can make picks in it.',
+      });
+    }
+
+    const { move } = req.body;
+    const state = replayFormatDraft(stored);
+    if (!move || state.actor === null || stored.seats[state.actor].bot) {
+      return res.status(400).send({
+        success: 'false',
+        message: 'There is no pick to make in this draft right now.',
+      });
+    }
+
+    const draft = { ...stored, cards: await withDetails(cube, stored.cards) };
+    let next;
+    try {
+      next = applyFormatMove(draft, state, {
+        seat: state.actor,
+        action: `${move.action}`,
+        cards: Array.isArray(move.cards) ? move.cards.map((cardIndex) => parseInt(cardIndex, 10)) : [],
+        pile: Number.isInteger(move.pile) ? move.pile : null,
+      });
+    } catch (err) {
+      return res.status(400).send({
+        success: 'false',
+        message: err.message,
+      });
+    }
+    next = runFormatBots(next.draft, next.state);
+
+    // Only saves if no other move was made while this one was being worked out.
+    const seats = next.draft.seats.map(({ drafted, pickorder }, seatIndex) => ({
+      ...stored.seats[seatIndex],
+      drafted,
+      pickorder,
+    }));
+    const saved = await FormatDraft.updateOne(
+      { _id: stored._id, [`moves.${stored.moves.length}`]: { $exists: false } },
+      { seats, moves: next.draft.moves },
+    );
+    if (saved.nModified === 0) {
+      return res.status(409).send({
+        success: 'false',
+        message: 'This draft has changed, please reload the page.',
+      });
+    }
+
+    return res.status(200).send({
+      success: 'true',
+      seats,
+      moves: next.draft.moves,
+    });
+  } catch (err) {
+    req.logger.error(err);
+    return res.status(500).send({
+      success: 'false',
+      message: 'Error making pick',
+    });
+  }
+});
+
+router.post('/submit/:id', body('skipDeckbuilder').toBoolean(), async (req, res) => {
+  try {
+    const draft = await FormatDraft.findById(req.params.id).lean();
+    if (!draft) {
+      req.flash('danger', 'Draft not found');
+      return res.redirect('/404');
+    }
+    const cube = await Cube.findById(draft.cube);
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+    if (replayFormatDraft(draft).actor !== null) {
+      req.flash('danger', 'This draft is not finished yet.');
+      return res.redirect(`/cube/formatdraft/${draft._id}`);
+    }
+    if (draft.deck) {
+      return res.redirect(`/cube/deck/${draft.deck}`);
+    }
+    if (!canMove(draft, req.user)) {
+      req.flash('danger', 'Only the person who started this draft can save it.');
+      return res.redirect(`/cube/formatdraft/${draft._id}`);
+    }
+
+    const deck = new Deck();
+    // Saving the draft twice at the same time only makes one deck.
+    const claimed = await FormatDraft.updateOne({ _id: draft._id, deck: null }, { deck: deck._id });
+    if (claimed.nModified === 0) {
+      const { deck: existing } = await FormatDraft.findById(draft._id, 'deck').lean();
+      return res.redirect(`/cube/deck/${existing}`);
+    }
+
+    deck.cube = draft.cube;
+    deck.cubeOwner = cube.owner;
+    deck.owner = draft.seats[0].userid;
+    deck.date = Date.now();
+    deck.draft = draft._id;
+    deck.cubename = cube.name;
+    deck.cards = draft.cards;
+    deck.basics = draft.basics;
+    deck.seats = [];
+
+    const cards = await withDetails(cube, draft.cards);
+    for (const seat of draft.seats) {
+      // eslint-disable-next-line no-await-in-loop
+      const { sideboard, deck: builtDeck, colors } = await buildDeck(cards, seat.pickorder, draft.basics);
+      const colorString =
+        colors.length === 0
+          ? 'C'
+          : cardutil.COLOR_COMBINATIONS.find((comb) => miscutil.arraysAreEqualSets(comb, colors)).join('');
+      deck.seats.push({
+        bot: seat.bot,
+        userid: seat.userid,
+        username: `${seat.name}: ${colorString}`,
+        name: `${DRAFT_FORMATS[draft.format].name} Draft of ${cube.name}`,
+        description: '',
+        deck: seat.bot ? builtDeck : seat.drafted,
+        sideboard: seat.bot ? sideboard : seat.sideboard,
+        pickorder: seat.pickorder,
+      });
+    }
+
+    const [user, cubeOwner] = await Promise.all([User.findById(deck.owner), User.findById(cube.owner)]);
+    if (user && !cube.disableNotifications) {
+      await util.addNotification(
+        cubeOwner,
+        user,
+        `/cube/deck/${deck._id}`,
+        `${user.username} drafted your cube: ${cube.name}`,
+        'deck',
+        cube._id,
+      );
+    }
+
+    cube.numDecks = (cube.numDecks || 0) + 1;
+    await addDeckCardAnalytics(cube, deck, carddb);
+    await Promise.all([cube.save(), deck.save()]);
+
+    if (req.body.skipDeckbuilder) {
+      return res.redirect(`/cube/deck/${deck._id}`);
+    }
+    return res.redirect(`/cube/deck/deckbuilder/${deck._id}`);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, `/cube/formatdraft/${encodeURIComponent(req.params.id)}`);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const draft = await FormatDraft.findById(req.params.id).lean();
+    if (!draft) {
+      req.flash('danger', 'Draft not found');
+      return res.redirect('/404');
+    }
+    const cube = await Cube.findById(draft.cube).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+
+    const { name } = DRAFT_FORMATS[draft.format];
+    return render(
+      req,
+      res,
+      'FormatDraftPage',
+      {
+        cube,
+        initialDraft: { ...draft, cards: await withDetails(cube, draft.cards) },
+        canMove: canMove(draft, req.user),
+      },
+      {
+        title: `${abbreviate(cube.name)} - ${name} Draft`,
+        metadata: generateMeta(
+          `Cube Cobra ${name} Draft: ${cube.name}`,
+          miscutil.getCubeDescription(cube),
+          cube.image_uri,
+          `https://cubecobra.com/cube/formatdraft/${req.params.id}`,
+        ),
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/404');
+  }
+});
+
+module.exports = router;
@@ -5,10 +5,12 @@ Canvas.Image = Image;
 const carddb = require('../../serverjs/cards.js');
 const { render } = require('../../serverjs/render');
 const util = require('../../serverjs/util.js');
-const { setCubeType, addCardHtml, CSVtoCards } = require('../../serverjs/cubefn.js');
+const { setCubeType } = require('../../serverjs/cubefn.js');
+const { listToCards } = require('../../serverjs/importers.js');
+const { addCard, applyChanges, changesToHtml, saveCubeChanges } = require('../../serverjs/changelog.js');
+const { applyCollectionStatuses } = require('../../serverjs/collection');
 
 // Bring in models
-const Cube = require('../../models/cube');
 const Blog = require('../../models/blog');
 
 const DEFAULT_BASICS = [
@@ -21,20 +23,18 @@ const DEFAULT_BASICS = [
 
 const CARD_HEIGHT = 680;
 const CARD_WIDTH = 488;
-const CSV_HEADER =
-  'Name,CMC,Type,Color,Set,Collector Number,Rarity,Color Category,Status,Finish,Maybeboard,Image URL,Image Back URL,Tags,Notes,MTGO ID';
 
-async function updateCubeAndBlog(req, res, cube, changelog, added, missing) {
+async function updateCubeAndBlog(req, res, cube, changelog, added, missing, changes) {
   try {
     const blogpost = new Blog();
     blogpost.title = 'Cube Bulk Import - Automatic Post';
     blogpost.changelist = changelog;
-    blogpost.owner = cube.owner;
+    blogpost.owner = req.user._id;
     blogpost.date = Date.now();
     blogpost.cube = cube._id;
     blogpost.dev = 'false';
     blogpost.date_formatted = blogpost.date.toLocaleString('en-US');
-    blogpost.username = cube.owner_name;
+    blogpost.username = req.user.username;
     blogpost.cubename = cube.name;
 
     if (missing.length > 0) {
@@ -52,20 +52,16 @@ async function updateCubeAndBlog(req, res, cube, changelog, added, missing) {
         blogpost: blogpost.toObject(),
       });
     }
-    await blogpost.save();
+    changes.push(...(await applyCollectionStatuses(cube)));
     cube = setCubeType(cube, carddb);
     try {
-      await Cube.updateOne(
-        {
-          _id: cube._id,
-        },
-        cube,
-      );
+      await saveCubeChanges(cube, req.user, changes, blogpost);
     } catch (err) {
       req.logger.error(err);
-      req.flash('danger', 'Error adding cards. Please try again.');
+      req.flash('danger', err.conflict ? err.message : 'Error adding cards. Please try again.');
       return res.redirect(`/cube/list/${encodeURIComponent(req.params.id)}`);
     }
+    await blogpost.save();
     req.flash('success', 'All cards successfully added.');
     return res.redirect(`/cube/list/${encodeURIComponent(req.params.id)}`);
   } catch (err) {
@@ -74,145 +70,23 @@ async function updateCubeAndBlog(req, res, cube, changelog, added, missing) {
 }
 
 async function bulkUpload(req, res, list, cube) {
-  const lines = list.match(/[^\r\n]+/g);
-  let missing = [];
-  const added = [];
-  let changelog = '';
-  if (lines) {
-    if ((lines[0].match(/,/g) || []).length > 3) {
-      // upload is in CSV format
-      let newCards;
-      let newMaybe;
-      ({ newCards, newMaybe, missing } = CSVtoCards(list, carddb));
-      changelog = newCards.reduce((changes, card) => changes + addCardHtml(carddb.cardFromId(card.cardID)), changelog);
-      cube.cards.push(...newCards);
-      cube.maybe.push(...newMaybe);
-      added.concat(newCards, newMaybe);
-    } else {
-      // upload is in TXT format
-      for (const itemUntrimmed of lines) {
-        const item = itemUntrimmed.trim();
-        // separate counts and sets from the name
-        //                              |    count?   |name|     (set)?         c.num? |
-        const splitLine = item.match(/^(?:([0-9]+)x? )?(.*?)(?: \(([^)(]+)\)(?: (\S+))?)?$/);
-        const name = splitLine[2];
-        const set = splitLine[3];
-        const collectorNum = splitLine[4];
-        let count = parseInt(splitLine[1], 10);
-        if (!Number.isInteger(count)) {
-          count = 1;
-        }
-
-        let selectedId;
-        if (set) {
-          const potentialIds = carddb.getIdsFromName(name);
-          if (potentialIds && potentialIds.length > 0) {
-            const matchingItem = potentialIds.find((id) => {
-              const card = carddb.cardFromId(id);
-              return (
-                card.set.toLowerCase() === set.toLowerCase() &&
-                (!collectorNum || card.collector_number === collectorNum)
-              );
-            });
-            // if no sets match, just take the first ID ¯\_(ツ)_/¯
-            selectedId = matchingItem || potentialIds[0];
-          }
-        } else {
-          const selectedCard = carddb.getMostReasonable(name, cube.defaultPrinting);
-          selectedId = selectedCard ? selectedCard._id : null;
-        }
-
-        if (selectedId) {
-          const details = carddb.cardFromId(selectedId);
-          if (!details.error) {
-            for (let i = 0; i < count; i++) {
-              util.addCardToCube(cube, details);
-              added.push(details);
-              changelog += addCardHtml(details);
-            }
-          }
-        } else {
-          missing.push(item);
-        }
-      }
-    }
-  }
-  await updateCubeAndBlog(req, res, cube, changelog, added, missing);
-}
-
-function writeCard(res, card, maybe) {
-  if (!card.type_line) {
-    card.type_line = carddb.cardFromId(card.cardID).type;
-  }
-  const { name, rarity, colorcategory } = carddb.cardFromId(card.cardID);
-  let { imgUrl, imgBackUrl } = card;
-  if (imgUrl) {
-    imgUrl = `"${imgUrl}"`;
-  } else {
-    imgUrl = '';
-  }
-  if (imgBackUrl) {
-    imgBackUrl = `"${imgBackUrl}"`;
-  } else {
-    imgBackUrl = '';
-  }
-  res.write(`"${name.replace(/"/, '""')}",`);
-  res.write(`${card.cmc},`);
-  res.write(`"${card.type_line.replace('—', '-')}",`);
-  res.write(`${(card.colors || []).join('')},`);
-  res.write(`"${carddb.cardFromId(card.cardID).set}",`);
-  res.write(`"${carddb.cardFromId(card.cardID).collector_number}",`);
-  res.write(`${card.rarity && card.rarity !== 'undefined' ? card.rarity : rarity},`);
-  res.write(`${card.colorCategory || colorcategory},`);
-  res.write(`${card.status},`);
-  res.write(`${card.finish},`);
-  res.write(`${maybe},`);
-  res.write(`${imgUrl},`);
-  res.write(`${imgBackUrl},"`);
-  card.tags.forEach((tag, tagIndex) => {
-    if (tagIndex !== 0) {
-      res.write(';');
-    }
-    res.write(tag);
+  const { newCards, newMaybe, missing } = listToCards(list, carddb, {
+    defaultPrinting: cube.defaultPrinting,
+    defaultStatus: cube.defaultStatus || 'Owned',
   });
-  res.write(`","${card.notes || ''}",`);
-  res.write(`${carddb.cardFromId(card.cardID).mtgo_id || ''}`);
-  res.write('\r\n');
+  const changes = newCards.map((card, i) => addCard(cube.cards.length + i, card));
+  cube.maybe.push(...newMaybe);
+  const added = newCards.map((card) => carddb.cardFromId(card.cardID));
+  applyChanges(cube.cards, changes);
+  await updateCubeAndBlog(req, res, cube, changesToHtml(changes, carddb), added, missing, changes);
 }
 
-const exportToMtgo = (res, fileName, mainCards, sideCards, cards) => {
-  res.setHeader('Content-disposition', `attachment; filename=${fileName.replace(/\W/g, '')}.txt`);
+// Sends text from exporters.js as a file download.
+const sendExport = (res, fileName, extension, text) => {
+  res.setHeader('Content-disposition', `attachment; filename=${fileName.replace(/\W/g, '')}.${extension}`);
   res.setHeader('Content-type', 'text/plain');
   res.charset = 'UTF-8';
-  const main = {};
-  for (const cardIndex of mainCards.flat()) {
-    const cardID = cardIndex.cardID || cards[cardIndex].cardID;
-    const { name } = carddb.cardFromId(cardID);
-    if (main[name]) {
-      main[name] += 1;
-    } else {
-      main[name] = 1;
-    }
-  }
-  for (const [key, value] of Object.entries(main)) {
-    const name = key.replace(' // ', '/');
-    res.write(`${value} ${name}\r\n`);
-  }
-  res.write('\r\n\r\n');
-
-  const side = {};
-  for (const cardIndex of sideCards.flat()) {
-    const { name } = carddb.cardFromId(cards[cardIndex].cardID);
-    if (side[name]) {
-      side[name] += 1;
-    } else {
-      side[name] = 1;
-    }
-  }
-  for (const [key, value] of Object.entries(side)) {
-    const name = key.replace(' // ', '/');
-    res.write(`${value} ${name}\r\n`);
-  }
+  res.write(text);
   return res.end();
 };
 
@@ -272,16 +146,14 @@ const rotateArrayLeft = (arr, k) => rotateArrayRight(arr, arr.length - (k % arr.
 module.exports = {
   CARD_HEIGHT,
   CARD_WIDTH,
-  CSV_HEADER,
   DEFAULT_BASICS,
   addBasics,
   bulkUpload,
   createPool,
-  exportToMtgo,
   reverseArray,
   rotateArrayLeft,
   rotateArrayRight,
+  sendExport,
   shuffle,
   updateCubeAndBlog,
-  writeCard,
 };
@@ -0,0 +1,235 @@
+const express = require('express');
+
+const { ensureAuth } = require('../middleware');
+const carddb = require('../../serverjs/cards.js');
+const util = require('../../serverjs/util.js');
+const { render } = require('../../serverjs/render');
+const generateMeta = require('../../serverjs/meta.js');
+const miscutil = require('../../dist/utils/Util.js');
+
+const {
+  setCubeType,
+  buildIdQuery,
+  abbreviate,
+  isCubeViewable,
+  hasCubePermission,
+} = require('../../serverjs/cubefn.js');
+const {
+  applyChanges,
+  changesToHtml,
+  summarizeChanges,
+  diffCardLists,
+  getCubeVersion,
+  saveCubeChanges,
+  cardsAtVersion,
+  changesToRevert,
+} = require('../../serverjs/changelog.js');
+const { applyCollectionStatuses } = require('../../serverjs/collection');
+
+const Cube = require('../../models/cube');
+const CubeChangelog = require('../../models/cubeChangelog');
+const Blog = require('../../models/blog');
+
+const router = express.Router();
+
+const PAGE_SIZE = 20;
+
+const withDetails = (card) => card && { ...card, details: carddb.cardFromId(card.cardID) };
+
+const parseVersion = (value, latest) => {
+  const version = parseInt(value, 10);
+  if (!Number.isInteger(version) || version < 0 || version > latest) {
+    throw new Error(`Version ${value} does not exist for this cube.`);
+  }
+  return version;
+};
+
+const historyMeta = (cube, id) =>
+  generateMeta(
+    `Cube Cobra History: ${cube.name}`,
+    miscutil.getCubeDescription(cube),
+    cube.image_uri,
+    `https://cubecobra.com/cube/history/${encodeURIComponent(id)}`,
+  );
+
+router.post('/revert/:id/:version', ensureAuth, async (req, res) => {
+  try {
+    let cube = await Cube.findOne(buildIdQuery(req.params.id));
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
+      req.flash('danger', 'Only the cube owner and its editors may revert this cube.');
+      return res.redirect(`/cube/history/${encodeURIComponent(req.params.id)}`);
+    }
+
+    const version = parseVersion(req.params.version, await getCubeVersion(cube._id));
+    const changes = await changesToRevert(cube, version);
+    if (changes.length === 0) {
+      req.flash('danger', 'The cube already matches that version.');
+      return res.redirect(`/cube/history/${encodeURIComponent(req.params.id)}`);
+    }
+    applyChanges(cube.cards, changes);
+
+    cube.date_updated = Date.now();
+    cube.updated_string = cube.date_updated.toLocaleString('en-US');
+    cube = setCubeType(cube, carddb);
+
+    const blogpost = new Blog();
+    blogpost.title = `Reverted to Version ${version}`;
+    blogpost.changelist = changesToHtml(changes, carddb);
+    changes.push(...(await applyCollectionStatuses(cube)));
+    blogpost.owner = req.user._id;
+    blogpost.date = Date.now();
+    blogpost.cube = cube._id;
+    blogpost.dev = 'false';
+    blogpost.date_formatted = blogpost.date.toLocaleString('en-US');
+    blogpost.username = req.user.username;
+    blogpost.cubename = cube.name;
+
+    await saveCubeChanges(cube, req.user, changes, blogpost, version);
+    await blogpost.save();
+
+    req.flash('success', `Cube reverted to version ${version}.`);
+    return res.redirect(`/cube/history/${encodeURIComponent(req.params.id)}`);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, `/cube/history/${encodeURIComponent(req.params.id)}`);
+  }
+});
+
+router.get('/:id/view/:version', async (req, res) => {
+  try {
+    const cube = await Cube.findOne(
+      buildIdQuery(req.params.id),
+      `${Cube.LAYOUT_FIELDS} isPrivate owner cards changelogVersion`,
+    ).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+
+    const latest = await getCubeVersion(cube._id);
+    const version = parseVersion(req.params.version, latest);
+    const cards = (await cardsAtVersion(cube, version)).map(withDetails);
+    delete cube.cards;
+
+    return render(
+      req,
+      res,
+      'CubeVersionPage',
+      {
+        cube,
+        latest,
+        version,
+        cards,
+      },
+      {
+        title: `${abbreviate(cube.name)} - Version ${version}`,
+        metadata: historyMeta(cube, req.params.id),
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, `/cube/history/${encodeURIComponent(req.params.id)}`);
+  }
+});
+
+router.get('/:id/diff/:from/:to', async (req, res) => {
+  try {
+    const cube = await Cube.findOne(
+      buildIdQuery(req.params.id),
+      `${Cube.LAYOUT_FIELDS} isPrivate owner cards changelogVersion`,
+    ).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+
+    const latest = await getCubeVersion(cube._id);
+    const from = parseVersion(req.params.from, latest);
+    const to = parseVersion(req.params.to, latest);
+    const [cardsFrom, cardsTo] = await Promise.all([cardsAtVersion(cube, from), cardsAtVersion(cube, to)]);
+    const { added, removed } = diffCardLists(cardsFrom, cardsTo);
+    delete cube.cards;
+
+    return render(
+      req,
+      res,
+      'CubeVersionPage',
+      {
+        cube,
+        latest,
+        version: to,
+        from,
+        added: added.map(withDetails),
+        removed: removed.map(withDetails),
+      },
+      {
+        title: `${abbreviate(cube.name)} - Version ${from} to ${to}`,
+        metadata: historyMeta(cube, req.params.id),
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, `/cube/history/${encodeURIComponent(req.params.id)}`);
+  }
+});
+
+router.get('/:id', (req, res) => {
+  res.redirect(`/cube/history/${encodeURIComponent(req.params.id)}/0`);
+});
+
+router.get('/:id/:page', async (req, res) => {
+  try {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id), `${Cube.LAYOUT_FIELDS} isPrivate owner`).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+
+    const page = Math.max(parseInt(req.params.page, 10) || 0, 0);
+    const countQ = CubeChangelog.countDocuments({ cube: cube._id });
+    const changelogsQ = CubeChangelog.find({ cube: cube._id })
+      .sort({ version: -1 })
+      .skip(page * PAGE_SIZE)
+      .limit(PAGE_SIZE)
+      .lean();
+    const [changelogs, count, latest] = await Promise.all([changelogsQ, countQ, getCubeVersion(cube._id)]);
+
+    const versions = changelogs.map((changelog) => ({
+      _id: changelog._id,
+      version: changelog.version,
+      date: changelog.date,
+      username: changelog.username,
+      blog: changelog.blog,
+      revertedTo: changelog.revertedTo,
+      summary: summarizeChanges(changelog.changes),
+      changes: changelog.changes.map(({ action, index, oldCard, newCard }) => ({
+        action,
+        index,
+        oldCard: withDetails(oldCard),
+        newCard: withDetails(newCard),
+      })),
+    }));
+
+    return render(
+      req,
+      res,
+      'CubeHistoryPage',
+      {
+        cube,
+        versions,
+        latest,
+        pages: Math.ceil(count / PAGE_SIZE),
+        activePage: page,
+      },
+      {
+        title: `${abbreviate(cube.name)} - History`,
+        metadata: historyMeta(cube, req.params.id),
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, `/cube/overview/${encodeURIComponent(req.params.id)}`);
+  }
+});
+
+module.exports = router;
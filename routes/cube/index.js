@@ -8,11 +8,12 @@ const { Canvas, Image } = require('canvas');
 Canvas.Image = Image;
 
 const createdraft = require('../../dist/drafting/createdraft.js');
+const { BOT_PROFILES, DEFAULT_BOT_PROFILE } = require('../../dist/drafting/draftbots.js');
 const filterutil = require('../../dist/filtering/FilterCards.js');
 const miscutil = require('../../dist/utils/Util.js');
 const carddb = require('../../serverjs/cards.js');
 const { render } = require('../../serverjs/render');
-const { ensureAuth, csrfProtection } = require('../middleware');
+const { ensureAuth, csrfProtection, flashValidationErrors } = require('../middleware');
 const util = require('../../serverjs/util.js');
 const generateMeta = require('../../serverjs/meta.js');
 
@@ -21,16 +22,13 @@ const {
   setCubeType,
   generateShortId,
   buildIdQuery,
-  addCardHtml,
-  removeCardHtml,
-  replaceCardHtml,
   abbreviate,
-  CSVtoCards,
   compareCubes,
   generateSamplepackImage,
   addDeckCardAnalytics,
   cachePromise,
   isCubeViewable,
+  hasCubePermission,
 } = require('../../serverjs/cubefn.js');
 
 const {
@@ -43,6 +41,20 @@ const {
   shuffle,
   updateCubeAndBlog,
 } = require('./helper.js');
+const {
+  addCard,
+  removeCard,
+  replaceCard,
+  applyChanges,
+  replaceCardList,
+  changesToHtml,
+  getCubeVersion,
+  saveCubeChanges,
+} = require('../../serverjs/changelog.js');
+const { applyCollectionStatuses } = require('../../serverjs/collection');
+const { getForks, getUpstreamChanges } = require('../../serverjs/forks.js');
+const { listToCards } = require('../../serverjs/importers.js');
+const { sortPool } = require('../../serverjs/sealed.js');
 
 // Bring in models
 const Cube = require('../../models/cube');
@@ -52,12 +64,20 @@ const User = require('../../models/user');
 const Draft = require('../../models/draft');
 const GridDraft = require('../../models/gridDraft');
 const CubeAnalytic = require('../../models/cubeAnalytic');
+const CubeWinRate = require('../../models/cubeWinRate');
 const { fromEntries } = require('../../serverjs/util.js');
 
 const router = express.Router();
 router.use(csrfProtection);
 
 router.use('/blog', require('./blog.js'));
+router.use('/history', require('./history.js'));
+router.use('/collaborators', require('./collaborators.js'));
+router.use('/event', require('./event.js'));
+router.use('/sealed', require('./sealed.js'));
+router.use('/formatdraft', require('./formatdraft.js'));
+router.use('/quiz', require('./quiz.js'));
+router.use('/upstream', require('./upstream.js'));
 router.use('/deck', require('./deck.js'));
 router.use('/api', require('./api.js'));
 router.use('/download', require('./download.js'));
@@ -151,6 +171,11 @@ router.get('/clone/:id', async (req, res) => {
     cube.owner_name = req.user.username;
     cube.date_updated = Date.now();
     cube.updated_string = cube.date_updated.toLocaleString('en-US');
+    cube.upstream = {
+      cube: source._id,
+      version: await getCubeVersion(source._id),
+      ignored: [],
+    };
     cube = setCubeType(cube, carddb);
     await cube.save();
 
@@ -162,6 +187,8 @@ router.get('/clone/:id', async (req, res) => {
         req.user,
         `/cube/view/${cube._id}`,
         `${req.user.username} made a cube by cloning yours: ${cube.name}`,
+        'clone',
+        source._id,
       );
     }
 
@@ -183,8 +210,8 @@ router.post('/format/add/:id', ensureAuth, async (req, res) => {
       req.flash('danger', 'Cube not found');
       return res.redirect('/cube/list/404');
     }
-    if (!req.user._id.equals(cube.owner)) {
-      req.flash('danger', 'Formats can only be changed by cube owner.');
+    if (!hasCubePermission(cube, req.user._id, 'formats')) {
+      req.flash('danger', 'Formats can only be changed by the cube owner or its draft format managers.');
       return res.redirect(`/cube/list/${encodeURIComponent(req.params.id)}`);
     }
 
@@ -250,7 +277,7 @@ router.post(
   '/unfollow/:id',
   ensureAuth,
   util.wrapAsyncApi(async (req, res) => {
-    const cube = await Cube.findById(buildIdQuery(req.params.id), 'users_following isPrivate owner');
+    const cube = await Cube.findById(buildIdQuery(req.params.id), 'users_following isPrivate owner collaborators');
     if (!isCubeViewable(cube, req.user)) {
       req.flash('danger', 'Cube not found');
       return res.status(404).send({
@@ -328,7 +355,10 @@ router.get('/overview/:id', async (req, res) => {
   try {
     const cubeID = req.params.id;
     const cube = await Cube.findOne(buildIdQuery(cubeID)).lean();
-    if (!isCubeViewable(cube, req.user)) {
+    // Users invited to collaborate on a private cube can see it so they can decide whether to accept.
+    const invited =
+      cube && req.user && cube.collaborators.some((collaborator) => req.user._id.equals(collaborator.user));
+    if (!isCubeViewable(cube, req.user) && !invited) {
       req.flash('danger', 'Cube not found');
       return res.redirect('404');
     }
@@ -365,7 +395,18 @@ router.get('/overview/:id', async (req, res) => {
       }
     }
 
-    const [blogs, followers] = await Promise.all([blogsQ, followersQ]);
+    // The upstream box is left out if the upstream's history can't be read, rather than failing the whole page.
+    const upstreamQ = getUpstreamChanges(cube, req.user, carddb).catch((err) => {
+      req.logger.error(err);
+      return null;
+    });
+
+    const [blogs, followers, { forks, total: forkCount }, upstreamChanges] = await Promise.all([
+      blogsQ,
+      followersQ,
+      getForks(cube, req.user, carddb),
+      upstreamQ,
+    ]);
 
     const cheapestDict = {};
     for (const card of cube.cards) {
@@ -417,6 +458,12 @@ router.get('/overview/:id', async (req, res) => {
         followers,
         priceOwned: !cube.privatePrices ? totalPriceOwned : null,
         pricePurchase: !cube.privatePrices ? totalPricePurchase : null,
+        forks,
+        forkCount,
+        upstream: upstreamChanges && {
+          ...upstreamChanges.upstream,
+          pending: upstreamChanges.added.length + upstreamChanges.removed.length,
+        },
       },
       {
         title: `${abbreviate(cube.name)} - Overview`,
@@ -562,7 +609,7 @@ router.get('/compare/:idA/to/:idB', async (req, res) => {
 router.get('/list/:id', async (req, res) => {
   try {
     const fields =
-      'cards maybe card_count name owner type tag_colors default_sorts default_show_unsorted overrideCategory categoryOverride categoryPrefixes image_uri shortID isPrivate';
+      'cards maybe card_count name owner type tag_colors savedFilters default_sorts default_show_unsorted overrideCategory categoryOverride categoryPrefixes image_uri shortID isPrivate collaborators';
     const cube = await Cube.findOne(buildIdQuery(req.params.id), fields).lean();
     if (!isCubeViewable(cube, req.user)) {
       req.flash('danger', 'Cube not found');
@@ -708,6 +755,7 @@ router.get('/analysis/:id', async (req, res) => {
     cube.maybe = addDetails(cube.maybe || []);
 
     const cubeAnalytics = await CubeAnalytic.findOne({ cube: cube._id });
+    const winRates = await CubeWinRate.findOne({ cube: cube._id }).lean();
 
     return render(
       req,
@@ -716,6 +764,7 @@ router.get('/analysis/:id', async (req, res) => {
       {
         cube,
         cubeAnalytics: cubeAnalytics || { cards: [] },
+        winRates,
         cubeID: req.params.id,
         defaultNav: req.query.nav,
         defaultShowTagColors: !req.user || !req.user.hide_tag_colors,
@@ -845,7 +894,7 @@ router.post('/bulkupload/:id', ensureAuth, async (req, res) => {
       req.flash('danger', 'Cube not found');
       return res.redirect('/404');
     }
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       req.flash('danger', 'Not Authorized');
       return res.redirect(`/cube/list/${encodeURIComponent(req.params.id)}`);
     }
@@ -871,7 +920,7 @@ router.post('/bulkuploadfile/:id', ensureAuth, async (req, res) => {
       req.flash('danger', 'Cube not found');
       return res.redirect('/404');
     }
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       req.flash('danger', 'Not Authorized');
       return res.redirect(`/cube/list/${encodeURIComponent(req.params.id)}`);
     }
@@ -883,67 +932,96 @@ router.post('/bulkuploadfile/:id', ensureAuth, async (req, res) => {
   }
 });
 
+const parseReplacement = (list, cube) => {
+  if (list.trim().length === 0) {
+    throw new Error('Received empty file');
+  }
+  return listToCards(list, carddb, {
+    defaultPrinting: cube.defaultPrinting,
+    defaultStatus: cube.defaultStatus || 'Owned',
+  });
+};
+
+// Shows what a replacement list would add, remove and update before anything is saved, using the same changes that
+// /bulkreplace makes.
 router.post('/bulkreplacefile/:id', ensureAuth, async (req, res) => {
   try {
     if (!req.files) {
       req.flash('danger', 'Please attach a file');
       return res.redirect(`/cube/list/${encodeURIComponent(req.params.id)}`);
     }
-    const items = req.files.document.data.toString('utf8'); // the uploaded file object
-    const cube = await Cube.findOne(buildIdQuery(req.params.id));
-    // We need a copy of cards we can mutate to be able to populate details for the comparison.
-    const { cards } = await Cube.findOne(buildIdQuery(req.params.id), 'cards isPrivate owner').lean();
+    const list = req.files.document.data.toString('utf8'); // the uploaded file object
+    const cube = await Cube.findOne(buildIdQuery(req.params.id)).lean();
     if (!isCubeViewable(cube, req.user)) {
       req.flash('danger', 'Cube not found');
       return res.redirect('/404');
     }
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       req.flash('danger', 'Not Authorized');
       return res.redirect(`/cube/list/${encodeURIComponent(req.params.id)}`);
     }
-    const lines = items.match(/[^\r\n]+/g);
-    if (lines) {
-      let changelog = '';
-      let missing = [];
-      const added = [];
-      let newCards = [];
-      let newMaybe = [];
-      if ((lines[0].match(/,/g) || []).length > 3) {
-        ({ newCards, newMaybe, missing } = CSVtoCards(items, carddb));
-        cube.cards = newCards;
-        cube.maybe = newMaybe;
-        const addDetails = (cardList) =>
-          cardList.map((card, index) => {
-            card = {
-              ...card,
-              details: {
-                ...carddb.cardFromId(card.cardID),
-              },
-              index,
-            };
-            if (!card.type_line) {
-              card.type_line = card.details.type;
-            }
-            return card;
-          });
 
-        const cubeCards = addDetails(cards);
-        const newDetails = addDetails(newCards);
+    const { newCards, newMaybe, missing } = parseReplacement(list, cube);
+    const changes = replaceCardList(cube.cards, newCards, carddb);
+    const changed = (type, field) =>
+      changes
+        .filter(({ action }) => action === type)
+        .map((change) => ({ ...change[field], details: carddb.cardFromId(change[field].cardID) }));
+    const removed = changed('remove', 'oldCard');
+    const updated = changed('edit', 'newCard');
+    const version = await getCubeVersion(cube._id);
 
-        const { onlyA, onlyB } = await compareCubes(cubeCards, newDetails);
-        changelog += onlyA.map(({ cardID }) => removeCardHtml(carddb.cardFromId(cardID))).join('');
-        changelog += onlyB.map(({ cardID }) => addCardHtml(carddb.cardFromId(cardID))).join('');
-        added.push(...onlyB);
-      } else {
-        // Eventually add plaintext support here.
-        throw new Error('Invalid file format');
-      }
-      await updateCubeAndBlog(req, res, cube, changelog, added, missing);
-      return null;
+    return render(
+      req,
+      res,
+      'BulkReplacePage',
+      {
+        cube,
+        list,
+        version,
+        added: changed('add', 'newCard'),
+        removed,
+        updated,
+        unchanged: cube.cards.length - removed.length - updated.length,
+        maybe: newMaybe.length,
+        missing,
+      },
+      {
+        title: `${abbreviate(cube.name)} - Bulk Replace`,
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, `/cube/list/${encodeURIComponent(req.params.id)}`);
+  }
+});
+
+router.post('/bulkreplace/:id', ensureAuth, body('version').toInt(), async (req, res) => {
+  try {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id));
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
     }
-    throw new Error('Received empty file');
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
+      req.flash('danger', 'Not Authorized');
+      return res.redirect(`/cube/list/${encodeURIComponent(req.params.id)}`);
+    }
+    if (req.body.version !== (await getCubeVersion(cube._id))) {
+      req.flash('danger', 'The cube has changed since this preview was made. Please upload your file again.');
+      return res.redirect(`/cube/list/${encodeURIComponent(req.params.id)}`);
+    }
+
+    // Cards that could not be found were listed in the preview, so they are skipped here.
+    const { newCards, newMaybe } = parseReplacement(req.body.list || '', cube);
+    const changes = replaceCardList(cube.cards, newCards, carddb);
+    applyChanges(cube.cards, changes);
+    cube.maybe = newMaybe;
+    const changelog = changesToHtml(changes, carddb);
+    const added = changes.filter(({ action }) => action === 'add').map(({ newCard }) => newCard);
+    await updateCubeAndBlog(req, res, cube, changelog, added, [], changes);
+    return null;
   } catch (err) {
-    return util.handleRouteError(req, res, err, `/cube/list/${req.params.id}`);
+    return util.handleRouteError(req, res, err, `/cube/list/${encodeURIComponent(req.params.id)}`);
   }
 });
 
@@ -953,17 +1031,22 @@ router.post(
     min: 1,
     max: 16,
   }),
-  body('defaultStatus', 'Status must be valid.').isIn(['bot', '2playerlocal']),
+  body('defaultStatus', 'Status must be valid.').isIn(['bot', '2playerlocal', '2playeronline']),
   async (req, res) => {
     try {
       const numPacks = parseInt(req.body.packs, 10);
       const { type } = req.body;
 
+      if (type === '2playeronline' && !req.user) {
+        req.flash('danger', 'You must be logged in to grid draft with a friend.');
+        return res.redirect(`/cube/playtest/${encodeURIComponent(req.params.id)}`);
+      }
+
       const numCards = numPacks * 9;
 
       const cube = await Cube.findOne(
         buildIdQuery(req.params.id),
-        '_id name draft_formats cards owner basics isPrivate',
+        '_id name draft_formats cards owner basics isPrivate collaborators',
       ).lean();
 
       if (!isCubeViewable(cube, req.user)) {
@@ -1012,10 +1095,10 @@ router.post(
         pickedIndices: [],
       });
 
-      // add bot
+      // add bot, or the open seat for the second player of an online draft
       gridDraft.seats.push({
-        bot: true,
-        name: 'Grid Bot',
+        bot: type !== '2playeronline',
+        name: type === '2playeronline' ? 'Player Two' : 'Grid Bot',
         userid: null,
         drafted: pool,
         sideboard: pool,
@@ -1055,7 +1138,7 @@ router.post(
 
       const cube = await Cube.findOne(
         buildIdQuery(req.params.id),
-        '_id name basics cards owner numDecks disableNotifications isPrivate',
+        '_id name basics cards owner numDecks disableNotifications isPrivate collaborators',
       );
 
       if (!isCubeViewable(cube, req.user)) {
@@ -1068,41 +1151,15 @@ router.post(
         return res.redirect(`/cube/playtest/${encodeURIComponent(req.params.id)}`);
       }
 
-      const source = shuffle(cube.cards).slice(0, numCards);
-      const pool = createPool();
-      const cardsArray = [];
-      for (const card of source) {
-        let index1 = 0;
-        let index2 = 0;
-
-        // sort by color
-        const details = carddb.cardFromId(card.cardID);
-        const type = card.type_line || details.type;
-        const colors = card.colors || details.colors;
-
-        if (type.toLowerCase().includes('land')) {
-          index1 = 7;
-        } else if (colors.length === 1) {
-          index1 = ['W', 'U', 'B', 'R', 'G'].indexOf(colors[0].toUpperCase());
-        } else if (colors.length === 0) {
-          index1 = 6;
-        } else {
-          index1 = 5;
-        }
-
-        if (!type.toLowerCase().includes('creature')) {
-          index2 = 1;
-        }
-
-        const cardIndex = cardsArray.length;
-        card.index = cardIndex;
-        cardsArray.push(card);
-        if (pool[index2][index1]) {
-          pool[index2][index1].push(cardIndex);
-        } else {
-          pool[index2][0].push(cardIndex);
-        }
-      }
+      const cardsArray = shuffle(cube.cards).slice(0, numCards);
+      cardsArray.forEach((card, index) => {
+        card.index = index;
+      });
+      const pool = sortPool(
+        cardsArray,
+        cardsArray.map((card, index) => index),
+        carddb,
+      );
 
       const deck = new Deck();
       deck.cube = cube._id;
@@ -1140,6 +1197,8 @@ router.post(
           user,
           `/cube/deck/${deck._id}`,
           `${user.username} built a sealed deck from your cube: ${cube.name}`,
+          'deck',
+          cube._id,
         );
       }
 
@@ -1154,6 +1213,8 @@ router.post(
   '/startdraft/:id',
   body('id').toInt(),
   body('botsOnly').toBoolean(),
+  body('live').toBoolean(),
+  body('timer', 'The pick timer must be between 0 and 600 seconds.').optional().isInt({ min: 0, max: 600 }).toInt(),
   body('seats').toInt({
     min: 2,
     max: 16,
@@ -1166,11 +1227,16 @@ router.post(
     min: 1,
     max: 90,
   }),
+  flashValidationErrors,
   async (req, res) => {
     try {
+      if (!req.validated) {
+        return res.redirect(`/cube/playtest/${encodeURIComponent(req.params.id)}`);
+      }
+
       const cube = await Cube.findOne(
         buildIdQuery(req.params.id),
-        '_id name draft_formats cards basics useCubeElo isPrivate owner',
+        '_id name draft_formats savedFilters cards basics useCubeElo isPrivate owner collaborators',
       ).lean();
 
       if (!isCubeViewable(cube, req.user)) {
@@ -1186,6 +1252,11 @@ router.post(
 
       const params = req.body;
 
+      if (params.live && !req.user) {
+        req.flash('danger', 'You must be logged in to draft with friends.');
+        return res.redirect(`/cube/playtest/${encodeURIComponent(req.params.id)}`);
+      }
+
       let eloOverrideDict = {};
       if (cube.useCubeElo) {
         const analytic = await CubeAnalytic.findOne({ cube: cube._id });
@@ -1224,11 +1295,31 @@ router.post(
         return res.redirect(`/cube/playtest/${encodeURIComponent(req.params.id)}`);
       }
 
+      // botProfiles has one entry for each seat after the first, and only the cube's owners get to pick them
+      const botProfiles =
+        req.user && hasCubePermission(cube, req.user._id, 'formats') ? [].concat(params.botProfiles ?? []) : [];
+      for (const [index, seat] of populated.seats.entries()) {
+        if (seat.bot) {
+          const botProfile = botProfiles[index - 1];
+          seat.botProfile = Object.prototype.hasOwnProperty.call(BOT_PROFILES, botProfile)
+            ? botProfile
+            : DEFAULT_BOT_PROFILE;
+        }
+      }
+
       draft.initial_state = populated.initial_state;
       draft.seats = populated.seats;
       draft.cube = cube._id;
       addBasics(populated.cards, cube.basics, draft);
       draft.cards = populated.cards;
+      if (params.live && !req.body.botsOnly) {
+        // the other seats stay open in the lobby, and are drafted by bots unless someone joins them
+        draft.live = {
+          host: req.user._id,
+          status: 'lobby',
+          timer: Number.isInteger(params.timer) ? params.timer : 0,
+        };
+      }
 
       await draft.save();
 
@@ -1294,6 +1385,11 @@ router.get('/griddraft/:id', async (req, res) => {
       {
         cube,
         initialDraft: draft,
+        // Players of an online draft each pick for their own seat, and anyone else can only watch.
+        seatNumber:
+          draft.draftType === '2playeronline'
+            ? draft.seats.findIndex(({ userid }) => req.user && userid && req.user._id.equals(userid))
+            : 0,
       },
       {
         title: `${abbreviate(cube.name)} - Grift Draft`,
@@ -1331,6 +1427,28 @@ router.get('/draft/:id', async (req, res) => {
       return res.redirect('/404');
     }
 
+    if (draft.live && draft.live.status) {
+      // the draft itself is sent over the socket once the page connects
+      return render(
+        req,
+        res,
+        'LiveDraftPage',
+        {
+          cube,
+          draftId: draft._id,
+        },
+        {
+          title: `${abbreviate(cube.name)} - Live Draft`,
+          metadata: generateMeta(
+            `Cube Cobra Live Draft: ${cube.name}`,
+            miscutil.getCubeDescription(cube),
+            cube.image_uri,
+            `https://cubecobra.com/cube/draft/${encodeURIComponent(req.params.id)}`,
+          ),
+        },
+      );
+    }
+
     let eloOverrideDict = {};
     if (cube.useCubeElo) {
       const analytic = await CubeAnalytic.findOne({ cube: cube._id });
@@ -1370,6 +1488,60 @@ router.get('/draft/:id', async (req, res) => {
   }
 });
 
+router.get('/draft/:id/replay', async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.id).lean();
+    if (!draft) {
+      req.flash('danger', 'Draft not found');
+      return res.redirect('/404');
+    }
+
+    const cube = await Cube.findById(draft.cube).lean();
+
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+
+    // the bots' reasoning is shown with the same ratings they drafted with
+    let eloOverrideDict = {};
+    if (cube.useCubeElo) {
+      const analytic = await CubeAnalytic.findOne({ cube: cube._id });
+      if (analytic) {
+        eloOverrideDict = fromEntries(analytic.cards.map((c) => [c.cardName, c.elo]));
+      }
+    }
+
+    for (const card of draft.cards) {
+      card.details = carddb.cardFromId(card.cardID);
+      if (eloOverrideDict[card.details.name_lower]) {
+        card.details.elo = eloOverrideDict[card.details.name_lower];
+      }
+    }
+
+    return render(
+      req,
+      res,
+      'DraftReplayPage',
+      {
+        cube,
+        draft,
+      },
+      {
+        title: `${abbreviate(cube.name)} - Draft Replay`,
+        metadata: generateMeta(
+          `Cube Cobra Draft Replay: ${cube.name}`,
+          miscutil.getCubeDescription(cube),
+          cube.image_uri,
+          `https://cubecobra.com/cube/draft/${encodeURIComponent(req.params.id)}/replay`,
+        ),
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/404');
+  }
+});
+
 // Edit Submit POST Route
 router.post('/edit/:id', ensureAuth, async (req, res) => {
   try {
@@ -1382,8 +1554,8 @@ router.post('/edit/:id', ensureAuth, async (req, res) => {
     const viewQuery = req.query.view || 'table';
     const scaleQuery = req.query.scale || 'medium';
 
-    if (!req.user._id.equals(cube.owner)) {
-      req.flash('danger', 'Only cube owner may edit.');
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
+      req.flash('danger', 'Only the cube owner and its editors may edit.');
       return res.redirect(`
       /cube/list/${encodeURIComponent(req.params.id)}?view=${encodeURIComponent(viewQuery)}&scale=${encodeURIComponent(
         scaleQuery,
@@ -1395,8 +1567,8 @@ router.post('/edit/:id', ensureAuth, async (req, res) => {
 
     const edits = req.body.body.split(';');
     const removes = new Set();
+    const replaces = [];
     const adds = [];
-    let changelog = '';
 
     for (const edit of edits) {
       if (edit.charAt(0) === '+') {
@@ -1408,7 +1580,6 @@ router.post('/edit/:id', ensureAuth, async (req, res) => {
           });
         } else {
           adds.push(details);
-          changelog += addCardHtml(details);
         }
       } else if (edit.charAt(0) === '-') {
         // remove id
@@ -1421,7 +1592,6 @@ router.post('/edit/:id', ensureAuth, async (req, res) => {
           const card = cube.cards[indexOut];
           if (card.cardID === outID) {
             removes.add(indexOut);
-            changelog += removeCardHtml(carddb.cardFromId(card.cardID));
           } else {
             req.flash('danger', `Unable to remove card due outdated index: ${carddb.cardFromId(outID).name}`);
           }
@@ -1433,23 +1603,26 @@ router.post('/edit/:id', ensureAuth, async (req, res) => {
           req.logger.error({
             message: `Card not found: ${edit}`,
           });
-        } else {
-          adds.push(detailsIn);
         }
 
         const [indexOutStr, outID] = outStr.split('$');
         const indexOut = parseInt(indexOutStr, 10);
         if (!Number.isInteger(indexOut) || indexOut < 0 || indexOut >= cube.cards.length) {
           req.flash('danger', `Unable to replace card due to invalid index: ${carddb.cardFromId(outID).name}`);
-          changelog += addCardHtml(detailsIn);
+          if (detailsIn) {
+            adds.push(detailsIn);
+          }
         } else {
           const cardOut = cube.cards[indexOut];
-          if (cardOut.cardID === outID) {
-            removes.add(indexOut);
-            changelog += replaceCardHtml(carddb.cardFromId(cardOut.cardID), detailsIn);
-          } else {
+          if (cardOut.cardID !== outID) {
             req.flash('danger', `Unable to replace card due outdated index: ${carddb.cardFromId(outID).name}`);
-            changelog += addCardHtml(detailsIn);
+            if (detailsIn) {
+              adds.push(detailsIn);
+            }
+          } else if (detailsIn) {
+            replaces.push([indexOut, detailsIn]);
+          } else {
+            removes.add(indexOut);
           }
         }
       } else {
@@ -1462,10 +1635,38 @@ router.post('/edit/:id', ensureAuth, async (req, res) => {
       }
     }
 
-    // Filter out removed and invalid cards, and add new cards.
-    const newCards = adds.map((add) => util.newCard(add, [], cube.defaultStatus));
-    cube.cards = cube.cards.filter((card, index) => card.cardID && !removes.has(index)).concat(newCards);
+    // Cards without a card ID are invalid, so they're dropped along with the removed ones. Their removal is recorded in
+    // the history but left out of the blog post.
+    cube.cards.forEach((card, index) => {
+      if (!card.cardID) {
+        removes.add(index);
+      }
+    });
+
+    // Replace cards in place, then drop removed cards from the back so the indices stay valid, then add new cards.
+    const changes = [];
+    const replaced = new Set();
+    for (const [index, details] of replaces) {
+      if (!removes.has(index) && !replaced.has(index)) {
+        replaced.add(index);
+        changes.push(replaceCard(index, cube.cards[index], util.newCard(details, [], cube.defaultStatus)));
+      }
+    }
+    for (const index of [...removes].sort((a, b) => b - a)) {
+      changes.push(removeCard(index, cube.cards[index]));
+    }
+    const remaining = cube.cards.length - removes.size;
+    adds.forEach((details, i) => {
+      changes.push(addCard(remaining + i, util.newCard(details, [], cube.defaultStatus)));
+    });
+
+    applyChanges(cube.cards, changes);
     cube.maybe = cube.maybe.filter((maybeCard) => !adds.some((addedCard) => addedCard._id === maybeCard.cardID));
+    const changelog = changesToHtml(
+      changes.filter(({ action, oldCard }) => action !== 'remove' || oldCard.cardID),
+      carddb,
+    );
+    changes.push(...(await applyCollectionStatuses(cube)));
 
     const blogpost = new Blog();
     blogpost.title = req.body.title;
@@ -1473,17 +1674,18 @@ router.post('/edit/:id', ensureAuth, async (req, res) => {
       blogpost.markdown = req.body.blog.substring(0, 10000);
     }
     blogpost.changelist = changelog;
-    blogpost.owner = cube.owner;
+    blogpost.owner = req.user._id;
     blogpost.date = Date.now();
     blogpost.cube = cube._id;
     blogpost.dev = 'false';
     blogpost.date_formatted = blogpost.date.toLocaleString('en-US');
-    blogpost.username = cube.owner_name;
+    blogpost.username = req.user.username;
     blogpost.cubename = cube.name;
 
     cube = setCubeType(cube, carddb);
 
-    await Promise.all([blogpost.save(), cube.save()]);
+    await saveCubeChanges(cube, req.user, changes, blogpost);
+    await blogpost.save();
 
     if (req.body.mentions) {
       const owner = await User.findById(req.user._id);
@@ -1493,7 +1695,9 @@ router.post('/edit/:id', ensureAuth, async (req, res) => {
         query,
         owner,
         `/cube/blog/blogpost/${blogpost._id}`,
-        `${cube.owner_name} mentioned you in their blog post`,
+        `${req.user.username} mentioned you in their blog post`,
+        'mention',
+        cube._id,
       );
     }
 
@@ -1519,10 +1723,10 @@ router.post('/resize/:id/:size', async (req, res) => {
       });
     }
 
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
       return res.status(403).send({
         success: 'false',
-        message: 'Cube can only be updated by cube owner.',
+        message: 'Cube can only be updated by the cube owner and its editors.',
       });
     }
 
@@ -1577,7 +1781,7 @@ router.post('/resize/:id/:size', async (req, res) => {
       })
       .map(formatTuple);
 
-    const { filter, err } = filterutil.makeFilter(req.body.filter);
+    const { filter, err } = filterutil.makeFilter(req.body.filter, cube.savedFilters);
     if (err) {
       return util.handleRouteError(
         req,
@@ -1588,42 +1792,47 @@ router.post('/resize/:id/:size', async (req, res) => {
     }
     list = (filter ? list.filter(filter) : list).slice(0, Math.abs(newSize - cube.cards.length));
 
-    let changelog = '';
+    const changes = [];
     if (newSize > cube.cards.length) {
       // we add to cube
-      const toAdd = list.map((card) => {
-        changelog += addCardHtml(card.details);
-        return util.newCard(card.details);
+      list.forEach((card, i) => {
+        changes.push(addCard(cube.cards.length + i, util.newCard(card.details)));
       });
-      cube.cards = cube.cards.concat(toAdd);
     } else {
       // we cut from cube
+      const cut = new Set();
       for (const card of list) {
-        for (let i = 0; i < cube.cards.length; i += 1) {
-          if (carddb.cardFromId(cube.cards[i].cardID).name === carddb.cardFromId(card.cardID).name) {
-            changelog += removeCardHtml(card.details);
-            cube.cards.splice(i, 1);
-            i = cube.cards.length;
-          }
+        const index = cube.cards.findIndex(
+          (cubeCard, i) =>
+            !cut.has(i) && carddb.cardFromId(cubeCard.cardID).name === carddb.cardFromId(card.cardID).name,
+        );
+        if (index !== -1) {
+          cut.add(index);
         }
       }
+      for (const index of [...cut].sort((a, b) => b - a)) {
+        changes.push(removeCard(index, cube.cards[index]));
+      }
     }
+    applyChanges(cube.cards, changes);
+    const changelog = changesToHtml(changes, carddb);
+    changes.push(...(await applyCollectionStatuses(cube)));
 
     cube = setCubeType(cube, carddb);
 
     const blogpost = new Blog();
     blogpost.title = 'Resize - Automatic Post';
     blogpost.changelist = changelog;
-    blogpost.owner = cube.owner;
+    blogpost.owner = req.user._id;
     blogpost.date = Date.now();
     blogpost.cube = cube._id;
     blogpost.dev = 'false';
     blogpost.date_formatted = blogpost.date.toLocaleString('en-US');
-    blogpost.username = cube.owner_name;
+    blogpost.username = req.user.username;
     blogpost.cubename = cube.name;
 
+    await saveCubeChanges(cube, req.user, changes, blogpost);
     await blogpost.save();
-    await cube.save();
 
     req.flash('success', 'Cube Resized succesfully.');
     return res.redirect(`/cube/list/${req.params.id}`);
@@ -1662,7 +1871,7 @@ router.delete('/format/remove/:cubeid/:index', ensureAuth, param('index').toInt(
         message: 'No such cube.',
       });
     }
-    if (!req.user._id.equals(cube.owner)) {
+    if (!hasCubePermission(cube, req.user._id, 'formats')) {
       return res.status(401).send({
         success: 'false',
         message: 'Not authorized.',
@@ -1706,7 +1915,7 @@ router.post(
     const cube = await Cube.findOne(buildIdQuery(cubeid));
     if (
       !isCubeViewable(cube, req.user) ||
-      !req.user._id.equals(cube.owner) ||
+      !hasCubePermission(cube, req.user._id, 'formats') ||
       !Number.isInteger(formatId) ||
       formatId >= cube.draft_formats.length ||
       formatId < -1
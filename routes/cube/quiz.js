@@ -0,0 +1,228 @@
+const express = require('express');
+const seedrandom = require('seedrandom');
+
+const carddb = require('../../serverjs/cards.js');
+const util = require('../../serverjs/util.js');
+const { render } = require('../../serverjs/render');
+const generateMeta = require('../../serverjs/meta.js');
+const miscutil = require('../../dist/utils/Util.js');
+const { calculateBotPick } = require('../../dist/drafting/draftbots.js');
+const { chooseQuizPick, getQuizPicks, pickRate } = require('../../dist/drafting/pickQuiz.js');
+
+const { abbreviate, buildIdQuery, isCubeViewable } = require('../../serverjs/cubefn.js');
+
+const Cube = require('../../models/cube');
+const CubeAnalytic = require('../../models/cubeAnalytic');
+const Deck = require('../../models/deck');
+const Draft = require('../../models/draft');
+const PickQuizAnswer = require('../../models/pickQuizAnswer');
+
+const router = express.Router();
+
+// Questions come from the most recent drafts of the cube.
+const QUIZ_DRAFTS = 200;
+const HISTORY_LENGTH = 20;
+
+// The cards of the draft with their details, with the cube's Elo when it uses it so the bots pick the same way they
+// would in a draft of the cube.
+const withDetails = (cards, analytic = null) => {
+  const eloOverrideDict = analytic ? miscutil.fromEntries(analytic.cards.map((c) => [c.cardName, c.elo])) : {};
+  return cards.map((card) => {
+    const newCard = { ...card, details: carddb.cardFromId(card.cardID) };
+    if (eloOverrideDict[newCard.details.name_lower]) {
+      newCard.details.elo = eloOverrideDict[newCard.details.name_lower];
+    }
+    return newCard;
+  });
+};
+
+const getScore = async (query) => {
+  const [score] = await PickQuizAnswer.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: null,
+        answered: { $sum: 1 },
+        matchedHuman: { $sum: { $cond: ['$matchedHuman', 1, 0] } },
+        matchedBot: { $sum: { $cond: ['$matchedBot', 1, 0] } },
+      },
+    },
+  ]);
+  return {
+    answered: score?.answered ?? 0,
+    matchedHuman: score?.matchedHuman ?? 0,
+    matchedBot: score?.matchedBot ?? 0,
+  };
+};
+
+// The user's scores on the cube and on every cube, along with their latest answers on the cube.
+const getHistory = async (user, cube) => {
+  if (!user) {
+    return null;
+  }
+  const [cubeScore, totalScore, answers] = await Promise.all([
+    getScore({ user: user._id, cube: cube._id }),
+    getScore({ user: user._id }),
+    PickQuizAnswer.find({ user: user._id, cube: cube._id }).sort({ date: -1 }).limit(HISTORY_LENGTH).lean(),
+  ]);
+  return {
+    cube: cubeScore,
+    total: totalScore,
+    answers: answers.map(({ _id, date, packNum, pickNum, pick, humanPick, botPick, matchedHuman, matchedBot }) => ({
+      _id,
+      date,
+      packNum,
+      pickNum,
+      pick,
+      humanPick,
+      botPick,
+      matchedHuman,
+      matchedBot,
+    })),
+  };
+};
+
+router.get('/:id', (req, res) => {
+  res.redirect(`/cube/quiz/${encodeURIComponent(req.params.id)}/${Date.now().toString()}`);
+});
+
+router.get('/:id/:seed', async (req, res) => {
+  try {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id)).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+
+    // The same seed always asks the same question, as long as no drafts of the cube are added or deleted.
+    const rng = seedrandom(req.params.seed);
+    const decks = await Deck.find({ cube: cube._id, draft: { $ne: null } }, 'draft')
+      .sort({ date: -1 })
+      .limit(QUIZ_DRAFTS)
+      .lean();
+    const draftIds = [...new Set(decks.map(({ draft }) => `${draft}`))];
+    let question = null;
+    while (!question && draftIds.length > 0) {
+      const [draftId] = draftIds.splice(Math.floor(rng() * draftIds.length), 1);
+      // eslint-disable-next-line no-await-in-loop
+      const draft = await Draft.findById(draftId).lean();
+      const quizPick = draft ? chooseQuizPick(draft, rng) : null;
+      if (quizPick) {
+        const { cardsInPack, picked } = quizPick.drafterState;
+        question = {
+          draft: draft._id,
+          seat: quizPick.seatNumber,
+          pickNumber: quizPick.pickNumber,
+          packNum: quizPick.packNum,
+          pickNum: quizPick.pickNum,
+          pack: withDetails(cardsInPack.map((cardIndex) => draft.cards[cardIndex])),
+          pool: withDetails(picked.map((cardIndex) => draft.cards[cardIndex])),
+        };
+      }
+    }
+
+    return render(
+      req,
+      res,
+      'PickQuizPage',
+      {
+        cube,
+        question,
+        history: await getHistory(req.user, cube),
+      },
+      {
+        title: `${abbreviate(cube.name)} - Pick Quiz`,
+        metadata: generateMeta(
+          `Cube Cobra Pick Quiz: ${cube.name}`,
+          miscutil.getCubeDescription(cube),
+          cube.image_uri,
+          `https://cubecobra.com/cube/quiz/${encodeURIComponent(req.params.id)}/${encodeURIComponent(req.params.seed)}`,
+        ),
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, `/cube/playtest/${encodeURIComponent(req.params.id)}`);
+  }
+});
+
+router.post('/answer/:id', async (req, res) => {
+  try {
+    const draft = await Draft.findById(`${req.body.draft}`).lean();
+    if (!draft) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Draft not found',
+      });
+    }
+    const cube = await Cube.findById(draft.cube, '_id owner isPrivate collaborators useCubeElo').lean();
+    if (!isCubeViewable(cube, req.user)) {
+      return res.status(404).send({
+        success: 'false',
+        message: 'Cube not found',
+      });
+    }
+
+    const seat = parseInt(req.body.seat, 10);
+    const pickNumber = parseInt(req.body.pickNumber, 10);
+    // The pick is the position of the card in the pack.
+    const position = parseInt(req.body.pick, 10);
+    const quizPick =
+      draft.seats[seat] && !draft.seats[seat].bot
+        ? getQuizPicks(draft, seat).find((candidate) => candidate.pickNumber === pickNumber)
+        : null;
+    const pick = quizPick?.drafterState.cardsInPack[position];
+    if (!Number.isInteger(pick)) {
+      return res.status(400).send({
+        success: 'false',
+        message: 'That pick is not part of this question.',
+      });
+    }
+
+    const analytic = await CubeAnalytic.findOne({ cube: cube._id }).lean();
+    draft.cards = withDetails(draft.cards, cube.useCubeElo ? analytic : null);
+    const botPick = calculateBotPick({ ...quizPick.drafterState, cards: draft.cards });
+    const { cardsInPack } = quizPick.drafterState;
+    const analyticCards = miscutil.fromEntries((analytic?.cards ?? []).map((c) => [c.cardName, c]));
+    const pickRates = cardsInPack.map((cardIndex) =>
+      pickRate(analyticCards[draft.cards[cardIndex].details.name_lower]),
+    );
+
+    if (req.user) {
+      const answered = await PickQuizAnswer.exists({ user: req.user._id, draft: draft._id, seat, pickNumber });
+      // Only the first answer to a question counts towards the score.
+      if (!answered) {
+        await new PickQuizAnswer({
+          user: req.user._id,
+          cube: cube._id,
+          draft: draft._id,
+          seat,
+          pickNumber,
+          packNum: quizPick.packNum,
+          pickNum: quizPick.pickNum,
+          pick: draft.cards[pick].details.name,
+          humanPick: draft.cards[quizPick.card].details.name,
+          botPick: draft.cards[botPick].details.name,
+          matchedHuman: pick === quizPick.card,
+          matchedBot: pick === botPick,
+          date: new Date(),
+        }).save();
+      }
+    }
+
+    return res.status(200).send({
+      success: 'true',
+      humanPick: cardsInPack.indexOf(quizPick.card),
+      botPick: cardsInPack.indexOf(botPick),
+      pickRates,
+      history: await getHistory(req.user, cube),
+    });
+  } catch (err) {
+    req.logger.error(err);
+    return res.status(500).send({
+      success: 'false',
+      message: 'Internal server error',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body } = require('express-validator');
+
+const { ensureAuth } = require('../middleware');
+const carddb = require('../../serverjs/cards.js');
+const util = require('../../serverjs/util.js');
+const { render } = require('../../serverjs/render');
+const generateMeta = require('../../serverjs/meta.js');
+const miscutil = require('../../dist/utils/Util.js');
+
+const { abbreviate, buildIdQuery, isCubeViewable } = require('../../serverjs/cubefn.js');
+const { createSealedPools, poolOfSeat, sortPool } = require('../../serverjs/sealed.js');
+const { addBasics, createPool } = require('./helper.js');
+
+const Cube = require('../../models/cube');
+const Deck = require('../../models/deck');
+const User = require('../../models/user');
+const SealedEvent = require('../../models/sealedEvent');
+
+const router = express.Router();
+
+const MAX_POOLS = 16;
+const MAX_TEAM_SIZE = 3;
+
+const isOrganizer = (event, user) => !!user && user._id.equals(event.owner);
+
+const seatName = (event, pool, member) =>
+  event.teamSize > 1 ? `Team ${pool + 1}, Player ${member + 1}` : `Pool ${pool + 1}`;
+
+router.post(
+  '/create/:id',
+  ensureAuth,
+  body('pools').toInt(),
+  body('teamSize').toInt(),
+  body('format').toInt(),
+  body('packs').toInt(),
+  body('cards').toInt(),
+  body('seed').trim(),
+  body('name').trim(),
+  async (req, res) => {
+    const redirect = `/cube/playtest/${encodeURIComponent(req.params.id)}`;
+    try {
+      const cube = await Cube.findOne(
+        buildIdQuery(req.params.id),
+        '_id name basics cards draft_formats savedFilters owner numDecks disableNotifications isPrivate collaborators',
+      );
+      if (!isCubeViewable(cube, req.user)) {
+        req.flash('danger', 'Cube not found');
+        return res.redirect('/404');
+      }
+
+      const { pools: numPools, teamSize, packs, cards } = req.body;
+      const formatId = Number.isInteger(req.body.format) ? req.body.format : -1;
+      if (!Number.isInteger(numPools) || numPools < 2 || numPools > MAX_POOLS) {
+        req.flash('danger', `Sealed events need between 2 and ${MAX_POOLS} pools.`);
+        return res.redirect(redirect);
+      }
+      if (!Number.isInteger(teamSize) || teamSize < 1 || teamSize > MAX_TEAM_SIZE) {
+        req.flash('danger', `Teams can have between 1 and ${MAX_TEAM_SIZE} players.`);
+        return res.redirect(redirect);
+      }
+      if (formatId >= 0 && !cube.draft_formats[formatId]) {
+        req.flash('danger', 'Draft format not found.');
+        return res.redirect(redirect);
+      }
+      if (formatId < 0) {
+        if (!(packs >= 1 && packs <= 16 && cards >= 1 && cards <= 25)) {
+          req.flash('danger', 'Pools need between 1 and 16 packs of between 1 and 25 cards.');
+          return res.redirect(redirect);
+        }
+        if (cube.cards.length < numPools * packs * cards) {
+          req.flash(
+            'danger',
+            `Not enough cards, need ${
+              numPools * packs * cards
+            } cards for ${numPools} pools of ${packs} packs of ${cards}.`,
+          );
+          return res.redirect(redirect);
+        }
+      }
+
+      // Format slots can filter on the card details.
+      const cubeCards = cube.toObject().cards.map((card) => ({ ...card, details: carddb.cardFromId(card.cardID) }));
+      const seed = req.body.seed || crypto.randomBytes(8).toString('hex');
+      let dealt;
+      try {
+        dealt = createSealedPools(
+          { cards: cubeCards, draft_formats: cube.draft_formats, savedFilters: cube.savedFilters },
+          { numPools, formatId, packs, cards, seed },
+        );
+      } catch (err) {
+        // This is a 4XX error, not a 5XX error
+        req.flash('danger', err.message);
+        return res.redirect(redirect);
+      }
+
+      const event = new SealedEvent();
+      event.cube = cube._id;
+      event.owner = req.user._id;
+      event.name = req.body.name || `${cube.name} ${teamSize > 1 ? 'Team Sealed' : 'Sealed'}`;
+      event.date = Date.now();
+      event.seed = seed;
+      event.format = formatId;
+      if (formatId < 0) {
+        event.packs = packs;
+        event.cards = cards;
+      }
+      event.teamSize = teamSize;
+
+      const deck = new Deck();
+      deck.cube = cube._id;
+      deck.cubeOwner = cube.owner;
+      deck.owner = req.user._id;
+      deck.date = event.date;
+      deck.cubename = cube.name;
+      deck.draft = null;
+      addBasics(dealt.cards, cube.basics, deck);
+      deck.cards = dealt.cards;
+      deck.seats = [];
+      dealt.pools.forEach((pool, poolIndex) => {
+        const seats = [];
+        for (let member = 0; member < teamSize; member++) {
+          seats.push(deck.seats.length);
+          deck.seats.push({
+            userid: null,
+            username: null,
+            name: seatName(event, poolIndex, member),
+            description: '',
+            pickorder: pool,
+            deck: sortPool(dealt.cards, pool, carddb),
+            sideboard: createPool(),
+          });
+        }
+        event.pools.push({ token: crypto.randomBytes(16).toString('hex'), cards: pool, seats });
+      });
+      event.deck = deck._id;
+
+      await deck.save();
+      await event.save();
+
+      cube.numDecks += 1;
+      await cube.save();
+
+      if (!cube.disableNotifications && !req.user._id.equals(cube.owner)) {
+        const cubeOwner = await User.findById(cube.owner);
+        await util.addNotification(
+          cubeOwner,
+          req.user,
+          `/cube/sealed/${event._id}`,
+          `${req.user.username} started a sealed event from your cube: ${cube.name}`,
+          'deck',
+          cube._id,
+        );
+      }
+
+      return res.redirect(`/cube/sealed/${event._id}`);
+    } catch (err) {
+      return util.handleRouteError(req, res, err, redirect);
+    }
+  },
+);
+
+// Opening a pool's link takes the next open seat in the pool, unless the user already has a seat in the event.
+router.get('/join/:id/:token', ensureAuth, async (req, res) => {
+  const redirect = `/cube/sealed/${encodeURIComponent(req.params.id)}`;
+  try {
+    const event = await SealedEvent.findById(req.params.id).lean();
+    if (!event) {
+      req.flash('danger', 'Sealed event not found');
+      return res.redirect('/404');
+    }
+    const cube = await Cube.findById(event.cube, 'owner isPrivate collaborators').lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+    const pool = event.pools.find(({ token }) => token === req.params.token);
+    if (!pool) {
+      req.flash('danger', 'This pool link is not valid.');
+      return res.redirect(redirect);
+    }
+
+    const deck = await Deck.findById(event.deck, 'seats.userid').lean();
+    const current = deck.seats.findIndex(({ userid }) => userid && req.user._id.equals(userid));
+    if (current >= 0) {
+      if (!pool.seats.includes(current)) {
+        req.flash('warning', 'You already have a pool in this event.');
+      }
+      return res.redirect(`/cube/deck/deckbuilder/${deck._id}?seat=${current}`);
+    }
+
+    // Seats are claimed only if they're still free and the user doesn't have one yet, so two people following the link
+    // at the same time can't take the same seat.
+    for (const seat of pool.seats.filter((index) => !deck.seats[index].userid)) {
+      // eslint-disable-next-line no-await-in-loop
+      const claimed = await Deck.updateOne(
+        { _id: deck._id, [`seats.${seat}.userid`]: null, 'seats.userid': { $ne: req.user._id } },
+        { $set: { [`seats.${seat}.userid`]: req.user._id, [`seats.${seat}.username`]: req.user.username } },
+      );
+      if (claimed.nModified > 0) {
+        return res.redirect(`/cube/deck/deckbuilder/${deck._id}?seat=${seat}`);
+      }
+    }
+
+    req.flash('danger', 'Every seat for this pool has already been taken.');
+    return res.redirect(redirect);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, redirect);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const event = await SealedEvent.findById(req.params.id).lean();
+    if (!event) {
+      req.flash('danger', 'Sealed event not found');
+      return res.redirect('/404');
+    }
+    const cube = await Cube.findById(event.cube, `${Cube.LAYOUT_FIELDS} isPrivate draft_formats.title`).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+    const deck = await Deck.findById(event.deck, 'seats.userid seats.username seats.name').lean();
+    if (!deck) {
+      req.flash('danger', 'Deck not found');
+      return res.redirect('/404');
+    }
+
+    // Pool links are only shown to the organizer, and to the players of a pool so they can share it with their team.
+    const ownSeat = req.user ? deck.seats.findIndex(({ userid }) => userid && req.user._id.equals(userid)) : -1;
+    const ownPool = ownSeat >= 0 ? poolOfSeat(event, ownSeat) : null;
+    const pools = event.pools.map(({ token, cards, seats }) => ({
+      token: isOrganizer(event, req.user) || ownPool?.token === token ? token : null,
+      size: cards.length,
+      seats: seats.map((seat) => ({
+        seat,
+        name: deck.seats[seat].name,
+        userid: deck.seats[seat].userid,
+        username: deck.seats[seat].username,
+        registered: event.registered.includes(seat),
+      })),
+    }));
+
+    return render(
+      req,
+      res,
+      'SealedEventPage',
+      {
+        cube,
+        event: {
+          _id: event._id,
+          deck: event.deck,
+          owner: event.owner,
+          name: event.name,
+          seed: event.seed,
+          format: event.format >= 0 ? cube.draft_formats?.[event.format]?.title ?? 'Custom Draft' : null,
+          packs: event.packs,
+          cards: event.cards,
+          teamSize: event.teamSize,
+          pools,
+        },
+        ownSeat,
+      },
+      {
+        title: `${abbreviate(cube.name)} - ${event.name}`,
+        metadata: generateMeta(
+          `Cube Cobra Sealed Event: ${cube.name}`,
+          miscutil.getCubeDescription(cube),
+          cube.image_uri,
+          `https://cubecobra.com/cube/sealed/${req.params.id}`,
+        ),
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/404');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+
+const { ensureAuth } = require('../middleware');
+const carddb = require('../../serverjs/cards.js');
+const util = require('../../serverjs/util.js');
+const { render } = require('../../serverjs/render');
+const generateMeta = require('../../serverjs/meta.js');
+const miscutil = require('../../dist/utils/Util.js');
+
+const {
+  abbreviate,
+  buildIdQuery,
+  hasCubePermission,
+  isCubeViewable,
+  setCubeType,
+} = require('../../serverjs/cubefn.js');
+const { addCard, removeCard, applyChanges, changesToHtml, saveCubeChanges } = require('../../serverjs/changelog.js');
+const { applyCollectionStatuses } = require('../../serverjs/collection');
+const { getUpstreamChanges } = require('../../serverjs/forks.js');
+
+const Blog = require('../../models/blog');
+const Cube = require('../../models/cube');
+
+const router = express.Router();
+
+const changeKey = ({ action, card }) => `${action}:${card.cardID}`;
+
+const withDetails = (changes) =>
+  changes.map(({ action, card, index }) => ({
+    action,
+    index,
+    card: { ...card, details: carddb.cardFromId(card.cardID) },
+  }));
+
+router.get('/:id', async (req, res) => {
+  try {
+    const cube = await Cube.findOne(buildIdQuery(req.params.id)).lean();
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+    if (!req.user || !hasCubePermission(cube, req.user._id, 'edit')) {
+      req.flash('danger', 'Only the cube owner and its editors may take changes from the upstream cube.');
+      return res.redirect(`/cube/overview/${encodeURIComponent(req.params.id)}`);
+    }
+
+    const changes = await getUpstreamChanges(cube, req.user, carddb);
+    if (!changes) {
+      req.flash('danger', 'This cube does not have an upstream cube to take changes from.');
+      return res.redirect(`/cube/overview/${encodeURIComponent(req.params.id)}`);
+    }
+
+    delete cube.cards;
+    delete cube.maybe;
+
+    return render(
+      req,
+      res,
+      'CubeUpstreamPage',
+      {
+        cube,
+        upstream: changes.upstream,
+        versionsBehind: changes.upstreamVersion - changes.version,
+        added: withDetails(changes.added),
+        removed: withDetails(changes.removed),
+      },
+      {
+        title: `${abbreviate(cube.name)} - Upstream Changes`,
+        metadata: generateMeta(
+          `Cube Cobra Upstream Changes: ${cube.name}`,
+          miscutil.getCubeDescription(cube),
+          cube.image_uri,
+          `https://cubecobra.com/cube/upstream/${encodeURIComponent(req.params.id)}`,
+        ),
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, `/cube/overview/${encodeURIComponent(req.params.id)}`);
+  }
+});
+
+// Takes the accepted changes through the same changelog and blog post as any other edit, and remembers the ignored ones
+// so they aren't offered again. Accepted and ignored are lists of action:cardID separated by semicolons.
+router.post('/:id', ensureAuth, async (req, res) => {
+  const redirect = `/cube/upstream/${encodeURIComponent(req.params.id)}`;
+  try {
+    let cube = await Cube.findOne(buildIdQuery(req.params.id));
+    if (!isCubeViewable(cube, req.user)) {
+      req.flash('danger', 'Cube not found');
+      return res.redirect('/404');
+    }
+    if (!hasCubePermission(cube, req.user._id, 'edit')) {
+      req.flash('danger', 'Only the cube owner and its editors may take changes from the upstream cube.');
+      return res.redirect(`/cube/overview/${encodeURIComponent(req.params.id)}`);
+    }
+
+    const pending = await getUpstreamChanges(cube, req.user, carddb);
+    if (!pending) {
+      req.flash('danger', 'This cube does not have an upstream cube to take changes from.');
+      return res.redirect(`/cube/overview/${encodeURIComponent(req.params.id)}`);
+    }
+
+    const accepted = new Set(`${req.body.accepted ?? ''}`.split(';'));
+    const ignored = new Set(`${req.body.ignored ?? ''}`.split(';'));
+    const all = [...pending.added, ...pending.removed];
+
+    // Removes go from the end backwards so the indices stay valid, then the adds go at the end.
+    const removes = pending.removed
+      .filter((change) => accepted.has(changeKey(change)))
+      .sort((a, b) => b.index - a.index);
+    const adds = pending.added.filter((change) => accepted.has(changeKey(change)));
+    const changes = removes.map(({ index }) => removeCard(index, cube.cards[index]));
+    const remaining = cube.cards.length - removes.length;
+    adds.forEach(({ card }, i) => {
+      const details = carddb.cardFromId(card.cardID);
+      changes.push(addCard(remaining + i, util.newCard(details, card.tags, cube.defaultStatus)));
+    });
+
+    cube.upstream.ignored.push(
+      ...all
+        .filter((change) => !accepted.has(changeKey(change)) && ignored.has(changeKey(change)))
+        .map(({ action, card }) => ({ action, cardID: card.cardID })),
+    );
+    // Once every change has been taken or ignored the cube is up to date with the upstream's current version.
+    if (all.every((change) => accepted.has(changeKey(change)) || ignored.has(changeKey(change)))) {
+      cube.upstream.version = pending.upstreamVersion;
+      cube.upstream.ignored = [];
+    }
+
+    if (changes.length === 0) {
+      await cube.save();
+      req.flash('success', 'Upstream changes updated.');
+      return res.redirect(redirect);
+    }
+
+    applyChanges(cube.cards, changes);
+    cube.date_updated = Date.now();
+    cube.updated_string = cube.date_updated.toLocaleString('en-US');
+
+    const blogpost = new Blog();
+    blogpost.title = `Changes from ${pending.upstream.name}`;
+    blogpost.changelist = changesToHtml(changes, carddb);
+    changes.push(...(await applyCollectionStatuses(cube)));
+    blogpost.owner = req.user._id;
+    blogpost.date = Date.now();
+    blogpost.cube = cube._id;
+    blogpost.dev = 'false';
+    blogpost.date_formatted = blogpost.date.toLocaleString('en-US');
+    blogpost.username = req.user.username;
+    blogpost.cubename = cube.name;
+
+    cube = setCubeType(cube, carddb);
+    await saveCubeChanges(cube, req.user, changes, blogpost);
+    await blogpost.save();
+
+    req.flash(
+      'success',
+      `Took ${changes.length} change${changes.length === 1 ? '' : 's'} from ${pending.upstream.name}.`,
+    );
+    return res.redirect(redirect);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, redirect);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const csurf = require('csurf');
 const { validationResult } = require('express-validator');
 const User = require('../models/user');
+const { isSuspended } = require('../serverjs/moderation');
 
 const ensureAuth = (req, res, next) => {
   if (req.isAuthenticated()) {
@@ -25,6 +26,16 @@ const ensureRole = (role) => (req, res, next) => {
   });
 };
 
+// Logs suspended users out of sessions they started before they were suspended.
+const rejectSuspended = (req, res, next) => {
+  if (req.user && isSuspended(req.user)) {
+    const until = req.user.moderation.suspendedUntil;
+    req.logout();
+    req.flash('danger', `Your account is suspended until ${until.toLocaleString('en-US')}.`);
+  }
+  next();
+};
+
 const csrfProtection = [
   csurf(),
   (req, res, next) => {
@@ -62,6 +73,7 @@ function jsonValidationErrors(req, res, next) {
 module.exports = {
   ensureAuth,
   ensureRole,
+  rejectSuspended,
   csrfProtection,
   flashValidationErrors,
   jsonValidationErrors,
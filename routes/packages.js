@@ -3,6 +3,7 @@ const express = require('express');
 const { render } = require('../serverjs/render');
 const { ensureAuth, ensureRole, csrfProtection } = require('./middleware');
 const carddb = require('../serverjs/cards.js');
+const { listToCards } = require('../serverjs/importers.js');
 
 const Package = require('../models/package');
 const User = require('../models/user');
@@ -151,6 +152,31 @@ router.post('/submit', ensureAuth, async (req, res) => {
   });
 });
 
+// Reads a pasted or uploaded list in any of our download formats into card ids for a new package.
+router.post('/import', ensureAuth, async (req, res) => {
+  const { list } = req.body;
+  if (typeof list !== 'string' || list.trim().length === 0) {
+    return res.status(400).send({
+      success: 'false',
+      message: 'Please provide a list of cards.',
+    });
+  }
+
+  try {
+    const { newCards, newMaybe, missing } = listToCards(list, carddb);
+    return res.status(200).send({
+      success: 'true',
+      cards: [...newCards, ...newMaybe].map((card) => card.cardID),
+      missing,
+    });
+  } catch (err) {
+    return res.status(400).send({
+      success: 'false',
+      message: 'Unable to read this list.',
+    });
+  }
+});
+
 router.get('/upvote/:id', ensureAuth, async (req, res) => {
   const pack = await Package.findById(req.params.id);
   const user = await User.findById(req.user._id);
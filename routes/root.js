@@ -10,7 +10,7 @@ const Video = require('../models/video');
 const PodcastEpisode = require('../models/podcastEpisode');
 
 const carddb = require('../serverjs/cards');
-const { makeFilter } = require('../serverjs/filterCubes');
+const { makeFilter, relevanceStages } = require('../serverjs/filterCubes');
 const { render } = require('../serverjs/render');
 const { csrfProtection, ensureAuth } = require('./middleware');
 const { getCubeId } = require('../serverjs/cubefn');
@@ -273,10 +273,10 @@ router.get('/search/:query/:page', async (req, res) => {
         break;
     }
 
-    const query = await makeFilter(req.params.query, carddb);
+    const filter = await makeFilter(req.params.query, carddb);
 
-    if (query.error) {
-      req.flash('danger', `Invalid Search Syntax: ${query.error}`);
+    if (filter.error) {
+      req.flash('danger', `Invalid Search Syntax: ${filter.error}`);
 
       return render(req, res, 'SearchPage', {
         query: req.params.query,
@@ -287,22 +287,30 @@ router.get('/search/:query/:page', async (req, res) => {
       });
     }
 
-    if (query.warnings) {
-      for (const warning of query.warnings) {
-        req.flash('danger', `Warning: ${warning}`);
-      }
-      delete query.warnings;
+    for (const warning of filter.warnings) {
+      req.flash('danger', `Warning: ${warning}`);
     }
 
-    query.isListed = true;
+    const query = { ...filter.query, isListed: true };
 
     const count = await Cube.countDocuments(query);
 
-    const cubes = await Cube.find(query, CUBE_PREVIEW_FIELDS)
-      .lean()
-      .sort(sort)
-      .skip(perPage * page)
-      .limit(perPage);
+    let cubes;
+    if (order === 'relevance') {
+      cubes = await Cube.aggregate([
+        { $match: query },
+        ...relevanceStages(filter.keywords, perPage * (page + 1)),
+        { $skip: perPage * page },
+        { $limit: perPage },
+        { $project: Object.fromEntries(CUBE_PREVIEW_FIELDS.split(' ').map((field) => [field, 1])) },
+      ]);
+    } else {
+      cubes = await Cube.find(query, CUBE_PREVIEW_FIELDS)
+        .lean()
+        .sort(sort)
+        .skip(perPage * page)
+        .limit(perPage);
+    }
 
     return render(req, res, 'SearchPage', {
       query: req.params.query,
@@ -427,6 +435,9 @@ router.get('/tos', (req, res) => {
 router.get('/filters', (req, res) => {
   return render(req, res, 'FiltersPage');
 });
+router.get('/api', (req, res) => {
+  return render(req, res, 'ApiDocsPage', {}, { title: 'API Documentation' });
+});
 router.get('/markdown', (req, res) => {
   return render(req, res, 'MarkdownPage');
 });
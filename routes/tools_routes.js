@@ -8,7 +8,8 @@ const carddb = require('../serverjs/cards');
 const cardutil = require('../dist/utils/Card.js');
 const { SortFunctionsOnDetails, ORDERED_SORTS } = require('../dist/utils/Sort.js');
 const getBlankCardHistory = require('../src/utils/BlankCardHistory.js');
-const { makeFilter, filterCardsDetails } = require('../dist/filtering/FilterCards');
+const { makeFilter } = require('../dist/filtering/FilterCards');
+const { filterCardIndex, hasSortOrder } = require('../dist/filtering/CardSearchIndex');
 const generateMeta = require('../serverjs/meta.js');
 const util = require('../serverjs/util.js');
 const { render } = require('../serverjs/render');
@@ -29,33 +30,41 @@ const MIN_PICKS = 100;
 /* Page size for results */
 const PAGE_SIZE = 96;
 
-const getAllMostReasonable = (filter) => {
-  const cards = filterCardsDetails(carddb.printedCardList, filter);
-
-  const keys = new Set();
-  const filtered = [];
+// The most reasonable printing of each name stands in for it, at that printing's place in cards. Printings card search
+// doesn't have, like digital ones, take the place of the first printing of their name instead. Only the names up to
+// the end of the page are looked at.
+const pageOfNames = (cards, filter, page) => {
+  const chosen = new Map();
+  const shown = new Set();
+  const names = [];
   for (const card of cards) {
-    if (!keys.has(card.name_lower)) {
-      filtered.push(carddb.getMostReasonableById(card._id, 'recent', filter));
-      keys.add(card.name_lower);
+    if (names.length >= (page + 1) * PAGE_SIZE) {
+      break;
+    }
+    if (!chosen.has(card.name_lower)) {
+      chosen.set(card.name_lower, carddb.getMostReasonableById(card._id, 'recent', filter) ?? card);
+    }
+    const best = chosen.get(card.name_lower);
+    const searched = !best.digital && !best.isToken;
+    if (!shown.has(card.name_lower) && (best._id === card._id || !searched)) {
+      shown.add(card.name_lower);
+      names.push(best);
     }
   }
-  return filtered;
+  return names.slice(page * PAGE_SIZE);
 };
 
 const searchCards = (filter, sort = 'elo', page = 0, direction = 'descending', distinct = 'names') => {
-  const cards = [];
-
-  if (distinct === 'names') {
-    cards.push(...getAllMostReasonable(filter));
-  } else {
-    cards.push(...filterCardsDetails(carddb.printedCardList, filter));
-  }
-
-  if (ORDERED_SORTS.includes(sort)) {
-    cards.sort(SortFunctionsOnDetails(sort));
-  } else {
-    winston.info(`Sort function not found: ${sort}`);
+  const index = carddb.printedCardIndex;
+  // Already in sort order when the index keeps one for it, so only the requested page is built.
+  const cards = filterCardIndex(index, filter, sort);
+
+  if (!hasSortOrder(index, sort)) {
+    if (ORDERED_SORTS.includes(sort)) {
+      cards.sort(SortFunctionsOnDetails(sort));
+    } else {
+      winston.info(`Sort function not found: ${sort}`);
+    }
   }
 
   if (direction === 'descending') {
@@ -64,6 +73,12 @@ const searchCards = (filter, sort = 'elo', page = 0, direction = 'descending', d
 
   page = parseInt(page, 10);
 
+  if (distinct === 'names') {
+    return {
+      numResults: new Set(cards.map((card) => card.name_lower)).size,
+      data: pageOfNames(cards, filter, page),
+    };
+  }
   return {
     numResults: cards.length,
     data: cards.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE),
@@ -76,6 +91,7 @@ router.get('/api/topcards', async (req, res) => {
     if (err) {
       res.status(400).send({
         success: 'false',
+        message: err.message,
         numResults: 0,
         data: [],
       });
@@ -103,6 +119,7 @@ router.get('/api/searchcards', async (req, res) => {
     if (err) {
       res.status(400).send({
         success: 'false',
+        message: err.message,
         numResults: 0,
         data: [],
       });
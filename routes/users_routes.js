@@ -11,6 +11,7 @@ const fq = require('../serverjs/featuredQueue');
 const carddb = require('../serverjs/cards.js');
 const { render } = require('../serverjs/render');
 const { buildIdQuery } = require('../serverjs/cubefn');
+const { generateApiKey } = require('../serverjs/apiKeys');
 
 // Bring in models
 const User = require('../models/user');
@@ -20,6 +21,8 @@ const Deck = require('../models/deck');
 const Blog = require('../models/blog');
 const Patron = require('../models/patron');
 const FeaturedCubes = require('../models/featuredCubes');
+const ApiKey = require('../models/apiKey');
+const Notification = require('../models/notification');
 
 const router = express.Router();
 
@@ -50,17 +53,12 @@ function addMinutes(date, minutes) {
 
 router.use(csrfProtection);
 
-router.get('/notification/:index', ensureAuth, async (req, res) => {
+router.get('/notification/:id', ensureAuth, async (req, res) => {
   try {
-    const { user } = req;
-
-    if (req.params.index > user.notifications.length) {
-      req.flash('danger', 'Not Found');
-      return res.redirect('/404');
-    }
-
-    const notification = user.notifications.splice(req.params.index, 1)[0];
-    await user.save();
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { read: true },
+    ).lean();
 
     if (!notification) {
       req.flash('danger', 'Not Found');
@@ -79,10 +77,7 @@ router.get('/notification/:index', ensureAuth, async (req, res) => {
 
 router.post('/clearnotifications', ensureAuth, async (req, res) => {
   try {
-    const { user } = req;
-
-    user.notifications = [];
-    await user.save();
+    await Notification.updateMany({ user: req.user._id, read: false }, { read: true });
 
     return res.status(200).send({
       success: 'true',
@@ -117,7 +112,7 @@ router.get('/follow/:id', ensureAuth, async (req, res) => {
       user.followed_users.push(other._id);
     }
 
-    await util.addNotification(other, user, `/user/view/${user.id}`, `${user.username} has followed you!`);
+    await util.addNotification(other, user, `/user/view/${user.id}`, `${user.username} has followed you!`, 'follow');
 
     await Promise.all([user.save(), other.save()]);
 
@@ -520,9 +515,47 @@ router.get('/decks/:userid', (req, res) => {
 });
 
 router.get('/notifications', ensureAuth, async (req, res) => {
-  return render(req, res, 'NotificationsPage', {
-    notifications: req.user.old_notifications,
-  });
+  try {
+    const pagesize = 50;
+    const page = Math.max(parseInt(req.query.page, 10) || 0, 0);
+    const type = Notification.TYPES.includes(req.query.type) ? req.query.type : null;
+    const unread = req.query.unread === 'true';
+
+    const query = { user: req.user._id };
+    if (type) {
+      query.type = type;
+    }
+    if (unread) {
+      query.read = false;
+    }
+
+    const [notifications, numNotifications] = await Promise.all([
+      Notification.find(query)
+        .sort({ date: -1 })
+        .skip(pagesize * page)
+        .limit(pagesize)
+        .lean(),
+      Notification.countDocuments(query),
+    ]);
+
+    return render(
+      req,
+      res,
+      'NotificationsPage',
+      {
+        notifications,
+        type,
+        unread,
+        pages: Math.ceil(numNotifications / pagesize),
+        activePage: page,
+      },
+      {
+        title: 'Notifications',
+      },
+    );
+  } catch (err) {
+    return util.handleRouteError(req, res, err, '/');
+  }
 });
 
 router.get('/decks/:userid/:page', async (req, res) => {
@@ -640,6 +673,18 @@ router.get('/account', ensureAuth, async (req, res) => {
     const cube = await Cube.findById(featured.queue[i].cubeID).lean();
     myFeatured = { cube, position: i + 1 };
   }
+  const apiKeys = await ApiKey.find({ owner: req.user._id }, '_id name prefix date lastUsed rateLimit')
+    .sort({ date: -1 })
+    .lean();
+
+  // Cubes can be muted whether or not the user owns them, so muted cubes they don't own are listed too.
+  const { muted, digest } = req.user.notificationSettings;
+  const notificationCubes = await Cube.find(
+    { $or: [{ owner: req.user._id }, { _id: { $in: muted.filter((mute) => mute.cube).map((mute) => mute.cube) } }] },
+    '_id name',
+  )
+    .sort({ date_updated: -1 })
+    .lean();
 
   return render(
     req,
@@ -651,6 +696,12 @@ router.get('/account', ensureAuth, async (req, res) => {
       patreonClientId: process.env.PATREON_CLIENT_ID || '',
       patron,
       featured: myFeatured,
+      apiKeys,
+      notificationSettings: {
+        muted: muted.map(({ type, cube }) => ({ type, cube })),
+        digest,
+      },
+      notificationCubes,
     },
     {
       title: 'Account',
@@ -804,6 +855,32 @@ router.post('/changedisplay', ensureAuth, async (req, res) => {
   }
 });
 
+// Muted is a list of type:cubeID separated by semicolons, with "all" as the cube to mute the type everywhere.
+router.post('/notificationsettings', ensureAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const muted = `${req.body.muted ?? ''}`
+      .split(';')
+      .map((mute) => mute.split(':'))
+      .filter(([type, cube]) => Notification.TYPES.includes(type) && (cube === 'all' || /^[0-9a-fA-F]{24}$/.test(cube)))
+      .map(([type, cube]) => ({ type, cube: cube === 'all' ? null : cube }));
+
+    user.notificationSettings.muted = muted;
+    if (['none', 'daily', 'weekly'].includes(req.body.digest)) {
+      user.notificationSettings.digest = req.body.digest;
+    }
+
+    await user.save();
+
+    req.flash('success', 'Your notification preferences have been updated.');
+    return res.redirect('/user/account?nav=notifications');
+  } catch (err) {
+    req.flash('danger', `Could not save preferences: ${err.message}`);
+    return res.redirect('/user/account?nav=notifications');
+  }
+});
+
 router.get('/social', ensureAuth, async (req, res) => {
   try {
     const followedCubesQ = Cube.find({ _id: { $in: req.user.followed_cubes } }, Cube.PREVIEW_FIELDS).lean();
@@ -904,4 +981,50 @@ router.post('/unqueuefeatured', ensureAuth, async (req, res) => {
   return res.redirect(redirect);
 });
 
+const MAX_API_KEYS = 10;
+
+router.post(
+  '/apikeys/create',
+  ensureAuth,
+  [body('name', 'API key names must be between 1 and 50 characters.').trim().isLength({ min: 1, max: 50 })],
+  flashValidationErrors,
+  async (req, res) => {
+    const redirect = '/user/account?nav=apikeys';
+    try {
+      if (!req.validated) {
+        return res.redirect(redirect);
+      }
+      if ((await ApiKey.countDocuments({ owner: req.user._id })) >= MAX_API_KEYS) {
+        req.flash('danger', `You can't have more than ${MAX_API_KEYS} API keys.`);
+        return res.redirect(redirect);
+      }
+
+      const { key, hash, prefix } = generateApiKey();
+      await new ApiKey({ owner: req.user._id, name: req.body.name, hash, prefix, date: new Date() }).save();
+
+      req.flash('success', `Created API key ${req.body.name}: ${key} Copy it now, it won't be shown again.`);
+      return res.redirect(redirect);
+    } catch (err) {
+      return util.handleRouteError(req, res, err, redirect);
+    }
+  },
+);
+
+router.post('/apikeys/delete/:id', ensureAuth, async (req, res) => {
+  const redirect = '/user/account?nav=apikeys';
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey || !apiKey.owner.equals(req.user._id)) {
+      req.flash('danger', 'API key not found');
+      return res.redirect(redirect);
+    }
+
+    await ApiKey.deleteOne({ _id: apiKey._id });
+    req.flash('success', `Deleted API key ${apiKey.name}.`);
+    return res.redirect(redirect);
+  } catch (err) {
+    return util.handleRouteError(req, res, err, redirect);
+  }
+});
+
 module.exports = router;
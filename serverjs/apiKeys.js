@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'cc_';
+const PREFIX_LENGTH = 10;
+
+// Keys are random, so a plain hash is enough to look them up without storing them.
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Returns a new key along with the hash and prefix to store for it.
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return { key, hash: hashApiKey(key), prefix: key.slice(0, PREFIX_LENGTH) };
+}
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+};
@@ -3,6 +3,7 @@ const winston = require('winston');
 const util = require('./util.js');
 
 const { SortFunctions, ORDERED_SORTS } = require('../dist/utils/Sort.js');
+const { buildCardSearchIndex } = require('../dist/filtering/CardSearchIndex.js');
 
 let data = {
   cardtree: {},
@@ -15,6 +16,7 @@ let data = {
   english: {},
   _carddict: {},
   printedCardList: [], // for card filters
+  printedCardIndex: null, // for card search
 };
 
 const fileToAttribute = {
@@ -131,6 +133,7 @@ function initializeCardDb(dataRoot, skipWatchers) {
     .then(() => {
       // cache cards used in card filters
       data.printedCardList = Object.values(data._carddict).filter((card) => !card.digital && !card.isToken);
+      data.printedCardIndex = buildCardSearchIndex(data.printedCardList);
     })
     .then(() => winston.info('Finished loading carddb.'));
 }
@@ -146,6 +149,7 @@ function unloadCardDb() {
     }
   }
   delete data.printedCardList;
+  delete data.printedCardIndex;
 }
 
 function reasonableCard(card) {
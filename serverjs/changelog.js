@@ -0,0 +1,321 @@
+const Cube = require('../models/cube');
+const CubeChangelog = require('../models/cubeChangelog');
+const util = require('./util');
+const { addCardHtml, removeCardHtml, replaceCardHtml } = require('./cubefn');
+
+// Fields that are compared to decide whether an edit actually changed a card.
+const CARD_FIELDS = [
+  'cardID',
+  'status',
+  'finish',
+  'cmc',
+  'type_line',
+  'colors',
+  'tags',
+  'notes',
+  'imgUrl',
+  'imgBackUrl',
+  'rarity',
+  'colorCategory',
+];
+
+const toPlainCard = (card) => {
+  if (!card) return null;
+  const plain = typeof card.toObject === 'function' ? card.toObject() : { ...card };
+  delete plain.details;
+  return plain;
+};
+
+function cardsDiffer(a, b) {
+  return CARD_FIELDS.some((field) => {
+    if (Array.isArray(a[field]) || Array.isArray(b[field])) {
+      return !util.arraysEqual(a[field] || [], b[field] || []);
+    }
+    return (a[field] ?? null) !== (b[field] ?? null);
+  });
+}
+
+const addCard = (index, card) => ({ action: 'add', index, newCard: toPlainCard(card) });
+
+const removeCard = (index, card) => ({ action: 'remove', index, oldCard: toPlainCard(card) });
+
+const replaceCard = (index, oldCard, newCard) => ({
+  action: 'replace',
+  index,
+  oldCard: toPlainCard(oldCard),
+  newCard: toPlainCard(newCard),
+});
+
+const editCard = (index, oldCard, newCard) => ({
+  action: 'edit',
+  index,
+  oldCard: toPlainCard(oldCard),
+  newCard: toPlainCard(newCard),
+});
+
+// Builds an edit if both cards are the same Magic card and a replace otherwise.
+function updateCard(index, oldCard, newCard, carddb) {
+  const oldName = carddb.cardFromId(oldCard.cardID).name;
+  const newName = carddb.cardFromId(newCard.cardID).name;
+  return oldName === newName ? editCard(index, oldCard, newCard) : replaceCard(index, oldCard, newCard);
+}
+
+function checkCard(cards, index, expected) {
+  const card = cards[index];
+  if (!card || !expected || card.cardID !== expected.cardID) {
+    throw new Error(`Cube history is out of sync at index ${index}.`);
+  }
+}
+
+// Applies the changes in order to the given card list, mutating and returning it.
+function applyChanges(cards, changes) {
+  for (const { action, index, oldCard, newCard } of changes) {
+    switch (action) {
+      case 'add':
+        if (index > cards.length) {
+          throw new Error(`Cube history is out of sync at index ${index}.`);
+        }
+        cards.splice(index, 0, newCard);
+        break;
+      case 'remove':
+        checkCard(cards, index, oldCard);
+        cards.splice(index, 1);
+        break;
+      case 'replace':
+      case 'edit':
+        checkCard(cards, index, oldCard);
+        // Mongoose arrays only notice element changes made through set().
+        if (typeof cards.set === 'function') {
+          cards.set(index, newCard);
+        } else {
+          cards[index] = newCard;
+        }
+        break;
+      default:
+        throw new Error(`Unknown change action: ${action}`);
+    }
+  }
+  return cards;
+}
+
+// The changes that undo the given changes when applied after them.
+function invertChanges(changes) {
+  return changes
+    .slice()
+    .reverse()
+    .map(({ action, index, oldCard, newCard }) => {
+      switch (action) {
+        case 'add':
+          return removeCard(index, newCard);
+        case 'remove':
+          return addCard(index, oldCard);
+        default:
+          return { action, index, oldCard: toPlainCard(newCard), newCard: toPlainCard(oldCard) };
+      }
+    });
+}
+
+function revertChanges(cards, changes) {
+  return applyChanges(cards, invertChanges(changes));
+}
+
+// Computes the changes that turn oldCards into newCards, matching cards up by name. Cards in both lists
+// keep their position and are edited if their fields differ, the rest are removed or appended.
+function replaceCardList(oldCards, newCards, carddb) {
+  const nameOf = (card) => carddb.cardFromId(card.cardID).name;
+  const unmatched = {};
+  for (const card of newCards) {
+    const name = nameOf(card);
+    if (!unmatched[name]) unmatched[name] = [];
+    unmatched[name].push(card);
+  }
+
+  const edits = [];
+  const removes = [];
+  oldCards.forEach((card, index) => {
+    const matches = unmatched[nameOf(card)];
+    if (matches && matches.length > 0) {
+      const match = matches.shift();
+      const oldCard = toPlainCard(card);
+      const newCard = { ...toPlainCard(match), _id: oldCard._id, addedTmsp: oldCard.addedTmsp };
+      if (cardsDiffer(oldCard, newCard)) {
+        edits.push(editCard(index, oldCard, newCard));
+      }
+    } else {
+      removes.push(removeCard(index, card));
+    }
+  });
+
+  const remaining = oldCards.length - removes.length;
+  const adds = newCards
+    .filter((card) => unmatched[nameOf(card)].includes(card))
+    .map((card, index) => addCard(remaining + index, card));
+
+  // Edits use the original indices, so they go before the removes, which go from the end backwards.
+  return [...edits, ...removes.reverse(), ...adds];
+}
+
+function changesToHtml(changes, carddb) {
+  return changes
+    .map(({ action, oldCard, newCard }) => {
+      switch (action) {
+        case 'add':
+          return addCardHtml(carddb.cardFromId(newCard.cardID));
+        case 'remove':
+          return removeCardHtml(carddb.cardFromId(oldCard.cardID));
+        case 'replace':
+          return replaceCardHtml(carddb.cardFromId(oldCard.cardID), carddb.cardFromId(newCard.cardID));
+        default:
+          return '';
+      }
+    })
+    .join('');
+}
+
+function summarizeChanges(changes) {
+  const summary = { add: 0, remove: 0, replace: 0, edit: 0 };
+  for (const { action } of changes) {
+    summary[action] += 1;
+  }
+  return summary;
+}
+
+// Compares two card lists by card ID, returning the cards only found in one of them.
+function diffCardLists(cardsA, cardsB) {
+  const counts = {};
+  for (const card of cardsB) {
+    counts[card.cardID] = (counts[card.cardID] || 0) + 1;
+  }
+  const removed = [];
+  for (const card of cardsA) {
+    if (counts[card.cardID] > 0) {
+      counts[card.cardID] -= 1;
+    } else {
+      removed.push(card);
+    }
+  }
+  const added = [];
+  for (let i = cardsB.length - 1; i >= 0; i--) {
+    if (counts[cardsB[i].cardID] > 0) {
+      counts[cardsB[i].cardID] -= 1;
+      added.unshift(cardsB[i]);
+    }
+  }
+  return { added, removed };
+}
+
+async function latestChangelogVersion(cubeId) {
+  const latest = await CubeChangelog.findOne({ cube: cubeId }, 'version').sort({ version: -1 }).lean();
+  return latest ? latest.version : 0;
+}
+
+async function getCubeVersion(cubeId) {
+  const cube = await Cube.findById(cubeId, 'changelogVersion').lean();
+  return cube?.changelogVersion ?? latestChangelogVersion(cubeId);
+}
+
+// The version the cube was at when it was loaded, or its current version when it was loaded without it. Cubes from
+// before the version was kept on the cube start at their latest recorded version.
+async function loadedVersion(cube) {
+  if (cube.changelogVersion !== undefined && cube.changelogVersion !== null) {
+    return cube.changelogVersion;
+  }
+  const latest = await latestChangelogVersion(cube._id);
+  await Cube.updateOne({ _id: cube._id, changelogVersion: { $exists: false } }, { $set: { changelogVersion: latest } });
+  return getCubeVersion(cube._id);
+}
+
+async function recordChanges(cube, user, changes, version, blogpost, revertedTo) {
+  const changelog = new CubeChangelog();
+  changelog.cube = cube._id;
+  changelog.version = version;
+  changelog.date = Date.now();
+  changelog.owner = user._id;
+  changelog.username = user.username;
+  changelog.blog = blogpost ? blogpost._id : null;
+  changelog.revertedTo = revertedTo;
+  changelog.changes = changes.map(({ action, index, oldCard, newCard }) => ({
+    action,
+    index,
+    oldCard: toPlainCard(oldCard) || undefined,
+    newCard: toPlainCard(newCard) || undefined,
+  }));
+  return changelog.save();
+}
+
+// Saves the cube with the changes as its next version. The version is claimed in the same write as the cards, and only
+// if the cube is still at the version it was loaded at, so versions are in the order the cube was saved in and each
+// one's changes apply to the cards the one before left. When someone else saved the cube first nothing is saved, and
+// the error thrown has conflict set. Nothing is recorded for an empty change list.
+async function saveCubeChanges(cube, user, changes, blogpost = null, revertedTo = null) {
+  if (changes.length === 0) {
+    return cube.save();
+  }
+  const version = await loadedVersion(cube);
+  cube.$where = { changelogVersion: version };
+  cube.changelogVersion = version + 1;
+  try {
+    await cube.save();
+  } catch (err) {
+    if (['DocumentNotFoundError', 'VersionError'].includes(err.name)) {
+      const conflict = new Error('Someone else changed this cube while you were editing it. Please try again.');
+      conflict.conflict = true;
+      throw conflict;
+    }
+    throw err;
+  } finally {
+    cube.$where = undefined;
+  }
+  return recordChanges(cube, user, changes, version + 1, blogpost, revertedTo);
+}
+
+// The changelogs that took the cube from the given version to the one its cards are at, newest first. The cards at
+// older versions can't be rebuilt when any of them is missing, so that throws.
+async function changelogsSince(cube, version) {
+  const current = cube.changelogVersion ?? (await getCubeVersion(cube._id));
+  const later = await CubeChangelog.find({ cube: cube._id, version: { $gt: version, $lte: current } })
+    .sort({ version: -1 })
+    .lean();
+  if (later.length !== Math.max(current - version, 0)) {
+    throw new Error(
+      `Part of this cube's history is missing, so it can't be shown or restored as of version ${version}.`,
+    );
+  }
+  return later;
+}
+
+// Reconstructs the cube's card list as it was at the given version.
+async function cardsAtVersion(cube, version) {
+  const later = await changelogsSince(cube, version);
+  const cards = cube.cards.map(toPlainCard);
+  for (const changelog of later) {
+    revertChanges(cards, changelog.changes);
+  }
+  return cards;
+}
+
+// The changes that take the cube from its current cards back to the given version.
+async function changesToRevert(cube, version) {
+  const later = await changelogsSince(cube, version);
+  return later.map(({ changes }) => invertChanges(changes)).flat();
+}
+
+module.exports = {
+  addCard,
+  removeCard,
+  replaceCard,
+  editCard,
+  updateCard,
+  cardsDiffer,
+  applyChanges,
+  invertChanges,
+  revertChanges,
+  replaceCardList,
+  changesToHtml,
+  summarizeChanges,
+  diffCardLists,
+  getCubeVersion,
+  saveCubeChanges,
+  cardsAtVersion,
+  changesToRevert,
+};
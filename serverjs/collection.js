@@ -0,0 +1,210 @@
+const Papa = require('papaparse');
+
+const carddb = require('./cards.js');
+const { findCard, parseList } = require('./importers.js');
+const { applyChanges, editCard } = require('./changelog.js');
+const CollectionCard = require('../models/collectionCard');
+
+// Conditions as other sites and collection apps abbreviate them.
+const CONDITION_ALIASES = {
+  m: 'Near Mint',
+  mint: 'Near Mint',
+  nm: 'Near Mint',
+  'nm-m': 'Near Mint',
+  'nm/m': 'Near Mint',
+  lp: 'Lightly Played',
+  sp: 'Lightly Played',
+  ex: 'Lightly Played',
+  excellent: 'Lightly Played',
+  'slightly played': 'Lightly Played',
+  mp: 'Moderately Played',
+  pl: 'Moderately Played',
+  gd: 'Moderately Played',
+  good: 'Moderately Played',
+  played: 'Moderately Played',
+  hp: 'Heavily Played',
+  d: 'Damaged',
+  dmg: 'Damaged',
+  po: 'Damaged',
+  poor: 'Damaged',
+};
+
+const parseCondition = (value) => {
+  const lower = (value || '').trim().toLowerCase();
+  return (
+    CONDITION_ALIASES[lower] ||
+    CollectionCard.CONDITIONS.find((condition) => condition.toLowerCase() === lower) ||
+    'Near Mint'
+  );
+};
+
+// Finish columns are either a finish, or a foil column holding foil or true for foil cards.
+const parseFinish = (value) => {
+  const lower = (value || '').trim().toLowerCase();
+  if (lower === 'etched') {
+    return 'Etched';
+  }
+  return ['foil', 'true', 'yes'].includes(lower) ? 'Foil' : 'Non-foil';
+};
+
+const isCollectionCsv = (text) => {
+  const [firstLine] = text.match(/[^\r\n]+/) || [''];
+  return firstLine
+    .toLowerCase()
+    .split(',')
+    .map((column) => column.trim().replace(/^"|"$/g, ''))
+    .includes('name');
+};
+
+function readCsvRows(text) {
+  const { data } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  return data
+    .map((row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key.trim().toLowerCase(), value])))
+    .map((row) => ({
+      name: row.name,
+      set: row.set || row['set code'] || row.edition,
+      collectorNumber: row['collector number'] || row['card number'],
+      finish: parseFinish(row.finish || row.foil || row.printing),
+      condition: parseCondition(row.condition),
+      quantity: parseInt(row.quantity || row.count || row.qty || '1', 10),
+    }));
+}
+
+const entryKey = ({ cardID, finish, condition }) => `${cardID}:${finish}:${condition}`;
+
+// Reads a collection from a CSV file with at least a name column, or from a list of cards in any of the formats
+// parseList reads. Copies of the same printing in the same finish and condition are counted together. Names that can't
+// be found, or whose quantity isn't a number, are returned in missing.
+function parseCollection(text, cards, defaultPrinting = 'recent') {
+  const trimmed = text.trim();
+  const rows = isCollectionCsv(trimmed)
+    ? readCsvRows(trimmed)
+    : parseList(trimmed).map(({ name, set, collectorNumber, finish, count }) => ({
+        name,
+        set,
+        collectorNumber,
+        finish: finish || 'Non-foil',
+        condition: 'Near Mint',
+        quantity: count,
+      }));
+
+  const entries = new Map();
+  const missing = [];
+  for (const row of rows) {
+    if (row.name && Number.isNaN(row.quantity)) {
+      missing.push(row.name);
+    } else if (row.name && row.quantity > 0) {
+      const details = findCard(cards, row, defaultPrinting);
+      if (details && !details.error) {
+        const entry = { cardID: details._id, finish: row.finish, condition: row.condition, quantity: row.quantity };
+        const existing = entries.get(entryKey(entry));
+        if (existing) {
+          existing.quantity += entry.quantity;
+        } else {
+          entries.set(entryKey(entry), entry);
+        }
+      } else {
+        missing.push(row.name);
+      }
+    }
+  }
+  return { entries: [...entries.values()], missing };
+}
+
+// Cards take a copy of the same printing and finish if one is left, then a copy of the same printing, then a copy of
+// any printing.
+const ALLOCATION_PASSES = [
+  (entry, card) => entry.cardID === card.cardID && entry.finish === (card.finish || 'Non-foil'),
+  (entry, card) => entry.cardID === card.cardID,
+  () => true,
+];
+
+// Assigns the owned copies in entries to the cards of each cube, in the order the cubes are given, so a copy is only
+// ever used once. Returns the copy each card of each cube got, or null, keyed by cube id, and a report of how each
+// owned card is used: which cubes use each copy, and how many more copies the cubes need when they're over-allocated.
+function allocateCollection(entries, cubes, cards) {
+  const nameOf = (cardID) => cards.cardFromId(cardID).name_lower;
+
+  const report = new Map();
+  const remaining = new Map();
+  for (const entry of entries) {
+    const details = cards.cardFromId(entry.cardID);
+    if (!report.has(details.name_lower)) {
+      report.set(details.name_lower, { name: details.name, owned: 0, used: 0, copies: [], missing: {} });
+    }
+    const item = report.get(details.name_lower);
+    item.owned += entry.quantity;
+    item.copies.push({ entry, cubes: {} });
+    remaining.set(entry, entry.quantity);
+  }
+
+  const assignments = {};
+  for (const cube of cubes) {
+    const cubeId = `${cube._id}`;
+    const assigned = cube.cards.map(() => null);
+    for (const pass of ALLOCATION_PASSES) {
+      cube.cards.forEach((card, index) => {
+        const item = report.get(nameOf(card.cardID));
+        if (assigned[index] || !item) {
+          return;
+        }
+        const copy = item.copies.find(({ entry }) => remaining.get(entry) > 0 && pass(entry, card));
+        if (copy) {
+          assigned[index] = copy.entry;
+          remaining.set(copy.entry, remaining.get(copy.entry) - 1);
+          copy.cubes[cubeId] = (copy.cubes[cubeId] || 0) + 1;
+          item.used += 1;
+        }
+      });
+    }
+    cube.cards.forEach((card, index) => {
+      const item = report.get(nameOf(card.cardID));
+      if (!assigned[index] && item) {
+        item.missing[cubeId] = (item.missing[cubeId] || 0) + 1;
+        item.used += 1;
+      }
+    });
+    assignments[cubeId] = assigned;
+  }
+
+  return { assignments, report: [...report.values()] };
+}
+
+// Manually set Premium Owned, Ordered and Proxied statuses are kept when they still apply.
+const deriveStatus = (status, copy) => {
+  if (copy) {
+    return status === 'Premium Owned' ? status : 'Owned';
+  }
+  return ['Ordered', 'Proxied'].includes(status) ? status : 'Not Owned';
+};
+
+// Sets the status of every card in a cube that takes its statuses from its owner's collection, returning the edits
+// made so they can be recorded with the rest of the cube's changes. Each cube is compared to the whole collection, so
+// cards shared by several cubes are Owned in all of them.
+async function applyCollectionStatuses(cube) {
+  if (!cube.statusFromCollection) {
+    return [];
+  }
+  const entries = await CollectionCard.find({ owner: cube.owner }).lean();
+  const { assignments } = allocateCollection(entries, [cube], carddb);
+  const assigned = assignments[`${cube._id}`];
+  const changes = cube.cards.flatMap((card, index) => {
+    const status = deriveStatus(card.status, assigned[index]);
+    if (card.status === status) {
+      return [];
+    }
+    const plain = typeof card.toObject === 'function' ? card.toObject() : card;
+    return [editCard(index, card, { ...plain, status })];
+  });
+  applyChanges(cube.cards, changes);
+  return changes;
+}
+
+module.exports = {
+  parseCondition,
+  parseFinish,
+  parseCollection,
+  allocateCollection,
+  deriveStatus,
+  applyCollectionStatuses,
+};
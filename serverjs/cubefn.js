@@ -1,5 +1,4 @@
 const NodeCache = require('node-cache');
-const Papa = require('papaparse');
 const sanitizeHtml = require('sanitize-html');
 
 const { winston } = require('./cloudwatch');
@@ -8,8 +7,10 @@ const Cube = require('../models/cube');
 const CubeAnalytic = require('../models/cubeAnalytic');
 
 const util = require('./util');
+const { CSVtoCards } = require('./importers');
 const { getDraftFormat, createDraft } = require('../dist/drafting/createdraft');
 const { getDrafterState } = require('../dist/drafting/draftutil');
+const { COLLABORATOR_ROLES, hasCubePermission } = require('../dist/utils/CubePermissions');
 
 const ELO_BASE = 1200;
 const ELO_SPEED = 1 / 128;
@@ -89,6 +90,23 @@ function cardIsLegal(card, legality) {
   return card.legalities[legality] === 'legal' || card.legalities[legality] === 'banned';
 }
 
+// A color is part of the mix when at least this share of the cube's cards are that color.
+const COLOR_MIX_SHARE = 0.1;
+
+function cubeColorMix(cube, carddb) {
+  const counts = { W: 0, U: 0, B: 0, R: 0, G: 0 };
+  for (const card of cube.cards) {
+    for (const color of card.colors ?? carddb.cardFromId(card.cardID).color_identity ?? []) {
+      if (counts[color] !== undefined) {
+        counts[color] += 1;
+      }
+    }
+  }
+  return Object.keys(counts).filter(
+    (color) => counts[color] > 0 && counts[color] >= cube.cards.length * COLOR_MIX_SHARE,
+  );
+}
+
 function setCubeType(cube, carddb) {
   let pauper = true;
   let peasant = false;
@@ -139,6 +157,7 @@ function setCubeType(cube, carddb) {
   cube.keywords = Array.from(new Set(cube.keywords));
 
   cube.card_count = cube.cards.length;
+  cube.colors = cubeColorMix(cube, carddb);
 
   return cube;
 }
@@ -228,74 +247,6 @@ async function getCardElo(cardname, round) {
   return round ? Math.round(rating.elo) : rating.elo;
 }
 
-function CSVtoCards(csvString, carddb) {
-  let { data } = Papa.parse(csvString.trim(), { header: true });
-  data = data.map((row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value])));
-  const missing = [];
-  const newCards = [];
-  const newMaybe = [];
-  for (const {
-    name,
-    cmc,
-    type,
-    color,
-    set,
-    'collector number': collectorNumber,
-    status,
-    finish,
-    maybeboard,
-    'image url': imageUrl,
-    'image back url': imageBackUrl,
-    tags,
-    notes,
-    'Color Category': colorCategory,
-    rarity,
-  } of data) {
-    if (name) {
-      const upperSet = (set || '').toUpperCase();
-      const card = {
-        name,
-        cmc: cmc || null,
-        type_line: (type || null) && type.replace('-', '—'),
-        colors: (color || null) && color.split('').filter((c) => [...'WUBRG'].includes(c)),
-        addedTmsp: new Date(),
-        collector_number: collectorNumber && collectorNumber.toUpperCase(),
-        status: status || 'Not Owned',
-        finish: finish || 'Non-foil',
-        imgUrl: (imageUrl || null) && imageUrl !== 'undefined' ? imageUrl : null,
-        imgBackUrl: (imageBackUrl || null) && imageBackUrl !== 'undefined' ? imageBackUrl : null,
-        tags: tags && tags.length > 0 ? tags.split(';').map((t) => t.trim()) : [],
-        notes: notes || '',
-        rarity: rarity || null,
-        colorCategory: colorCategory || null,
-      };
-
-      const potentialIds = carddb.allVersions(card);
-      if (potentialIds && potentialIds.length > 0) {
-        // First, try to find the correct set.
-        const matchingSetAndNumber = potentialIds.find((id) => {
-          const dbCard = carddb.cardFromId(id);
-          return (
-            upperSet === dbCard.set.toUpperCase() && card.collector_number === dbCard.collector_number.toUpperCase()
-          );
-        });
-        const matchingSet = potentialIds.find((id) => carddb.cardFromId(id).set.toUpperCase() === upperSet);
-        const nonPromo = potentialIds.find(carddb.reasonableId);
-        const first = potentialIds[0];
-        card.cardID = matchingSetAndNumber || matchingSet || nonPromo || first;
-        if (typeof maybeboard === 'string' && maybeboard.toLowerCase() === 'true') {
-          newMaybe.push(card);
-        } else {
-          newCards.push(card);
-        }
-      } else {
-        missing.push(card.name);
-      }
-    }
-  }
-  return { newCards, newMaybe, missing };
-}
-
 async function compareCubes(cardsA, cardsB) {
   const inBoth = [];
   const onlyA = cardsA.slice(0);
@@ -343,12 +294,42 @@ const newCardAnalytics = (cardName, elo) => {
     elo,
     mainboards: 0,
     sideboards: 0,
+    matchWins: 0,
+    matchLosses: 0,
+    matchDraws: 0,
   };
 };
 
-const removeDeckCardAnalytics = async (cube, deck, carddb) => {
+const MATCH_ANALYTIC_FIELDS = { win: 'matchWins', loss: 'matchLosses', draw: 'matchDraws' };
+
+// Counts match outcomes, given as [{ seat, outcome }], for every card in the mainboard of each seat. A sign of -1
+// takes back a result that is being corrected.
+const updateMatchAnalytics = async (cubeId, deck, results, carddb, sign = 1) => {
+  let analytic = await CubeAnalytic.findOne({ cube: cubeId });
+
+  if (!analytic) {
+    analytic = new CubeAnalytic();
+    analytic.cube = cubeId;
+  }
+
+  for (const { seat, outcome } of results) {
+    const field = MATCH_ANALYTIC_FIELDS[outcome];
+    for (const ci of deck.seats[seat].deck.flat(2)) {
+      const cardName = carddb.cardFromId(deck.cards[ci].cardID).name.toLowerCase();
+      let pickIndex = analytic.cards.findIndex((card) => card.cardName === cardName);
+      if (pickIndex === -1) {
+        pickIndex = analytic.cards.push(newCardAnalytics(cardName, 1200)) - 1;
+      }
+      analytic.cards[pickIndex][field] = Math.max(0, (analytic.cards[pickIndex][field] || 0) + sign);
+    }
+  }
+
+  await analytic.save();
+};
+
+const removeDeckCardAnalytics = async (cube, deck, carddb, seatIndex = 0) => {
   // we don't want to save deck analytics for decks have not been built
-  if (deck.seats[0].sideboard.flat().length > 0) {
+  if (deck.seats[seatIndex].sideboard.flat().length > 0) {
     let analytic = await CubeAnalytic.findOne({ cube: cube._id });
 
     if (!analytic) {
@@ -356,7 +337,7 @@ const removeDeckCardAnalytics = async (cube, deck, carddb) => {
       analytic.cube = cube._id;
     }
 
-    for (const row of deck.seats[0].deck) {
+    for (const row of deck.seats[seatIndex].deck) {
       for (const col of row) {
         for (const ci of col) {
           let pickIndex = analytic.cards.findIndex(
@@ -371,7 +352,7 @@ const removeDeckCardAnalytics = async (cube, deck, carddb) => {
         }
       }
     }
-    for (const row of deck.seats[0].sideboard) {
+    for (const row of deck.seats[seatIndex].sideboard) {
       for (const col of row) {
         for (const ci of col) {
           let pickIndex = analytic.cards.findIndex(
@@ -391,9 +372,9 @@ const removeDeckCardAnalytics = async (cube, deck, carddb) => {
   }
 };
 
-const addDeckCardAnalytics = async (cube, deck, carddb) => {
+const addDeckCardAnalytics = async (cube, deck, carddb, seatIndex = 0) => {
   // we don't want to save deck analytics for decks have not been built
-  if (deck.seats[0].sideboard.flat().length > 0) {
+  if (deck.seats[seatIndex].sideboard.flat().length > 0) {
     let analytic = await CubeAnalytic.findOne({ cube: cube._id });
 
     if (!analytic) {
@@ -401,7 +382,7 @@ const addDeckCardAnalytics = async (cube, deck, carddb) => {
       analytic.cube = cube._id;
     }
 
-    for (const row of deck.seats[0].deck) {
+    for (const row of deck.seats[seatIndex].deck) {
       for (const col of row) {
         for (const ci of col) {
           let pickIndex = analytic.cards.findIndex(
@@ -416,7 +397,7 @@ const addDeckCardAnalytics = async (cube, deck, carddb) => {
         }
       }
     }
-    for (const row of deck.seats[0].sideboard) {
+    for (const row of deck.seats[seatIndex].sideboard) {
       for (const col of row) {
         for (const ci of col) {
           let pickIndex = analytic.cards.findIndex(
@@ -700,11 +681,30 @@ function cachePromise(key, callback) {
 function isCubeViewable(cube, user) {
   if (!cube) return false;
   if (!cube.isPrivate) return true;
-  return user && (user._id.equals(cube.owner) || util.isAdmin(user));
+  return user && (hasCubePermission(cube, user._id, 'view') || util.isAdmin(user));
+}
+
+// Query conditions matching the cubes isCubeViewable lets the user see, so they can be counted and paged in the database.
+function viewableCubeQuery(user) {
+  if (user && util.isAdmin(user)) {
+    return {};
+  }
+  const conditions = [{ isPrivate: { $ne: true } }];
+  if (user) {
+    const roles = Object.keys(COLLABORATOR_ROLES).filter((role) =>
+      COLLABORATOR_ROLES[role].permissions.includes('view'),
+    );
+    conditions.push(
+      { owner: user._id },
+      { collaborators: { $elemMatch: { user: user._id, accepted: true, role: { $in: roles } } } },
+    );
+  }
+  return { $or: conditions };
 }
 
 const methods = {
   setCubeType,
+  cubeColorMix,
   cardsAreEquivalent,
   sanitize(html) {
     return sanitizeHtml(html, {
@@ -765,9 +765,12 @@ const methods = {
   generateSamplepackImage,
   removeDeckCardAnalytics,
   addDeckCardAnalytics,
+  updateMatchAnalytics,
   cachePromise,
   saveDraftAnalytics,
   isCubeViewable,
+  hasCubePermission,
+  viewableCubeQuery,
   ELO_BASE,
   ELO_SPEED,
   CUBE_ELO_SPEED,
@@ -0,0 +1,122 @@
+// Text versions of card lists for the cube and deck downloads. Each format here can be read back by importers.js.
+
+const CSV_HEADER =
+  'Name,CMC,Type,Color,Set,Collector Number,Rarity,Color Category,Status,Finish,Maybeboard,Image URL,Image Back URL,Tags,Notes,MTGO ID';
+
+// How a single card is written in each of the line based formats.
+const CARD_LINES = {
+  plaintext: (details) => details.name,
+  cubecobra: (details) => details.full_name,
+  mtgo: (details) => details.name.replace(' // ', '/'),
+  arena: (details) => `${details.name} (${details.set.toUpperCase()}) ${details.collector_number}`,
+  cockatrice: (details) => details.name,
+  forge: (details) => `${details.name}|${details.set.toUpperCase()}`,
+  xmage: (details) => `[${details.set.toUpperCase()}:${details.collector_number}] ${details.name}`,
+};
+
+// Returns [line, count] pairs for the cards, combining identical lines unless grouped is false.
+function countLines(format, cards, carddb, grouped = true) {
+  const lines = cards.map((card) => CARD_LINES[format](carddb.cardFromId(card.cardID)));
+  if (!grouped) {
+    return lines.map((line) => [line, 1]);
+  }
+  const counts = new Map();
+  for (const line of lines) {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  }
+  return [...counts.entries()];
+}
+
+const writeLines = (lines) => lines.map((line) => `${line}\r\n`).join('');
+
+const writeCounts = (counts, prefix = '', suffix = '') =>
+  writeLines(counts.map(([line, count]) => `${prefix}${count}${suffix} ${line}`));
+
+// Writes main and side, each a list of cards with a cardID, in the given format. Deck files combine copies of the
+// same card, cube files may ask for every card on its own line.
+function exportList(format, { name = null, main = [], side = [], grouped = true }, carddb) {
+  const mainCounts = countLines(format, main, carddb, grouped);
+  const sideCounts = countLines(format, side, carddb, grouped);
+  switch (format) {
+    case 'plaintext':
+    case 'cubecobra':
+      return writeLines(mainCounts.flatMap(([line, count]) => new Array(count).fill(line)));
+    case 'mtgo':
+      return `${writeCounts(mainCounts)}\r\n\r\n${writeCounts(sideCounts)}`;
+    case 'arena':
+      return `Deck\r\n${writeCounts(mainCounts)}\r\nSideboard\r\n${writeCounts(sideCounts)}`;
+    case 'cockatrice':
+      return `${writeCounts(mainCounts, '', 'x')}Sideboard\r\n${writeCounts(sideCounts, '', 'x')}`;
+    case 'forge': {
+      const sideText = side.length > 0 ? `[Side]\r\n${writeCounts(sideCounts)}` : '';
+      return `[metadata]\r\nName=${name}\r\n[Main]\r\n${writeCounts(mainCounts)}${sideText}`;
+    }
+    case 'xmage': {
+      const nameText = name ? `NAME:${name}\r\n` : '';
+      return `${nameText}${writeCounts(mainCounts)}${writeCounts(sideCounts, 'SB: ')}`;
+    }
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+function csvRow(card, maybe, carddb) {
+  const details = carddb.cardFromId(card.cardID);
+  const typeLine = card.type_line || details.type;
+  const imgUrl = card.imgUrl ? `"${card.imgUrl}"` : '';
+  const imgBackUrl = card.imgBackUrl ? `"${card.imgBackUrl}"` : '';
+  return [
+    `"${details.name.replace(/"/, '""')}"`,
+    card.cmc,
+    `"${typeLine.replace('—', '-')}"`,
+    (card.colors || []).join(''),
+    `"${details.set}"`,
+    `"${details.collector_number}"`,
+    card.rarity && card.rarity !== 'undefined' ? card.rarity : details.rarity,
+    card.colorCategory || details.colorcategory,
+    card.status,
+    card.finish,
+    maybe,
+    imgUrl,
+    imgBackUrl,
+    `"${card.tags.join(';')}"`,
+    `"${card.notes || ''}"`,
+    details.mtgo_id || '',
+  ].join(',');
+}
+
+function exportCsv(cards, maybe, carddb) {
+  return writeLines([
+    CSV_HEADER,
+    ...cards.map((card) => csvRow(card, false, carddb)),
+    ...(maybe || []).map((card) => csvRow(card, true, carddb)),
+  ]);
+}
+
+const COLLECTION_CSV_HEADER = 'Name,Set,Collector Number,Finish,Condition,Quantity';
+
+// The collection download, which collection.js reads back.
+function exportCollectionCsv(entries, carddb) {
+  return writeLines([
+    COLLECTION_CSV_HEADER,
+    ...entries.map((entry) => {
+      const details = carddb.cardFromId(entry.cardID);
+      return [
+        `"${details.name.replace(/"/g, '""')}"`,
+        `"${details.set}"`,
+        `"${details.collector_number}"`,
+        entry.finish,
+        entry.condition,
+        entry.quantity,
+      ].join(',');
+    }),
+  ]);
+}
+
+module.exports = {
+  CSV_HEADER,
+  COLLECTION_CSV_HEADER,
+  exportList,
+  exportCsv,
+  exportCollectionCsv,
+};
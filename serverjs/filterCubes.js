@@ -5,8 +5,7 @@ const unquote = (str) => {
   return str;
 };
 
-// operators are [:, =, <, >, <=, >=]
-const operators = ['!=', ':', '=', '<', '>', '>=', '<='];
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 const operatorToMongoose = {
   '!=': '$ne',
@@ -18,25 +17,29 @@ const operatorToMongoose = {
   '<=': '$lte',
 };
 
+const EQUALITY = [':', '='];
+const COMPARISON = Object.keys(operatorToMongoose);
+
+// Longer operators come first so >= isn't read as >.
+const TOKEN_REGEX = /^([a-z_]+)(!=|>=|<=|:|=|<|>)(.*)$/i;
+
 const parseToken = (token) => {
-  for (const operator of operators) {
-    const index = token.indexOf(operator);
-    const quoteIndex = token.indexOf('"');
-    if (index !== -1) {
-      if (quoteIndex !== -1 && index > quoteIndex) {
-        return { keywords: unquote(token) };
-      }
-      const res = {};
-      res[token.substring(0, index)] = {
-        operator: token.substring(index, index + operator.length),
-        token: unquote(token.substring(index + operator.length, token.length)),
-      };
-      return res;
-    }
+  const match = token.charAt(0) === '"' ? null : token.match(TOKEN_REGEX);
+  if (!match) {
+    return { keywords: unquote(token) };
   }
-  return { keywords: unquote(token) };
+  const [, specifier, operator, value] = match;
+  return { specifier: specifier.toLowerCase(), operator, token: unquote(value), text: token };
 };
 
+// Split the same way as the keywords setCubeType stores.
+const toKeywords = (text) =>
+  text
+    .replace(/[^\w\s]/gi, '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((keyword) => keyword.length > 0);
+
 const nameToOracle = (name, carddb) => {
   try {
     return carddb.cardFromId(carddb.getIdsFromName(name)[0]).oracle_id;
@@ -45,144 +48,236 @@ const nameToOracle = (name, carddb) => {
   }
 };
 
-const OPERATIONS = ['owner', 'keywords', 'decks', 'cards', 'category', 'card', 'tag'];
-
-async function makeFilter(filterText, carddb) {
-  const query = {};
-  const tokens = filterText.match(/(?:[^\s"]+|"[^"]*")+/g).map(parseToken);
-
-  // handle generic keywords
-  const keywords = tokens
-    .map((token) => token.keywords)
-    .filter((c) => c)
-    .map((token) => token.toLowerCase());
-
-  if (keywords.length > 1) {
-    query.keywords = { $all: keywords };
-  } else if (keywords.length === 1) {
-    [query.keywords] = keywords;
-  }
+const numberCondition =
+  (field) =>
+  ({ operator, token }) => {
+    const value = parseFloat(token);
+    if (Number.isNaN(value)) {
+      return { warning: `"${token}" is not a number` };
+    }
+    return { [field]: { [operatorToMongoose[operator]]: value } };
+  };
 
-  // handle tags
-  const tags = tokens.map((token) => token.tag).filter((c) => c);
+const COLOR_ORDER = 'WUBRG';
 
-  if (tags.length > 1) {
-    query.tags = { $all: tags.map((token) => token.token.toLowerCase()) };
+// Cubes store the colors that make up a good part of their cards, see setCubeType.
+const colorCondition = ({ operator, token }) => {
+  const letters = token.toUpperCase();
+  let colors;
+  if (['C', 'COLORLESS'].includes(letters)) {
+    colors = [];
+  } else if ([...letters].every((letter) => COLOR_ORDER.includes(letter))) {
+    colors = [...new Set(letters)];
+  } else {
+    return { warning: `"${token}" is not a color combination, use letters from WUBRG or C for colorless` };
   }
-  if (tags.length === 1) {
-    if (tags[0].operator === ':' || tags[0].operator === '=') {
-      query.tags = tags[0].token.toLowerCase();
-    } else {
-      return { error: 'Invalid `tag` operator, please use = or :' };
-    }
+
+  const equal = colors.length > 0 ? { colors: { $all: colors, $size: colors.length } } : { colors: { $size: 0 } };
+  const superset = colors.length > 0 ? { colors: { $all: colors } } : {};
+  const subset = { colors: { $not: { $elemMatch: { $nin: colors } } } };
+  switch (operator) {
+    case ':':
+    case '>=':
+      return superset;
+    case '=':
+      return equal;
+    case '<=':
+      return subset;
+    case '!=':
+      return { $nor: [equal] };
+    case '<':
+      return { $and: [subset, { $nor: [equal] }] };
+    default:
+      return { $and: [superset, { $nor: [equal] }] };
   }
+};
 
-  // handles by user
-  const owners = tokens.map((token) => token.owner).filter((c) => c);
+const DAY = 24 * 60 * 60 * 1000;
+const AGE_UNITS = { d: DAY, w: 7 * DAY, m: 30 * DAY, y: 365 * DAY };
 
-  if (owners.length > 1) {
-    return { error: 'Only one `owner` tag allowed' };
-  }
-  if (owners.length === 1) {
-    if (owners[0].operator === ':' || owners[0].operator === '=') {
-      query.owner_name = owners[0].token;
-    } else {
-      return { error: 'Invalid `owner` operator, please use = or :' };
-    }
+// updated<30d means updated less than 30 days ago, which is a date after 30 days ago.
+const updatedCondition = ({ operator, token }) => {
+  const match = token.toLowerCase().match(/^(\d+(?:\.\d+)?)([dwmy]?)$/);
+  if (!match) {
+    return { warning: `"${token}" is not an age, use a number of days, weeks, months or years like 30d, 2w, 6m or 1y` };
   }
+  const date = new Date(Date.now() - parseFloat(match[1]) * AGE_UNITS[match[2] || 'd']);
+  const flipped = { '<': '$gt', '<=': '$gte', '>': '$lt', '>=': '$lte' };
+  return { date_updated: { [flipped[operator]]: date } };
+};
 
-  // handles number of decks
-  const decks = tokens.map((token) => token.decks).filter((c) => c);
-  if (decks.length > 1) {
-    if (!query.$and) {
-      query.$and = [];
-    }
-    query.$and.push(
-      ...decks.map((deck) => {
-        const res = {};
-        res.numDecks = {};
-        res.numDecks[operatorToMongoose[deck.operator]] = deck.token;
-        return res;
-      }),
-    );
-  }
-  if (decks.length === 1) {
-    query.numDecks = {};
-    query.numDecks[operatorToMongoose[decks[0].operator]] = decks[0].token;
+const followersCondition = ({ operator, token }) => {
+  const value = parseInt(token, 10);
+  if (Number.isNaN(value)) {
+    return { warning: `"${token}" is not a number` };
   }
+  return { $expr: { [operatorToMongoose[operator]]: [{ $size: { $ifNull: ['$users_following', []] } }, value] } };
+};
 
-  // handles number of cards
-  const cards = tokens.map((token) => token.cards).filter((c) => c);
-  if (cards.length > 1) {
-    if (!query.$and) {
-      query.$and = [];
-    }
-    query.$and.push(
-      ...cards.map((deck) => {
-        const res = {};
-        res.card_count = {};
-        res.card_count[operatorToMongoose[deck.operator]] = deck.token;
-        return res;
-      }),
-    );
-  }
-  if (cards.length === 1) {
-    query.card_count = {};
-    query.card_count[operatorToMongoose[cards[0].operator]] = cards[0].token;
-  }
+const formatCondition = ({ operator, token }) => {
+  const pattern = operator === '=' ? `^${escapeRegex(token)}$` : escapeRegex(token);
+  return { 'draft_formats.title': { $regex: pattern, $options: 'i' } };
+};
 
-  // handles by category
-  const categories = tokens.map((token) => token.category).filter((c) => c);
+const HAS_VALUES = {
+  blog: () => ({ hasBlog: true }),
+};
 
-  if (categories.length > 1) {
-    query.categories = { $all: categories.map((token) => token.token.toLowerCase()) };
-  }
-  if (categories.length === 1) {
-    if (categories[0].operator === ':' || categories[0].operator === '=') {
-      query.categories = categories[0].token.toLowerCase();
-    } else {
-      return { error: 'Invalid `category` operator, please use = or :' };
-    }
+const hasCondition = ({ token }) => {
+  const condition = HAS_VALUES[token.toLowerCase()];
+  if (!condition) {
+    return { warning: `"has:${token}" isn't supported, use ${Object.keys(HAS_VALUES).join(', ')}` };
   }
+  return condition();
+};
 
-  // handles cubes that include a card
-  const cardNames = tokens.map((token) => token.card).filter((c) => c);
+// Each specifier lists the operators it accepts and turns a term into a query condition, a { warning } to ignore the
+// term with, or an { error } that fails the whole search.
+const SPECIFIERS = {
+  owner: { operators: EQUALITY, condition: ({ token }) => ({ owner_name: token }) },
+  tag: { operators: EQUALITY, condition: ({ token }) => ({ tags: token.toLowerCase() }) },
+  category: { operators: EQUALITY, condition: ({ token }) => ({ categories: token.toLowerCase() }) },
+  card: {
+    operators: EQUALITY,
+    condition: ({ token }, carddb) => {
+      const oracle = nameToOracle(token.toLowerCase(), carddb);
+      return oracle.error ? oracle : { cardOracles: oracle };
+    },
+  },
+  decks: { operators: COMPARISON, condition: numberCondition('numDecks') },
+  cards: { operators: COMPARISON, condition: numberCondition('card_count') },
+  size: { operators: COMPARISON, condition: numberCondition('card_count') },
+  color: { operators: COMPARISON, condition: colorCondition },
+  updated: { operators: ['<', '<=', '>', '>='], condition: updatedCondition },
+  followers: { operators: COMPARISON, condition: followersCondition },
+  format: { operators: EQUALITY, condition: formatCondition },
+  has: { operators: [':'], condition: hasCondition },
+};
 
-  const oracles = [];
+const VALID_SPECIFIERS = `Valid specifiers are ${Object.keys(SPECIFIERS).join(', ')}.`;
 
-  for (const name of cardNames) {
-    if (name.operator === ':' || name.operator === '=') {
-      const oracle = nameToOracle(name.token.toLowerCase(), carddb);
-      if (oracle.error) {
-        return oracle;
-      }
-      oracles.push(oracle);
-    } else {
-      return { error: 'Invalid `card` operator, please use = or :' };
-    }
-  }
+// Only one owner can match, so more than one is always a mistake.
+const SINGLE_SPECIFIERS = ['owner'];
 
-  if (oracles.length > 1) {
-    query.cardOracles = { $all: oracles };
-  }
-  if (oracles.length === 1) {
-    [query.cardOracles] = oracles;
-  }
+// Returns the mongoose query for filterText along with its keywords, which relevanceStages orders by, and warnings about
+// any terms that were ignored. Returns { error } instead when the search can't be run.
+async function makeFilter(filterText, carddb) {
+  const tokens = (filterText.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(parseToken);
+  const conditions = [];
+  const warnings = [];
 
-  // handle warnings
+  const keywords = tokens.filter((token) => token.keywords).flatMap((token) => toKeywords(token.keywords));
+  for (const keyword of keywords) {
+    conditions.push({ keywords: keyword });
+  }
 
-  const invalid = tokens.map((token) => Object.keys(token)[0]).filter((c) => c && !OPERATIONS.includes(c));
+  for (const single of SINGLE_SPECIFIERS) {
+    if (tokens.filter((token) => token.specifier === single).length > 1) {
+      return { error: `Only one \`${single}\` specifier allowed` };
+    }
+  }
 
-  for (const warning of invalid) {
-    if (!query.warnings) {
-      query.warnings = [];
+  for (const token of tokens.filter((term) => term.specifier)) {
+    const specifier = SPECIFIERS[token.specifier];
+    if (!specifier) {
+      warnings.push(`Specifier "${token.specifier}" is invalid, "${token.text}" will be ignored. ${VALID_SPECIFIERS}`);
+    } else if (!specifier.operators.includes(token.operator)) {
+      const valid = specifier.operators.join(' ');
+      warnings.push(`Invalid \`${token.specifier}\` operator in "${token.text}", will be ignored. Please use ${valid}`);
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      const condition = await specifier.condition(token, carddb);
+      if (condition.error) {
+        return condition;
+      }
+      if (condition.warning) {
+        warnings.push(`${condition.warning}, "${token.text}" will be ignored.`);
+      } else {
+        conditions.push(condition);
+      }
     }
-    query.warnings.push(`Specifier "${warning}" is invalid, will be ignored.`);
   }
 
-  return query;
+  return { query: conditions.length > 0 ? { $and: conditions } : {}, keywords, warnings };
 }
 
+const RELEVANCE_WEIGHTS = {
+  name: 3,
+  tag: 1,
+  followers: 1,
+  recentDrafts: 2,
+};
+const RECENT_DRAFT_DAYS = 30;
+// Recent drafts are only counted for this many cubes past the ones asked for, so they can only reorder cubes that
+// already match about as well.
+const RELEVANCE_EXTRA_CANDIDATES = 100;
+
+// Aggregation stages that order cubes by how well they match the keywords, favouring matches in the name over ones only
+// in the tags, then by how many followers they have and how much they have been drafted recently. Recent drafts are only
+// counted for the best matches, so the stages should be followed by a skip and limit that stay within the first count.
+const relevanceStages = (keywords, count) => {
+  const since = new Date(Date.now() - RECENT_DRAFT_DAYS * DAY);
+  const keywordScores = keywords.flatMap((keyword) => [
+    {
+      $cond: [
+        { $regexMatch: { input: '$name', regex: escapeRegex(keyword), options: 'i' } },
+        RELEVANCE_WEIGHTS.name,
+        0,
+      ],
+    },
+    { $cond: [{ $in: [keyword, { $ifNull: ['$tags', []] }] }, RELEVANCE_WEIGHTS.tag, 0] },
+  ]);
+
+  return [
+    {
+      $addFields: {
+        relevance: {
+          $add: [
+            ...keywordScores,
+            {
+              $multiply: [
+                RELEVANCE_WEIGHTS.followers,
+                { $ln: { $add: [1, { $size: { $ifNull: ['$users_following', []] } }] } },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $sort: { relevance: -1, date_updated: -1 } },
+    { $limit: count + RELEVANCE_EXTRA_CANDIDATES },
+    {
+      $lookup: {
+        from: 'decks',
+        let: { cube: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$cube', '$$cube'] }, { $gte: ['$date', since] }] } } },
+          { $count: 'count' },
+        ],
+        as: 'recentDrafts',
+      },
+    },
+    {
+      $addFields: {
+        relevance: {
+          $add: [
+            '$relevance',
+            {
+              $multiply: [
+                RELEVANCE_WEIGHTS.recentDrafts,
+                { $ln: { $add: [1, { $ifNull: [{ $arrayElemAt: ['$recentDrafts.count', 0] }, 0] }] } },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $sort: { relevance: -1, date_updated: -1 } },
+  ];
+};
+
 module.exports = {
   makeFilter,
+  relevanceStages,
+  SPECIFIERS,
 };
@@ -0,0 +1,144 @@
+const Cube = require('../models/cube');
+const { cardsAtVersion, getCubeVersion } = require('./changelog');
+const { isCubeViewable } = require('./cubefn');
+
+// Forks are cubes cloned from another cube, their upstream, that keep track of the version of it they're up to date
+// with. Cards are compared by name throughout, so a cube using another printing of a card still has the card.
+
+const countNames = (cards, carddb) => {
+  const counts = {};
+  for (const card of cards) {
+    const { name } = carddb.cardFromId(card.cardID);
+    counts[name] = (counts[name] ?? 0) + 1;
+  }
+  return counts;
+};
+
+// How many cards the fork has that the upstream doesn't, and the other way around.
+function countDivergence(upstreamCards, forkCards, carddb) {
+  const upstreamCounts = countNames(upstreamCards, carddb);
+  const forkCounts = countNames(forkCards, carddb);
+  const count = (countsA, countsB) =>
+    Object.entries(countsA).reduce((acc, [name, number]) => acc + Math.max(0, number - (countsB[name] ?? 0)), 0);
+  return { added: count(forkCounts, upstreamCounts), removed: count(upstreamCounts, forkCounts) };
+}
+
+// The changes made to the upstream since the base version the fork hasn't made itself or chosen to ignore. Added
+// entries have the upstream's card and its index in the upstream, removed entries the fork's card and its index in
+// the fork, so removing it from the fork takes it out.
+function pendingUpstreamChanges(baseCards, upstreamCards, forkCards, ignored, carddb) {
+  const baseCounts = countNames(baseCards, carddb);
+  const upstreamCounts = countNames(upstreamCards, carddb);
+  const forkCounts = countNames(forkCards, carddb);
+  const ignoredCounts = {};
+  for (const { action, cardID } of ignored) {
+    const key = `${action}:${carddb.cardFromId(cardID).name}`;
+    ignoredCounts[key] = (ignoredCounts[key] ?? 0) + 1;
+  }
+
+  const pending = (action, name, changed, missing) =>
+    Math.max(0, Math.min(changed, missing) - (ignoredCounts[`${action}:${name}`] ?? 0));
+  const added = [];
+  const removed = [];
+  for (const name of new Set([...Object.keys(baseCounts), ...Object.keys(upstreamCounts)])) {
+    const base = baseCounts[name] ?? 0;
+    const upstream = upstreamCounts[name] ?? 0;
+    const fork = forkCounts[name] ?? 0;
+    const numAdded = pending('add', name, upstream - base, upstream - fork);
+    const numRemoved = pending('remove', name, base - upstream, fork - upstream);
+    if (numAdded > 0) {
+      const copies = upstreamCards
+        .map((card, index) => ({ action: 'add', card, index }))
+        .filter(({ card }) => carddb.cardFromId(card.cardID).name === name);
+      added.push(...copies.slice(-numAdded));
+    }
+    if (numRemoved > 0) {
+      const copies = forkCards
+        .map((card, index) => ({ action: 'remove', card, index }))
+        .filter(({ card }) => carddb.cardFromId(card.cardID).name === name);
+      removed.push(...copies.slice(-numRemoved));
+    }
+  }
+  return {
+    added: added.sort((a, b) => a.index - b.index),
+    removed: removed.sort((a, b) => a.index - b.index),
+  };
+}
+
+// The upstream of a fork and the changes the fork hasn't dealt with yet. Null if the cube isn't a fork or the user
+// can't see its upstream anymore.
+async function getUpstreamChanges(cube, user, carddb) {
+  if (!cube.upstream || !cube.upstream.cube) {
+    return null;
+  }
+  const upstream = await Cube.findById(
+    cube.upstream.cube,
+    '_id shortID name owner owner_name isPrivate collaborators cards changelogVersion',
+  ).lean();
+  if (!isCubeViewable(upstream, user)) {
+    return null;
+  }
+  const [baseCards, upstreamVersion] = await Promise.all([
+    cardsAtVersion(upstream, cube.upstream.version),
+    getCubeVersion(upstream._id),
+  ]);
+  const { added, removed } = pendingUpstreamChanges(
+    baseCards,
+    upstream.cards,
+    cube.cards,
+    cube.upstream.ignored ?? [],
+    carddb,
+  );
+  return {
+    upstream: {
+      _id: upstream._id,
+      shortID: upstream.shortID,
+      name: upstream.name,
+      owner_name: upstream.owner_name,
+    },
+    version: cube.upstream.version,
+    upstreamVersion,
+    added,
+    removed,
+  };
+}
+
+// Only the most recently updated forks have their divergence counted, so big cubes with many forks stay quick to load.
+const MAX_FORKS_SHOWN = 10;
+
+// The most recently updated forks of the cube the user can see, with how far each has diverged from the cube, and how
+// many forks the user can see in total.
+async function getForks(cube, user, carddb) {
+  const [forks, version] = await Promise.all([
+    Cube.find(
+      { 'upstream.cube': cube._id },
+      '_id shortID name owner owner_name isPrivate collaborators upstream.version',
+    )
+      .sort({ date_updated: -1 })
+      .lean(),
+    getCubeVersion(cube._id),
+  ]);
+  const viewable = forks.filter((fork) => isCubeViewable(fork, user));
+  const shown = viewable.slice(0, MAX_FORKS_SHOWN);
+  const forkCards = await Cube.find({ _id: { $in: shown.map((fork) => fork._id) } }, '_id cards.cardID').lean();
+  const cardsById = Object.fromEntries(forkCards.map((fork) => [fork._id.toString(), fork.cards]));
+  return {
+    total: viewable.length,
+    forks: shown.map((fork) => ({
+      _id: fork._id,
+      shortID: fork.shortID,
+      name: fork.name,
+      owner: fork.owner,
+      owner_name: fork.owner_name,
+      versionsBehind: version - fork.upstream.version,
+      ...countDivergence(cube.cards, cardsById[fork._id.toString()] ?? [], carddb),
+    })),
+  };
+}
+
+module.exports = {
+  countDivergence,
+  pendingUpstreamChanges,
+  getUpstreamChanges,
+  getForks,
+};
@@ -0,0 +1,292 @@
+const Papa = require('papaparse');
+
+const util = require('./util.js');
+
+// Section headers used by the Arena, Cockatrice and Forge exports.
+const MAIN_HEADERS = ['deck', 'main', '[main]', 'mainboard', 'commander', 'companion'];
+const SIDE_HEADERS = ['sideboard', 'sideboard:', 'side', '[side]', '[sideboard]', 'maybeboard', 'maybeboard:'];
+
+const decodeXml = (value) =>
+  value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+const xmlAttributes = (tag) =>
+  Object.fromEntries(
+    [...tag.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key.toLowerCase(), decodeXml(value)]),
+  );
+
+function CSVtoCards(csvString, carddb) {
+  let { data } = Papa.parse(csvString.trim(), { header: true });
+  data = data.map((row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value])));
+  const missing = [];
+  const newCards = [];
+  const newMaybe = [];
+  for (const {
+    name,
+    cmc,
+    type,
+    color,
+    set,
+    'collector number': collectorNumber,
+    status,
+    finish,
+    maybeboard,
+    'image url': imageUrl,
+    'image back url': imageBackUrl,
+    tags,
+    notes,
+    'color category': colorCategory,
+    rarity,
+  } of data) {
+    if (name) {
+      const upperSet = (set || '').toUpperCase();
+      const card = {
+        name,
+        cmc: cmc || null,
+        type_line: (type || null) && type.replace('-', '—'),
+        colors: (color || null) && color.split('').filter((c) => [...'WUBRG'].includes(c)),
+        addedTmsp: new Date(),
+        collector_number: collectorNumber && collectorNumber.toUpperCase(),
+        status: status || 'Not Owned',
+        finish: finish || 'Non-foil',
+        imgUrl: (imageUrl || null) && imageUrl !== 'undefined' ? imageUrl : null,
+        imgBackUrl: (imageBackUrl || null) && imageBackUrl !== 'undefined' ? imageBackUrl : null,
+        tags: tags && tags.length > 0 ? tags.split(';').map((t) => t.trim()) : [],
+        notes: notes || '',
+        rarity: rarity || null,
+        colorCategory: colorCategory || null,
+      };
+
+      const potentialIds = carddb.allVersions(card);
+      if (potentialIds && potentialIds.length > 0) {
+        // First, try to find the correct set.
+        const matchingSetAndNumber = potentialIds.find((id) => {
+          const dbCard = carddb.cardFromId(id);
+          return (
+            upperSet === dbCard.set.toUpperCase() && card.collector_number === dbCard.collector_number.toUpperCase()
+          );
+        });
+        const matchingSet = potentialIds.find((id) => carddb.cardFromId(id).set.toUpperCase() === upperSet);
+        const nonPromo = potentialIds.find(carddb.reasonableId);
+        const first = potentialIds[0];
+        card.cardID = matchingSetAndNumber || matchingSet || nonPromo || first;
+        if (typeof maybeboard === 'string' && maybeboard.toLowerCase() === 'true') {
+          newMaybe.push(card);
+        } else {
+          newCards.push(card);
+        }
+      } else {
+        missing.push(card.name);
+      }
+    }
+  }
+  return { newCards, newMaybe, missing };
+}
+
+// Reads the cube JSON download, or a plain array of cards. Only cards with a known cardID are kept.
+function JSONtoCards(jsonString, carddb) {
+  const json = JSON.parse(jsonString);
+  const missing = [];
+  const readCards = (cards) =>
+    (Array.isArray(cards) ? cards : [])
+      .filter((card) => {
+        if (card && card.cardID && !carddb.cardFromId(card.cardID).error) {
+          return true;
+        }
+        missing.push((card && card.details && card.details.name) || (card && card.cardID) || 'Unknown card');
+        return false;
+      })
+      .map(({ _id, details, index, ...card }) => ({
+        ...card,
+        tags: Array.isArray(card.tags) ? card.tags : [],
+        status: card.status || 'Not Owned',
+        finish: card.finish || 'Non-foil',
+      }));
+  const newCards = readCards(Array.isArray(json) ? json : json.cards);
+  const newMaybe = readCards(json.maybe);
+  return { newCards, newMaybe, missing };
+}
+
+// MTGO .dek files list each card as <Cards Quantity="1" Sideboard="false" Name="..." />, Cockatrice .cod files
+// put <card number="1" name="..."/> inside a <zone name="main"> or <zone name="side">.
+function parseXmlList(text) {
+  const entries = [];
+  for (const [tag] of text.matchAll(/<Cards\s[^>]*>/gi)) {
+    const { quantity, sideboard, name } = xmlAttributes(tag);
+    if (name) {
+      entries.push({ name, count: parseInt(quantity, 10) || 1, maybe: sideboard === 'true' });
+    }
+  }
+  for (const [, zone, cards] of text.matchAll(/<zone\s+name="(\w+)"[^>]*>([\s\S]*?)<\/zone>/gi)) {
+    for (const [tag] of cards.matchAll(/<card\s[^>]*>/gi)) {
+      const { number, name } = xmlAttributes(tag);
+      if (name) {
+        entries.push({ name, count: parseInt(number, 10) || 1, maybe: zone.toLowerCase() !== 'main' });
+      }
+    }
+  }
+  return entries;
+}
+
+const FINISH_MARKERS = { F: 'Foil', E: 'Etched' };
+
+// Reads a single card line, without its count, in any of the formats we export. Lines from other sites may end in a
+// *F* or *E* marker for foil and etched cards.
+function parseCardLine(line) {
+  const marker = line.match(/^(.+?)\s+\*([FE])\*$/i);
+  if (marker) {
+    return { ...parseCardLine(marker[1]), finish: FINISH_MARKERS[marker[2].toUpperCase()] };
+  }
+  // XMage: [SET:123] Name
+  let match = line.match(/^\[(\w+):(\S+)\] (.+)$/);
+  if (match) {
+    return { name: match[3], set: match[1], collectorNumber: match[2] };
+  }
+  // Forge: Name|SET, optionally followed by an art index.
+  match = line.match(/^([^|]+)\|(\w+)(?:\|\d+)?$/);
+  if (match) {
+    return { name: match[1], set: match[2] };
+  }
+  // CubeCobra: Name [set-123]
+  match = line.match(/^(.+?) \[(\w+)-(\S+)\]$/);
+  if (match) {
+    return { name: match[1], set: match[2], collectorNumber: match[3] };
+  }
+  // Arena and others: Name (SET) 123
+  match = line.match(/^(.+?) \(([^)(]+)\)(?: (\S+))?$/);
+  if (match) {
+    return { name: match[1], set: match[2], collectorNumber: match[3] };
+  }
+  return { name: line };
+}
+
+// Splits an exported list into entries of { name, count, set, collectorNumber, finish, maybe }, where maybe marks the
+// cards from a sideboard section.
+function parseList(text) {
+  if (text.trim().startsWith('<')) {
+    return parseXmlList(text);
+  }
+
+  const entries = [];
+  let maybe = false;
+  let allCounted = true;
+  let blank = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const lower = line.toLowerCase();
+    if (line.length === 0) {
+      blank = entries.length > 0;
+    } else if (MAIN_HEADERS.includes(lower)) {
+      maybe = false;
+    } else if (SIDE_HEADERS.includes(lower)) {
+      maybe = true;
+    } else if (!lower.startsWith('[metadata]') && !line.match(/^(?:Name=|NAME:|\/\/)/)) {
+      // MTGO text exports only separate the sideboard with blank lines, and every line has a count. Plain lists
+      // may use blank lines for grouping, so only counted lists switch over.
+      if (blank && allCounted) {
+        maybe = true;
+      }
+      blank = false;
+
+      const match = line.match(/^(SB:\s*)?(?:([0-9]+)x?\s+)?(.+)$/i);
+      if (!match[2]) {
+        allCounted = false;
+      }
+      entries.push({
+        ...parseCardLine(match[3].trim()),
+        count: match[2] ? parseInt(match[2], 10) : 1,
+        maybe: maybe || !!match[1],
+      });
+    }
+  }
+  return entries;
+}
+
+function findIds(carddb, name) {
+  const ids = carddb.getIdsFromName(name);
+  if ((!ids || ids.length === 0) && name.match(/[^/]\/[^/]/)) {
+    // MTGO writes split cards as Fire/Ice.
+    return carddb.getIdsFromName(name.replace(/\s*\/\s*/, ' // '));
+  }
+  return ids;
+}
+
+function findCard(carddb, { name, set, collectorNumber }, defaultPrinting) {
+  const potentialIds = findIds(carddb, name);
+  if (!potentialIds || potentialIds.length === 0) {
+    return null;
+  }
+  if (set) {
+    const lowerSet = set.toLowerCase();
+    const lowerNumber = collectorNumber && collectorNumber.toLowerCase();
+    const matchingItem = potentialIds.find((id) => {
+      const card = carddb.cardFromId(id);
+      return (
+        card.set.toLowerCase() === lowerSet && (!lowerNumber || card.collector_number.toLowerCase() === lowerNumber)
+      );
+    });
+    if (matchingItem) {
+      return carddb.cardFromId(matchingItem);
+    }
+  }
+  return carddb.getMostReasonable(carddb.cardFromId(potentialIds[0]).name, defaultPrinting);
+}
+
+const isCsv = (text) => {
+  const [firstLine] = text.match(/[^\r\n]+/) || [''];
+  return (firstLine.match(/,/g) || []).length > 3;
+};
+
+// Turns any of our downloads into cards, in the same shape as CSVtoCards. Lines that don't name a printing use the
+// matching card from preferred when there is one, and defaultPrinting otherwise.
+function listToCards(text, carddb, { defaultPrinting = 'recent', defaultStatus = 'Owned', preferred = [] } = {}) {
+  const trimmed = text.trim();
+  // Forge files also start with a bracket, for their [metadata] section.
+  if (trimmed.match(/^(?:\{|\[\s*[{\]])/)) {
+    return JSONtoCards(trimmed, carddb);
+  }
+  if (isCsv(trimmed)) {
+    return CSVtoCards(trimmed, carddb);
+  }
+
+  const newCards = [];
+  const newMaybe = [];
+  const missing = [];
+  for (const entry of parseList(trimmed)) {
+    const details = findCard(carddb, entry, defaultPrinting);
+    if (details && !details.error) {
+      const match = entry.set
+        ? null
+        : preferred.find((card) => carddb.cardFromId(card.cardID).name_lower === details.name_lower);
+      for (let i = 0; i < entry.count; i++) {
+        const card = match
+          ? {
+              ...util.newCard(carddb.cardFromId(match.cardID), [], defaultStatus),
+              finish: match.finish,
+              imgUrl: match.imgUrl,
+              imgBackUrl: match.imgBackUrl,
+            }
+          : util.newCard(details, [], defaultStatus);
+        if (entry.finish) {
+          card.finish = entry.finish;
+        }
+        (entry.maybe ? newMaybe : newCards).push(card);
+      }
+    } else {
+      missing.push(entry.name);
+    }
+  }
+  return { newCards, newMaybe, missing };
+}
+
+module.exports = {
+  CSVtoCards,
+  JSONtoCards,
+  parseList,
+  findCard,
+  listToCards,
+};
@@ -0,0 +1,415 @@
+// Live drafts let several people draft a cube together. Players join seats from a lobby, and packs are passed
+// between them over socket.io. Every step of the draft waits for all human players to pick, with bots filling
+// the remaining seats. The draft is kept in memory while it runs and saved after every step, so players can
+// reconnect at any time.
+const { Server } = require('socket.io');
+
+const { winston } = require('./cloudwatch');
+const carddb = require('./cards');
+const util = require('./util');
+const { isCubeViewable, saveDraftAnalytics, addDeckCardAnalytics } = require('./cubefn');
+const cardutil = require('../dist/utils/Card.js');
+const frontutil = require('../dist/utils/Util.js');
+const { getDrafterState, applyPicks } = require('../dist/drafting/draftutil.js');
+const { calculateBotPick } = require('../dist/drafting/draftbots.js');
+const { buildDeck } = require('../dist/drafting/deckutil.js');
+
+const Cube = require('../models/cube');
+const CubeAnalytic = require('../models/cubeAnalytic');
+const Deck = require('../models/deck');
+const Draft = require('../models/draft');
+const User = require('../models/user');
+
+const rooms = new Map();
+
+// Drafts in progress stay loaded when everyone disconnects, so the pick timer keeps running for players who dropped,
+// until nobody has been connected for this long.
+const IDLE_TIMEOUT = 30 * 60 * 1000;
+
+let io = null;
+
+const getDrafterStates = (draft) => draft.seats.map((_, seatNumber) => getDrafterState({ draft, seatNumber }));
+
+const humanSeats = (draft) =>
+  draft.seats.map((seat, seatIndex) => (seat.bot ? null : seatIndex)).filter((seatIndex) => seatIndex !== null);
+
+const findSeat = (draft, user) =>
+  user ? draft.seats.findIndex((seat) => !seat.bot && seat.userid && user._id.equals(seat.userid)) : -1;
+
+// The state sent to clients after every change. Card details are only sent once, when joining.
+const roomState = (room) => ({
+  status: room.draft.live.status,
+  host: room.draft.live.host,
+  timer: room.draft.live.timer,
+  deck: room.draft.live.deck,
+  seats: room.draft.seats,
+  waiting: humanSeats(room.draft).filter((seatIndex) => !Object.prototype.hasOwnProperty.call(room.pending, seatIndex)),
+  deadline: room.deadline,
+  online: [...new Set(room.sockets.values())],
+});
+
+const broadcast = (room) => io.to(room.id).emit('update', roomState(room));
+
+async function loadRoom(draftId) {
+  const draft = await Draft.findById(draftId).lean();
+  if (!draft || !draft.live || !draft.live.status) {
+    return null;
+  }
+  const cube = await Cube.findById(draft.cube, 'name owner isPrivate collaborators useCubeElo').lean();
+
+  let eloOverrideDict = {};
+  if (cube && cube.useCubeElo) {
+    const analytic = await CubeAnalytic.findOne({ cube: cube._id });
+    if (analytic) {
+      eloOverrideDict = util.fromEntries(analytic.cards.map((c) => [c.cardName, c.elo]));
+    }
+  }
+  for (const card of draft.cards) {
+    card.details = carddb.cardFromId(card.cardID);
+    if (eloOverrideDict[card.details.name_lower]) {
+      card.details.elo = eloOverrideDict[card.details.name_lower];
+    }
+  }
+
+  return {
+    id: `${draft._id}`,
+    draft,
+    cube,
+    pending: {},
+    deadline: null,
+    timeout: null,
+    idleTimeout: null,
+    unloaded: false,
+    sockets: new Map(),
+    queue: Promise.resolve(),
+  };
+}
+
+// Rooms are created lazily and shared by everyone connected to the same draft.
+function getRoom(draftId) {
+  if (!rooms.has(draftId)) {
+    const loading = loadRoom(draftId).then((room) => {
+      if (!room) {
+        rooms.delete(draftId);
+      }
+      return room;
+    });
+    rooms.set(draftId, loading);
+  }
+  return rooms.get(draftId);
+}
+
+// Events for a room are handled one at a time so picks can't interleave with the step they complete.
+function enqueue(room, fn) {
+  room.queue = room.queue.then(fn).catch((err) => winston.error(err));
+  return room.queue;
+}
+
+const saveRoom = (room) =>
+  Draft.updateOne(
+    { _id: room.draft._id },
+    {
+      seats: room.draft.seats,
+      live: room.draft.live,
+    },
+  );
+
+async function createDeck(room) {
+  const { draft } = room;
+  const cube = await Cube.findById(draft.cube);
+
+  const deck = new Deck();
+  deck.cube = draft.cube;
+  deck.cubeOwner = cube.owner;
+  deck.date = Date.now();
+  deck.draft = draft._id;
+  deck.cubename = cube.name;
+  deck.seats = [];
+  deck.owner = draft.live.host;
+  deck.cards = draft.cards.map(({ details: _, ...card }) => card);
+  deck.basics = draft.basics;
+
+  let botNumber = 1;
+  for (const seat of draft.seats) {
+    // eslint-disable-next-line no-await-in-loop
+    const { sideboard, deck: newDeck, colors } = await buildDeck(draft.cards, seat.pickorder, draft.basics);
+    const colorString =
+      colors.length === 0
+        ? 'C'
+        : cardutil.COLOR_COMBINATIONS.find((comb) => frontutil.arraysAreEqualSets(comb, colors)).join('');
+    if (seat.bot) {
+      deck.seats.push({
+        bot: seat.bot,
+        userid: seat.userid,
+        username: `Bot ${botNumber}: ${colorString}`,
+        name: `Draft of ${cube.name}`,
+        description: '',
+        deck: newDeck,
+        sideboard,
+      });
+      botNumber += 1;
+    } else {
+      deck.seats.push({
+        bot: seat.bot,
+        userid: seat.userid,
+        username: `${seat.name}: ${colorString}`,
+        name: `Draft of ${cube.name}`,
+        description: '',
+        deck: seat.drafted,
+        sideboard: seat.sideboard ? seat.sideboard : [],
+      });
+    }
+  }
+
+  const [host, cubeOwner] = await Promise.all([User.findById(draft.live.host), User.findById(cube.owner)]);
+  if (host && cubeOwner && !cube.disableNotifications) {
+    await util.addNotification(
+      cubeOwner,
+      host,
+      `/cube/deck/${deck._id}`,
+      `${host.username} drafted your cube with friends: ${cube.name}`,
+      'deck',
+      cube._id,
+    );
+  }
+
+  cube.numDecks += 1;
+  await addDeckCardAnalytics(cube, deck, carddb);
+  await Promise.all([cube.save(), deck.save()]);
+  return deck;
+}
+
+async function finishDraft(room) {
+  const deck = await createDeck(room);
+  room.draft.live.status = 'finished';
+  room.draft.live.deck = deck._id;
+  await saveRoom(room);
+  for (const seatIndex of humanSeats(room.draft)) {
+    // eslint-disable-next-line no-await-in-loop
+    await saveDraftAnalytics(room.draft, seatIndex, carddb);
+  }
+}
+
+function clearTimer(room) {
+  if (room.timeout) {
+    clearTimeout(room.timeout);
+  }
+  room.timeout = null;
+  room.deadline = null;
+}
+
+function clearIdleTimer(room) {
+  if (room.idleTimeout) {
+    clearTimeout(room.idleTimeout);
+  }
+  room.idleTimeout = null;
+}
+
+// The next player to join loads the draft again from what was last saved.
+function unloadRoom(room) {
+  clearTimer(room);
+  clearIdleTimer(room);
+  room.unloaded = true;
+  rooms.delete(room.id);
+}
+
+// Applies steps for as long as every human player has made their choice, then waits for the rest.
+async function advance(room) {
+  if (room.draft.live.status !== 'drafting') {
+    return;
+  }
+  for (;;) {
+    const drafterStates = getDrafterStates(room.draft);
+    const [{ numPacks, packNum, step }] = drafterStates;
+    if (packNum >= numPacks) {
+      clearTimer(room);
+      // eslint-disable-next-line no-await-in-loop
+      await finishDraft(room);
+      break;
+    }
+
+    const { action } = step;
+    const trash = !!action.match(/trash/);
+    const humans = humanSeats(room.draft);
+    const random = !!action.match(/random/);
+    if (!random && !humans.every((seatIndex) => Object.prototype.hasOwnProperty.call(room.pending, seatIndex))) {
+      if (room.draft.live.timer > 0 && !room.timeout) {
+        room.deadline = Date.now() + room.draft.live.timer * 1000;
+        room.timeout = setTimeout(
+          () =>
+            enqueue(room, async () => {
+              room.timeout = null;
+              // Players who ran out of time get the pick a bot would have made for them.
+              getDrafterStates(room.draft).forEach((drafterState, seatIndex) => {
+                if (
+                  !room.draft.seats[seatIndex].bot &&
+                  !Object.prototype.hasOwnProperty.call(room.pending, seatIndex)
+                ) {
+                  room.pending[seatIndex] = calculateBotPick(drafterState, trash);
+                }
+              });
+              await advance(room);
+              broadcast(room);
+            }),
+          room.draft.live.timer * 1000,
+        );
+      }
+      break;
+    }
+
+    const picks = drafterStates.map(({ cardsInPack }, seatIndex) => {
+      if (random) {
+        return cardsInPack[Math.floor(Math.random() * cardsInPack.length)];
+      }
+      if (room.draft.seats[seatIndex].bot) {
+        return calculateBotPick(drafterStates[seatIndex], trash);
+      }
+      return room.pending[seatIndex];
+    });
+    room.draft = applyPicks(room.draft, action, picks);
+    room.pending = {};
+    clearTimer(room);
+    // eslint-disable-next-line no-await-in-loop
+    await saveRoom(room);
+  }
+}
+
+const handlers = {
+  // Takes the first open seat for the user.
+  sit: async (room, user) => {
+    if (!user || room.draft.live.status !== 'lobby' || findSeat(room.draft, user) >= 0) {
+      return;
+    }
+    const seatIndex = room.draft.seats.findIndex((seat) => seat.bot && !seat.userid);
+    if (seatIndex < 0) {
+      throw new Error('All seats in this draft are taken.');
+    }
+    room.draft.seats[seatIndex] = { ...room.draft.seats[seatIndex], bot: false, userid: user._id, name: user.username };
+    await saveRoom(room);
+  },
+  leave: async (room, user) => {
+    const seatIndex = findSeat(room.draft, user);
+    if (room.draft.live.status !== 'lobby' || seatIndex < 0 || user._id.equals(room.draft.live.host)) {
+      return;
+    }
+    room.draft.seats[seatIndex] = { ...room.draft.seats[seatIndex], bot: true, userid: null, name: `Bot ${seatIndex}` };
+    await saveRoom(room);
+  },
+  start: async (room, user) => {
+    if (!user || !user._id.equals(room.draft.live.host) || room.draft.live.status !== 'lobby') {
+      return;
+    }
+    room.draft.live.status = 'drafting';
+    await saveRoom(room);
+    await advance(room);
+  },
+  pick: async (room, user, cardIndex) => {
+    const seatIndex = findSeat(room.draft, user);
+    if (room.draft.live.status !== 'drafting' || seatIndex < 0) {
+      return;
+    }
+    const { cardsInPack } = getDrafterState({ draft: room.draft, seatNumber: seatIndex });
+    if (!cardsInPack.includes(cardIndex)) {
+      throw new Error('That card is not in your pack.');
+    }
+    room.pending[seatIndex] = cardIndex;
+    await advance(room);
+  },
+};
+
+function onConnection(socket) {
+  const { user } = socket.request;
+  let room = null;
+
+  socket.on('join', async (draftId) => {
+    try {
+      if (room || typeof draftId !== 'string' || !draftId.match(/^[0-9a-fA-F]{24}$/)) {
+        return;
+      }
+      let joined = await getRoom(draftId);
+      if (joined && joined.unloaded) {
+        joined = await getRoom(draftId);
+      }
+      if (!joined || !isCubeViewable(joined.cube, user)) {
+        socket.emit('failed', 'Draft not found');
+        return;
+      }
+      room = joined;
+      clearIdleTimer(room);
+      room.sockets.set(socket.id, user ? `${user._id}` : null);
+      socket.join(room.id);
+      socket.emit('draft', {
+        ...roomState(room),
+        cards: room.draft.cards,
+        basics: room.draft.basics,
+        initial_state: room.draft.initial_state,
+        seatNumber: findSeat(room.draft, user),
+      });
+      // A restarted server has no timer running for a draft in progress yet.
+      await enqueue(room, () => advance(room));
+      broadcast(room);
+    } catch (err) {
+      winston.error(err);
+      socket.emit('failed', 'Unable to join draft');
+    }
+  });
+
+  Object.entries(handlers).forEach(([event, handler]) => {
+    socket.on(event, (...args) => {
+      if (!room) {
+        return;
+      }
+      enqueue(room, async () => {
+        try {
+          await handler(room, user, ...args);
+        } catch (err) {
+          socket.emit('failed', err.message);
+        }
+        socket.emit('seat', findSeat(room.draft, user));
+        broadcast(room);
+      });
+    });
+  });
+
+  socket.on('disconnect', () => {
+    if (!room) {
+      return;
+    }
+    room.sockets.delete(socket.id);
+    if (room.sockets.size > 0) {
+      broadcast(room);
+    } else if (room.draft.live.status !== 'drafting') {
+      unloadRoom(room);
+    } else if (!room.idleTimeout) {
+      room.idleTimeout = setTimeout(
+        () =>
+          enqueue(room, async () => {
+            room.idleTimeout = null;
+            if (room.sockets.size === 0 && !room.unloaded) {
+              await saveRoom(room);
+              unloadRoom(room);
+            }
+          }),
+        IDLE_TIMEOUT,
+      );
+    }
+  });
+}
+
+// Attaches the socket server to the http server, sharing the express session so sockets know the logged in user.
+function attach(server, middleware) {
+  io = new Server(server, {
+    cors: {
+      origin: process.env.HOST,
+    },
+  });
+  for (const fn of middleware) {
+    io.use((socket, next) => fn(socket.request, {}, next));
+  }
+  io.on('connection', onConnection);
+  return io;
+}
+
+module.exports = {
+  attach,
+};
@@ -0,0 +1,188 @@
+// Online grid drafts let two people grid draft from their own browsers. Player one shares the draft's link, player two
+// takes the open seat, and their picks are sent over socket.io. Picks are checked against getGridDrafterState so
+// nobody can pick out of turn, and players who aren't connected are notified when it becomes their turn.
+const { winston } = require('./cloudwatch');
+const carddb = require('./cards');
+const util = require('./util');
+const { isCubeViewable } = require('./cubefn');
+const { getGridDrafterState, getGridPicks, applyGridPicks } = require('../dist/drafting/griddraftutils.js');
+
+const Cube = require('../models/cube');
+const GridDraft = require('../models/gridDraft');
+const User = require('../models/user');
+
+const rooms = new Map();
+
+let namespace = null;
+
+const findSeat = (draft, user) =>
+  user ? draft.seats.findIndex((seat) => seat.userid && user._id.equals(seat.userid)) : -1;
+
+const isOnline = (room, seatIndex) => [...room.sockets.values()].includes(`${room.draft.seats[seatIndex].userid}`);
+
+// Only the seats change after the page is loaded.
+const broadcast = (room) => namespace.to(room.id).emit('update', { seats: room.draft.seats });
+
+async function loadRoom(draftId) {
+  const draft = await GridDraft.findById(draftId).lean();
+  if (!draft || draft.draftType !== '2playeronline') {
+    return null;
+  }
+  const cube = await Cube.findById(draft.cube, 'name owner isPrivate collaborators').lean();
+  for (const card of draft.cards) {
+    card.details = carddb.cardFromId(card.cardID);
+  }
+  return {
+    id: `${draft._id}`,
+    draft,
+    cube,
+    sockets: new Map(),
+    queue: Promise.resolve(),
+  };
+}
+
+// Rooms are created lazily and shared by everyone connected to the same draft.
+function getRoom(draftId) {
+  if (!rooms.has(draftId)) {
+    const loading = loadRoom(draftId).then((room) => {
+      if (!room) {
+        rooms.delete(draftId);
+      }
+      return room;
+    });
+    rooms.set(draftId, loading);
+  }
+  return rooms.get(draftId);
+}
+
+// Events for a room are handled one at a time so two picks can't both be made from the same state.
+function enqueue(room, fn) {
+  room.queue = room.queue.then(fn).catch((err) => winston.error(err));
+  return room.queue;
+}
+
+const saveRoom = (room) => GridDraft.updateOne({ _id: room.draft._id }, { seats: room.draft.seats });
+
+// Players who have the draft open can see whose turn it is, so only the others are sent a notification.
+async function notifySeat(room, seatIndex, from, text) {
+  const { userid } = room.draft.seats[seatIndex];
+  if (!userid || isOnline(room, seatIndex)) {
+    return;
+  }
+  const user = await User.findById(userid);
+  if (user) {
+    await util.addNotification(user, from, `/cube/griddraft/${room.id}`, text, 'draft', room.draft.cube);
+  }
+}
+
+const handlers = {
+  // Takes the open second seat for the user.
+  sit: async (room, user) => {
+    const [host, guest] = room.draft.seats;
+    if (!user || findSeat(room.draft, user) >= 0) {
+      return;
+    }
+    if (guest.userid) {
+      throw new Error('Both seats in this grid draft are taken.');
+    }
+    room.draft.seats = [host, { ...guest, userid: user._id, name: user.username }];
+    await saveRoom(room);
+    await notifySeat(room, 0, user, `${user.username} joined your grid draft of ${room.cube.name}`);
+  },
+  pick: async (room, user, positions) => {
+    const seatIndex = findSeat(room.draft, user);
+    if (seatIndex < 0) {
+      return;
+    }
+    if (!room.draft.seats[1].userid) {
+      throw new Error('Waiting for a second player to join.');
+    }
+    const drafterState = getGridDrafterState({ gridDraft: room.draft, seatNumber: seatIndex });
+    if (!drafterState.turn) {
+      throw new Error("It isn't your turn.");
+    }
+    const picks = Array.isArray(positions) ? getGridPicks(drafterState, positions) : null;
+    if (!picks) {
+      throw new Error('Please pick a row or column that still has cards in it.');
+    }
+    room.draft = applyGridPicks(room.draft, seatIndex, picks);
+    await saveRoom(room);
+
+    const opponent = (seatIndex + 1) % 2;
+    const { turn, packNum, numPacks } = getGridDrafterState({ gridDraft: room.draft, seatNumber: opponent });
+    if (turn) {
+      await notifySeat(room, opponent, user, `It's your turn in your grid draft of ${room.cube.name}`);
+    } else if (packNum >= numPacks) {
+      await notifySeat(room, opponent, user, `Your grid draft of ${room.cube.name} is finished`);
+    }
+  },
+};
+
+function onConnection(socket) {
+  const { user } = socket.request;
+  let room = null;
+
+  socket.on('join', async (draftId) => {
+    try {
+      if (room || typeof draftId !== 'string' || !draftId.match(/^[0-9a-fA-F]{24}$/)) {
+        return;
+      }
+      const joined = await getRoom(draftId);
+      if (!joined || !isCubeViewable(joined.cube, user)) {
+        socket.emit('failed', 'Grid draft not found');
+        return;
+      }
+      room = joined;
+      room.sockets.set(socket.id, user ? `${user._id}` : null);
+      socket.join(room.id);
+      socket.emit('seat', findSeat(room.draft, user));
+      broadcast(room);
+    } catch (err) {
+      winston.error(err);
+      socket.emit('failed', 'Unable to join grid draft');
+    }
+  });
+
+  Object.entries(handlers).forEach(([event, handler]) => {
+    socket.on(event, (...args) => {
+      if (!room) {
+        return;
+      }
+      enqueue(room, async () => {
+        try {
+          await handler(room, user, ...args);
+        } catch (err) {
+          socket.emit('failed', err.message);
+        }
+        socket.emit('seat', findSeat(room.draft, user));
+        broadcast(room);
+      });
+    });
+  });
+
+  socket.on('disconnect', () => {
+    if (!room) {
+      return;
+    }
+    room.sockets.delete(socket.id);
+    if (room.sockets.size === 0) {
+      rooms.delete(room.id);
+    } else {
+      broadcast(room);
+    }
+  });
+}
+
+// Adds the /griddraft namespace to the socket server from liveDraft.attach, with the same session middleware.
+function attach(io, middleware) {
+  namespace = io.of('/griddraft');
+  for (const fn of middleware) {
+    namespace.use((socket, next) => fn(socket.request, {}, next));
+  }
+  namespace.on('connection', onConnection);
+  return namespace;
+}
+
+module.exports = {
+  attach,
+};
@@ -0,0 +1,109 @@
+const Blog = require('../models/blog');
+const Comment = require('../models/comment');
+const Cube = require('../models/cube');
+const Deck = require('../models/deck');
+const ModerationAction = require('../models/moderationAction');
+const util = require('./util');
+
+const MS_PER_DAY = 1000 * 3600 * 24;
+
+// Comments from accounts younger than this need approval when they trip the profanity filter.
+const NEW_ACCOUNT_DAYS = 7;
+
+// Threads are only followed this far up looking for the cube they're on.
+const MAX_THREAD_DEPTH = 50;
+
+const isSuspended = (user, now = new Date()) =>
+  !!(user && user.moderation && user.moderation.suspendedUntil && user.moderation.suspendedUntil > now);
+
+const isMuted = (user, now = new Date()) =>
+  !!(user && user.moderation && user.moderation.mutedUntil && user.moderation.mutedUntil > now);
+
+const isNewAccount = (user, now = new Date()) => now - user._id.getTimestamp() < NEW_ACCOUNT_DAYS * MS_PER_DAY;
+
+const needsApproval = (user, content, now = new Date()) => isNewAccount(user, now) && util.hasProfanity(content);
+
+// Whether the user can see the comment. Pending and hidden comments are only shown to their poster and moderators.
+const isCommentVisible = (comment, user, canModerate) =>
+  !['pending', 'hidden'].includes(comment.status) ||
+  canModerate ||
+  !!(user && comment.owner && `${comment.owner}` === `${user._id}`);
+
+// The cube whose blog post or deck the thread is on, or null if it isn't on one. Replies are followed up to the top of
+// the thread.
+async function getThreadCube(parentType, parent) {
+  let type = parentType;
+  let id = parent;
+  for (let depth = 0; type === 'comment' && depth < MAX_THREAD_DEPTH; depth++) {
+    // eslint-disable-next-line no-await-in-loop
+    const comment = await Comment.findById(id, 'parent parentType').lean();
+    if (!comment) {
+      return null;
+    }
+    type = comment.parentType;
+    id = comment.parent;
+  }
+
+  let document = null;
+  if (type === 'blog') {
+    document = await Blog.findById(id, 'cube').lean();
+  } else if (type === 'deck') {
+    document = await Deck.findById(id, 'cube').lean();
+  }
+  if (!document || !document.cube) {
+    return null;
+  }
+  return Cube.findById(document.cube, '_id shortID name owner').lean();
+}
+
+// Admins moderate every comment, cube owners the ones on their cube's blog posts and decks. Role is the one the user
+// moderates the thread with, or null if they can't.
+async function getModerationRole(user, parentType, parent) {
+  if (!user) {
+    return { role: null, cube: null };
+  }
+  const cube = await getThreadCube(parentType, parent);
+  if (util.isAdmin(user)) {
+    return { role: 'admin', cube };
+  }
+  if (cube && `${cube.owner}` === `${user._id}`) {
+    return { role: 'owner', cube };
+  }
+  return { role: null, cube };
+}
+
+// Writes an action to the audit log. Target is the user the action was taken against, if any.
+async function logModeration(
+  actor,
+  role,
+  action,
+  description,
+  { target = null, comment = null, cube = null, reason = '', until = null } = {},
+) {
+  return ModerationAction.create({
+    actor: actor._id,
+    actorName: actor.username,
+    role,
+    action,
+    description,
+    reason,
+    user: target ? target._id : null,
+    userName: target ? target.username : null,
+    comment,
+    cube,
+    until,
+    date: new Date(),
+  });
+}
+
+module.exports = {
+  NEW_ACCOUNT_DAYS,
+  isSuspended,
+  isMuted,
+  isNewAccount,
+  needsApproval,
+  isCommentVisible,
+  getThreadCube,
+  getModerationRole,
+  logModeration,
+};
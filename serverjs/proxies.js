@@ -0,0 +1,129 @@
+const { createCanvas, loadImage } = require('canvas');
+
+const { cardImageFlip, cardImageNormal } = require('../dist/utils/Card.js');
+
+// PDF units are points, 72 to the inch. Cards are printed at their real size of 2.5 by 3.5 inches.
+const POINTS_PER_INCH = 72;
+const CARD_WIDTH = 2.5 * POINTS_PER_INCH;
+const CARD_HEIGHT = 3.5 * POINTS_PER_INCH;
+const COLUMNS = 3;
+const ROWS = 3;
+const CARDS_PER_PAGE = COLUMNS * ROWS;
+
+const PAGE_SIZES = {
+  letter: [8.5 * POINTS_PER_INCH, 11 * POINTS_PER_INCH],
+  a4: [(210 / 25.4) * POINTS_PER_INCH, (297 / 25.4) * POINTS_PER_INCH],
+};
+
+// Cut marks are drawn in the margin around the grid, lined up with the edges of the cards.
+const CUT_MARK_GAP = 4;
+const CUT_MARK_LENGTH = 14;
+
+// Every image is fetched while the request waits, so sheets are kept to 20 pages.
+const MAX_PROXY_FACES = 180;
+
+// The images to print for the cards, in order. Double faced cards get a second proxy for their back face. Custom
+// images set on the cards are used over the default ones.
+const proxyFaces = (cards) =>
+  cards.flatMap((card) => {
+    const front = { name: card.details.name, url: card.imgUrl || cardImageNormal(card) };
+    const back = card.imgBackUrl || cardImageFlip(card);
+    return back ? [front, { name: `${card.details.name} (back)`, url: back }] : [front];
+  });
+
+// Where the cards and cut marks go on a page, centered on the page. Cut marks are [x1, y1, x2, y2] lines.
+function sheetLayout(pageSize = 'letter') {
+  const [width, height] = PAGE_SIZES[pageSize] || PAGE_SIZES.letter;
+  const left = (width - COLUMNS * CARD_WIDTH) / 2;
+  const top = (height - ROWS * CARD_HEIGHT) / 2;
+  const right = left + COLUMNS * CARD_WIDTH;
+  const bottom = top + ROWS * CARD_HEIGHT;
+
+  const slots = [];
+  for (let row = 0; row < ROWS; row++) {
+    for (let column = 0; column < COLUMNS; column++) {
+      slots.push({ x: left + column * CARD_WIDTH, y: top + row * CARD_HEIGHT });
+    }
+  }
+
+  const cutMarks = [];
+  for (let column = 0; column <= COLUMNS; column++) {
+    const x = left + column * CARD_WIDTH;
+    cutMarks.push([x, top - CUT_MARK_GAP - CUT_MARK_LENGTH, x, top - CUT_MARK_GAP]);
+    cutMarks.push([x, bottom + CUT_MARK_GAP, x, bottom + CUT_MARK_GAP + CUT_MARK_LENGTH]);
+  }
+  for (let row = 0; row <= ROWS; row++) {
+    const y = top + row * CARD_HEIGHT;
+    cutMarks.push([left - CUT_MARK_GAP - CUT_MARK_LENGTH, y, left - CUT_MARK_GAP, y]);
+    cutMarks.push([right + CUT_MARK_GAP, y, right + CUT_MARK_GAP + CUT_MARK_LENGTH, y]);
+  }
+
+  return { width, height, slots, cutMarks };
+}
+
+// Cards whose image can't be loaded are printed as an outline with their name, so the sheet still lines up.
+async function drawFace(ctx, face, { x, y }) {
+  try {
+    const image = await loadImage(face.url);
+    ctx.drawImage(image, x, y, CARD_WIDTH, CARD_HEIGHT);
+  } catch (err) {
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, CARD_WIDTH, CARD_HEIGHT);
+    ctx.fillStyle = '#000000';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(face.name, x + 10, y + 20, CARD_WIDTH - 20);
+  }
+}
+
+// Returns the PDF with the faces from proxyFaces laid out in 3x3 grids.
+async function generateProxyPdf(faces, { pageSize = 'letter' } = {}) {
+  if (faces.length === 0) {
+    throw new Error('There are no cards to print.');
+  }
+  if (faces.length > MAX_PROXY_FACES) {
+    throw new Error(`Proxy sheets can have at most ${MAX_PROXY_FACES} cards, try filtering the cards to print.`);
+  }
+
+  const { width, height, slots, cutMarks } = sheetLayout(pageSize);
+  const canvas = createCanvas(width, height, 'pdf');
+  const ctx = canvas.getContext('2d');
+  for (let start = 0; start < faces.length; start += CARDS_PER_PAGE) {
+    if (start > 0) {
+      ctx.addPage(width, height);
+    }
+    const page = faces.slice(start, start + CARDS_PER_PAGE);
+    // Only one page of images is loaded at a time.
+    // eslint-disable-next-line no-await-in-loop
+    await Promise.all(page.map((face, index) => drawFace(ctx, face, slots[index])));
+
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 0.5;
+    for (const [x1, y1, x2, y2] of cutMarks) {
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+    }
+  }
+  return canvas.toBuffer();
+}
+
+// Sends the PDF from generateProxyPdf as a file download.
+const sendProxyPdf = (res, fileName, pdf) => {
+  res.setHeader('Content-disposition', `attachment; filename=${fileName.replace(/\W/g, '')}_proxies.pdf`);
+  res.setHeader('Content-type', 'application/pdf');
+  return res.end(pdf);
+};
+
+module.exports = {
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  CARDS_PER_PAGE,
+  PAGE_SIZES,
+  MAX_PROXY_FACES,
+  proxyFaces,
+  sheetLayout,
+  generateProxyPdf,
+  sendProxyPdf,
+};
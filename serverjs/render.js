@@ -5,6 +5,7 @@ const React = require('react');
 const ReactDOMServer = require('react-dom/server');
 const serialize = require('serialize-javascript');
 const Cube = require('../models/cube');
+const Notification = require('../models/notification');
 
 const { NODE_ENV } = process.env;
 
@@ -17,11 +18,17 @@ if (NODE_ENV === 'production') {
   pages.CreatorsPage = require('../dist/pages/CreatorsPage').default;
   pages.CubeAnalysisPage = require('../dist/pages/CubeAnalysisPage').default;
   pages.CubeBlogPage = require('../dist/pages/CubeBlogPage').default;
+  pages.CubeHistoryPage = require('../dist/pages/CubeHistoryPage').default;
+  pages.CubeVersionPage = require('../dist/pages/CubeVersionPage').default;
+  pages.CubeUpstreamPage = require('../dist/pages/CubeUpstreamPage').default;
   pages.CubeComparePage = require('../dist/pages/CubeComparePage').default;
   pages.CubeDeckbuilderPage = require('../dist/pages/CubeDeckbuilderPage').default;
   pages.CubeDeckPage = require('../dist/pages/CubeDeckPage').default;
+  pages.CubeEventPage = require('../dist/pages/CubeEventPage').default;
+  pages.SealedEventPage = require('../dist/pages/SealedEventPage').default;
   pages.CubeDecksPage = require('../dist/pages/CubeDecksPage').default;
   pages.CubeDraftPage = require('../dist/pages/CubeDraftPage').default;
+  pages.LiveDraftPage = require('../dist/pages/LiveDraftPage').default;
   pages.CubeListPage = require('../dist/pages/CubeListPage').default;
   pages.CubeOverviewPage = require('../dist/pages/CubeOverviewPage').default;
   pages.CubePlaytestPage = require('../dist/pages/CubePlaytestPage').default;
@@ -37,6 +44,10 @@ if (NODE_ENV === 'production') {
   pages.ExplorePage = require('../dist/pages/ExplorePage').default;
   pages.FeaturedCubesQueuePage = require('../dist/pages/FeaturedCubesQueuePage').default;
   pages.FiltersPage = require('../dist/pages/FiltersPage').default;
+  pages.FormatDraftPage = require('../dist/pages/FormatDraftPage').default;
+  pages.DraftReplayPage = require('../dist/pages/DraftReplayPage').default;
+  pages.PickQuizPage = require('../dist/pages/PickQuizPage').default;
+  pages.ApiDocsPage = require('../dist/pages/ApiDocsPage').default;
   pages.GridDraftPage = require('../dist/pages/GridDraftPage').default;
   pages.InfoPage = require('../dist/pages/InfoPage').default;
   pages.LandingPage = require('../dist/pages/LandingPage').default;
@@ -66,6 +77,8 @@ if (NODE_ENV === 'production') {
   pages.VideosPage = require('../dist/pages/VideosPage').default;
   pages.AdminCommentsPage = require('../dist/pages/AdminCommentsPage').default;
   pages.AdminDashboardPage = require('../dist/pages/AdminDashboardPage').default;
+  pages.AdminAuditLogPage = require('../dist/pages/AdminAuditLogPage').default;
+  pages.AdminUserModerationPage = require('../dist/pages/AdminUserModerationPage').default;
   pages.ApplicationPage = require('../dist/pages/ApplicationPage').default;
   pages.ApplicationsPage = require('../dist/pages/ApplicationsPage').default;
   pages.ArticlePage = require('../dist/pages/ArticlePage').default;
@@ -73,7 +86,9 @@ if (NODE_ENV === 'production') {
   pages.BlogPostPage = require('../dist/pages/BlogPostPage').default;
   pages.BrowseContentPage = require('../dist/pages/BrowseContentPage').default;
   pages.BulkUploadPage = require('../dist/pages/BulkUploadPage').default;
+  pages.BulkReplacePage = require('../dist/pages/BulkReplacePage').default;
   pages.CardPage = require('../dist/pages/CardPage').default;
+  pages.CollectionPage = require('../dist/pages/CollectionPage').default;
   pages.LeaveWarningPage = require('../dist/pages/LeaveWarningPage').default;
   pages.BrowsePackagesPage = require('../dist/pages/BrowsePackagesPage').default;
   pages.PackagePage = require('../dist/pages/PackagePage').default;
@@ -98,52 +113,77 @@ const getCubes = (req, callback) => {
   }
 };
 
-const render = (req, res, page, reactProps = {}, options = {}) => {
-  getCubes(req, (cubes) => {
-    reactProps.user = req.user
-      ? {
-          id: req.user._id,
-          notifications: req.user.notifications,
-          username: req.user.username,
-          email: req.user.email,
-          about: req.user.about,
-          image: req.user.image,
-          image_name: req.user.image_name,
-          artist: req.user.artist,
-          roles: req.user.roles,
-          theme: req.user.theme,
-          hide_featured: req.user.hide_featured,
-          cubes,
+const getNotifications = (req, callback) => {
+  if (!req.user) {
+    callback([]);
+  } else {
+    Notification.find({ user: req.user._id, read: false }, '_id text url date')
+      .sort({ date: -1 })
+      .limit(101)
+      .lean()
+      .exec((err, docs) => {
+        if (err) {
+          callback([]);
+        } else {
+          callback(docs);
         }
-      : null;
+      });
+  }
+};
 
-    reactProps.loginCallback = req.baseUrl + req.path;
-    reactProps.nitroPayEnabled = process.env.NITROPAY_ENABLED === 'true';
+const render = (req, res, page, reactProps = {}, options = {}) => {
+  getCubes(req, (cubes) =>
+    getNotifications(req, (notifications) => {
+      reactProps.user = req.user
+        ? {
+            id: req.user._id,
+            notifications,
+            username: req.user.username,
+            email: req.user.email,
+            about: req.user.about,
+            image: req.user.image,
+            image_name: req.user.image_name,
+            artist: req.user.artist,
+            roles: req.user.roles,
+            theme: req.user.theme,
+            hide_featured: req.user.hide_featured,
+            // the moderation helpers can't be required here without a cycle through the deck model
+            mutedUntil:
+              req.user.moderation && req.user.moderation.mutedUntil > new Date()
+                ? req.user.moderation.mutedUntil.toISOString()
+                : null,
+            cubes,
+          }
+        : null;
 
-    if (!options.metadata) {
-      options.metadata = [];
-    }
-    if (!options.metadata.some((data) => data.property === 'og:image')) {
-      options.metadata.push({
-        property: 'og:image',
-        content: '/content/sticker.png',
-      });
-    }
+      reactProps.loginCallback = req.baseUrl + req.path;
+      reactProps.nitroPayEnabled = process.env.NITROPAY_ENABLED === 'true';
 
-    res.render('main', {
-      reactHTML:
-        NODE_ENV === 'production'
-          ? ReactDOMServer.renderToString(React.createElement(getPage(page), reactProps))
-          : null,
-      reactProps: serialize(reactProps),
-      page,
-      metadata: options.metadata,
-      title: options.title ? `${options.title} - Cube Cobra` : 'Cube Cobra',
-      colors: req.user && req.user.theme ? `/css/${req.user.theme}.css` : '/css/default.css',
-      patron: req.user && req.user.roles.includes('Patron'),
-      notice: process.env.NOTICE,
-    });
-  });
+      if (!options.metadata) {
+        options.metadata = [];
+      }
+      if (!options.metadata.some((data) => data.property === 'og:image')) {
+        options.metadata.push({
+          property: 'og:image',
+          content: '/content/sticker.png',
+        });
+      }
+
+      res.render('main', {
+        reactHTML:
+          NODE_ENV === 'production'
+            ? ReactDOMServer.renderToString(React.createElement(getPage(page), reactProps))
+            : null,
+        reactProps: serialize(reactProps),
+        page,
+        metadata: options.metadata,
+        title: options.title ? `${options.title} - Cube Cobra` : 'Cube Cobra',
+        colors: req.user && req.user.theme ? `/css/${req.user.theme}.css` : '/css/default.css',
+        patron: req.user && req.user.roles.includes('Patron'),
+        notice: process.env.NOTICE,
+      });
+    }),
+  );
 };
 
 module.exports = {
@@ -0,0 +1,79 @@
+const createdraft = require('../dist/drafting/createdraft.js');
+
+const COLOR_COLUMNS = ['W', 'U', 'B', 'R', 'G'];
+const MULTICOLOR_COLUMN = 5;
+const COLORLESS_COLUMN = 6;
+const LAND_COLUMN = 7;
+
+// Creatures go in the first row and everything else in the second, with a column for each color, multicolor,
+// colorless and lands.
+const sortPool = (cards, indices, carddb) => {
+  const pool = [0, 1].map(() => Array.from({ length: 8 }, () => []));
+  for (const index of indices) {
+    const card = cards[index];
+    const details = carddb.cardFromId(card.cardID);
+    const type = (card.type_line || details.type).toLowerCase();
+    const colors = card.colors || details.colors;
+
+    let column;
+    if (type.includes('land')) {
+      column = LAND_COLUMN;
+    } else if (colors.length === 1) {
+      column = Math.max(0, COLOR_COLUMNS.indexOf(colors[0].toUpperCase()));
+    } else if (colors.length === 0) {
+      column = COLORLESS_COLUMN;
+    } else {
+      column = MULTICOLOR_COLUMN;
+    }
+    pool[type.includes('creature') ? 0 : 1][column].push(index);
+  }
+  return pool;
+};
+
+// Deals numPools pools from the cube, each either packs of random cards or the packs of one of the cube's draft
+// formats. The same seed always deals the same pools from the same cube. Returns the cards of every pool together and
+// the indices into them that make up each pool.
+const createSealedPools = (cube, { numPools, formatId, packs, cards, seed }) => {
+  const format = createdraft.getDraftFormat({ id: formatId, packs, cards }, cube);
+  const draft = createdraft.createDraft(format, cube.cards, numPools, { username: 'Anonymous' }, true, seed);
+  return {
+    cards: draft.cards,
+    pools: draft.initial_state.map((poolPacks) => poolPacks.flatMap((pack) => pack.cards)),
+  };
+};
+
+const poolOfSeat = (event, seatIndex) => event.pools.find((pool) => pool.seats.includes(seatIndex));
+
+// Why a player can't register mainboard and sideboard for their seat, or null if they can. Players can only use cards
+// from their own pool and the basics, and the players of a team share their pool so two of them can't both mainboard
+// the same card.
+const sealedDeckProblem = (event, deck, seatIndex, mainboard, sideboard, carddb) => {
+  const pool = poolOfSeat(event, seatIndex);
+  if (!pool) {
+    return 'This seat is not part of the event.';
+  }
+  const basics = new Set(deck.basics);
+  const allowed = new Set(pool.cards);
+  if ([...mainboard, ...sideboard].some((index) => !basics.has(index) && !allowed.has(index))) {
+    return 'Decks can only use cards from your pool.';
+  }
+
+  const taken = new Set(
+    pool.seats
+      .filter((seat) => seat !== seatIndex && event.registered.includes(seat))
+      .flatMap((seat) => deck.seats[seat].deck.flat(2)),
+  );
+  const shared = [...new Set(mainboard.filter((index) => !basics.has(index) && taken.has(index)))];
+  if (shared.length > 0) {
+    const names = shared.map((index) => carddb.cardFromId(deck.cards[index].cardID).name).join(', ');
+    return `Already in a teammate's deck: ${names}.`;
+  }
+  return null;
+};
+
+module.exports = {
+  sortPool,
+  createSealedPools,
+  poolOfSeat,
+  sealedDeckProblem,
+};
@@ -0,0 +1,160 @@
+// Pairings and standings for draft events. Players are referred to by their index in the event's player list, and a
+// match against null is a bye.
+
+const MATCH_WIN = 3;
+const MATCH_DRAW = 1;
+// Win percentages are floored like in sanctioned play, so that losing to a player with no wins doesn't count for
+// less than it should.
+const MIN_PERCENTAGE = 1 / 3;
+
+// Pairs everyone with everyone else using the circle method, returning a list of rounds of [a, b] pairs.
+function roundRobinRounds(numPlayers) {
+  const players = [...Array(numPlayers).keys()];
+  if (numPlayers % 2 === 1) {
+    players.push(null);
+  }
+  const rounds = [];
+  for (let round = 0; round < players.length - 1; round++) {
+    const pairs = [];
+    for (let i = 0; i < players.length / 2; i++) {
+      const pair = [players[i], players[players.length - 1 - i]];
+      pairs.push(pair[0] === null ? [pair[1], null] : pair);
+    }
+    rounds.push(pairs);
+    // Keep the first player in place and rotate everyone else.
+    players.splice(1, 0, players.pop());
+  }
+  return rounds;
+}
+
+// The outcome of a reported match for the player on the given side, as 'win', 'loss' or 'draw'.
+function matchOutcome(match, side) {
+  if (match.players[1] === null) {
+    return 'win';
+  }
+  const [mine, theirs] = side === 0 ? match.wins : [match.wins[1], match.wins[0]];
+  if (mine > theirs) {
+    return 'win';
+  }
+  return mine < theirs ? 'loss' : 'draw';
+}
+
+function standings(numPlayers, matches) {
+  const records = [...Array(numPlayers).keys()].map((player) => ({
+    player,
+    matchPoints: 0,
+    matchesPlayed: 0,
+    wins: 0,
+    losses: 0,
+    draws: 0,
+    gamePoints: 0,
+    gamesPlayed: 0,
+    opponents: [],
+    byes: 0,
+  }));
+
+  for (const match of matches.filter(({ reported }) => reported)) {
+    match.players.forEach((player, side) => {
+      if (player === null) {
+        return;
+      }
+      const record = records[player];
+      const outcome = matchOutcome(match, side);
+      record.matchesPlayed += 1;
+      if (outcome === 'win') {
+        record.wins += 1;
+        record.matchPoints += MATCH_WIN;
+      } else if (outcome === 'draw') {
+        record.draws += 1;
+        record.matchPoints += MATCH_DRAW;
+      } else {
+        record.losses += 1;
+      }
+      if (match.players[1] === null) {
+        // A bye counts as a 2-0 win.
+        record.byes += 1;
+        record.gamePoints += 2 * MATCH_WIN;
+        record.gamesPlayed += 2;
+      } else {
+        const gameWins = match.wins[side];
+        record.gamePoints += gameWins * MATCH_WIN + match.draws * MATCH_DRAW;
+        record.gamesPlayed += match.wins[0] + match.wins[1] + match.draws;
+        record.opponents.push(match.players[1 - side]);
+      }
+    });
+  }
+
+  for (const record of records) {
+    record.matchWinPercentage =
+      record.matchesPlayed > 0 ? Math.max(MIN_PERCENTAGE, record.matchPoints / (MATCH_WIN * record.matchesPlayed)) : 0;
+    record.gameWinPercentage =
+      record.gamesPlayed > 0 ? Math.max(MIN_PERCENTAGE, record.gamePoints / (MATCH_WIN * record.gamesPlayed)) : 0;
+  }
+  const average = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+  for (const record of records) {
+    record.opponentMatchWinPercentage = average(
+      record.opponents.map((opponent) => records[opponent].matchWinPercentage),
+    );
+    record.opponentGameWinPercentage = average(record.opponents.map((opponent) => records[opponent].gameWinPercentage));
+  }
+
+  return records.sort(
+    (a, b) =>
+      b.matchPoints - a.matchPoints ||
+      b.opponentMatchWinPercentage - a.opponentMatchWinPercentage ||
+      b.gameWinPercentage - a.gameWinPercentage ||
+      b.opponentGameWinPercentage - a.opponentGameWinPercentage ||
+      a.player - b.player,
+  );
+}
+
+// Pairs the next swiss round. Players are paired down the standings, avoiding rematches where possible, and the
+// lowest ranked player who hasn't had a bye yet gets one if there is an odd number of players.
+function swissPairings(numPlayers, matches) {
+  const ranked = standings(numPlayers, matches);
+  const played = new Set(
+    matches.filter(({ players }) => players[1] !== null).flatMap(({ players: [a, b] }) => [`${a},${b}`, `${b},${a}`]),
+  );
+
+  let remaining = ranked.map(({ player }) => player);
+  const pairs = [];
+  if (remaining.length % 2 === 1) {
+    const byeRecord = [...ranked].reverse().find(({ byes }) => byes === 0) || ranked[ranked.length - 1];
+    remaining = remaining.filter((player) => player !== byeRecord.player);
+    pairs.push([byeRecord.player, null]);
+  }
+
+  const pairUp = (players) => {
+    if (players.length === 0) {
+      return [];
+    }
+    const [first, ...rest] = players;
+    for (let i = 0; i < rest.length; i++) {
+      if (!played.has(`${first},${rest[i]}`)) {
+        const others = pairUp(rest.filter((_, index) => index !== i));
+        if (others) {
+          return [[first, rest[i]], ...others];
+        }
+      }
+    }
+    return null;
+  };
+
+  // Once everyone has played everyone, rematches can't be avoided.
+  const fallback = [];
+  for (let i = 0; i < remaining.length; i += 2) {
+    fallback.push([remaining[i], remaining[i + 1]]);
+  }
+  return [...(pairUp(remaining) || fallback), ...pairs];
+}
+
+// Swiss events default to enough rounds to find a single undefeated player.
+const defaultSwissRounds = (numPlayers) => Math.max(1, Math.ceil(Math.log2(numPlayers)));
+
+module.exports = {
+  roundRobinRounds,
+  matchOutcome,
+  standings,
+  swissPairings,
+  defaultSwissRounds,
+};
@@ -1,5 +1,6 @@
 const shuffleSeed = require('shuffle-seed');
 const { winston } = require('./cloudwatch');
+const Notification = require('../models/notification');
 
 function hasProfanity(text) {
   if (!text) return false;
@@ -114,34 +115,50 @@ function fromEntries(entries) {
   return obj;
 }
 
-async function addNotification(user, from, url, text) {
+// Whether the user has muted notifications of the type, everywhere or for the cube.
+function isNotificationMuted(user, type, cube = null) {
+  const muted = (user.notificationSettings && user.notificationSettings.muted) || [];
+  return muted.some((mute) => mute.type === type && (!mute.cube || (cube && `${mute.cube}` === `${cube}`)));
+}
+
+function newNotification(user, from, url, text, type, cube) {
   if (user.username === from.username) {
-    return; // we don't need to give notifications to ourselves
+    return null; // we don't need to give notifications to ourselves
+  }
+  if (isNotificationMuted(user, type, cube)) {
+    return null;
   }
 
-  user.notifications.push({
-    user_from: from._id,
-    user_from_name: from.username,
-    url,
-    date: new Date(),
-    text,
-  });
-  user.old_notifications.push({
+  return {
+    user: user._id,
+    type,
+    cube,
     user_from: from._id,
     user_from_name: from.username,
     url,
     date: new Date(),
     text,
-  });
-  while (user.old_notifications.length > 200) {
-    user.old_notifications = user.old_notifications.slice(1);
+  };
+}
+
+async function addNotification(user, from, url, text, type = 'other', cube = null) {
+  const notification = newNotification(user, from, url, text, type, cube);
+  if (notification) {
+    await Notification.create(notification);
   }
-  await user.save();
 }
 
-async function addMultipleNotifications(users, from, url, text) {
+// Users can be an array or a query.
+async function addMultipleNotifications(users, from, url, text, type = 'other', cube = null) {
+  const notifications = [];
   for await (const user of users) {
-    await addNotification(user, from, url, text);
+    const notification = newNotification(user, from, url, text, type, cube);
+    if (notification) {
+      notifications.push(notification);
+    }
+  }
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications, { ordered: false });
   }
 }
 
@@ -215,6 +232,7 @@ module.exports = {
   isAdmin(user) {
     return user && user.roles.includes('Admin');
   },
+  isNotificationMuted,
   addNotification,
   addMultipleNotifications,
   wrapAsyncApi,
@@ -0,0 +1,229 @@
+// Deck results and the win rates built from them for the analysis page. Results are counted in matches, with draws
+// counting as half a win.
+
+const { matchOutcome } = require('./tournament.js');
+
+const COLORS = ['W', 'U', 'B', 'R', 'G'];
+// A color is one of the deck's main colors if at least this share of its colored spells are that color.
+const MAIN_COLOR_SHARE = 0.25;
+// A tag needs to be on at least this many mainboard cards to name the deck's archetype.
+const MIN_ARCHETYPE_CARDS = 3;
+// Cards need this many recorded matches before they're ranked against their Elo.
+const MIN_PERFORMANCE_MATCHES = 5;
+const PERFORMERS_LIMIT = 10;
+// z for a 95% confidence interval.
+const Z_95 = 1.96;
+
+const emptyRecord = () => ({ wins: 0, losses: 0, draws: 0 });
+
+const addRecord = (total, record) => {
+  total.wins += record.wins || 0;
+  total.losses += record.losses || 0;
+  total.draws += record.draws || 0;
+  return total;
+};
+
+const matchCount = (record) => record.wins + record.losses + record.draws;
+
+const hasResults = (record) => !!record && matchCount({ ...emptyRecord(), ...record }) > 0;
+
+// Sets the results for a seat of a deck. Results against specific opponents are mirrored onto the opponent's seat,
+// and a seat with any matchups has the total of them as its record.
+function setSeatRecord(seats, seatIndex, record, matchups = []) {
+  const recordFromMatchups = (seat) =>
+    seat.matchups.reduce((total, matchup) => addRecord(total, matchup), emptyRecord());
+
+  const seat = seats[seatIndex];
+  const previous = seat.matchups || [];
+  seat.matchups = matchups.filter((matchup) => matchup.opponent !== seatIndex && hasResults(matchup));
+
+  const opponents = new Set([...previous, ...seat.matchups].map(({ opponent }) => opponent));
+  for (const opponent of opponents) {
+    const other = seats[opponent];
+    if (other) {
+      const matchup = seat.matchups.find((entry) => entry.opponent === opponent);
+      other.matchups = (other.matchups || []).filter((entry) => entry.opponent !== seatIndex);
+      if (matchup) {
+        other.matchups.push({
+          opponent: seatIndex,
+          wins: matchup.losses || 0,
+          losses: matchup.wins || 0,
+          draws: matchup.draws || 0,
+        });
+      }
+      other.record = recordFromMatchups(other);
+    }
+  }
+
+  seat.record = seat.matchups.length > 0 ? recordFromMatchups(seat) : addRecord(emptyRecord(), record);
+  return seats;
+}
+
+// The results of each seat of a deck, or null for seats without any. The reported matches of an event run for the
+// deck take the place of anything entered by hand for the seats that played in it.
+function seatRecords(deck, event = null) {
+  const records = deck.seats.map((seat) => (hasResults(seat.record) ? addRecord(emptyRecord(), seat.record) : null));
+  if (event) {
+    for (const player of event.players) {
+      records[player.seat] = null;
+    }
+    for (const match of event.matches) {
+      if (match.reported && match.players[1] !== null) {
+        match.players.forEach((player, side) => {
+          const { seat } = event.players[player];
+          const outcome = matchOutcome(match, side);
+          records[seat] = records[seat] || emptyRecord();
+          records[seat][{ win: 'wins', loss: 'losses', draw: 'draws' }[outcome]] += 1;
+        });
+      }
+    }
+  }
+  return records;
+}
+
+const mainboardDetails = (deck, seatIndex, carddb) =>
+  deck.seats[seatIndex].deck
+    .flat(2)
+    .map((cardIndex) => deck.cards[cardIndex])
+    .filter((card) => card && card.cardID)
+    .map((card) => ({ card, details: carddb.cardFromId(card.cardID) }));
+
+// The colors that make up most of the deck's spells, in WUBRG order, or 'C' for a colorless deck.
+function deckColors(mainboard) {
+  const spells = mainboard.filter(({ details }) => !details.type.includes('Land'));
+  const counts = Object.fromEntries(COLORS.map((color) => [color, 0]));
+  let colored = 0;
+  for (const { card, details } of spells) {
+    const colors = card.colors || details.colors || [];
+    if (colors.length > 0) {
+      colored += 1;
+    }
+    for (const color of colors) {
+      if (counts[color] !== undefined) {
+        counts[color] += 1;
+      }
+    }
+  }
+  const main = COLORS.filter((color) => colored > 0 && counts[color] / colored >= MAIN_COLOR_SHARE);
+  return main.length > 0 ? main.join('') : 'C';
+}
+
+// Cubes tag their cards with archetypes, so the most common tag in the mainboard names the deck's archetype.
+function deckArchetype(mainboard) {
+  const counts = new Map();
+  for (const { card } of mainboard) {
+    for (const tag of new Set(card.tags || [])) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  const [best] = [...counts.entries()]
+    .filter(([, count]) => count >= MIN_ARCHETYPE_CARDS)
+    .sort(([tagA, a], [tagB, b]) => b - a || tagA.localeCompare(tagB));
+  return best ? best[0] : null;
+}
+
+// The Wilson score interval for the win rate, which stays sensible for the small samples most cubes will have.
+function wilsonInterval(record, z = Z_95) {
+  const n = matchCount(record);
+  if (n === 0) {
+    return [0, 1];
+  }
+  const p = (record.wins + record.draws / 2) / n;
+  const denominator = 1 + (z * z) / n;
+  const center = p + (z * z) / (2 * n);
+  const margin = z * Math.sqrt((p * (1 - p) + (z * z) / (4 * n)) / n);
+  return [Math.max(0, (center - margin) / denominator), Math.min(1, (center + margin) / denominator)];
+}
+
+const summarize = (name, { decks, ...record }) => {
+  const n = matchCount(record);
+  const [low, high] = wilsonInterval(record);
+  return { name, decks, ...record, winRate: n > 0 ? (record.wins + record.draws / 2) / n : 0, low, high };
+};
+
+const addToGroup = (groups, name, record) => {
+  if (!groups.has(name)) {
+    groups.set(name, { decks: 0, ...emptyRecord() });
+  }
+  const group = groups.get(name);
+  group.decks += 1;
+  addRecord(group, record);
+};
+
+const summarizeGroups = (groups) =>
+  [...groups.entries()].map(([name, record]) => summarize(name, record)).sort((a, b) => b.winRate - a.winRate);
+
+// Ranks cards with enough matches by win rate and by Elo, and returns the cards whose win rate rank is furthest above
+// and below their Elo rank.
+function performers(cards, eloByName) {
+  const ranked = cards.filter(
+    (card) => matchCount(card) >= MIN_PERFORMANCE_MATCHES && Number.isFinite(eloByName[card.name]),
+  );
+  if (ranked.length < 2) {
+    return { overperformers: [], underperformers: [] };
+  }
+  const percentile = (sorted, card) => sorted.indexOf(card) / (sorted.length - 1);
+  const byWinRate = [...ranked].sort((a, b) => a.winRate - b.winRate);
+  const byElo = [...ranked].sort((a, b) => eloByName[a.name] - eloByName[b.name]);
+  const rated = ranked.map((card) => ({
+    ...card,
+    elo: Math.round(eloByName[card.name]),
+    difference: percentile(byWinRate, card) - percentile(byElo, card),
+  }));
+  return {
+    overperformers: rated
+      .filter(({ difference }) => difference > 0)
+      .sort((a, b) => b.difference - a.difference)
+      .slice(0, PERFORMERS_LIMIT),
+    underperformers: rated
+      .filter(({ difference }) => difference < 0)
+      .sort((a, b) => a.difference - b.difference)
+      .slice(0, PERFORMERS_LIMIT),
+  };
+}
+
+// Builds the win rates for a cube from its decks and the events run for them. eloByName maps lowercase card names to
+// the cube's pick Elo.
+function cubeWinRates(decks, events, carddb, eloByName = {}) {
+  const eventsByDeck = new Map(events.map((event) => [`${event.deck}`, event]));
+  const cards = new Map();
+  const colors = new Map();
+  const archetypes = new Map();
+  let deckCount = 0;
+
+  for (const deck of decks) {
+    const records = seatRecords(deck, eventsByDeck.get(`${deck._id}`));
+    for (const [seatIndex, record] of records.entries()) {
+      if (record && deck.seats[seatIndex].deck) {
+        deckCount += 1;
+        const mainboard = mainboardDetails(deck, seatIndex, carddb);
+        for (const name of new Set(mainboard.map(({ details }) => details.name_lower))) {
+          addToGroup(cards, name, record);
+        }
+        addToGroup(colors, deckColors(mainboard), record);
+        const archetype = deckArchetype(mainboard);
+        if (archetype) {
+          addToGroup(archetypes, archetype, record);
+        }
+      }
+    }
+  }
+
+  const cardRates = summarizeGroups(cards);
+  return {
+    decks: deckCount,
+    cards: cardRates,
+    colors: summarizeGroups(colors),
+    archetypes: summarizeGroups(archetypes),
+    ...performers(cardRates, eloByName),
+  };
+}
+
+module.exports = {
+  setSeatRecord,
+  seatRecords,
+  deckColors,
+  deckArchetype,
+  wilsonInterval,
+  cubeWinRates,
+};
@@ -8,7 +8,7 @@ import CubeAnalyticPropType from 'proptypes/CubeAnalyticPropType';
 import { compareStrings, SortableTable } from 'components/SortableTable';
 import { fromEntries } from 'utils/Util';
 import ErrorBoundary from 'components/ErrorBoundary';
-import { mainboardRate, pickRate, encodeName } from 'utils/Card';
+import { mainboardRate, matchWinRate, pickRate, encodeName } from 'utils/Card';
 
 import withAutocard from 'components/WithAutocard';
 
@@ -36,7 +36,7 @@ const PlaytestData = ({ cards: allCards, cubeAnalytics }) => {
     () =>
       cubeAnalytics.cards
         .filter((cardAnalytic) => cardDict[cardAnalytic.cardName])
-        .map(({ cardName, elo, mainboards, sideboards, picks, passes }) => ({
+        .map(({ cardName, elo, mainboards, sideboards, picks, passes, matchWins, matchLosses, matchDraws }) => ({
           card: {
             exportValue: cardName,
             ...cardDict[cardName],
@@ -46,6 +46,8 @@ const PlaytestData = ({ cards: allCards, cubeAnalytics }) => {
           pickrate: pickRate({ picks, passes }),
           picks,
           mainboards,
+          matchwinrate: matchWinRate({ matchWins, matchLosses, matchDraws }),
+          matches: (matchWins || 0) + (matchLosses || 0) + (matchDraws || 0),
         })),
     [cubeAnalytics, cardDict],
   );
@@ -67,6 +69,8 @@ const PlaytestData = ({ cards: allCards, cubeAnalytics }) => {
             { key: 'picks', title: 'Pick Count', sortable: true, heading: false },
             { key: 'mainboard', title: 'Mainboard Rate', sortable: true, heading: false, renderFn: renderPercent },
             { key: 'mainboards', title: 'Mainboard Count', sortable: true, heading: false },
+            { key: 'matchwinrate', title: 'Match Win Rate', sortable: true, heading: false, renderFn: renderPercent },
+            { key: 'matches', title: 'Match Count', sortable: true, heading: false },
           ]}
           data={data}
           sortFns={{ label: compareStrings }}
@@ -0,0 +1,165 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Col, ListGroupItem, Row } from 'reactstrap';
+import TimeAgo from 'react-timeago';
+
+import CardPropType from 'proptypes/CardPropType';
+import WinRatesPropType from 'proptypes/WinRatesPropType';
+
+import ErrorBoundary from 'components/ErrorBoundary';
+import { compareStrings, SortableTable } from 'components/SortableTable';
+import withAutocard from 'components/WithAutocard';
+import { encodeName } from 'utils/Card';
+import { getColorCombination } from 'utils/Sort';
+import { fromEntries } from 'utils/Util';
+
+const AutocardItem = withAutocard(ListGroupItem);
+
+const renderCardLink = (card) => (
+  <AutocardItem className="p-0" key={card.index} card={card} data-in-modal index={card.index}>
+    <a href={`/tool/card/${encodeName(card.cardID)}`} target="_blank" rel="noopener noreferrer">
+      {card.details.name}
+    </a>
+  </AutocardItem>
+);
+
+const percent = (val) => `${Math.round(val * 1000) / 10}%`;
+
+const renderPercent = (val) => <>{percent(val)}</>;
+
+const renderInterval = ({ low, high }) => (
+  <>
+    {percent(low)} - {percent(high)}
+  </>
+);
+
+const renderDifference = (val) => <>{`${val > 0 ? '+' : ''}${Math.round(val * 100)}`}</>;
+
+const rowFor = ({ decks, wins, losses, draws, winRate, low, high }) => ({
+  decks,
+  record: `${wins}-${losses}-${draws}`,
+  winRate,
+  interval: { low, high, exportValue: `${percent(low)} - ${percent(high)}` },
+});
+
+const sortFns = {
+  card: (a, b) => compareStrings(a.exportValue, b.exportValue),
+  interval: (a, b) => a.low - b.low,
+  label: compareStrings,
+};
+
+const columns = (nameColumn) => [
+  nameColumn,
+  { key: 'decks', title: 'Decks', sortable: true, heading: false },
+  { key: 'record', title: 'Record', sortable: false, heading: false },
+  { key: 'winRate', title: 'Win Rate', sortable: true, heading: false, renderFn: renderPercent },
+  {
+    key: 'interval',
+    title: '95% Interval',
+    sortable: true,
+    heading: false,
+    renderFn: renderInterval,
+    tooltip: 'The range the true win rate is likely to be in. Small samples give wide ranges.',
+  },
+];
+
+const groupColumns = (title) => columns({ key: 'label', title, heading: true, sortable: true });
+
+const WinRates = ({ cards: allCards, winRates }) => {
+  const cardDict = useMemo(
+    () => fromEntries(allCards.map((card) => [card.details.name.toLowerCase(), card])),
+    [allCards],
+  );
+
+  const data = useMemo(() => {
+    if (!winRates) {
+      return null;
+    }
+    const cardRow = (winRate) => ({
+      card: { exportValue: winRate.name, ...cardDict[winRate.name] },
+      ...rowFor(winRate),
+    });
+    const inCube = (winRate) => cardDict[winRate.name];
+    return {
+      cards: winRates.cards.filter(inCube).map(cardRow),
+      colors: winRates.colors.map((winRate) => ({
+        label: `${getColorCombination([...winRate.name])} (${winRate.name})`,
+        ...rowFor(winRate),
+      })),
+      archetypes: winRates.archetypes.map((winRate) => ({ label: winRate.name, ...rowFor(winRate) })),
+      overperformers: winRates.overperformers
+        .filter(inCube)
+        .map((winRate) => ({ ...cardRow(winRate), elo: winRate.elo, difference: winRate.difference })),
+      underperformers: winRates.underperformers
+        .filter(inCube)
+        .map((winRate) => ({ ...cardRow(winRate), elo: winRate.elo, difference: winRate.difference })),
+    };
+  }, [winRates, cardDict]);
+
+  if (!data || winRates.decks === 0) {
+    return (
+      <p>
+        No deck results have been recorded for this cube yet. Use &quot;Record Results&quot; on a deck, or run an event
+        for a draft, to see how cards and archetypes perform. Win rates are updated once a day.
+      </p>
+    );
+  }
+
+  const cardColumn = { key: 'card', title: 'Card Name', heading: true, sortable: true, renderFn: renderCardLink };
+  const performerColumns = [
+    ...columns(cardColumn),
+    { key: 'elo', title: 'Cube Elo', sortable: true, heading: false },
+    {
+      key: 'difference',
+      title: 'Difference',
+      sortable: true,
+      heading: false,
+      renderFn: renderDifference,
+      tooltip: 'How many percentiles higher the card ranks by win rate than by pick Elo.',
+    },
+  ];
+
+  return (
+    <ErrorBoundary>
+      <p>
+        Based on the results of {winRates.decks} decks, counted in matches with draws as half a win.
+        {winRates.date && (
+          <>
+            {' '}
+            Updated <TimeAgo date={winRates.date} />.
+          </>
+        )}
+      </p>
+      <Row>
+        <Col xs="12" lg="6">
+          <h5>Colors</h5>
+          <SortableTable columnProps={groupColumns('Colors')} data={data.colors} sortFns={sortFns} />
+        </Col>
+        <Col xs="12" lg="6">
+          <h5>Archetypes</h5>
+          <p className="text-muted">Archetypes are named after the tag on the most cards in each deck.</p>
+          <SortableTable columnProps={groupColumns('Archetype')} data={data.archetypes} sortFns={sortFns} />
+        </Col>
+      </Row>
+      <h5>Overperformers</h5>
+      <p className="text-muted">Cards with the highest win rates compared to how early they are picked.</p>
+      <SortableTable columnProps={performerColumns} data={data.overperformers} sortFns={sortFns} />
+      <h5>Underperformers</h5>
+      <p className="text-muted">Cards with the lowest win rates compared to how early they are picked.</p>
+      <SortableTable columnProps={performerColumns} data={data.underperformers} sortFns={sortFns} />
+      <h5>Cards</h5>
+      <SortableTable columnProps={columns(cardColumn)} data={data.cards} sortFns={sortFns} />
+    </ErrorBoundary>
+  );
+};
+
+WinRates.propTypes = {
+  cards: PropTypes.arrayOf(CardPropType.isRequired).isRequired,
+  winRates: WinRatesPropType,
+};
+
+WinRates.defaultProps = {
+  winRates: null,
+};
+
+export default WinRates;
@@ -0,0 +1,72 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import CardPropType from 'proptypes/CardPropType';
+
+import { Badge, Card, CardBody, CardHeader, Col, Row, Table } from 'reactstrap';
+
+import withAutocard from 'components/WithAutocard';
+
+const TextAutocard = withAutocard('span');
+
+const byName = (a, b) => a.details.name.localeCompare(b.details.name);
+
+export const CardTable = ({ cards }) => (
+  <Table size="sm" className="mb-0">
+    <thead>
+      <tr>
+        <th>Name</th>
+        <th>Type</th>
+        <th>Status</th>
+      </tr>
+    </thead>
+    <tbody>
+      {[...cards].sort(byName).map((card, index) => (
+        // eslint-disable-next-line react/no-array-index-key
+        <tr key={index}>
+          <td>
+            <TextAutocard card={card}>{card.details.name}</TextAutocard>
+          </td>
+          <td>{card.type_line || card.details.type}</td>
+          <td>{card.status}</td>
+        </tr>
+      ))}
+    </tbody>
+  </Table>
+);
+
+CardTable.propTypes = {
+  cards: PropTypes.arrayOf(CardPropType).isRequired,
+};
+
+const DiffColumn = ({ title, color, cards }) => (
+  <Col xs="12" md="6">
+    <Card className="mb-3">
+      <CardHeader>
+        <h5 className="mb-0">
+          {title} <Badge color={color}>{cards.length}</Badge>
+        </h5>
+      </CardHeader>
+      {cards.length > 0 ? <CardTable cards={cards} /> : <CardBody>No cards.</CardBody>}
+    </Card>
+  </Col>
+);
+
+DiffColumn.propTypes = {
+  title: PropTypes.string.isRequired,
+  color: PropTypes.string.isRequired,
+  cards: PropTypes.arrayOf(CardPropType).isRequired,
+};
+
+const CardListDiff = ({ added, removed }) => (
+  <Row>
+    <DiffColumn title="Added" color="success" cards={added} />
+    <DiffColumn title="Removed" color="danger" cards={removed} />
+  </Row>
+);
+
+CardListDiff.propTypes = {
+  added: PropTypes.arrayOf(CardPropType).isRequired,
+  removed: PropTypes.arrayOf(CardPropType).isRequired,
+};
+
+export default CardListDiff;
@@ -28,13 +28,16 @@ import Markdown from 'components/Markdown';
 
 const maxDepth = 4;
 
-const Comment = ({ comment, index, depth, noReplies, editComment }) => {
+const Comment = ({ comment, index, depth, noReplies, editComment, canModerate, moderateComment }) => {
   const user = useContext(UserContext);
   const userid = user && user.id;
 
   const [replyExpanded, toggleReply] = useToggle(false);
   const [expanded, toggle] = useToggle(false);
-  const [comments, addComment, , editChildComment] = useComments('comment', comment._id);
+  const [comments, addComment, , editChildComment, canModerateReplies, moderateChildComment] = useComments(
+    'comment',
+    comment._id,
+  );
   const [loaded, setLoaded] = useState(false);
   const [shareModalOpen, toggleShareModal] = useToggle(false);
   const [reportModalOpen, toggleReportModal] = useToggle(false);
@@ -138,6 +141,18 @@ const Comment = ({ comment, index, depth, noReplies, editComment }) => {
                       - <TimeAgo date={comment.timePosted} />
                     </small>
                   ))}
+                {comment.status === 'pending' && (
+                  <small className="text-muted">
+                    {' '}
+                    - <em>Waiting for a moderator&apos;s approval</em>
+                  </small>
+                )}
+                {comment.status === 'hidden' && (
+                  <small className="text-muted">
+                    {' '}
+                    - <em>Hidden by a moderator</em>
+                  </small>
+                )}
               </div>
               {comment.owner === userid && (
                 <div>
@@ -162,7 +177,7 @@ const Comment = ({ comment, index, depth, noReplies, editComment }) => {
               toggle={() => setIsEdit(false)}
             />
             <div>
-              {!noReplies && userid && (
+              {!noReplies && userid && !user.mutedUntil && (
                 <LinkButton onClick={toggleReply}>
                   <small>Reply</small>
                 </LinkButton>
@@ -189,6 +204,24 @@ const Comment = ({ comment, index, depth, noReplies, editComment }) => {
               <LinkButton className="ml-2" onClick={toggleReportModal}>
                 <small>Report</small>
               </LinkButton>
+              {canModerate && comment.status === 'pending' && (
+                <>
+                  <LinkButton className="ml-2" onClick={() => moderateComment(comment, 'approve')}>
+                    <small>Approve</small>
+                  </LinkButton>
+                  <LinkButton className="ml-2" onClick={() => moderateComment(comment, 'reject')}>
+                    <small>Reject</small>
+                  </LinkButton>
+                </>
+              )}
+              {canModerate && comment.status !== 'pending' && (
+                <LinkButton
+                  className="ml-2"
+                  onClick={() => moderateComment(comment, comment.status === 'hidden' ? 'unhide' : 'hide')}
+                >
+                  <small>{comment.status === 'hidden' ? 'Unhide' : 'Hide'}</small>
+                </LinkButton>
+              )}
             </div>
             <CommentEntry
               submit={(res) => {
@@ -213,6 +246,8 @@ const Comment = ({ comment, index, depth, noReplies, editComment }) => {
                       index={index + comments.length - pos}
                       depth={depth + 1}
                       editComment={editChildComment}
+                      canModerate={canModerateReplies}
+                      moderateComment={moderateChildComment}
                     />
                   ))}
                 {comments.length > 10 && (
@@ -235,11 +270,15 @@ Comment.propTypes = {
   depth: PropTypes.number,
   noReplies: PropTypes.bool,
   editComment: PropTypes.func.isRequired,
+  canModerate: PropTypes.bool,
+  moderateComment: PropTypes.func,
 };
 
 Comment.defaultProps = {
   depth: 0,
   noReplies: false,
+  canModerate: false,
+  moderateComment: () => {},
 };
 
 export default Comment;
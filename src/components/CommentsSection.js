@@ -16,7 +16,7 @@ const CommentsSection = ({ parent, parentType, collapse }) => {
 
   const [expanded, toggle] = useToggle(!collapse);
   const [replyExpanded, toggleReply] = useToggle(false);
-  const [comments, addComment, loading, editComment] = useComments(parentType, parent);
+  const [comments, addComment, loading, editComment, canModerate, moderateComment] = useComments(parentType, parent);
 
   if (loading) {
     return (
@@ -28,7 +28,12 @@ const CommentsSection = ({ parent, parentType, collapse }) => {
 
   return (
     <>
-      {userid && (
+      {user?.mutedUntil && (
+        <div className="p-2 border-bottom">
+          <em>{`You can't comment until ${new Date(user.mutedUntil).toLocaleString()}.`}</em>
+        </div>
+      )}
+      {userid && !user.mutedUntil && (
         <div className="p-2 border-bottom">
           <Collapse isOpen={!replyExpanded}>
             <h6>
@@ -52,7 +57,12 @@ const CommentsSection = ({ parent, parentType, collapse }) => {
             </div>
           )}
           <Collapse isOpen={expanded}>
-            <CommentList comments={comments} editComment={editComment} />
+            <CommentList
+              comments={comments}
+              editComment={editComment}
+              canModerate={canModerate}
+              moderateComment={moderateComment}
+            />
           </Collapse>
         </>
       )}
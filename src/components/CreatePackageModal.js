@@ -25,6 +25,8 @@ const CreatePackageModal = ({ isOpen, toggle, onError, onSuccess }) => {
   const [cardName, setCardName] = useState('');
   const [packageName, setPackageName] = useState('');
   const [imageDict, setImageDict] = useState({});
+  const [list, setList] = useState('');
+  const [missing, setMissing] = useState([]);
 
   useEffect(() => {
     fetch('/cube/api/imagedict')
@@ -44,6 +46,27 @@ const CreatePackageModal = ({ isOpen, toggle, onError, onSuccess }) => {
     }
   };
 
+  const importList = async () => {
+    const response = await csrfFetch('/packages/import', {
+      method: 'POST',
+      body: JSON.stringify({ list }),
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    const json = await response.json();
+
+    if (json.success === 'true') {
+      setCards([...cards, ...json.cards]);
+      setMissing(json.missing);
+      setList('');
+    } else {
+      setMissing([]);
+      onError(`Error importing cards: ${json.message}`);
+    }
+  };
+
   const save = async () => {
     const response = await csrfFetch(`/packages/submit/`, {
       method: 'POST',
@@ -113,6 +136,18 @@ const CreatePackageModal = ({ isOpen, toggle, onError, onSuccess }) => {
             </Button>
           </Col>
         </Row>
+        <Input
+          type="textarea"
+          className="mb-2"
+          rows={4}
+          value={list}
+          placeholder="Or paste a list in any format we export, such as plaintext, MTGO, Arena or CSV"
+          onChange={(e) => setList(e.target.value)}
+        />
+        <LoadingButton color="success" outline className="mb-3" onClick={importList}>
+          Import List
+        </LoadingButton>
+        {missing.length > 0 && <p className="text-danger">These cards could not be found: {missing.join(', ')}</p>}
         <Row>
           {cards.map((cardId, index) => (
             <Col key={cardId} className="col-6 col-md-2-4 col-lg-2-4 col-xl-2-4">
@@ -0,0 +1,148 @@
+import React, { useCallback, useContext, useState } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Badge,
+  Button,
+  CustomInput,
+  FormText,
+  Input,
+  InputGroup,
+  InputGroupAddon,
+  Label,
+  ListGroup,
+  ListGroupItem,
+} from 'reactstrap';
+
+import { postJson } from 'utils/CSRF';
+import { COLLABORATOR_ROLES } from 'utils/CubePermissions';
+
+import CubeContext from 'contexts/CubeContext';
+
+const RoleSelect = ({ id, value, onChange, disabled }) => (
+  <CustomInput type="select" id={id} value={value} onChange={onChange} disabled={disabled}>
+    {Object.entries(COLLABORATOR_ROLES).map(([role, { name }]) => (
+      <option key={role} value={role}>
+        {name}
+      </option>
+    ))}
+  </CustomInput>
+);
+
+RoleSelect.propTypes = {
+  id: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+RoleSelect.defaultProps = {
+  disabled: false,
+};
+
+const ROLE_HELP = {
+  editor: 'Editors can change the cards, overview, draft formats and blog, but not the settings.',
+  blogger: 'Blog authors can write blog posts.',
+  formats: 'Draft format managers can create, edit and remove draft formats.',
+  viewer: 'Viewers can see the cube while it is private.',
+};
+
+// Lets the owner invite collaborators and change or remove them. Changes are saved right away rather than with the
+// rest of the settings.
+const CubeCollaborators = ({ addAlert, onCubeUpdate }) => {
+  const { cube, cubeID, setCube } = useContext(CubeContext);
+  const [username, setUsername] = useState('');
+  const [role, setRole] = useState('editor');
+  const [loading, setLoading] = useState(false);
+  const collaborators = cube.collaborators ?? [];
+
+  const update = useCallback(
+    async (action, body) => {
+      setLoading(true);
+      const response = await postJson(`/cube/collaborators/${action}/${cubeID}`, body);
+      const json = await response.json();
+      setLoading(false);
+      if (!response.ok) {
+        for (const error of json.errors ?? []) {
+          addAlert('danger', error);
+        }
+        if (json.message) {
+          addAlert('danger', json.message);
+        }
+        return false;
+      }
+      setCube((current) => ({ ...current, collaborators: json.collaborators }));
+      onCubeUpdate({ ...cube, collaborators: json.collaborators });
+      return true;
+    },
+    [addAlert, onCubeUpdate, cube, cubeID, setCube],
+  );
+
+  const handleInvite = useCallback(async () => {
+    if (await update('invite', { username, role })) {
+      setUsername('');
+    }
+  }, [update, username, role]);
+
+  return (
+    <>
+      <h6 className="mt-3">Collaborators</h6>
+      {collaborators.length > 0 && (
+        <ListGroup className="mb-2">
+          {collaborators.map((collaborator) => (
+            <ListGroupItem key={collaborator.user} className="d-flex align-items-center">
+              <a href={`/user/view/${collaborator.user}`} className="mr-2">
+                {collaborator.username}
+              </a>
+              {!collaborator.accepted && (
+                <Badge color="secondary" className="mr-2">
+                  Invited
+                </Badge>
+              )}
+              <div className="ml-auto mr-2">
+                <RoleSelect
+                  id={`collaboratorRole-${collaborator.user}`}
+                  value={collaborator.role}
+                  disabled={loading}
+                  onChange={(event) => update('role', { user: collaborator.user, role: event.target.value })}
+                />
+              </div>
+              <Button
+                size="sm"
+                outline
+                color="danger"
+                disabled={loading}
+                onClick={() => update('remove', { user: collaborator.user })}
+              >
+                Remove
+              </Button>
+            </ListGroupItem>
+          ))}
+        </ListGroup>
+      )}
+      <Label for="collaboratorUsername">Invite a collaborator</Label>
+      <InputGroup>
+        <Input
+          id="collaboratorUsername"
+          value={username}
+          placeholder="Username"
+          onChange={(event) => setUsername(event.target.value)}
+        />
+        <RoleSelect id="collaboratorRole" value={role} onChange={(event) => setRole(event.target.value)} />
+        <InputGroupAddon addonType="append">
+          <Button color="success" onClick={handleInvite} disabled={loading || username.trim().length === 0}>
+            Invite
+          </Button>
+        </InputGroupAddon>
+      </InputGroup>
+      <FormText>{ROLE_HELP[role]} They'll get a notification and can accept from the cube's overview.</FormText>
+    </>
+  );
+};
+
+CubeCollaborators.propTypes = {
+  addAlert: PropTypes.func.isRequired,
+  onCubeUpdate: PropTypes.func.isRequired,
+};
+
+export default CubeCollaborators;
@@ -53,8 +53,9 @@ const PasteBulkModal = ({ isOpen, toggle }) => {
         <ModalBody>
           <p>
             Acceptable formats are:
-            <br />• one card name per line, or
-            <br />• one card name per line prepended with #x, such as &quot;2x island&quot;
+            <br />• one card name per line, optionally prepended with #x, such as &quot;2x island&quot;, or
+            <br />• any of our exports: CSV, MTGO, Arena, Cockatrice, XMage or Forge. Set codes and collector numbers
+            are kept, and sideboard cards go to the Maybeboard.
           </p>
           <Input
             type="textarea"
@@ -95,9 +96,10 @@ const UploadBulkModal = ({ isOpen, toggle }) => {
         <ModalBody>
           <p>
             Acceptable files are:
-            <br />• .txt (plaintext) with one card name per line, or
+            <br />• .txt (plaintext) with one card name per line,
             <br />• .csv with the same format as our .csv export (columns may be omitted and re-arranged, default values
-            may be used).
+            may be used), or
+            <br />• any of our other exports: MTGO, Arena, Cockatrice, XMage, Forge or JSON.
           </p>
           <CustomInput type="file" id="uploadBulkFile" name="document" />
           <Label for="uploadBulkFile" className="sr-only">
@@ -129,13 +131,15 @@ const UploadBulkReplaceModal = ({ isOpen, toggle }) => {
   return (
     <Modal isOpen={isOpen} toggle={toggle} labelledBy="uploadReplacementModalTitle">
       <ModalHeader id="uploadReplacementModalTitle" toggle={toggle}>
-        Bulk Upload - Replace with CSV File Upload
+        Bulk Upload - Replace with File Upload
       </ModalHeader>
       <CSRFForm method="POST" action={`/cube/bulkreplacefile/${cubeID}`} encType="multipart/form-data">
         <ModalBody>
           <p>
             Replaces all cards in your cube and Maybeboard. Acceptable files are .csv files with the exact format as our
-            .csv export.
+            .csv export, or any of our other exports: plaintext, MTGO, Arena, Cockatrice, XMage and Forge. Cards in a
+            sideboard replace the Maybeboard. You will see the cards that will be added and removed before anything is
+            saved.
           </p>
           <CustomInput type="file" id="uploadReplacementFile" name="document" />
           <Label for="uploadReplacementFile" className="sr-only">
@@ -241,6 +245,7 @@ const CubeListNavbar = ({
   const [selectEmptyModalOpen, setSelectEmptyModalOpen] = useState(false);
   const [isSortUsed, setIsSortUsed] = useState(true);
   const [isFilterUsed, setIsFilterUsed] = useState(true);
+  const [isA4, setIsA4] = useState(false);
 
   const { canEdit, cubeID, hasCustomImages } = useContext(CubeContext);
   const { groupModalCards, openGroupModal } = useContext(GroupModalContext);
@@ -306,6 +311,7 @@ const CubeListNavbar = ({
   const filterString = filter?.stringify ?? '';
   const filterUrlSegment = filterString ? `&filter=${enc(filterString)}` : '';
   const urlSegment = `${isSortUsed ? sortUrlSegment : ''}${isFilterUsed ? filterUrlSegment : ''}`;
+  const proxyUrlSegment = `${urlSegment}&pagesize=${isA4 ? 'a4' : 'letter'}`;
 
   return (
     <div className={`usercontrols${className ? ` ${className}` : ''}`}>
@@ -393,7 +399,7 @@ const CubeListNavbar = ({
                     <DropdownItem disabled>Import</DropdownItem>
                     <PasteBulkModalItem>Paste Text</PasteBulkModalItem>
                     <UploadBulkModalItem>Upload File</UploadBulkModalItem>
-                    <UploadBulkReplaceModalItem>Replace with CSV File Upload</UploadBulkReplaceModalItem>
+                    <UploadBulkReplaceModalItem>Replace with File Upload</UploadBulkReplaceModalItem>
                     <DropdownItem divider />
                     <DropdownItem disabled>Export</DropdownItem>
                   </>
@@ -405,6 +411,29 @@ const CubeListNavbar = ({
                 <DropdownItem href={`/cube/download/mtgo/${cubeID}?${urlSegment}`}>MTGO (.txt)</DropdownItem>
                 <DropdownItem href={`/cube/download/xmage/${cubeID}?${urlSegment}`}>XMage (.dck)</DropdownItem>
                 <DropdownItem divider />
+                <DropdownItem disabled>Proxy Sheets</DropdownItem>
+                <DropdownItem href={`/cube/download/proxies/${cubeID}?${proxyUrlSegment}`}>
+                  All Cards (.pdf)
+                </DropdownItem>
+                <DropdownItem href={`/cube/download/proxies/${cubeID}?${proxyUrlSegment}&proxied=true`}>
+                  Proxied Cards (.pdf)
+                </DropdownItem>
+                <DropdownItem href={`/cube/download/proxies/${cubeID}?${proxyUrlSegment}&board=maybe`}>
+                  Maybeboard (.pdf)
+                </DropdownItem>
+                <DropdownItem toggle={false} onClick={() => setIsA4((is) => !is)}>
+                  <FormGroup check style={{ display: 'flex' }}>
+                    <Input type="checkbox" checked={isA4} onChange={() => {}} /> A4 Paper
+                    <Tooltip
+                      text="Print proxy sheets on A4 paper instead of US Letter."
+                      wrapperTag="span"
+                      className="ml-auto mr-0"
+                    >
+                      <QuestionIcon size={16} />
+                    </Tooltip>
+                  </FormGroup>
+                </DropdownItem>
+                <DropdownItem divider />
                 <DropdownItem toggle={false} onClick={() => setIsSortUsed((is) => !is)}>
                   <FormGroup check style={{ display: 'flex' }}>
                     <Input type="checkbox" checked={isSortUsed} onChange={() => {}} /> Use Sort
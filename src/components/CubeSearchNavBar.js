@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 
-import { Button, Modal, ModalBody, ModalFooter, ModalHeader, Navbar, Input, CardBody } from 'reactstrap';
+import { Button, Modal, ModalBody, ModalFooter, ModalHeader, Navbar, Input, CardBody, CustomInput } from 'reactstrap';
 
 import TextField from 'components/TextField';
 import NumericField from 'components/NumericField';
@@ -16,9 +16,15 @@ const AdvancedSearchModal = ({ isOpen, toggle }) => {
   const [cards, setCards] = useState('');
   const [include, setInclude] = useState('');
   const [category, setCategory] = useState('');
+  const [color, setColor] = useState('');
+  const [followers, setFollowers] = useState('');
+  const [format, setFormat] = useState('');
+  const [updated, setUpdated] = useState('');
+  const [hasBlog, setHasBlog] = useState(false);
 
   const [decksOp, setDecksOp] = useState('=');
   const [cardsOp, setCardsOp] = useState('=');
+  const [followersOp, setFollowersOp] = useState('=');
 
   const Categories = [
     '',
@@ -74,6 +80,24 @@ const AdvancedSearchModal = ({ isOpen, toggle }) => {
       case 'include':
         setInclude(value);
         break;
+      case 'color':
+        setColor(value);
+        break;
+      case 'followers':
+        setFollowers(value);
+        break;
+      case 'followersOp':
+        setFollowersOp(value);
+        break;
+      case 'format':
+        setFormat(value);
+        break;
+      case 'updated':
+        setUpdated(value);
+        break;
+      case 'hasBlog':
+        setHasBlog(value);
+        break;
       default:
         break;
     }
@@ -103,6 +127,21 @@ const AdvancedSearchModal = ({ isOpen, toggle }) => {
     if (include.length > 0) {
       queryText += `card:"${include}" `;
     }
+    if (color.length > 0) {
+      queryText += `color:${color} `;
+    }
+    if (followers.length > 0) {
+      queryText += `followers${followersOp}${followers} `;
+    }
+    if (format.length > 0) {
+      queryText += `format:"${format}" `;
+    }
+    if (updated.length > 0) {
+      queryText += `updated<${updated}d `;
+    }
+    if (hasBlog) {
+      queryText += 'has:blog ';
+    }
 
     if (queryText.length > 0) {
       window.location.href = `/search/${encodeURIComponent(queryText.trim())}/0`;
@@ -122,28 +161,28 @@ const AdvancedSearchModal = ({ isOpen, toggle }) => {
           <TextField
             name="keyword"
             humanName="Keywords"
-            placeholder={'Any text in the name or tags, e.g. "Innistrad"'}
+            placeholder='Any text in the name or tags, e.g. "Innistrad"'
             value={keyword}
             onChange={handleChange}
           />
           <TextField
             name="owner"
             humanName="Owner Name"
-            placeholder={'Any text in the owner name, e.g. "TimFReilly"'}
+            placeholder='Any text in the owner name, e.g. "TimFReilly"'
             value={owner}
             onChange={handleChange}
           />
           <TextField
             name="tag"
             humanName="Cube Tags"
-            placeholder={'Any tag on a cube, e.g. "2 player"'}
+            placeholder='Any tag on a cube, e.g. "2 player"'
             value={tag}
             onChange={handleChange}
           />
           <NumericField
             name="decks"
             humanName="Number of Decks"
-            placeholder={'Any value, e.g. "2"'}
+            placeholder='Any value, e.g. "2"'
             value={decks}
             valueOp={decksOp}
             onChange={handleChange}
@@ -151,7 +190,7 @@ const AdvancedSearchModal = ({ isOpen, toggle }) => {
           <NumericField
             name="cards"
             humanName="Number of Cards"
-            placeholder={'Any value, e.g. "360"'}
+            placeholder='Any value, e.g. "360"'
             value={cards}
             valueOp={cardsOp}
             onChange={handleChange}
@@ -167,10 +206,47 @@ const AdvancedSearchModal = ({ isOpen, toggle }) => {
           <TextField
             name="include"
             humanName="Cubes that include the card:"
-            placeholder={'Any full card name, e.g. "Ambush Viper"'}
+            placeholder='Any full card name, e.g. "Ambush Viper"'
             value={include}
             onChange={handleChange}
           />
+          <TextField
+            name="color"
+            humanName="Colors"
+            placeholder='The colors the cube is made of, e.g. "WU", or "C" for colorless'
+            value={color}
+            onChange={handleChange}
+          />
+          <NumericField
+            name="followers"
+            humanName="Number of Followers"
+            placeholder='Any value, e.g. "10"'
+            value={followers}
+            valueOp={followersOp}
+            onChange={handleChange}
+          />
+          <TextField
+            name="format"
+            humanName="Draft Format"
+            placeholder='Any text in the name of a custom draft format, e.g. "Grid"'
+            value={format}
+            onChange={handleChange}
+          />
+          <TextField
+            name="updated"
+            humanName="Updated in the last"
+            placeholder='A number of days, e.g. "30"'
+            value={updated}
+            onChange={handleChange}
+          />
+          <CustomInput
+            type="checkbox"
+            id="hasBlog"
+            name="hasBlog"
+            label="Only cubes with a blog"
+            checked={hasBlog}
+            onChange={handleChange}
+          />
         </ModalBody>
         <ModalFooter>
           <Button color="success" onClick={submit}>
@@ -197,6 +273,7 @@ const CubeSearchNavBar = ({ query, order, title }) => {
   const [searchOrder, setSearchIndex] = useState(order || 'date');
 
   const searchOptions = [
+    ['Relevance', 'relevance'],
     ['Date Updated', 'date'],
     ['Alphabetical', 'alpha'],
     ['Popularity', 'pop'],
@@ -18,13 +18,14 @@ import { postJson } from 'utils/CSRF';
 import { formDataObject } from 'utils/Form';
 
 import CSRFForm from 'components/CSRFForm';
+import CubeCollaborators from 'components/CubeCollaborators';
 import CubeContext from 'contexts/CubeContext';
 import LoadingButton from 'components/LoadingButton';
 
 const visibilityHelp = {
   public: 'Anyone can search for and see your cube',
   unlisted: 'Anyone with a link can see your cube',
-  private: 'Only you can see your cube',
+  private: 'Only you and your collaborators can see your cube',
 };
 
 const convertVisibility = (cube) => {
@@ -83,6 +84,19 @@ const CubeSettingsModal = ({ addAlert, onCubeUpdate, isOpen, toggle }) => {
             <Input id="useCubeElo" name="useCubeElo" type="checkbox" defaultChecked={cube.useCubeElo || false} />
             <Label for="useCubeElo">Use Cube Elo instead of Global Elo</Label>
           </FormGroup>
+          <FormGroup check>
+            <Input
+              id="statusFromCollection"
+              name="statusFromCollection"
+              type="checkbox"
+              defaultChecked={cube.statusFromCollection || false}
+            />
+            <Label for="statusFromCollection">Set Card Statuses from My Collection</Label>
+            <FormText>
+              Cards are Owned when your <a href="/collection">collection</a> has a copy of them, and Not Owned
+              otherwise. Ordered and Proxied cards you don&apos;t own keep their status.
+            </FormText>
+          </FormGroup>
           <FormGroup>
             <Label for="visibility">Cube Visibility</Label>
             <CustomInput
@@ -124,6 +138,7 @@ const CubeSettingsModal = ({ addAlert, onCubeUpdate, isOpen, toggle }) => {
             </CustomInput>
           </FormGroup>
         </CSRFForm>
+        <CubeCollaborators addAlert={addAlert} onCubeUpdate={onCubeUpdate} />
       </ModalBody>
       <ModalFooter>
         <Button color="secondary" onClick={toggle}>
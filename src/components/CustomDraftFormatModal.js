@@ -18,6 +18,7 @@ import PropTypes from 'prop-types';
 import CSRFForm from 'components/CSRFForm';
 import CubeContext from 'contexts/CubeContext';
 import CustomPackCard from 'components/CustomPackCard';
+import FormatSimulation from 'components/FormatSimulation';
 import TextEntry from 'components/TextEntry';
 import { fromEntries, toNullableInt } from 'utils/Util';
 
@@ -253,8 +254,8 @@ const CustomDraftFormatModal = ({ isOpen, toggle, formatIndex, format, setFormat
         <FormText className="mt-3 mb-1">
           Card values can either be single tags or filter parameters or a comma separated list to create a ratio (e.g.
           3:1 rare to mythic could be <code>rarity:rare, rarity:rare, rarity:rare, rarity:mythic</code>). Tags can be
-          specified <code>tag:yourtagname</code> or simply <code>yourtagname</code>. <code>*</code> can be used to match
-          any card.
+          specified <code>tag:yourtagname</code> or simply <code>yourtagname</code>. The cube&apos;s saved filters can
+          be used as <code>filter:name</code>. <code>*</code> can be used to match any card.
         </FormText>
         {(format.packs ?? []).map((pack, packIndex) => (
           <CustomPackCard
@@ -268,6 +269,7 @@ const CustomDraftFormatModal = ({ isOpen, toggle, formatIndex, format, setFormat
         <Button color="success" onClick={mutations.addPack}>
           Add Pack
         </Button>
+        <FormatSimulation format={format} />
       </ModalBody>
       <ModalFooter>
         {errorsInFormat &&
@@ -89,6 +89,11 @@ const DeckCard = ({ seat, deck, seatIndex, draft, view }) => {
       <CardHeader>
         <CardTitle className="mb-0 d-flex flex-row align-items-end">
           <h4 className="mb-0 mr-auto">{seat.name}</h4>
+          {seat.record && (
+            <h6 className="mb-0 mr-3 font-weight-normal">
+              Record: {seat.record.wins || 0}-{seat.record.losses || 0}-{seat.record.draws || 0}
+            </h6>
+          )}
           {!seat.bot && (
             <h6 className="mb-0 font-weight-normal d-none d-sm-block">
               Drafted by {seat.userid ? <a href={`/user/view/${seat.userid}`}>{seat.username}</a> : 'Anonymous'}
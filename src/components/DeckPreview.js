@@ -26,7 +26,7 @@ const truncateToLength = (len, s) => {
   return s.length > len ? `${s.slice(0, len - 3)}...` : s;
 };
 
-const DeckPreview = ({ deck, nextURL }) => {
+const DeckPreview = ({ deck, nextURL, eventId, sealedEvent }) => {
   const user = useContext(UserContext);
   const canEdit = user && (user.id === deck.owner || user.id === deck.cubeOwner);
 
@@ -36,13 +36,11 @@ const DeckPreview = ({ deck, nextURL }) => {
   /** 2020-11-17 struesdell:
    *  Refactored name derivation to take advantage of react.useMemo
    */
-  const [fullName, name] = useMemo(
-    () =>
-      deck && deck.seats && deck.seats[0].name
-        ? [deck.seats[0].name, truncateToLength(MAX_LENGTH, deck.seats[0].name)]
-        : [DEFAULT_DECK_NAME, DEFAULT_DECK_NAME],
-    [deck],
-  );
+  const [fullName, name] = useMemo(() => {
+    // All the decks of a sealed event are kept together in one deck, named after the event.
+    const deckName = sealedEvent ? sealedEvent.name : deck && deck.seats && deck.seats[0].name;
+    return deckName ? [deckName, truncateToLength(MAX_LENGTH, deckName)] : [DEFAULT_DECK_NAME, DEFAULT_DECK_NAME];
+  }, [deck, sealedEvent]);
 
   const handleClick = useKeyHandlers(
     useCallback(() => {
@@ -92,13 +90,31 @@ const DeckPreview = ({ deck, nextURL }) => {
         <a href={`/cube/deck/${deck._id}`} title={fullName}>
           {name}
         </a>{' '}
-        by{' '}
-        {deck.seats[0].userid ? (
-          <a href={`/user/view/${deck.seats[0].userid}`}>{deck.seats[0].username}</a>
+        {sealedEvent ? (
+          `- ${deck.seats.filter(({ userid }) => userid).length} of ${deck.seats.length} seats taken`
         ) : (
-          'Anonymous'
+          <>
+            by{' '}
+            {deck.seats[0].userid ? (
+              <a href={`/user/view/${deck.seats[0].userid}`}>{deck.seats[0].username}</a>
+            ) : (
+              'Anonymous'
+            )}
+          </>
         )}{' '}
         - <TimeAgo date={date} />
+        {eventId && (
+          <>
+            {' '}
+            - <a href={`/cube/event/${eventId}`}>Event</a>
+          </>
+        )}
+        {sealedEvent && (
+          <>
+            {' '}
+            - <a href={`/cube/sealed/${sealedEvent._id}`}>Sealed Event</a>
+          </>
+        )}
       </h6>
     </div>
   );
@@ -107,10 +123,17 @@ const DeckPreview = ({ deck, nextURL }) => {
 DeckPreview.propTypes = {
   deck: DeckPropType.isRequired,
   nextURL: PropTypes.string,
+  eventId: PropTypes.string,
+  sealedEvent: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+  }),
 };
 
 DeckPreview.defaultProps = {
   nextURL: null,
+  eventId: null,
+  sealedEvent: null,
 };
 
 export default DeckPreview;
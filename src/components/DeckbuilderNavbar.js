@@ -17,7 +17,17 @@ import withModal from 'components/WithModal';
 const DeleteDeckModalLink = withModal(NavLink, DeckDeleteModal);
 const BasicsModalLink = withModal(NavLink, BasicsModal);
 
-const DeckbuilderNavbar = ({ deck, addBasics, name, description, className, setSideboard, setDeck, ...props }) => {
+const DeckbuilderNavbar = ({
+  deck,
+  seat,
+  addBasics,
+  name,
+  description,
+  className,
+  setSideboard,
+  setDeck,
+  ...props
+}) => {
   const { basics } = deck;
   const [isOpen, setIsOpen] = useState(false);
 
@@ -63,16 +73,16 @@ const DeckbuilderNavbar = ({ deck, addBasics, name, description, className, setS
   }, [deck]);
 
   const autoBuildDeck = useCallback(async () => {
-    let main = deck.seats[0].pickorder;
+    let main = deck.seats[seat].pickorder;
     if (main.length <= 0) {
-      main = [...deck.seats[0].deck.flat(3)].concat(...deck.seats[0].sideboard.flat(3));
+      main = [...deck.seats[seat].deck.flat(3)].concat(...deck.seats[seat].sideboard.flat(3));
     }
     const { sideboard: side, deck: newDeck } = await buildDeck(deck.cards, main, basics);
     const newSide = side.map((row) => row.map((col) => col.map((ci) => deck.cards[ci])));
     const newDeckCards = newDeck.map((row) => row.map((col) => col.map((ci) => deck.cards[ci])));
     setSideboard(newSide);
     setDeck(newDeckCards);
-  }, [deck, basics, setDeck, setSideboard]);
+  }, [deck, seat, basics, setDeck, setSideboard]);
 
   return (
     <Navbar expand="md" light className={`usercontrols ${className}`} {...props}>
@@ -87,6 +97,7 @@ const DeckbuilderNavbar = ({ deck, addBasics, name, description, className, setS
               <Input type="hidden" name="draftraw" value={stripped} />
               <Input type="hidden" name="name" value={JSON.stringify(name)} />
               <Input type="hidden" name="description" value={JSON.stringify(description)} />
+              <Input type="hidden" name="seat" value={seat} />
             </CSRFForm>
           </NavItem>
           <NavItem>
@@ -133,6 +144,7 @@ DeckbuilderNavbar.propTypes = {
       }).isRequired,
     ).isRequired,
   }).isRequired,
+  seat: PropTypes.number,
   addBasics: PropTypes.func.isRequired,
   name: PropTypes.string.isRequired,
   description: PropTypes.string.isRequired,
@@ -142,6 +154,7 @@ DeckbuilderNavbar.propTypes = {
 };
 
 DeckbuilderNavbar.defaultProps = {
+  seat: 0,
   className: null,
 };
 
@@ -0,0 +1,264 @@
+import React, { useCallback, useContext, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Alert, Button, Card, CardBody, CardHeader, Col, Input, Label, Progress, Row, Table } from 'reactstrap';
+
+import CubeContext from 'contexts/CubeContext';
+import { SortableTable, compareStrings } from 'components/SortableTable';
+import { getDraftFormat } from 'drafting/createdraft';
+import simulateDrafts from 'drafting/simulateDrafts';
+import { postJson } from 'utils/CSRF';
+
+const ITERATION_OPTIONS = [5, 10, 25, 50];
+const LIST_LENGTH = 50;
+
+const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+const CARD_COLUMNS = [
+  { title: 'Card', key: 'name', heading: true, sortable: true },
+  { title: 'Opened', key: 'opened', sortable: true },
+  { title: 'Picked', key: 'picked', sortable: true },
+  { title: 'Average Pick', key: 'averagePick', sortable: true },
+  { title: 'Mainboarded', key: 'mainboarded', sortable: true },
+];
+
+const FrequencyTable = ({ title, frequencies }) => (
+  <Table size="sm" responsive>
+    <thead>
+      <tr>
+        <th>{title}</th>
+        <th>Decks</th>
+      </tr>
+    </thead>
+    <tbody>
+      {frequencies.map(({ name, count }) => (
+        <tr key={name}>
+          <td>{name}</td>
+          <td>{percent(count)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </Table>
+);
+
+const FrequenciesPropType = PropTypes.arrayOf(
+  PropTypes.shape({ name: PropTypes.string.isRequired, count: PropTypes.number.isRequired }),
+);
+
+FrequencyTable.propTypes = {
+  title: PropTypes.string.isRequired,
+  frequencies: FrequenciesPropType.isRequired,
+};
+
+const NameList = ({ title, names }) => (
+  <>
+    <h6 className="mt-3">
+      {title} ({names.length})
+    </h6>
+    {names.length > 0 ? (
+      <p>
+        {names.slice(0, LIST_LENGTH).join(', ')}
+        {names.length > LIST_LENGTH && ` and ${names.length - LIST_LENGTH} more`}
+      </p>
+    ) : (
+      <p>
+        <em>None</em>
+      </p>
+    )}
+  </>
+);
+
+NameList.propTypes = {
+  title: PropTypes.string.isRequired,
+  names: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+};
+
+const SimulationReport = ({ report }) => {
+  const pickedCards = useMemo(() => report.cards.filter(({ picked }) => picked > 0), [report]);
+  return (
+    <>
+      <p>
+        Built {report.builtDrafts} of {report.iterations} drafts for {report.seats} players. Seed:{' '}
+        <code>{report.seed}</code>
+      </p>
+      {report.errors.map((error) => (
+        <Alert key={error} color="danger">
+          {error}
+        </Alert>
+      ))}
+      <Row>
+        <Col xs="12" md="6">
+          <FrequencyTable title="Deck Colors" frequencies={report.colors} />
+        </Col>
+        <Col xs="12" md="6">
+          <p>
+            Decks played {report.lands.average.toFixed(2)} lands on average, {report.lands.basics.toFixed(2)} of them
+            basics.
+          </p>
+          <FrequencyTable title="Lands" frequencies={report.lands.counts} />
+        </Col>
+      </Row>
+      <NameList title="Never Picked" names={report.neverPicked} />
+      <NameList title="Never Mainboarded" names={report.neverMainboarded} />
+      <h6 className="mt-3">Picks</h6>
+      <SortableTable
+        className="small-table"
+        columnProps={CARD_COLUMNS}
+        data={pickedCards}
+        defaultSortConfig={{ key: 'averagePick', direction: 'ascending' }}
+        sortFns={{ name: compareStrings }}
+      />
+    </>
+  );
+};
+
+SimulationReport.propTypes = {
+  report: PropTypes.shape({
+    seed: PropTypes.string.isRequired,
+    seats: PropTypes.number.isRequired,
+    iterations: PropTypes.number.isRequired,
+    builtDrafts: PropTypes.number.isRequired,
+    errors: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+    colors: FrequenciesPropType.isRequired,
+    cards: PropTypes.arrayOf(
+      PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        opened: PropTypes.number.isRequired,
+        picked: PropTypes.number.isRequired,
+        averagePick: PropTypes.number,
+        mainboarded: PropTypes.number.isRequired,
+      }),
+    ).isRequired,
+    neverPicked: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+    neverMainboarded: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+    lands: PropTypes.shape({
+      average: PropTypes.number.isRequired,
+      basics: PropTypes.number.isRequired,
+      counts: FrequenciesPropType.isRequired,
+    }).isRequired,
+  }).isRequired,
+};
+
+// Runs a few bot only drafts of the cube in the browser, with the same engine as jobs/simulate_drafts.js, and shows
+// how the drafts and the decks the bots build from them come out. Bigger runs should use the job.
+const DraftSimulation = ({ formats }) => {
+  const { cube } = useContext(CubeContext);
+  const [formatId, setFormatId] = useState(-1);
+  const [seats, setSeats] = useState(8);
+  const [iterations, setIterations] = useState(10);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSimulate = useCallback(async () => {
+    setProgress(0);
+    setReport(null);
+    setError(null);
+    try {
+      const response = await postJson('/cube/api/getdetailsforcards', {
+        cards: [...cube.cards.map(({ cardID }) => cardID), ...(cube.basics ?? [])],
+      });
+      const json = await response.json();
+      if (!response.ok || json.success !== 'true') {
+        throw new Error('Could not load the cards of the cube.');
+      }
+      const cards = cube.cards.map((card, index) => ({ ...card, details: json.details[index] }));
+      const format = getDraftFormat({ id: formatId, packs: 3, cards: 15 }, cube);
+      setReport(
+        await simulateDrafts(format, cards, json.details.slice(cube.cards.length), {
+          seats,
+          iterations,
+          // Lets the page show the progress between drafts.
+          onProgress: (finished) => {
+            setProgress(finished);
+            return new Promise((resolve) => setTimeout(resolve, 0));
+          },
+        }),
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+    setProgress(null);
+  }, [cube, formatId, seats, iterations]);
+
+  const loading = progress !== null;
+  return (
+    <Card>
+      <CardHeader>
+        <h5 className="mb-0">Simulate Drafts</h5>
+      </CardHeader>
+      <CardBody>
+        <p>
+          Have the bots draft the cube and build decks a few times to see which colors come together, which cards get
+          picked early and which never make a deck.
+        </p>
+        <Row form className="align-items-end mb-3">
+          <Col xs="12" md="4">
+            <Label for="simulationFormat">Format</Label>
+            <Input
+              type="select"
+              id="simulationFormat"
+              value={formatId}
+              onChange={(event) => setFormatId(parseInt(event.target.value, 10))}
+            >
+              <option value={-1}>Standard Draft</option>
+              {formats.map(({ index, title }) => (
+                <option key={index} value={index}>
+                  {title}
+                </option>
+              ))}
+            </Input>
+          </Col>
+          <Col xs="6" md="3">
+            <Label for="simulationSeats">Seats</Label>
+            <Input
+              type="select"
+              id="simulationSeats"
+              value={seats}
+              onChange={(event) => setSeats(parseInt(event.target.value, 10))}
+            >
+              {Array.from({ length: 15 }, (_, index) => index + 2).map((count) => (
+                <option key={count}>{count}</option>
+              ))}
+            </Input>
+          </Col>
+          <Col xs="6" md="3">
+            <Label for="simulationIterations">Drafts</Label>
+            <Input
+              type="select"
+              id="simulationIterations"
+              value={iterations}
+              onChange={(event) => setIterations(parseInt(event.target.value, 10))}
+            >
+              {ITERATION_OPTIONS.map((count) => (
+                <option key={count}>{count}</option>
+              ))}
+            </Input>
+          </Col>
+          <Col xs="12" md="2">
+            <Button color="success" block onClick={handleSimulate} disabled={loading}>
+              Simulate
+            </Button>
+          </Col>
+        </Row>
+        {loading && (
+          <Progress className="mb-3" value={progress} max={iterations}>
+            {progress} of {iterations} drafts
+          </Progress>
+        )}
+        {error && <Alert color="danger">{error}</Alert>}
+        {report && <SimulationReport report={report} />}
+      </CardBody>
+    </Card>
+  );
+};
+
+DraftSimulation.propTypes = {
+  formats: PropTypes.arrayOf(
+    PropTypes.shape({
+      index: PropTypes.number.isRequired,
+      title: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+};
+
+export default DraftSimulation;
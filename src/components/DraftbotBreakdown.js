@@ -9,7 +9,7 @@ import withAutocard from 'components/WithAutocard';
 import { getCardColorClass } from 'contexts/TagContext';
 import { DrafterStatePropType, DraftPropType } from 'proptypes/DraftbotPropTypes';
 import { COLOR_COMBINATIONS, cardName, encodeName } from 'utils/Card';
-import { evaluateCardsOrPool, ORACLES_BY_NAME } from 'drafting/draftbots';
+import { BOT_PROFILES, DEFAULT_BOT_PROFILE, evaluateCardsOrPool, ORACLES_BY_NAME } from 'drafting/draftbots';
 import { fromEntries } from 'utils/Util';
 
 const AutocardItem = withAutocard(ListGroupItem);
@@ -73,6 +73,12 @@ export const DraftbotBreakdownTable = ({ drafterState }) => {
     () => botEvaluations[0].oracleResults.map(({ title, weight }) => ({ title, weight })),
     [botEvaluations],
   );
+  const profile =
+    BOT_PROFILES[
+      Object.prototype.hasOwnProperty.call(BOT_PROFILES, drafterState.botProfile)
+        ? drafterState.botProfile
+        : DEFAULT_BOT_PROFILE
+    ];
   const rows = useMemo(
     () =>
       botEvaluations.map((botEvaluation) =>
@@ -105,6 +111,9 @@ export const DraftbotBreakdownTable = ({ drafterState }) => {
         data={weights}
         sortFns={{ title: compareStrings }}
       />
+      <p className="mt-2 text-muted">
+        <Tooltip text={profile.description}>{`Bot Profile: ${profile.name}`}</Tooltip>
+      </p>
     </>
   );
 };
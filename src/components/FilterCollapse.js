@@ -6,7 +6,11 @@ import {
   Row,
   Collapse,
   CustomInput,
+  DropdownItem,
+  DropdownMenu,
+  DropdownToggle,
   Form,
+  FormFeedback,
   Input,
   InputGroup,
   InputGroupAddon,
@@ -15,6 +19,7 @@ import {
   ModalBody,
   ModalFooter,
   ModalHeader,
+  UncontrolledDropdown,
 } from 'reactstrap';
 
 import { makeFilter } from 'filtering/FilterCards';
@@ -23,6 +28,7 @@ import { fromEntries } from 'utils/Util';
 
 import { ColorChecksAddon, ColorChecksControl } from 'components/ColorCheck';
 import LoadingButton from 'components/LoadingButton';
+import SavedFiltersModal from 'components/SavedFiltersModal';
 
 import TextField from 'components/TextField';
 import NumericField from 'components/NumericField';
@@ -337,6 +343,7 @@ class FilterCollapse extends Component {
     this.state = {
       loading: false,
       advancedOpen: false,
+      savedOpen: false,
       filterInput: this.props.defaultFilterText || '',
       ...fromEntries(allFields.map((n) => [n, ''])),
       ...fromEntries(numFields.map((n) => [n + 'Op', '='])),
@@ -350,6 +357,8 @@ class FilterCollapse extends Component {
     };
 
     this.toggleAdvanced = this.toggleAdvanced.bind(this);
+    this.toggleSaved = this.toggleSaved.bind(this);
+    this.applySaved = this.applySaved.bind(this);
     this.applyAdvanced = this.applyAdvanced.bind(this);
     this.applyQuick = this.applyQuick.bind(this);
     this.updateFilters = this.updateFilters.bind(this);
@@ -380,6 +389,22 @@ class FilterCollapse extends Component {
     });
   }
 
+  toggleSaved() {
+    this.setState({
+      savedOpen: !this.state.savedOpen,
+    });
+  }
+
+  savedFilters() {
+    return this.context.cube.savedFilters ?? [];
+  }
+
+  async applySaved(name) {
+    const filterInput = `filter:${name}`;
+    this.setState({ filterInput });
+    await this.updateFilters(filterInput);
+  }
+
   async applyAdvanced() {
     // Advanced Filter change. Render to filter input.
     const tokens = [];
@@ -457,7 +482,7 @@ class FilterCollapse extends Component {
       return;
     }
 
-    const { filter, err } = makeFilter(filterInput);
+    const { filter, err } = makeFilter(filterInput, this.savedFilters());
     if (err) {
       console.error(err);
       return;
@@ -498,12 +523,12 @@ class FilterCollapse extends Component {
 
   render() {
     const { filter, setFilter, numCards, numShown, useQuery, defaultFilterText, noCount, ...props } = this.props;
-    const { loading, filterInput, advancedOpen } = this.state;
-    const { err } = makeFilter(filterInput);
+    const { loading, filterInput, advancedOpen, savedOpen } = this.state;
+    const { canEdit } = this.context;
+    const savedFilters = this.savedFilters();
+    const { err } = makeFilter(filterInput, savedFilters);
     const valid = !err;
-    if (err) {
-      console.warn('Error parsing', err);
-    }
+    const showError = filterInput.length > 0 && !!err;
     const appliedText =
       'Filters applied' +
       (typeof numCards !== 'undefined' ? `: ${numCards} cards` : '') +
@@ -514,7 +539,7 @@ class FilterCollapse extends Component {
         <Row>
           <Col>
             <Form>
-              <InputGroup className="mb-3">
+              <InputGroup className={showError ? 'mb-1' : 'mb-3'}>
                 <InputGroupAddon addonType="prepend">
                   <InputGroupText htmlFor="filterInput">Filter</InputGroupText>
                 </InputGroupAddon>
@@ -536,6 +561,7 @@ class FilterCollapse extends Component {
                   </LoadingButton>
                 </InputGroupAddon>
               </InputGroup>
+              {showError && <FormFeedback className="d-block mb-3">{err.message}</FormFeedback>}
             </Form>
           </Col>
         </Row>
@@ -634,6 +660,22 @@ class FilterCollapse extends Component {
             <Button color="primary" className="mr-2 mb-3" onClick={this.toggleAdvanced}>
               Advanced...
             </Button>
+            {(savedFilters.length > 0 || canEdit) && (
+              <UncontrolledDropdown className="d-inline-block mr-2 mb-3">
+                <DropdownToggle caret color="primary">
+                  Saved Filters
+                </DropdownToggle>
+                <DropdownMenu>
+                  {savedFilters.map(({ name, filter: savedFilter }) => (
+                    <DropdownItem key={name} title={savedFilter} onClick={() => this.applySaved(name)}>
+                      {name}
+                    </DropdownItem>
+                  ))}
+                  {canEdit && savedFilters.length > 0 && <DropdownItem divider />}
+                  {canEdit && <DropdownItem onClick={this.toggleSaved}>Save and Edit Filters...</DropdownItem>}
+                </DropdownMenu>
+              </UncontrolledDropdown>
+            )}
             <Button color="secondary" className="mr-2 mb-3" href="/filters">
               Syntax Guide
             </Button>
@@ -646,9 +688,12 @@ class FilterCollapse extends Component {
           values={this.state}
           onChange={this.handleChange}
         />
+        {canEdit && <SavedFiltersModal isOpen={savedOpen} toggle={this.toggleSaved} currentFilter={filterInput} />}
       </Collapse>
     );
   }
 }
 
+FilterCollapse.contextType = CubeContext;
+
 export default FilterCollapse;
@@ -0,0 +1,249 @@
+import React, { useCallback, useContext, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Alert,
+  Button,
+  Col,
+  CustomInput,
+  InputGroup,
+  InputGroupAddon,
+  InputGroupText,
+  ListGroup,
+  Row,
+  Spinner,
+  Table,
+} from 'reactstrap';
+
+import CardPropType from 'proptypes/CardPropType';
+import { postJson } from 'utils/CSRF';
+
+import AutocardListItem from 'components/AutocardListItem';
+import CubeContext from 'contexts/CubeContext';
+
+const ITERATION_OPTIONS = [100, 500, 1000];
+const TOP_TAGS = 10;
+
+const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const CountList = ({ counts }) =>
+  counts.length > 0 ? (
+    <ul className="list-unstyled mb-0">
+      {counts.map(({ name, count }) => (
+        <li key={name}>
+          {name}: {round(count)}
+        </li>
+      ))}
+    </ul>
+  ) : (
+    <em>None</em>
+  );
+
+CountList.propTypes = {
+  counts: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string, count: PropTypes.number })).isRequired,
+};
+
+const SimulationResults = ({ simulation }) => {
+  const { builtDrafts, iterations, seats } = simulation;
+  const ranOut = simulation.slots.filter((slot) => slot.ranOut > 0).sort((a, b) => b.ranOutFirst - a.ranOutFirst);
+  return (
+    <>
+      <p>
+        Built {builtDrafts} of {iterations} drafts for {seats} players. Seed: <code>{simulation.seed}</code>
+      </p>
+      {builtDrafts < iterations && (
+        <Alert color="danger">
+          {percent(1 - builtDrafts / iterations)} of drafts could not be built because a slot ran out of cards.
+        </Alert>
+      )}
+      <h6>Slots That Run Out</h6>
+      {ranOut.length > 0 ? (
+        <Table size="sm" responsive>
+          <thead>
+            <tr>
+              <th>Slot</th>
+              <th>Filters</th>
+              <th>Ran Out</th>
+              <th>Ran Out First</th>
+              <th>Draft Failed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ranOut.map((slot) => (
+              <tr key={`${slot.pack}-${slot.slot}`}>
+                <td>
+                  Pack {slot.pack + 1}, Card {slot.slot + 1}
+                </td>
+                <td>{slot.filters.join(', ')}</td>
+                <td>{percent(slot.ranOut / iterations)}</td>
+                <td>{percent(slot.ranOutFirst / iterations)}</td>
+                <td>{percent(slot.failed / iterations)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      ) : (
+        <p>No slot ran out of cards.</p>
+      )}
+      <h6>Expected Cards per Pack</h6>
+      <Table size="sm" responsive>
+        <thead>
+          <tr>
+            <th>Pack</th>
+            <th>Colors</th>
+            <th>Types</th>
+            <th>Tags</th>
+          </tr>
+        </thead>
+        <tbody>
+          {simulation.packs.map((pack, packIndex) => (
+            // eslint-disable-next-line react/no-array-index-key
+            <tr key={packIndex}>
+              <td>{packIndex + 1}</td>
+              <td>
+                <CountList counts={pack.colors} />
+              </td>
+              <td>
+                <CountList counts={pack.types} />
+              </td>
+              <td>
+                <CountList counts={pack.tags.slice(0, TOP_TAGS)} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+      <h6>Duplicates</h6>
+      <p>
+        {percent(simulation.packsWithDuplicates)} of packs and {percent(simulation.draftsWithDuplicates)} of drafts had
+        more than one copy of the same card.
+      </p>
+      {simulation.samplePacks.length > 0 && (
+        <>
+          <h6>Sample Packs</h6>
+          <Row>
+            {simulation.samplePacks.map((pack, packIndex) => (
+              // eslint-disable-next-line react/no-array-index-key
+              <Col key={packIndex} xs="12" md="4" className="mb-3">
+                <ListGroup>
+                  <li className="list-group-item list-group-item-secondary">Pack {packIndex + 1}</li>
+                  {pack.map((card, cardIndex) => (
+                    // eslint-disable-next-line react/no-array-index-key
+                    <AutocardListItem key={cardIndex} card={card} noCardModal inModal />
+                  ))}
+                </ListGroup>
+              </Col>
+            ))}
+          </Row>
+        </>
+      )}
+    </>
+  );
+};
+
+SimulationResults.propTypes = {
+  simulation: PropTypes.shape({
+    seed: PropTypes.string.isRequired,
+    seats: PropTypes.number.isRequired,
+    iterations: PropTypes.number.isRequired,
+    builtDrafts: PropTypes.number.isRequired,
+    slots: PropTypes.arrayOf(
+      PropTypes.shape({
+        pack: PropTypes.number.isRequired,
+        slot: PropTypes.number.isRequired,
+        filters: PropTypes.arrayOf(PropTypes.string).isRequired,
+        ranOut: PropTypes.number.isRequired,
+        ranOutFirst: PropTypes.number.isRequired,
+        failed: PropTypes.number.isRequired,
+      }),
+    ).isRequired,
+    packs: PropTypes.arrayOf(
+      PropTypes.shape({
+        colors: CountList.propTypes.counts,
+        types: CountList.propTypes.counts,
+        tags: CountList.propTypes.counts,
+      }),
+    ).isRequired,
+    packsWithDuplicates: PropTypes.number.isRequired,
+    draftsWithDuplicates: PropTypes.number.isRequired,
+    samplePacks: PropTypes.arrayOf(PropTypes.arrayOf(CardPropType)).isRequired,
+  }).isRequired,
+};
+
+// Runs the format being edited many times on the server and shows how its packs come out, so problems show up before
+// the format is saved rather than when a draft fails.
+const FormatSimulation = ({ format }) => {
+  const { cubeID } = useContext(CubeContext);
+  const [iterations, setIterations] = useState(1000);
+  const [loading, setLoading] = useState(false);
+  const [simulation, setSimulation] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const handleSimulate = useCallback(async () => {
+    setLoading(true);
+    const response = await postJson(`/cube/api/simulateformat/${cubeID}`, {
+      format: { packs: format.packs, multiples: format.multiples },
+      seats: Number.isFinite(format.defaultSeats) ? format.defaultSeats : 8,
+      iterations,
+    });
+    const json = await response.json();
+    if (response.ok) {
+      setSimulation(json.simulation);
+      setErrors([]);
+    } else {
+      setSimulation(null);
+      setErrors([...(json.errors ?? []), ...(json.message ? [json.message] : [])]);
+    }
+    setLoading(false);
+  }, [cubeID, format, iterations]);
+
+  return (
+    <>
+      <h6 className="mt-3">Test Format</h6>
+      <InputGroup className="mb-3">
+        <InputGroupAddon addonType="prepend">
+          <InputGroupText>Drafts</InputGroupText>
+        </InputGroupAddon>
+        <CustomInput
+          type="select"
+          id="simulationIterations"
+          value={iterations}
+          onChange={(event) => setIterations(parseInt(event.target.value, 10))}
+        >
+          {ITERATION_OPTIONS.map((count) => (
+            <option key={count} value={count}>
+              {count}
+            </option>
+          ))}
+        </CustomInput>
+        <InputGroupAddon addonType="append">
+          <Button color="success" onClick={handleSimulate} disabled={loading}>
+            Simulate
+          </Button>
+        </InputGroupAddon>
+      </InputGroup>
+      {loading && (
+        <div className="centered py-3">
+          <Spinner className="position-absolute" />
+        </div>
+      )}
+      {errors.map((error) => (
+        <Alert key={error} color="danger">
+          {error}
+        </Alert>
+      ))}
+      {!loading && simulation && <SimulationResults simulation={simulation} />}
+    </>
+  );
+};
+
+FormatSimulation.propTypes = {
+  format: PropTypes.shape({
+    packs: PropTypes.arrayOf(PropTypes.shape({ slots: PropTypes.arrayOf(PropTypes.string) })),
+    multiples: PropTypes.bool,
+    defaultSeats: PropTypes.number,
+  }).isRequired,
+};
+
+export default FormatSimulation;
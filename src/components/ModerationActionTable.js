@@ -0,0 +1,57 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import TimeAgo from 'react-timeago';
+
+import { Badge, Table } from 'reactstrap';
+
+import ModerationActionPropType from 'proptypes/ModerationActionPropType';
+
+const ModerationActionTable = ({ actions }) => (
+  <Table size="sm" responsive className="mb-0">
+    <thead>
+      <tr>
+        <th>When</th>
+        <th>By</th>
+        <th>Action</th>
+        <th>User</th>
+        <th>Reason</th>
+        <th>Links</th>
+      </tr>
+    </thead>
+    <tbody>
+      {actions.map((action) => (
+        <tr key={action._id}>
+          <td>
+            <TimeAgo date={action.date} />
+          </td>
+          <td>
+            <a href={`/user/view/${action.actor}`}>{action.actorName}</a>{' '}
+            <Badge color={action.role === 'admin' ? 'danger' : 'secondary'}>
+              {action.role === 'admin' ? 'Admin' : 'Cube Owner'}
+            </Badge>
+          </td>
+          <td>
+            {action.description}
+            {action.until && <em>{` (until ${new Date(action.until).toLocaleString()})`}</em>}
+          </td>
+          <td>{action.user && <a href={`/admin/moderation/user/${action.user}`}>{action.userName}</a>}</td>
+          <td>{action.reason}</td>
+          <td>
+            {action.comment && (
+              <a className="mr-2" href={`/comment/${action.comment}`}>
+                Comment
+              </a>
+            )}
+            {action.cube && <a href={`/cube/overview/${action.cube}`}>Cube</a>}
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </Table>
+);
+
+ModerationActionTable.propTypes = {
+  actions: PropTypes.arrayOf(ModerationActionPropType).isRequired,
+};
+
+export default ModerationActionTable;
@@ -2,17 +2,24 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import TimeAgo from 'react-timeago';
 
+import { NOTIFICATION_TYPES } from 'utils/Notifications';
+
 const Notification = ({ notification }) => {
   const texts = notification.text.split(notification.user_from_name);
+  // Following the link marks the notification read.
+  const url = `/user/notification/${notification._id}`;
   return (
-    <a className="no-underline-hover" href={notification.url}>
+    <a className="no-underline-hover" href={url}>
       <div className="border-top pb-2 pt-3 px-2 deck-preview">
-        <h6 className="card-subtitle mb-2 text-muted">
-          <a href={notification.url}>{texts[0]}</a>
+        <h6 className={`card-subtitle mb-2 ${notification.read ? 'text-muted' : 'font-weight-bold'}`}>
+          <a href={url}>{texts[0]}</a>
           <a href={`/user/view/${notification.user_from}`}>{notification.user_from_name}</a>
-          <a href={notification.url}>{texts[1]}</a>
+          <a href={url}>{texts[1]}</a>
           {' - '}
           <TimeAgo date={notification.date} />
+          {NOTIFICATION_TYPES[notification.type] && (
+            <span className="text-muted font-weight-normal"> ({NOTIFICATION_TYPES[notification.type].name})</span>
+          )}
         </h6>
       </div>
     </a>
@@ -21,7 +28,10 @@ const Notification = ({ notification }) => {
 
 Notification.propTypes = {
   notification: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
     text: PropTypes.string,
+    type: PropTypes.string,
+    read: PropTypes.bool,
     user_from_name: PropTypes.string,
     url: PropTypes.string,
     user_from: PropTypes.string,
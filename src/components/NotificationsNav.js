@@ -40,9 +40,9 @@ const NotificationsNav = () => {
         </CardHeader>
         <div className="sm-main-nav notification-scrollarea">
           {notifications.length > 0 ? (
-            notifications.slice(0, 100).map((notification, index) => (
-              <div className="user-notification py-3 px-2">
-                <a className="no-underline-hover" href={`/user/notification/${index}`}>
+            notifications.slice(0, 100).map((notification) => (
+              <div key={notification._id} className="user-notification py-3 px-2">
+                <a className="no-underline-hover" href={`/user/notification/${notification._id}`}>
                   <h6 className="card-subtitle">{notification.text}</h6>
                 </a>
               </div>
@@ -56,7 +56,7 @@ const NotificationsNav = () => {
         <CardFooter className="pb-1 pt-1">
           <h6>
             <a className="my-0 card-subtitle" href="/user/notifications">
-              View Older Notifications
+              View All Notifications
             </a>
           </h6>
         </CardFooter>
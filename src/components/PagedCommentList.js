@@ -5,7 +5,7 @@ import CommentPropType from 'proptypes/CommentPropType';
 import Comment from 'components/Comment';
 import PagedList from 'components/PagedList';
 
-const CommentList = ({ comments, startIndex, editComment }) => (
+const CommentList = ({ comments, startIndex, editComment, canModerate, moderateComment }) => (
   <PagedList
     pageSize={10}
     rows={comments
@@ -17,6 +17,8 @@ const CommentList = ({ comments, startIndex, editComment }) => (
           comment={comment}
           index={startIndex + comments.length - index}
           editComment={editComment}
+          canModerate={canModerate}
+          moderateComment={moderateComment}
         />
       ))}
   />
@@ -26,10 +28,14 @@ CommentList.propTypes = {
   comments: PropTypes.arrayOf(CommentPropType).isRequired,
   startIndex: PropTypes.number,
   editComment: PropTypes.func.isRequired,
+  canModerate: PropTypes.bool,
+  moderateComment: PropTypes.func,
 };
 
 CommentList.defaultProps = {
   startIndex: 0,
+  canModerate: false,
+  moderateComment: () => {},
 };
 
 export default CommentList;
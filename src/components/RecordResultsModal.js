@@ -0,0 +1,93 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import DeckPropType from 'proptypes/DeckPropType';
+
+import { Button, FormText, Input, Label, Modal, ModalBody, ModalFooter, ModalHeader, Table } from 'reactstrap';
+
+import CSRFForm from 'components/CSRFForm';
+
+const RESULTS = ['wins', 'losses', 'draws'];
+
+const ResultInputs = ({ prefix, record }) =>
+  RESULTS.map((result) => (
+    <td key={result}>
+      <Input
+        type="number"
+        bsSize="sm"
+        min={0}
+        max={100}
+        name={prefix ? `${prefix}[${result}]` : result}
+        defaultValue={(record && record[result]) || 0}
+        aria-label={result}
+      />
+    </td>
+  ));
+
+const RecordResultsModal = ({ isOpen, toggle, deck, seatIndex }) => {
+  const seat = deck.seats[seatIndex];
+  const matchups = seat.matchups || [];
+
+  return (
+    <Modal isOpen={isOpen} toggle={toggle}>
+      <ModalHeader toggle={toggle}>Record Results for {seat.username || seat.name}</ModalHeader>
+      <CSRFForm method="POST" action={`/cube/deck/record/${deck._id}/${seatIndex}`}>
+        <ModalBody>
+          <p>Enter how many matches this deck won, lost and drew. Results feed the win rates on the analysis page.</p>
+          <Table size="sm" borderless className="mb-0">
+            <thead>
+              <tr>
+                <th>Opponent</th>
+                <th>Wins</th>
+                <th>Losses</th>
+                <th>Draws</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <th scope="row">
+                  <Label className="mb-0">Total</Label>
+                </th>
+                <ResultInputs record={seat.record} />
+              </tr>
+              {deck.seats.map(
+                (opponent, index) =>
+                  index !== seatIndex && (
+                    <tr key={opponent._id || index}>
+                      <th scope="row" className="font-weight-normal">
+                        vs. {opponent.username || opponent.name}
+                      </th>
+                      <ResultInputs
+                        prefix={`matchups[${index}]`}
+                        record={matchups.find((matchup) => matchup.opponent === index)}
+                      />
+                    </tr>
+                  ),
+              )}
+            </tbody>
+          </Table>
+          <FormText>
+            If you enter results against other seats, they are also saved for those seats and the total is worked out
+            from them.
+          </FormText>
+        </ModalBody>
+        <ModalFooter>
+          <Button type="submit" color="success">
+            Save Results
+          </Button>
+          <Button color="secondary" onClick={toggle}>
+            Cancel
+          </Button>
+        </ModalFooter>
+      </CSRFForm>
+    </Modal>
+  );
+};
+
+RecordResultsModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  toggle: PropTypes.func.isRequired,
+  deck: DeckPropType.isRequired,
+  seatIndex: PropTypes.number.isRequired,
+};
+
+export default RecordResultsModal;
@@ -0,0 +1,153 @@
+import React, { useCallback, useContext, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  FormFeedback,
+  FormText,
+  Input,
+  Modal,
+  ModalBody,
+  ModalFooter,
+  ModalHeader,
+  Table,
+  UncontrolledAlert,
+} from 'reactstrap';
+
+import { makeFilter } from 'filtering/FilterCards';
+import { postJson } from 'utils/CSRF';
+
+import CubeContext from 'contexts/CubeContext';
+
+const NAME_REGEX = /^[A-Za-z0-9_-]{1,50}$/;
+
+const rowError = (rows, index) => {
+  const { name, filter } = rows[index];
+  if (!NAME_REGEX.test(name)) {
+    return 'Names must contain only letters, numbers, dashes, and underscores.';
+  }
+  if (rows.some((row, other) => other !== index && row.name.toLowerCase() === name.toLowerCase())) {
+    return 'Another saved filter has this name.';
+  }
+  if (filter.trim() === '') {
+    return 'The filter may not be empty.';
+  }
+  const { err } = makeFilter(filter, rows);
+  return err ? err.message : null;
+};
+
+const SavedFiltersModal = ({ isOpen, toggle, currentFilter }) => {
+  const { cube, cubeID, setCube } = useContext(CubeContext);
+  const [rows, setRows] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+
+  useEffect(() => {
+    if (isOpen) {
+      const saved = (cube.savedFilters ?? []).map(({ name, filter }) => ({ name, filter }));
+      const isSaved = saved.some(({ filter }) => filter === currentFilter.trim());
+      setRows(currentFilter.trim() !== '' && !isSaved ? [...saved, { name: '', filter: currentFilter }] : saved);
+      setAlerts([]);
+    }
+  }, [isOpen, cube.savedFilters, currentFilter]);
+
+  const handleChange = useCallback((index, field, value) => {
+    setRows((current) => current.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  }, []);
+
+  const handleAdd = useCallback(() => setRows((current) => [...current, { name: '', filter: '' }]), []);
+
+  const handleRemove = useCallback((index) => setRows((current) => current.filter((_, i) => i !== index)), []);
+
+  const errors = rows.map((_, index) => rowError(rows, index));
+
+  const handleSave = useCallback(async () => {
+    const response = await postJson(`/cube/api/savedfilters/${cubeID}`, { filters: rows });
+    const json = await response.json();
+    if (response.ok) {
+      setCube((current) => ({ ...current, savedFilters: json.savedFilters }));
+      toggle();
+    } else {
+      setAlerts([...(json.errors ?? []), ...(json.message ? [json.message] : [])]);
+    }
+  }, [cubeID, rows, setCube, toggle]);
+
+  return (
+    <Modal isOpen={isOpen} toggle={toggle} size="lg">
+      <ModalHeader toggle={toggle}>Saved Filters</ModalHeader>
+      <ModalBody>
+        {alerts.map((message) => (
+          <UncontrolledAlert key={message} color="danger">
+            {message}
+          </UncontrolledAlert>
+        ))}
+        <FormText className="mb-3">
+          Saved filters can be picked from the filter bar or used in any filter on this cube as <code>filter:name</code>
+          , including in the slots of custom draft formats.
+        </FormText>
+        <Table size="sm">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Filter</th>
+              <th>Remove</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ name, filter }, index) => (
+              // eslint-disable-next-line react/no-array-index-key
+              <tr key={index}>
+                <td style={{ width: '25%' }}>
+                  <Input
+                    bsSize="sm"
+                    aria-label="Name"
+                    value={name}
+                    placeholder="e.g. removal"
+                    onChange={(event) => handleChange(index, 'name', event.target.value)}
+                  />
+                </td>
+                <td>
+                  <Input
+                    bsSize="sm"
+                    aria-label="Filter"
+                    value={filter}
+                    invalid={!!errors[index]}
+                    onChange={(event) => handleChange(index, 'filter', event.target.value)}
+                  />
+                  {errors[index] && <FormFeedback>{errors[index]}</FormFeedback>}
+                </td>
+                <td>
+                  <Button size="sm" color="danger" onClick={() => handleRemove(index)}>
+                    Remove
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        <Button color="success" size="sm" onClick={handleAdd}>
+          Add Filter
+        </Button>
+      </ModalBody>
+      <ModalFooter>
+        <Button color="secondary" onClick={toggle}>
+          Close
+        </Button>{' '}
+        <Button color="success" onClick={handleSave} disabled={errors.some((err) => err)}>
+          Save Changes
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
+
+SavedFiltersModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  toggle: PropTypes.func.isRequired,
+  currentFilter: PropTypes.string,
+};
+
+SavedFiltersModal.defaultProps = {
+  currentFilter: '',
+};
+
+export default SavedFiltersModal;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import DeckPropType from 'proptypes/DeckPropType';
+
+import { Button, FormGroup, FormText, Input, Label, Modal, ModalBody, ModalFooter, ModalHeader } from 'reactstrap';
+
+import CSRFForm from 'components/CSRFForm';
+
+const StartEventModal = ({ isOpen, toggle, deck }) => {
+  const [format, setFormat] = useState('swiss');
+  // Bots don't play matches, so only the seats with a user are entered by default.
+  const [seats, setSeats] = useState(deck.seats.map((seat) => !!seat.userid));
+  const numPlayers = seats.filter((entered) => entered).length;
+
+  const toggleSeat = (index) => setSeats(seats.map((entered, i) => (i === index ? !entered : entered)));
+
+  return (
+    <Modal isOpen={isOpen} toggle={toggle}>
+      <ModalHeader toggle={toggle}>Start Event</ModalHeader>
+      <CSRFForm method="POST" action={`/cube/event/create/${deck._id}`}>
+        <ModalBody>
+          <FormGroup>
+            <Label for="eventFormat">Pairings</Label>
+            <Input
+              type="select"
+              id="eventFormat"
+              name="format"
+              value={format}
+              onChange={(event) => setFormat(event.target.value)}
+            >
+              <option value="swiss">Swiss</option>
+              <option value="roundrobin">Round Robin</option>
+            </Input>
+          </FormGroup>
+          {format === 'swiss' && (
+            <FormGroup>
+              <Label for="eventRounds">Rounds</Label>
+              <Input type="number" id="eventRounds" name="rounds" min={1} max={Math.max(numPlayers, 1)} />
+              <FormText>Leave empty to play enough rounds to find a single undefeated player.</FormText>
+            </FormGroup>
+          )}
+          <Label>Players</Label>
+          {deck.seats.map((seat, index) => (
+            <FormGroup check key={seat._id || index}>
+              <Label check>
+                <Input
+                  type="checkbox"
+                  name="seats"
+                  value={index}
+                  checked={seats[index]}
+                  onChange={() => toggleSeat(index)}
+                />{' '}
+                {seat.username || seat.name}
+              </Label>
+            </FormGroup>
+          ))}
+        </ModalBody>
+        <ModalFooter>
+          <Button type="submit" color="success" disabled={numPlayers < 2}>
+            Start Event
+          </Button>
+          <Button color="secondary" onClick={toggle}>
+            Cancel
+          </Button>
+        </ModalFooter>
+      </CSRFForm>
+    </Modal>
+  );
+};
+
+StartEventModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  toggle: PropTypes.func.isRequired,
+  deck: DeckPropType.isRequired,
+};
+
+export default StartEventModal;
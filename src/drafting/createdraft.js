@@ -11,7 +11,8 @@ export const matchingCards = (cards, filter) => {
   return cards;
 };
 
-const compileFilter = (filterText) => {
+// Slots are either a tag name or a filter, which can use the cube's saved filters as filter:name.
+const compileFilter = (filterText, savedFilters) => {
   if (!filterText || filterText === '' || filterText === '*') {
     return null;
   }
@@ -25,17 +26,17 @@ const compileFilter = (filterText) => {
     }
     tagfilterText = `tag:${tagfilterText}`; // TODO: use tag instead of 'tag'
   }
-  const { filter, err } = makeFilter(tagfilterText || filterText);
+  const { filter, err } = makeFilter(tagfilterText || filterText, savedFilters);
   if (err) {
     throw new Error(`Invalid card filter: ${filterText}`);
   }
   return filter;
 };
 
-export const parseDraftFormat = (format, splitter = ',') => {
+export const parseDraftFormat = (format, splitter = ',', savedFilters = []) => {
   const result = format.map((pack) => ({
     ...pack,
-    slots: pack.slots.map((slot) => slot.split(splitter).map((txt) => compileFilter(txt.trim()))),
+    slots: pack.slots.map((slot) => slot.split(splitter).map((txt) => compileFilter(txt.trim(), savedFilters))),
   }));
   return result;
 };
@@ -159,7 +160,7 @@ const customDraftAsfan = (cards, duplicates = false) => {
 export const getDraftFormat = (params, cube) => {
   let format;
   if (params.id >= 0) {
-    format = parseDraftFormat(cube.draft_formats[params.id].packs);
+    format = parseDraftFormat(cube.draft_formats[params.id].packs, ',', cube.savedFilters);
     format.custom = true;
     format.multiples = cube.draft_formats[params.id].multiples;
   } else {
@@ -5,6 +5,9 @@
 // BASICS : [str]
 // ORACLES : [Oracle]
 // ORACLES_BY_NAME : { [string]: Oracle }
+// BOT_PROFILES : { [str]: BotProfile }
+// DEFAULT_BOT_PROFILE : str
+// getProfileOracles : str -> [Oracle]
 // getSynergy : (int, int, [Card]) -> number
 // considerInCombination : ([Color], Card) -> bool
 // isPlayableLand : ([Color], Card) -> bool
@@ -30,6 +33,7 @@ import {
   cardElo,
   cardIsSpecialZoneType,
   cardName,
+  cardRarity,
   cardType,
 } from 'utils/Card';
 import { arraysAreEqualSets, fromEntries } from 'utils/Util';
@@ -416,7 +420,119 @@ export const ORACLES = Object.freeze(
     },
   ].map((oracle) => ({ ...oracle, computeWeight: (drafterState) => calculateWeight(oracle.weights, drafterState) })),
 );
-export const ORACLES_BY_NAME = Object.freeze(fromEntries(ORACLES.map((oracle) => [oracle.title, oracle])));
+
+const RARITY_VALUES = Object.freeze({ common: 0, uncommon: 0.4, rare: 0.8, mythic: 1, special: 1 });
+
+const averageValue = (idxs, probabilities, valueOf) =>
+  idxs.length > 0 ? idxs.reduce((acc, ci) => acc + probabilities[ci] * valueOf(ci), 0) / idxs.length : 0;
+
+// The main color of the first card picked that has one, which bots that force a color stick to.
+const forcedColor = ({ picked, cards }) =>
+  picked.map((ci) => cardColorIdentity(cards[ci]) ?? []).find((colors) => colors.length > 0)?.[0];
+
+// Oracles only some bot profiles use, with whatever weight the profile gives them, see BOT_PROFILES.
+const PROFILE_ORACLES = Object.freeze(
+  [
+    {
+      title: 'Rarity',
+      tooltip: 'How rare this card is.',
+      perConsideredCard: true,
+      computeValue: ({ cardIndices, cards, probabilities }) =>
+        MAX_SCORE * averageValue(cardIndices, probabilities, (ci) => RARITY_VALUES[cardRarity(cards[ci])] ?? 0),
+    },
+    {
+      title: 'Curve',
+      tooltip: 'How cheap this card is, if it is a creature.',
+      perConsideredCard: true,
+      computeValue: ({ cardIndices, cards, probabilities }) =>
+        MAX_SCORE *
+        averageValue(cardIndices, probabilities, (ci) =>
+          cardType(cards[ci]).match(/creature/i) ? Math.max(0, 4 - Math.max(1, cardCmc(cards[ci]))) / 3 : 0,
+        ),
+    },
+    {
+      title: 'Forced Color',
+      tooltip: 'Whether this card is in the main color of the first colored card picked.',
+      perConsideredCard: true,
+      computeValue: (botState) => {
+        const color = forcedColor(botState);
+        const { cardIndices, cards, probabilities } = botState;
+        return color
+          ? MAX_SCORE *
+              averageValue(cardIndices, probabilities, (ci) =>
+                (cardColorIdentity(cards[ci]) ?? []).includes(color) ? 1 : 0,
+              )
+          : 0;
+      },
+    },
+  ].map((oracle) => ({ ...oracle, weights: [[1]], computeWeight: () => 1 })),
+);
+
+export const ORACLES_BY_NAME = Object.freeze(
+  fromEntries([...ORACLES, ...PROFILE_ORACLES].map((oracle) => [oracle.title, oracle])),
+);
+
+// Named draftbot personalities. weights scale the weights of ORACLES, and oracles adds PROFILE_ORACLES with the given
+// weights.
+export const BOT_PROFILES = Object.freeze({
+  balanced: {
+    name: 'Balanced',
+    description: 'The standard draftbot, which weighs power, synergy and what colors are open.',
+    weights: {},
+    oracles: {},
+  },
+  rares: {
+    name: 'Rare Drafter',
+    description: 'Takes rare and mythic cards over better commons.',
+    weights: {},
+    oracles: { Rarity: 8 },
+  },
+  aggro: {
+    name: 'Aggro',
+    description: 'Prefers cheap creatures to build a fast deck.',
+    weights: { 'Internal Synergy': 0.5 },
+    oracles: { Curve: 6 },
+  },
+  forceColor: {
+    name: 'Forces a Color',
+    description: 'Sticks to the main color of its first pick, whatever else is open.',
+    weights: { Openness: 0 },
+    oracles: { 'Forced Color': 15 },
+  },
+  synergy: {
+    name: 'Synergy First',
+    description: 'Values how cards work together over how strong they are on their own.',
+    weights: { Rating: 0.5, 'Pick Synergy': 2, 'Internal Synergy': 2 },
+    oracles: {},
+  },
+  elo: {
+    name: 'Pure Elo',
+    description: 'Takes the highest rated card it can cast, ignoring synergy and what is open.',
+    weights: { 'Pick Synergy': 0, 'Internal Synergy': 0, Openness: 0 },
+    oracles: {},
+  },
+});
+export const DEFAULT_BOT_PROFILE = 'balanced';
+
+const profileOracles = fromEntries(
+  Object.entries(BOT_PROFILES).map(([id, { weights, oracles }]) => [
+    id,
+    [
+      ...ORACLES.map((oracle) => {
+        const scale = weights[oracle.title] ?? 1;
+        return { ...oracle, computeWeight: (drafterState) => scale * oracle.computeWeight(drafterState) };
+      }),
+      ...PROFILE_ORACLES.filter(({ title }) => oracles[title]).map((oracle) => ({
+        ...oracle,
+        computeWeight: (drafterState) => oracles[oracle.title] * oracle.computeWeight(drafterState),
+      })),
+    ],
+  ]),
+);
+
+// The oracles a bot with the profile scores cards with. Unknown profiles use the default one.
+export const getProfileOracles = (profile) =>
+  profileOracles[Object.prototype.hasOwnProperty.call(profileOracles, profile) ? profile : DEFAULT_BOT_PROFILE];
 
 const getAvailableLands = (pool, basics, cards) => {
   const availableLands = new Uint8Array(32);
@@ -474,12 +590,14 @@ const calculateProbabilities = ({ cards, seen, picked, basics, lands }) => {
 };
 
 const calculateScore = (botState) => {
-  const oracleResults = ORACLES.map(({ title, tooltip, computeWeight, computeValue }) => ({
-    title,
-    tooltip,
-    weight: computeWeight(botState),
-    value: computeValue(botState),
-  }));
+  const oracleResults = getProfileOracles(botState.botProfile).map(
+    ({ title, tooltip, computeWeight, computeValue }) => ({
+      title,
+      tooltip,
+      weight: computeWeight(botState),
+      value: computeValue(botState),
+    }),
+  );
   const score = oracleResults.reduce((acc, { weight, value }) => acc + weight * value, 0);
   if (botState.cardIndices.length === 0) {
     const nonlandProbability = sum(
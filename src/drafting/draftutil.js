@@ -2,7 +2,7 @@
 import seedrandom from 'seedrandom';
 
 import { moveOrAddCard } from 'drafting/DraftLocation';
-import { calculateBotPick } from 'drafting/draftbots';
+import { calculateBotPick, DEFAULT_BOT_PROFILE } from 'drafting/draftbots';
 import { cardType } from 'utils/Card';
 import { cmcColumn, toNullableInt } from 'utils/Util';
 
@@ -138,6 +138,7 @@ export const getDrafterState = ({ draft, seatNumber, pickNumber = -1, stepNumber
     stepNumber: curStepNumber,
     pickNumber: pickedNum + trashedNum,
     step: { action, amount },
+    botProfile: ourSeat.botProfile ?? DEFAULT_BOT_PROFILE,
   };
   return result;
 };
@@ -149,6 +150,32 @@ export const getDefaultPosition = (card, picks) => {
   return [row, col, colIndex];
 };
 
+// Records the cards every seat picked or trashed at the current step, picks[seatIndex] being the card index.
+export const applyPicks = (draft, action, picks) => {
+  if (action.match(/pick/)) {
+    return {
+      ...draft,
+      seats: draft.seats.map(({ pickorder, drafted, ...seat }, seatIndex) => ({
+        ...seat,
+        pickorder: [...pickorder, picks[seatIndex]],
+        drafted: moveOrAddCard(drafted, getDefaultPosition(draft.cards[picks[seatIndex]], drafted), picks[seatIndex]),
+      })),
+    };
+  }
+  if (action.match(/trash/)) {
+    return {
+      ...draft,
+      seats: draft.seats.map(({ trashorder, ...seat }, seatIndex) => ({
+        ...seat,
+        trashorder: [...trashorder, picks[seatIndex]],
+      })),
+    };
+  }
+  const errorStr = `Unrecognized action '${action}' in applyPicks`;
+  console.warn(errorStr);
+  throw new Error(errorStr);
+};
+
 export const allBotsDraft = (draft) => {
   let drafterStates = draft.seats.map((_, seatNumber) => getDrafterState({ draft, seatNumber }));
   let [
@@ -160,43 +187,14 @@ export const allBotsDraft = (draft) => {
   ] = drafterStates;
   const rng = seedrandom(draft.seed);
   while (numPacks > packNum) {
-    const currentDraft = draft;
     let picks;
     if (action.match(/random/)) {
       picks = drafterStates.map(({ cardsInPack }) => cardsInPack[Math.floor(rng() * cardsInPack.length)]);
-    }
-    if (action.match(/pick/)) {
-      if (!action.match(/random/)) {
-        picks = drafterStates.map((drafterState) => calculateBotPick(drafterState, false));
-      }
-      draft = {
-        ...draft,
-        seats: draft.seats.map(({ pickorder, drafted, ...seat }, seatIndex) => ({
-          ...seat,
-          pickorder: [...pickorder, picks[seatIndex]],
-          drafted: moveOrAddCard(
-            drafted,
-            getDefaultPosition(currentDraft.cards[picks[seatIndex]], drafted),
-            picks[seatIndex],
-          ),
-        })),
-      };
-    } else if (action.match(/trash/)) {
-      if (!action.match(/random/)) {
-        picks = drafterStates.map((drafterState) => calculateBotPick(drafterState, true));
-      }
-      draft = {
-        ...draft,
-        seats: draft.seats.map(({ trashorder, ...seat }, seatIndex) => ({
-          ...seat,
-          trashorder: [...trashorder, picks[seatIndex]],
-        })),
-      };
     } else {
-      const errorStr = `Unrecognized action '${action}' in allBotsDraft`;
-      console.warn(errorStr);
-      throw new Error(errorStr);
+      const trash = !!action.match(/trash/);
+      picks = drafterStates.map((drafterState) => calculateBotPick(drafterState, trash));
     }
+    draft = applyPicks(draft, action, picks);
     const constDraft = draft;
     drafterStates = draft.seats.map((_, seatNumber) => getDrafterState({ draft: constDraft, seatNumber }));
     [
@@ -210,3 +208,58 @@ export const allBotsDraft = (draft) => {
 
   return draft;
 };
+
+// The number of the pack each card of the draft was opened in.
+export const getPackByCard = (draft) => {
+  const packByCard = {};
+  for (const packs of draft.initial_state) {
+    for (const [packNum, { cards }] of packs.entries()) {
+      for (const cardIndex of cards) {
+        packByCard[cardIndex] = packNum;
+      }
+    }
+  }
+  return packByCard;
+};
+
+// Steps through a draft one pick number at a time for every seat at once. Each entry has the pack and pick, and for
+// every seat the drafter state before it took a card, the card index it picked or trashed and which it did. Stops at
+// the last pick every seat has made, so unfinished drafts can be looked at too.
+export const getDraftTimeline = (draft) => {
+  const numTaken = Math.min(...draft.seats.map(({ pickorder, trashorder }) => pickorder.length + trashorder.length));
+  const statesBySeat = draft.seats.map((_, seatNumber) =>
+    Array.from({ length: numTaken + 1 }, (__, pickNumber) => getDrafterState({ draft, seatNumber, pickNumber })),
+  );
+  // The drafter state for the first pick of a pack still has the number of the pack before it, so the pack is the one
+  // the card taken was opened in.
+  const packByCard = getPackByCard(draft);
+
+  const timeline = [];
+  let packStart = 0;
+  for (let pickNumber = 0; pickNumber < numTaken; pickNumber++) {
+    const seats = statesBySeat.map((states, seatIndex) => {
+      const drafterState = states[pickNumber];
+      const trashed = states[pickNumber + 1].trashedNum > drafterState.trashedNum;
+      const { pickorder, trashorder } = draft.seats[seatIndex];
+      return {
+        drafterState,
+        action: trashed ? 'trash' : 'pick',
+        card: trashed ? trashorder[drafterState.trashedNum] : pickorder[drafterState.pickedNum],
+      };
+    });
+    const packNum = packByCard[seats[0].card];
+    if (pickNumber > 0 && packNum !== timeline[pickNumber - 1].packNum) {
+      packStart = pickNumber;
+    }
+    const pickNum = pickNumber - packStart;
+    timeline.push({
+      packNum,
+      pickNum,
+      seats: seats.map(({ drafterState, ...seat }) => ({
+        ...seat,
+        drafterState: { ...drafterState, packNum, pickNum },
+      })),
+    });
+  }
+  return timeline;
+};
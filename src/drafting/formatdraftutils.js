@@ -0,0 +1,65 @@
+import { moveOrAddCard } from 'drafting/DraftLocation';
+import { getDefaultPosition } from 'drafting/draftutil';
+import rochester from 'drafting/formats/rochester';
+import solomon from 'drafting/formats/solomon';
+import winchester from 'drafting/formats/winchester';
+import winston from 'drafting/formats/winston';
+
+// Drafts that don't pass packs around. Each format is a state machine that starts from the draft's initial_state and
+// is stepped by the moves the seats make, so the state of a draft is always the replay of its moves. A step returns
+// the cards each seat gained from the move, and throws if the move isn't allowed.
+export const DRAFT_FORMATS = Object.freeze({ rochester, winston, winchester, solomon });
+
+export const replayFormatDraft = ({ format, initial_state, seats, moves }) => {
+  const { start, step } = DRAFT_FORMATS[format];
+  return moves.reduce((state, move) => step(state, move).state, start({ initial_state, seats }));
+};
+
+export const getFormatDrafterState = (draft, state, seatIndex) => {
+  const picked = draft.seats[seatIndex].pickorder;
+  return {
+    ...DRAFT_FORMATS[draft.format].progress(state, seatIndex, picked.length),
+    cards: draft.cards,
+    picked,
+    basics: draft.basics,
+    seen: state.seen[seatIndex],
+    pickNumber: picked.length,
+    turn: state.actor === seatIndex,
+  };
+};
+
+// Makes a move for the seat whose turn it is, returning the new draft and state. Throws if it is not that seat's turn
+// or the format doesn't allow the move.
+export const applyFormatMove = (draft, state, move) => {
+  if (state.actor === null) {
+    throw new Error('This draft is already finished.');
+  }
+  if (move.seat !== state.actor) {
+    throw new Error("It isn't your turn.");
+  }
+  const { state: newState, gains } = DRAFT_FORMATS[draft.format].step(state, move);
+  const seats = draft.seats.slice();
+  for (const [seatIndex, cardIndices] of gains) {
+    const seat = seats[seatIndex];
+    let { drafted } = seat;
+    for (const cardIndex of cardIndices) {
+      drafted = moveOrAddCard(drafted, getDefaultPosition(draft.cards[cardIndex], drafted), cardIndex);
+    }
+    seats[seatIndex] = { ...seat, drafted, pickorder: [...seat.pickorder, ...cardIndices] };
+  }
+  return { draft: { ...draft, seats, moves: [...draft.moves, move] }, state: newState };
+};
+
+// Makes the moves of the bot seats until it's a person's turn or the draft is finished.
+export const runFormatBots = (draft, state) => {
+  let current = { draft, state };
+  while (current.state.actor !== null && current.draft.seats[current.state.actor].bot) {
+    const { actor } = current.state;
+    const drafterState = getFormatDrafterState(current.draft, current.state, actor);
+    const move = DRAFT_FORMATS[draft.format].botMove(current.state, actor, drafterState);
+    current = applyFormatMove(current.draft, current.state, move);
+  }
+  return current;
+};
+
+export default { DRAFT_FORMATS, replayFormatDraft, getFormatDrafterState, applyFormatMove, runFormatBots };
@@ -0,0 +1,81 @@
+import { calculateBotPick } from 'drafting/draftbots';
+
+// Rochester drafts open one pack at a time, face up for the whole table. The seat that opened the pack picks first,
+// then the picks go around the table and back again (snake order) until the pack is empty. Every seat opens a pack in
+// turn, and each round the picks go around the table the other way.
+
+const pickerOf = ({ numSeats }, packIndex, pickInPack) => {
+  const opener = packIndex % numSeats;
+  const direction = Math.floor(packIndex / numSeats) % 2 === 0 ? 1 : -1;
+  const lap = pickInPack % (2 * numSeats);
+  const offset = lap < numSeats ? lap : 2 * numSeats - 1 - lap;
+  return (((opener + direction * offset) % numSeats) + numSeats) % numSeats;
+};
+
+const openPack = (state, packIndex) => {
+  if (packIndex >= state.packs.length) {
+    return { ...state, packIndex, pack: [], actor: null };
+  }
+  const pack = state.packs[packIndex];
+  const seen = [...state.seen[0], ...pack];
+  return {
+    ...state,
+    packIndex,
+    pack,
+    picksInPack: 0,
+    actor: pickerOf(state, packIndex, 0),
+    seen: state.seen.map(() => seen),
+  };
+};
+
+const start = ({ initial_state: packs, seats }) =>
+  openPack(
+    {
+      packs,
+      numSeats: seats.length,
+      numRounds: Math.ceil(packs.length / seats.length),
+      seen: seats.map(() => []),
+    },
+    0,
+  );
+
+const step = (state, { seat, action, cards }) => {
+  if (action !== 'pick' || !cards || cards.length !== 1 || !state.pack.includes(cards[0])) {
+    throw new Error('Pick one card from the open pack.');
+  }
+  const pack = state.pack.filter((cardIndex) => cardIndex !== cards[0]);
+  const gains = [[seat, cards]];
+  if (pack.length === 0) {
+    return { state: openPack(state, state.packIndex + 1), gains };
+  }
+  const picksInPack = state.picksInPack + 1;
+  return {
+    state: { ...state, pack, picksInPack, actor: pickerOf(state, state.packIndex, picksInPack) },
+    gains,
+  };
+};
+
+// Over a round every seat picks as many cards as there are in a pack.
+const progress = (state) => {
+  const packSize = state.packs[0].length;
+  const packInRound = state.packIndex % state.numSeats;
+  return {
+    packNum: Math.min(Math.floor(state.packIndex / state.numSeats), state.numRounds - 1),
+    numPacks: state.numRounds,
+    packSize,
+    pickNum: Math.min(Math.floor((packInRound * packSize + state.picksInPack) / state.numSeats), packSize - 1),
+    cardsInPack: state.pack,
+  };
+};
+
+const botMove = (state, seat, drafterState) => ({ seat, action: 'pick', cards: [calculateBotPick(drafterState)] });
+
+export default {
+  name: 'Rochester',
+  minSeats: 2,
+  maxSeats: 8,
+  start,
+  step,
+  progress,
+  botMove,
+};
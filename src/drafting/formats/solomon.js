@@ -0,0 +1,84 @@
+import { evaluateCardsOrPool } from 'drafting/draftbots';
+
+// Solomon drafts are for two players. Each round eight cards from the deck are revealed, one player splits them into
+// two piles and the other player chooses which pile they want, leaving the other pile to the player who split them.
+// The players take turns splitting, and the draft ends when the deck is empty.
+
+const GROUP_SIZE = 8;
+
+const reveal = (state, round) => {
+  const group = state.deck.slice(round * GROUP_SIZE, (round + 1) * GROUP_SIZE);
+  if (group.length === 0) {
+    return { ...state, round, group, piles: null, actor: null };
+  }
+  const seen = [...state.seen[0], ...group];
+  return { ...state, round, group, piles: null, actor: round % 2, seen: state.seen.map(() => seen) };
+};
+
+const start = ({ initial_state: [deck] }) => reveal({ deck, seen: [[], []] }, 0);
+
+const step = (state, { seat, action, cards, pile }) => {
+  if (!state.piles) {
+    const first = [...new Set(cards ?? [])];
+    if (action !== 'split' || first.some((cardIndex) => !state.group.includes(cardIndex))) {
+      throw new Error('Split the revealed cards into two piles.');
+    }
+    const piles = [first, state.group.filter((cardIndex) => !first.includes(cardIndex))];
+    return { state: { ...state, piles, actor: 1 - seat }, gains: [] };
+  }
+  if (action !== 'choose' || ![0, 1].includes(pile)) {
+    throw new Error('Choose one of the two piles.');
+  }
+  return {
+    state: reveal(state, state.round + 1),
+    gains: [
+      [seat, state.piles[pile]],
+      [1 - seat, state.piles[1 - pile]],
+    ],
+  };
+};
+
+const progress = (state, seat, numPicked) => {
+  const packSize = Math.ceil(state.deck.length / 2);
+  return {
+    packNum: 0,
+    numPacks: 1,
+    packSize,
+    pickNum: Math.min(numPicked, packSize - 1),
+    cardsInPack: state.group,
+  };
+};
+
+// Bots split the cards so that the piles are worth as close to the same to them as they can find, trying the best
+// cards on their own against the rest. They choose whichever pile is worth more to them.
+const botMove = (state, seat, drafterState) => {
+  if (state.piles) {
+    const [first, second] = state.piles.map((cards) => evaluateCardsOrPool(cards, drafterState).score);
+    return { seat, action: 'choose', pile: first >= second ? 0 : 1 };
+  }
+  const ranked = state.group
+    .map((cardIndex) => [evaluateCardsOrPool(cardIndex, drafterState).score, cardIndex])
+    .sort(([a], [b]) => b - a)
+    .map(([, cardIndex]) => cardIndex);
+  let best = null;
+  for (let size = 1; size <= Math.ceil(ranked.length / 2); size++) {
+    const first = ranked.slice(0, size);
+    const difference = Math.abs(
+      evaluateCardsOrPool(first, drafterState).score - evaluateCardsOrPool(ranked.slice(size), drafterState).score,
+    );
+    if (!best || difference < best.difference) {
+      best = { first, difference };
+    }
+  }
+  return { seat, action: 'split', cards: best.first };
+};
+
+export default {
+  name: 'Solomon',
+  minSeats: 2,
+  maxSeats: 2,
+  start,
+  step,
+  progress,
+  botMove,
+};
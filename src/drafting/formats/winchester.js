@@ -0,0 +1,69 @@
+import { evaluateCardsOrPool } from 'drafting/draftbots';
+
+// Winchester drafts are for two players, with four face up piles that each start with one card from the deck. On their
+// turn a player takes all of one pile, then a card from the deck is added to each pile. The draft ends when the deck
+// and the piles are empty.
+
+const NUM_PILES = 4;
+
+const deal = (state) => {
+  const piles = state.piles.slice();
+  let { next } = state;
+  for (let pile = 0; pile < NUM_PILES && next < state.deck.length; pile++) {
+    piles[pile] = [...piles[pile], state.deck[next]];
+    next += 1;
+  }
+  const seen = [...state.seen[0], ...state.deck.slice(state.next, next)];
+  return { ...state, piles, next, seen: state.seen.map(() => seen) };
+};
+
+const start = ({ initial_state: [deck] }) =>
+  deal({
+    deck,
+    next: 0,
+    piles: Array.from({ length: NUM_PILES }, () => []),
+    actor: 0,
+    seen: [[], []],
+  });
+
+const step = (state, { seat, action, pile }) => {
+  if (action !== 'take' || !(state.piles[pile]?.length > 0)) {
+    throw new Error('Take one of the piles with cards in it.');
+  }
+  const gains = [[seat, state.piles[pile]]];
+  const piles = state.piles.slice();
+  piles[pile] = [];
+  const dealt = deal({ ...state, piles });
+  const done = dealt.piles.every((cards) => cards.length === 0);
+  return { state: { ...dealt, actor: done ? null : 1 - state.actor }, gains };
+};
+
+const progress = (state, seat, numPicked) => {
+  const packSize = Math.ceil(state.deck.length / 2);
+  return {
+    packNum: 0,
+    numPacks: 1,
+    packSize,
+    pickNum: Math.min(numPicked, packSize - 1),
+    cardsInPack: state.piles.flat(),
+  };
+};
+
+const botMove = (state, seat, drafterState) => {
+  const [, pile] = state.piles
+    .map((cards, index) => [cards, index])
+    .filter(([cards]) => cards.length > 0)
+    .map(([cards, index]) => [evaluateCardsOrPool(cards, drafterState).score, index])
+    .sort(([a], [b]) => b - a)[0];
+  return { seat, action: 'take', pile };
+};
+
+export default {
+  name: 'Winchester',
+  minSeats: 2,
+  maxSeats: 2,
+  start,
+  step,
+  progress,
+  botMove,
+};
@@ -0,0 +1,118 @@
+import { evaluateCardsOrPool } from 'drafting/draftbots';
+
+// Winston drafts are for two players and a face down deck, with three piles that each start with one card from it. On
+// their turn a player looks at the first pile and either takes it, leaving a new card from the deck in its place, or
+// puts a card from the deck on it and moves on to the next pile. A player who passes on the third pile takes the top
+// card of the deck instead. The draft ends when the deck and the piles are empty.
+
+const NUM_PILES = 3;
+
+const isDone = ({ piles, deck, next }) => next >= deck.length && piles.every((pile) => pile.length === 0);
+
+// Moves to the first pile from pile that has cards in it, and lets the player whose turn it is see it.
+const lookAt = (state, pile) => {
+  let current = pile;
+  while (current < NUM_PILES && state.piles[current].length === 0) {
+    current += 1;
+  }
+  if (current >= NUM_PILES) {
+    return { ...state, pile: current, actor: null };
+  }
+  const seen = state.seen.slice();
+  seen[state.actor] = [...new Set([...seen[state.actor], ...state.piles[current]])];
+  return { ...state, pile: current, seen };
+};
+
+const endTurn = (state) =>
+  isDone(state) ? { ...state, actor: null } : lookAt({ ...state, actor: 1 - state.actor }, 0);
+
+const start = ({ initial_state: [deck] }) =>
+  lookAt(
+    {
+      deck,
+      next: Math.min(NUM_PILES, deck.length),
+      piles: Array.from({ length: NUM_PILES }, (_, pile) => deck.slice(pile, pile + 1)),
+      actor: 0,
+      seen: [[], []],
+    },
+    0,
+  );
+
+// Passing is only allowed when it gets the player something, either a later pile or the card under the one put on
+// the last pile.
+const canPass = ({ piles, deck, next, pile }) =>
+  pile < NUM_PILES - 1
+    ? next < deck.length || piles.slice(pile + 1).some((other) => other.length > 0)
+    : deck.length - next >= 2;
+
+const step = (state, { seat, action }) => {
+  const { deck, pile } = state;
+  const piles = state.piles.slice();
+  let { next } = state;
+  const drawn = next < deck.length ? [deck[next]] : [];
+  next += drawn.length;
+
+  if (action === 'take') {
+    const gains = [[seat, piles[pile]]];
+    piles[pile] = drawn;
+    return { state: endTurn({ ...state, piles, next }), gains };
+  }
+  if (action !== 'pass') {
+    throw new Error('Take or pass the pile.');
+  }
+  if (!canPass(state)) {
+    throw new Error('There are not enough cards left to pass on this pile, so you have to take it.');
+  }
+  piles[pile] = [...piles[pile], ...drawn];
+  if (pile + 1 < NUM_PILES) {
+    return { state: lookAt({ ...state, piles, next }, pile + 1), gains: [] };
+  }
+
+  // Passing on the last pile takes the top card of the deck, unseen.
+  const blind = next < deck.length ? [deck[next]] : [];
+  const seen = state.seen.slice();
+  seen[seat] = [...new Set([...seen[seat], ...blind])];
+  return { state: endTurn({ ...state, piles, next: next + blind.length, seen }), gains: [[seat, blind]] };
+};
+
+const progress = (state, seat, numPicked) => {
+  const packSize = Math.ceil(state.deck.length / 2);
+  return {
+    packNum: 0,
+    numPacks: 1,
+    packSize,
+    pickNum: Math.min(numPicked, packSize - 1),
+    cardsInPack: state.actor === seat && state.pile < NUM_PILES ? state.piles[state.pile] : [],
+  };
+};
+
+// How many of the cards the bot has seen go by it compares a pile with.
+const BLIND_SAMPLE_SIZE = 3;
+
+// Bots take a pile when it's worth more to them than a card they haven't seen, which is estimated from the last few
+// cards they have seen and let go.
+const botMove = (state, seat, drafterState) => {
+  const pile = state.piles[state.pile];
+  if (!canPass(state)) {
+    return { seat, action: 'take' };
+  }
+  const kept = new Set([...drafterState.picked, ...pile]);
+  const sample = state.seen[seat].filter((cardIndex) => !kept.has(cardIndex)).slice(-BLIND_SAMPLE_SIZE);
+  if (sample.length === 0) {
+    return { seat, action: 'take' };
+  }
+  const blindScore =
+    sample.reduce((acc, cardIndex) => acc + evaluateCardsOrPool(cardIndex, drafterState).score, 0) / sample.length;
+  const pileScore = evaluateCardsOrPool(pile, drafterState).score;
+  return { seat, action: pileScore >= blindScore ? 'take' : 'pass' };
+};
+
+export default {
+  name: 'Winston',
+  minSeats: 2,
+  maxSeats: 2,
+  start,
+  step,
+  progress,
+  botMove,
+};
@@ -1,3 +1,12 @@
+import { moveOrAddCard } from 'drafting/DraftLocation';
+import { getDefaultPosition } from 'drafting/draftutil';
+import { arraysEqual } from 'utils/Util';
+
+// The positions in the 3x3 grid that can be picked together, each row and each column.
+export const GRID_LINES = [0, 1, 2]
+  .map((ind) => [[0, 1, 2].map((offset) => 3 * ind + offset), [0, 1, 2].map((offset) => ind + 3 * offset)])
+  .flat(1);
+
 export const getGridDrafterState = ({ gridDraft, seatNumber }) => {
   const { cards, initial_state } = gridDraft;
   const numPacks = gridDraft.initial_state.length;
@@ -52,7 +61,6 @@ export const getGridDrafterState = ({ gridDraft, seatNumber }) => {
       break;
     }
   }
-  console.log(cardsInPack);
 
   return {
     // Note this currently includes all cards. Having this just include cards from open
@@ -73,4 +81,37 @@ export const getGridDrafterState = ({ gridDraft, seatNumber }) => {
   };
 };
 
-export default { getGridDrafterState };
+// The [cardIndex, position] pairs a seat takes by picking the row or column at positions, or null if that isn't a
+// row or column with any cards left in it.
+export const getGridPicks = ({ cardsInPack }, positions) => {
+  const line = GRID_LINES.find((option) => arraysEqual(option, positions));
+  if (!line) {
+    return null;
+  }
+  const picks = line
+    .map((position) => [cardsInPack[position], position])
+    .filter(([cardIndex]) => cardIndex || cardIndex === 0);
+  return picks.length > 0 ? picks : null;
+};
+
+// Records the [cardIndex, position] pairs picked by a seat.
+export const applyGridPicks = (gridDraft, seatIndex, cardIndices) => ({
+  ...gridDraft,
+  seats: gridDraft.seats.map((seat, index) => {
+    if (index !== seatIndex) {
+      return seat;
+    }
+    let { drafted } = seat;
+    for (const [cardIndex] of cardIndices) {
+      drafted = moveOrAddCard(drafted, getDefaultPosition(gridDraft.cards[cardIndex], drafted), cardIndex);
+    }
+    return {
+      ...seat,
+      drafted,
+      pickorder: [...seat.pickorder, ...cardIndices.map(([cardIndex]) => cardIndex)],
+      pickedIndices: [...seat.pickedIndices, ...cardIndices.map(([, position]) => position)],
+    };
+  }),
+});
+
+export default { getGridDrafterState, getGridPicks, applyGridPicks };
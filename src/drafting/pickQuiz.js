@@ -0,0 +1,53 @@
+import { getDrafterState, getPackByCard } from 'drafting/draftutil';
+
+// The picks a seat made that work as quiz questions, which are the ones where there was more than one card to choose
+// from. Each has the drafter state before the pick, the card index picked and the pack and pick numbers, with picks
+// counted within the pack the card was opened in the same way the draft replay does.
+export const getQuizPicks = (draft, seatNumber) => {
+  const { pickorder, trashorder } = draft.seats[seatNumber];
+  const numTaken = pickorder.length + trashorder.length;
+  const packByCard = getPackByCard(draft);
+  const quizPicks = [];
+  let drafterState = getDrafterState({ draft, seatNumber, pickNumber: 0 });
+  let packStart = 0;
+  let lastPackNum = null;
+  for (let pickNumber = 0; pickNumber < numTaken; pickNumber++) {
+    const nextState = getDrafterState({ draft, seatNumber, pickNumber: pickNumber + 1 });
+    const trashed = nextState.trashedNum > drafterState.trashedNum;
+    const card = trashed ? trashorder[drafterState.trashedNum] : pickorder[drafterState.pickedNum];
+    const packNum = packByCard[card];
+    if (packNum !== lastPackNum) {
+      packStart = pickNumber;
+      lastPackNum = packNum;
+    }
+    const pickNum = pickNumber - packStart;
+    if (!trashed && drafterState.cardsInPack.length > 1) {
+      quizPicks.push({ pickNumber, packNum, pickNum, card, drafterState: { ...drafterState, packNum, pickNum } });
+    }
+    drafterState = nextState;
+  }
+  return quizPicks;
+};
+
+// Chooses a question from the draft with the random number generator: one of the picks made by one of the seats a
+// person drafted. Returns null if nobody made a pick there was a choice for.
+export const chooseQuizPick = (draft, rng) => {
+  const seats = draft.seats
+    .map((seat, seatNumber) => ({ seat, seatNumber }))
+    .filter(({ seat }) => !seat.bot && seat.pickorder.length > 0)
+    .map(({ seatNumber }) => seatNumber);
+  while (seats.length > 0) {
+    const [seatNumber] = seats.splice(Math.floor(rng() * seats.length), 1);
+    const quizPicks = getQuizPicks(draft, seatNumber);
+    if (quizPicks.length > 0) {
+      return { seatNumber, ...quizPicks[Math.floor(rng() * quizPicks.length)] };
+    }
+  }
+  return null;
+};
+
+// How often a card was picked when it was seen in a draft of the cube, from the CubeAnalytic entry for the card.
+export const pickRate = (analyticCard) => {
+  const seen = (analyticCard?.picks ?? 0) + (analyticCard?.passes ?? 0);
+  return seen > 0 ? analyticCard.picks / seen : null;
+};
@@ -0,0 +1,148 @@
+import { createDraft } from 'drafting/createdraft';
+import { buildDeck } from 'drafting/deckutil';
+import { allBotsDraft, defaultStepsForLength } from 'drafting/draftutil';
+import { cardName, cardType } from 'utils/Card';
+
+const addCount = (counts, key, amount = 1) => {
+  counts[key] = (counts[key] ?? 0) + amount;
+};
+
+const frequencies = (counts, total) =>
+  Object.entries(counts)
+    .map(([name, count]) => ({ name, count: count / total }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+const isLand = (card) => cardType(card).toLowerCase().includes('land');
+
+// How many cards each seat picks from each of its packs, so picks can be numbered within their pack.
+const picksPerPack = (packs) =>
+  packs.map(({ cards, steps }) =>
+    (steps ?? defaultStepsForLength(cards.length))
+      .filter(({ action }) => action.match(/pick/))
+      .reduce((acc, { amount }) => acc + Math.abs(amount ?? 1), 0),
+  );
+
+// Adds the cube's basics to the draft the same way starting a draft does, see addBasics in routes/cube/helper.js.
+const addBasics = (draft, basics) => {
+  draft.basics = basics.map((details) => {
+    const card = {
+      cardID: details._id,
+      index: draft.cards.length,
+      isUnlimited: true,
+      type_line: details.type,
+      details,
+    };
+    draft.cards.push(card);
+    return card.index;
+  });
+};
+
+// Runs bot only drafts of a format (see getDraftFormat) with the cube's cards, which need their details, and the
+// details of its basics, then has the bots build decks from their pools. Reports how often decks end up in each
+// color combination, how often each card is opened, picked and played along with its average pick within its pack,
+// the cards that are never picked or never make a deck, and how many lands the decks play. onProgress is called, and
+// awaited, with the number of drafts finished after each draft.
+const simulateDrafts = async (
+  format,
+  cards,
+  basics,
+  { seats = 8, iterations = 100, seed = Date.now().toString(), onProgress = null } = {},
+) => {
+  if (cards.length === 0) {
+    throw new Error('Unable to simulate drafts: no cards.');
+  }
+  const detailsById = Object.fromEntries(cards.map((card) => [card.cardID, card.details]));
+  const cardStats = {};
+  for (const card of cards) {
+    const name = cardName(card);
+    cardStats[name] = cardStats[name] ?? {
+      name,
+      cardID: card.cardID,
+      opened: 0,
+      picked: 0,
+      mainboarded: 0,
+      pickSum: 0,
+    };
+  }
+  const colorCounts = {};
+  const landCounts = {};
+  let totalLands = 0;
+  let totalBasics = 0;
+  let builtDrafts = 0;
+  let decks = 0;
+  const errors = new Set();
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let draft = null;
+    try {
+      draft = createDraft(format, cards, seats, { username: 'Simulation' }, true, `${seed}-${iteration}`);
+    } catch (err) {
+      errors.add(err.message);
+    }
+    if (draft) {
+      draft.cards = draft.cards.map((card) => ({ ...card, details: detailsById[card.cardID] }));
+      const basicsStart = draft.cards.length;
+      addBasics(draft, basics);
+      for (const card of draft.cards.slice(0, basicsStart)) {
+        cardStats[cardName(card)].opened += 1;
+      }
+
+      draft = allBotsDraft(draft);
+      builtDrafts += 1;
+      for (const [seatIndex, seat] of draft.seats.entries()) {
+        let pick = 0;
+        for (const numPicks of picksPerPack(draft.initial_state[seatIndex])) {
+          for (const [position, cardIndex] of seat.pickorder.slice(pick, pick + numPicks).entries()) {
+            const stats = cardStats[cardName(draft.cards[cardIndex])];
+            stats.picked += 1;
+            stats.pickSum += position + 1;
+          }
+          pick += numPicks;
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        const { deck, colors } = await buildDeck(draft.cards, seat.pickorder, draft.basics);
+        const mainboard = deck.flat(2).map((cardIndex) => draft.cards[cardIndex]);
+        decks += 1;
+        addCount(colorCounts, colors.length > 0 ? colors.join('') : 'C');
+        const lands = mainboard.filter(isLand);
+        addCount(landCounts, lands.length);
+        totalLands += lands.length;
+        totalBasics += lands.filter((card) => card.isUnlimited).length;
+        for (const name of new Set(mainboard.filter((card) => !card.isUnlimited).map(cardName))) {
+          cardStats[name].mainboarded += 1;
+        }
+      }
+    }
+    if (onProgress) {
+      // eslint-disable-next-line no-await-in-loop
+      await onProgress(iteration + 1);
+    }
+  }
+
+  const statsList = Object.values(cardStats).map(({ pickSum, ...stats }) => ({
+    ...stats,
+    averagePick: stats.picked > 0 ? pickSum / stats.picked : null,
+  }));
+  return {
+    seed,
+    seats,
+    iterations,
+    builtDrafts,
+    decks,
+    errors: [...errors],
+    colors: decks > 0 ? frequencies(colorCounts, decks) : [],
+    cards: statsList.sort(
+      (a, b) => (a.averagePick ?? Infinity) - (b.averagePick ?? Infinity) || a.name.localeCompare(b.name),
+    ),
+    neverPicked: statsList.filter(({ picked }) => picked === 0).map(({ name }) => name),
+    neverMainboarded: statsList.filter(({ mainboarded }) => mainboarded === 0).map(({ name }) => name),
+    lands: {
+      average: decks > 0 ? totalLands / decks : 0,
+      basics: decks > 0 ? totalBasics / decks : 0,
+      counts: decks > 0 ? frequencies(landCounts, decks).sort((a, b) => a.name - b.name) : [],
+    },
+  };
+};
+
+export default simulateDrafts;
@@ -0,0 +1,150 @@
+import seedrandom from 'seedrandom';
+
+import { filterToString } from 'filtering/FilterCards';
+import { cardColorIdentity, cardName, cardTags, cardType } from 'utils/Card';
+
+const CARD_TYPES = ['Creature', 'Planeswalker', 'Instant', 'Sorcery', 'Artifact', 'Enchantment', 'Land'];
+
+const addCount = (counts, key, amount = 1) => {
+  counts[key] = (counts[key] ?? 0) + amount;
+};
+
+const averageCounts = (counts, total) =>
+  Object.entries(counts)
+    .map(([name, count]) => ({ name, count: count / total }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+// Builds packs for every seat the same way customDraft does, but with the cards each filter matches worked out once
+// up front so the format can be run many times. Returns the packs as lists of card indices along with the slots that
+// ran out of cards, in the order they did, and the slot the draft failed on if it couldn't be built.
+const buildPacks = (format, matches, numCards, seats, rng) => {
+  const removed = new Array(numCards).fill(false);
+  // Like customDraft, a filter with no cards left is dropped from its slot for the rest of the draft.
+  const options = format.map((pack) => pack.slots.map((slot) => slot.map((_, option) => option)));
+  const ranOut = [];
+  const packs = [];
+  for (let seat = 0; seat < seats; seat++) {
+    packs.push([]);
+    for (let packIndex = 0; packIndex < format.length; packIndex++) {
+      const pack = [];
+      for (let slotIndex = 0; slotIndex < format[packIndex].slots.length; slotIndex++) {
+        const slotOptions = options[packIndex][slotIndex];
+        let validCards = [];
+        while (validCards.length === 0 && slotOptions.length > 0) {
+          const choice = Math.floor(rng() * slotOptions.length);
+          validCards = matches[packIndex][slotIndex][slotOptions[choice]].filter((index) => !removed[index]);
+          if (validCards.length === 0) {
+            ranOut.push({ pack: packIndex, slot: slotIndex, option: slotOptions[choice] });
+            slotOptions.splice(choice, 1);
+          }
+        }
+        if (validCards.length === 0) {
+          return { packs, ranOut, failed: { pack: packIndex, slot: slotIndex } };
+        }
+        const card = validCards[Math.floor(rng() * validCards.length)];
+        if (!format.multiples) {
+          removed[card] = true;
+        }
+        pack.push(card);
+      }
+      packs[seat].push(pack);
+    }
+  }
+  return { packs, ranOut, failed: null };
+};
+
+const hasDuplicates = (names) => new Set(names).size < names.length;
+
+// Runs a parsed custom format (see getDraftFormat) against the cube's cards, which need their details, and reports how
+// it behaves over many drafts: how often each slot runs out of cards and which runs out first, the expected number of
+// each color, type and tag in each pack, how often the same card shows up more than once, and the packs the first
+// seat opened in the first draft that could be built.
+const simulateFormat = (format, cards, { seats = 8, iterations = 1000, seed = Date.now().toString() } = {}) => {
+  if (cards.length === 0) {
+    throw new Error('Unable to simulate format: no cards.');
+  }
+  const rng = seedrandom(seed);
+  const matches = format.map((pack) =>
+    pack.slots.map((slot) =>
+      slot.map((filter) => cards.flatMap((card, index) => (!filter || filter(card) ? [index] : []))),
+    ),
+  );
+
+  const slots = format.map((pack, packIndex) =>
+    pack.slots.map((slot, slotIndex) => ({
+      pack: packIndex,
+      slot: slotIndex,
+      filters: slot.map((filter) => (filter ? filterToString(filter) : '*')),
+      ranOut: 0,
+      ranOutFirst: 0,
+      failed: 0,
+    })),
+  );
+  const packCounts = format.map(() => ({ colors: {}, types: {}, tags: {} }));
+  let builtDrafts = 0;
+  let packsWithDuplicates = 0;
+  let draftsWithDuplicates = 0;
+  let samplePacks = null;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const { packs, ranOut, failed } = buildPacks(format, matches, cards.length, seats, rng);
+    const slotsRanOut = new Set(ranOut.map(({ pack, slot }) => slots[pack][slot]));
+    for (const slot of slotsRanOut) {
+      slot.ranOut += 1;
+    }
+    if (ranOut.length > 0) {
+      slots[ranOut[0].pack][ranOut[0].slot].ranOutFirst += 1;
+    }
+    if (failed) {
+      slots[failed.pack][failed.slot].failed += 1;
+    } else {
+      builtDrafts += 1;
+      for (const seatPacks of packs) {
+        for (const [packIndex, pack] of seatPacks.entries()) {
+          const counts = packCounts[packIndex];
+          for (const card of pack.map((index) => cards[index])) {
+            const colors = cardColorIdentity(card);
+            for (const color of colors.length > 0 ? colors : ['C']) {
+              addCount(counts.colors, color);
+            }
+            const type = cardType(card);
+            for (const cardTypeName of CARD_TYPES.filter((name) => type.includes(name))) {
+              addCount(counts.types, cardTypeName);
+            }
+            for (const tag of new Set(cardTags(card) ?? [])) {
+              addCount(counts.tags, tag);
+            }
+          }
+          if (hasDuplicates(pack.map((index) => cardName(cards[index])))) {
+            packsWithDuplicates += 1;
+          }
+        }
+      }
+      if (hasDuplicates(packs.flat(2).map((index) => cardName(cards[index])))) {
+        draftsWithDuplicates += 1;
+      }
+      if (!samplePacks) {
+        samplePacks = packs[0].map((pack) => pack.map((index) => cards[index]));
+      }
+    }
+  }
+
+  const totalPacks = builtDrafts * seats;
+  return {
+    seed,
+    seats,
+    iterations,
+    builtDrafts,
+    slots: slots.flat(),
+    packs: packCounts.map(({ colors, types, tags }) => ({
+      colors: totalPacks > 0 ? averageCounts(colors, totalPacks) : [],
+      types: totalPacks > 0 ? averageCounts(types, totalPacks) : [],
+      tags: totalPacks > 0 ? averageCounts(tags, totalPacks) : [],
+    })),
+    packsWithDuplicates: totalPacks > 0 ? packsWithDuplicates / (totalPacks * format.length) : 0,
+    draftsWithDuplicates: builtDrafts > 0 ? draftsWithDuplicates / builtDrafts : 0,
+    samplePacks: samplePacks ?? [],
+  };
+};
+
+export default simulateFormat;
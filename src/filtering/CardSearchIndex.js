@@ -0,0 +1,253 @@
+import { filterUsedFields } from 'filtering/FilterCards';
+import {
+  cardCmc,
+  cardCubeCount,
+  cardElo,
+  cardName,
+  cardNameLower,
+  cardOracleText,
+  cardPickCount,
+  cardPopularity,
+  cardPrice,
+  cardReleaseDate,
+  cardType,
+} from 'utils/Card';
+import { SortFunctions } from 'utils/Sort';
+
+// Card text and searched text are both split into words on anything that isn't a lowercase letter or digit.
+const WORD_SEPARATOR = /[^a-z0-9]+/;
+
+const TEXT_FIELDS = {
+  name_lower: cardNameLower,
+  oracle_text: cardOracleText,
+  type_line: cardType,
+};
+
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+const isString = (value) => typeof value === 'string';
+
+// Sorting by price on its own can't order cards without one, so they go first, as if they were the cheapest.
+const priceOrLowest = (card) => cardPrice(card) ?? -1;
+
+// ordered is what every value has to be for sort, or compare when it's given, to order the cards consistently. Columns
+// are keyed by the field filters report using them, so the name column only keeps the alphabetical order.
+const COLUMN_FIELDS = {
+  cmc: { accessor: cardCmc, sort: 'Mana Value', ordered: isNumber },
+  price: {
+    accessor: cardPrice,
+    sort: 'Price',
+    ordered: (value) => value === undefined || isNumber(value),
+    compare: (a, b) => priceOrLowest(a) - priceOrLowest(b),
+  },
+  elo: { accessor: cardElo, sort: 'Elo', ordered: isNumber },
+  popularity: { accessor: cardPopularity },
+  released_at: { accessor: cardReleaseDate, sort: 'Release Date', ordered: isString },
+  cubecount: { accessor: cardCubeCount, sort: 'Cube Count', ordered: isNumber },
+  pickcount: { accessor: cardPickCount, sort: 'Pick Count', ordered: isNumber },
+  name: { accessor: cardName, sort: 'Alphabetical', ordered: isString },
+};
+
+const addPosting = (postings, key, position) => {
+  const list = postings.get(key);
+  if (!list) {
+    postings.set(key, [position]);
+  } else if (list[list.length - 1] !== position) {
+    list.push(position);
+  }
+};
+
+const buildTextIndex = (cards, accessor) => {
+  const tokens = new Map();
+  // Cards without any text are always candidates, so the full filter handles them exactly as it would without an index.
+  const unindexed = [];
+  cards.forEach((card, position) => {
+    const value = accessor(card);
+    if (typeof value !== 'string') {
+      unindexed.push(position);
+      return;
+    }
+    for (const word of value.toLowerCase().split(WORD_SEPARATOR)) {
+      if (word.length > 0) {
+        addPosting(tokens, word, position);
+      }
+    }
+  });
+  return { tokens, unindexed };
+};
+
+const buildColumn = (cards, { accessor, sort, ordered, compare = SortFunctions[sort] }) => {
+  const byValue = new Map();
+  cards.forEach((card, position) => addPosting(byValue, accessor(card), position));
+  const column = { values: [...byValue.entries()], sort: null, order: null };
+  // Breaking ties by position gives the same order as a stable sort, but only when every value can be compared.
+  if (sort && column.values.every(([value]) => ordered(value))) {
+    column.sort = sort;
+    column.order = cards.map((_, position) => position).sort((a, b) => compare(cards[a], cards[b]) || a - b);
+  }
+  return column;
+};
+
+export const buildCardSearchIndex = (cards) => {
+  const wrapped = cards.map((details) => ({ details }));
+  const text = {};
+  for (const [field, accessor] of Object.entries(TEXT_FIELDS)) {
+    text[field] = buildTextIndex(wrapped, accessor);
+  }
+  const columns = {};
+  for (const [field, options] of Object.entries(COLUMN_FIELDS)) {
+    columns[field] = buildColumn(wrapped, options);
+  }
+  return { cards: wrapped, text, columns };
+};
+
+const intersect = (a, b) => {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] < b[j]) {
+      i += 1;
+    } else if (a[i] > b[j]) {
+      j += 1;
+    } else {
+      result.push(a[i]);
+      i += 1;
+      j += 1;
+    }
+  }
+  return result;
+};
+
+const union = (a, b) => {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || (i < a.length && a[i] < b[j])) {
+      result.push(a[i]);
+      i += 1;
+    } else if (i >= a.length || b[j] < a[i]) {
+      result.push(b[j]);
+      j += 1;
+    } else {
+      result.push(a[i]);
+      i += 1;
+      j += 1;
+    }
+  }
+  return result;
+};
+
+// Sorted positions that are in any of the lists.
+const unionAll = (size, lists) => {
+  const marks = new Uint8Array(size);
+  for (const list of lists) {
+    for (const position of list) {
+      marks[position] = 1;
+    }
+  }
+  const result = [];
+  marks.forEach((marked, position) => {
+    if (marked) {
+      result.push(position);
+    }
+  });
+  return result;
+};
+
+// Every card whose text contains requiredText. The first word searched for only has to end a word of the card and the
+// last only has to start one, since the text can start and end in the middle of words.
+const textCandidates = (size, { tokens, unindexed }, requiredText) => {
+  const words = requiredText.split(WORD_SEPARATOR);
+  const lookups = [];
+  if (words.length === 1) {
+    const [word] = words;
+    if (word.length > 0) {
+      lookups.push([...tokens].filter(([token]) => token.includes(word)).map(([, list]) => list));
+    }
+  } else {
+    const first = words[0];
+    const last = words[words.length - 1];
+    if (first.length > 0) {
+      lookups.push([...tokens].filter(([token]) => token.endsWith(first)).map(([, list]) => list));
+    }
+    for (const word of words.slice(1, -1)) {
+      lookups.push([tokens.get(word) ?? []]);
+    }
+    if (last.length > 0) {
+      lookups.push([...tokens].filter(([token]) => token.startsWith(last)).map(([, list]) => list));
+    }
+  }
+  if (lookups.length === 0) {
+    return null;
+  }
+  return union(lookups.map((lists) => unionAll(size, lists)).reduce(intersect), unindexed);
+};
+
+// Numeric conditions only depend on the value, so they only have to be checked once for each distinct value.
+const columnCandidates = (size, cards, { values }, valuePred) =>
+  unionAll(
+    size,
+    values.filter(([value, list]) => valuePred(value, cards[list[0]])).map(([, list]) => list),
+  );
+
+// Sorted positions of the cards that could match filter, or null if any card could. Every card that matches is
+// included, but some that don't might be too, so the full filter still has to be run on them.
+const planCandidates = (index, filter) => {
+  const size = index.cards.length;
+  if (filter.clauses) {
+    const [first, second] = filter.clauses.map((clause) => planCandidates(index, clause));
+    if (filter.combination === 'and') {
+      if (!first || !second) {
+        return first || second;
+      }
+      return intersect(first, second);
+    }
+    return first && second ? union(first, second) : null;
+  }
+  // Almost every card matches a negated condition, so there is nothing to gain from narrowing those down.
+  if (filter.negated || !filter.valuePred) {
+    return null;
+  }
+  const [field] = filterUsedFields(filter);
+  if (index.text[field] && typeof filter.valuePred.requiredText === 'string') {
+    return textCandidates(size, index.text[field], filter.valuePred.requiredText);
+  }
+  if (index.columns[field]) {
+    return columnCandidates(size, index.cards, index.columns[field], filter.valuePred);
+  }
+  return null;
+};
+
+const canPlan = (index, filter) => filterUsedFields(filter).some((field) => index.text[field] || index.columns[field]);
+
+const sortedColumn = (index, sort) =>
+  sort && Object.values(index.columns).find((indexed) => indexed.order && indexed.sort === sort);
+
+// Whether filterCardIndex returns the cards in the order of sort.
+export const hasSortOrder = (index, sort) => Boolean(sortedColumn(index, sort));
+
+// The same cards filterCardsDetails would return for the indexed cards, in the same order. If sort is one of the
+// ORDERED_SORTS the index keeps an order for, they are returned in that order instead, which is what a stable sort by
+// it would give.
+export const filterCardIndex = (index, filter, sort = null) => {
+  const candidates = filter && canPlan(index, filter) ? planCandidates(index, filter) : null;
+  const matches = (position) => !filter || filter(index.cards[position]);
+
+  const column = sortedColumn(index, sort);
+  if (column) {
+    const included = candidates && new Set(candidates);
+    return column.order
+      .filter((position) => (!included || included.has(position)) && matches(position))
+      .map((position) => index.cards[position].details);
+  }
+
+  const positions = candidates ?? index.cards.map((_, position) => position);
+  return positions.filter(matches).map((position) => index.cards[position].details);
+};
+
+export default {
+  buildCardSearchIndex,
+  hasSortOrder,
+  filterCardIndex,
+};
@@ -14,7 +14,75 @@ export const filterUsedFields = (filter) => filter?.fieldsUsed ?? [];
 
 export const filterToString = (filter) => filter?.stringify ?? 'empty filter';
 
-export function makeFilter(filterText) {
+// Parse errors carry the 1-based column of the character the parser couldn't accept.
+const parseError = (message, column) => {
+  const err = new Error(message);
+  err.column = column;
+  return err;
+};
+
+const SAVED_FILTER_REFERENCE = /^filter:([a-z0-9_-]+)/i;
+// A condition can start at the beginning of the text or after one of these, and a regex value after an operator.
+const CONDITION_STARTS = [undefined, ' ', '\t', '\n', '(', '-'];
+const OPERATOR_ENDS = [':', '=', '<', '>'];
+
+export const findSavedFilter = (savedFilters, name) =>
+  (savedFilters ?? []).find((saved) => saved.name.toLowerCase() === name.toLowerCase());
+
+// Replaces every filter:name outside of quotes and regexes with the text of the cube's saved filter of that name, in
+// parentheses, expanding any saved filters it uses in turn. Returns the expanded text along with the index in filterText
+// that each of its characters came from, so errors can point at what the user typed.
+export const expandSavedFilters = (filterText, savedFilters = [], expanding = []) => {
+  let text = '';
+  const positions = [];
+  let quote = null;
+  for (let i = 0; i < filterText.length; i++) {
+    const char = filterText[i];
+    const previous = filterText[i - 1];
+    const reference = !quote && CONDITION_STARTS.includes(previous) && SAVED_FILTER_REFERENCE.exec(filterText.slice(i));
+    if (reference) {
+      const [match, name] = reference;
+      const saved = findSavedFilter(savedFilters, name);
+      if (!saved) {
+        throw parseError(`Unknown saved filter "${name}"`, i + 1);
+      }
+      if (expanding.includes(saved.name.toLowerCase())) {
+        throw parseError(`Saved filter "${name}" refers to itself`, i + 1);
+      }
+      let inner;
+      try {
+        inner = expandSavedFilters(saved.filter, savedFilters, [...expanding, saved.name.toLowerCase()]).text;
+      } catch (err) {
+        throw parseError(`Saved filter "${name}" can't be used: ${err.message}`, i + 1);
+      }
+      text += `(${inner})`;
+      positions.push(...new Array(inner.length + 2).fill(i));
+      i += match.length - 1;
+    } else {
+      if (quote) {
+        if (char === '\\') {
+          text += char;
+          positions.push(i);
+          i += 1;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '/' && (CONDITION_STARTS.includes(previous) || OPERATOR_ENDS.includes(previous))) {
+        quote = char;
+      }
+      if (i < filterText.length) {
+        text += filterText[i];
+        positions.push(i);
+      }
+    }
+  }
+  return { text, positions };
+};
+
+// savedFilters are the cube's named filters, which filterText can use as filter:name.
+export function makeFilter(filterText, savedFilters = []) {
   if (!filterText || filterText.trim() === '') {
     return {
       err: false,
@@ -22,11 +90,22 @@ export function makeFilter(filterText) {
     };
   }
 
+  let expanded;
+  try {
+    expanded = expandSavedFilters(filterText, savedFilters);
+  } catch (err) {
+    return { err: parseError(`${err.message} at column ${err.column}.`, err.column), filter: null };
+  }
+  const { text, positions } = expanded;
+
   const filterParser = new Parser(compiledGrammar);
   try {
-    filterParser.feed(filterText);
+    filterParser.feed(text);
   } catch (err) {
-    return { err, filter: null };
+    const offset = err.offset ?? text.length;
+    const column = (offset < positions.length ? positions[offset] : filterText.length) + 1;
+    const unexpected = err.token?.value ?? text[offset];
+    return { err: parseError(`Unexpected "${unexpected}" at column ${column}.`, column), filter: null };
   }
   const { results } = filterParser;
   if (results.length === 1) {
@@ -38,8 +117,12 @@ export function makeFilter(filterText) {
     };
   }
 
+  const column = filterText.length + 1;
   return {
-    err: results,
+    err:
+      results.length === 0
+        ? parseError('The filter is incomplete or uses an unknown value.', column)
+        : parseError('The filter is ambiguous, try adding parentheses or quotes.', column),
     filter: null,
   };
 }
@@ -52,6 +135,8 @@ export default {
   filterUses,
   filterUsedFields,
   filterToString,
+  findSavedFilter,
+  expandSavedFilters,
   makeFilter,
   filterCardsDetails,
 };
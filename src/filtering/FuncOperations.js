@@ -22,13 +22,17 @@ export const defaultOperation = (op, value) => {
   }
 };
 
+// Marks a string condition as only matching values that contain the given lowercase text, so card searches can
+// narrow it down with an index of the words in each card.
+export const requiringText = (value, pred) => Object.assign(pred, { requiredText: value });
+
 export const stringOperation = (op, value) => {
   value = value.toLowerCase();
   switch (op.toString()) {
     case ':':
-      return (fieldValue) => fieldValue.toLowerCase().includes(value);
+      return requiringText(value, (fieldValue) => fieldValue.toLowerCase().includes(value));
     case '=':
-      return (fieldValue) => fieldValue.toLowerCase() === value;
+      return requiringText(value, (fieldValue) => fieldValue.toLowerCase() === value);
     case '!=':
     case '<>':
       return (fieldValue) => fieldValue.toLowerCase() !== value;
@@ -65,7 +69,7 @@ const getShorthand = (details) => {
 
 export const nameStringOperation = (op, value) => {
   const strOp = stringOperation(op, value);
-  return (fieldValue, card) => {
+  const pred = (fieldValue, card) => {
     let expandedValue = fieldValue
       .replace(new RegExp(card.details.name.replace(/\+/g, '\\+'), 'g'), NAME_PLACEHOLDER)
       .replace(NAME_ALIAS, NAME_PLACEHOLDER);
@@ -75,6 +79,11 @@ export const nameStringOperation = (op, value) => {
     }
     return strOp(fieldValue) || strOp(expandedValue);
   };
+  // Text without the placeholder can only be found in the expanded value if it is in the original one too.
+  if (strOp.requiredText !== undefined && !strOp.requiredText.includes(NAME_PLACEHOLDER)) {
+    return requiringText(strOp.requiredText, pred);
+  }
+  return pred;
 };
 
 export const stringContainOperation = (op, value) => {
@@ -82,7 +91,7 @@ export const stringContainOperation = (op, value) => {
   switch (op.toString()) {
     case ':':
     case '=':
-      return (fieldValue) => fieldValue.toLowerCase().includes(value);
+      return requiringText(value, (fieldValue) => fieldValue.toLowerCase().includes(value));
     case '!=':
       return (fieldValue) => !fieldValue.toLowerCase().includes(value);
     case '<>':
@@ -290,3 +299,83 @@ export const setElementOperation = (op, value) => {
       throw new Error(`Unrecognized operator '${op}'`);
   }
 };
+
+export const MAX_REGEX_LENGTH = 100;
+
+// Repetitions that can match a varying number of times, as opposed to ? and {n}.
+const UNBOUNDED_REPEAT = /^(?:[*+]|\{\d+,\d*\})/;
+const REPEAT = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+
+// Searches also run on the server, where regular expressions are matched by backtracking, so patterns that can take
+// much more than linear time to not match are rejected: very long ones, ones with more than one unbounded repetition
+// like .*a.*z, and ones where a group that has a repetition or alternatives inside it is repeated, like (a+)+ or (a|aa)*.
+export const isSafeRegex = (pattern) => {
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    return false;
+  }
+  // Whether each group open at this point has a repetition or a | in it, starting with the whole pattern.
+  const groups = [false];
+  let unbounded = 0;
+  let i = 0;
+  while (i < pattern.length) {
+    const char = pattern[i];
+    if (char === '(') {
+      groups.push(false);
+      // The ? of (?: and similar isn't a repetition.
+      i += pattern[i + 1] === '?' ? 2 : 1;
+    } else if (char === '|') {
+      groups[groups.length - 1] = true;
+      i += 1;
+    } else {
+      let end = i + 1;
+      let ambiguous = false;
+      if (char === '\\') {
+        end = i + 2;
+      } else if (char === '[') {
+        // Character classes match a single character whatever is in them.
+        while (end < pattern.length && pattern[end] !== ']') {
+          end += pattern[end] === '\\' ? 2 : 1;
+        }
+        end += 1;
+      } else if (char === ')') {
+        ambiguous = groups.length > 1 && groups.pop();
+      }
+      const after = pattern.slice(end);
+      if (UNBOUNDED_REPEAT.test(after)) {
+        unbounded += 1;
+        if (ambiguous || unbounded > 1) {
+          return false;
+        }
+      }
+      groups[groups.length - 1] = groups[groups.length - 1] || ambiguous || REPEAT.test(after);
+      i = end;
+    }
+  }
+  return true;
+};
+
+export const regexOperation = (op, regex) => {
+  switch (op.toString()) {
+    case ':':
+    case '=':
+      return (fieldValue) => regex.test(fieldValue ?? '');
+    case '<>':
+    case '!=':
+      return (fieldValue) => !regex.test(fieldValue ?? '');
+    default:
+      throw new Error(`Unrecognized operator '${op}'`);
+  }
+};
+
+export const regexElementOperation = (op, regex) => {
+  switch (op.toString()) {
+    case ':':
+    case '=':
+      return (fieldValue) => (fieldValue ?? []).some((elem) => regex.test(elem ?? ''));
+    case '<>':
+    case '!=':
+      return (fieldValue) => !(fieldValue ?? []).some((elem) => regex.test(elem ?? ''));
+    default:
+      throw new Error(`Unrecognized operator '${op}'`);
+  }
+};
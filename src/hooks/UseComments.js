@@ -5,6 +5,7 @@ import { findUserLinks } from 'markdown/parser';
 const useToggle = (type, parent) => {
   const [comments, setComments] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [canModerate, setCanModerate] = useState(false);
 
   const addComment = async (comment) => {
     const mentions = findUserLinks(comment).join(';');
@@ -19,6 +20,9 @@ const useToggle = (type, parent) => {
       }),
     });
     const val = await response.json();
+    if (val.success !== 'true') {
+      return;
+    }
 
     const clone = JSON.parse(JSON.stringify(comments));
     clone.push(val.comment);
@@ -47,6 +51,25 @@ const useToggle = (type, parent) => {
     setComments(clone);
   };
 
+  // Action is one of hide, unhide, approve or reject.
+  const moderateComment = async (comment, action) => {
+    const response = await csrfFetch(`/comment/moderate/${comment._id}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        action,
+      }),
+    });
+    const val = await response.json();
+    if (val.success !== 'true') {
+      return;
+    }
+
+    setComments(comments.map((item) => (item._id === comment._id ? val.comment : item)));
+  };
+
   useEffect(() => {
     const getData = async () => {
       // Default options are marked with *
@@ -63,11 +86,12 @@ const useToggle = (type, parent) => {
 
     getData().then((result) => {
       setComments(result.comments);
+      setCanModerate(!!result.canModerate);
       setLoading(false);
     });
   }, [parent, type]);
 
-  return [comments, addComment, loading, editComment];
+  return [comments, addComment, loading, editComment, canModerate, moderateComment];
 };
 
 export default useToggle;
@@ -6,6 +6,7 @@ import CubePropType from 'proptypes/CubePropType';
 import UserContext from 'contexts/UserContext';
 import CubeContext, { CubeContextProvider } from 'contexts/CubeContext';
 import ErrorBoundary from 'components/ErrorBoundary';
+import { hasCubePermission } from 'utils/CubePermissions';
 import { getCubeDescription, getCubeId } from 'utils/Util';
 
 import { NavItem, NavLink } from 'reactstrap';
@@ -35,7 +36,7 @@ const CubeLayout = ({ cube, activeLink, children }) => {
   const user = useContext(UserContext);
   const subtitle = getCubeDescription(cube);
   return (
-    <CubeContextProvider cubeID={cube._id} initialCube={cube} canEdit={user && cube.owner === user.id}>
+    <CubeContextProvider cubeID={cube._id} initialCube={cube} canEdit={hasCubePermission(cube, user?.id, 'edit')}>
       <div className="mb-3">
         <ul className="cubenav nav nav-tabs nav-fill d-flex flex-column flex-sm-row pt-2">
           <div className="nav-item px-lg-4 px-3 text-sm-left text-center font-weight-boldish mt-auto mb-2">
@@ -58,6 +59,9 @@ const CubeLayout = ({ cube, activeLink, children }) => {
             <CubeNavItem link="blog" activeLink={activeLink}>
               Blog
             </CubeNavItem>
+            <CubeNavItem link="history" activeLink={activeLink}>
+              History
+            </CubeNavItem>
           </div>
         </ul>
         <ErrorBoundary className="mt-3">{children}</ErrorBoundary>
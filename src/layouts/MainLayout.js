@@ -135,6 +135,7 @@ const MainLayout = ({ children, loginCallback }) => {
                       )}
                       <CreateCubeModalLink>Create A New Cube</CreateCubeModalLink>
                       <DropdownItem href="/user/social">Social</DropdownItem>
+                      <DropdownItem href="/collection">Collection</DropdownItem>
                       <DropdownItem href="/user/account">Account Information</DropdownItem>
                       <DropdownItem href="/user/logout">Logout</DropdownItem>
                     </DropdownMenu>
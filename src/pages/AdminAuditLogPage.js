@@ -0,0 +1,58 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import { Card, CardHeader } from 'reactstrap';
+
+import DynamicFlash from 'components/DynamicFlash';
+import ModerationActionTable from 'components/ModerationActionTable';
+import Paginate from 'components/Paginate';
+import MainLayout from 'layouts/MainLayout';
+import ModerationActionPropType from 'proptypes/ModerationActionPropType';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const PAGE_SIZE = 24;
+
+const AdminAuditLogPage = ({ loginCallback, actions, count, page, userFilter }) => {
+  const urlF = (i) => `/admin/auditlog/${i}${userFilter ? `?user=${encodeURIComponent(userFilter)}` : ''}`;
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <DynamicFlash />
+      <Card className="my-3">
+        <CardHeader>
+          <h5>Audit Log</h5>
+          {userFilter && (
+            <p className="mb-1">
+              Showing actions taken against one user. <a href="/admin/auditlog">Show all actions</a>
+            </p>
+          )}
+          {count > PAGE_SIZE ? (
+            <>
+              <h6>
+                {`Displaying ${PAGE_SIZE * page + 1}-${Math.min(count, PAGE_SIZE * (page + 1))} of ${count} Actions`}
+              </h6>
+              <Paginate count={Math.ceil(count / PAGE_SIZE)} active={parseInt(page, 10)} urlF={urlF} />
+            </>
+          ) : (
+            <h6>{`Displaying all ${count} Actions`}</h6>
+          )}
+        </CardHeader>
+        <ModerationActionTable actions={actions} />
+      </Card>
+    </MainLayout>
+  );
+};
+
+AdminAuditLogPage.propTypes = {
+  loginCallback: PropTypes.string,
+  actions: PropTypes.arrayOf(ModerationActionPropType).isRequired,
+  count: PropTypes.number.isRequired,
+  page: PropTypes.number.isRequired,
+  userFilter: PropTypes.string,
+};
+
+AdminAuditLogPage.defaultProps = {
+  loginCallback: '/',
+  userFilter: null,
+};
+
+export default RenderToRoot(AdminAuditLogPage);
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useCallback, useState } from 'react';
 import PropTypes from 'prop-types';
 import CommentPropType from 'proptypes/CommentPropType';
 
@@ -7,35 +7,70 @@ import { Card, CardHeader } from 'reactstrap';
 import DynamicFlash from 'components/DynamicFlash';
 import Paginate from 'components/Paginate';
 import MainLayout from 'layouts/MainLayout';
+import { csrfFetch } from 'utils/CSRF';
 import RenderToRoot from 'utils/RenderToRoot';
 import Comment from 'components/Comment';
 
 const PAGE_SIZE = 24;
 
-const AdminCommentsPage = ({ loginCallback, comments, count, page }) => {
+const AdminCommentsPage = ({ loginCallback, comments: initialComments, count, page, pending }) => {
+  const [comments, setComments] = useState(initialComments);
+
+  // Approved and rejected comments leave the list of pending comments.
+  const moderateComment = useCallback(
+    async (comment, action) => {
+      const response = await csrfFetch(`/comment/moderate/${comment._id}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ action }),
+      });
+      const val = await response.json();
+      if (val.success !== 'true') {
+        return;
+      }
+      setComments((current) =>
+        pending && ['approve', 'reject'].includes(action)
+          ? current.filter((item) => item._id !== comment._id)
+          : current.map((item) => (item._id === comment._id ? val.comment : item)),
+      );
+    },
+    [pending],
+  );
+
+  const noun = pending ? 'Pending Comments' : 'Comments';
   return (
     <MainLayout loginCallback={loginCallback}>
       <DynamicFlash />
       <Card className="my-3">
         <CardHeader>
-          <h5>Comment Reports</h5>
+          <h5>{pending ? 'Comments Waiting for Approval' : 'Recent Comments'}</h5>
           {count > PAGE_SIZE ? (
             <>
               <h6>
-                {`Displaying ${PAGE_SIZE * page + 1}-${Math.min(count, PAGE_SIZE * (page + 1))} of ${count} Comments`}
+                {`Displaying ${PAGE_SIZE * page + 1}-${Math.min(count, PAGE_SIZE * (page + 1))} of ${count} ${noun}`}
               </h6>
               <Paginate
                 count={Math.ceil(count / PAGE_SIZE)}
                 active={parseInt(page, 10)}
-                urlF={(i) => `/admin/comments/${i}`}
+                urlF={(i) => `/admin/${pending ? 'pendingcomments' : 'comments'}/${i}`}
               />
             </>
           ) : (
-            <h6>{`Displaying all ${count} Comments`}</h6>
+            <h6>{`Displaying all ${count} ${noun}`}</h6>
           )}
         </CardHeader>
         {comments.map((comment) => (
-          <Comment comment={comment} index={0} noReplies editComment={() => {}} />
+          <Comment
+            key={comment._id}
+            comment={comment}
+            index={0}
+            noReplies
+            editComment={() => {}}
+            canModerate
+            moderateComment={moderateComment}
+          />
         ))}
       </Card>
     </MainLayout>
@@ -47,10 +82,12 @@ AdminCommentsPage.propTypes = {
   comments: PropTypes.arrayOf(CommentPropType).isRequired,
   count: PropTypes.number.isRequired,
   page: PropTypes.number.isRequired,
+  pending: PropTypes.bool,
 };
 
 AdminCommentsPage.defaultProps = {
   loginCallback: '/',
+  pending: false,
 };
 
 export default RenderToRoot(AdminCommentsPage);
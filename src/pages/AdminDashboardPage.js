@@ -1,7 +1,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 
-import { Card, CardHeader, CardBody } from 'reactstrap';
+import { Button, Card, CardHeader, CardBody, Form, Input, InputGroup, InputGroupAddon } from 'reactstrap';
 
 import DynamicFlash from 'components/DynamicFlash';
 import ButtonLink from 'components/ButtonLink';
@@ -15,6 +15,7 @@ const AdminDashboardPage = ({
   articlesInReview,
   videosInReview,
   podcastsInReview,
+  pendingCommentCount,
 }) => (
   <MainLayout loginCallback={loginCallback}>
     <DynamicFlash />
@@ -29,6 +30,9 @@ const AdminDashboardPage = ({
         <ButtonLink href="/admin/applications" block outline color="success">
           {`Content Creator Applications (${applicationCount})`}
         </ButtonLink>
+        <ButtonLink href="/admin/pendingcomments" block outline color="success">
+          {`Comments Waiting for Approval (${pendingCommentCount})`}
+        </ButtonLink>
         <ButtonLink href="/admin/comments" block outline color="success">
           Recent Comments
         </ButtonLink>
@@ -44,6 +48,19 @@ const AdminDashboardPage = ({
         <ButtonLink href="/admin/featuredcubes" block outline color="success">
           Featured Cubes Queue
         </ButtonLink>
+        <ButtonLink href="/admin/auditlog" block outline color="success">
+          Audit Log
+        </ButtonLink>
+        <Form method="GET" action="/admin/moderation/user" className="mt-3">
+          <InputGroup>
+            <Input name="username" placeholder="Username" aria-label="Username" required />
+            <InputGroupAddon addonType="append">
+              <Button type="submit" outline color="success">
+                Moderate User
+              </Button>
+            </InputGroupAddon>
+          </InputGroup>
+        </Form>
       </CardBody>
     </Card>
   </MainLayout>
@@ -56,6 +73,7 @@ AdminDashboardPage.propTypes = {
   articlesInReview: PropTypes.number.isRequired,
   videosInReview: PropTypes.number.isRequired,
   podcastsInReview: PropTypes.number.isRequired,
+  pendingCommentCount: PropTypes.number.isRequired,
 };
 
 AdminDashboardPage.defaultProps = {
@@ -0,0 +1,165 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  Col,
+  Input,
+  InputGroup,
+  InputGroupAddon,
+  InputGroupText,
+  Row,
+} from 'reactstrap';
+
+import CSRFForm from 'components/CSRFForm';
+import DynamicFlash from 'components/DynamicFlash';
+import ModerationActionTable from 'components/ModerationActionTable';
+import MainLayout from 'layouts/MainLayout';
+import ModerationActionPropType from 'proptypes/ModerationActionPropType';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const isActive = (until) => !!until && new Date(until) > new Date();
+
+// A form to suspend or mute the user for a number of days with a reason.
+const TimedActionForm = ({ userId, action, label }) => (
+  <CSRFForm method="POST" action={`/admin/moderation/user/${userId}`}>
+    <Input type="hidden" name="action" value={action} />
+    <InputGroup className="mb-2">
+      <Input type="number" name="days" min={1} defaultValue={7} aria-label="Days" required />
+      <InputGroupAddon addonType="append">
+        <InputGroupText>days</InputGroupText>
+      </InputGroupAddon>
+    </InputGroup>
+    <Input type="text" name="reason" maxLength={500} placeholder="Reason" className="mb-2" />
+    <Button type="submit" block outline color="danger">
+      {label}
+    </Button>
+  </CSRFForm>
+);
+
+TimedActionForm.propTypes = {
+  userId: PropTypes.string.isRequired,
+  action: PropTypes.oneOf(['suspend', 'mute']).isRequired,
+  label: PropTypes.string.isRequired,
+};
+
+const ActionButton = ({ userId, action, color, children }) => (
+  <CSRFForm method="POST" action={`/admin/moderation/user/${userId}`}>
+    <Input type="hidden" name="action" value={action} />
+    <Button type="submit" block outline color={color}>
+      {children}
+    </Button>
+  </CSRFForm>
+);
+
+ActionButton.propTypes = {
+  userId: PropTypes.string.isRequired,
+  action: PropTypes.string.isRequired,
+  color: PropTypes.string.isRequired,
+  children: PropTypes.node.isRequired,
+};
+
+const AdminUserModerationPage = ({ loginCallback, moderatedUser, commentCount, hiddenCommentCount, actions }) => {
+  const { suspendedUntil, mutedUntil, reason } = moderatedUser.moderation ?? {};
+  const suspended = isActive(suspendedUntil);
+  const muted = isActive(mutedUntil);
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <DynamicFlash />
+      <Card className="my-3">
+        <CardHeader>
+          <h5>
+            Moderate <a href={`/user/view/${moderatedUser._id}`}>{moderatedUser.username}</a>
+          </h5>
+        </CardHeader>
+        <CardBody>
+          <p className="mb-1">
+            {suspended ? `Suspended until ${new Date(suspendedUntil).toLocaleString()}.` : 'Not suspended.'}{' '}
+            {muted ? `Muted until ${new Date(mutedUntil).toLocaleString()}.` : 'Not muted.'}
+          </p>
+          {(suspended || muted) && reason && <p className="mb-1">{`Reason: ${reason}`}</p>}
+          <p>{`${commentCount} comments, ${hiddenCommentCount} of them hidden.`}</p>
+          <Row>
+            <Col xs={12} md={4} className="mb-3">
+              <h6>Suspend</h6>
+              <p className="text-muted">Suspended users are logged out and can&apos;t log in.</p>
+              {suspended ? (
+                <ActionButton userId={moderatedUser._id} action="unsuspend" color="success">
+                  Lift Suspension
+                </ActionButton>
+              ) : (
+                <TimedActionForm userId={moderatedUser._id} action="suspend" label="Suspend" />
+              )}
+            </Col>
+            <Col xs={12} md={4} className="mb-3">
+              <h6>Mute</h6>
+              <p className="text-muted">Muted users can use the site but can&apos;t comment.</p>
+              {muted ? (
+                <ActionButton userId={moderatedUser._id} action="unmute" color="success">
+                  Unmute
+                </ActionButton>
+              ) : (
+                <TimedActionForm userId={moderatedUser._id} action="mute" label="Mute" />
+              )}
+            </Col>
+            <Col xs={12} md={4} className="mb-3">
+              <h6>Comments</h6>
+              <p className="text-muted">Hidden comments are only shown to their poster and moderators.</p>
+              <ActionButton userId={moderatedUser._id} action="hideComments" color="danger">
+                Hide All Comments
+              </ActionButton>
+              <div className="mt-2">
+                <ActionButton userId={moderatedUser._id} action="unhideComments" color="success">
+                  Unhide All Comments
+                </ActionButton>
+              </div>
+            </Col>
+          </Row>
+        </CardBody>
+      </Card>
+      <Card className="mb-3">
+        <CardHeader>
+          <h5 className="mb-0">
+            History{' '}
+            <small>
+              <a href={`/admin/auditlog/0?user=${moderatedUser._id}`}>View all</a>
+            </small>
+          </h5>
+        </CardHeader>
+        {actions.length > 0 ? (
+          <ModerationActionTable actions={actions} />
+        ) : (
+          <CardBody>
+            <em>Nothing has been done about this user yet.</em>
+          </CardBody>
+        )}
+      </Card>
+    </MainLayout>
+  );
+};
+
+AdminUserModerationPage.propTypes = {
+  loginCallback: PropTypes.string,
+  moderatedUser: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    username: PropTypes.string.isRequired,
+    moderation: PropTypes.shape({
+      suspendedUntil: PropTypes.string,
+      mutedUntil: PropTypes.string,
+      reason: PropTypes.string,
+    }),
+  }).isRequired,
+  commentCount: PropTypes.number.isRequired,
+  hiddenCommentCount: PropTypes.number.isRequired,
+  actions: PropTypes.arrayOf(ModerationActionPropType).isRequired,
+};
+
+AdminUserModerationPage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(AdminUserModerationPage);
@@ -0,0 +1,173 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import { Card, CardHeader, Table } from 'reactstrap';
+
+import DynamicFlash from 'components/DynamicFlash';
+import Banner from 'components/Banner';
+import Accordion from 'components/Accordion';
+import MainLayout from 'layouts/MainLayout';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const PAGINATION_PARAMS = [
+  ['page', 'The page to return, starting from 0.'],
+  ['pageSize', 'How many results to return per page, from 1 to 100. Defaults to 50.'],
+];
+
+const ENDPOINTS = [
+  {
+    path: '/api/v1/cubes',
+    description: 'Listed cubes, most recently updated first. Your own unlisted cubes are included when owner is you.',
+    params: [
+      ['owner', 'Only return cubes owned by the user with this id.'],
+      ['name', 'Only return cubes whose name contains this text.'],
+      ...PAGINATION_PARAMS,
+    ],
+    paginated: true,
+  },
+  {
+    path: '/api/v1/cubes/:id',
+    description:
+      'A cube by id or short id, without its cards. Includes its draft formats, saved filters and follower count.',
+    params: [],
+  },
+  {
+    path: '/api/v1/cubes/:id/cards',
+    description: "The cube's cards, each with the details of the card it is.",
+    params: [
+      ['board', 'mainboard or maybeboard. Defaults to mainboard.'],
+      ['filter', "Only return cards that match this filter. The cube's saved filters can be used."],
+      ...PAGINATION_PARAMS,
+    ],
+    paginated: true,
+  },
+  {
+    path: '/api/v1/cubes/:id/decks',
+    description: 'Decks drafted from the cube, newest first, with the name, player and record of each seat.',
+    params: PAGINATION_PARAMS,
+    paginated: true,
+  },
+  {
+    path: '/api/v1/cubes/:id/blog',
+    description: 'Blog posts for the cube, newest first.',
+    params: PAGINATION_PARAMS,
+    paginated: true,
+  },
+  {
+    path: '/api/v1/cubes/:id/analytics',
+    description: 'Pick, pass, mainboard and match counts for each card drafted from the cube, highest elo first.',
+    params: PAGINATION_PARAMS,
+    paginated: true,
+  },
+  {
+    path: '/api/v1/decks/:id',
+    description: 'A deck with all of its seats and its cards with their details.',
+    params: [],
+  },
+  {
+    path: '/api/v1/drafts/:id',
+    description: 'A draft with its packs, the picks of each seat and its cards with their details.',
+    params: [],
+  },
+  {
+    path: '/api/v1/blog/:id',
+    description: 'A single blog post.',
+    params: [],
+  },
+  {
+    path: '/api/v1/users/:id',
+    description: "A user's profile by id or username, with their follower count.",
+    params: [],
+  },
+  {
+    path: '/api/v1/users/:id/cubes',
+    description: "A user's listed cubes, most recently updated first. All of your own cubes are returned to you.",
+    params: PAGINATION_PARAMS,
+    paginated: true,
+  },
+];
+
+const ApiDocsPage = ({ loginCallback }) => (
+  <MainLayout loginCallback={loginCallback}>
+    <Banner />
+    <DynamicFlash />
+    <Card className="my-3 mx-4">
+      <CardHeader>
+        <h4>API Documentation</h4>
+      </CardHeader>
+      <Accordion title="General" defaultExpand>
+        <p>
+          The Cube Cobra API is a read-only JSON API. Every endpoint is a <code>GET</code> request under{' '}
+          <code>/api/v1</code>, and any site can call it from the browser. Private cubes, and the decks, drafts and blog
+          posts that belong to them, are only returned to their owner and collaborators, exactly as on the site.
+        </p>
+        <p>Successful responses look like this:</p>
+        <pre>{JSON.stringify({ success: 'true', data: {} }, null, 2)}</pre>
+        <p>
+          Endpoints that return lists are paginated, and also include the total number of results and the number of
+          pages:
+        </p>
+        <pre>
+          {JSON.stringify(
+            { success: 'true', data: [], pagination: { page: 0, pageSize: 50, total: 120, pages: 3 } },
+            null,
+            2,
+          )}
+        </pre>
+        <p>Errors are returned with a matching HTTP status code:</p>
+        <pre>{JSON.stringify({ success: 'false', message: 'Cube not found.' }, null, 2)}</pre>
+      </Accordion>
+      <Accordion title="API Keys and Rate Limits">
+        <p>
+          Requests can be made without a key, but are limited to 30 a minute for each IP address. You can create API
+          keys from the <a href="/user/account?nav=apikeys">API Keys</a> section of your account. Send your key in the{' '}
+          <code>Authorization</code> header:
+        </p>
+        <pre>Authorization: Bearer cc_...</pre>
+        <p>
+          Requests made with a key are counted against that key instead, and can see your private cubes. Each key shows
+          its rate limit on your account page. When you go over the limit, requests fail with status <code>429</code>{' '}
+          until the minute is up. An invalid key fails with status <code>401</code>, and a key of a suspended account
+          with status <code>403</code>. While the site is down for maintenance, every request fails with status{' '}
+          <code>503</code>.
+        </p>
+      </Accordion>
+      {ENDPOINTS.map((endpoint) => (
+        <Accordion key={endpoint.path} title={`GET ${endpoint.path}`}>
+          <p>{endpoint.description}</p>
+          {endpoint.paginated && <p>This endpoint is paginated.</p>}
+          {endpoint.params.length > 0 && (
+            <Table size="sm">
+              <thead>
+                <tr>
+                  <th>Query Parameter</th>
+                  <th>Description</th>
+                </tr>
+              </thead>
+              <tbody>
+                {endpoint.params.map(([name, description]) => (
+                  <tr key={name}>
+                    <td>
+                      <code>{name}</code>
+                    </td>
+                    <td>{description}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Accordion>
+      ))}
+    </Card>
+  </MainLayout>
+);
+
+ApiDocsPage.propTypes = {
+  loginCallback: PropTypes.string,
+};
+
+ApiDocsPage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(ApiDocsPage);
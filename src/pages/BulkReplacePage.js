@@ -0,0 +1,90 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import CardPropType from 'proptypes/CardPropType';
+import CubePropType from 'proptypes/CubePropType';
+
+import { Badge, Button, Card, CardBody, CardHeader, Input, UncontrolledAlert } from 'reactstrap';
+
+import CardListDiff, { CardTable } from 'components/CardListDiff';
+import CSRFForm from 'components/CSRFForm';
+import DynamicFlash from 'components/DynamicFlash';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const BulkReplacePage = ({
+  cube,
+  list,
+  version,
+  added,
+  removed,
+  updated,
+  unchanged,
+  maybe,
+  missing,
+  loginCallback,
+}) => (
+  <MainLayout loginCallback={loginCallback}>
+    <CubeLayout cube={cube} activeLink="list">
+      <DynamicFlash />
+      <Card className="my-3">
+        <CardHeader>
+          <h5 className="mb-0">Confirm Replacement</h5>
+        </CardHeader>
+        <CardBody>
+          <p>
+            Replacing the cards in your cube with this list will add {added.length} and remove {removed.length}{' '}
+            {removed.length === 1 ? 'card' : 'cards'}. Of the cards that are in both, {updated.length} will be updated
+            to match the list and {unchanged} will stay as they are. The Maybeboard will be replaced with the {maybe}{' '}
+            {maybe === 1 ? 'card' : 'cards'} from the sideboard of the list. No changes have been saved yet.
+          </p>
+          {missing.length > 0 && (
+            <UncontrolledAlert color="warning">
+              These cards could not be found and will be skipped: {missing.join(', ')}
+            </UncontrolledAlert>
+          )}
+          <CSRFForm method="POST" action={`/cube/bulkreplace/${encodeURIComponent(cube._id)}`}>
+            <Input type="hidden" name="list" value={list} />
+            <Input type="hidden" name="version" value={version} />
+            <Button type="submit" color="success" className="mr-2">
+              Replace Cards
+            </Button>
+            <Button href={`/cube/list/${encodeURIComponent(cube._id)}`} color="secondary">
+              Cancel
+            </Button>
+          </CSRFForm>
+        </CardBody>
+      </Card>
+      <CardListDiff added={added} removed={removed} />
+      {updated.length > 0 && (
+        <Card className="mb-3">
+          <CardHeader>
+            <h5 className="mb-0">
+              Updated <Badge color="info">{updated.length}</Badge>
+            </h5>
+          </CardHeader>
+          <CardTable cards={updated} />
+        </Card>
+      )}
+    </CubeLayout>
+  </MainLayout>
+);
+
+BulkReplacePage.propTypes = {
+  cube: CubePropType.isRequired,
+  list: PropTypes.string.isRequired,
+  version: PropTypes.number.isRequired,
+  added: PropTypes.arrayOf(CardPropType).isRequired,
+  removed: PropTypes.arrayOf(CardPropType).isRequired,
+  updated: PropTypes.arrayOf(CardPropType).isRequired,
+  unchanged: PropTypes.number.isRequired,
+  maybe: PropTypes.number.isRequired,
+  missing: PropTypes.arrayOf(PropTypes.string).isRequired,
+  loginCallback: PropTypes.string,
+};
+
+BulkReplacePage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(BulkReplacePage);
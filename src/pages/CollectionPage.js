@@ -0,0 +1,422 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  CustomInput,
+  FormGroup,
+  Input,
+  Label,
+  Nav,
+  NavItem,
+  NavLink,
+  Table,
+  UncontrolledAlert,
+} from 'reactstrap';
+
+import CSRFForm from 'components/CSRFForm';
+import DynamicFlash from 'components/DynamicFlash';
+import Paginate from 'components/Paginate';
+import withAutocard from 'components/WithAutocard';
+import useQueryParam from 'hooks/useQueryParam';
+import MainLayout from 'layouts/MainLayout';
+import { csrfFetch } from 'utils/CSRF';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const AutocardA = withAutocard('a');
+
+const PAGE_SIZE = 100;
+
+const FINISHES = ['Non-foil', 'Foil', 'Etched'];
+
+const CollectionCardPropType = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  cardID: PropTypes.string.isRequired,
+  finish: PropTypes.string.isRequired,
+  condition: PropTypes.string.isRequired,
+  quantity: PropTypes.number.isRequired,
+  details: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    set: PropTypes.string,
+    collector_number: PropTypes.string,
+    image_normal: PropTypes.string,
+    image_flip: PropTypes.string,
+  }).isRequired,
+});
+
+const CollectionCubePropType = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  shortID: PropTypes.string,
+  name: PropTypes.string.isRequired,
+  statusFromCollection: PropTypes.bool,
+});
+
+// Counts by cube id.
+const CubeCountsPropType = PropTypes.objectOf(PropTypes.number);
+
+const UsagePropType = PropTypes.shape({
+  name: PropTypes.string.isRequired,
+  owned: PropTypes.number.isRequired,
+  used: PropTypes.number.isRequired,
+  copies: PropTypes.arrayOf(
+    PropTypes.shape({
+      entry: PropTypes.string.isRequired,
+      cubes: CubeCountsPropType.isRequired,
+    }),
+  ).isRequired,
+  missing: CubeCountsPropType.isRequired,
+});
+
+const sumCounts = (counts) => Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+const CollectionRow = ({ entry, conditions, used, onUpdate }) => {
+  const [quantity, setQuantity] = useState(entry.quantity);
+
+  const update = useCallback((changes) => onUpdate({ ...entry, ...changes }), [entry, onUpdate]);
+
+  const handleBlurQuantity = useCallback(() => {
+    const value = parseInt(quantity, 10);
+    if (Number.isNaN(value) || value < 0) {
+      setQuantity(entry.quantity);
+    } else if (value !== entry.quantity) {
+      update({ quantity: value });
+    }
+  }, [entry, quantity, update]);
+
+  return (
+    <tr>
+      <td className="align-middle">
+        <AutocardA href={`/tool/card/${entry.cardID}`} card={{ details: entry.details, finish: entry.finish }}>
+          {entry.details.name}
+        </AutocardA>
+      </td>
+      <td className="align-middle">{`${(entry.details.set || '').toUpperCase()} ${entry.details.collector_number}`}</td>
+      <td>
+        <CustomInput
+          type="select"
+          id={`finish-${entry._id}`}
+          bsSize="sm"
+          value={entry.finish}
+          onChange={(event) => update({ finish: event.target.value })}
+        >
+          {FINISHES.map((finish) => (
+            <option key={finish}>{finish}</option>
+          ))}
+        </CustomInput>
+      </td>
+      <td>
+        <CustomInput
+          type="select"
+          id={`condition-${entry._id}`}
+          bsSize="sm"
+          value={entry.condition}
+          onChange={(event) => update({ condition: event.target.value })}
+        >
+          {conditions.map((condition) => (
+            <option key={condition}>{condition}</option>
+          ))}
+        </CustomInput>
+      </td>
+      <td>
+        <Input
+          type="number"
+          bsSize="sm"
+          min={0}
+          value={quantity}
+          onChange={(event) => setQuantity(event.target.value)}
+          onBlur={handleBlurQuantity}
+          aria-label="Quantity"
+        />
+      </td>
+      <td className="align-middle">{used}</td>
+    </tr>
+  );
+};
+
+CollectionRow.propTypes = {
+  entry: CollectionCardPropType.isRequired,
+  conditions: PropTypes.arrayOf(PropTypes.string).isRequired,
+  used: PropTypes.number.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+};
+
+const CollectionCards = ({ entries, conditions, usage }) => {
+  const [cards, setCards] = useState(entries);
+  const [filter, setFilter] = useState('');
+  const [page, setPage] = useState(0);
+  const [error, setError] = useState(null);
+
+  const usedByEntry = useMemo(
+    () =>
+      Object.fromEntries(usage.flatMap(({ copies }) => copies.map(({ entry, cubes }) => [entry, sumCounts(cubes)]))),
+    [usage],
+  );
+
+  // Cards set to a quantity of zero are removed from the collection.
+  const handleUpdate = useCallback(async (entry) => {
+    const response = await csrfFetch(`/collection/update/${entry._id}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ quantity: entry.quantity, finish: entry.finish, condition: entry.condition }),
+    });
+    const json = await response.json();
+    if (json.success !== 'true') {
+      setError(json.message || (json.errors || []).join(' ') || 'Failed to update the card.');
+      return;
+    }
+    setCards((current) =>
+      entry.quantity === 0
+        ? current.filter((item) => item._id !== entry._id)
+        : current.map((item) => (item._id === entry._id ? entry : item)),
+    );
+  }, []);
+
+  const filtered = useMemo(
+    () => cards.filter((entry) => entry.details.name.toLowerCase().includes(filter.toLowerCase())),
+    [cards, filter],
+  );
+  const pageCount = Math.ceil(filtered.length / PAGE_SIZE);
+  const activePage = Math.min(page, Math.max(pageCount - 1, 0));
+
+  if (cards.length === 0) {
+    return (
+      <CardBody>
+        <em>Your collection is empty. Import a list of cards to get started.</em>
+      </CardBody>
+    );
+  }
+
+  return (
+    <>
+      <CardBody>
+        {error && (
+          <UncontrolledAlert color="danger" toggle={() => setError(null)}>
+            {error}
+          </UncontrolledAlert>
+        )}
+        <Input
+          type="text"
+          placeholder="Filter by name"
+          value={filter}
+          onChange={(event) => {
+            setFilter(event.target.value);
+            setPage(0);
+          }}
+          aria-label="Filter by name"
+        />
+        {pageCount > 1 && <Paginate count={pageCount} active={activePage} onClick={setPage} />}
+      </CardBody>
+      <Table responsive striped size="sm" className="mb-0">
+        <thead>
+          <tr>
+            <th>Card</th>
+            <th>Printing</th>
+            <th>Finish</th>
+            <th>Condition</th>
+            <th>Quantity</th>
+            <th>Used</th>
+          </tr>
+        </thead>
+        <tbody>
+          {filtered.slice(activePage * PAGE_SIZE, (activePage + 1) * PAGE_SIZE).map((entry) => (
+            <CollectionRow
+              key={entry._id}
+              entry={entry}
+              conditions={conditions}
+              used={usedByEntry[entry._id] || 0}
+              onUpdate={handleUpdate}
+            />
+          ))}
+        </tbody>
+      </Table>
+    </>
+  );
+};
+
+CollectionCards.propTypes = {
+  entries: PropTypes.arrayOf(CollectionCardPropType).isRequired,
+  conditions: PropTypes.arrayOf(PropTypes.string).isRequired,
+  usage: PropTypes.arrayOf(UsagePropType).isRequired,
+};
+
+// Which cubes use the copies of each card, and which cards are used by more cubes than there are copies for.
+const CollectionUsage = ({ usage, cubes }) => {
+  const [overAllocatedOnly, setOverAllocatedOnly] = useState(false);
+
+  const cubeNames = useMemo(() => Object.fromEntries(cubes.map((cube) => [cube._id, cube])), [cubes]);
+  const rows = useMemo(
+    () =>
+      usage
+        .filter((item) => item.used > 0 && (!overAllocatedOnly || item.used > item.owned))
+        .sort((a, b) => b.used - b.owned - (a.used - a.owned) || a.name.localeCompare(b.name)),
+    [usage, overAllocatedOnly],
+  );
+  const overAllocatedCount = usage.filter((item) => item.used > item.owned).length;
+
+  return (
+    <>
+      <CardBody>
+        <p>
+          Each card in your cubes uses one of your copies of it, preferring the same printing and finish. Cards are
+          over-allocated when your cubes use more copies than you own, so they can&apos;t all be built at once.
+        </p>
+        <p>{`${overAllocatedCount} cards are over-allocated.`}</p>
+        <FormGroup check>
+          <Input
+            id="overAllocatedOnly"
+            type="checkbox"
+            checked={overAllocatedOnly}
+            onChange={(event) => setOverAllocatedOnly(event.target.checked)}
+          />
+          <Label for="overAllocatedOnly">Only show over-allocated cards</Label>
+        </FormGroup>
+      </CardBody>
+      <Table responsive size="sm" className="mb-0">
+        <thead>
+          <tr>
+            <th>Card</th>
+            <th>Owned</th>
+            <th>Used</th>
+            <th>Cubes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((item) => {
+            const perCube = {};
+            for (const { cubes: copyCubes } of item.copies) {
+              for (const [cube, count] of Object.entries(copyCubes)) {
+                perCube[cube] = (perCube[cube] || 0) + count;
+              }
+            }
+            const cubeIds = [...new Set([...Object.keys(perCube), ...Object.keys(item.missing)])];
+            return (
+              <tr key={item.name} className={item.used > item.owned ? 'table-danger' : undefined}>
+                <td>{item.name}</td>
+                <td>{item.owned}</td>
+                <td>{item.used}</td>
+                <td>
+                  {cubeIds.map((id) => (
+                    <div key={id}>
+                      <a href={`/cube/list/${encodeURIComponent(cubeNames[id]?.shortID || id)}`}>
+                        {cubeNames[id]?.name ?? 'Unknown cube'}
+                      </a>
+                      {`: ${perCube[id] || 0}`}
+                      {item.missing[id] && <strong>{` (${item.missing[id]} without a copy)`}</strong>}
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </Table>
+    </>
+  );
+};
+
+CollectionUsage.propTypes = {
+  usage: PropTypes.arrayOf(UsagePropType).isRequired,
+  cubes: PropTypes.arrayOf(CollectionCubePropType).isRequired,
+};
+
+const CollectionImport = ({ cubes }) => (
+  <CardBody>
+    <p>
+      Paste a list of cards, or upload a file. Lists can be in any of the formats cubes can be uploaded in, such as
+      plaintext with an optional count before each card, Arena or MTGO. CSV files need a Name column, and may also have
+      Set, Collector Number, Finish, Condition and Quantity columns, like our <a href="/collection/export">export</a>.
+    </p>
+    <CSRFForm method="POST" action="/collection/import" encType="multipart/form-data">
+      <FormGroup>
+        <Input type="textarea" rows="10" maxLength="200000" placeholder="Paste cards here" name="body" />
+      </FormGroup>
+      <FormGroup>
+        <CustomInput type="file" id="collectionFile" name="document" label="Or choose a file" />
+      </FormGroup>
+      <FormGroup>
+        <CustomInput type="select" id="collectionReplace" name="replace" defaultValue="false">
+          <option value="false">Add to my collection</option>
+          <option value="true">Replace my collection</option>
+        </CustomInput>
+      </FormGroup>
+      <Button type="submit" color="success">
+        Import
+      </Button>
+    </CSRFForm>
+    {cubes.some((cube) => cube.statusFromCollection) && (
+      <p className="mt-3 mb-0 text-muted">
+        {`Card statuses in ${cubes
+          .filter((cube) => cube.statusFromCollection)
+          .map((cube) => cube.name)
+          .join(', ')} are updated from your collection.`}
+      </p>
+    )}
+  </CardBody>
+);
+
+CollectionImport.propTypes = {
+  cubes: PropTypes.arrayOf(CollectionCubePropType).isRequired,
+};
+
+const CollectionPage = ({ loginCallback, entries, cubes, usage, conditions }) => {
+  const [nav, setNav] = useQueryParam('nav', 'cards');
+
+  const handleClickNav = useCallback(
+    (event) => {
+      event.preventDefault();
+      setNav(event.target.getAttribute('data-nav'));
+    },
+    [setNav],
+  );
+
+  const copies = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <DynamicFlash />
+      <Card className="my-3">
+        <CardHeader>
+          <h5>My Collection</h5>
+          <p className="mb-2">
+            {`${copies} cards, shared by all of your cubes. `}
+            <a href="/collection/export">Download as CSV</a>
+          </p>
+          <Nav tabs className="card-header-tabs">
+            {[
+              ['cards', 'Cards'],
+              ['usage', 'Usage'],
+              ['import', 'Import'],
+            ].map(([key, name]) => (
+              <NavItem key={key}>
+                <NavLink href="#" active={nav === key} data-nav={key} onClick={handleClickNav}>
+                  {name}
+                </NavLink>
+              </NavItem>
+            ))}
+          </Nav>
+        </CardHeader>
+        {nav === 'cards' && <CollectionCards entries={entries} conditions={conditions} usage={usage} />}
+        {nav === 'usage' && <CollectionUsage usage={usage} cubes={cubes} />}
+        {nav === 'import' && <CollectionImport cubes={cubes} />}
+      </Card>
+    </MainLayout>
+  );
+};
+
+CollectionPage.propTypes = {
+  loginCallback: PropTypes.string,
+  entries: PropTypes.arrayOf(CollectionCardPropType).isRequired,
+  cubes: PropTypes.arrayOf(CollectionCubePropType).isRequired,
+  usage: PropTypes.arrayOf(UsagePropType).isRequired,
+  conditions: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+CollectionPage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(CollectionPage);
@@ -17,7 +17,7 @@ const CommentReportsPage = ({ loginCallback, reports, count, page }) => (
     <DynamicFlash />
     <Card className="my-3">
       <CardHeader>
-        <h5>Recent Comments</h5>
+        <h5>Comment Reports</h5>
         {count > PAGE_SIZE ? (
           <>
             <h6>
@@ -51,6 +51,12 @@ const CommentReportsPage = ({ loginCallback, reports, count, page }) => (
               </a>
               - <TimeAgo date={report.timePosted} />
             </p>
+            {report.commentOwner && (
+              <p>
+                Posted by:{' '}
+                <a href={`/admin/moderation/user/${report.commentOwner._id}`}>{report.commentOwner.username}</a>
+              </p>
+            )}
             <Row>
               <Col xs="12" sm="6">
                 <ButtonLink color="success" block outline href={`/admin/ignorereport/${report._id}`}>
@@ -15,6 +15,7 @@ import Cloud from 'analytics/Cloud';
 import HyperGeom from 'analytics/HyperGeom';
 import Suggestions from 'analytics/Suggestions';
 import Asfans from 'analytics/Asfans';
+import WinRates from 'analytics/WinRates';
 import FilterCollapse from 'components/FilterCollapse';
 import { TagContextProvider } from 'contexts/TagContext';
 import useQueryParam from 'hooks/useQueryParam';
@@ -23,6 +24,7 @@ import CubeLayout from 'layouts/CubeLayout';
 import MainLayout from 'layouts/MainLayout';
 import CubePropType from 'proptypes/CubePropType';
 import CubeAnalyticPropType from 'proptypes/CubeAnalyticPropType';
+import WinRatesPropType from 'proptypes/WinRatesPropType';
 import {
   cardCmc,
   cardDevotion,
@@ -51,6 +53,7 @@ const CubeAnalysisPage = ({
   defaultShowTagColors,
   loginCallback,
   cubeAnalytics,
+  winRates,
 }) => {
   defaultFormatId = cube.defaultDraftFormat ?? -1;
   const [filter, setFilter] = useState(null);
@@ -256,6 +259,10 @@ const CubeAnalysisPage = ({
       name: 'Hypergeometric Calculator',
       component: (collection) => <HyperGeom cards={collection} />,
     },
+    {
+      name: 'Win Rates',
+      component: (collection) => <WinRates cards={collection} winRates={winRates} />,
+    },
   ];
 
   async function getData(url = '') {
@@ -355,6 +362,7 @@ CubeAnalysisPage.propTypes = {
   defaultShowTagColors: PropTypes.bool,
   loginCallback: PropTypes.string,
   cubeAnalytics: CubeAnalyticPropType.isRequired,
+  winRates: WinRatesPropType,
 };
 
 CubeAnalysisPage.defaultProps = {
@@ -363,6 +371,7 @@ CubeAnalysisPage.defaultProps = {
   defaultFormatId: null,
   defaultShowTagColors: true,
   loginCallback: '/',
+  winRates: null,
 };
 
 export default RenderToRoot(CubeAnalysisPage);
@@ -1,34 +1,41 @@
-import React, { useState } from 'react';
+import React, { useContext, useState } from 'react';
 import PropTypes from 'prop-types';
 import CubePropType from 'proptypes/CubePropType';
 
-import { Collapse, Nav, Navbar, NavItem, NavLink } from 'reactstrap';
+import { Collapse, Nav, Navbar, NavItem, NavLink, Row } from 'reactstrap';
 
 import BlogPost from 'components/BlogPost';
 import EditBlogModal from 'components/EditBlogModal';
 import DynamicFlash from 'components/DynamicFlash';
 import Paginate from 'components/Paginate';
+import UserContext from 'contexts/UserContext';
 import CubeLayout from 'layouts/CubeLayout';
 import MainLayout from 'layouts/MainLayout';
+import { hasCubePermission } from 'utils/CubePermissions';
 import RenderToRoot from 'utils/RenderToRoot';
 
 const CubeBlogPage = ({ cube, pages, activePage, posts, loginCallback }) => {
+  const user = useContext(UserContext);
   const [isNewEditOpen, setNewEditOpen] = useState(false);
 
   return (
     <MainLayout loginCallback={loginCallback}>
       <CubeLayout cube={cube} activeLink="blog">
-        <Navbar expand light className="usercontrols mb-3">
-          <Collapse navbar>
-            <Nav navbar>
-              <NavItem>
-                <NavLink onClick={() => setNewEditOpen(true)} href="#">
-                  Create new blog post
-                </NavLink>
-              </NavItem>
-            </Nav>
-          </Collapse>
-        </Navbar>
+        {hasCubePermission(cube, user?.id, 'blog') ? (
+          <Navbar expand light className="usercontrols mb-3">
+            <Collapse navbar>
+              <Nav navbar>
+                <NavItem>
+                  <NavLink onClick={() => setNewEditOpen(true)} href="#">
+                    Create new blog post
+                  </NavLink>
+                </NavItem>
+              </Nav>
+            </Collapse>
+          </Navbar>
+        ) : (
+          <Row className="mb-3" />
+        )}
         <DynamicFlash />
         {pages > 1 && <Paginate count={pages} active={activePage} urlF={(i) => `/cube/blog/${cube._id}/${i}`} />}
         {posts.length > 0 ? (
@@ -23,7 +23,10 @@ import {
 import CustomImageToggler from 'components/CustomImageToggler';
 import DeckCard from 'components/DeckCard';
 import DynamicFlash from 'components/DynamicFlash';
+import RecordResultsModal from 'components/RecordResultsModal';
 import SampleHandModal from 'components/SampleHandModal';
+import StartEventModal from 'components/StartEventModal';
+import withModal from 'components/WithModal';
 import { DisplayContextProvider } from 'contexts/DisplayContext';
 import useQueryParam from 'hooks/useQueryParam';
 import CubeLayout from 'layouts/CubeLayout';
@@ -35,8 +38,12 @@ import UserContext from 'contexts/UserContext';
 import RenderToRoot from 'utils/RenderToRoot';
 import { DraftPropType } from 'proptypes/DraftbotPropTypes';
 
-const CubeDeckPage = ({ cube, deck, draft, loginCallback }) => {
+const StartEventModalLink = withModal(NavLink, StartEventModal);
+const RecordResultsModalLink = withModal(NavLink, RecordResultsModal);
+
+const CubeDeckPage = ({ cube, deck, draft, eventId, sealedEventId, loginCallback }) => {
   const user = useContext(UserContext);
+  const canStartEvent = !!user && (deck.owner === user.id || cube.owner === user.id);
 
   const [seatIndex, setSeatIndex] = useQueryParam('seat', 0);
   const [view, setView] = useQueryParam('view', 'deck');
@@ -95,9 +102,36 @@ const CubeDeckPage = ({ cube, deck, draft, loginCallback }) => {
                     )}
                   />
                 </NavItem>
-                {user && deck.owner === user.id && (
+                {user && deck.seats[seatIndex].userid === user.id && (
+                  <NavItem>
+                    <NavLink href={`/cube/deck/deckbuilder/${deck._id}?seat=${seatIndex}`}>Edit</NavLink>
+                  </NavItem>
+                )}
+                {user && [deck.owner, deck.cubeOwner, deck.seats[seatIndex].userid].includes(user.id) && (
+                  <NavItem>
+                    <RecordResultsModalLink modalProps={{ deck, seatIndex: parseInt(seatIndex, 10) }}>
+                      Record Results
+                    </RecordResultsModalLink>
+                  </NavItem>
+                )}
+                {eventId && (
+                  <NavItem>
+                    <NavLink href={`/cube/event/${eventId}`}>Event</NavLink>
+                  </NavItem>
+                )}
+                {sealedEventId && (
                   <NavItem>
-                    <NavLink href={`/cube/deck/deckbuilder/${deck._id}`}>Edit</NavLink>
+                    <NavLink href={`/cube/sealed/${sealedEventId}`}>Sealed Event</NavLink>
+                  </NavItem>
+                )}
+                {!eventId && canStartEvent && (
+                  <NavItem>
+                    <StartEventModalLink modalProps={{ deck }}>Start Event</StartEventModalLink>
+                  </NavItem>
+                )}
+                {draft && (
+                  <NavItem>
+                    <NavLink href={`/cube/draft/${draft._id}/replay?seat=${seatIndex}`}>Replay Draft</NavLink>
                   </NavItem>
                 )}
                 {/* loading && <Spinner className="position-absolute" /> */}
@@ -141,6 +175,13 @@ const CubeDeckPage = ({ cube, deck, draft, loginCallback }) => {
                     <DropdownItem href={`/cube/deck/download/cockatrice/${deck._id}/${seatIndex}`}>
                       Cockatrice (.txt)
                     </DropdownItem>
+                    <DropdownItem divider />
+                    <DropdownItem href={`/cube/deck/download/proxies/${deck._id}/${seatIndex}`}>
+                      Proxy Sheet (.pdf)
+                    </DropdownItem>
+                    <DropdownItem href={`/cube/deck/download/proxies/${deck._id}/${seatIndex}?pagesize=a4`}>
+                      Proxy Sheet, A4 (.pdf)
+                    </DropdownItem>
                   </DropdownMenu>
                 </UncontrolledDropdown>
               </Nav>
@@ -169,12 +210,16 @@ CubeDeckPage.propTypes = {
   cube: CubePropType.isRequired,
   deck: DeckPropType.isRequired,
   draft: DraftPropType,
+  eventId: PropTypes.string,
+  sealedEventId: PropTypes.string,
   loginCallback: PropTypes.string,
 };
 
 CubeDeckPage.defaultProps = {
   loginCallback: '/',
   draft: null,
+  eventId: null,
+  sealedEventId: null,
 };
 
 export default RenderToRoot(CubeDeckPage);
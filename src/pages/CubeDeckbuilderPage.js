@@ -1,4 +1,4 @@
-import React, { useCallback, useState } from 'react';
+import React, { useCallback, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { Card, CardHeader, CardBody, Row, Col, CardTitle } from 'reactstrap';
 
@@ -24,19 +24,24 @@ const oppositeLocation = {
   [DraftLocation.SIDEBOARD]: DraftLocation.DECK,
 };
 
-const CubeDeckbuilderPage = ({ cube, initialDeck, loginCallback }) => {
+const CubeDeckbuilderPage = ({ cube, initialDeck, seat, loginCallback }) => {
   const { basics } = initialDeck;
   const [deck, setDeck] = useState(
-    initialDeck.seats[0].deck.map((row) => row.map((col) => col.map((cardIndex) => initialDeck.cards[cardIndex]))),
+    initialDeck.seats[seat].deck.map((row) => row.map((col) => col.map((cardIndex) => initialDeck.cards[cardIndex]))),
   );
   const [sideboard, setSideboard] = useState(
-    initialDeck.seats[0].sideboard.map((row) => row.map((col) => col.map((cardIndex) => initialDeck.cards[cardIndex]))),
+    initialDeck.seats[seat].sideboard.map((row) =>
+      row.map((col) => col.map((cardIndex) => initialDeck.cards[cardIndex])),
+    ),
   );
 
-  const locationMap = {
-    [DraftLocation.DECK]: [deck, setDeck],
-    [DraftLocation.SIDEBOARD]: [sideboard, setSideboard],
-  };
+  const locationMap = useMemo(
+    () => ({
+      [DraftLocation.DECK]: [deck, setDeck],
+      [DraftLocation.SIDEBOARD]: [sideboard, setSideboard],
+    }),
+    [deck, sideboard],
+  );
 
   const handleMoveCard = useCallback(
     (source, target) => {
@@ -96,8 +101,8 @@ const CubeDeckbuilderPage = ({ cube, initialDeck, loginCallback }) => {
   currentDeck.playerdeck = deck;
   currentDeck.playersideboard = sideboard;
 
-  const [name, setName] = useState(initialDeck.seats[0].name);
-  const [description, setDescription] = useState(initialDeck.seats[0].description);
+  const [name, setName] = useState(initialDeck.seats[seat].name);
+  const [description, setDescription] = useState(initialDeck.seats[seat].description);
 
   return (
     <MainLayout loginCallback={loginCallback}>
@@ -105,6 +110,7 @@ const CubeDeckbuilderPage = ({ cube, initialDeck, loginCallback }) => {
         <DisplayContextProvider cubeID={cube._id}>
           <DeckbuilderNavbar
             deck={currentDeck}
+            seat={seat}
             addBasics={addBasics}
             name={name}
             description={description}
@@ -168,9 +174,11 @@ const CubeDeckbuilderPage = ({ cube, initialDeck, loginCallback }) => {
 CubeDeckbuilderPage.propTypes = {
   cube: CubePropType.isRequired,
   initialDeck: DeckPropType.isRequired,
+  seat: PropTypes.number,
   loginCallback: PropTypes.string,
 };
 CubeDeckbuilderPage.defaultProps = {
+  seat: 0,
   loginCallback: '/',
 };
 
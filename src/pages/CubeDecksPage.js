@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import PropTypes from 'prop-types';
 import CubePropType from 'proptypes/CubePropType';
 import DeckPropType from 'proptypes/DeckPropType';
@@ -12,37 +12,64 @@ import DynamicFlash from 'components/DynamicFlash';
 import MainLayout from 'layouts/MainLayout';
 import RenderToRoot from 'utils/RenderToRoot';
 
-const CubeDecksPage = ({ cube, decks, pages, activePage, loginCallback }) => (
-  <MainLayout loginCallback={loginCallback}>
-    <DynamicFlash />
-    <CubeLayout cube={cube} activeLink="playtest">
-      <div className="my-3">
-        {pages > 1 && <Paginate count={pages} active={activePage} urlF={(i) => `/cube/deck/decks/${cube._id}/${i}`} />}
-        <Card>
-          <CardHeader>
-            <h5 className="mb-0">All Decks</h5>
-          </CardHeader>
-          <CardBody className="p-0">
-            {decks.map((deck) => (
-              <DeckPreview key={deck._id} deck={deck} nextURL={`/cube/deck/decks/${cube._id}/${activePage}`} />
-            ))}
-          </CardBody>
-        </Card>
-        {pages > 1 && <Paginate count={pages} active={activePage} urlF={(i) => `/cube/deck/decks/${cube._id}/${i}`} />}
-      </div>
-    </CubeLayout>
-  </MainLayout>
-);
+const CubeDecksPage = ({ cube, decks, events, sealedEvents, pages, activePage, loginCallback }) => {
+  const eventIds = useMemo(() => Object.fromEntries(events.map(({ _id, deck }) => [deck, _id])), [events]);
+  const sealedEventsByDeck = useMemo(
+    () => Object.fromEntries(sealedEvents.map((sealedEvent) => [sealedEvent.deck, sealedEvent])),
+    [sealedEvents],
+  );
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <DynamicFlash />
+      <CubeLayout cube={cube} activeLink="playtest">
+        <div className="my-3">
+          {pages > 1 && (
+            <Paginate count={pages} active={activePage} urlF={(i) => `/cube/deck/decks/${cube._id}/${i}`} />
+          )}
+          <Card>
+            <CardHeader>
+              <h5 className="mb-0">All Decks</h5>
+            </CardHeader>
+            <CardBody className="p-0">
+              {decks.map((deck) => (
+                <DeckPreview
+                  key={deck._id}
+                  deck={deck}
+                  nextURL={`/cube/deck/decks/${cube._id}/${activePage}`}
+                  eventId={eventIds[deck._id]}
+                  sealedEvent={sealedEventsByDeck[deck._id]}
+                />
+              ))}
+            </CardBody>
+          </Card>
+          {pages > 1 && (
+            <Paginate count={pages} active={activePage} urlF={(i) => `/cube/deck/decks/${cube._id}/${i}`} />
+          )}
+        </div>
+      </CubeLayout>
+    </MainLayout>
+  );
+};
 
 CubeDecksPage.propTypes = {
   cube: CubePropType.isRequired,
   decks: PropTypes.arrayOf(DeckPropType).isRequired,
+  events: PropTypes.arrayOf(PropTypes.shape({ _id: PropTypes.string.isRequired, deck: PropTypes.string.isRequired })),
+  sealedEvents: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      deck: PropTypes.string.isRequired,
+      name: PropTypes.string,
+    }),
+  ),
   pages: PropTypes.number.isRequired,
   activePage: PropTypes.number.isRequired,
   loginCallback: PropTypes.string,
 };
 
 CubeDecksPage.defaultProps = {
+  events: [],
+  sealedEvents: [],
   loginCallback: '/',
 };
 
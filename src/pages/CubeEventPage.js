@@ -0,0 +1,198 @@
+import React, { useContext, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import CubePropType from 'proptypes/CubePropType';
+import EventPropType, { MatchPropType } from 'proptypes/EventPropType';
+
+import { Badge, Button, Card, CardHeader, Input, Nav, Navbar, NavItem, NavLink, Table } from 'reactstrap';
+
+import CSRFForm from 'components/CSRFForm';
+import DynamicFlash from 'components/DynamicFlash';
+import UserContext from 'contexts/UserContext';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const MAX_GAME_WINS = 3;
+
+const renderPercent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+const GameCount = ({ name, defaultValue }) => (
+  <Input type="select" bsSize="sm" name={name} defaultValue={defaultValue} className="d-inline w-auto mx-1">
+    {[...Array(MAX_GAME_WINS + 1).keys()].map((count) => (
+      <option key={count}>{count}</option>
+    ))}
+  </Input>
+);
+
+GameCount.propTypes = {
+  name: PropTypes.string.isRequired,
+  defaultValue: PropTypes.number.isRequired,
+};
+
+const MatchRow = ({ event, match, canReport }) => {
+  const [first, second] = match.players.map((player) => (player === null ? null : event.players[player]));
+  const playerLink = (player) => <a href={`/cube/deck/${event.deck}?seat=${player.seat}`}>{player.name}</a>;
+
+  if (!second) {
+    return (
+      <tr>
+        <td>{playerLink(first)}</td>
+        <td className="text-muted">Bye</td>
+        <td>2-0</td>
+      </tr>
+    );
+  }
+
+  return (
+    <tr>
+      <td>{playerLink(first)}</td>
+      <td>{playerLink(second)}</td>
+      <td>
+        {canReport ? (
+          <CSRFForm
+            method="POST"
+            action={`/cube/event/report/${event._id}/${match._id}`}
+            className="form-inline flex-nowrap"
+          >
+            <GameCount name="wins0" defaultValue={match.wins[0]} />-
+            <GameCount name="wins1" defaultValue={match.wins[1]} />-
+            <GameCount name="draws" defaultValue={match.draws} />
+            <Button type="submit" size="sm" color="success" outline className="ml-2">
+              {match.reported ? 'Update' : 'Report'}
+            </Button>
+          </CSRFForm>
+        ) : (
+          <>{match.reported ? `${match.wins[0]}-${match.wins[1]}-${match.draws}` : 'Awaiting result'}</>
+        )}
+      </td>
+    </tr>
+  );
+};
+
+MatchRow.propTypes = {
+  event: EventPropType.isRequired,
+  match: MatchPropType.isRequired,
+  canReport: PropTypes.bool.isRequired,
+};
+
+const CubeEventPage = ({ cube, event, standings, loginCallback }) => {
+  const user = useContext(UserContext);
+  const isOrganizer = !!user && user.id === event.owner;
+  const canReport = (match) =>
+    isOrganizer ||
+    (!!user && match.players.some((player) => player !== null && event.players[player].userid === user.id));
+
+  const rounds = useMemo(() => {
+    const byRound = [];
+    for (const match of event.matches) {
+      byRound[match.round] = [...(byRound[match.round] || []), match];
+    }
+    return byRound.map((matches, round) => ({ round, matches }));
+  }, [event.matches]);
+  // Round robin events are paired up front, so the current round is the first one still missing results.
+  const unfinished = rounds.find(({ matches }) => matches.some((match) => !match.reported));
+  const currentRound = unfinished ? unfinished.round : rounds.length - 1;
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <CubeLayout cube={cube} activeLink="playtest">
+        <Navbar expand light className="usercontrols mb-3">
+          <Nav navbar>
+            <NavItem>
+              <NavLink href={`/cube/deck/${event.deck}`}>View Decks</NavLink>
+            </NavItem>
+            <NavItem>
+              <NavLink href={`/cube/deck/decks/${cube._id}`}>All Decks</NavLink>
+            </NavItem>
+          </Nav>
+        </Navbar>
+        <DynamicFlash />
+        <h4 className="mb-3">
+          {event.name}{' '}
+          <Badge color={event.status === 'finished' ? 'secondary' : 'success'}>
+            {event.status === 'finished' ? 'Finished' : `Round ${currentRound + 1} of ${event.numRounds}`}
+          </Badge>
+        </h4>
+        <p className="text-muted">
+          {event.format === 'swiss' ? `Swiss, ${event.numRounds} rounds` : 'Round robin'}. Matches are best of three;
+          results are entered as wins-losses-draws for the first player.
+        </p>
+        <Card className="mb-3">
+          <CardHeader>
+            <h5 className="mb-0">Standings</h5>
+          </CardHeader>
+          <Table size="sm" className="mb-0" responsive>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Player</th>
+                <th>Points</th>
+                <th>Record</th>
+                <th>OMW%</th>
+                <th>GW%</th>
+                <th>OGW%</th>
+              </tr>
+            </thead>
+            <tbody>
+              {standings.map((record, index) => (
+                <tr key={record.player}>
+                  <td>{index + 1}</td>
+                  <td>
+                    <a href={`/cube/deck/${event.deck}?seat=${event.players[record.player].seat}`}>
+                      {event.players[record.player].name}
+                    </a>
+                  </td>
+                  <td>{record.matchPoints}</td>
+                  <td>
+                    {record.wins}-{record.losses}-{record.draws}
+                  </td>
+                  <td>{renderPercent(record.opponentMatchWinPercentage)}</td>
+                  <td>{renderPercent(record.gameWinPercentage)}</td>
+                  <td>{renderPercent(record.opponentGameWinPercentage)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card>
+        {rounds.map(({ round, matches }) => (
+          <Card key={round} className="mb-3">
+            <CardHeader>
+              <h5 className="mb-0">Round {round + 1}</h5>
+            </CardHeader>
+            <Table size="sm" className="mb-0" responsive>
+              <tbody>
+                {matches.map((match) => (
+                  <MatchRow key={match._id} event={event} match={match} canReport={canReport(match)} />
+                ))}
+              </tbody>
+            </Table>
+          </Card>
+        ))}
+      </CubeLayout>
+    </MainLayout>
+  );
+};
+
+CubeEventPage.propTypes = {
+  cube: CubePropType.isRequired,
+  event: EventPropType.isRequired,
+  standings: PropTypes.arrayOf(
+    PropTypes.shape({
+      player: PropTypes.number.isRequired,
+      matchPoints: PropTypes.number.isRequired,
+      wins: PropTypes.number.isRequired,
+      losses: PropTypes.number.isRequired,
+      draws: PropTypes.number.isRequired,
+      opponentMatchWinPercentage: PropTypes.number.isRequired,
+      gameWinPercentage: PropTypes.number.isRequired,
+      opponentGameWinPercentage: PropTypes.number.isRequired,
+    }),
+  ).isRequired,
+  loginCallback: PropTypes.string,
+};
+
+CubeEventPage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(CubeEventPage);
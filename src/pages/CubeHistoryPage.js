@@ -0,0 +1,260 @@
+import React, { useContext, useState } from 'react';
+import PropTypes from 'prop-types';
+import CardPropType from 'proptypes/CardPropType';
+import CubePropType from 'proptypes/CubePropType';
+
+import TimeAgo from 'react-timeago';
+import {
+  Badge,
+  Button,
+  Card,
+  CardBody,
+  CardFooter,
+  CardHeader,
+  Collapse,
+  Input,
+  InputGroup,
+  InputGroupAddon,
+  InputGroupText,
+  Nav,
+  Navbar,
+  NavItem,
+} from 'reactstrap';
+
+import CSRFForm from 'components/CSRFForm';
+import DynamicFlash from 'components/DynamicFlash';
+import Paginate from 'components/Paginate';
+import withAutocard from 'components/WithAutocard';
+import UserContext from 'contexts/UserContext';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import { hasCubePermission } from 'utils/CubePermissions';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const TextAutocard = withAutocard('span');
+
+const CardName = ({ card }) => <TextAutocard card={card}>{card.details.name}</TextAutocard>;
+
+CardName.propTypes = {
+  card: CardPropType.isRequired,
+};
+
+const ACTION_BADGES = {
+  add: ['success', '+'],
+  remove: ['danger', '-'],
+  replace: ['primary', '→'],
+  edit: ['secondary', '✎'],
+};
+
+const Change = ({ change }) => {
+  const [color, symbol] = ACTION_BADGES[change.action];
+  return (
+    <li>
+      <Badge color={color}>{symbol}</Badge> {change.action === 'add' && <CardName card={change.newCard} />}
+      {change.action === 'remove' && <CardName card={change.oldCard} />}
+      {change.action === 'replace' && (
+        <>
+          <CardName card={change.oldCard} />
+          {' > '}
+          <CardName card={change.newCard} />
+        </>
+      )}
+      {change.action === 'edit' && (
+        <>
+          <CardName card={change.newCard} /> <span className="text-muted">(edited)</span>
+        </>
+      )}
+    </li>
+  );
+};
+
+Change.propTypes = {
+  change: PropTypes.shape({
+    action: PropTypes.oneOf(Object.keys(ACTION_BADGES)).isRequired,
+    oldCard: CardPropType,
+    newCard: CardPropType,
+  }).isRequired,
+};
+
+const summaryText = (summary) =>
+  [
+    summary.add && `${summary.add} added`,
+    summary.remove && `${summary.remove} removed`,
+    summary.replace && `${summary.replace} replaced`,
+    summary.edit && `${summary.edit} edited`,
+  ]
+    .filter((part) => part)
+    .join(', ');
+
+const RevertButton = ({ cubeID, version }) => (
+  <CSRFForm method="POST" action={`/cube/history/revert/${encodeURIComponent(cubeID)}/${version}`} className="d-inline">
+    <Button type="submit" color="danger" size="sm" outline>
+      Revert to this version
+    </Button>
+  </CSRFForm>
+);
+
+RevertButton.propTypes = {
+  cubeID: PropTypes.string.isRequired,
+  version: PropTypes.number.isRequired,
+};
+
+const Version = ({ cubeID, version, latest, canEdit }) => {
+  const [open, setOpen] = useState(false);
+  const base = `/cube/history/${encodeURIComponent(cubeID)}`;
+
+  return (
+    <Card className="mb-3">
+      <CardHeader>
+        <h5 className="mb-0">
+          Version {version.version}
+          {version.version === latest && <Badge className="ml-2">Current</Badge>}
+        </h5>
+        <small className="text-muted">
+          {version.username} - <TimeAgo date={version.date} />
+          {version.revertedTo !== null && ` - Reverted to version ${version.revertedTo}`}
+        </small>
+      </CardHeader>
+      <CardBody>
+        <Button color="link" className="p-0" onClick={() => setOpen((wasOpen) => !wasOpen)}>
+          {summaryText(version.summary)}
+        </Button>
+        <Collapse isOpen={open}>
+          <ul className="changelist mt-2 mb-0">
+            {version.changes.map((change, index) => (
+              // eslint-disable-next-line react/no-array-index-key
+              <Change key={index} change={change} />
+            ))}
+          </ul>
+        </Collapse>
+      </CardBody>
+      <CardFooter>
+        <Button href={`${base}/view/${version.version}`} color="success" size="sm" outline className="mr-2">
+          View
+        </Button>
+        <Button href={`${base}/diff/${version.version - 1}/${version.version}`} size="sm" outline className="mr-2">
+          Changes
+        </Button>
+        {version.blog && (
+          <Button href={`/cube/blog/blogpost/${version.blog}`} size="sm" outline className="mr-2">
+            Blog Post
+          </Button>
+        )}
+        {canEdit && version.version !== latest && <RevertButton cubeID={cubeID} version={version.version} />}
+      </CardFooter>
+    </Card>
+  );
+};
+
+Version.propTypes = {
+  cubeID: PropTypes.string.isRequired,
+  version: PropTypes.shape({
+    version: PropTypes.number.isRequired,
+    date: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
+    username: PropTypes.string,
+    blog: PropTypes.string,
+    revertedTo: PropTypes.number,
+    summary: PropTypes.shape({
+      add: PropTypes.number,
+      remove: PropTypes.number,
+      replace: PropTypes.number,
+      edit: PropTypes.number,
+    }).isRequired,
+    changes: PropTypes.arrayOf(Change.propTypes.change).isRequired,
+  }).isRequired,
+  latest: PropTypes.number.isRequired,
+  canEdit: PropTypes.bool.isRequired,
+};
+
+const CompareVersions = ({ cubeID, latest }) => {
+  const [from, setFrom] = useState(Math.max(latest - 1, 0));
+  const [to, setTo] = useState(latest);
+
+  return (
+    <InputGroup className="mb-3">
+      <InputGroupAddon addonType="prepend">
+        <InputGroupText>Compare version</InputGroupText>
+      </InputGroupAddon>
+      <Input type="number" min={0} max={latest} value={from} onChange={(event) => setFrom(event.target.value)} />
+      <InputGroupAddon addonType="prepend">
+        <InputGroupText>to</InputGroupText>
+      </InputGroupAddon>
+      <Input type="number" min={0} max={latest} value={to} onChange={(event) => setTo(event.target.value)} />
+      <InputGroupAddon addonType="append">
+        <Button color="success" href={`/cube/history/${encodeURIComponent(cubeID)}/diff/${from}/${to}`}>
+          Compare
+        </Button>
+      </InputGroupAddon>
+    </InputGroup>
+  );
+};
+
+CompareVersions.propTypes = {
+  cubeID: PropTypes.string.isRequired,
+  latest: PropTypes.number.isRequired,
+};
+
+const CubeHistoryPage = ({ cube, versions, latest, pages, activePage, loginCallback }) => {
+  const user = useContext(UserContext);
+  const canEdit = hasCubePermission(cube, user?.id, 'edit');
+  const isLastPage = activePage >= pages - 1;
+  const urlF = (i) => `/cube/history/${encodeURIComponent(cube._id)}/${i}`;
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <CubeLayout cube={cube} activeLink="history">
+        <Navbar expand light className="usercontrols mb-3">
+          <Nav navbar>
+            <NavItem>
+              <span className="navbar-text">
+                {latest > 0 ? `${latest} recorded versions` : 'No changes have been recorded for this cube yet.'}
+              </span>
+            </NavItem>
+          </Nav>
+        </Navbar>
+        <DynamicFlash />
+        {latest > 0 && <CompareVersions cubeID={cube._id} latest={latest} />}
+        {pages > 1 && <Paginate count={pages} active={activePage} urlF={urlF} />}
+        {versions.map((version) => (
+          <Version key={version._id} cubeID={cube._id} version={version} latest={latest} canEdit={canEdit} />
+        ))}
+        {latest > 0 && isLastPage && (
+          <Card className="mb-3">
+            <CardHeader>
+              <h5 className="mb-0">Version 0</h5>
+              <small className="text-muted">The cube before its first recorded change</small>
+            </CardHeader>
+            <CardFooter>
+              <Button
+                href={`/cube/history/${encodeURIComponent(cube._id)}/view/0`}
+                color="success"
+                size="sm"
+                outline
+                className="mr-2"
+              >
+                View
+              </Button>
+              {canEdit && <RevertButton cubeID={cube._id} version={0} />}
+            </CardFooter>
+          </Card>
+        )}
+        {pages > 1 && <Paginate count={pages} active={activePage} urlF={urlF} />}
+      </CubeLayout>
+    </MainLayout>
+  );
+};
+
+CubeHistoryPage.propTypes = {
+  cube: CubePropType.isRequired,
+  versions: PropTypes.arrayOf(Version.propTypes.version).isRequired,
+  latest: PropTypes.number.isRequired,
+  pages: PropTypes.number.isRequired,
+  activePage: PropTypes.number.isRequired,
+  loginCallback: PropTypes.string,
+};
+
+CubeHistoryPage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(CubeHistoryPage);
@@ -3,6 +3,7 @@ import PropTypes from 'prop-types';
 import CubePropType from 'proptypes/CubePropType';
 
 import {
+  Alert,
   Button,
   Card,
   CardHeader,
@@ -15,6 +16,7 @@ import {
   NavItem,
   NavLink,
   Row,
+  Table,
   UncontrolledAlert,
   UncontrolledCollapse,
 } from 'reactstrap';
@@ -22,6 +24,7 @@ import {
 import { LinkExternalIcon, QuestionIcon, EyeClosedIcon } from '@primer/octicons-react';
 
 import { csrfFetch } from 'utils/CSRF';
+import { COLLABORATOR_ROLES, hasCubePermission } from 'utils/CubePermissions';
 import { getCubeId, getCubeDescription } from 'utils/Util';
 
 import UserContext from 'contexts/UserContext';
@@ -61,7 +64,79 @@ const PrivateCubeIcon = () => (
   </Tooltip>
 );
 
-const CubeOverview = ({ post, priceOwned, pricePurchase, cube, followed, followers, loginCallback }) => {
+const ForksCard = ({ forks, total }) => (
+  <Card className="mt-3">
+    <CardHeader>
+      <h5 className="card-title">Forks</h5>
+      {total > forks.length && (
+        <small className="text-muted">
+          Showing the {forks.length} most recently updated of {total} forks.
+        </small>
+      )}
+    </CardHeader>
+    <Table size="sm" responsive className="mb-0">
+      <thead>
+        <tr>
+          <th>Cube</th>
+          <th>Owner</th>
+          <th>
+            <Tooltip text="Cards the fork has that this cube doesn't.">Added</Tooltip>
+          </th>
+          <th>
+            <Tooltip text="Cards this cube has that the fork doesn't.">Removed</Tooltip>
+          </th>
+          <th>
+            <Tooltip text="Versions of this cube since the last one the fork took changes from.">Behind</Tooltip>
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {forks.map((fork) => (
+          <tr key={fork._id}>
+            <td>
+              <a href={`/cube/overview/${getCubeId(fork)}`}>{fork.name}</a>
+            </td>
+            <td>
+              <a href={`/user/view/${fork.owner}`}>{fork.owner_name}</a>
+            </td>
+            <td>{fork.added}</td>
+            <td>{fork.removed}</td>
+            <td>{fork.versionsBehind}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  </Card>
+);
+
+const ForkPropType = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  shortID: PropTypes.string,
+  name: PropTypes.string.isRequired,
+  owner: PropTypes.string.isRequired,
+  owner_name: PropTypes.string.isRequired,
+  added: PropTypes.number.isRequired,
+  removed: PropTypes.number.isRequired,
+  versionsBehind: PropTypes.number.isRequired,
+});
+
+ForksCard.propTypes = {
+  forks: PropTypes.arrayOf(ForkPropType).isRequired,
+  total: PropTypes.number.isRequired,
+};
+
+const CubeOverview = ({
+  post,
+  priceOwned,
+  pricePurchase,
+  cube,
+  followed,
+  followers,
+  forks,
+  forkCount,
+  upstream,
+  loginCallback,
+}) => {
   const user = useContext(UserContext);
 
   const [alerts, setAlerts] = useState([]);
@@ -72,6 +147,12 @@ const CubeOverview = ({ post, priceOwned, pricePurchase, cube, followed, followe
     setAlerts([...alerts, { color, message }]);
   };
 
+  const isOwner = !!user && cubeState.owner === user.id;
+  const canEdit = hasCubePermission(cubeState, user?.id, 'edit');
+  const collaborators = cubeState.collaborators ?? [];
+  const invitation =
+    user && collaborators.find((collaborator) => !collaborator.accepted && collaborator.user === user.id);
+
   const onCubeUpdate = (updated) => {
     addAlert('success', 'Update Successful');
     setCubeState(updated);
@@ -105,7 +186,7 @@ const CubeOverview = ({ post, priceOwned, pricePurchase, cube, followed, followe
   return (
     <MainLayout loginCallback={loginCallback}>
       <CubeLayout cube={cubeState} activeLink="overview">
-        {user && cubeState.owner === user.id ? (
+        {canEdit ? (
           <Navbar expand="md" light className="usercontrols mb-3">
             <NavbarToggler
               className="ml-auto"
@@ -122,11 +203,13 @@ const CubeOverview = ({ post, priceOwned, pricePurchase, cube, followed, followe
                     onCubeUpdate={onCubeUpdate}
                   />
                 </NavItem>
-                <NavItem>
-                  <CubeSettingsModalLink cube={cubeState} modalProps={{ addAlert, onCubeUpdate }}>
-                    Edit Settings
-                  </CubeSettingsModalLink>
-                </NavItem>
+                {isOwner && (
+                  <NavItem>
+                    <CubeSettingsModalLink cube={cubeState} modalProps={{ addAlert, onCubeUpdate }}>
+                      Edit Settings
+                    </CubeSettingsModalLink>
+                  </NavItem>
+                )}
                 <NavItem>
                   <CustomizeBasicsModalLink
                     modalProps={{
@@ -144,9 +227,11 @@ const CubeOverview = ({ post, priceOwned, pricePurchase, cube, followed, followe
                     Customize Basics
                   </CustomizeBasicsModalLink>
                 </NavItem>
-                <NavItem>
-                  <DeleteCubeModalLink modalProps={{ cubeid: cubeState._id }}>Delete Cube</DeleteCubeModalLink>
-                </NavItem>
+                {isOwner && (
+                  <NavItem>
+                    <DeleteCubeModalLink modalProps={{ cubeid: cubeState._id }}>Delete Cube</DeleteCubeModalLink>
+                  </NavItem>
+                )}
               </Nav>
             </UncontrolledCollapse>
           </Navbar>
@@ -154,6 +239,23 @@ const CubeOverview = ({ post, priceOwned, pricePurchase, cube, followed, followe
           <Row className="mb-3" />
         )}
         <DynamicFlash />
+        {invitation && (
+          <Alert color="info" className="d-flex align-items-center">
+            <span className="mr-auto">
+              You've been invited to collaborate on this cube as {COLLABORATOR_ROLES[invitation.role].name}.
+            </span>
+            <CSRFForm method="POST" action={`/cube/collaborators/accept/${cubeState._id}`} className="mr-2">
+              <Button type="submit" color="success">
+                Accept
+              </Button>
+            </CSRFForm>
+            <CSRFForm method="POST" action={`/cube/collaborators/decline/${cubeState._id}`}>
+              <Button type="submit" outline color="danger">
+                Decline
+              </Button>
+            </CSRFForm>
+          </Alert>
+        )}
         {alerts.map(({ color, message }, index) => (
           <UncontrolledAlert color={color} key={/* eslint-disable-line react/no-array-index-key */ index}>
             {message}
@@ -217,6 +319,14 @@ const CubeOverview = ({ post, priceOwned, pricePurchase, cube, followed, followe
                   <i>
                     Designed by
                     <a href={`/user/view/${cubeState.owner}`}> {cubeState.owner_name}</a>
+                    {collaborators
+                      .filter((collaborator) => collaborator.accepted)
+                      .map((collaborator, index, accepted) => (
+                        <React.Fragment key={collaborator.user}>
+                          {index === accepted.length - 1 ? ' and ' : ', '}
+                          <a href={`/user/view/${collaborator.user}`}>{collaborator.username}</a>
+                        </React.Fragment>
+                      ))}
                   </i>{' '}
                   • <a href={`/cube/rss/${cubeState._id}`}>RSS</a> •{' '}
                   <QRCodeModalLink
@@ -226,6 +336,17 @@ const CubeOverview = ({ post, priceOwned, pricePurchase, cube, followed, followe
                     QR Code
                   </QRCodeModalLink>
                 </h6>
+                {upstream && (
+                  <p className="mb-1">
+                    Forked from <a href={`/cube/overview/${getCubeId(upstream)}`}>{upstream.name}</a>
+                    {canEdit && upstream.pending > 0 && (
+                      <>
+                        {' '}
+                        • <a href={`/cube/upstream/${cubeState._id}`}>{upstream.pending} upstream changes</a>
+                      </>
+                    )}
+                  </p>
+                )}
                 <p>
                   <a href={`https://luckypaper.co/resources/cube-map/?cube=${cubeState._id}`}>
                     View in Cube Map <LinkExternalIcon size={16} />
@@ -298,6 +419,7 @@ const CubeOverview = ({ post, priceOwned, pricePurchase, cube, followed, followe
                 </CardFooter>
               )}
             </Card>
+            {forks.length > 0 && <ForksCard forks={forks} total={forkCount} />}
           </Col>
         </Row>
         <div className="mb-3">{post && <BlogPost key={post._id} post={post} />}</div>
@@ -319,6 +441,14 @@ CubeOverview.propTypes = {
       _id: PropTypes.string.isRequired,
     }),
   ),
+  forks: PropTypes.arrayOf(ForkPropType),
+  forkCount: PropTypes.number,
+  upstream: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    shortID: PropTypes.string,
+    name: PropTypes.string.isRequired,
+    pending: PropTypes.number.isRequired,
+  }),
   loginCallback: PropTypes.string,
 };
 
@@ -327,6 +457,9 @@ CubeOverview.defaultProps = {
   priceOwned: null,
   pricePurchase: null,
   followers: [],
+  forks: [],
+  forkCount: 0,
+  upstream: null,
   loginCallback: '/',
 };
 
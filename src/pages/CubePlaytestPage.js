@@ -23,6 +23,8 @@ import {
   ModalHeader,
   Row,
   Spinner,
+  TabContent,
+  TabPane,
   UncontrolledCollapse,
 } from 'reactstrap';
 
@@ -32,13 +34,17 @@ import UserContext from 'contexts/UserContext';
 import CustomDraftFormatModal from 'components/CustomDraftFormatModal';
 import DynamicFlash from 'components/DynamicFlash';
 import DeckPreview from 'components/DeckPreview';
+import DraftSimulation from 'components/DraftSimulation';
 import Markdown from 'components/Markdown';
+import Tab from 'components/Tab';
 import withModal from 'components/WithModal';
 import useAlerts, { Alerts } from 'hooks/UseAlerts';
 import useToggle from 'hooks/UseToggle';
 import CubeLayout from 'layouts/CubeLayout';
 import { csrfFetch } from 'utils/CSRF';
+import { hasCubePermission } from 'utils/CubePermissions';
 import { allBotsDraft } from 'drafting/draftutil';
+import { BOT_PROFILES, DEFAULT_BOT_PROFILE } from 'drafting/draftbots';
 import MainLayout from 'layouts/MainLayout';
 import RenderToRoot from 'utils/RenderToRoot';
 
@@ -58,7 +64,8 @@ const UploadDecklistModal = ({ isOpen, toggle }) => {
         <ModalBody>
           <p>
             Acceptable formats are: one card name per line, or one card name per line prepended with #x, such as
-            &quot;2x island&quot;
+            &quot;2x island&quot;. Decks exported from here for MTGO, Arena, Cockatrice, XMage or Forge can be uploaded
+            too, including their sideboards.
           </p>
           <Input
             type="textarea"
@@ -105,6 +112,77 @@ LabelRow.propTypes = {
   children: PropTypes.node.isRequired,
 };
 
+const LiveDraftOptions = ({ index }) => {
+  const user = useContext(UserContext);
+  const [live, toggleLive] = useToggle(false);
+  if (!user) {
+    return null;
+  }
+  return (
+    <>
+      <FormGroup check>
+        <Label check>
+          <Input type="checkbox" name="live" onClick={toggleLive} value={live} /> Draft live with friends.
+        </Label>
+      </FormGroup>
+      {live && (
+        <LabelRow htmlFor={`timer-${index}`} label="Pick Timer" className="mt-2 mb-0">
+          <Input type="select" name="timer" id={`timer-${index}`} defaultValue="60">
+            <option value="0">No limit</option>
+            <option value="30">30 seconds</option>
+            <option value="60">60 seconds</option>
+            <option value="90">90 seconds</option>
+            <option value="120">2 minutes</option>
+          </Input>
+        </LabelRow>
+      )}
+    </>
+  );
+};
+
+LiveDraftOptions.propTypes = {
+  index: PropTypes.number.isRequired,
+};
+
+const BotProfileOptions = ({ index, seats }) => {
+  const user = useContext(UserContext);
+  const { cube } = useContext(CubeContext);
+  if (!hasCubePermission(cube, user?.id, 'formats')) {
+    return null;
+  }
+  return (
+    <>
+      <Button color="link" className="px-0" id={`botProfilesToggler-${index}`}>
+        Bot Profiles
+      </Button>
+      <UncontrolledCollapse toggler={`#botProfilesToggler-${index}`}>
+        <p className="text-muted small">How the bots in each seat draft. Seat 1 is yours.</p>
+        {range(2, seats + 1).map((seat) => (
+          <LabelRow key={seat} htmlFor={`botProfile-${index}-${seat}`} label={`Seat ${seat}`}>
+            <Input
+              type="select"
+              name="botProfiles"
+              id={`botProfile-${index}-${seat}`}
+              defaultValue={DEFAULT_BOT_PROFILE}
+            >
+              {Object.entries(BOT_PROFILES).map(([key, { name, description }]) => (
+                <option key={key} value={key} title={description}>
+                  {name}
+                </option>
+              ))}
+            </Input>
+          </LabelRow>
+        ))}
+      </UncontrolledCollapse>
+    </>
+  );
+};
+
+BotProfileOptions.propTypes = {
+  index: PropTypes.number.isRequired,
+  seats: PropTypes.number.isRequired,
+};
+
 const useBotsOnlyCallback = (botsOnly, cubeID) => {
   const formRef = useRef();
   const submitDeckForm = useRef();
@@ -149,8 +227,11 @@ const CustomDraftCard = ({
   defaultDraftFormat,
   ...props
 }) => {
-  const { cubeID, canEdit } = useContext(CubeContext);
+  const user = useContext(UserContext);
+  const { cube, cubeID } = useContext(CubeContext);
+  const canManageFormats = hasCubePermission(cube, user?.id, 'formats');
   const { index } = format;
+  const [seats, setSeats] = useState(format.defaultSeats ?? 8);
   const [botsOnly, toggleBotsOnly] = useToggle(false);
   const [submitForm, draftId, submitDeckForm, formRef, loading] = useBotsOnlyCallback(botsOnly, cubeID);
   return (
@@ -191,15 +272,23 @@ const CustomDraftCard = ({
           )}
 
           <LabelRow htmlFor={`seats-${index}`} label="Total Seats">
-            <Input type="select" name="seats" id={`seats-${index}`} defaultValue={format.defaultSeats ?? 8}>
+            <Input
+              type="select"
+              name="seats"
+              id={`seats-${index}`}
+              value={seats}
+              onChange={(event) => setSeats(parseInt(event.target.value, 10))}
+            >
               {rangeOptions(2, 17)}
             </Input>
           </LabelRow>
+          <BotProfileOptions index={index} seats={seats} />
           <FormGroup check>
             <Label check>
               <Input type="checkbox" name="botsOnly" value={botsOnly} onClick={toggleBotsOnly} /> Have just bots draft.
             </Label>
           </FormGroup>
+          {!botsOnly && <LiveDraftOptions index={index} />}
         </CardBody>
         <CardFooter>
           <Input type="hidden" name="id" value={index} />
@@ -208,7 +297,7 @@ const CustomDraftCard = ({
             <Button type="submit" color="success" className="mr-2" disabled={loading}>
               Start Draft
             </Button>
-            {canEdit && (
+            {canManageFormats && (
               <>
                 <Button color="success" className="mr-2" onClick={onEditFormat} data-index={index}>
                   Edit
@@ -251,7 +340,10 @@ CustomDraftCard.propTypes = {
 };
 
 const StandardDraftCard = ({ onSetDefaultFormat, defaultDraftFormat }) => {
-  const { cubeID, canEdit } = useContext(CubeContext);
+  const user = useContext(UserContext);
+  const { cube, cubeID } = useContext(CubeContext);
+  const canManageFormats = hasCubePermission(cube, user?.id, 'formats');
+  const [seats, setSeats] = useState(8);
   const [botsOnly, toggleBotsOnly] = useToggle(false);
   const [submitForm, draftId, submitDeckForm, formRef, loading] = useBotsOnlyCallback(botsOnly, cubeID);
   return (
@@ -282,15 +374,23 @@ const StandardDraftCard = ({ onSetDefaultFormat, defaultDraftFormat }) => {
             </Input>
           </LabelRow>
           <LabelRow htmlFor="seats" label="Total Seats">
-            <Input type="select" name="seats" id="seats" defaultValue="8">
+            <Input
+              type="select"
+              name="seats"
+              id="seats"
+              value={seats}
+              onChange={(event) => setSeats(parseInt(event.target.value, 10))}
+            >
               {rangeOptions(2, 17)}
             </Input>
           </LabelRow>
+          <BotProfileOptions index={-1} seats={seats} />
           <FormGroup check>
             <Label check>
               <Input type="checkbox" name="botsOnly" onClick={toggleBotsOnly} value={botsOnly} /> Have just bots draft.
             </Label>
           </FormGroup>
+          {!botsOnly && <LiveDraftOptions index={-1} />}
         </CardBody>
         <CardFooter>
           <Input type="hidden" name="id" value="-1" />
@@ -300,7 +400,7 @@ const StandardDraftCard = ({ onSetDefaultFormat, defaultDraftFormat }) => {
               Start Draft
             </Button>
           </div>
-          {canEdit && defaultDraftFormat !== -1 && (
+          {canManageFormats && defaultDraftFormat !== -1 && (
             <Button color="success" className="mr-3" onClick={onSetDefaultFormat} data-index={-1}>
               Make Default
             </Button>
@@ -344,6 +444,88 @@ const SealedCard = () => {
   );
 };
 
+const SealedEventCard = ({ formats }) => {
+  const { cubeID } = useContext(CubeContext);
+  const [format, setFormat] = useState('-1');
+  return (
+    <Card className="mb-3">
+      <CSRFForm method="POST" action={`/cube/sealed/create/${cubeID}`}>
+        <CardHeader>
+          <CardTitleH5>Sealed Event</CardTitleH5>
+        </CardHeader>
+        <CardBody>
+          <div className="description-area">
+            <p>
+              Deals a sealed pool for each player or team, with a link to share with them. Teams of two or three players
+              share a pool, and each of them builds a deck from it.
+            </p>
+          </div>
+          <LabelRow htmlFor="name-sealed-event" label="Event Name">
+            <Input type="text" name="name" id="name-sealed-event" placeholder="Optional" />
+          </LabelRow>
+          <LabelRow htmlFor="pools-sealed-event" label="Number of Pools">
+            <Input type="select" name="pools" id="pools-sealed-event" defaultValue="8">
+              {rangeOptions(2, 17)}
+            </Input>
+          </LabelRow>
+          <LabelRow htmlFor="team-sealed-event" label="Players per Pool">
+            <Input type="select" name="teamSize" id="team-sealed-event" defaultValue="1">
+              <option value="1">1 (Sealed)</option>
+              <option value="2">2 (Team Sealed)</option>
+              <option value="3">3 (Team Sealed)</option>
+            </Input>
+          </LabelRow>
+          <LabelRow htmlFor="format-sealed-event" label="Packs">
+            <Input
+              type="select"
+              name="format"
+              id="format-sealed-event"
+              value={format}
+              onChange={(event) => setFormat(event.target.value)}
+            >
+              <option value="-1">Random Cards</option>
+              {formats.map(({ index, title }) => (
+                <option key={index} value={index}>
+                  {title}
+                </option>
+              ))}
+            </Input>
+          </LabelRow>
+          {format === '-1' && (
+            <>
+              <LabelRow htmlFor="packs-sealed-event" label="Number of Packs">
+                <Input type="select" name="packs" id="packs-sealed-event" defaultValue="6">
+                  {rangeOptions(1, 16)}
+                </Input>
+              </LabelRow>
+              <LabelRow htmlFor="cards-sealed-event" label="Cards per Pack">
+                <Input type="select" name="cards" id="cards-sealed-event" defaultValue="15">
+                  {rangeOptions(5, 25)}
+                </Input>
+              </LabelRow>
+            </>
+          )}
+          <LabelRow htmlFor="seed-sealed-event" label="Seed">
+            <Input type="text" name="seed" id="seed-sealed-event" placeholder="Random" />
+          </LabelRow>
+        </CardBody>
+        <CardFooter>
+          <Button color="success">Create Sealed Event</Button>
+        </CardFooter>
+      </CSRFForm>
+    </Card>
+  );
+};
+
+SealedEventCard.propTypes = {
+  formats: PropTypes.arrayOf(
+    PropTypes.shape({
+      index: PropTypes.number.isRequired,
+      title: PropTypes.string,
+    }),
+  ).isRequired,
+};
+
 const GridCard = () => {
   const { cubeID } = useContext(CubeContext);
   return (
@@ -365,6 +547,7 @@ const GridCard = () => {
             <Input type="select" name="type" id="type-grid" defaultValue="18">
               <option value="bot">Against Bot</option>
               <option value="2playerlocal">2 Player Local</option>
+              <option value="2playeronline">2 Player Online</option>
             </Input>
           </LabelRow>
         </CardBody>
@@ -376,6 +559,81 @@ const GridCard = () => {
   );
 };
 
+const FORMAT_DESCRIPTIONS = {
+  rochester: 'Packs are opened face up one at a time, and everyone picks from them in snake order.',
+  winston: 'A two player draft where you take or pass on three face down piles that grow as they are passed.',
+  winchester: 'A two player draft where you take one of four face up piles, which all get a new card every turn.',
+  solomon: 'A two player draft where one player splits eight cards into two piles and the other chooses one of them.',
+};
+
+const FormatDraftCard = () => {
+  const { cubeID } = useContext(CubeContext);
+  const [format, setFormat] = useState('rochester');
+  return (
+    <Card className="mb-3">
+      <CSRFForm method="POST" action={`/cube/formatdraft/start/${cubeID}`}>
+        <CardHeader>
+          <CardTitleH5>Other Draft Formats</CardTitleH5>
+        </CardHeader>
+        <CardBody>
+          <LabelRow htmlFor="format-format-draft" label="Format">
+            <Input
+              type="select"
+              name="format"
+              id="format-format-draft"
+              value={format}
+              onChange={(event) => setFormat(event.target.value)}
+            >
+              <option value="rochester">Rochester</option>
+              <option value="winston">Winston</option>
+              <option value="winchester">Winchester</option>
+              <option value="solomon">Solomon</option>
+            </Input>
+          </LabelRow>
+          <div className="description-area">
+            <p>{FORMAT_DESCRIPTIONS[format]}</p>
+          </div>
+          {format === 'rochester' ? (
+            <>
+              <LabelRow htmlFor="seats-format-draft" label="Total Seats">
+                <Input type="select" name="seats" id="seats-format-draft" defaultValue="4">
+                  {rangeOptions(2, 9)}
+                </Input>
+              </LabelRow>
+              <LabelRow htmlFor="packs-format-draft" label="Packs per Seat">
+                <Input type="select" name="packs" id="packs-format-draft" defaultValue="3">
+                  {rangeOptions(1, 6)}
+                </Input>
+              </LabelRow>
+              <LabelRow htmlFor="cards-format-draft" label="Cards per Pack">
+                <Input type="select" name="cards" id="cards-format-draft" defaultValue="15">
+                  {rangeOptions(5, 21)}
+                </Input>
+              </LabelRow>
+            </>
+          ) : (
+            <>
+              <LabelRow htmlFor="deck-format-draft" label="Number of Cards">
+                <Input type="number" name="cards" id="deck-format-draft" min="16" max="180" defaultValue="90" />
+              </LabelRow>
+              <LabelRow htmlFor="type-format-draft" label="Type">
+                <Input type="select" name="type" id="type-format-draft" defaultValue="bot">
+                  <option value="bot">Against Bot</option>
+                  <option value="2playerlocal">2 Player Local</option>
+                </Input>
+              </LabelRow>
+            </>
+          )}
+          {format === 'rochester' && <Input type="hidden" name="type" value="bot" />}
+        </CardBody>
+        <CardFooter>
+          <Button color="success">Start Draft</Button>
+        </CardFooter>
+      </CSRFForm>
+    </Card>
+  );
+};
+
 const DecksCard = ({ decks, ...props }) => {
   const { cubeID } = useContext(CubeContext);
   return (
@@ -425,6 +683,27 @@ const SamplePackCard = (props) => {
   );
 };
 
+const PickQuizCard = (props) => {
+  const { cubeID } = useContext(CubeContext);
+  return (
+    <Card {...props}>
+      <CardHeader>
+        <CardTitleH5>Pick Quiz</CardTitleH5>
+      </CardHeader>
+      <CardBody>
+        <p className="mb-0">
+          Practice with packs from real drafts of this cube: pick a card, then see what the drafter and the bot picked.
+        </p>
+      </CardBody>
+      <CardFooter>
+        <Button color="success" href={`/cube/quiz/${cubeID}`}>
+          Start Quiz
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+};
+
 const DEFAULT_FORMAT = {
   title: 'Unnamed Format',
   multiples: false,
@@ -433,9 +712,12 @@ const DEFAULT_FORMAT = {
 };
 const CubePlaytestPage = ({ cube, decks, loginCallback }) => {
   const user = useContext(UserContext);
+  const canEdit = hasCubePermission(cube, user?.id, 'edit');
+  const canManageFormats = hasCubePermission(cube, user?.id, 'formats');
 
   const { alerts, addAlert } = useAlerts();
   const [formats, setFormats] = useState(cube.draft_formats ?? []);
+  const [selectedTab, setSelectedTab] = useState('playtest');
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [editFormatIndex, setEditFormatIndex] = useState(-1);
   const [editFormat, setEditFormat] = useState({});
@@ -530,17 +812,21 @@ const CubePlaytestPage = ({ cube, decks, loginCallback }) => {
   return (
     <MainLayout loginCallback={loginCallback}>
       <CubeLayout cube={cube} activeLink="playtest">
-        {user && cube.owner === user.id ? (
+        {canManageFormats || canEdit ? (
           <Navbar light expand className="usercontrols mb-3">
             <Nav navbar>
-              <NavItem>
-                <NavLink onClick={handleCreateFormat} className="clickable">
-                  Create Custom Draft
-                </NavLink>
-              </NavItem>
-              <NavItem>
-                <UploadDecklistModalLink className="clickable">Upload Decklist</UploadDecklistModalLink>
-              </NavItem>
+              {canManageFormats && (
+                <NavItem>
+                  <NavLink onClick={handleCreateFormat} className="clickable">
+                    Create Custom Draft
+                  </NavLink>
+                </NavItem>
+              )}
+              {canEdit && (
+                <NavItem>
+                  <UploadDecklistModalLink className="clickable">Upload Decklist</UploadDecklistModalLink>
+                </NavItem>
+              )}
             </Nav>
           </Navbar>
         ) : (
@@ -548,29 +834,47 @@ const CubePlaytestPage = ({ cube, decks, loginCallback }) => {
         )}
         <DynamicFlash />
         <Alerts alerts={alerts} />
-        <Row className="justify-content-center">
-          <Col xs="12" md="6" xl="6">
-            {defaultDraftFormat === -1 && <StandardDraftFormatCard />}
-            {formatsSorted.map((format) => (
-              <CustomDraftCard
-                key={format._id}
-                format={format}
-                onDeleteFormat={handleDeleteFormat}
-                onSetDefaultFormat={handleSetDefaultFormat}
-                onEditFormat={handleEditFormat}
-                defaultDraftFormat={defaultDraftFormat}
-                className="mb-3"
-              />
-            ))}
-            {defaultDraftFormat !== -1 && <StandardDraftFormatCard />}
-            <SealedCard className="mb-3" />
-            <GridCard className="mb-3" />
-          </Col>
-          <Col xs="12" md="6" xl="6">
-            {decks.length !== 0 && <DecksCard decks={decks} className="mb-3" />}
-            <SamplePackCard className="mb-3" />
-          </Col>
-        </Row>
+        <Nav tabs className="mb-3">
+          <Tab tab={selectedTab} setTab={setSelectedTab} index="playtest">
+            Playtest
+          </Tab>
+          <Tab tab={selectedTab} setTab={setSelectedTab} index="simulate">
+            Simulate
+          </Tab>
+        </Nav>
+        <TabContent activeTab={selectedTab}>
+          <TabPane tabId="playtest">
+            <Row className="justify-content-center">
+              <Col xs="12" md="6" xl="6">
+                {defaultDraftFormat === -1 && <StandardDraftFormatCard />}
+                {formatsSorted.map((format) => (
+                  <CustomDraftCard
+                    key={format._id}
+                    format={format}
+                    onDeleteFormat={handleDeleteFormat}
+                    onSetDefaultFormat={handleSetDefaultFormat}
+                    onEditFormat={handleEditFormat}
+                    defaultDraftFormat={defaultDraftFormat}
+                    className="mb-3"
+                  />
+                ))}
+                {defaultDraftFormat !== -1 && <StandardDraftFormatCard />}
+                <SealedCard className="mb-3" />
+                <SealedEventCard formats={formatsSorted} className="mb-3" />
+                <GridCard className="mb-3" />
+                <FormatDraftCard className="mb-3" />
+              </Col>
+              <Col xs="12" md="6" xl="6">
+                {decks.length !== 0 && <DecksCard decks={decks} className="mb-3" />}
+                <SamplePackCard className="mb-3" />
+                {decks.length !== 0 && <PickQuizCard className="mb-3" />}
+              </Col>
+            </Row>
+          </TabPane>
+          <TabPane tabId="simulate">
+            {selectedTab === 'simulate' && <DraftSimulation formats={formatsSorted} />}
+          </TabPane>
+        </TabContent>
         <CustomDraftFormatModal
           isOpen={editModalOpen}
           toggle={toggleEditModal}
@@ -29,9 +29,12 @@ const SamplePackPage = ({ seed, pack, cube, loginCallback }) => {
                 <a className="btn btn-success mr-2" href={`/cube/samplepack/${cube._id}`}>
                   New Pack
                 </a>
-                <a className="btn btn-success" href={`/cube/samplepackimage/${cube._id}/${seed}`}>
+                <a className="btn btn-success mr-2" href={`/cube/samplepackimage/${cube._id}/${seed}`}>
                   Get Image
                 </a>
+                <a className="btn btn-success" href={`/cube/download/packproxies/${cube._id}/${seed}`}>
+                  Print Proxies
+                </a>
               </Col>
             </Row>
           </div>
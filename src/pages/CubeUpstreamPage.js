@@ -0,0 +1,178 @@
+import React, { useCallback, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button, ButtonGroup, Card, CardBody, CardFooter, CardHeader, Col, Input, Row, Table } from 'reactstrap';
+
+import CSRFForm from 'components/CSRFForm';
+import DynamicFlash from 'components/DynamicFlash';
+import withAutocard from 'components/WithAutocard';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import CardPropType from 'proptypes/CardPropType';
+import CubePropType from 'proptypes/CubePropType';
+import { cardName } from 'utils/Card';
+import { getCubeId } from 'utils/Util';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const AutocardLink = withAutocard('a');
+
+const DECISIONS = Object.freeze([
+  { decision: 'accept', label: 'Take', color: 'success' },
+  { decision: 'ignore', label: 'Ignore', color: 'danger' },
+  { decision: null, label: 'Later', color: 'secondary' },
+]);
+
+// Every copy of the same card in the same list gets the same decision.
+const changeKey = ({ action, card }) => `${action}:${card.cardID}`;
+
+const ChangePropType = PropTypes.shape({
+  action: PropTypes.oneOf(['add', 'remove']).isRequired,
+  index: PropTypes.number.isRequired,
+  card: CardPropType.isRequired,
+});
+
+const ChangeTable = ({ title, description, changes, decisions, onDecide }) => (
+  <Card className="mb-3">
+    <CardHeader>
+      <h5 className="mb-0">{`${title} (${changes.length})`}</h5>
+    </CardHeader>
+    {changes.length > 0 ? (
+      <Table size="sm" responsive className="mb-0">
+        <tbody>
+          {changes.map((change) => (
+            <tr key={change.index}>
+              <td className="align-middle">
+                <AutocardLink href={`/tool/card/${change.card.cardID}`} card={change.card}>
+                  {cardName(change.card)}
+                </AutocardLink>
+              </td>
+              <td className="text-right">
+                <ButtonGroup size="sm">
+                  {DECISIONS.map(({ decision, label, color }) => (
+                    <Button
+                      key={label}
+                      color={color}
+                      outline={(decisions[changeKey(change)] ?? null) !== decision}
+                      onClick={() => onDecide(changeKey(change), decision)}
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                </ButtonGroup>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    ) : (
+      <CardBody>
+        <em>{description}</em>
+      </CardBody>
+    )}
+  </Card>
+);
+
+ChangeTable.propTypes = {
+  title: PropTypes.string.isRequired,
+  description: PropTypes.string.isRequired,
+  changes: PropTypes.arrayOf(ChangePropType).isRequired,
+  decisions: PropTypes.objectOf(PropTypes.string).isRequired,
+  onDecide: PropTypes.func.isRequired,
+};
+
+const CubeUpstreamPage = ({ cube, upstream, versionsBehind, added, removed, loginCallback }) => {
+  const [decisions, setDecisions] = useState({});
+
+  const handleDecide = useCallback((key, decision) => setDecisions((current) => ({ ...current, [key]: decision })), []);
+  const decideAll = useCallback(
+    (decision) =>
+      setDecisions(Object.fromEntries([...added, ...removed].map((change) => [changeKey(change), decision]))),
+    [added, removed],
+  );
+
+  const keysWith = (decision) =>
+    Object.entries(decisions)
+      .filter(([, value]) => value === decision)
+      .map(([key]) => key);
+  const accepted = keysWith('accept');
+  const ignored = keysWith('ignore');
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <CubeLayout cube={cube} activeLink="overview">
+        <DynamicFlash />
+        <Card className="mb-3">
+          <CardHeader>
+            <h5 className="mb-0">
+              Changes from <a href={`/cube/overview/${getCubeId(upstream)}`}>{upstream.name}</a>
+            </h5>
+          </CardHeader>
+          <CardBody>
+            <p>
+              This cube was forked from {upstream.name} by {upstream.owner_name}, which has had {versionsBehind} new{' '}
+              {versionsBehind === 1 ? 'version' : 'versions'} since this cube was last brought up to date with it. These
+              are the cards it added and removed that this cube hasn&apos;t. Taken changes are made to this cube and
+              posted to its blog like any other edit, ignored changes won&apos;t be shown again.
+            </p>
+            <Button color="success" outline className="mr-2" onClick={() => decideAll('accept')}>
+              Take All
+            </Button>
+            <Button color="danger" outline onClick={() => decideAll('ignore')}>
+              Ignore All
+            </Button>
+          </CardBody>
+        </Card>
+        <Row>
+          <Col xs={12} md={6}>
+            <ChangeTable
+              title="Added"
+              description="Every card the upstream cube added is in this cube."
+              changes={added}
+              decisions={decisions}
+              onDecide={handleDecide}
+            />
+          </Col>
+          <Col xs={12} md={6}>
+            <ChangeTable
+              title="Removed"
+              description="Every card the upstream cube removed is out of this cube."
+              changes={removed}
+              decisions={decisions}
+              onDecide={handleDecide}
+            />
+          </Col>
+        </Row>
+        <Card className="mb-3">
+          <CardFooter>
+            <CSRFForm method="POST" action={`/cube/upstream/${cube._id}`} className="d-inline">
+              <Input type="hidden" name="accepted" value={accepted.join(';')} />
+              <Input type="hidden" name="ignored" value={ignored.join(';')} />
+              <Button color="success" type="submit" disabled={accepted.length === 0 && ignored.length === 0}>
+                Save
+              </Button>
+            </CSRFForm>
+          </CardFooter>
+        </Card>
+      </CubeLayout>
+    </MainLayout>
+  );
+};
+
+CubeUpstreamPage.propTypes = {
+  cube: CubePropType.isRequired,
+  upstream: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    shortID: PropTypes.string,
+    name: PropTypes.string.isRequired,
+    owner_name: PropTypes.string.isRequired,
+  }).isRequired,
+  versionsBehind: PropTypes.number.isRequired,
+  added: PropTypes.arrayOf(ChangePropType).isRequired,
+  removed: PropTypes.arrayOf(ChangePropType).isRequired,
+  loginCallback: PropTypes.string,
+};
+
+CubeUpstreamPage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(CubeUpstreamPage);
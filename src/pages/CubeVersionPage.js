@@ -0,0 +1,82 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import CardPropType from 'proptypes/CardPropType';
+import CubePropType from 'proptypes/CubePropType';
+
+import { Badge, Card, CardBody, CardHeader, Nav, Navbar, NavItem, NavLink } from 'reactstrap';
+
+import CardListDiff, { CardTable } from 'components/CardListDiff';
+import DynamicFlash from 'components/DynamicFlash';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const CubeVersionPage = ({ cube, latest, version, from, cards, added, removed, loginCallback }) => {
+  const base = `/cube/history/${encodeURIComponent(cube._id)}`;
+  const isDiff = from !== null;
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <CubeLayout cube={cube} activeLink="history">
+        <Navbar expand light className="usercontrols mb-3">
+          <Nav navbar>
+            <NavItem>
+              <NavLink href={base}>Back to History</NavLink>
+            </NavItem>
+            {isDiff ? (
+              <NavItem>
+                <NavLink href={`${base}/view/${version}`}>View Version {version}</NavLink>
+              </NavItem>
+            ) : (
+              version < latest && (
+                <NavItem>
+                  <NavLink href={`${base}/diff/${version}/${latest}`}>Changes Since This Version</NavLink>
+                </NavItem>
+              )
+            )}
+          </Nav>
+        </Navbar>
+        <DynamicFlash />
+        {isDiff ? (
+          <>
+            <h4 className="mb-3">
+              Version {from} to Version {version}
+            </h4>
+            <CardListDiff added={added} removed={removed} />
+          </>
+        ) : (
+          <Card className="mb-3">
+            <CardHeader>
+              <h5 className="mb-0">
+                Version {version} <Badge>{cards.length} cards</Badge>
+                {version === latest && <Badge className="ml-2">Current</Badge>}
+              </h5>
+            </CardHeader>
+            {cards.length > 0 ? <CardTable cards={cards} /> : <CardBody>This version has no cards.</CardBody>}
+          </Card>
+        )}
+      </CubeLayout>
+    </MainLayout>
+  );
+};
+
+CubeVersionPage.propTypes = {
+  cube: CubePropType.isRequired,
+  latest: PropTypes.number.isRequired,
+  version: PropTypes.number.isRequired,
+  from: PropTypes.number,
+  cards: PropTypes.arrayOf(CardPropType),
+  added: PropTypes.arrayOf(CardPropType),
+  removed: PropTypes.arrayOf(CardPropType),
+  loginCallback: PropTypes.string,
+};
+
+CubeVersionPage.defaultProps = {
+  from: null,
+  cards: [],
+  added: [],
+  removed: [],
+  loginCallback: '/',
+};
+
+export default RenderToRoot(CubeVersionPage);
@@ -0,0 +1,228 @@
+import React, { useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Badge,
+  Button,
+  ButtonGroup,
+  Card,
+  CardBody,
+  CardHeader,
+  Col,
+  CustomInput,
+  ListGroup,
+  ListGroupItem,
+  Navbar,
+  Row,
+} from 'reactstrap';
+
+import { DraftbotBreakdownTable } from 'components/DraftbotBreakdown';
+import DynamicFlash from 'components/DynamicFlash';
+import withAutocard from 'components/WithAutocard';
+import useQueryParam from 'hooks/useQueryParam';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import CardPropType from 'proptypes/CardPropType';
+import CubePropType from 'proptypes/CubePropType';
+import { DraftPropType } from 'proptypes/DraftbotPropTypes';
+import { cardName } from 'utils/Card';
+import { BOT_PROFILES, calculateBotPick, DEFAULT_BOT_PROFILE } from 'drafting/draftbots';
+import { getDraftTimeline } from 'drafting/draftutil';
+import RenderToRoot from 'utils/RenderToRoot';
+import { toNullableInt } from 'utils/Util';
+
+const AutocardItem = withAutocard(ListGroupItem);
+
+const TAKEN_LABELS = Object.freeze({ pick: 'Picked', trash: 'Trashed' });
+const TAKEN_COLORS = Object.freeze({ pick: 'success', trash: 'danger' });
+
+const profileName = (seat) =>
+  BOT_PROFILES[
+    Object.prototype.hasOwnProperty.call(BOT_PROFILES, seat.botProfile) ? seat.botProfile : DEFAULT_BOT_PROFILE
+  ].name;
+
+const SeatPack = ({ seat, seatIndex, step, cards, selected, onSelect }) => (
+  <Card className={`mb-3 ${selected ? 'border-primary' : ''}`}>
+    <CardHeader className="clickable" onClick={onSelect} data-seat={seatIndex}>
+      <h6 className="mb-0" data-seat={seatIndex}>
+        {seat.name}{' '}
+        {seat.bot && (
+          <Badge color="secondary" data-seat={seatIndex}>
+            Bot: {profileName(seat)}
+          </Badge>
+        )}
+      </h6>
+    </CardHeader>
+    <ListGroup flush>
+      {step.drafterState.cardsInPack.map((cardIndex) => (
+        <AutocardItem
+          key={cardIndex}
+          card={cards[cardIndex]}
+          className="card-list-item d-flex flex-row"
+          color={cardIndex === step.card ? TAKEN_COLORS[step.action] : null}
+          data-in-modal
+        >
+          {cardIndex === step.card ? (
+            <strong>{`${TAKEN_LABELS[step.action]}: ${cardName(cards[cardIndex])}`}</strong>
+          ) : (
+            cardName(cards[cardIndex])
+          )}
+        </AutocardItem>
+      ))}
+    </ListGroup>
+  </Card>
+);
+
+const StepPropType = PropTypes.shape({
+  action: PropTypes.oneOf(Object.keys(TAKEN_LABELS)).isRequired,
+  card: PropTypes.number.isRequired,
+  drafterState: PropTypes.shape({ cardsInPack: PropTypes.arrayOf(PropTypes.number.isRequired).isRequired }).isRequired,
+});
+
+const ReplaySeatPropType = PropTypes.shape({
+  name: PropTypes.string.isRequired,
+  bot: PropTypes.bool,
+  botProfile: PropTypes.string,
+});
+
+SeatPack.propTypes = {
+  seat: ReplaySeatPropType.isRequired,
+  seatIndex: PropTypes.number.isRequired,
+  step: StepPropType.isRequired,
+  cards: PropTypes.arrayOf(CardPropType).isRequired,
+  selected: PropTypes.bool.isRequired,
+  onSelect: PropTypes.func.isRequired,
+};
+
+// What the seat took next to what the draftbot would have taken from the same pack, along with the scores the bot
+// gave every card in it.
+const BotComparison = ({ seat, step, cards }) => {
+  const botPick = useMemo(() => calculateBotPick(step.drafterState, step.action === 'trash'), [step]);
+  const verb = step.action === 'trash' ? 'trashed' : 'took';
+  return (
+    <Card className="mb-3">
+      <CardHeader>
+        <h5 className="mb-0">{seat.name}&apos;s Pick</h5>
+      </CardHeader>
+      <CardBody>
+        <p>
+          {seat.name} {verb} <strong>{cardName(cards[step.card])}</strong>.{' '}
+          {botPick === step.card ? (
+            <>The draftbot would have {verb === 'took' ? 'taken' : verb} the same card.</>
+          ) : (
+            <>
+              The draftbot would have {verb === 'took' ? 'taken' : verb} <strong>{cardName(cards[botPick])}</strong>.
+            </>
+          )}
+        </p>
+        {step.drafterState.cardsInPack.length > 0 && <DraftbotBreakdownTable drafterState={step.drafterState} />}
+      </CardBody>
+    </Card>
+  );
+};
+
+BotComparison.propTypes = {
+  seat: ReplaySeatPropType.isRequired,
+  step: StepPropType.isRequired,
+  cards: PropTypes.arrayOf(CardPropType).isRequired,
+};
+
+const DraftReplayPage = ({ cube, draft, loginCallback }) => {
+  const timeline = useMemo(() => getDraftTimeline(draft), [draft]);
+  const [pack, setPack] = useQueryParam('pack', 1);
+  const [pick, setPick] = useQueryParam('pick', 1);
+  const [seat, setSeat] = useQueryParam('seat', 0);
+
+  const packNum = (toNullableInt(pack) ?? 1) - 1;
+  const pickNum = (toNullableInt(pick) ?? 1) - 1;
+  const stepIndex = Math.max(
+    timeline.findIndex((step) => step.packNum === packNum && step.pickNum === pickNum),
+    0,
+  );
+  const seatIndex = Math.min(Math.max(toNullableInt(seat) ?? 0, 0), draft.seats.length - 1);
+  const current = timeline[stepIndex];
+
+  const goTo = useCallback(
+    (index) => {
+      const step = timeline[Math.min(Math.max(index, 0), timeline.length - 1)];
+      setPack(step.packNum + 1);
+      setPick(step.pickNum + 1);
+    },
+    [timeline, setPack, setPick],
+  );
+  const handleSelectSeat = useCallback(
+    (event) => setSeat(parseInt(event.target.getAttribute('data-seat'), 10)),
+    [setSeat],
+  );
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <CubeLayout cube={cube} activeLink="playtest">
+        <DynamicFlash />
+        {current ? (
+          <>
+            <Navbar light expand className="usercontrols mb-3 d-flex flex-wrap align-items-center">
+              <ButtonGroup className="mr-3">
+                <Button outline color="success" onClick={() => goTo(stepIndex - 1)} disabled={stepIndex === 0}>
+                  Previous
+                </Button>
+                <Button
+                  outline
+                  color="success"
+                  onClick={() => goTo(stepIndex + 1)}
+                  disabled={stepIndex === timeline.length - 1}
+                >
+                  Next
+                </Button>
+              </ButtonGroup>
+              <h5 className="mb-0 mr-3">{`Pack ${current.packNum + 1}: Pick ${current.pickNum + 1}`}</h5>
+              <CustomInput
+                type="range"
+                id="replayPick"
+                className="flex-grow-1 mr-3"
+                min={0}
+                max={timeline.length - 1}
+                value={stepIndex}
+                onChange={(event) => goTo(parseInt(event.target.value, 10))}
+              />
+              <Button color="success" onClick={() => navigator.clipboard.writeText(window.location.href)}>
+                Copy Link
+              </Button>
+            </Navbar>
+            <p className="text-muted">
+              Click on a seat to see how its pick compares to the draftbot&apos;s. Links copied here open this pick.
+            </p>
+            <Row>
+              {draft.seats.map((seatProps, index) => (
+                <Col key={/* eslint-disable-line react/no-array-index-key */ index} xs={12} sm={6} lg={3}>
+                  <SeatPack
+                    seat={seatProps}
+                    seatIndex={index}
+                    step={current.seats[index]}
+                    cards={draft.cards}
+                    selected={index === seatIndex}
+                    onSelect={handleSelectSeat}
+                  />
+                </Col>
+              ))}
+            </Row>
+            <BotComparison seat={draft.seats[seatIndex]} step={current.seats[seatIndex]} cards={draft.cards} />
+          </>
+        ) : (
+          <h4>Nobody has made a pick in this draft yet.</h4>
+        )}
+      </CubeLayout>
+    </MainLayout>
+  );
+};
+
+DraftReplayPage.propTypes = {
+  cube: CubePropType.isRequired,
+  draft: DraftPropType.isRequired,
+  loginCallback: PropTypes.string,
+};
+
+DraftReplayPage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(DraftReplayPage);
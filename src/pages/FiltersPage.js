@@ -1,14 +1,47 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 
-import { Card, CardHeader } from 'reactstrap';
+import { Card, CardBody, CardHeader, FormText, Input, Label } from 'reactstrap';
 
 import DynamicFlash from 'components/DynamicFlash';
 import Banner from 'components/Banner';
 import Accordion from 'components/Accordion';
+import { makeFilter } from 'filtering/FilterCards';
 import MainLayout from 'layouts/MainLayout';
+import { CARD_CATEGORIES } from 'utils/Card';
 import RenderToRoot from 'utils/RenderToRoot';
 
+const FilterChecker = () => {
+  const [filterText, setFilterText] = useState('');
+  const { err } = makeFilter(filterText);
+
+  return (
+    <CardBody className="border-bottom">
+      <Label for="filterChecker">Check a filter</Label>
+      <Input
+        id="filterChecker"
+        className="text-monospace"
+        value={filterText}
+        placeholder="t:creature (o:/draw (a|two) cards?/ or is:mdfc)"
+        valid={filterText.length > 0 && !err}
+        invalid={filterText.length > 0 && !!err}
+        onChange={(event) => setFilterText(event.target.value)}
+      />
+      {filterText.length > 0 && err && (
+        <>
+          <pre className="mb-0 mt-2 text-danger">
+            {filterText}
+            {'\n'}
+            {`${' '.repeat(err.column - 1)}^`}
+          </pre>
+          <FormText color="danger">{err.message}</FormText>
+        </>
+      )}
+      {filterText.length > 0 && !err && <FormText color="success">This filter is valid.</FormText>}
+    </CardBody>
+  );
+};
+
 const ContactPage = ({ loginCallback }) => (
   <MainLayout loginCallback={loginCallback}>
     <Banner />
@@ -17,6 +50,7 @@ const ContactPage = ({ loginCallback }) => (
       <CardHeader>
         <h4>Filter Syntax Guide</h4>
       </CardHeader>
+      <FilterChecker />
       <Accordion title="General" defaultExpand>
         <p>
           You can combine any number of filters together using <code>AND</code> or <code>OR</code>. Operators are
@@ -73,7 +107,10 @@ const ContactPage = ({ loginCallback }) => (
             <td>Cards whose oracle text contains exactly &quot;destroy target creature&quot;.</td>
           </tr>
         </table>
-        <p>You can also use parentheses to combine clauses.</p>
+        <p>
+          <code>AND</code> is applied before <code>OR</code>, so <code>t:instant o:draw OR t:creature</code> finds
+          instants that draw cards, and all creatures. You can also use parentheses to combine clauses.
+        </p>
         <p>
           <strong>Examples:</strong>
         </p>
@@ -95,7 +132,7 @@ const ContactPage = ({ loginCallback }) => (
           </tr>
         </table>
         <p>
-          You can put <code>-</code> before anything to negate it.
+          You can put <code>-</code> or <code>NOT</code> before any condition or parenthesized group to negate it.
         </p>
         <p>
           <strong>Examples:</strong>
@@ -125,7 +162,51 @@ const ContactPage = ({ loginCallback }) => (
             </td>
             <td>Cards whose names do not include &quot;mox&quot;.</td>
           </tr>
+          <tr>
+            <td>
+              <code>not (t:creature or t:planeswalker)</code>{' '}
+            </td>
+            <td>Cards which are neither creatures nor planeswalkers.</td>
+          </tr>
+        </table>
+        <p>
+          Names, oracle text, types and tags can also be matched with a regular expression between slashes. Regular
+          expressions are not case sensitive. To keep searches fast, a regular expression can have at most one
+          repetition like <code>*</code>, <code>+</code> or <code>{'{2,}'}</code>, and groups with a repetition or a{' '}
+          <code>|</code> in them can&apos;t be repeated.
+        </p>
+        <p>
+          <strong>Examples:</strong>
+        </p>
+        <table className="table">
+          <tr>
+            <td>
+              <code>/^goblin/</code>
+            </td>
+            <td>Cards whose names start with &quot;goblin&quot;.</td>
+          </tr>
+          <tr>
+            <td>
+              <code>o:/draws? (a|two) cards?/</code>
+            </td>
+            <td>Cards whose oracle text draws one or two cards.</td>
+          </tr>
+          <tr>
+            <td>
+              <code>t:/legendary.*creature/</code>
+            </td>
+            <td>Legendary creatures.</td>
+          </tr>
+          <tr>
+            <td>
+              <code>tag:/^removal/</code>
+            </td>
+            <td>Cards with a tag that starts with &quot;removal&quot;.</td>
+          </tr>
         </table>
+        <p>
+          When a filter can&apos;t be read, the column of the mistake is shown. You can try filters in the box above.
+        </p>
       </Accordion>
       <Accordion title="Color and Color Identity">
         <p>
@@ -513,6 +594,30 @@ const ContactPage = ({ loginCallback }) => (
           </table>
         </p>
       </Accordion>
+      <Accordion title="Saved Filters">
+        <p>
+          Cube owners can save filters under a name from the Saved Filters menu next to the filter bar. In that cube,
+          you can use <code>filter:</code> with the name of a saved filter to match the same cards as that filter. Saved
+          filters can also be used in the slots of custom draft formats.
+        </p>
+        <p>
+          <strong>Examples:</strong>
+          <table className="table">
+            <tr>
+              <td>
+                <code>filter:removal</code>
+              </td>
+              <td>All cards matching the cube&apos;s saved filter named removal.</td>
+            </tr>
+            <tr>
+              <td>
+                <code>filter:fixing -t:land</code>
+              </td>
+              <td>All cards matching the saved filter named fixing that aren&apos;t lands.</td>
+            </tr>
+          </table>
+        </p>
+      </Accordion>
       <Accordion title="Legality">
         <p>
           You can use <code>leg:</code>, <code>legal:</code>, or <code>legality:</code> to filter cards by legality.
@@ -581,6 +686,17 @@ const ContactPage = ({ loginCallback }) => (
         <p>
           You can use <code>elo:</code> to filter cards by their Elo rating.
         </p>
+        <p>
+          You can use <code>is:</code> to find cards in a category, and <code>not:</code> to leave them out. The
+          categories are:{' '}
+          {CARD_CATEGORIES.map((category, index) => (
+            <React.Fragment key={category}>
+              {index > 0 && ', '}
+              <code>{category}</code>
+            </React.Fragment>
+          ))}
+          .
+        </p>
         <p>
           <strong>Filters for individual cubes:</strong>
         </p>
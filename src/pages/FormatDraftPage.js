@@ -0,0 +1,382 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Badge,
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  CardTitle,
+  Col,
+  Collapse,
+  Input,
+  Nav,
+  Navbar,
+  Row,
+  Spinner,
+} from 'reactstrap';
+
+import CSRFForm from 'components/CSRFForm';
+import CustomImageToggler from 'components/CustomImageToggler';
+import DeckStacks from 'components/DeckStacks';
+import DndProvider from 'components/DndProvider';
+import DynamicFlash from 'components/DynamicFlash';
+import ErrorBoundary from 'components/ErrorBoundary';
+import FoilCardImage from 'components/FoilCardImage';
+import { DisplayContextProvider } from 'contexts/DisplayContext';
+import Location from 'drafting/DraftLocation';
+import { DRAFT_FORMATS, replayFormatDraft } from 'drafting/formatdraftutils';
+import useAlerts, { Alerts } from 'hooks/UseAlerts';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import CardPropType from 'proptypes/CardPropType';
+import CubePropType from 'proptypes/CubePropType';
+import { makeSubtitle } from 'utils/Card';
+import { csrfFetch } from 'utils/CSRF';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const CardRow = ({ cards, cardIndices, onClickCard }) => (
+  <Row noGutters>
+    {cardIndices.map((cardIndex) => (
+      <Col key={cardIndex} xs={3} className="col-md-1-5 col-lg-1-5 col-xl-1-5 p-1">
+        <FoilCardImage
+          card={cards[cardIndex]}
+          tags={[]}
+          autocard
+          className={onClickCard ? 'clickable' : undefined}
+          onClick={onClickCard ? () => onClickCard(cardIndex) : undefined}
+        />
+      </Col>
+    ))}
+  </Row>
+);
+
+CardRow.propTypes = {
+  cards: PropTypes.arrayOf(CardPropType).isRequired,
+  cardIndices: PropTypes.arrayOf(PropTypes.number.isRequired).isRequired,
+  onClickCard: PropTypes.func,
+};
+
+CardRow.defaultProps = {
+  onClickCard: null,
+};
+
+const FaceDown = ({ count }) => (
+  <div className="position-relative">
+    <img src="/content/default_card.png" alt="Face down pile" width="100%" height="auto" className="card-border" />
+    <h4 className="position-absolute w-100 text-center" style={{ top: '40%' }}>
+      <Badge color="dark">{count}</Badge>
+    </h4>
+  </div>
+);
+
+FaceDown.propTypes = {
+  count: PropTypes.number.isRequired,
+};
+
+const CardIndicesPropType = PropTypes.arrayOf(PropTypes.number.isRequired);
+
+// The state of the draft from replayFormatDraft, which has the fields of whichever format it is.
+const StatePropType = PropTypes.shape({
+  actor: PropTypes.number,
+  packIndex: PropTypes.number,
+  packs: PropTypes.arrayOf(CardIndicesPropType),
+  pack: CardIndicesPropType,
+  deck: CardIndicesPropType,
+  next: PropTypes.number,
+  piles: PropTypes.arrayOf(CardIndicesPropType),
+  pile: PropTypes.number,
+  group: CardIndicesPropType,
+});
+
+const panelPropTypes = {
+  cards: PropTypes.arrayOf(CardPropType).isRequired,
+  state: StatePropType.isRequired,
+  acting: PropTypes.bool.isRequired,
+  makeMove: PropTypes.func.isRequired,
+};
+
+const RochesterPanel = ({ cards, state, acting, makeMove }) => (
+  <>
+    <h5>
+      Pack {state.packIndex + 1} of {state.packs.length}
+    </h5>
+    <CardRow
+      cards={cards}
+      cardIndices={state.pack}
+      onClickCard={acting ? (cardIndex) => makeMove({ action: 'pick', cards: [cardIndex] }) : null}
+    />
+  </>
+);
+
+RochesterPanel.propTypes = panelPropTypes;
+
+const WinstonPanel = ({ cards, state, acting, makeMove }) => (
+  <>
+    <h5>{state.deck.length - state.next} cards left in the deck</h5>
+    <Row>
+      {state.piles.map((pile, index) => (
+        <Col key={/* eslint-disable-line react/no-array-index-key */ index} xs={4} md={2}>
+          <h6>Pile {index + 1}</h6>
+          <FaceDown count={pile.length} />
+        </Col>
+      ))}
+    </Row>
+    {acting && (
+      <div className="mt-3">
+        <h5>Pile {state.pile + 1}</h5>
+        <CardRow cards={cards} cardIndices={state.piles[state.pile]} />
+        <Button color="success" className="mr-2 mt-2" onClick={() => makeMove({ action: 'take' })}>
+          Take Pile
+        </Button>
+        <Button color="secondary" className="mt-2" onClick={() => makeMove({ action: 'pass' })}>
+          {state.pile === state.piles.length - 1 ? 'Pass and Take the Top Card' : 'Pass'}
+        </Button>
+      </div>
+    )}
+  </>
+);
+
+WinstonPanel.propTypes = panelPropTypes;
+
+const WinchesterPanel = ({ cards, state, acting, makeMove }) => (
+  <>
+    <h5>{state.deck.length - state.next} cards left in the deck</h5>
+    {state.piles.map((pile, index) => (
+      <div key={/* eslint-disable-line react/no-array-index-key */ index} className="mb-3">
+        <h6>
+          Pile {index + 1}
+          {acting && pile.length > 0 && (
+            <Button
+              color="success"
+              size="sm"
+              className="ml-2"
+              onClick={() => makeMove({ action: 'take', pile: index })}
+            >
+              Take
+            </Button>
+          )}
+        </h6>
+        <CardRow cards={cards} cardIndices={pile} />
+      </div>
+    ))}
+  </>
+);
+
+WinchesterPanel.propTypes = panelPropTypes;
+
+const SolomonPanel = ({ cards, state, acting, makeMove }) => {
+  // The cards the player has put in the first pile while splitting.
+  const [first, setFirst] = useState([]);
+  const toggle = useCallback(
+    (cardIndex) =>
+      setFirst((current) =>
+        current.includes(cardIndex) ? current.filter((index) => index !== cardIndex) : [...current, cardIndex],
+      ),
+    [],
+  );
+
+  if (!state.piles) {
+    const second = state.group.filter((cardIndex) => !first.includes(cardIndex));
+    return (
+      <>
+        {acting && <p>Click on cards to move them between the piles.</p>}
+        <h6>Pile 1</h6>
+        <CardRow cards={cards} cardIndices={first} onClickCard={acting ? toggle : null} />
+        <h6 className="mt-2">Pile 2</h6>
+        <CardRow cards={cards} cardIndices={second} onClickCard={acting ? toggle : null} />
+        {acting && (
+          <Button color="success" className="mt-2" onClick={() => makeMove({ action: 'split', cards: first })}>
+            Split
+          </Button>
+        )}
+      </>
+    );
+  }
+  return state.piles.map((pile, index) => (
+    <div key={/* eslint-disable-line react/no-array-index-key */ index} className="mb-3">
+      <h6>
+        Pile {index + 1}
+        {acting && (
+          <Button
+            color="success"
+            size="sm"
+            className="ml-2"
+            onClick={() => makeMove({ action: 'choose', pile: index })}
+          >
+            Take
+          </Button>
+        )}
+      </h6>
+      <CardRow cards={cards} cardIndices={pile} />
+    </div>
+  ));
+};
+
+SolomonPanel.propTypes = panelPropTypes;
+
+const PANELS = {
+  rochester: RochesterPanel,
+  winston: WinstonPanel,
+  winchester: WinchesterPanel,
+  solomon: SolomonPanel,
+};
+
+const actionText = (format, state) => {
+  if (format === 'solomon') {
+    return state.piles ? 'choose a pile' : 'split the cards';
+  }
+  return format === 'rochester' ? 'pick' : 'take a pile';
+};
+
+export const FormatDraftPage = ({ cube, initialDraft, canMove, loginCallback }) => {
+  const [draft, setDraft] = useState(initialDraft);
+  const [loading, setLoading] = useState(false);
+  const { alerts, addAlert } = useAlerts();
+  const submitDeckForm = useRef();
+  const state = useMemo(() => replayFormatDraft(draft), [draft]);
+  const { format, cards, seats } = draft;
+  const done = state.actor === null;
+  const acting = !done && !loading && canMove && !seats[state.actor].bot;
+
+  const makeMove = useCallback(
+    async (move) => {
+      setLoading(true);
+      const response = await csrfFetch(`/cube/formatdraft/move/${draft._id}`, {
+        method: 'POST',
+        body: JSON.stringify({ move }),
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const json = await response.json();
+      if (json.success === 'true') {
+        setDraft((current) => ({ ...current, seats: json.seats, moves: json.moves }));
+      } else {
+        addAlert('danger', json.message);
+      }
+      setLoading(false);
+    },
+    [draft._id, addAlert],
+  );
+
+  useEffect(() => {
+    if (done && canMove && !draft.deck) {
+      // eslint-disable-next-line
+      submitDeckForm.current?.submit?.();
+    }
+  }, [done, canMove, draft.deck]);
+
+  // Every seat's picks are public in the two player formats, but only the people's picks are shown in Rochester.
+  const shownSeats = seats
+    .map((seat, seatIndex) => ({ ...seat, seatIndex }))
+    .filter(({ bot }) => seats.length === 2 || !bot);
+  const Panel = PANELS[format];
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <CubeLayout cube={cube} activeLink="playtest">
+        <DisplayContextProvider>
+          <Navbar expand="xs" light className="usercontrols">
+            <Collapse navbar>
+              <Nav navbar>
+                <CustomImageToggler />
+              </Nav>
+            </Collapse>
+          </Navbar>
+          <DynamicFlash />
+          <Alerts alerts={alerts} />
+          <CSRFForm
+            className="d-none"
+            innerRef={submitDeckForm}
+            method="POST"
+            action={`/cube/formatdraft/submit/${draft._id}`}
+          >
+            <Input type="hidden" name="skipDeckbuilder" value="false" />
+          </CSRFForm>
+          <DndProvider>
+            <ErrorBoundary>
+              <Card className="mt-3">
+                <CardHeader>
+                  <CardTitle className="mb-0">
+                    <h4>{DRAFT_FORMATS[format].name} Draft</h4>
+                    <h4 className="mb-0">
+                      {done && draft.deck && (
+                        <Button color="success" size="sm" href={`/cube/deck/${draft.deck}`}>
+                          View Deck
+                        </Button>
+                      )}
+                      {done && !draft.deck && <Badge color="success">Finished</Badge>}
+                      {!done && (
+                        <Badge color={state.actor === 0 ? 'primary' : 'danger'}>
+                          {`${seats[state.actor].name} to ${actionText(format, state)}`}
+                        </Badge>
+                      )}
+                      {loading && <Spinner size="sm" className="ml-2" />}
+                    </h4>
+                  </CardTitle>
+                </CardHeader>
+                {!done && (
+                  <CardBody>
+                    <Panel key={state.round ?? 0} cards={cards} state={state} acting={acting} makeMove={makeMove} />
+                  </CardBody>
+                )}
+              </Card>
+            </ErrorBoundary>
+            <ErrorBoundary className="mt-3">
+              {shownSeats.map(({ name, drafted, seatIndex }) => {
+                const picked = drafted.map((row) => row.map((col) => col.map((cardIndex) => cards[cardIndex])));
+                return (
+                  <Card key={seatIndex} className="my-3">
+                    <DeckStacks
+                      cards={picked}
+                      title={`${name}'s Picks`}
+                      subtitle={makeSubtitle(picked.flat(3))}
+                      locationType={Location.PICKS}
+                      canDrop={() => false}
+                      onMoveCard={() => {}}
+                    />
+                  </Card>
+                );
+              })}
+            </ErrorBoundary>
+          </DndProvider>
+        </DisplayContextProvider>
+      </CubeLayout>
+    </MainLayout>
+  );
+};
+
+FormatDraftPage.propTypes = {
+  cube: CubePropType.isRequired,
+  initialDraft: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    format: PropTypes.oneOf(Object.keys(DRAFT_FORMATS)).isRequired,
+    cards: PropTypes.arrayOf(CardPropType).isRequired,
+    basics: PropTypes.arrayOf(PropTypes.number.isRequired).isRequired,
+    initial_state: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number.isRequired)).isRequired,
+    seats: PropTypes.arrayOf(
+      PropTypes.shape({
+        bot: PropTypes.bool,
+        name: PropTypes.string,
+        drafted: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number.isRequired))).isRequired,
+        pickorder: PropTypes.arrayOf(PropTypes.number.isRequired).isRequired,
+      }),
+    ).isRequired,
+    moves: PropTypes.arrayOf(
+      PropTypes.shape({
+        seat: PropTypes.number,
+        action: PropTypes.string,
+        cards: PropTypes.arrayOf(PropTypes.number),
+        pile: PropTypes.number,
+      }),
+    ).isRequired,
+    deck: PropTypes.string,
+  }).isRequired,
+  canMove: PropTypes.bool.isRequired,
+  loginCallback: PropTypes.string,
+};
+
+FormatDraftPage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(FormatDraftPage);
@@ -1,5 +1,6 @@
-import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import React, { useState, useRef, useCallback, useContext, useEffect, useMemo } from 'react';
 import PropTypes from 'prop-types';
+import { io } from 'socket.io-client';
 import {
   Card,
   CardBody,
@@ -12,6 +13,8 @@ import {
   Col,
   Row,
   Input,
+  InputGroup,
+  InputGroupAddon,
   Badge,
 } from 'reactstrap';
 
@@ -23,25 +26,23 @@ import DynamicFlash from 'components/DynamicFlash';
 import ErrorBoundary from 'components/ErrorBoundary';
 import FoilCardImage from 'components/FoilCardImage';
 import { DisplayContextProvider } from 'contexts/DisplayContext';
+import UserContext from 'contexts/UserContext';
+import useAlerts, { Alerts } from 'hooks/UseAlerts';
 import CubeLayout from 'layouts/CubeLayout';
 import MainLayout from 'layouts/MainLayout';
 import CardPropType from 'proptypes/CardPropType';
 import CubePropType from 'proptypes/CubePropType';
 import { makeSubtitle } from 'utils/Card';
 import { csrfFetch } from 'utils/CSRF';
-import Location, { moveOrAddCard } from 'drafting/DraftLocation';
+import Location from 'drafting/DraftLocation';
 import { calculateBotPickFromOptions } from 'drafting/draftbots';
-import { getDefaultPosition } from 'drafting/draftutil';
-import { getGridDrafterState } from 'drafting/griddraftutils';
+import { applyGridPicks, getGridDrafterState, GRID_LINES } from 'drafting/griddraftutils';
 import RenderToRoot from 'utils/RenderToRoot';
 import { fromEntries, toNullableInt } from 'utils/Util';
 
-const GRID_DRAFT_OPTIONS = [0, 1, 2]
-  .map((ind) => [[0, 1, 2].map((offset) => 3 * ind + offset), [0, 1, 2].map((offset) => ind + 3 * offset)])
-  .flat(1);
-export const calculateGridBotPick = calculateBotPickFromOptions(GRID_DRAFT_OPTIONS);
+export const calculateGridBotPick = calculateBotPickFromOptions(GRID_LINES);
 
-const Pack = ({ pack, packNumber, pickNumber, makePick, seatIndex, turn }) => (
+const Pack = ({ pack, packNumber, pickNumber, makePick, seatIndex, turnLabel, disabled }) => (
   <Card className="mt-3">
     <CardHeader>
       <CardTitle className="mb-0">
@@ -49,9 +50,7 @@ const Pack = ({ pack, packNumber, pickNumber, makePick, seatIndex, turn }) => (
           Pack {packNumber + 1}, Pick {pickNumber + 1}
         </h4>
         <h4 className="mb-0">
-          {turn && (
-            <Badge color={turn === 1 ? 'primary' : 'danger'}>{`Player ${turn === 1 ? 'one' : 'two'}'s pick`}</Badge>
-          )}
+          {turnLabel && <Badge color={seatIndex === 0 ? 'primary' : 'danger'}>{turnLabel}</Badge>}
         </h4>
       </CardTitle>
     </CardHeader>
@@ -64,6 +63,7 @@ const Pack = ({ pack, packNumber, pickNumber, makePick, seatIndex, turn }) => (
               block
               outline
               color="success"
+              disabled={disabled}
               onClick={() => {
                 makePick({
                   seatIndex,
@@ -85,6 +85,7 @@ const Pack = ({ pack, packNumber, pickNumber, makePick, seatIndex, turn }) => (
               className="float-right h-100"
               outline
               color="success"
+              disabled={disabled}
               onClick={() => {
                 makePick({
                   seatIndex,
@@ -124,23 +125,18 @@ Pack.propTypes = {
   pickNumber: PropTypes.number.isRequired,
   seatIndex: PropTypes.number.isRequired,
   makePick: PropTypes.func.isRequired,
-  turn: PropTypes.number,
+  turnLabel: PropTypes.string,
+  disabled: PropTypes.bool,
 };
 
 Pack.defaultProps = {
-  turn: null,
+  turnLabel: null,
+  disabled: false,
 };
 
 const MUTATIONS = {
   makePick: ({ newGridDraft, seatIndex, cardIndices }) => {
-    console.log({ newGridDraft, seatIndex, cardIndices });
-
-    newGridDraft.seats[seatIndex].pickorder.push(...cardIndices.map(([x]) => x));
-    newGridDraft.seats[seatIndex].pickedIndices.push(...cardIndices.map(([, x]) => x));
-    for (const [cardIndex] of cardIndices) {
-      const pos = getDefaultPosition(newGridDraft.cards[cardIndex], newGridDraft.seats[seatIndex].drafted);
-      newGridDraft.seats[seatIndex].drafted = moveOrAddCard(newGridDraft.seats[seatIndex].drafted, pos, cardIndex);
-    }
+    newGridDraft.seats[seatIndex] = applyGridPicks(newGridDraft, seatIndex, cardIndices).seats[seatIndex];
   },
 };
 
@@ -165,22 +161,98 @@ const useMutatableGridDraft = (initialGridDraft) => {
       ),
     ]),
   );
-  return { gridDraft, mutations };
+  return { gridDraft, setGridDraft, mutations };
+};
+
+// Online grid drafts get the seats from the server after every pick, and send picks to it instead of making them.
+const useOnlineGridDraft = (gridDraftId, enabled, setGridDraft, setSeatNumber, addAlert) => {
+  const [socket, setSocket] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const newSocket = io('/griddraft');
+    // Joining again on every connect is what lets players pick up where they left off after losing connection.
+    newSocket.on('connect', () => newSocket.emit('join', gridDraftId));
+    newSocket.on('update', ({ seats }) => setGridDraft((oldGridDraft) => ({ ...oldGridDraft, seats })));
+    newSocket.on('seat', setSeatNumber);
+    newSocket.on('failed', (message) => addAlert('danger', message));
+    setSocket(newSocket);
+    return () => newSocket.close();
+  }, [gridDraftId, enabled, setGridDraft, setSeatNumber, addAlert]);
+
+  const emit = useCallback((...args) => socket && socket.emit(...args), [socket]);
+
+  return emit;
+};
+
+const Lobby = ({ seats, seatNumber, emit }) => {
+  const user = useContext(UserContext);
+  const [link, setLink] = useState('');
+  useEffect(() => setLink(window.location.href), []);
+
+  return (
+    <Card className="mt-3">
+      <CardHeader>
+        <CardTitle tag="h4" className="mb-0">
+          Waiting for Player Two
+        </CardTitle>
+      </CardHeader>
+      <CardBody>
+        {seatNumber === 0 ? (
+          <>
+            <p>
+              Share this link with the person you want to grid draft against. You&apos;ll get a notification when they
+              join and whenever it&apos;s your turn while you&apos;re away.
+            </p>
+            <InputGroup>
+              <Input value={link} readOnly onFocus={(event) => event.target.select()} />
+              <InputGroupAddon addonType="append">
+                <Button color="success" onClick={() => navigator.clipboard.writeText(link)}>
+                  Copy
+                </Button>
+              </InputGroupAddon>
+            </InputGroup>
+          </>
+        ) : (
+          <>
+            <p>{seats[0].name} has invited you to a grid draft.</p>
+            {user ? (
+              <Button color="success" onClick={() => emit('sit')}>
+                Join Grid Draft
+              </Button>
+            ) : (
+              <p className="mb-0">Please log in to join.</p>
+            )}
+          </>
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+Lobby.propTypes = {
+  seats: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string })).isRequired,
+  seatNumber: PropTypes.number.isRequired,
+  emit: PropTypes.func.isRequired,
 };
 
 export const GridDraftPage = ({ cube, initialDraft, seatNumber, loginCallback }) => {
   const { cards, draftType } = initialDraft;
-  const seatNum = toNullableInt(seatNumber) ?? 0;
-  const { gridDraft, mutations } = useMutatableGridDraft(initialDraft);
+  const isOnline = draftType === '2playeronline';
+  const [seatNum, setSeatNum] = useState(toNullableInt(seatNumber) ?? 0);
+  const { gridDraft, setGridDraft, mutations } = useMutatableGridDraft(initialDraft);
+  const { alerts, addAlert } = useAlerts();
+  const emit = useOnlineGridDraft(initialDraft._id, isOnline, setGridDraft, setSeatNum, addAlert);
   const submitDeckForm = useRef();
   const drafterStates = useMemo(() => {
-    console.log(gridDraft);
     return [0, 1].map((idx) => getGridDrafterState({ gridDraft, seatNumber: idx }));
   }, [gridDraft]);
-  const { turn, numPacks, packNum, pickNum } = drafterStates[seatNum];
-  console.log(seatNum);
-  const { cardsInPack } = drafterStates[turn ? 0 : 1];
+  // Spectators of an online draft follow the first player.
+  const { numPacks, packNum, pickNum } = drafterStates[Math.max(seatNum, 0)];
+  const currentSeat = drafterStates[0].turn ? 0 : 1;
+  const { cardsInPack } = drafterStates[currentSeat];
   const doneDrafting = packNum >= numPacks;
+  const waitingForPlayer = isOnline && !gridDraft.seats[1].userid;
   const pack = useMemo(() => cardsInPack.map((cardIndex) => cards[cardIndex]), [cardsInPack, cards]);
 
   // Picks is an array with 1st key C/NC, 2d key CMC, 3d key order
@@ -197,21 +269,24 @@ export const GridDraftPage = ({ cube, initialDraft, seatNumber, loginCallback })
   // The finish callback.
   useEffect(() => {
     (async () => {
-      if (doneDrafting) {
-        const submitableGridDraft = {
-          ...gridDraft,
-          cards: gridDraft.cards.map(({ details: _, ...card }) => ({ ...card })),
-        };
-        await csrfFetch(`/cube/api/submitgriddraft/${gridDraft.cube}`, {
-          method: 'POST',
-          body: JSON.stringify(submitableGridDraft),
-          headers: { 'Content-Type': 'application/json' },
-        });
+      if (doneDrafting && !(isOnline && seatNum < 0)) {
+        // The server already has every pick of an online draft.
+        if (!isOnline) {
+          const submitableGridDraft = {
+            ...gridDraft,
+            cards: gridDraft.cards.map(({ details: _, ...card }) => ({ ...card })),
+          };
+          await csrfFetch(`/cube/api/submitgriddraft/${gridDraft.cube}`, {
+            method: 'POST',
+            body: JSON.stringify(submitableGridDraft),
+            headers: { 'Content-Type': 'application/json' },
+          });
+        }
         // eslint-disable-next-line
         submitDeckForm.current?.submit?.();
       }
     })();
-  }, [doneDrafting, gridDraft]);
+  }, [doneDrafting, gridDraft, isOnline, seatNum]);
 
   useEffect(() => {
     if (botDrafterState.turn && draftType === 'bot') {
@@ -219,6 +294,41 @@ export const GridDraftPage = ({ cube, initialDraft, seatNumber, loginCallback })
     }
   }, [draftType, botDrafterState, mutations, botIndex]);
 
+  const myTurn = isOnline && !waitingForPlayer && !doneDrafting && currentSeat === seatNum;
+  useEffect(() => {
+    if (!isOnline) return;
+    const title = document.title.replace(/^\(Your pick\) /, '');
+    document.title = myTurn ? `(Your pick) ${title}` : title;
+  }, [isOnline, myTurn]);
+
+  const makePick = useCallback(
+    ({ seatIndex, cardIndices }) => {
+      if (isOnline) {
+        emit(
+          'pick',
+          cardIndices.map(([, position]) => position),
+        );
+      } else {
+        mutations.makePick({ seatIndex, cardIndices });
+      }
+    },
+    [isOnline, emit, mutations],
+  );
+
+  let turnLabel = `Player ${currentSeat === 0 ? 'one' : 'two'}'s pick`;
+  if (isOnline) {
+    turnLabel = myTurn ? 'Your pick' : `${gridDraft.seats[currentSeat].name}'s pick`;
+  }
+  const picksTitle = (seatIndex) => {
+    if (isOnline) {
+      return `${gridDraft.seats[seatIndex].name}'s Picks`;
+    }
+    if (draftType === 'bot') {
+      return seatIndex === 0 ? 'Picks' : 'Bot Picks';
+    }
+    return seatIndex === 0 ? "Player One's Picks" : "Player Two's Picks";
+  };
+
   return (
     <MainLayout loginCallback={loginCallback}>
       <CubeLayout cube={cube} activeLink="playtest">
@@ -231,6 +341,7 @@ export const GridDraftPage = ({ cube, initialDraft, seatNumber, loginCallback })
             </Collapse>
           </Navbar>
           <DynamicFlash />
+          <Alerts alerts={alerts} />
           <CSRFForm
             className="d-none"
             innerRef={submitDeckForm}
@@ -241,20 +352,25 @@ export const GridDraftPage = ({ cube, initialDraft, seatNumber, loginCallback })
           </CSRFForm>
           <DndProvider>
             <ErrorBoundary>
-              <Pack
-                pack={pack}
-                packNumber={packNum}
-                pickNumber={pickNum}
-                seatIndex={turn ? 0 : 1}
-                makePick={mutations.makePick}
-                turn={turn ? 1 : 2}
-              />
+              {waitingForPlayer ? (
+                <Lobby seats={gridDraft.seats} seatNumber={seatNum} emit={emit} />
+              ) : (
+                <Pack
+                  pack={pack}
+                  packNumber={packNum}
+                  pickNumber={pickNum}
+                  seatIndex={currentSeat}
+                  makePick={makePick}
+                  turnLabel={turnLabel}
+                  disabled={isOnline && !myTurn}
+                />
+              )}
             </ErrorBoundary>
             <ErrorBoundary className="mt-3">
               <Card className="mt-3">
                 <DeckStacks
                   cards={picked[0]}
-                  title={draftType === 'bot' ? 'Picks' : "Player One's Picks"}
+                  title={picksTitle(0)}
                   subtitle={makeSubtitle(picked[0].flat(3))}
                   locationType={Location.PICKS}
                   canDrop={() => false}
@@ -264,7 +380,7 @@ export const GridDraftPage = ({ cube, initialDraft, seatNumber, loginCallback })
               <Card className="my-3">
                 <DeckStacks
                   cards={picked[1]}
-                  title={draftType === 'bot' ? 'Bot Picks' : "Player Two's Picks"}
+                  title={picksTitle(1)}
                   subtitle={makeSubtitle(picked[1].flat(3))}
                   locationType={Location.PICKS}
                   canDrop={() => false}
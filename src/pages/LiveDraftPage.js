@@ -0,0 +1,311 @@
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { io } from 'socket.io-client';
+import {
+  Badge,
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  CardTitle,
+  Col,
+  Input,
+  InputGroup,
+  InputGroupAddon,
+  ListGroup,
+  ListGroupItem,
+  Row,
+  Spinner,
+} from 'reactstrap';
+
+import DeckStacks from 'components/DeckStacks';
+import DndProvider from 'components/DndProvider';
+import DynamicFlash from 'components/DynamicFlash';
+import ErrorBoundary from 'components/ErrorBoundary';
+import FoilCardImage from 'components/FoilCardImage';
+import UserContext from 'contexts/UserContext';
+import { DisplayContextProvider } from 'contexts/DisplayContext';
+import useAlerts, { Alerts } from 'hooks/UseAlerts';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import CubePropType from 'proptypes/CubePropType';
+import { SeatPropType } from 'proptypes/DraftbotPropTypes';
+import DraftLocation from 'drafting/DraftLocation';
+import { getDrafterState } from 'drafting/draftutil';
+import { makeSubtitle } from 'utils/Card';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const useLiveDraft = (draftId, addAlert) => {
+  const [socket, setSocket] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [seatNumber, setSeatNumber] = useState(-1);
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    const newSocket = io();
+    // Joining again on every connect is what lets players pick up where they left off after losing connection.
+    newSocket.on('connect', () => {
+      setConnected(true);
+      newSocket.emit('join', draftId);
+    });
+    newSocket.on('disconnect', () => setConnected(false));
+    newSocket.on('draft', ({ seatNumber: newSeatNumber, ...newDraft }) => {
+      setDraft(newDraft);
+      setSeatNumber(newSeatNumber);
+    });
+    newSocket.on('update', (state) => setDraft((oldDraft) => oldDraft && { ...oldDraft, ...state }));
+    newSocket.on('seat', setSeatNumber);
+    newSocket.on('failed', (message) => addAlert('danger', message));
+    setSocket(newSocket);
+    return () => newSocket.close();
+  }, [draftId, addAlert]);
+
+  const emit = useCallback((...args) => socket && socket.emit(...args), [socket]);
+
+  return { draft, seatNumber, connected, emit };
+};
+
+const useCountdown = (deadline) => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!deadline) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [deadline]);
+  return deadline ? Math.max(Math.ceil((deadline - now) / 1000), 0) : null;
+};
+
+const Lobby = ({ draft, seatNumber, emit }) => {
+  const user = useContext(UserContext);
+  const isHost = !!user && user.id === draft.host;
+  const [link, setLink] = useState('');
+  useEffect(() => setLink(window.location.href), []);
+
+  return (
+    <Card className="mt-3">
+      <CardHeader>
+        <CardTitle tag="h4" className="mb-0">
+          Draft Lobby
+        </CardTitle>
+      </CardHeader>
+      <CardBody>
+        <p>
+          Share this link with the people you want to draft with. Seats nobody takes are drafted by bots.
+          {draft.timer > 0 && ` Each pick has a ${draft.timer} second time limit.`}
+        </p>
+        <InputGroup className="mb-3">
+          <Input value={link} readOnly onFocus={(event) => event.target.select()} />
+          <InputGroupAddon addonType="append">
+            <Button color="success" onClick={() => navigator.clipboard.writeText(link)}>
+              Copy
+            </Button>
+          </InputGroupAddon>
+        </InputGroup>
+        <ListGroup className="mb-3">
+          {draft.seats.map((seat, index) => (
+            // eslint-disable-next-line react/no-array-index-key
+            <ListGroupItem key={index}>
+              Seat {index + 1}:{' '}
+              {seat.bot ? (
+                <span className="text-muted">Open (bot)</span>
+              ) : (
+                <>
+                  {seat.name}
+                  {seat.userid === draft.host && <Badge className="ml-2">Host</Badge>}
+                  {draft.online.includes(seat.userid) && (
+                    <Badge color="success" className="ml-2">
+                      Online
+                    </Badge>
+                  )}
+                </>
+              )}
+            </ListGroupItem>
+          ))}
+        </ListGroup>
+        {!user && <p>Log in to take a seat in this draft.</p>}
+        {user && seatNumber < 0 && (
+          <Button color="success" className="mr-2" onClick={() => emit('sit')}>
+            Take a Seat
+          </Button>
+        )}
+        {user && seatNumber >= 0 && !isHost && (
+          <Button color="danger" outline className="mr-2" onClick={() => emit('leave')}>
+            Leave Seat
+          </Button>
+        )}
+        {isHost ? (
+          <Button color="success" onClick={() => emit('start')}>
+            Start Draft
+          </Button>
+        ) : (
+          <span className="text-muted">Waiting for the host to start the draft.</span>
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+Lobby.propTypes = {
+  draft: PropTypes.shape({
+    host: PropTypes.string.isRequired,
+    timer: PropTypes.number,
+    seats: PropTypes.arrayOf(SeatPropType.isRequired).isRequired,
+    online: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }).isRequired,
+  seatNumber: PropTypes.number.isRequired,
+  emit: PropTypes.func.isRequired,
+};
+
+const Drafting = ({ draft, seatNumber, emit }) => {
+  const [picking, setPicking] = useState(null);
+  const secondsLeft = useCountdown(draft.deadline);
+  const viewedSeat = seatNumber >= 0 ? seatNumber : 0;
+  const drafterState = useMemo(() => getDrafterState({ draft, seatNumber: viewedSeat }), [draft, viewedSeat]);
+  const {
+    cards,
+    cardsInPack,
+    packNum,
+    pickNum,
+    step: { action },
+  } = drafterState;
+  const waitingForUs = seatNumber >= 0 && draft.waiting.includes(seatNumber);
+  const stillWaiting = draft.waiting.filter((index) => index !== seatNumber).map((index) => draft.seats[index].name);
+
+  // Once our pick is accepted we get a new pack, or stop waiting.
+  useEffect(() => setPicking(null), [cardsInPack, waitingForUs]);
+
+  const pick = useCallback(
+    (event) => {
+      event.preventDefault();
+      const cardIndex = parseInt(event.currentTarget.getAttribute('data-card'), 10);
+      setPicking(cardIndex);
+      emit('pick', cardIndex);
+    },
+    [emit],
+  );
+
+  const picks = useMemo(
+    () => draft.seats[viewedSeat].drafted.map((row) => row.map((col) => col.map((cardIndex) => cards[cardIndex]))),
+    [draft.seats, viewedSeat, cards],
+  );
+
+  return (
+    <>
+      <Card className="mt-3">
+        <CardHeader>
+          <CardTitle tag="h4" className="mb-0">
+            Pack {packNum + 1}, Pick {pickNum + 1}
+            {action.match(/trash/) && ': Trash a Card'}
+            {secondsLeft !== null && (
+              <Badge color={secondsLeft > 10 ? 'secondary' : 'danger'} className="float-right">
+                {secondsLeft}s
+              </Badge>
+            )}
+          </CardTitle>
+          {!waitingForUs && stillWaiting.length > 0 && (
+            <small className="text-muted">Waiting for {stillWaiting.join(', ')}</small>
+          )}
+        </CardHeader>
+        <CardBody>
+          <Row noGutters>
+            {cardsInPack.map((cardIndex) => (
+              <Col
+                key={cardIndex}
+                xs={3}
+                className="col-md-1-5 col-lg-1-5 col-xl-1-5 d-flex justify-content-center align-items-center"
+              >
+                {picking === cardIndex && <Spinner className="position-absolute" />}
+                {waitingForUs ? (
+                  <Button color="link" className="p-0" data-card={cardIndex} onClick={pick}>
+                    <FoilCardImage card={cards[cardIndex]} tags={[]} autocard />
+                  </Button>
+                ) : (
+                  <FoilCardImage
+                    card={cards[cardIndex]}
+                    tags={[]}
+                    autocard
+                    className={seatNumber >= 0 ? 'transparent' : undefined}
+                  />
+                )}
+              </Col>
+            ))}
+          </Row>
+        </CardBody>
+      </Card>
+      <DndProvider>
+        <ErrorBoundary className="mt-3">
+          <Card className="my-3">
+            <DeckStacks
+              cards={picks}
+              title={seatNumber >= 0 ? 'Picks' : `Picks for ${draft.seats[viewedSeat].name}`}
+              subtitle={makeSubtitle(picks.flat(3))}
+              locationType={DraftLocation.PICKS}
+              canDrop={() => false}
+            />
+          </Card>
+        </ErrorBoundary>
+      </DndProvider>
+    </>
+  );
+};
+
+Drafting.propTypes = {
+  draft: PropTypes.shape({
+    seats: PropTypes.arrayOf(SeatPropType.isRequired).isRequired,
+    waiting: PropTypes.arrayOf(PropTypes.number.isRequired).isRequired,
+    deadline: PropTypes.number,
+  }).isRequired,
+  seatNumber: PropTypes.number.isRequired,
+  emit: PropTypes.func.isRequired,
+};
+
+const LiveDraftPage = ({ cube, draftId, loginCallback }) => {
+  const { alerts, addAlert } = useAlerts();
+  const { draft, seatNumber, connected, emit } = useLiveDraft(draftId, addAlert);
+
+  useEffect(() => {
+    if (draft && draft.status === 'finished' && draft.deck) {
+      window.location.href = `/cube/deck/${draft.deck}`;
+    }
+  }, [draft]);
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <CubeLayout cube={cube} activeLink="playtest">
+        <DisplayContextProvider>
+          <DynamicFlash />
+          <Alerts alerts={alerts} className="mt-3" />
+          {draft && !connected && (
+            <p className="mt-3 text-muted">
+              <Spinner size="sm" /> Connection lost, reconnecting...
+            </p>
+          )}
+          {!draft && (
+            <div className="centered py-3">
+              <Spinner className="position-absolute" />
+            </div>
+          )}
+          {draft && draft.status === 'lobby' && <Lobby draft={draft} seatNumber={seatNumber} emit={emit} />}
+          {draft && draft.status === 'drafting' && <Drafting draft={draft} seatNumber={seatNumber} emit={emit} />}
+          {draft && draft.status === 'finished' && (
+            <p className="mt-3">
+              The draft is over. <a href={`/cube/deck/${draft.deck}`}>View the decks.</a>
+            </p>
+          )}
+        </DisplayContextProvider>
+      </CubeLayout>
+    </MainLayout>
+  );
+};
+
+LiveDraftPage.propTypes = {
+  cube: CubePropType.isRequired,
+  draftId: PropTypes.string.isRequired,
+  loginCallback: PropTypes.string,
+};
+
+LiveDraftPage.defaultProps = {
+  loginCallback: '/',
+};
+
+export default RenderToRoot(LiveDraftPage);
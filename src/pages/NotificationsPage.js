@@ -1,38 +1,119 @@
-import React from 'react';
+import React, { useCallback, useState } from 'react';
 import PropTypes from 'prop-types';
 
-import { Card, CardHeader, CardBody } from 'reactstrap';
+import { Button, Card, CardHeader, CardBody, CustomInput, Form, Input, Label } from 'reactstrap';
 
 import Notification from 'components/Notification';
 import Banner from 'components/Banner';
 import DynamicFlash from 'components/DynamicFlash';
+import Paginate from 'components/Paginate';
 import MainLayout from 'layouts/MainLayout';
+import { csrfFetch } from 'utils/CSRF';
+import { NOTIFICATION_TYPES } from 'utils/Notifications';
 import RenderToRoot from 'utils/RenderToRoot';
 
-const Notifications = ({ notifications, loginCallback }) => (
-  <MainLayout loginCallback={loginCallback}>
-    <Banner />
-    <DynamicFlash />
-    <Card className="mx-auto">
-      <CardHeader>
-        <h5>Notifications</h5>
-      </CardHeader>
-      <CardBody className="p-0">
-        {notifications.length > 0 ? (
-          notifications
-            .slice()
-            .reverse()
-            .map((notification) => <Notification key={notification._id} notification={notification} />)
-        ) : (
-          <p className="m-2">
-            You don't have any notifications! Why don't you try sharing your cube on the{' '}
-            <a href="https://discord.gg/Hn39bCU">Cube Cobra Discord?</a>
-          </p>
-        )}
-      </CardBody>
-    </Card>
-  </MainLayout>
-);
+const notificationsUrl = (type, unread, page) => {
+  const params = new URLSearchParams();
+  if (type) {
+    params.set('type', type);
+  }
+  if (unread) {
+    params.set('unread', 'true');
+  }
+  if (page > 0) {
+    params.set('page', page);
+  }
+  const query = params.toString();
+  return query ? `/user/notifications?${query}` : '/user/notifications';
+};
+
+const Notifications = ({ notifications, type, unread, pages, activePage, loginCallback }) => {
+  const [allRead, setAllRead] = useState(false);
+
+  const handleChangeType = useCallback(
+    (event) => {
+      window.location.href = notificationsUrl(event.target.value, unread, 0);
+    },
+    [unread],
+  );
+  const handleChangeUnread = useCallback(
+    (event) => {
+      window.location.href = notificationsUrl(type, event.target.checked, 0);
+    },
+    [type],
+  );
+  const markAllRead = useCallback(async () => {
+    await csrfFetch('/user/clearnotifications', {
+      method: 'POST',
+    });
+    setAllRead(true);
+  }, []);
+
+  const urlF = (page) => notificationsUrl(type, unread, page);
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <Banner />
+      <DynamicFlash />
+      {pages > 1 && <Paginate count={pages} active={activePage} urlF={urlF} />}
+      <Card className="mx-auto">
+        <CardHeader>
+          <h5>Notifications</h5>
+          <Form inline>
+            <CustomInput
+              type="select"
+              id="notificationType"
+              className="mr-3 mb-2"
+              value={type ?? ''}
+              onChange={handleChangeType}
+            >
+              <option value="">All Notifications</option>
+              {Object.entries(NOTIFICATION_TYPES).map(([key, { name }]) => (
+                <option key={key} value={key}>
+                  {name}
+                </option>
+              ))}
+            </CustomInput>
+            <div className="form-check mr-3 mb-2">
+              <Input
+                id="notificationUnread"
+                type="checkbox"
+                className="form-check-input"
+                checked={unread}
+                onChange={handleChangeUnread}
+              />
+              <Label for="notificationUnread" className="form-check-label">
+                Unread only
+              </Label>
+            </div>
+            <Button size="sm" outline color="success" className="mb-2" disabled={allRead} onClick={markAllRead}>
+              Mark All Read
+            </Button>
+          </Form>
+          <a href="/user/account?nav=notifications">Notification settings</a>
+        </CardHeader>
+        <CardBody className="p-0">
+          {notifications.length > 0 ? (
+            notifications.map((notification) => (
+              <Notification
+                key={notification._id}
+                notification={allRead ? { ...notification, read: true } : notification}
+              />
+            ))
+          ) : (
+            <p className="m-2">
+              {type || unread
+                ? 'No notifications match these filters.'
+                : "You don't have any notifications! Why don't you try sharing your cube on the "}
+              {!type && !unread && <a href="https://discord.gg/Hn39bCU">Cube Cobra Discord?</a>}
+            </p>
+          )}
+        </CardBody>
+      </Card>
+      {pages > 1 && <Paginate count={pages} active={activePage} urlF={urlF} />}
+    </MainLayout>
+  );
+};
 
 Notifications.propTypes = {
   notifications: PropTypes.arrayOf(
@@ -40,10 +121,16 @@ Notifications.propTypes = {
       _id: PropTypes.string.isRequired,
     }),
   ).isRequired,
+  type: PropTypes.string,
+  unread: PropTypes.bool,
+  pages: PropTypes.number.isRequired,
+  activePage: PropTypes.number.isRequired,
   loginCallback: PropTypes.string,
 };
 
 Notifications.defaultProps = {
+  type: null,
+  unread: false,
   loginCallback: '/',
 };
 
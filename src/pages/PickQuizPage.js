@@ -0,0 +1,345 @@
+import React, { useCallback, useState } from 'react';
+import PropTypes from 'prop-types';
+import TimeAgo from 'react-timeago';
+import {
+  Alert,
+  Badge,
+  Button,
+  Card,
+  CardBody,
+  CardFooter,
+  CardHeader,
+  Col,
+  ListGroup,
+  ListGroupItem,
+  Row,
+  Table,
+} from 'reactstrap';
+
+import CardImage from 'components/CardImage';
+import DynamicFlash from 'components/DynamicFlash';
+import withAutocard from 'components/WithAutocard';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import CardPropType from 'proptypes/CardPropType';
+import CubePropType from 'proptypes/CubePropType';
+import { cardName } from 'utils/Card';
+import { postJson } from 'utils/CSRF';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const AutocardItem = withAutocard(ListGroupItem);
+
+const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+const ScorePropType = PropTypes.shape({
+  answered: PropTypes.number.isRequired,
+  matchedHuman: PropTypes.number.isRequired,
+  matchedBot: PropTypes.number.isRequired,
+});
+
+const HistoryPropType = PropTypes.shape({
+  cube: ScorePropType.isRequired,
+  total: ScorePropType.isRequired,
+  answers: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      date: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]).isRequired,
+      packNum: PropTypes.number.isRequired,
+      pickNum: PropTypes.number.isRequired,
+      pick: PropTypes.string.isRequired,
+      humanPick: PropTypes.string.isRequired,
+      botPick: PropTypes.string.isRequired,
+      matchedHuman: PropTypes.bool.isRequired,
+      matchedBot: PropTypes.bool.isRequired,
+    }).isRequired,
+  ).isRequired,
+});
+
+const ScoreRow = ({ title, score }) => (
+  <tr>
+    <th scope="row">{title}</th>
+    <td>{score.answered}</td>
+    <td>
+      {score.matchedHuman}
+      {score.answered > 0 && ` (${percent(score.matchedHuman / score.answered)})`}
+    </td>
+    <td>
+      {score.matchedBot}
+      {score.answered > 0 && ` (${percent(score.matchedBot / score.answered)})`}
+    </td>
+  </tr>
+);
+
+ScoreRow.propTypes = {
+  title: PropTypes.string.isRequired,
+  score: ScorePropType.isRequired,
+};
+
+const ScoreHistory = ({ history }) => (
+  <Card className="mb-3">
+    <CardHeader>
+      <h5 className="mb-0">Your Score</h5>
+    </CardHeader>
+    {history ? (
+      <CardBody>
+        <Table size="sm" responsive>
+          <thead>
+            <tr>
+              <th>Cubes</th>
+              <th>Answered</th>
+              <th>Same as the Drafter</th>
+              <th>Same as the Bot</th>
+            </tr>
+          </thead>
+          <tbody>
+            <ScoreRow title="This Cube" score={history.cube} />
+            <ScoreRow title="All Cubes" score={history.total} />
+          </tbody>
+        </Table>
+        {history.answers.length > 0 && (
+          <>
+            <h6>Latest Answers</h6>
+            <Table size="sm" responsive>
+              <thead>
+                <tr>
+                  <th>Pick</th>
+                  <th>You Picked</th>
+                  <th>The Drafter Picked</th>
+                  <th>The Bot Picked</th>
+                  <th>Answered</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.answers.map((answer) => (
+                  <tr key={answer._id}>
+                    <td>{`P${answer.packNum + 1}P${answer.pickNum + 1}`}</td>
+                    <td className={answer.matchedHuman ? 'text-success' : ''}>{answer.pick}</td>
+                    <td>{answer.humanPick}</td>
+                    <td>{answer.botPick}</td>
+                    <td>
+                      <TimeAgo date={answer.date} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+      </CardBody>
+    ) : (
+      <CardBody>
+        <p className="mb-0">Log in to keep track of your score.</p>
+      </CardBody>
+    )}
+  </Card>
+);
+
+ScoreHistory.propTypes = {
+  history: HistoryPropType,
+};
+
+ScoreHistory.defaultProps = {
+  history: null,
+};
+
+const QuizCard = ({ card, position, result, onPick }) => (
+  <Col xs={4} sm={3} md={2} className="mb-3">
+    <CardImage
+      card={card}
+      autocard
+      className={result ? '' : 'clickable'}
+      data-position={position}
+      onClick={result ? null : onPick}
+    />
+    {result && (
+      <div className="text-center">
+        {result.pick === position && <Badge color="primary">Your Pick</Badge>}{' '}
+        {result.humanPick === position && <Badge color="success">Drafter&apos;s Pick</Badge>}{' '}
+        {result.botPick === position && <Badge color="info">Bot&apos;s Pick</Badge>}
+        <div className="small text-muted">
+          {result.pickRates[position] === null ? 'No pick data' : `Picked ${percent(result.pickRates[position])}`}
+        </div>
+      </div>
+    )}
+  </Col>
+);
+
+const ResultPropType = PropTypes.shape({
+  pick: PropTypes.number.isRequired,
+  humanPick: PropTypes.number.isRequired,
+  botPick: PropTypes.number.isRequired,
+  pickRates: PropTypes.arrayOf(PropTypes.number),
+});
+
+QuizCard.propTypes = {
+  card: CardPropType.isRequired,
+  position: PropTypes.number.isRequired,
+  result: ResultPropType,
+  onPick: PropTypes.func.isRequired,
+};
+
+QuizCard.defaultProps = {
+  result: null,
+};
+
+const resultMessage = (result) => {
+  if (result.pick === result.humanPick) {
+    return result.pick === result.botPick
+      ? 'You picked the same card as the drafter and the bot.'
+      : 'You picked the same card as the drafter.';
+  }
+  return result.pick === result.botPick
+    ? 'You picked the same card as the bot, but the drafter picked something else.'
+    : 'The drafter picked something else.';
+};
+
+const PickQuizPage = ({ cube, question, history: initialHistory, loginCallback }) => {
+  const [result, setResult] = useState(null);
+  const [history, setHistory] = useState(initialHistory);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handlePick = useCallback(
+    async (event) => {
+      const pick = parseInt(event.currentTarget.getAttribute('data-position'), 10);
+      if (loading || result) {
+        return;
+      }
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await postJson(`/cube/quiz/answer/${cube._id}`, {
+          draft: question.draft,
+          seat: question.seat,
+          pickNumber: question.pickNumber,
+          pick,
+        });
+        const json = await response.json();
+        if (json.success === 'true') {
+          setResult({ pick, humanPick: json.humanPick, botPick: json.botPick, pickRates: json.pickRates });
+          if (json.history) {
+            setHistory(json.history);
+          }
+        } else {
+          setError(json.message);
+        }
+      } catch (err) {
+        setError('Could not check your pick, please try again.');
+      }
+      setLoading(false);
+    },
+    [cube, question, loading, result],
+  );
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <CubeLayout cube={cube} activeLink="playtest">
+        <DynamicFlash />
+        {question ? (
+          <Row>
+            <Col xs={12} lg={9}>
+              <Card className="mb-3">
+                <CardHeader>
+                  <h5 className="mb-0">{`Pick Quiz: Pack ${question.packNum + 1}, Pick ${question.pickNum + 1}`}</h5>
+                </CardHeader>
+                <CardBody>
+                  <p>
+                    Someone was handed this pack in a draft of this cube. What would you pick? Click on a card to see
+                    what they and the draftbot picked, and how often each card gets picked in drafts of this cube.
+                  </p>
+                  {error && <Alert color="danger">{error}</Alert>}
+                  {result && (
+                    <Alert color={result.pick === result.humanPick ? 'success' : 'info'}>{resultMessage(result)}</Alert>
+                  )}
+                  <Row noGutters className="justify-content-center">
+                    {question.pack.map((card, position) => (
+                      <QuizCard
+                        key={/* eslint-disable-line react/no-array-index-key */ position}
+                        card={card}
+                        position={position}
+                        result={result}
+                        onPick={handlePick}
+                      />
+                    ))}
+                  </Row>
+                </CardBody>
+                <CardFooter>
+                  <Button color="success" className="mr-2" href={`/cube/quiz/${cube._id}`}>
+                    {result ? 'Next Question' : 'Skip'}
+                  </Button>
+                  {result && (
+                    <Button
+                      color="success"
+                      outline
+                      href={`/cube/draft/${question.draft}/replay?seat=${question.seat}&pack=${
+                        question.packNum + 1
+                      }&pick=${question.pickNum + 1}`}
+                    >
+                      View the Draft
+                    </Button>
+                  )}
+                </CardFooter>
+              </Card>
+            </Col>
+            <Col xs={12} lg={3}>
+              <Card className="mb-3">
+                <CardHeader>
+                  <h5 className="mb-0">{`Their Picks (${question.pool.length})`}</h5>
+                </CardHeader>
+                {question.pool.length > 0 ? (
+                  <ListGroup flush>
+                    {question.pool.map((card, index) => (
+                      <AutocardItem
+                        key={/* eslint-disable-line react/no-array-index-key */ index}
+                        card={card}
+                        className="card-list-item"
+                        data-in-modal
+                      >
+                        {cardName(card)}
+                      </AutocardItem>
+                    ))}
+                  </ListGroup>
+                ) : (
+                  <CardBody>
+                    <em>This is their first pick.</em>
+                  </CardBody>
+                )}
+              </Card>
+            </Col>
+          </Row>
+        ) : (
+          <Card className="mb-3">
+            <CardBody>
+              <h5>There are no drafts of this cube to make questions from yet.</h5>
+              <p className="mb-0">Questions come from the picks people make in drafts of the cube.</p>
+            </CardBody>
+          </Card>
+        )}
+        <ScoreHistory history={history} />
+      </CubeLayout>
+    </MainLayout>
+  );
+};
+
+PickQuizPage.propTypes = {
+  cube: CubePropType.isRequired,
+  question: PropTypes.shape({
+    draft: PropTypes.string.isRequired,
+    seat: PropTypes.number.isRequired,
+    pickNumber: PropTypes.number.isRequired,
+    packNum: PropTypes.number.isRequired,
+    pickNum: PropTypes.number.isRequired,
+    pack: PropTypes.arrayOf(CardPropType).isRequired,
+    pool: PropTypes.arrayOf(CardPropType).isRequired,
+  }),
+  history: HistoryPropType,
+  loginCallback: PropTypes.string,
+};
+
+PickQuizPage.defaultProps = {
+  question: null,
+  history: null,
+  loginCallback: '/',
+};
+
+export default RenderToRoot(PickQuizPage);
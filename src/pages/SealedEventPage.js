@@ -0,0 +1,161 @@
+import React, { useContext, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import CubePropType from 'proptypes/CubePropType';
+import SealedEventPropType, { SealedPoolPropType } from 'proptypes/SealedEventPropType';
+
+import {
+  Badge,
+  Button,
+  Card,
+  CardHeader,
+  Input,
+  InputGroup,
+  InputGroupAddon,
+  Nav,
+  Navbar,
+  NavItem,
+  NavLink,
+  Table,
+} from 'reactstrap';
+
+import DynamicFlash from 'components/DynamicFlash';
+import UserContext from 'contexts/UserContext';
+import CubeLayout from 'layouts/CubeLayout';
+import MainLayout from 'layouts/MainLayout';
+import RenderToRoot from 'utils/RenderToRoot';
+
+const PoolLink = ({ link }) => (
+  <InputGroup size="sm">
+    <Input value={link} readOnly onFocus={(event) => event.target.select()} />
+    <InputGroupAddon addonType="append">
+      <Button color="success" onClick={() => navigator.clipboard.writeText(link)}>
+        Copy
+      </Button>
+    </InputGroupAddon>
+  </InputGroup>
+);
+
+PoolLink.propTypes = {
+  link: PropTypes.string.isRequired,
+};
+
+const PoolRow = ({ event, pool, index, origin }) => (
+  <tr>
+    <th scope="row">{event.teamSize > 1 ? `Team ${index + 1}` : `Pool ${index + 1}`}</th>
+    <td>
+      {pool.seats.map(({ seat, name, userid, username, registered }) => (
+        <div key={seat}>
+          {userid ? (
+            <>
+              <a href={`/cube/deck/${event.deck}?seat=${seat}`}>{name}</a> by{' '}
+              <a href={`/user/view/${userid}`}>{username}</a>{' '}
+              {registered ? <Badge color="success">Registered</Badge> : <Badge color="secondary">Building</Badge>}
+            </>
+          ) : (
+            <span className="text-muted">Open seat</span>
+          )}
+        </div>
+      ))}
+    </td>
+    <td>{pool.size}</td>
+    <td>{pool.token && <PoolLink link={`${origin}/cube/sealed/join/${event._id}/${pool.token}`} />}</td>
+  </tr>
+);
+
+PoolRow.propTypes = {
+  event: SealedEventPropType.isRequired,
+  pool: SealedPoolPropType.isRequired,
+  index: PropTypes.number.isRequired,
+  origin: PropTypes.string.isRequired,
+};
+
+const SealedEventPage = ({ cube, event, ownSeat, loginCallback }) => {
+  const user = useContext(UserContext);
+  const isOrganizer = !!user && user.id === event.owner;
+  const [origin, setOrigin] = useState('');
+  useEffect(() => setOrigin(window.location.origin), []);
+
+  const registered = event.pools.flatMap(({ seats }) => seats).filter((seat) => seat.registered).length;
+  const total = event.pools.reduce((sum, { seats }) => sum + seats.length, 0);
+
+  return (
+    <MainLayout loginCallback={loginCallback}>
+      <CubeLayout cube={cube} activeLink="playtest">
+        <Navbar expand light className="usercontrols mb-3">
+          <Nav navbar>
+            {ownSeat >= 0 && (
+              <NavItem>
+                <NavLink href={`/cube/deck/deckbuilder/${event.deck}?seat=${ownSeat}`}>Build Your Deck</NavLink>
+              </NavItem>
+            )}
+            <NavItem>
+              <NavLink href={`/cube/deck/${event.deck}`}>View Decks</NavLink>
+            </NavItem>
+            <NavItem>
+              <NavLink href={`/cube/deck/decks/${cube._id}`}>All Decks</NavLink>
+            </NavItem>
+          </Nav>
+        </Navbar>
+        <DynamicFlash />
+        <h4 className="mb-3">
+          {event.name}{' '}
+          <Badge color="primary">{event.teamSize > 1 ? `Team Sealed, ${event.teamSize} per team` : 'Sealed'}</Badge>
+        </h4>
+        <p className="text-muted">
+          {event.format
+            ? `Pools are made from the packs of ${event.format}.`
+            : `Pools are ${event.packs} packs of ${event.cards} random cards.`}{' '}
+          Seed: <code>{event.seed}</code>. {registered} of {total} decks registered.
+        </p>
+        {isOrganizer && (
+          <p>
+            Send each pool&apos;s link to its {event.teamSize > 1 ? 'team' : 'player'}. Opening the link takes a seat in
+            the pool, and saving a deck from the deckbuilder registers it.
+            {event.teamSize > 1 && ' Teammates share their pool, so each card can only be in one of their decks.'}
+          </p>
+        )}
+        <Card className="mb-3">
+          <CardHeader>
+            <h5 className="mb-0">{event.teamSize > 1 ? 'Teams' : 'Pools'}</h5>
+          </CardHeader>
+          <Table responsive className="mb-0">
+            <thead>
+              <tr>
+                <th scope="col">{event.teamSize > 1 ? 'Team' : 'Pool'}</th>
+                <th scope="col">Players</th>
+                <th scope="col">Cards</th>
+                <th scope="col">Link</th>
+              </tr>
+            </thead>
+            <tbody>
+              {event.pools.map((pool, index) => (
+                <PoolRow
+                  // eslint-disable-next-line react/no-array-index-key
+                  key={index}
+                  event={event}
+                  pool={pool}
+                  index={index}
+                  origin={origin}
+                />
+              ))}
+            </tbody>
+          </Table>
+        </Card>
+      </CubeLayout>
+    </MainLayout>
+  );
+};
+
+SealedEventPage.propTypes = {
+  cube: CubePropType.isRequired,
+  event: SealedEventPropType.isRequired,
+  ownSeat: PropTypes.number,
+  loginCallback: PropTypes.string,
+};
+
+SealedEventPage.defaultProps = {
+  ownSeat: -1,
+  loginCallback: '/',
+};
+
+export default RenderToRoot(SealedEventPage);
@@ -1,5 +1,6 @@
 import React, { useCallback, useEffect, useState, useContext } from 'react';
 import PropTypes from 'prop-types';
+import ApiKeyPropType from 'proptypes/ApiKeyPropType';
 import PatronPropType from 'proptypes/PatronPropType';
 
 import {
@@ -25,6 +26,7 @@ import {
   ModalFooter,
   ModalHeader,
   CardHeader,
+  Table,
 } from 'reactstrap';
 
 import Query from 'utils/Query';
@@ -42,6 +44,7 @@ import useMount from 'hooks/UseMount';
 import withModal from 'components/WithModal';
 import CubePreview from 'components/CubePreview';
 import CubePropType from 'proptypes/CubePropType';
+import { CUBE_NOTIFICATION_TYPES, DIGEST_FREQUENCIES, NOTIFICATION_TYPES } from 'utils/Notifications';
 
 const AddFeaturedModal = ({ isOpen, toggle, cubes }) => {
   return (
@@ -105,10 +108,127 @@ RemoveFeaturedModal.propTypes = {
   toggle: PropTypes.func.isRequired,
 };
 
+// A muted type and cube, with "all" for the row that mutes the type everywhere.
+const muteKey = (type, cube) => `${type}:${cube ?? 'all'}`;
+
+const NotificationSettings = ({ settings, cubes }) => {
+  const [muted, setMuted] = useState(() => new Set(settings.muted.map(({ type, cube }) => muteKey(type, cube))));
+
+  const toggle = useCallback(
+    (key) =>
+      setMuted((current) => {
+        const next = new Set(current);
+        if (next.has(key)) {
+          next.delete(key);
+        } else {
+          next.add(key);
+        }
+        return next;
+      }),
+    [],
+  );
+
+  const rows = [{ _id: 'all', name: 'Everywhere' }, ...cubes];
+
+  return (
+    <CSRFForm method="POST" action="/user/notificationsettings">
+      <p>
+        Choose the notifications you don&apos;t want to get. Muting a type everywhere mutes it for every cube, otherwise
+        it&apos;s only muted for the notifications about that cube.
+      </p>
+      <Table size="sm" responsive>
+        <thead>
+          <tr>
+            <th>Muted</th>
+            {Object.entries(NOTIFICATION_TYPES).map(([type, { name, description }]) => (
+              <th key={type} className="text-center" title={description}>
+                {name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((cube) => (
+            <tr key={cube._id}>
+              <td>{cube.name}</td>
+              {Object.keys(NOTIFICATION_TYPES).map((type) => {
+                const key = muteKey(type, cube._id);
+                const disabled = cube._id !== 'all' && !CUBE_NOTIFICATION_TYPES.includes(type);
+                return (
+                  <td key={type} className="text-center">
+                    {!disabled && (
+                      <Input
+                        type="checkbox"
+                        className="position-static m-0"
+                        aria-label={`Mute ${NOTIFICATION_TYPES[type].name} for ${cube.name}`}
+                        checked={muted.has(key)}
+                        onChange={() => toggle(key)}
+                      />
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+      <Input type="hidden" name="muted" value={[...muted].join(';')} />
+      <InputGroup className="mb-3">
+        <InputGroupAddon addonType="prepend">
+          <InputGroupText>Email Digest</InputGroupText>
+        </InputGroupAddon>
+        <CustomInput type="select" id="digest" name="digest" defaultValue={settings.digest}>
+          {Object.entries(DIGEST_FREQUENCIES).map(([frequency, name]) => (
+            <option key={frequency} value={frequency}>
+              {name}
+            </option>
+          ))}
+        </CustomInput>
+      </InputGroup>
+      <p className="text-muted">
+        The digest emails you the notifications you haven&apos;t read yet, leaving out the muted ones.
+      </p>
+      <Button block outline color="success" type="submit">
+        Update
+      </Button>
+    </CSRFForm>
+  );
+};
+
+const NotificationSettingsPropType = PropTypes.shape({
+  muted: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.string.isRequired,
+      cube: PropTypes.string,
+    }),
+  ).isRequired,
+  digest: PropTypes.oneOf(Object.keys(DIGEST_FREQUENCIES)).isRequired,
+});
+
+const NotificationCubePropType = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+});
+
+NotificationSettings.propTypes = {
+  settings: NotificationSettingsPropType.isRequired,
+  cubes: PropTypes.arrayOf(NotificationCubePropType).isRequired,
+};
+
 const AddFeaturedButton = withModal(Button, AddFeaturedModal);
 const RemoveFeaturedButton = withModal(Button, RemoveFeaturedModal);
 
-const UserAccountPage = ({ defaultNav, loginCallback, patreonClientId, patreonRedirectUri, patron, featured }) => {
+const UserAccountPage = ({
+  defaultNav,
+  loginCallback,
+  patreonClientId,
+  patreonRedirectUri,
+  patron,
+  featured,
+  apiKeys,
+  notificationSettings,
+  notificationCubes,
+}) => {
   const user = useContext(UserContext);
   const [nav, setNav] = useQueryParam('nav', defaultNav);
   const [imageValue, setImageValue] = useState('');
@@ -190,11 +310,21 @@ const UserAccountPage = ({ defaultNav, loginCallback, patreonClientId, patreonRe
                 Display Preferences
               </NavLink>
             </NavItem>
+            <NavItem>
+              <NavLink href="#" active={nav === 'notifications'} data-nav="notifications" onClick={handleClickNav}>
+                Notifications
+              </NavLink>
+            </NavItem>
             <NavItem>
               <NavLink href="#" active={nav === 'patreon'} data-nav="patreon" onClick={handleClickNav}>
                 Patreon Integration
               </NavLink>
             </NavItem>
+            <NavItem>
+              <NavLink href="#" active={nav === 'apikeys'} data-nav="apikeys" onClick={handleClickNav}>
+                API Keys
+              </NavLink>
+            </NavItem>
           </Nav>
         </Col>
         <Col xs={9}>
@@ -334,6 +464,13 @@ const UserAccountPage = ({ defaultNav, loginCallback, patreonClientId, patreonRe
                 </CardBody>
               </Card>
             </TabPane>
+            <TabPane tabId="notifications">
+              <Card>
+                <CardBody>
+                  <NotificationSettings settings={notificationSettings} cubes={notificationCubes} />
+                </CardBody>
+              </Card>
+            </TabPane>
 
             <TabPane tabId="patreon">
               <Card>
@@ -419,6 +556,60 @@ const UserAccountPage = ({ defaultNav, loginCallback, patreonClientId, patreonRe
                 )}
               </Card>
             </TabPane>
+            <TabPane tabId="apikeys">
+              <Card>
+                <CardBody>
+                  <p>
+                    API keys give your scripts and tools access to the <a href="/api">Cube Cobra API</a> as you, with a
+                    higher rate limit than requests made without a key. A key is only shown once, when it's created.
+                  </p>
+                  {apiKeys.length > 0 && (
+                    <Table size="sm" responsive>
+                      <thead>
+                        <tr>
+                          <th>Name</th>
+                          <th>Key</th>
+                          <th>Created</th>
+                          <th>Last Used</th>
+                          <th>Rate Limit</th>
+                          <th aria-label="Delete" />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {apiKeys.map((apiKey) => (
+                          <tr key={apiKey._id}>
+                            <td>{apiKey.name}</td>
+                            <td>
+                              <code>{apiKey.prefix}...</code>
+                            </td>
+                            <td>{apiKey.date ? new Date(apiKey.date).toLocaleDateString() : ''}</td>
+                            <td>{apiKey.lastUsed ? new Date(apiKey.lastUsed).toLocaleString() : 'Never'}</td>
+                            <td>{apiKey.rateLimit} per minute</td>
+                            <td>
+                              <CSRFForm method="POST" action={`/user/apikeys/delete/${apiKey._id}`}>
+                                <Button size="sm" outline color="danger" type="submit">
+                                  Delete
+                                </Button>
+                              </CSRFForm>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  )}
+                  <CSRFForm method="POST" action="/user/apikeys/create">
+                    <InputGroup>
+                      <Input name="name" maxLength={50} placeholder="Key name" required />
+                      <InputGroupAddon addonType="append">
+                        <Button outline color="success" type="submit">
+                          Create Key
+                        </Button>
+                      </InputGroupAddon>
+                    </InputGroup>
+                  </CSRFForm>
+                </CardBody>
+              </Card>
+            </TabPane>
           </TabContent>
         </Col>
       </Row>
@@ -436,12 +627,18 @@ UserAccountPage.propTypes = {
     cube: CubePropType,
     position: PropTypes.number,
   }),
+  apiKeys: PropTypes.arrayOf(ApiKeyPropType),
+  notificationSettings: NotificationSettingsPropType,
+  notificationCubes: PropTypes.arrayOf(NotificationCubePropType),
 };
 
 UserAccountPage.defaultProps = {
   loginCallback: '/',
   patron: null,
   featured: null,
+  apiKeys: [],
+  notificationSettings: { muted: [], digest: 'none' },
+  notificationCubes: [],
 };
 
 export default RenderToRoot(UserAccountPage);
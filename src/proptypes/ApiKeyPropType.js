@@ -0,0 +1,12 @@
+import PropTypes from 'prop-types';
+
+const ApiKeyPropType = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  prefix: PropTypes.string.isRequired,
+  date: PropTypes.string,
+  lastUsed: PropTypes.string,
+  rateLimit: PropTypes.number.isRequired,
+});
+
+export default ApiKeyPropType;
@@ -11,6 +11,7 @@ const CommentPropType = PropTypes.shape({
   image: PropTypes.string.isRequired,
   content: PropTypes.string.isRequired,
   updated: PropTypes.bool.isRequired,
+  status: PropTypes.oneOf(['published', 'pending', 'hidden']),
 });
 
 export default CommentPropType;
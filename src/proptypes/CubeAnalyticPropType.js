@@ -10,6 +10,9 @@ const CubeAnalyticPropType = PropTypes.shape({
       elo: PropTypes.number,
       mainboards: PropTypes.number,
       sideboards: PropTypes.number,
+      matchWins: PropTypes.number,
+      matchLosses: PropTypes.number,
+      matchDraws: PropTypes.number,
     }),
   ).isRequired,
   useCubeElo: PropTypes.bool,
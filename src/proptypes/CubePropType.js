@@ -17,6 +17,20 @@ const CubePropType = PropTypes.shape({
   owner: PropTypes.string,
   owner_name: PropTypes.string,
   disableNotifications: PropTypes.bool,
+  collaborators: PropTypes.arrayOf(
+    PropTypes.shape({
+      user: PropTypes.string.isRequired,
+      username: PropTypes.string,
+      role: PropTypes.string.isRequired,
+      accepted: PropTypes.bool,
+    }),
+  ),
+  savedFilters: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      filter: PropTypes.string.isRequired,
+    }),
+  ),
 });
 
 export default CubePropType;
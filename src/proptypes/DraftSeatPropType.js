@@ -1,5 +1,11 @@
 import PropTypes from 'prop-types';
 
+const RECORD_FIELDS = {
+  wins: PropTypes.number,
+  losses: PropTypes.number,
+  draws: PropTypes.number,
+};
+
 const DraftSeatPropType = PropTypes.shape({
   description: PropTypes.string.isRequired,
   deck: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number).isRequired).isRequired).isRequired,
@@ -8,6 +14,8 @@ const DraftSeatPropType = PropTypes.shape({
   userid: PropTypes.string,
   bot: PropTypes.array,
   name: PropTypes.string.isRequired,
+  record: PropTypes.shape(RECORD_FIELDS),
+  matchups: PropTypes.arrayOf(PropTypes.shape({ opponent: PropTypes.number.isRequired, ...RECORD_FIELDS })),
 });
 
 export default DraftSeatPropType;
@@ -23,6 +23,7 @@ const drafterStateSchema = {
   stepNumber: PropTypes.number.isRequired,
   pickNumber: PropTypes.number.isRequired,
   step: StepPropType,
+  botProfile: PropTypes.string,
 };
 
 export const ColorPropType = PropTypes.oneOf(COLORS);
@@ -67,6 +68,7 @@ export const SeatPropType = PropTypes.shape({
     .isRequired,
   pickorder: PropTypes.arrayOf(PropTypes.number.isRequired).isRequired,
   trashorder: PropTypes.arrayOf(PropTypes.number.isRequired).isRequired,
+  botProfile: PropTypes.string,
   // packbacklog: PropTypes.arrayOf(PackPropType.isRequired).isRequired,
 });
 export const DraftPropType = PropTypes.shape({
@@ -0,0 +1,31 @@
+import PropTypes from 'prop-types';
+
+export const EventPlayerPropType = PropTypes.shape({
+  seat: PropTypes.number.isRequired,
+  userid: PropTypes.string,
+  name: PropTypes.string,
+});
+
+export const MatchPropType = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  round: PropTypes.number.isRequired,
+  players: PropTypes.arrayOf(PropTypes.number).isRequired,
+  wins: PropTypes.arrayOf(PropTypes.number.isRequired).isRequired,
+  draws: PropTypes.number.isRequired,
+  reported: PropTypes.bool.isRequired,
+});
+
+const EventPropType = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  cube: PropTypes.string.isRequired,
+  deck: PropTypes.string.isRequired,
+  owner: PropTypes.string,
+  name: PropTypes.string,
+  format: PropTypes.oneOf(['swiss', 'roundrobin']).isRequired,
+  numRounds: PropTypes.number.isRequired,
+  status: PropTypes.oneOf(['active', 'finished']).isRequired,
+  players: PropTypes.arrayOf(EventPlayerPropType.isRequired).isRequired,
+  matches: PropTypes.arrayOf(MatchPropType.isRequired).isRequired,
+});
+
+export default EventPropType;
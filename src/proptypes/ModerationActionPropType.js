@@ -0,0 +1,19 @@
+import PropTypes from 'prop-types';
+
+const ModerationActionPropType = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  actor: PropTypes.string.isRequired,
+  actorName: PropTypes.string,
+  role: PropTypes.oneOf(['admin', 'owner']).isRequired,
+  action: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  reason: PropTypes.string,
+  user: PropTypes.string,
+  userName: PropTypes.string,
+  comment: PropTypes.string,
+  cube: PropTypes.string,
+  until: PropTypes.string,
+  date: PropTypes.string,
+});
+
+export default ModerationActionPropType;
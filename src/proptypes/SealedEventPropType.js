@@ -0,0 +1,31 @@
+import PropTypes from 'prop-types';
+
+export const SealedSeatPropType = PropTypes.shape({
+  seat: PropTypes.number.isRequired,
+  name: PropTypes.string,
+  userid: PropTypes.string,
+  username: PropTypes.string,
+  registered: PropTypes.bool.isRequired,
+});
+
+// token is only sent to the organizer and to the pool's own players.
+export const SealedPoolPropType = PropTypes.shape({
+  token: PropTypes.string,
+  size: PropTypes.number.isRequired,
+  seats: PropTypes.arrayOf(SealedSeatPropType.isRequired).isRequired,
+});
+
+const SealedEventPropType = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  deck: PropTypes.string.isRequired,
+  owner: PropTypes.string,
+  name: PropTypes.string,
+  seed: PropTypes.string,
+  format: PropTypes.string,
+  packs: PropTypes.number,
+  cards: PropTypes.number,
+  teamSize: PropTypes.number.isRequired,
+  pools: PropTypes.arrayOf(SealedPoolPropType.isRequired).isRequired,
+});
+
+export default SealedEventPropType;
@@ -5,7 +5,13 @@ const UserPropType = PropTypes.shape({
   email: PropTypes.string,
   username: PropTypes.string,
   about: PropTypes.string,
-  notifications: PropTypes.arrayOf(PropTypes.shape({})),
+  notifications: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      text: PropTypes.string,
+      url: PropTypes.string,
+    }),
+  ),
   image_name: PropTypes.string,
   image: PropTypes.string,
   artist: PropTypes.string,
@@ -13,6 +19,7 @@ const UserPropType = PropTypes.shape({
   users_following: PropTypes.arrayOf(PropTypes.string.isRequired),
   roles: PropTypes.arrayOf(PropTypes.string).isRequired,
   hide_featured: PropTypes.bool,
+  mutedUntil: PropTypes.string,
 });
 
 export default UserPropType;
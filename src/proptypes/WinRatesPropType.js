@@ -0,0 +1,25 @@
+import PropTypes from 'prop-types';
+
+export const WinRatePropType = PropTypes.shape({
+  name: PropTypes.string.isRequired,
+  decks: PropTypes.number.isRequired,
+  wins: PropTypes.number.isRequired,
+  losses: PropTypes.number.isRequired,
+  draws: PropTypes.number.isRequired,
+  winRate: PropTypes.number.isRequired,
+  low: PropTypes.number.isRequired,
+  high: PropTypes.number.isRequired,
+  elo: PropTypes.number,
+});
+
+const WinRatesPropType = PropTypes.shape({
+  date: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
+  decks: PropTypes.number.isRequired,
+  cards: PropTypes.arrayOf(WinRatePropType.isRequired).isRequired,
+  colors: PropTypes.arrayOf(WinRatePropType.isRequired).isRequired,
+  archetypes: PropTypes.arrayOf(WinRatePropType.isRequired).isRequired,
+  overperformers: PropTypes.arrayOf(WinRatePropType.isRequired).isRequired,
+  underperformers: PropTypes.arrayOf(WinRatePropType.isRequired).isRequired,
+});
+
+export default WinRatesPropType;
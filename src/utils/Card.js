@@ -88,6 +88,12 @@ export const pickRate = ({ picks, passes }) => {
   return picks + passes > 0 ? picks / (picks + passes) : 0;
 };
 
+// Event matches won by decks playing the card, with draws counting as half a win.
+export const matchWinRate = ({ matchWins = 0, matchLosses = 0, matchDraws = 0 }) => {
+  const matches = matchWins + matchLosses + matchDraws;
+  return matches > 0 ? (matchWins + matchDraws / 2) / matches : 0;
+};
+
 export const cardTags = (card) => card.tags;
 
 export const cardFinish = (card) => card.finish;
@@ -128,6 +134,8 @@ export const cardPrice = (card) => {
     case 'Foil':
       prices = [cardFoilPrice(card), cardNormalPrice(card), cardEtchedPrice(card)];
       break;
+    // Cards outside of cubes, like the ones card search shows, have no finish.
+    case undefined:
     case 'Non-foil':
       prices = [cardNormalPrice(card), cardFoilPrice(card), cardEtchedPrice(card)];
       break;
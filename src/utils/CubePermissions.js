@@ -0,0 +1,31 @@
+// What each collaborator role can do on a cube. Owners can do everything, and only owners can change the cube's
+// settings, delete it or manage its collaborators.
+export const COLLABORATOR_ROLES = {
+  editor: { name: 'Editor', permissions: ['view', 'edit', 'formats', 'blog'] },
+  blogger: { name: 'Blog Author', permissions: ['view', 'blog'] },
+  formats: { name: 'Draft Format Manager', permissions: ['view', 'formats'] },
+  viewer: { name: 'Viewer', permissions: ['view'] },
+};
+
+// The user's collaborator entry on the cube, if they've accepted an invitation to it.
+export const findCollaborator = (cube, userId) =>
+  (cube.collaborators ?? []).find((collaborator) => collaborator.accepted && `${collaborator.user}` === `${userId}`);
+
+// Whether the user owns the cube or collaborates on it with a role that has the permission. Ids can be strings or
+// ObjectIds so this works the same on the server and the client.
+export const hasCubePermission = (cube, userId, permission) => {
+  if (!cube || !userId) {
+    return false;
+  }
+  if (`${cube.owner}` === `${userId}`) {
+    return true;
+  }
+  const collaborator = findCollaborator(cube, userId);
+  return !!collaborator && !!COLLABORATOR_ROLES[collaborator.role]?.permissions.includes(permission);
+};
+
+export default {
+  COLLABORATOR_ROLES,
+  findCollaborator,
+  hasCubePermission,
+};
@@ -0,0 +1,28 @@
+// The kinds of notification, in the order they're listed. These match the types on the Notification model.
+export const NOTIFICATION_TYPES = {
+  follow: { name: 'Follows', description: 'Someone follows you.' },
+  comment: { name: 'Comments', description: 'Someone replies to your comments, blog posts or content.' },
+  mention: { name: 'Mentions', description: 'Someone mentions you in a comment, blog post or article.' },
+  deck: { name: 'Decks Drafted', description: 'Someone drafts or builds a deck from your cube.' },
+  clone: { name: 'Clones', description: 'Someone clones your cube.' },
+  content: { name: 'Content Review', description: 'Your articles, videos or podcasts are approved or declined.' },
+  featured: { name: 'Featured Cubes', description: 'Your cube enters or leaves the featured cubes.' },
+  collaboration: { name: 'Collaboration', description: 'Invitations to collaborate on cubes and their answers.' },
+  draft: { name: 'Live Drafts', description: "It's your turn in a draft you aren't watching." },
+  other: { name: 'Other', description: 'Automatic changes to your cubes and anything else.' },
+};
+
+// The types that make sense to mute for a single cube.
+export const CUBE_NOTIFICATION_TYPES = ['mention', 'deck', 'clone', 'featured', 'collaboration', 'draft', 'other'];
+
+export const DIGEST_FREQUENCIES = {
+  none: 'Never',
+  daily: 'Daily',
+  weekly: 'Weekly',
+};
+
+export default {
+  NOTIFICATION_TYPES,
+  CUBE_NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+};
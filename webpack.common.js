@@ -35,24 +35,35 @@ const clientConfig = merge(config, {
   entry: {
     BlogPostPage: './src/pages/BlogPostPage.js',
     BulkUploadPage: './src/pages/BulkUploadPage.js',
+    BulkReplacePage: './src/pages/BulkReplacePage.js',
     CubeSamplePackPage: './src/pages/CubeSamplePackPage.js',
     CubeAnalysisPage: './src/pages/CubeAnalysisPage.js',
     CubeBlogPage: './src/pages/CubeBlogPage.js',
+    CubeHistoryPage: './src/pages/CubeHistoryPage.js',
+    CubeVersionPage: './src/pages/CubeVersionPage.js',
+    CubeUpstreamPage: './src/pages/CubeUpstreamPage.js',
     CubeComparePage: './src/pages/CubeComparePage.js',
     CubeDeckPage: './src/pages/CubeDeckPage.js',
+    CubeEventPage: './src/pages/CubeEventPage.js',
+    SealedEventPage: './src/pages/SealedEventPage.js',
     CubeDecksPage: './src/pages/CubeDecksPage.js',
     CubeDeckbuilderPage: './src/pages/CubeDeckbuilderPage.js',
     CubeDraftPage: './src/pages/CubeDraftPage.js',
+    LiveDraftPage: './src/pages/LiveDraftPage.js',
     CubeListPage: './src/pages/CubeListPage.js',
     CubeOverviewPage: './src/pages/CubeOverviewPage.js',
     CubePlaytestPage: './src/pages/CubePlaytestPage.js',
     DashboardPage: './src/pages/DashboardPage.js',
     GridDraftPage: './src/pages/GridDraftPage.js',
+    FormatDraftPage: './src/pages/FormatDraftPage.js',
+    DraftReplayPage: './src/pages/DraftReplayPage.js',
+    PickQuizPage: './src/pages/PickQuizPage.js',
     DevBlog: './src/pages/DevBlog.js',
     ContactPage: './src/pages/ContactPage.js',
     DonatePage: './src/pages/DonatePage.js',
     InfoPage: './src/pages/InfoPage.js',
     FiltersPage: './src/pages/FiltersPage.js',
+    ApiDocsPage: './src/pages/ApiDocsPage.js',
     DownTimePage: './src/pages/DownTimePage.js',
     ErrorPage: './src/pages/ErrorPage.js',
     CardSearchPage: './src/pages/CardSearchPage.js',
@@ -67,6 +78,7 @@ const clientConfig = merge(config, {
     UserAccountPage: './src/pages/UserAccountPage.js',
     UserBlogPage: './src/pages/UserBlogPage.js',
     UserDecksPage: './src/pages/UserDecksPage.js',
+    CollectionPage: './src/pages/CollectionPage.js',
     UserSocialPage: './src/pages/UserSocialPage.js',
     UserCubePage: './src/pages/UserCubePage.js',
     ExplorePage: './src/pages/ExplorePage.js',
@@ -78,6 +90,8 @@ const clientConfig = merge(config, {
     CommentReportsPage: './src/pages/CommentReportsPage.js',
     ApplicationsPage: './src/pages/ApplicationsPage.js',
     AdminCommentsPage: './src/pages/AdminCommentsPage.js',
+    AdminAuditLogPage: './src/pages/AdminAuditLogPage.js',
+    AdminUserModerationPage: './src/pages/AdminUserModerationPage.js',
     ApplicationPage: './src/pages/ApplicationPage.js',
     CreatorsPage: './src/pages/CreatorsPage.js',
     MarkdownPage: './src/pages/MarkdownPage.js',
@@ -119,23 +133,34 @@ const serverConfig = merge(config, {
     'pages/Loading': './src/pages/Loading.js',
     'pages/BlogPostPage': './src/pages/BlogPostPage.js',
     'pages/BulkUploadPage': './src/pages/BulkUploadPage.js',
+    'pages/BulkReplacePage': './src/pages/BulkReplacePage.js',
     'pages/CubeAnalysisPage': './src/pages/CubeAnalysisPage.js',
     'pages/CubeBlogPage': './src/pages/CubeBlogPage.js',
+    'pages/CubeHistoryPage': './src/pages/CubeHistoryPage.js',
+    'pages/CubeVersionPage': './src/pages/CubeVersionPage.js',
+    'pages/CubeUpstreamPage': './src/pages/CubeUpstreamPage.js',
     'pages/CubeComparePage': './src/pages/CubeComparePage.js',
     'pages/CubeDeckPage': './src/pages/CubeDeckPage.js',
+    'pages/CubeEventPage': './src/pages/CubeEventPage.js',
+    'pages/SealedEventPage': './src/pages/SealedEventPage.js',
     'pages/CubeDeckbuilderPage': './src/pages/CubeDeckbuilderPage.js',
     'pages/CubeDecksPage': './src/pages/CubeDecksPage.js',
     'pages/CubeDraftPage': './src/pages/CubeDraftPage.js',
+    'pages/LiveDraftPage': './src/pages/LiveDraftPage.js',
     'pages/CubeListPage': './src/pages/CubeListPage.js',
     'pages/CubeOverviewPage': './src/pages/CubeOverviewPage.js',
     'pages/CubePlaytestPage': './src/pages/CubePlaytestPage.js',
     'pages/CubeSamplePackPage': './src/pages/CubeSamplePackPage.js',
     'pages/GridDraftPage': './src/pages/GridDraftPage.js',
+    'pages/FormatDraftPage': './src/pages/FormatDraftPage.js',
+    'pages/DraftReplayPage': './src/pages/DraftReplayPage.js',
+    'pages/PickQuizPage': './src/pages/PickQuizPage.js',
     'pages/ContactPage': './src/pages/ContactPage.js',
     'pages/InfoPage': './src/pages/InfoPage.js',
     'pages/DonatePage': './src/pages/DonatePage.js',
     'pages/DownTimePage': './src/pages/DownTimePage.js',
     'pages/FiltersPage': './src/pages/FiltersPage.js',
+    'pages/ApiDocsPage': './src/pages/ApiDocsPage.js',
     'pages/ErrorPage': './src/pages/ErrorPage.js',
     'pages/CardSearchPage': './src/pages/CardSearchPage.js',
     'pages/TopCardsPage': './src/pages/TopCardsPage.js',
@@ -149,6 +174,7 @@ const serverConfig = merge(config, {
     'pages/UserAccountPage': './src/pages/UserAccountPage.js',
     'pages/UserBlogPage': './src/pages/UserBlogPage.js',
     'pages/UserDecksPage': './src/pages/UserDecksPage.js',
+    'pages/CollectionPage': './src/pages/CollectionPage.js',
     'pages/UserSocialPage': './src/pages/UserSocialPage.js',
     'pages/UserCubePage': './src/pages/UserCubePage.js',
     'pages/ExplorePage': './src/pages/ExplorePage.js',
@@ -160,6 +186,8 @@ const serverConfig = merge(config, {
     'pages/CommentReportsPage': './src/pages/CommentReportsPage.js',
     'pages/ApplicationsPage': './src/pages/ApplicationsPage.js',
     'pages/AdminCommentsPage': './src/pages/AdminCommentsPage.js',
+    'pages/AdminAuditLogPage': './src/pages/AdminAuditLogPage.js',
+    'pages/AdminUserModerationPage': './src/pages/AdminUserModerationPage.js',
     'pages/ApplicationPage': './src/pages/ApplicationPage.js',
     'pages/CreatorsPage': './src/pages/CreatorsPage.js',
     'pages/MarkdownPage': './src/pages/MarkdownPage.js',
@@ -183,11 +211,19 @@ const serverConfig = merge(config, {
     'pages/FeaturedCubesQueuePage': './src/pages/FeaturedCubesQueuePage.js',
     'utils/Card': './src/utils/Card.js',
     'drafting/createdraft': './src/drafting/createdraft.js',
+    'drafting/simulateFormat': './src/drafting/simulateFormat.js',
+    'drafting/simulateDrafts': './src/drafting/simulateDrafts.js',
+    'drafting/pickQuiz': './src/drafting/pickQuiz.js',
     'drafting/draftutil': './src/drafting/draftutil.js',
+    'drafting/draftbots': './src/drafting/draftbots.js',
     'drafting/deckutil': './src/drafting/deckutil.js',
+    'drafting/griddraftutils': './src/drafting/griddraftutils.js',
+    'drafting/formatdraftutils': './src/drafting/formatdraftutils.js',
     'filtering/FilterCards': './src/filtering/FilterCards.js',
+    'filtering/CardSearchIndex': './src/filtering/CardSearchIndex.js',
     'utils/Sort': './src/utils/Sort.js',
     'utils/Util': './src/utils/Util.js',
+    'utils/CubePermissions': './src/utils/CubePermissions.js',
     'markdown/parser': './src/markdown/parser.js',
   },
   output: {